@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE `phonepe_transactions` ADD COLUMN `completedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `phonepe_webhook_events` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `eventKey` VARCHAR(191) NOT NULL,
+    `eventType` VARCHAR(191) NULL,
+    `merchantOrderId` VARCHAR(191) NULL,
+    `state` VARCHAR(191) NULL,
+    `transactionId` INTEGER NULL,
+    `payload` JSON NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'RECEIVED',
+    `errorMessage` TEXT NULL,
+    `processedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `phonepe_webhook_events_eventKey_key`(`eventKey`),
+    INDEX `phonepe_webhook_events_merchantOrderId_idx`(`merchantOrderId`),
+    INDEX `phonepe_webhook_events_transactionId_idx`(`transactionId`),
+    INDEX `phonepe_webhook_events_status_idx`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `phonepe_webhook_events` ADD CONSTRAINT `phonepe_webhook_events_transactionId_fkey` FOREIGN KEY (`transactionId`) REFERENCES `phonepe_transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE `subscriptions` ADD COLUMN `autoRenew` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE `subscription_auto_renewals` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `subscriptionId` INTEGER NOT NULL,
+    `renewedSubscriptionId` INTEGER NULL,
+    `productOrderId` INTEGER NULL,
+    `walletTransactionId` INTEGER NULL,
+    `status` VARCHAR(191) NOT NULL,
+    `failureCode` VARCHAR(191) NULL,
+    `failureReason` TEXT NULL,
+    `amount` DOUBLE NOT NULL DEFAULT 0,
+    `attempts` INTEGER NOT NULL DEFAULT 1,
+    `lastAttemptAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `subscription_auto_renewals_subscriptionId_key`(`subscriptionId`),
+    UNIQUE INDEX `subscription_auto_renewals_renewedSubscriptionId_key`(`renewedSubscriptionId`),
+    INDEX `subscription_auto_renewals_status_idx`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `subscription_auto_renewals` ADD CONSTRAINT `subscription_auto_renewals_subscriptionId_fkey` FOREIGN KEY (`subscriptionId`) REFERENCES `subscriptions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `subscription_auto_renewals` ADD CONSTRAINT `subscription_auto_renewals_renewedSubscriptionId_fkey` FOREIGN KEY (`renewedSubscriptionId`) REFERENCES `subscriptions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
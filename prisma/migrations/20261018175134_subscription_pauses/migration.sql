@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE `depots` ADD COLUMN `pauseCompensation` ENUM('WALLET_CREDIT', 'EXTEND_EXPIRY') NOT NULL DEFAULT 'WALLET_CREDIT';
+
+-- AlterTable
+ALTER TABLE `delivery_schedule_entries` ADD COLUMN `pauseId` INTEGER NULL,
+    ADD COLUMN `extensionForPauseId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `subscription_pauses` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `subscriptionId` INTEGER NOT NULL,
+    `fromDate` DATE NOT NULL,
+    `toDate` DATE NOT NULL,
+    `compensation` ENUM('WALLET_CREDIT', 'EXTEND_EXPIRY') NOT NULL,
+    `status` ENUM('ACTIVE', 'RESUMED') NOT NULL DEFAULT 'ACTIVE',
+    `skippedCount` INTEGER NOT NULL DEFAULT 0,
+    `refundAmount` DOUBLE NOT NULL DEFAULT 0,
+    `previousExpiry` DATE NULL,
+    `resumedAt` DATETIME(3) NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `subscription_pauses_subscriptionId_idx`(`subscriptionId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `delivery_schedule_entries_pauseId_idx` ON `delivery_schedule_entries`(`pauseId`);
+
+-- CreateIndex
+CREATE INDEX `delivery_schedule_entries_extensionForPauseId_idx` ON `delivery_schedule_entries`(`extensionForPauseId`);
+
+-- AddForeignKey
+ALTER TABLE `delivery_schedule_entries` ADD CONSTRAINT `delivery_schedule_entries_pauseId_fkey` FOREIGN KEY (`pauseId`) REFERENCES `subscription_pauses`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `delivery_schedule_entries` ADD CONSTRAINT `delivery_schedule_entries_extensionForPauseId_fkey` FOREIGN KEY (`extensionForPauseId`) REFERENCES `subscription_pauses`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `subscription_pauses` ADD CONSTRAINT `subscription_pauses_subscriptionId_fkey` FOREIGN KEY (`subscriptionId`) REFERENCES `subscriptions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE `depots` ADD COLUMN `latitude` DOUBLE NULL,
+    ADD COLUMN `longitude` DOUBLE NULL;
+
+-- AlterTable
+ALTER TABLE `delivery_addresses` ADD COLUMN `latitude` DOUBLE NULL,
+    ADD COLUMN `longitude` DOUBLE NULL;
+
+-- AlterTable
+ALTER TABLE `snf_orders` ADD COLUMN `latitude` DOUBLE NULL,
+    ADD COLUMN `longitude` DOUBLE NULL;
+
+-- AlterTable
+ALTER TABLE `delivery_assignments` ADD COLUMN `sequence` INTEGER NULL,
+    ADD COLUMN `legDistanceKm` DOUBLE NULL;
+
+-- CreateIndex
+CREATE INDEX `delivery_assignments_deliveryPartnerId_deliveryDate_sequence_idx` ON `delivery_assignments`(`deliveryPartnerId`, `deliveryDate`, `sequence`);
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE `wallet_ledger_entries` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `memberId` INTEGER NOT NULL,
+    `walletTransactionId` INTEGER NULL,
+    `debitAccount` ENUM('MEMBER_WALLET', 'FUNDS_RECEIVED', 'SALES', 'REFUNDS', 'ADJUSTMENTS', 'OPENING_BALANCE') NOT NULL,
+    `creditAccount` ENUM('MEMBER_WALLET', 'FUNDS_RECEIVED', 'SALES', 'REFUNDS', 'ADJUSTMENTS', 'OPENING_BALANCE') NOT NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+    `balanceAfter` DECIMAL(12, 2) NOT NULL,
+    `referenceNumber` VARCHAR(191) NULL,
+    `notes` TEXT NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `wallet_ledger_entries_memberId_id_idx`(`memberId`, `id`),
+    INDEX `wallet_ledger_entries_walletTransactionId_idx`(`walletTransactionId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `wallet_ledger_entries` ADD CONSTRAINT `wallet_ledger_entries_memberId_fkey` FOREIGN KEY (`memberId`) REFERENCES `members`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `wallet_ledger_entries` ADD CONSTRAINT `wallet_ledger_entries_walletTransactionId_fkey` FOREIGN KEY (`walletTransactionId`) REFERENCES `wallet_transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
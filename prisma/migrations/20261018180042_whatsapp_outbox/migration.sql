@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE `whatsapp_outbox` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `businessKey` VARCHAR(191) NULL,
+    `templateName` VARCHAR(191) NOT NULL,
+    `endpointType` VARCHAR(191) NOT NULL DEFAULT 'messages',
+    `recipient` VARCHAR(191) NOT NULL,
+    `parameters` JSON NOT NULL,
+    `payload` JSON NOT NULL,
+    `status` ENUM('PENDING', 'SENDING', 'SENT', 'FAILED') NOT NULL DEFAULT 'PENDING',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `maxAttempts` INTEGER NOT NULL DEFAULT 5,
+    `nextAttemptAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastError` TEXT NULL,
+    `providerMessageId` VARCHAR(191) NULL,
+    `response` JSON NULL,
+    `sentAt` DATETIME(3) NULL,
+    `lockedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `whatsapp_outbox_businessKey_key`(`businessKey`),
+    INDEX `whatsapp_outbox_status_nextAttemptAt_idx`(`status`, `nextAttemptAt`),
+    INDEX `whatsapp_outbox_recipient_idx`(`recipient`),
+    INDEX `whatsapp_outbox_templateName_idx`(`templateName`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,66 @@
+-- CreateTable
+CREATE TABLE `credit_notes` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `creditNoteNo` VARCHAR(191) NOT NULL,
+    `creditNoteDate` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `sourceKey` VARCHAR(191) NOT NULL,
+    `reason` ENUM('SUBSCRIPTION_CANCELLED', 'DELIVERY_REFUND') NOT NULL,
+    `notes` TEXT NULL,
+    `productOrderId` INTEGER NOT NULL,
+    `invoiceNo` VARCHAR(191) NOT NULL,
+    `invoiceDate` DATETIME(3) NOT NULL,
+    `memberId` INTEGER NOT NULL,
+    `walletTransactionId` INTEGER NULL,
+    `taxableAmount` DOUBLE NOT NULL,
+    `cgstAmount` DOUBLE NOT NULL DEFAULT 0,
+    `sgstAmount` DOUBLE NOT NULL DEFAULT 0,
+    `igstAmount` DOUBLE NOT NULL DEFAULT 0,
+    `totalAmount` DOUBLE NOT NULL,
+    `pdfPath` VARCHAR(191) NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `credit_notes_creditNoteNo_key`(`creditNoteNo`),
+    UNIQUE INDEX `credit_notes_sourceKey_key`(`sourceKey`),
+    INDEX `credit_notes_productOrderId_idx`(`productOrderId`),
+    INDEX `credit_notes_memberId_idx`(`memberId`),
+    INDEX `credit_notes_creditNoteDate_idx`(`creditNoteDate`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `credit_note_items` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `creditNoteId` INTEGER NOT NULL,
+    `subscriptionId` INTEGER NULL,
+    `description` TEXT NOT NULL,
+    `hsnSac` VARCHAR(191) NULL,
+    `quantity` INTEGER NOT NULL,
+    `rate` DOUBLE NOT NULL,
+    `taxableAmount` DOUBLE NOT NULL,
+    `cgstRate` DOUBLE NOT NULL DEFAULT 0,
+    `cgstAmount` DOUBLE NOT NULL DEFAULT 0,
+    `sgstRate` DOUBLE NOT NULL DEFAULT 0,
+    `sgstAmount` DOUBLE NOT NULL DEFAULT 0,
+    `amount` DOUBLE NOT NULL,
+
+    INDEX `credit_note_items_creditNoteId_idx`(`creditNoteId`),
+    INDEX `credit_note_items_subscriptionId_idx`(`subscriptionId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `credit_notes` ADD CONSTRAINT `credit_notes_productOrderId_fkey` FOREIGN KEY (`productOrderId`) REFERENCES `product_orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `credit_notes` ADD CONSTRAINT `credit_notes_memberId_fkey` FOREIGN KEY (`memberId`) REFERENCES `members`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `credit_notes` ADD CONSTRAINT `credit_notes_walletTransactionId_fkey` FOREIGN KEY (`walletTransactionId`) REFERENCES `wallet_transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `credit_note_items` ADD CONSTRAINT `credit_note_items_creditNoteId_fkey` FOREIGN KEY (`creditNoteId`) REFERENCES `credit_notes`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `credit_note_items` ADD CONSTRAINT `credit_note_items_subscriptionId_fkey` FOREIGN KEY (`subscriptionId`) REFERENCES `subscriptions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `members` ADD COLUMN `gstin` VARCHAR(15) NULL;
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE `user_sessions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `refreshTokenHash` VARCHAR(64) NOT NULL,
+    `previousRefreshTokenHash` VARCHAR(64) NULL,
+    `isSudo` BOOLEAN NOT NULL DEFAULT false,
+    `impersonatorId` INTEGER NULL,
+    `userAgent` VARCHAR(255) NULL,
+    `ipAddress` VARCHAR(64) NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `lastUsedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `revokedAt` DATETIME(3) NULL,
+    `revokedReason` ENUM('LOGOUT', 'LOGOUT_ALL', 'PASSWORD_CHANGED', 'DEACTIVATED', 'ROLE_CHANGED', 'REFRESH_TOKEN_REUSE', 'ADMIN_REVOKED') NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `user_sessions_refreshTokenHash_key`(`refreshTokenHash`),
+    UNIQUE INDEX `user_sessions_previousRefreshTokenHash_key`(`previousRefreshTokenHash`),
+    INDEX `user_sessions_userId_revokedAt_idx`(`userId`, `revokedAt`),
+    INDEX `user_sessions_impersonatorId_idx`(`impersonatorId`),
+    INDEX `user_sessions_expiresAt_idx`(`expiresAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `user_sessions` ADD CONSTRAINT `user_sessions_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `user_sessions` ADD CONSTRAINT `user_sessions_impersonatorId_fkey` FOREIGN KEY (`impersonatorId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
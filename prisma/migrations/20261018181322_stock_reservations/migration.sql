@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE `stock_reservations` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `depotId` INTEGER NOT NULL,
+    `depotProductVariantId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `snfOrderId` INTEGER NOT NULL,
+    `snfOrderItemId` INTEGER NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `backorderedQty` INTEGER NOT NULL DEFAULT 0,
+    `status` ENUM('RESERVED', 'RELEASED', 'ISSUED') NOT NULL DEFAULT 'RESERVED',
+    `releaseReason` VARCHAR(191) NULL,
+    `releasedAt` DATETIME(3) NULL,
+    `issuedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `stock_reservations_snfOrderItemId_key`(`snfOrderItemId`),
+    INDEX `stock_reservations_depotProductVariantId_status_idx`(`depotProductVariantId`, `status`),
+    INDEX `stock_reservations_snfOrderId_idx`(`snfOrderId`),
+    INDEX `stock_reservations_depotId_idx`(`depotId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `stock_reservations` ADD CONSTRAINT `stock_reservations_depotId_fkey` FOREIGN KEY (`depotId`) REFERENCES `depots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_reservations` ADD CONSTRAINT `stock_reservations_depotProductVariantId_fkey` FOREIGN KEY (`depotProductVariantId`) REFERENCES `depot_product_variants`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_reservations` ADD CONSTRAINT `stock_reservations_snfOrderId_fkey` FOREIGN KEY (`snfOrderId`) REFERENCES `snf_orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_reservations` ADD CONSTRAINT `stock_reservations_snfOrderItemId_fkey` FOREIGN KEY (`snfOrderItemId`) REFERENCES `snf_order_items`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE `delivery_status_history` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `deliveryScheduleEntryId` INTEGER NULL,
+    `deliveryAssignmentId` INTEGER NULL,
+    `snfOrderId` INTEGER NULL,
+    `fromStatus` ENUM('PENDING', 'DELIVERED', 'NOT_DELIVERED', 'CANCELLED', 'SKIPPED', 'SKIP_BY_CUSTOMER', 'INDRAAI_DELIVERY', 'TRANSFER_TO_AGENT') NULL,
+    `toStatus` ENUM('PENDING', 'DELIVERED', 'NOT_DELIVERED', 'CANCELLED', 'SKIPPED', 'SKIP_BY_CUSTOMER', 'INDRAAI_DELIVERY', 'TRANSFER_TO_AGENT') NULL,
+    `fromAssignmentStatus` ENUM('ASSIGNED', 'OUT_FOR_DELIVERY', 'DELIVERED', 'FAILED', 'NOT_DELIVERED', 'REASSIGNED') NULL,
+    `toAssignmentStatus` ENUM('ASSIGNED', 'OUT_FOR_DELIVERY', 'DELIVERED', 'FAILED', 'NOT_DELIVERED', 'REASSIGNED') NULL,
+    `source` ENUM('ADMIN', 'AGENCY', 'DELIVERY_PARTNER', 'CUSTOMER', 'SYSTEM') NOT NULL,
+    `changedById` INTEGER NULL,
+    `reason` TEXT NULL,
+    `walletTransactionId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `delivery_status_history_deliveryScheduleEntryId_idx`(`deliveryScheduleEntryId`),
+    INDEX `delivery_status_history_deliveryAssignmentId_idx`(`deliveryAssignmentId`),
+    INDEX `delivery_status_history_snfOrderId_idx`(`snfOrderId`),
+    INDEX `delivery_status_history_changedById_idx`(`changedById`),
+    INDEX `delivery_status_history_walletTransactionId_idx`(`walletTransactionId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `delivery_status_history` ADD CONSTRAINT `delivery_status_history_deliveryScheduleEntryId_fkey` FOREIGN KEY (`deliveryScheduleEntryId`) REFERENCES `delivery_schedule_entries`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `delivery_status_history` ADD CONSTRAINT `delivery_status_history_deliveryAssignmentId_fkey` FOREIGN KEY (`deliveryAssignmentId`) REFERENCES `delivery_assignments`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `delivery_status_history` ADD CONSTRAINT `delivery_status_history_snfOrderId_fkey` FOREIGN KEY (`snfOrderId`) REFERENCES `snf_orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `delivery_status_history` ADD CONSTRAINT `delivery_status_history_changedById_fkey` FOREIGN KEY (`changedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `delivery_status_history` ADD CONSTRAINT `delivery_status_history_walletTransactionId_fkey` FOREIGN KEY (`walletTransactionId`) REFERENCES `wallet_transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
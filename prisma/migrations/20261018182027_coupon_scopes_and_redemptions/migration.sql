@@ -0,0 +1,57 @@
+-- AlterTable
+ALTER TABLE `subscriptions` ADD COLUMN `couponDiscount` DOUBLE NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `product_orders` ADD COLUMN `couponCode` VARCHAR(191) NULL,
+    ADD COLUMN `couponDiscount` DOUBLE NOT NULL DEFAULT 0;
+
+-- Backfill: discountType was free text; normalise it before it becomes an enum.
+-- Anything that is neither a percentage nor a cash discount is parked as an
+-- inactive CASH coupon so it cannot be redeemed until an admin reviews it.
+UPDATE `coupons` SET `discountType` = UPPER(TRIM(`discountType`));
+UPDATE `coupons` SET `discountType` = 'PERCENTAGE' WHERE `discountType` IN ('PERCENT', 'PCT', '%');
+UPDATE `coupons` SET `discountType` = 'CASH' WHERE `discountType` IN ('FLAT', 'FIXED', 'AMOUNT');
+UPDATE `coupons` SET `discountType` = 'CASH', `isActive` = false WHERE `discountType` NOT IN ('PERCENTAGE', 'CASH');
+
+-- AlterTable
+ALTER TABLE `coupons` ADD COLUMN `description` VARCHAR(191) NULL,
+    MODIFY `discountType` ENUM('PERCENTAGE', 'CASH') NOT NULL,
+    ADD COLUMN `maxDiscountAmount` DOUBLE NULL,
+    ADD COLUMN `perMemberLimit` INTEGER NULL,
+    ADD COLUMN `firstOrderOnly` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `orderType` ENUM('ALL', 'SNF_ORDER', 'SUBSCRIPTION') NOT NULL DEFAULT 'ALL';
+
+-- CreateTable
+CREATE TABLE `coupon_redemptions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `couponId` INTEGER NOT NULL,
+    `memberId` INTEGER NULL,
+    `mobile` VARCHAR(191) NULL,
+    `snfOrderId` INTEGER NULL,
+    `productOrderId` INTEGER NULL,
+    `discountAmount` DOUBLE NOT NULL,
+    `status` ENUM('APPLIED', 'REVERSED') NOT NULL DEFAULT 'APPLIED',
+    `reversalReason` VARCHAR(191) NULL,
+    `reversedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `coupon_redemptions_snfOrderId_key`(`snfOrderId`),
+    UNIQUE INDEX `coupon_redemptions_productOrderId_key`(`productOrderId`),
+    INDEX `coupon_redemptions_couponId_memberId_status_idx`(`couponId`, `memberId`, `status`),
+    INDEX `coupon_redemptions_couponId_mobile_status_idx`(`couponId`, `mobile`, `status`),
+    INDEX `coupon_redemptions_memberId_idx`(`memberId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `coupon_redemptions` ADD CONSTRAINT `coupon_redemptions_couponId_fkey` FOREIGN KEY (`couponId`) REFERENCES `coupons`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupon_redemptions` ADD CONSTRAINT `coupon_redemptions_memberId_fkey` FOREIGN KEY (`memberId`) REFERENCES `members`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupon_redemptions` ADD CONSTRAINT `coupon_redemptions_snfOrderId_fkey` FOREIGN KEY (`snfOrderId`) REFERENCES `snf_orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupon_redemptions` ADD CONSTRAINT `coupon_redemptions_productOrderId_fkey` FOREIGN KEY (`productOrderId`) REFERENCES `product_orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
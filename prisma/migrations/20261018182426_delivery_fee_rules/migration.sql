@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `depots` ADD COLUMN `deliveryFee` DOUBLE NULL,
+    ADD COLUMN `freeDeliveryAbove` DOUBLE NULL;
+
+-- AlterTable
+ALTER TABLE `area_masters` ADD COLUMN `deliveryFee` DOUBLE NULL,
+    ADD COLUMN `freeDeliveryAbove` DOUBLE NULL;
@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE `leads` MODIFY `status` ENUM('NEW', 'CONTACTED', 'FOLLOW_UP', 'CONVERTED', 'CLOSED') NOT NULL DEFAULT 'NEW',
+    ADD COLUMN `source` ENUM('WEBSITE', 'WHATSAPP', 'PHONE', 'WALK_IN', 'REFERRAL', 'OTHER') NOT NULL DEFAULT 'WEBSITE',
+    ADD COLUMN `assignedToId` INTEGER NULL,
+    ADD COLUMN `memberId` INTEGER NULL,
+    ADD COLUMN `convertedAt` DATETIME(3) NULL,
+    ADD COLUMN `isServiceable` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `areaMasterId` INTEGER NULL,
+    ADD COLUMN `nextFollowUpAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `lead_activities` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `leadId` INTEGER NOT NULL,
+    `type` ENUM('NOTE', 'CALL', 'CALLBACK', 'STATUS_CHANGE', 'ASSIGNMENT', 'CONVERSION') NOT NULL,
+    `note` TEXT NULL,
+    `fromStatus` ENUM('NEW', 'CONTACTED', 'FOLLOW_UP', 'CONVERTED', 'CLOSED') NULL,
+    `toStatus` ENUM('NEW', 'CONTACTED', 'FOLLOW_UP', 'CONVERTED', 'CLOSED') NULL,
+    `followUpAt` DATETIME(3) NULL,
+    `completedAt` DATETIME(3) NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `lead_activities_leadId_createdAt_idx`(`leadId`, `createdAt`),
+    INDEX `lead_activities_type_completedAt_followUpAt_idx`(`type`, `completedAt`, `followUpAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `leads_mobile_idx` ON `leads`(`mobile`);
+
+-- CreateIndex
+CREATE INDEX `leads_assignedToId_idx` ON `leads`(`assignedToId`);
+
+-- CreateIndex
+CREATE INDEX `leads_nextFollowUpAt_idx` ON `leads`(`nextFollowUpAt`);
+
+-- AddForeignKey
+ALTER TABLE `leads` ADD CONSTRAINT `leads_assignedToId_fkey` FOREIGN KEY (`assignedToId`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `leads` ADD CONSTRAINT `leads_memberId_fkey` FOREIGN KEY (`memberId`) REFERENCES `members`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `leads` ADD CONSTRAINT `leads_areaMasterId_fkey` FOREIGN KEY (`areaMasterId`) REFERENCES `area_masters`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `lead_activities` ADD CONSTRAINT `lead_activities_leadId_fkey` FOREIGN KEY (`leadId`) REFERENCES `leads`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `lead_activities` ADD CONSTRAINT `lead_activities_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
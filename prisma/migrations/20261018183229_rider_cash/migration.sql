@@ -0,0 +1,78 @@
+-- AlterTable
+ALTER TABLE `depots` ADD COLUMN `codShortfallBearer` ENUM('CUSTOMER', 'RIDER') NOT NULL DEFAULT 'CUSTOMER';
+
+-- CreateTable
+CREATE TABLE `rider_cash_entries` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `depotId` INTEGER NOT NULL,
+    `deliveryPartnerId` INTEGER NOT NULL,
+    `deliveryAssignmentId` INTEGER NOT NULL,
+    `snfOrderId` INTEGER NOT NULL,
+    `deliveryDate` DATE NOT NULL,
+    `expectedAmount` DECIMAL(10, 2) NOT NULL,
+    `collectedAmount` DECIMAL(10, 2) NOT NULL,
+    `shortfallAmount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `shortfallBearer` ENUM('CUSTOMER', 'RIDER') NOT NULL DEFAULT 'CUSTOMER',
+    `walletTransactionId` INTEGER NULL,
+    `handoverId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `rider_cash_entries_deliveryAssignmentId_key`(`deliveryAssignmentId`),
+    UNIQUE INDEX `rider_cash_entries_walletTransactionId_key`(`walletTransactionId`),
+    INDEX `rider_cash_entries_depotId_deliveryDate_idx`(`depotId`, `deliveryDate`),
+    INDEX `rider_cash_entries_deliveryPartnerId_handoverId_idx`(`deliveryPartnerId`, `handoverId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `rider_cash_handovers` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `depotId` INTEGER NOT NULL,
+    `deliveryPartnerId` INTEGER NOT NULL,
+    `handoverDate` DATE NOT NULL,
+    `expectedAmount` DECIMAL(10, 2) NOT NULL,
+    `countedAmount` DECIMAL(10, 2) NOT NULL,
+    `varianceAmount` DECIMAL(10, 2) NOT NULL,
+    `status` ENUM('PENDING', 'APPROVED', 'REJECTED') NOT NULL DEFAULT 'PENDING',
+    `notes` TEXT NULL,
+    `reviewNotes` TEXT NULL,
+    `countedById` INTEGER NULL,
+    `reviewedById` INTEGER NULL,
+    `reviewedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `rider_cash_handovers_depotId_handoverDate_idx`(`depotId`, `handoverDate`),
+    INDEX `rider_cash_handovers_deliveryPartnerId_status_idx`(`deliveryPartnerId`, `status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_entries` ADD CONSTRAINT `rider_cash_entries_depotId_fkey` FOREIGN KEY (`depotId`) REFERENCES `depots`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_entries` ADD CONSTRAINT `rider_cash_entries_deliveryPartnerId_fkey` FOREIGN KEY (`deliveryPartnerId`) REFERENCES `delivery_partners`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_entries` ADD CONSTRAINT `rider_cash_entries_deliveryAssignmentId_fkey` FOREIGN KEY (`deliveryAssignmentId`) REFERENCES `delivery_assignments`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_entries` ADD CONSTRAINT `rider_cash_entries_snfOrderId_fkey` FOREIGN KEY (`snfOrderId`) REFERENCES `snf_orders`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_entries` ADD CONSTRAINT `rider_cash_entries_walletTransactionId_fkey` FOREIGN KEY (`walletTransactionId`) REFERENCES `wallet_transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_entries` ADD CONSTRAINT `rider_cash_entries_handoverId_fkey` FOREIGN KEY (`handoverId`) REFERENCES `rider_cash_handovers`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_handovers` ADD CONSTRAINT `rider_cash_handovers_depotId_fkey` FOREIGN KEY (`depotId`) REFERENCES `depots`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_handovers` ADD CONSTRAINT `rider_cash_handovers_deliveryPartnerId_fkey` FOREIGN KEY (`deliveryPartnerId`) REFERENCES `delivery_partners`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_handovers` ADD CONSTRAINT `rider_cash_handovers_countedById_fkey` FOREIGN KEY (`countedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_handovers` ADD CONSTRAINT `rider_cash_handovers_reviewedById_fkey` FOREIGN KEY (`reviewedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,62 @@
+-- AlterTable
+ALTER TABLE `delivery_assignments` ADD COLUMN `otpHash` VARCHAR(191) NULL,
+    ADD COLUMN `otpSentAt` DATETIME(3) NULL,
+    ADD COLUMN `otpExpiresAt` DATETIME(3) NULL,
+    ADD COLUMN `otpSendCount` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `otpAttempts` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `otpVerifiedAt` DATETIME(3) NULL,
+    ADD COLUMN `proofMethod` ENUM('OTP', 'OVERRIDE') NULL,
+    ADD COLUMN `overrideStatus` ENUM('PENDING', 'APPROVED', 'REJECTED') NULL,
+    ADD COLUMN `overrideReason` TEXT NULL,
+    ADD COLUMN `overrideRequestedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `delivery_proof_events` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `deliveryAssignmentId` INTEGER NOT NULL,
+    `type` ENUM('OTP_SENT', 'OTP_FAILED', 'OTP_LOCKED', 'OTP_VERIFIED', 'OVERRIDE_REQUESTED', 'OVERRIDE_APPROVED', 'OVERRIDE_REJECTED', 'DISPUTE_RAISED', 'DISPUTE_REJECTED', 'DISPUTE_REOPENED') NOT NULL,
+    `note` TEXT NULL,
+    `photoUrl` VARCHAR(191) NULL,
+    `actorId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `delivery_proof_events_deliveryAssignmentId_createdAt_idx`(`deliveryAssignmentId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `delivery_disputes` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `depotId` INTEGER NOT NULL,
+    `deliveryAssignmentId` INTEGER NOT NULL,
+    `status` ENUM('OPEN', 'REJECTED', 'REOPENED') NOT NULL DEFAULT 'OPEN',
+    `complaint` TEXT NOT NULL,
+    `resolution` TEXT NULL,
+    `raisedById` INTEGER NULL,
+    `resolvedById` INTEGER NULL,
+    `resolvedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `delivery_disputes_depotId_status_idx`(`depotId`, `status`),
+    INDEX `delivery_disputes_deliveryAssignmentId_idx`(`deliveryAssignmentId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `delivery_proof_events` ADD CONSTRAINT `delivery_proof_events_deliveryAssignmentId_fkey` FOREIGN KEY (`deliveryAssignmentId`) REFERENCES `delivery_assignments`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `delivery_proof_events` ADD CONSTRAINT `delivery_proof_events_actorId_fkey` FOREIGN KEY (`actorId`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `delivery_disputes` ADD CONSTRAINT `delivery_disputes_depotId_fkey` FOREIGN KEY (`depotId`) REFERENCES `depots`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `delivery_disputes` ADD CONSTRAINT `delivery_disputes_deliveryAssignmentId_fkey` FOREIGN KEY (`deliveryAssignmentId`) REFERENCES `delivery_assignments`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `delivery_disputes` ADD CONSTRAINT `delivery_disputes_raisedById_fkey` FOREIGN KEY (`raisedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `delivery_disputes` ADD CONSTRAINT `delivery_disputes_resolvedById_fkey` FOREIGN KEY (`resolvedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,101 @@
+-- AlterTable
+ALTER TABLE `rider_cash_entries` ADD COLUMN `payoutStatementId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `rider_cash_handovers` ADD COLUMN `payoutStatementId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `rider_pay_rules` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `depotId` INTEGER NOT NULL,
+    `perSnfOrderDrop` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `perSubscriptionDrop` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `kmBands` JSON NULL,
+    `onTimeCutoff` VARCHAR(191) NOT NULL DEFAULT '09:00',
+    `onTimeIncentives` JSON NULL,
+    `updatedById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `rider_pay_rules_depotId_key`(`depotId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `rider_payout_statements` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `depotId` INTEGER NOT NULL,
+    `deliveryPartnerId` INTEGER NOT NULL,
+    `periodStart` DATE NOT NULL,
+    `periodEnd` DATE NOT NULL,
+    `status` ENUM('DRAFT', 'APPROVED', 'PAID') NOT NULL DEFAULT 'DRAFT',
+    `snfDrops` INTEGER NOT NULL DEFAULT 0,
+    `subscriptionDrops` INTEGER NOT NULL DEFAULT 0,
+    `onTimeDrops` INTEGER NOT NULL DEFAULT 0,
+    `onTimePercent` DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    `distanceKm` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `dropEarnings` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `distanceEarnings` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `incentiveAmount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `grossAmount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `shortfallDeduction` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `netAmount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `ruleSnapshot` JSON NULL,
+    `notes` TEXT NULL,
+    `paymentReference` VARCHAR(191) NULL,
+    `createdById` INTEGER NULL,
+    `approvedById` INTEGER NULL,
+    `approvedAt` DATETIME(3) NULL,
+    `paidAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `rider_payout_statements_depotId_periodStart_idx`(`depotId`, `periodStart`),
+    UNIQUE INDEX `rider_payout_statements_deliveryPartnerId_periodStart_key`(`deliveryPartnerId`, `periodStart`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `rider_payout_lines` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `statementId` INTEGER NOT NULL,
+    `deliveryAssignmentId` INTEGER NOT NULL,
+    `dropType` ENUM('SNF_ORDER', 'SUBSCRIPTION') NOT NULL,
+    `deliveryDate` DATE NOT NULL,
+    `deliveredAt` DATETIME(3) NULL,
+    `onTime` BOOLEAN NOT NULL DEFAULT false,
+    `legDistanceKm` DOUBLE NULL,
+    `dropAmount` DECIMAL(10, 2) NOT NULL,
+    `distanceAmount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+
+    UNIQUE INDEX `rider_payout_lines_deliveryAssignmentId_key`(`deliveryAssignmentId`),
+    INDEX `rider_payout_lines_statementId_idx`(`statementId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_entries` ADD CONSTRAINT `rider_cash_entries_payoutStatementId_fkey` FOREIGN KEY (`payoutStatementId`) REFERENCES `rider_payout_statements`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_cash_handovers` ADD CONSTRAINT `rider_cash_handovers_payoutStatementId_fkey` FOREIGN KEY (`payoutStatementId`) REFERENCES `rider_payout_statements`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_pay_rules` ADD CONSTRAINT `rider_pay_rules_depotId_fkey` FOREIGN KEY (`depotId`) REFERENCES `depots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_payout_statements` ADD CONSTRAINT `rider_payout_statements_depotId_fkey` FOREIGN KEY (`depotId`) REFERENCES `depots`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_payout_statements` ADD CONSTRAINT `rider_payout_statements_deliveryPartnerId_fkey` FOREIGN KEY (`deliveryPartnerId`) REFERENCES `delivery_partners`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_payout_statements` ADD CONSTRAINT `rider_payout_statements_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_payout_statements` ADD CONSTRAINT `rider_payout_statements_approvedById_fkey` FOREIGN KEY (`approvedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_payout_lines` ADD CONSTRAINT `rider_payout_lines_statementId_fkey` FOREIGN KEY (`statementId`) REFERENCES `rider_payout_statements`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `rider_payout_lines` ADD CONSTRAINT `rider_payout_lines_deliveryAssignmentId_fkey` FOREIGN KEY (`deliveryAssignmentId`) REFERENCES `delivery_assignments`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,85 @@
+-- CreateTable
+CREATE TABLE `agency_commission_rules` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `agencyId` INTEGER NULL,
+    `productId` INTEGER NULL,
+    `depotProductVariantId` INTEGER NULL,
+    `appliesTo` ENUM('SUBSCRIPTION', 'VENDOR_ORDER') NULL,
+    `commissionType` ENUM('FLAT_PER_UNIT', 'PERCENT_OF_RATE') NOT NULL,
+    `value` DECIMAL(10, 2) NOT NULL,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `agency_commission_rules_agencyId_active_idx`(`agencyId`, `active`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `agency_settlement_statements` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `agencyId` INTEGER NOT NULL,
+    `periodStart` DATE NOT NULL,
+    `periodEnd` DATE NOT NULL,
+    `status` ENUM('DRAFT', 'FINALISED') NOT NULL DEFAULT 'DRAFT',
+    `subscriptionUnits` INTEGER NOT NULL DEFAULT 0,
+    `subscriptionCommission` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `vendorUnits` INTEGER NOT NULL DEFAULT 0,
+    `vendorCommission` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `grossCommission` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `wastageUnits` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `wastageDeduction` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `notReceivedUnits` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `notReceivedDeduction` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `netAmount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `notes` TEXT NULL,
+    `createdById` INTEGER NULL,
+    `finalisedById` INTEGER NULL,
+    `finalisedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `agency_settlement_statements_periodStart_status_idx`(`periodStart`, `status`),
+    UNIQUE INDEX `agency_settlement_statements_agencyId_periodStart_key`(`agencyId`, `periodStart`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `agency_settlement_lines` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `statementId` INTEGER NOT NULL,
+    `kind` ENUM('SUBSCRIPTION_COMMISSION', 'VENDOR_COMMISSION', 'WASTAGE', 'NOT_RECEIVED') NOT NULL,
+    `productId` INTEGER NULL,
+    `depotProductVariantId` INTEGER NULL,
+    `description` VARCHAR(191) NOT NULL,
+    `units` DECIMAL(10, 2) NOT NULL,
+    `grossValue` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `commissionType` ENUM('FLAT_PER_UNIT', 'PERCENT_OF_RATE') NULL,
+    `commissionValue` DECIMAL(10, 2) NULL,
+    `ruleId` INTEGER NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+
+    INDEX `agency_settlement_lines_statementId_idx`(`statementId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `agency_commission_rules` ADD CONSTRAINT `agency_commission_rules_agencyId_fkey` FOREIGN KEY (`agencyId`) REFERENCES `agencies`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `agency_commission_rules` ADD CONSTRAINT `agency_commission_rules_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `products`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `agency_commission_rules` ADD CONSTRAINT `agency_commission_rules_depotProductVariantId_fkey` FOREIGN KEY (`depotProductVariantId`) REFERENCES `depot_product_variants`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `agency_settlement_statements` ADD CONSTRAINT `agency_settlement_statements_agencyId_fkey` FOREIGN KEY (`agencyId`) REFERENCES `agencies`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `agency_settlement_statements` ADD CONSTRAINT `agency_settlement_statements_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `agency_settlement_statements` ADD CONSTRAINT `agency_settlement_statements_finalisedById_fkey` FOREIGN KEY (`finalisedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `agency_settlement_lines` ADD CONSTRAINT `agency_settlement_lines_statementId_fkey` FOREIGN KEY (`statementId`) REFERENCES `agency_settlement_statements`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `subscriptions` ADD COLUMN `cancelledAt` DATETIME(3) NULL,
+    ADD COLUMN `cancellationReason` VARCHAR(255) NULL;
+
+-- CreateTable
+CREATE TABLE `daily_metric_snapshots` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `date` DATE NOT NULL,
+    `dimension` ENUM('OVERALL', 'DEPOT', 'AGENCY', 'PRODUCT') NOT NULL,
+    `dimensionId` INTEGER NOT NULL DEFAULT 0,
+    `snfRevenue` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `subscriptionRevenue` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `revenue` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `deliveries` INTEGER NOT NULL DEFAULT 0,
+    `activeSubscribers` INTEGER NOT NULL DEFAULT 0,
+    `newSubscribers` INTEGER NOT NULL DEFAULT 0,
+    `churnedSubscribers` INTEGER NOT NULL DEFAULT 0,
+    `reactivatedSubscribers` INTEGER NOT NULL DEFAULT 0,
+    `walletFloat` DECIMAL(12, 2) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `daily_metric_snapshots_dimension_dimensionId_date_idx`(`dimension`, `dimensionId`, `date`),
+    UNIQUE INDEX `daily_metric_snapshots_date_dimension_dimensionId_key`(`date`, `dimension`, `dimensionId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
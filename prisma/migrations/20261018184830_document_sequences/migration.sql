@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE `document_sequence_formats` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `documentType` ENUM('PURCHASE_ORDER', 'PURCHASE', 'WASTAGE', 'TRANSFER', 'SNF_ORDER', 'INVOICE', 'SNF_INVOICE', 'CREDIT_NOTE', 'PURCHASE_PAYMENT') NOT NULL,
+    `depotId` INTEGER NULL,
+    `prefix` VARCHAR(20) NOT NULL DEFAULT '',
+    `reset` ENUM('NEVER', 'FINANCIAL_YEAR', 'CALENDAR_YEAR') NOT NULL DEFAULT 'FINANCIAL_YEAR',
+    `padding` INTEGER NOT NULL DEFAULT 5,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `document_sequence_formats_depotId_idx`(`depotId`),
+    UNIQUE INDEX `document_sequence_formats_documentType_depotId_key`(`documentType`, `depotId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `document_sequences` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `documentType` ENUM('PURCHASE_ORDER', 'PURCHASE', 'WASTAGE', 'TRANSFER', 'SNF_ORDER', 'INVOICE', 'SNF_INVOICE', 'CREDIT_NOTE', 'PURCHASE_PAYMENT') NOT NULL,
+    `depotId` INTEGER NOT NULL DEFAULT 0,
+    `period` VARCHAR(10) NOT NULL,
+    `lastValue` INTEGER NOT NULL DEFAULT 0,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `document_sequences_documentType_depotId_period_key`(`documentType`, `depotId`, `period`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `document_sequence_formats` ADD CONSTRAINT `document_sequence_formats_depotId_fkey` FOREIGN KEY (`depotId`) REFERENCES `depots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `vendor_orders` MODIFY `status` ENUM('DRAFT', 'PENDING', 'DELIVERED', 'RECEIVED') NOT NULL DEFAULT 'PENDING',
+    ADD COLUMN `autoDrafted` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX `vendor_orders_deliveryDate_status_idx` ON `vendor_orders`(`deliveryDate`, `status`);
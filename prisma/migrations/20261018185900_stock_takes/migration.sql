@@ -0,0 +1,62 @@
+-- AlterTable
+ALTER TABLE `stock_ledgers` ADD COLUMN `reason` ENUM('DAMAGED', 'EXPIRED', 'THEFT_OR_LOSS', 'COUNTING_ERROR', 'UNRECORDED_RECEIPT', 'UNRECORDED_ISSUE', 'OTHER') NULL;
+
+-- CreateTable
+CREATE TABLE `stock_takes` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `depotId` INTEGER NOT NULL,
+    `countDate` DATE NOT NULL,
+    `status` ENUM('OPEN', 'SUBMITTED', 'APPROVED', 'CANCELLED') NOT NULL DEFAULT 'OPEN',
+    `notes` TEXT NULL,
+    `openedById` INTEGER NULL,
+    `submittedById` INTEGER NULL,
+    `submittedAt` DATETIME(3) NULL,
+    `approvedById` INTEGER NULL,
+    `approvedAt` DATETIME(3) NULL,
+    `cancelledAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `stock_takes_depotId_status_idx`(`depotId`, `status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `stock_take_lines` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `stockTakeId` INTEGER NOT NULL,
+    `depotProductVariantId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `systemQty` INTEGER NOT NULL,
+    `countedQty` INTEGER NULL,
+    `reason` ENUM('DAMAGED', 'EXPIRED', 'THEFT_OR_LOSS', 'COUNTING_ERROR', 'UNRECORDED_RECEIPT', 'UNRECORDED_ISSUE', 'OTHER') NULL,
+    `remarks` VARCHAR(255) NULL,
+    `countedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `stock_take_lines_depotProductVariantId_idx`(`depotProductVariantId`),
+    UNIQUE INDEX `stock_take_lines_stockTakeId_depotProductVariantId_key`(`stockTakeId`, `depotProductVariantId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `stock_ledgers_module_foreignKey_idx` ON `stock_ledgers`(`module`, `foreignKey`);
+
+-- AddForeignKey
+ALTER TABLE `stock_takes` ADD CONSTRAINT `stock_takes_depotId_fkey` FOREIGN KEY (`depotId`) REFERENCES `depots`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_takes` ADD CONSTRAINT `stock_takes_openedById_fkey` FOREIGN KEY (`openedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_takes` ADD CONSTRAINT `stock_takes_submittedById_fkey` FOREIGN KEY (`submittedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_takes` ADD CONSTRAINT `stock_takes_approvedById_fkey` FOREIGN KEY (`approvedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_take_lines` ADD CONSTRAINT `stock_take_lines_stockTakeId_fkey` FOREIGN KEY (`stockTakeId`) REFERENCES `stock_takes`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_take_lines` ADD CONSTRAINT `stock_take_lines_depotProductVariantId_fkey` FOREIGN KEY (`depotProductVariantId`) REFERENCES `depot_product_variants`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
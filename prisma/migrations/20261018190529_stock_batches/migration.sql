@@ -0,0 +1,71 @@
+-- AlterTable
+ALTER TABLE `products` ADD COLUMN `shelfLifeDays` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `purchase_details` ADD COLUMN `batchNo` VARCHAR(64) NULL,
+    ADD COLUMN `manufactureDate` DATE NULL,
+    ADD COLUMN `expiryDate` DATE NULL;
+
+-- AlterTable
+ALTER TABLE `wastage_details` ADD COLUMN `batchId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `stock_ledgers` ADD COLUMN `batchId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `stock_batches` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `depotId` INTEGER NOT NULL,
+    `depotProductVariantId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `batchNo` VARCHAR(64) NOT NULL,
+    `manufactureDate` DATE NULL,
+    `expiryDate` DATE NULL,
+    `receivedDate` DATE NOT NULL,
+    `purchaseId` INTEGER NULL,
+    `purchaseDetailId` INTEGER NULL,
+    `sourceBatchId` INTEGER NULL,
+    `closingQty` INTEGER NOT NULL DEFAULT 0,
+    `status` ENUM('ACTIVE', 'NEAR_EXPIRY', 'WRITTEN_OFF') NOT NULL DEFAULT 'ACTIVE',
+    `flaggedAt` DATETIME(3) NULL,
+    `writtenOffAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `stock_batches_purchaseDetailId_key`(`purchaseDetailId`),
+    INDEX `stock_batches_depotProductVariantId_expiryDate_idx`(`depotProductVariantId`, `expiryDate`),
+    INDEX `stock_batches_depotId_status_expiryDate_idx`(`depotId`, `status`, `expiryDate`),
+    INDEX `stock_batches_purchaseId_idx`(`purchaseId`),
+    INDEX `stock_batches_sourceBatchId_idx`(`sourceBatchId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `wastage_details_batchId_idx` ON `wastage_details`(`batchId`);
+
+-- CreateIndex
+CREATE INDEX `stock_ledgers_batchId_idx` ON `stock_ledgers`(`batchId`);
+
+-- AddForeignKey
+ALTER TABLE `wastage_details` ADD CONSTRAINT `wastage_details_batchId_fkey` FOREIGN KEY (`batchId`) REFERENCES `stock_batches`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_ledgers` ADD CONSTRAINT `stock_ledgers_batchId_fkey` FOREIGN KEY (`batchId`) REFERENCES `stock_batches`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_batches` ADD CONSTRAINT `stock_batches_depotId_fkey` FOREIGN KEY (`depotId`) REFERENCES `depots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_batches` ADD CONSTRAINT `stock_batches_depotProductVariantId_fkey` FOREIGN KEY (`depotProductVariantId`) REFERENCES `depot_product_variants`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_batches` ADD CONSTRAINT `stock_batches_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `products`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_batches` ADD CONSTRAINT `stock_batches_purchaseId_fkey` FOREIGN KEY (`purchaseId`) REFERENCES `purchases`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_batches` ADD CONSTRAINT `stock_batches_purchaseDetailId_fkey` FOREIGN KEY (`purchaseDetailId`) REFERENCES `purchase_details`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_batches` ADD CONSTRAINT `stock_batches_sourceBatchId_fkey` FOREIGN KEY (`sourceBatchId`) REFERENCES `stock_batches`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `phonepe_transactions` ADD COLUMN `reconcileAttempts` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `nextCheckAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `phonepe_transactions_state_nextCheckAt_idx` ON `phonepe_transactions`(`state`, `nextCheckAt`);
@@ -0,0 +1,61 @@
+/**
+ * Local stand-in for the WhatsApp Cloud API, for exercising the outbox worker.
+ *
+ *   node scripts/whatsAppStubServer.js
+ *
+ * Then point the API at it (any non-graph.facebook.com URL is used as-is):
+ *
+ *   WHATSAPP_URL=http://localhost:4010/messages
+ *   WHATSAPP_TOKEN=stub
+ *   WHATSAPP_PHONE_NUMBER_ID=stub
+ *
+ * Environment:
+ *   WHATSAPP_STUB_PORT         port to listen on (default 4010)
+ *   WHATSAPP_STUB_FAIL_RATE    fraction of requests to fail, 0..1 (default 0)
+ *   WHATSAPP_STUB_FAIL_STATUS  HTTP status for failed requests (default 500; use 400 for a permanent failure)
+ */
+const http = require('http');
+
+const port = parseInt(process.env.WHATSAPP_STUB_PORT || '4010');
+const failRate = parseFloat(process.env.WHATSAPP_STUB_FAIL_RATE || '0');
+const failStatus = parseInt(process.env.WHATSAPP_STUB_FAIL_STATUS || '500');
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    received++;
+    let payload = null;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      payload = body;
+    }
+
+    const fail = Math.random() < failRate;
+    const template = payload?.template?.name || '-';
+    const parameters = (payload?.template?.components || [])
+      .flatMap((component) => (component.parameters || []).map((parameter) => parameter.text));
+    console.log(`#${received} ${req.method} ${req.url} -> ${fail ? failStatus : 200} | to=${payload?.to} template=${template} params=${JSON.stringify(parameters)}`);
+
+    res.setHeader('Content-Type', 'application/json');
+    if (fail) {
+      res.statusCode = failStatus;
+      res.end(JSON.stringify({ error: { message: 'Simulated failure from WhatsApp stub', code: failStatus } }));
+      return;
+    }
+
+    res.statusCode = 200;
+    res.end(JSON.stringify({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: payload?.to, wa_id: payload?.to }],
+      messages: [{ id: `wamid.stub.${Date.now()}.${received}` }],
+    }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`WhatsApp stub listening on http://localhost:${port} (fail rate ${failRate}, fail status ${failStatus})`);
+});
@@ -35,6 +35,7 @@ const stockLedgerRoutes = require("./routes/stockLedgerRoutes");
 const transferRoutes = require("./routes/transferRoutes");
 const productOrderRoutes = require("./routes/productOrderRoutes");
 const invoiceRoutes = require("./routes/invoices");
+const creditNoteRoutes = require("./routes/creditNotes");
 const {
   getPublicProducts,
   getProductById,
@@ -52,6 +53,13 @@ const posRoutes = require("./routes/posRoutes");
 const phonePeRoutes = require("./routes/phonePeRoutes");
 const deliveryPartnerRoutes = require("./routes/deliveryPartnerRoutes");
 const deliveryAssignmentRoutes = require("./routes/deliveryAssignmentRoutes");
+const riderCashRoutes = require("./routes/riderCashRoutes");
+const riderPayoutRoutes = require("./routes/riderPayoutRoutes");
+const agencySettlementRoutes = require("./routes/agencySettlementRoutes");
+const analyticsRoutes = require("./routes/analyticsRoutes");
+const documentSequenceRoutes = require("./routes/documentSequenceRoutes");
+const stockTakeRoutes = require("./routes/stockTakeRoutes");
+const stockBatchRoutes = require("./routes/stockBatchRoutes");
 const deliveryAppRoutes = require("./routes/deliveryAppRoutes");
 
 // --- Authorization helpers ---
@@ -190,7 +198,6 @@ app.use("/api/leads", leadRoutes);
 
 app.use("/api/snf-orders", snfOrderRoutes);
 app.use("/api/product-orders", productOrderRoutes);
-app.use("/api/wastage", wastageRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/cart", authMiddleware, cartRoutes);
@@ -258,6 +265,7 @@ app.use(
   subscriptionRoutes
 );
 app.use("/api/invoices", authMiddleware, invoiceRoutes);
+app.use("/api/credit-notes", authMiddleware, creditNoteRoutes);
 // Mount admin routes WITHOUT global auth so that any public endpoints defined inside (like /categories/public) remain public.
 // Individual admin endpoints already apply authMiddleware at the route level where needed.
 app.use("/api/admin", adminRoutes); // Added for admin routes
@@ -290,7 +298,7 @@ app.use("/api/teams", authMiddleware, allowRoles("ADMIN"), teamRoutes);
 app.use(
   "/api/variant-stocks",
   authMiddleware,
-  allowRoles("ADMIN", "DepotAdmin"),
+  roleGuard("ADMIN", "DepotAdmin"),
   variantStockRoutes
 );
 app.use("/api/depots", depotRoutes);
@@ -303,9 +311,21 @@ app.use(
 app.use(
   "/api/stock-ledgers",
   authMiddleware,
-  allowRoles("ADMIN", "DepotAdmin"),
+  roleGuard("ADMIN", "DepotAdmin"),
   stockLedgerRoutes
 );
+app.use(
+  "/api/stock-takes",
+  authMiddleware,
+  roleGuard("ADMIN", "DepotAdmin"),
+  stockTakeRoutes
+);
+app.use(
+  "/api/stock-batches",
+  authMiddleware,
+  roleGuard("ADMIN", "DepotAdmin"),
+  stockBatchRoutes
+);
 app.use("/api/reports", authMiddleware, roleGuard("ADMIN", "AGENCY", "VENDOR"), reportRoutes);
 app.use("/api/pos", posRoutes);
 app.use("/api/phonepe", phonePeRoutes);
@@ -322,6 +342,36 @@ app.use(
   roleGuard("ADMIN", "DepotAdmin"),
   deliveryAssignmentRoutes
 );
+app.use(
+  "/api/rider-cash",
+  authMiddleware,
+  roleGuard("ADMIN", "DepotAdmin"),
+  riderCashRoutes
+);
+app.use(
+  "/api/rider-payouts",
+  authMiddleware,
+  roleGuard("ADMIN", "DepotAdmin"),
+  riderPayoutRoutes
+);
+app.use(
+  "/api/agency-settlements",
+  authMiddleware,
+  roleGuard("ADMIN", "AGENCY"),
+  agencySettlementRoutes
+);
+app.use(
+  "/api/analytics",
+  authMiddleware,
+  roleGuard("ADMIN", "DepotAdmin"),
+  analyticsRoutes
+);
+app.use(
+  "/api/document-sequences",
+  authMiddleware,
+  roleGuard("ADMIN"),
+  documentSequenceRoutes
+);
 app.use(
   "/api/delivery-app",
   authMiddleware,
@@ -1,5 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
+const { withTenancy } = require('./tenancy');
 
-const prisma = new PrismaClient();
+// Shared client; queries are narrowed to the caller's depot or agency (see tenancy.js)
+const prisma = withTenancy(new PrismaClient());
 
 module.exports = prisma;
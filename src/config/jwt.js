@@ -1,4 +1,8 @@
 module.exports = {
   secret: process.env.JWT_SECRET || "your_jwt_secret",
-  expiresIn: "1y",
+  // Access tokens are short-lived; clients renew them with the refresh token
+  expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
+  refreshTokenTtlDays: parseInt(process.env.JWT_REFRESH_TTL_DAYS || "30", 10),
+  // Sudo-login sessions cannot be refreshed past this
+  sudoSessionMinutes: parseInt(process.env.SUDO_SESSION_MINUTES || "60", 10),
 };
@@ -0,0 +1,264 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const createError = require('http-errors');
+
+/**
+ * Depot and agency tenancy for Prisma queries.
+ *
+ * The auth middleware runs each request inside the user's scope. While a
+ * scope is active, every top-level query on the models below is narrowed to
+ * the user's depot (DepotAdmin) or agency (AGENCY): reads and bulk writes get
+ * the filter ANDed in, single-record lookups by id return nothing, updates and
+ * deletes of other depots' rows fail with 404, and creates for another depot
+ * are refused with 403. Admins, members and background jobs run unscoped.
+ *
+ * Relations loaded through include/select are not narrowed; scoping applies
+ * to queries made directly on a scoped model. Detail rows without a depot of
+ * their own are scoped through their parent document.
+ */
+
+const storage = new AsyncLocalStorage();
+
+const fieldFilter = (fields, ids) =>
+  fields.length === 1
+    ? { [fields[0]]: { in: ids } }
+    : { OR: fields.map((field) => ({ [field]: { in: ids } })) };
+
+// Model -> { field holding the owning depot: its relation }. A row is in scope
+// when any of the fields matches.
+const DEPOT_FIELDS = {
+  Purchase: { depotId: 'depot' },
+  Wastage: { depotId: 'depot' },
+  Transfer: { fromDepotId: 'fromDepot', toDepotId: 'toDepot' },
+  StockLedger: { depotId: 'depot' },
+  VariantStock: { depotId: 'depot' },
+  StockReservation: { depotId: 'depot' },
+  SNFOrder: { depotId: 'depot' },
+  DeliveryScheduleEntry: { depotId: 'Depot' },
+  DeliveryAssignment: { depotId: 'depot' },
+  RiderCashEntry: { depotId: 'depot' },
+  RiderCashHandover: { depotId: 'depot' },
+  DeliveryDispute: { depotId: 'depot' },
+  RiderPayRule: { depotId: 'depot' },
+  RiderPayoutStatement: { depotId: 'depot' },
+  StockTake: { depotId: 'depot' },
+  StockBatch: { depotId: 'depot' },
+  DepotProductVariant: { depotId: 'depot' },
+};
+
+const depotFilter = (model, ids) => fieldFilter(Object.keys(DEPOT_FIELDS[model]), ids);
+
+const throughParent = (relation, parent) => (ids) => ({ [relation]: { is: depotFilter(parent, ids) } });
+
+// Model -> (depot ids) => filter, for rows that belong to a depot through the
+// document they are part of. Creates are not checked: the parent may not be
+// committed yet in the caller's transaction, and is itself scoped.
+const DEPOT_PARENTS = {
+  PurchaseDetail: throughParent('purchase', 'Purchase'),
+  WastageDetail: throughParent('wastage', 'Wastage'),
+  TransferDetail: throughParent('transfer', 'Transfer'),
+  // A payment is linked to one purchase, or settles several through its details
+  PurchasePayment: (ids) => ({
+    OR: [
+      throughParent('Purchase', 'Purchase')(ids),
+      { details: { some: throughParent('purchase', 'Purchase')(ids) } },
+    ],
+  }),
+};
+
+// Model -> { field holding the owning agency: its relation }
+const AGENCY_FIELDS = {
+  DeliveryScheduleEntry: { agentId: 'agent' },
+  Subscription: { agencyId: 'agency' },
+  AgencySettlementStatement: { agencyId: 'agency' },
+};
+
+const WHERE_OPERATIONS = new Set([
+  'findMany', 'findFirst', 'findFirstOrThrow', 'count', 'aggregate', 'groupBy', 'updateMany', 'deleteMany',
+]);
+const UNIQUE_OPERATIONS = new Set(['findUnique', 'findUniqueOrThrow', 'update', 'delete', 'upsert']);
+
+/**
+ * Scope for a user, or null when the user sees every depot.
+ * A DepotAdmin or agency user without a depot/agency gets an empty scope and
+ * so sees nothing.
+ *
+ * @param {Object} user - req.user (agencyId attached by the auth middleware)
+ * @returns {{ depotIds?: number[], agencyIds?: number[] }|null}
+ */
+const scopeForUser = (user) => {
+  if (!user) return null;
+  if (user.role === 'DepotAdmin') {
+    return { depotIds: user.depotId ? [user.depotId] : [] };
+  }
+  if (user.role === 'AGENCY') {
+    return { agencyIds: user.agencyId ? [user.agencyId] : [] };
+  }
+  return null;
+};
+
+/** Scope of the current request, or null. */
+const currentScope = () => storage.getStore() || null;
+
+/**
+ * Run fn (and everything it awaits) inside the user's scope.
+ * @param {Object} user
+ * @param {Function} fn
+ */
+const runWithUser = (user, fn) => storage.run(scopeForUser(user), fn);
+
+/**
+ * Run fn unscoped. For work that must see every depot's rows even during a
+ * depot admin's request, such as document number sequences, or the other leg
+ * of a transfer once the caller has checked they own one side.
+ *
+ * @param {Function} fn
+ * @returns {*} What fn returns
+ */
+const withoutTenancy = (fn) => storage.run(null, fn);
+
+/**
+ * Throw 403 unless the current scope covers at least one of the depots.
+ * Use before withoutTenancy() work that spans depots.
+ *
+ * @param {...number} depotIds
+ */
+const requireDepotAccess = (...depotIds) => {
+  const scope = currentScope();
+  if (!scope || !scope.depotIds) return;
+  if (!depotIds.some((id) => scope.depotIds.includes(id))) {
+    throw createError(403, 'You do not have access to this depot');
+  }
+};
+
+const fieldRule = (relations, ids, label) => {
+  const fields = Object.keys(relations);
+  return { relations, fields, ids, label, filter: fieldFilter(fields, ids) };
+};
+
+// Rules that apply to a model under a scope: [{ relations, fields, ids, label, filter }]
+const rulesFor = (model, scope) => {
+  const rules = [];
+  if (scope.depotIds && DEPOT_FIELDS[model]) {
+    rules.push(fieldRule(DEPOT_FIELDS[model], scope.depotIds, 'depot'));
+  }
+  if (scope.depotIds && DEPOT_PARENTS[model]) {
+    const filter = DEPOT_PARENTS[model](scope.depotIds);
+    rules.push({ relations: {}, fields: [], ids: scope.depotIds, label: 'depot', filter });
+  }
+  if (scope.agencyIds && AGENCY_FIELDS[model]) {
+    rules.push(fieldRule(AGENCY_FIELDS[model], scope.agencyIds, 'agency'));
+  }
+  return rules;
+};
+
+// Owner a create sets through the scalar field or a relation connect
+const ownerOf = (data, field, relation) => {
+  if (data[field] !== undefined && data[field] !== null) return data[field];
+  return data[relation]?.connect?.id ?? null;
+};
+
+// New rows must belong to the scope; single-field models get it filled in
+const checkCreateData = (model, data, rules) => {
+  if (!data) return data;
+  const checked = { ...data };
+  for (const { relations, fields, ids, label } of rules) {
+    // Scoped through a parent, which is checked where it is created
+    if (fields.length === 0) continue;
+    const given = fields.map((field) => ownerOf(checked, field, relations[field])).filter((value) => value !== null);
+    const usesRelation = fields.some((field) => checked[relations[field]] !== undefined);
+    if (given.length === 0 && !usesRelation && fields.length === 1 && ids.length === 1) {
+      checked[fields[0]] = ids[0];
+      continue;
+    }
+    if (!given.some((value) => ids.includes(value))) {
+      throw createError(403, `You can only create ${model} records for your own ${label}`);
+    }
+  }
+  return checked;
+};
+
+// Rows cannot be moved out of the scope (Transfer keeps its own checks)
+const checkUpdateData = (model, data, rules) => {
+  if (!data) return;
+  for (const { fields, ids, label } of rules) {
+    if (fields.length !== 1) continue;
+    const value = data[fields[0]];
+    if (value !== undefined && (typeof value !== 'number' || !ids.includes(value))) {
+      throw createError(403, `You can only assign ${model} records to your own ${label}`);
+    }
+  }
+};
+
+const notFound = (model) => {
+  const error = createError(404, `${model} not found`);
+  // Callers that map Prisma's record-not-found code keep working
+  error.code = 'P2025';
+  return error;
+};
+
+/**
+ * Prisma client extension applying the current scope. Install once on the
+ * shared client (config/db).
+ *
+ * @param {import('@prisma/client').PrismaClient} client
+ * @returns {import('@prisma/client').PrismaClient} Extended client
+ */
+const withTenancy = (client) =>
+  client.$extends({
+    name: 'tenancy',
+    query: {
+      $allModels: {
+        async $allOperations({ model, operation, args, query }) {
+          const scope = currentScope();
+          const rules = scope ? rulesFor(model, scope) : [];
+          if (rules.length === 0) {
+            return query(args);
+          }
+
+          const filter = { AND: rules.map((rule) => rule.filter) };
+          const scopedArgs = { ...(args || {}) };
+
+          if (WHERE_OPERATIONS.has(operation)) {
+            scopedArgs.where = scopedArgs.where ? { AND: [scopedArgs.where, filter] } : filter;
+          } else if (UNIQUE_OPERATIONS.has(operation)) {
+            // Unique lookups accept extra filters next to the unique field
+            const existingAnd = scopedArgs.where?.AND;
+            scopedArgs.where = {
+              ...scopedArgs.where,
+              AND: [...(Array.isArray(existingAnd) ? existingAnd : existingAnd ? [existingAnd] : []), filter],
+            };
+          }
+
+          if (operation === 'create') {
+            scopedArgs.data = checkCreateData(model, scopedArgs.data, rules);
+          } else if (operation === 'createMany') {
+            const rows = Array.isArray(scopedArgs.data) ? scopedArgs.data : [scopedArgs.data];
+            scopedArgs.data = rows.map((row) => checkCreateData(model, row, rules));
+          } else if (operation === 'upsert') {
+            scopedArgs.create = checkCreateData(model, scopedArgs.create, rules);
+            checkUpdateData(model, scopedArgs.update, rules);
+          } else if (operation === 'update' || operation === 'updateMany') {
+            checkUpdateData(model, scopedArgs.data, rules);
+          }
+
+          try {
+            return await query(scopedArgs);
+          } catch (error) {
+            if (error.code === 'P2025') {
+              throw notFound(model);
+            }
+            throw error;
+          }
+        },
+      },
+    },
+  });
+
+module.exports = {
+  scopeForUser,
+  currentScope,
+  runWithUser,
+  withoutTenancy,
+  requireDepotAccess,
+  withTenancy,
+};
@@ -1,6 +1,6 @@
-const { PrismaClient, DeliveryStatus } = require('@prisma/client');
-const walletService = require('../../services/walletService');
-const prisma = new PrismaClient();
+const { DeliveryStatus } = require('@prisma/client');
+const { changeEntryStatus, Source } = require('../../services/deliveryLifecycleService');
+const prisma = require('../../config/db');
 
 /**
  * Admin-specific delivery status update with additional business logic
@@ -25,190 +25,27 @@ const updateDeliveryStatus = async (req, res) => {
   }
 
   try {
-    // Get the full delivery entry with all necessary details
-    const deliveryEntry = await prisma.deliveryScheduleEntry.findUnique({
-      where: { id: id },
-      include: {
-        subscription: {
-          select: {
-            id: true,
-            agencyId: true,
-            rate: true,
-            qty: true,
-            memberId: true,
-            member: {
-              select: {
-                id: true,
-                name: true,
-                walletBalance: true
-              }
-            }
-          },
-        },
-        product: {
-          select: {
-            id: true,
-            name: true,
-          }
-        },
-        member: {
-          select: {
-            id: true,
-            name: true,
-            user: {
-              select: {
-                id: true,
-                name: true,
-                email: true,
-                mobile: true
-              }
-            }
-          },
-        },
-      },
-    });
-
-    if (!deliveryEntry) {
-      return res.status(404).json({ error: 'Delivery entry not found' });
-    }
-
-    // Handle business logic for different status values
-    let walletTransaction = null;
-    let statusUpdateData = {
-      status: status,
+    const entryData = {
       adminNotes: notes || null
     };
 
     // For admin updates, we can optionally set the agentId if specified in the request
     // This allows admins to assign deliveries to specific agencies
     if (req.body.agentId) {
-      statusUpdateData.agentId = parseInt(req.body.agentId, 10);
-    }
-
-    switch (status) {
-      case 'SKIPPED':
-      case 'SKIP_BY_CUSTOMER':
-        // Calculate refund amount and credit to wallet
-        const refundAmount = walletService.calculateRefundAmount(deliveryEntry);
-
-        if (refundAmount > 0) {
-          const referenceNumber = `ADMIN_DELIVERY_${deliveryEntry.id}`;
-          const dayjs = require('dayjs');
-          const formattedDate = dayjs(deliveryEntry.deliveryDate).format('DD/MM/YYYY');
-          const transactionNotes = notes ?
-            `Admin: ${notes} - Credit for skipped delivery on ${formattedDate}` :
-            `Credit for skipped delivery on ${formattedDate} - Admin processed - Order ID: ${deliveryEntry.subscription.id}`;
-
-          walletTransaction = await walletService.creditWallet(
-            deliveryEntry.subscription.memberId,
-            refundAmount,
-            referenceNumber,
-            transactionNotes,
-            req.user.id // Admin user who processed this
-          );
-
-          // Link the wallet transaction to the delivery entry
-          if (walletTransaction) {
-            statusUpdateData.walletTransactionId = walletTransaction.id;
-          }
-        }
-        break;
-
-      case 'NOT_DELIVERED':
-        // Calculate refund amount and credit to wallet
-        const notDeliveredRefundAmount = walletService.calculateRefundAmount(deliveryEntry);
-
-        if (notDeliveredRefundAmount > 0) {
-          // Use a different reference prefix to distinguish from skips
-          const referenceNumber = `ADMIN_ND_REFUND_${deliveryEntry.id}`;
-          const dayjs = require('dayjs');
-          const formattedDate = dayjs(deliveryEntry.deliveryDate).format('DD/MM/YYYY');
-          const transactionNotes = notes ?
-            `Admin: ${notes} - Refund for undelivered item on ${formattedDate}` :
-            `Refund for undelivered item on ${formattedDate} - Admin processed - Order ID: ${deliveryEntry.subscription.id}`;
-
-          walletTransaction = await walletService.creditWallet(
-            deliveryEntry.subscription.memberId,
-            notDeliveredRefundAmount,
-            referenceNumber,
-            transactionNotes,
-            req.user.id // Admin user who processed this
-          );
-
-          // Link the wallet transaction to the delivery entry
-          if (walletTransaction) {
-            statusUpdateData.walletTransactionId = walletTransaction.id;
-          }
-        }
-        break;
-
-      case 'INDRAAI_DELIVERY':
-        // Special handling for Indraai delivery
-        // Could include notifications, special tracking, etc.
-        console.log(`Admin ${req.user.name} marked delivery ${id} as INDRAAI_DELIVERY`);
-        break;
-
-      case 'TRANSFER_TO_AGENT':
-        // Special handling for agent delivery
-        // Could include agent assignment, notifications, etc.
-        console.log(`Admin ${req.user.name} marked delivery ${id} as TRANSFER_TO_AGENT`);
-        break;
-
-      default:
-        // Standard status updates
-        break;
+      entryData.agentId = parseInt(req.body.agentId, 10);
     }
 
-    // Update the delivery status
-    const updatedDeliveryEntry = await prisma.deliveryScheduleEntry.update({
-      where: { id: id },
-      data: statusUpdateData,
-      include: {
-        product: {
-          select: {
-            id: true,
-            name: true,
-          },
-        },
-        member: {
-          select: {
-            id: true,
-            name: true,
-            walletBalance: true,
-            user: {
-              select: {
-                id: true,
-                name: true,
-                email: true,
-                mobile: true,
-              }
-            }
-          },
-        },
-        deliveryAddress: {
-          select: {
-            id: true,
-            recipientName: true,
-            mobile: true,
-            plotBuilding: true,
-            streetArea: true,
-            landmark: true,
-            pincode: true,
-            city: true,
-            state: true,
-            label: true,
-          },
-        },
-        subscription: {
-          select: {
-            id: true,
-            agencyId: true,
-            rate: true,
-            qty: true,
-            deliveryInstructions: true,
-          },
-        },
-      }
+    // Refunds, assignment sync, notifications and history are handled by the lifecycle service
+    const { entry: updatedDeliveryEntry, walletTransaction } = await changeEntryStatus(id, status, {
+      source: Source.ADMIN,
+      actorId: req.user.id,
+      reason: notes || null,
+      entryData,
+      // Delivering on the rider's behalf is a supervised override
+      override: {
+        reason: notes,
+        photoUrl: req.file ? `/uploads/${req.file.filename}` : null,
+      },
     });
 
     // Prepare response with additional information for admin
@@ -231,71 +68,15 @@ const updateDeliveryStatus = async (req, res) => {
       }
     };
 
-    // Send WhatsApp Delivery Notification if status is DELIVERED
-    if (status === 'DELIVERED') {
-      try {
-        const user = updatedDeliveryEntry.member?.user;
-        if (user && user.mobile) {
-          const { sendDeliveryWhatsAppMessage } = require('../../services/whatsAppService');
-          await sendDeliveryWhatsAppMessage(user, updatedDeliveryEntry);
-        }
-      } catch (waError) {
-        console.error('Failed to send delivery confirmation WhatsApp message:', waError);
-      }
-    } else if (status === 'SKIP_BY_CUSTOMER' || status === 'SKIPPED') {
-      try {
-        const user = updatedDeliveryEntry.member?.user;
-        if (user && user.mobile) {
-          const { sendSkipDeliveryWhatsAppMessage, sendWalletCreditWhatsAppMessage } = require('../../services/whatsAppService');
-          const dayjs = require('dayjs');
-          const skipData = {
-            date: dayjs(updatedDeliveryEntry.deliveryDate).format('DD/MM/YYYY'),
-            refundAmount: walletTransaction?.amount || 0
-          };
-          await sendSkipDeliveryWhatsAppMessage(user, skipData);
-
-          // Also send wallet_credit notification if refund was successful
-          if (walletTransaction && walletTransaction.amount > 0) {
-            await sendWalletCreditWhatsAppMessage(
-              user,
-              walletTransaction.amount,
-              `SUB-${updatedDeliveryEntry.subscription.id}`
-            );
-          }
-        }
-      } catch (waError) {
-        console.error('Failed to send skip delivery confirmation WhatsApp message:', waError);
-      }
-    } else if (status === 'NOT_DELIVERED') {
-      try {
-        const user = updatedDeliveryEntry.member?.user;
-        if (user && user.mobile) {
-          const { sendNotDeliveredWhatsAppMessage, sendWalletCreditWhatsAppMessage } = require('../../services/whatsAppService');
-          const failData = {
-            orderNo: `SUB-${updatedDeliveryEntry.subscription.id}`,
-            reason: notes || updatedDeliveryEntry.adminNotes || "Delivery attempt failed.",
-            refundAmount: walletTransaction?.amount || 0
-          };
-          await sendNotDeliveredWhatsAppMessage(user, failData);
-
-          // Also send wallet_credit notification if refund was successful
-          if (walletTransaction && walletTransaction.amount > 0) {
-            await sendWalletCreditWhatsAppMessage(
-              user,
-              walletTransaction.amount,
-              `SUB-${updatedDeliveryEntry.subscription.id}`
-            );
-          }
-        }
-      } catch (waError) {
-        console.error('Failed to send not delivered confirmation WhatsApp message:', waError);
-      }
-    }
-
     res.status(200).json(response);
   } catch (error) {
     console.error('Error updating delivery status (Admin):', error);
 
+    // Invalid transitions and other lifecycle errors carry their own status
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     // Handle specific Prisma errors
     if (error.code === 'P2025') {
       return res.status(404).json({ error: 'Delivery entry not found for update.' });
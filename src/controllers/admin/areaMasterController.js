@@ -2,13 +2,20 @@ const asyncHandler = require('express-async-handler');
 const prisma = require('../../config/db'); // Prisma Client
 const { DeliveryType } = require('@prisma/client'); // Import DeliveryType enum
 
+// deliveryFee / freeDeliveryAbove: '' or null clears the rule, otherwise a non-negative amount
+const parseFeeAmount = (value) => {
+  if (value === null || value === '') return null;
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : NaN;
+};
+
 /**
  * @desc    Create a new AreaMaster
  * @route   POST /api/admin/areamasters
  * @access  Private/Admin
  */
 const createAreaMaster = asyncHandler(async (req, res) => {
-  const { name, pincodes, depotId, deliveryType, isDairyProduct, cityId } = req.body;
+  const { name, pincodes, depotId, deliveryType, isDairyProduct, cityId, deliveryFee, freeDeliveryAbove } = req.body;
 
   if (!name || !pincodes || !deliveryType) {
     res.status(400);
@@ -49,6 +56,15 @@ const createAreaMaster = asyncHandler(async (req, res) => {
     data.cityId = null;
   }
 
+  for (const [field, value] of Object.entries({ deliveryFee, freeDeliveryAbove })) {
+    if (value === undefined) continue;
+    data[field] = parseFeeAmount(value);
+    if (Number.isNaN(data[field])) {
+      res.status(400);
+      throw new Error(`Invalid ${field}. Must be a non-negative amount.`);
+    }
+  }
+
   const areaMaster = await prisma.areaMaster.create({
     data,
   });
@@ -168,7 +184,7 @@ const getAreaMasterById = asyncHandler(async (req, res) => {
  */
 const updateAreaMaster = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, pincodes, depotId, deliveryType, isDairyProduct, cityId } = req.body;
+  const { name, pincodes, depotId, deliveryType, isDairyProduct, cityId, deliveryFee, freeDeliveryAbove } = req.body;
 
   if (deliveryType && !Object.values(DeliveryType).includes(deliveryType)) {
     res.status(400);
@@ -208,6 +224,15 @@ const updateAreaMaster = asyncHandler(async (req, res) => {
     }
   }
 
+  for (const [field, value] of Object.entries({ deliveryFee, freeDeliveryAbove })) {
+    if (value === undefined) continue;
+    dataToUpdate[field] = parseFeeAmount(value);
+    if (Number.isNaN(dataToUpdate[field])) {
+      res.status(400);
+      throw new Error(`Invalid ${field}. Must be a non-negative amount.`);
+    }
+  }
+
   try {
     const updatedAreaMaster = await prisma.areaMaster.update({
       where: { id: parseInt(id) },
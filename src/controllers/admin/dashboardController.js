@@ -1,20 +1,20 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../../config/db');
 const createError = require('http-errors');
+const { scopeForUser } = require('../../config/tenancy');
 
 // Get Dashboard Statistics
 exports.getDashboardStats = async (req, res, next) => {
   try {
     const role = (req.user?.role || '').toUpperCase();
-    const userDepotId = req.user?.depotId;
     const type = (req.query.type || 'all').toLowerCase(); // 'indraai', 'snf', or 'all'
 
     // Build base filters for role-based access
     const whereConditions = {};
     
-    // For DEPOT_ADMIN users, filter by their depot
-    if ((role === 'DEPOT_ADMIN' || role === 'DEPOTADMIN' || role.includes('DEPOT')) && userDepotId) {
-      whereConditions.depotId = userDepotId;
+    // Depot admins see their own depot (nothing at all when none is assigned)
+    const scope = scopeForUser(req.user);
+    if (scope?.depotIds) {
+      whereConditions.depotId = scope.depotIds[0] ?? -1;
     }
 
     // For AGENCY users, filter by their agency ID
@@ -89,7 +89,7 @@ exports.getDashboardStats = async (req, res, next) => {
     let dashboardScope = type !== 'all' ? type : 'global';
     if (role === 'AGENCY') {
         dashboardScope = 'agency';
-    } else if (role === 'DEPOT_ADMIN' || role === 'DEPOTADMIN' || role.includes('DEPOT')) {
+    } else if (scope?.depotIds) {
         dashboardScope = 'depot';
     }
 
@@ -374,16 +374,16 @@ function calculatePercentageChange(current, previous) {
 exports.getRecentActivities = async (req, res, next) => {
   try {
     const role = (req.user?.role || '').toUpperCase();
-    const userDepotId = req.user?.depotId;
     const limit = parseInt(req.query.limit) || 10;
     const type = (req.query.type || 'all').toLowerCase();
 
     // Build base filters for role-based access
     const whereConditions = {};
     
-    // For DEPOT_ADMIN users, filter by their depot
-    if ((role === 'DEPOT_ADMIN' || role === 'DEPOTADMIN' || role.includes('DEPOT')) && userDepotId) {
-      whereConditions.depotId = userDepotId;
+    // Depot admins see their own depot (nothing at all when none is assigned)
+    const scope = scopeForUser(req.user);
+    if (scope?.depotIds) {
+      whereConditions.depotId = scope.depotIds[0] ?? -1;
     }
 
     // For AGENCY users, filter by their agency ID
@@ -1,6 +1,5 @@
 const { z } = require('zod');
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../../config/db');
 const bcrypt = require('bcryptjs');
 const createError = require('http-errors');
 const validateRequest = require('../../utils/validateRequest');
@@ -13,6 +12,13 @@ const depotSchema = z.object({
   contactPerson: z.string().max(255).optional().nullable(),
   contactNumber: z.string().max(20).optional().nullable(),
   isOnline: z.boolean().optional(),
+  pauseCompensation: z.enum(['WALLET_CREDIT', 'EXTEND_EXPIRY']).optional(),
+  latitude: z.number().min(-90).max(90).optional().nullable(),
+  longitude: z.number().min(-180).max(180).optional().nullable(),
+  // SNF delivery fee for this depot; area-level fees take precedence
+  deliveryFee: z.number().min(0).optional().nullable(),
+  freeDeliveryAbove: z.number().min(0).optional().nullable(),
+  codShortfallBearer: z.enum(['CUSTOMER', 'RIDER']).optional(),
 });
 
 // Schema to create depot along with admin user details
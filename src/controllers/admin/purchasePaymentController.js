@@ -1,5 +1,6 @@
 const asyncHandler = require('express-async-handler');
 const prisma = require('../../config/db'); // Prisma Client
+const { nextNumber } = require('../../services/documentSequenceService');
 
 /**
  * @desc    Create a Purchase Payment with its details
@@ -38,27 +39,10 @@ const createPurchasePayment = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Generate payment number: YYYY-xxxxx where x is incremented among existing numbers for this year
-    const currentYear = new Date().getFullYear();
-    const lastPayment = await prisma.purchasePayment.findFirst({
-      where: {
-        paymentno: { not: null, startsWith: `${currentYear}-` },
-      },
-      orderBy: { paymentno: 'desc' },
-      select: { paymentno: true },
-    });
-
-    let seq = 1;
-    if (lastPayment?.paymentno) {
-      const prevSeq = parseInt(lastPayment.paymentno.split('-')[1] || '0', 10);
-      if (!isNaN(prevSeq)) seq = prevSeq + 1;
-    }
-
-    const paymentno = `${currentYear}-${seq.toString().padStart(5, '0')}`;
-
-    const purchasePayment = await prisma.purchasePayment.create({
+    // Payment numbers (YYYY-xxxxx) are taken in the same transaction as the payment
+    const purchasePayment = await prisma.$transaction(async (tx) => tx.purchasePayment.create({
       data: {
-        paymentno,
+        paymentno: await nextNumber('PURCHASE_PAYMENT', { tx }),
         paymentDate: new Date(paymentDate),
         vendorId: parseInt(vendorId),
         mode,
@@ -73,7 +57,7 @@ const createPurchasePayment = asyncHandler(async (req, res) => {
         },
       },
       include: { details: true },
-    });
+    }));
 
     // Update paidAmt for each purchase involved
     const amountMap = {};
@@ -1,8 +1,31 @@
 const asyncHandler = require('express-async-handler');
 const prisma = require('../../config/db');
 const { generateAndAttachInvoiceToSNFOrder } = require('../../services/snfInvoiceService');
+const { releaseOrderReservations, restoreOrderReservations } = require('../../services/stockReservationService');
+const { reverseRedemption } = require('../../services/couponService');
 const path = require('path');
 
+// Payment statuses under which an order gives up its stock reservations
+const RELEASING_PAYMENT_STATUSES = ['FAILED', 'CANCELLED'];
+
+// Update an order's payment fields. A cancelled or unpaid order no longer holds
+// stock or a coupon use; one restored from there needs its stock again, or the
+// change is refused.
+const updateOrderPayment = (id, data, include) => prisma.$transaction(async (tx) => {
+  await tx.$queryRaw`SELECT id FROM snf_orders WHERE id = ${id} FOR UPDATE`;
+  const current = await tx.sNFOrder.findUnique({ where: { id }, select: { paymentStatus: true } });
+
+  const order = await tx.sNFOrder.update({ where: { id }, data, include });
+
+  if (RELEASING_PAYMENT_STATUSES.includes(data.paymentStatus)) {
+    await releaseOrderReservations(id, `PAYMENT_${data.paymentStatus}`, tx);
+    await reverseRedemption({ snfOrderId: id }, `PAYMENT_${data.paymentStatus}`, tx);
+  } else if (data.paymentStatus && RELEASING_PAYMENT_STATUSES.includes(current.paymentStatus)) {
+    await restoreOrderReservations(id, tx);
+  }
+  return order;
+});
+
 /**
  * @desc    List SNF orders with pagination, search and sorting
  * @route   GET /api/admin/snf-orders
@@ -105,6 +128,7 @@ const getSNFOrderById = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Mark an SNF order as PAID with optional payment details
+ *          A failed or cancelled order reserves its stock again (409 when it is short)
  * @route   PATCH /api/admin/snf-orders/:id/mark-paid
  * @access  Private/Admin
  */
@@ -130,11 +154,7 @@ const markSNFOrderAsPaid = asyncHandler(async (req, res) => {
     paymentDate: paymentDate ? new Date(paymentDate) : null,
   };
 
-  const updated = await prisma.sNFOrder.update({
-    where: { id },
-    data: updateData,
-    include: { items: true, member: true, depot: true },
-  });
+  const updated = await updateOrderPayment(id, updateData, { items: true, member: true, depot: true });
 
   res.status(200).json(updated);
 });
@@ -142,6 +162,8 @@ const markSNFOrderAsPaid = asyncHandler(async (req, res) => {
 /**
  * @desc    Partially update SNF order (admin)
  *          Allowed fields: paymentStatus, paymentMode, paymentRefNo, paymentDate
+ *          A FAILED or CANCELLED payment releases the order's stock; moving it
+ *          back reserves the stock again (409 when it is short)
  * @route   PATCH /api/admin/snf-orders/:id
  * @access  Private/Admin
  */
@@ -176,11 +198,7 @@ const updateSNFOrder = asyncHandler(async (req, res) => {
     throw new Error('No valid fields to update');
   }
 
-  const updated = await prisma.sNFOrder.update({
-    where: { id },
-    data,
-    include: { items: true, member: true },
-  });
+  const updated = await updateOrderPayment(id, data, { items: true, member: true });
 
   res.status(200).json(updated);
 });
@@ -1,5 +1,6 @@
 const { PrismaClient, TransactionStatus, TransactionType } = require('@prisma/client');
 const prisma = new PrismaClient();
+const walletService = require('../../services/walletService');
 
 /**
  * @desc Get all member wallet balances
@@ -243,25 +244,15 @@ exports.addFundsToWallet = async (req, res, next) => {
       return res.status(404).json({ success: false, message: `Member with ID ${memberIdInt} not found.` });
     }
 
-    const result = await prisma.$transaction(async (tx) => {
-      const updatedMember = await tx.member.update({
-        where: { id: memberIdInt },
-        data: { walletBalance: { increment: amountFloat } },
-      });
-
-      const transaction = await tx.walletTransaction.create({
-        data: {
-          memberId: memberIdInt,
-          type: 'CREDIT',
-          amount: amountFloat,
-          status: TransactionStatus.PAID,
-          paymentMethod,
-          referenceNumber,
-          notes,
-          processedByAdminId: adminId,
-        },
-      });
-      return { updatedMember, transaction };
+    const result = await walletService.postWalletMovement({
+      memberId: memberIdInt,
+      type: TransactionType.CREDIT,
+      amount: amountFloat,
+      account: walletService.LedgerAccount.FUNDS_RECEIVED,
+      paymentMethod,
+      referenceNumber,
+      notes,
+      processedByAdminId: adminId,
     });
 
     // Trigger WhatsApp notification for wallet credit
@@ -275,7 +266,8 @@ exports.addFundsToWallet = async (req, res, next) => {
         await sendWalletCreditWhatsAppMessage(
           memberWithUser.user,
           amountFloat,
-          referenceNumber || 'N/A'
+          referenceNumber || 'N/A',
+          { businessKey: `wallet_credit:transaction:${result.walletTransaction.id}` }
         );
       }
     } catch (waError) {
@@ -284,10 +276,10 @@ exports.addFundsToWallet = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      message: `Successfully added ${amountFloat} to member ${memberIdInt}'s wallet. New balance: ${result.updatedMember.walletBalance}`,
+      message: `Successfully added ${amountFloat} to member ${memberIdInt}'s wallet. New balance: ${result.balance}`,
       data: {
-        balance: result.updatedMember.walletBalance,
-        transaction: result.transaction,
+        balance: result.balance,
+        transaction: result.walletTransaction,
       },
     });
   } catch (error) {
@@ -353,23 +345,21 @@ exports.approveWalletTransaction = async (req, res, next) => {
       }
       const memberIdForWallet = member.id; // This is Member.id
 
-      // 3. Update the member's wallet balance
-      const updatedMember = await tx.member.update({
-        where: { id: memberIdForWallet },
-        data: { walletBalance: { increment: pendingTransaction.amount } },
-      });
-
-      // 4. Update the transaction: set status to PAID, and set admin
-      const approvedTransaction = await tx.walletTransaction.update({
-        where: { id: transactionIdInt },
-        data: {
-          status: TransactionStatus.PAID,
-          processedByAdminId: adminUserId, // Record admin who approved (schema change)
+      // 3. Settle the transaction: set status to PAID, record the admin and post it to the ledger
+      const { walletTransaction: approvedTransaction, balance } = await walletService.postWalletMovement({
+        memberId: memberIdForWallet,
+        type: TransactionType.CREDIT,
+        amount: pendingTransaction.amount,
+        account: walletService.LedgerAccount.FUNDS_RECEIVED,
+        processedByAdminId: adminUserId, // Record admin who approved (schema change)
+        walletTransactionId: transactionIdInt,
+        transactionData: {
           paymentMethod: paymentMethod || pendingTransaction.paymentMethod, // Keep original if not provided by admin
           referenceNumber: referenceNumber || pendingTransaction.referenceNumber,
           notes: notes || pendingTransaction.notes,
         },
-      });
+      }, tx);
+      const updatedMember = { id: memberIdForWallet, walletBalance: balance };
 
       return { approvedTransaction, updatedMember };
     });
@@ -385,7 +375,8 @@ exports.approveWalletTransaction = async (req, res, next) => {
         await sendWalletCreditWhatsAppMessage(
           memberWithUser.user,
           result.approvedTransaction.amount,
-          result.approvedTransaction.referenceNumber || 'N/A'
+          result.approvedTransaction.referenceNumber || 'N/A',
+          { businessKey: `wallet_credit:transaction:${result.approvedTransaction.id}` }
         );
       }
     } catch (waError) {
@@ -439,43 +430,28 @@ exports.removeFundsFromWallet = async (req, res, next) => {
       return res.status(404).json({ success: false, message: `Member with ID ${memberIdInt} not found.` });
     }
 
-    const result = await prisma.$transaction(async (tx) => {
-      const memberRecord = await tx.member.findUnique({ where: { id: memberIdInt } });
-      if (memberRecord.walletBalance < amountFloat) {
-        throw new Error(`Insufficient funds. Current balance: ${memberRecord.walletBalance}, tried to remove: ${amountFloat}.`);
-      }
-
-      const updatedMember = await tx.member.update({
-        where: { id: memberIdInt },
-        data: { walletBalance: { decrement: amountFloat } },
-      });
-
-      const transaction = await tx.walletTransaction.create({
-        data: {
-          memberId: memberIdInt,
-          type: 'DEBIT',
-          amount: amountFloat,
-          status: TransactionStatus.PAID,
-          paymentMethod,
-          referenceNumber,
-          notes,
-          processedByAdminId: adminId,
-        },
-      });
-      return { updatedMember, transaction };
+    const result = await walletService.postWalletMovement({
+      memberId: memberIdInt,
+      type: TransactionType.DEBIT,
+      amount: amountFloat,
+      account: walletService.LedgerAccount.ADJUSTMENTS,
+      paymentMethod,
+      referenceNumber,
+      notes,
+      processedByAdminId: adminId,
     });
 
     res.status(200).json({
       success: true,
-      message: `Successfully removed ${amountFloat} from member ${memberIdInt}'s wallet. New balance: ${result.updatedMember.walletBalance}`,
+      message: `Successfully removed ${amountFloat} from member ${memberIdInt}'s wallet. New balance: ${result.balance}`,
       data: {
-        balance: result.updatedMember.walletBalance,
-        transaction: result.transaction,
+        balance: result.balance,
+        transaction: result.walletTransaction,
       },
     });
   } catch (error) {
     console.error(`Error removing funds from member ${memberIdInt}'s wallet:`, error);
-    if (error.message.startsWith('Insufficient funds')) {
+    if (error.message.startsWith('Insufficient wallet balance')) {
       return res.status(400).json({ success: false, message: error.message });
     }
     next(error);
@@ -589,3 +565,108 @@ exports.getTransactionDetails = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @desc Get a member's wallet ledger postings with running balance
+ * @route GET /api/admin/wallets/:memberId/ledger
+ * @access Private (Admin)
+ */
+exports.getMemberLedger = async (req, res, next) => {
+  const memberIdInt = parseInt(req.params.memberId);
+  if (isNaN(memberIdInt)) {
+    return res.status(400).json({ success: false, message: 'Invalid member ID.' });
+  }
+
+  const pageInt = Math.max(1, parseInt(req.query.page) || 1);
+  const limitInt = Math.max(1, parseInt(req.query.limit) || 20);
+
+  try {
+    const [entries, total] = await prisma.$transaction([
+      prisma.walletLedgerEntry.findMany({
+        where: { memberId: memberIdInt },
+        orderBy: { id: 'desc' },
+        skip: (pageInt - 1) * limitInt,
+        take: limitInt,
+      }),
+      prisma.walletLedgerEntry.count({ where: { memberId: memberIdInt } }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      meta: {
+        total,
+        page: pageInt,
+        limit: limitInt,
+        totalPages: Math.ceil(total / limitInt),
+      },
+    });
+  } catch (error) {
+    console.error(`Error fetching wallet ledger for member ${memberIdInt}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * @desc Report members whose stored wallet balance differs from the ledger
+ * @route GET /api/admin/wallets/ledger/drift
+ * @access Private (Admin)
+ */
+exports.getWalletDrift = async (req, res, next) => {
+  const memberId = req.query.memberId ? parseInt(req.query.memberId) : undefined;
+  const tolerance = req.query.tolerance !== undefined ? parseFloat(req.query.tolerance) : undefined;
+
+  if ((memberId !== undefined && isNaN(memberId)) || (tolerance !== undefined && (isNaN(tolerance) || tolerance < 0))) {
+    return res.status(400).json({ success: false, message: 'Invalid memberId or tolerance.' });
+  }
+
+  try {
+    const drift = await walletService.getWalletDriftReport({ memberId, tolerance });
+    res.status(200).json({
+      success: true,
+      data: drift,
+      meta: {
+        membersWithDrift: drift.length,
+        totalDrift: Math.round(drift.reduce((sum, row) => sum + row.drift, 0) * 100) / 100,
+      },
+    });
+  } catch (error) {
+    console.error('Error building wallet drift report:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc Repair drift between stored wallet balances and the ledger
+ * @route POST /api/admin/wallets/ledger/drift/repair
+ * @access Private (Admin)
+ */
+exports.repairWalletDrift = async (req, res, next) => {
+  const { memberIds, strategy = 'LEDGER' } = req.body;
+
+  if (!['LEDGER', 'ADJUST'].includes(strategy)) {
+    return res.status(400).json({ success: false, message: 'strategy must be LEDGER or ADJUST.' });
+  }
+  if (memberIds !== undefined && (!Array.isArray(memberIds) || memberIds.some((id) => !Number.isInteger(id)))) {
+    return res.status(400).json({ success: false, message: 'memberIds must be an array of member IDs.' });
+  }
+
+  try {
+    // Without an explicit list, repair every member currently reported as drifting
+    const targetIds = memberIds || (await walletService.getWalletDriftReport()).map((row) => row.memberId);
+    const results = await walletService.repairWalletDrift({
+      memberIds: targetIds,
+      strategy,
+      processedByAdminId: req.user?.id || null,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Repaired wallet drift for ${results.filter((row) => row.action !== 'NONE').length} member(s).`,
+      data: results,
+    });
+  } catch (error) {
+    console.error('Error repairing wallet drift:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,113 @@
+const asyncHandler = require('express-async-handler');
+const dayjs = require('dayjs');
+const prisma = require('../../config/db');
+const { resendOutboxMessage } = require('../../services/whatsAppOutboxService');
+
+const STATUSES = ['PENDING', 'SENDING', 'SENT', 'FAILED'];
+
+/**
+ * @desc    List queued WhatsApp messages with filters and pagination
+ * @route   GET /api/admin/whatsapp-messages
+ * @access  Private/Admin
+ */
+const getWhatsAppMessages = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+  const { status, templateName, businessKey, fromDate, toDate } = req.query;
+  const recipient = (req.query.recipient || '').trim();
+
+  const where = {};
+  if (status) {
+    if (!STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`Invalid status. Expected one of ${STATUSES.join(', ')}`);
+    }
+    where.status = status;
+  }
+  if (templateName) {
+    where.templateName = templateName;
+  }
+  if (businessKey) {
+    where.businessKey = { startsWith: businessKey };
+  }
+  if (recipient) {
+    // Customers give their 10-digit mobile; recipients are stored with the country code
+    where.recipient = { endsWith: recipient };
+  }
+  if (fromDate || toDate) {
+    where.createdAt = {};
+    if (fromDate) where.createdAt.gte = dayjs(fromDate).startOf('day').toDate();
+    if (toDate) where.createdAt.lte = dayjs(toDate).endOf('day').toDate();
+  }
+
+  const [totalRecords, messages] = await prisma.$transaction([
+    prisma.whatsAppOutbox.count({ where }),
+    prisma.whatsAppOutbox.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        businessKey: true,
+        templateName: true,
+        recipient: true,
+        parameters: true,
+        status: true,
+        attempts: true,
+        maxAttempts: true,
+        nextAttemptAt: true,
+        lastError: true,
+        providerMessageId: true,
+        sentAt: true,
+        createdAt: true,
+      },
+    }),
+  ]);
+
+  res.status(200).json({
+    messages,
+    currentPage: page,
+    totalPages: Math.ceil(totalRecords / limit),
+    totalRecords,
+  });
+});
+
+/**
+ * @desc    Get a queued WhatsApp message with its payload and last provider response
+ * @route   GET /api/admin/whatsapp-messages/:id
+ * @access  Private/Admin
+ */
+const getWhatsAppMessageById = asyncHandler(async (req, res) => {
+  const message = await prisma.whatsAppOutbox.findUnique({
+    where: { id: parseInt(req.params.id, 10) },
+  });
+
+  if (!message) {
+    res.status(404);
+    throw new Error('WhatsApp message not found');
+  }
+
+  res.status(200).json(message);
+});
+
+/**
+ * @desc    Queue a WhatsApp message again and attempt it immediately
+ * @route   POST /api/admin/whatsapp-messages/:id/resend
+ * @access  Private/Admin
+ */
+const resendWhatsAppMessage = asyncHandler(async (req, res) => {
+  const message = await resendOutboxMessage(parseInt(req.params.id, 10));
+
+  res.status(200).json({
+    message: message.status === 'SENT' ? 'WhatsApp message sent' : 'WhatsApp message queued for retry',
+    data: message,
+  });
+});
+
+module.exports = {
+  getWhatsAppMessages,
+  getWhatsAppMessageById,
+  resendWhatsAppMessage,
+};
@@ -1,5 +1,4 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../config/db');
 
 // Get all subscriptions with pagination, sorting, and filtering
 const getAllSubscriptions = async (req, res) => {
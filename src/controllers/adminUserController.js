@@ -1,5 +1,7 @@
 const prisma = require('../config/db');
 const asyncHandler = require('../middleware/asyncHandler');
+const { isValidGstin } = require('../utils/gstStateCodes');
+const { revokeUserSessions } = require('../services/sessionService');
 
 // @desc    Get user details by Member ID for admin
 // @route   GET /api/admin/users/:memberId (Note: route param is still userId in adminRoutes.js, but we treat it as memberId here)
@@ -23,7 +25,8 @@ const adminGetUserById = asyncHandler(async (req, res) => {
   const { password, ...userDetails } = memberProfile.user;
   res.json({
     ...userDetails,
-    strictCodLimit: memberProfile.strictCodLimit
+    strictCodLimit: memberProfile.strictCodLimit,
+    gstin: memberProfile.gstin
   });
 });
 
@@ -32,7 +35,7 @@ const adminGetUserById = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const adminUpdateUserById = asyncHandler(async (req, res) => {
   const memberId = req.params.userId; // The route param is named userId, but it's conceptually a memberId
-  const { name, email, mobile, strictCodLimit } = req.body;
+  const { name, email, mobile, strictCodLimit, gstin } = req.body;
 
   const memberProfile = await prisma.member.findUnique({
     where: { id: parseInt(memberId) },
@@ -46,10 +49,22 @@ const adminUpdateUserById = asyncHandler(async (req, res) => {
   const actualUserId = memberProfile.userId; // Get the actual User ID from the member profile
 
   // Update member specific fields
+  const memberData = {};
   if (strictCodLimit !== undefined) {
+    memberData.strictCodLimit = !!strictCodLimit;
+  }
+  if (gstin !== undefined) {
+    const normalizedGstin = gstin ? String(gstin).trim().toUpperCase() : null;
+    if (normalizedGstin && !isValidGstin(normalizedGstin)) {
+      res.status(400);
+      throw new Error('Invalid GSTIN');
+    }
+    memberData.gstin = normalizedGstin;
+  }
+  if (Object.keys(memberData).length > 0) {
     await prisma.member.update({
       where: { id: parseInt(memberId) },
-      data: { strictCodLimit: !!strictCodLimit }
+      data: memberData
     });
   }
 
@@ -90,7 +105,8 @@ const adminUpdateUserById = asyncHandler(async (req, res) => {
   const { password, ...userDetails } = updatedUser;
   res.json({
     ...userDetails,
-    strictCodLimit: strictCodLimit !== undefined ? !!strictCodLimit : memberProfile.strictCodLimit
+    strictCodLimit: strictCodLimit !== undefined ? !!strictCodLimit : memberProfile.strictCodLimit,
+    gstin: memberData.gstin !== undefined ? memberData.gstin : memberProfile.gstin
   });
 });
 
@@ -123,6 +139,9 @@ const adminToggleMemberStatus = asyncHandler(async (req, res) => {
       active: active,
     },
   });
+  if (!active) {
+    await revokeUserSessions(actualUserId, 'DEACTIVATED');
+  }
 
   // Avoid sending password hash
   const { password, ...userDetails } = updatedUser;
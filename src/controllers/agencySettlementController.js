@@ -0,0 +1,224 @@
+const validateRequest = require("../utils/validateRequest");
+const { z } = require("zod");
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+const agencySettlementService = require("../services/agencySettlementService");
+const { generateAgencySettlementStatementPdf } = require("../utils/agencySettlementStatementGenerator");
+
+const ruleSchema = z.object({
+  agencyId: z.number().int().positive().nullable().optional(),
+  productId: z.number().int().positive().nullable().optional(),
+  depotProductVariantId: z.number().int().positive().nullable().optional(),
+  appliesTo: z.enum(["SUBSCRIPTION", "VENDOR_ORDER"]).nullable().optional(),
+  commissionType: z.enum(["FLAT_PER_UNIT", "PERCENT_OF_RATE"]),
+  value: z.number().min(0),
+  active: z.boolean().optional(),
+});
+
+const sendWorkbook = async (res, workbook, fileName) => {
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename=${fileName}.xlsx`);
+  await workbook.xlsx.write(res);
+  return res.end();
+};
+
+const sendStatement = async (req, res, statement) => {
+  const fileName = `agency-settlement-${statement.id}-${dayjs(statement.periodStart).format("YYYY-MM")}`;
+  if (req.query.format === "pdf") {
+    const pdf = await generateAgencySettlementStatementPdf(statement);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${fileName}.pdf"`);
+    return res.send(pdf);
+  }
+  if (req.query.format === "xlsx") {
+    return sendWorkbook(res, agencySettlementService.buildSettlementWorkbook([statement]), fileName);
+  }
+  return res.json(statement);
+};
+
+const getRules = async (req, res, next) => {
+  try {
+    const rules = await agencySettlementService.listRules({
+      agencyId: req.query.agencyId ? parseInt(req.query.agencyId) : null,
+      activeOnly: req.query.active === "true",
+    });
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createRule = async (req, res, next) => {
+  const validationResult = await validateRequest(ruleSchema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  try {
+    const rule = await agencySettlementService.saveRule(req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateRule = async (req, res, next) => {
+  const validationResult = await validateRequest(ruleSchema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await prisma.agencyCommissionRule.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ errors: { message: "Commission rule not found" } });
+    }
+    const rule = await agencySettlementService.saveRule(req.body, id);
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rules are referenced by past statement lines, so they are deactivated rather than deleted
+const deactivateRule = async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await prisma.agencyCommissionRule.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ errors: { message: "Commission rule not found" } });
+    }
+    const rule = await prisma.agencyCommissionRule.update({ where: { id }, data: { active: false } });
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// One agency's statement, or every agency with activity in the month
+const generateStatements = async (req, res, next) => {
+  const schema = z.object({
+    month: z.string().min(1, "month is required"), // YYYY-MM
+    agencyId: z.number().int().positive().optional(),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  const { month, agencyId } = req.body;
+  try {
+    if (agencyId) {
+      const statement = await agencySettlementService.generateStatement(agencyId, month, { actorId: req.user.id });
+      return res.status(201).json(statement);
+    }
+    const result = await agencySettlementService.generateMonthlyStatements(month, { actorId: req.user.id });
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getStatements = async (req, res, next) => {
+  try {
+    const { agencyId, status, month, format, page = 1, limit = 20 } = req.query;
+    const params = {
+      agencyId: agencyId ? parseInt(agencyId) : null,
+      status,
+      month,
+    };
+
+    if (format === "xlsx") {
+      const { statements } = await agencySettlementService.listStatements({ ...params, limit: 1000, detailed: true });
+      return sendWorkbook(res, agencySettlementService.buildSettlementWorkbook(statements), `agency-settlements-${month || "all"}`);
+    }
+
+    const result = await agencySettlementService.listStatements({ ...params, page: parseInt(page), limit: parseInt(limit) });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getStatementById = async (req, res, next) => {
+  try {
+    const statement = await agencySettlementService.getStatement(parseInt(req.params.id));
+    if (!statement) {
+      return res.status(404).json({ errors: { message: "Settlement statement not found" } });
+    }
+    await sendStatement(req, res, statement);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const finaliseStatement = async (req, res, next) => {
+  try {
+    const statement = await agencySettlementService.finaliseStatement(parseInt(req.params.id), {
+      notes: req.body?.notes || null,
+      actorId: req.user.id,
+    });
+    res.json(statement);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const discardStatement = async (req, res, next) => {
+  try {
+    await agencySettlementService.discardStatement(parseInt(req.params.id));
+    res.json({ message: "Settlement statement discarded" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Agencies only see their own finalised statements
+const getMyStatements = async (req, res, next) => {
+  try {
+    if (!req.user.agencyId) {
+      return res.status(403).json({ errors: { message: "No agency linked to this user" } });
+    }
+    const { page = 1, limit = 20 } = req.query;
+    const result = await agencySettlementService.listStatements({
+      agencyId: req.user.agencyId,
+      status: "FINALISED",
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getMyStatementById = async (req, res, next) => {
+  try {
+    const statement = await agencySettlementService.getStatement(parseInt(req.params.id));
+    if (!statement || statement.agencyId !== req.user.agencyId || statement.status !== "FINALISED") {
+      return res.status(404).json({ errors: { message: "Settlement statement not found" } });
+    }
+    await sendStatement(req, res, statement);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deactivateRule,
+  generateStatements,
+  getStatements,
+  getStatementById,
+  finaliseStatement,
+  discardStatement,
+  getMyStatements,
+  getMyStatementById,
+};
@@ -0,0 +1,105 @@
+const validateRequest = require("../utils/validateRequest");
+const { z } = require("zod");
+const analyticsService = require("../services/analyticsService");
+
+const DIMENSIONS = ["OVERALL", "DEPOT", "AGENCY", "PRODUCT"];
+
+// Depot admins only see their own depot's numbers
+const resolveDimension = (req) => {
+  if (req.user.role === "DepotAdmin") {
+    return { dimension: "DEPOT", dimensionId: req.user.depotId || -1 };
+  }
+  const dimension = (req.query.dimension || "OVERALL").toUpperCase();
+  return { dimension, dimensionId: req.query.dimensionId ? parseInt(req.query.dimensionId) : 0 };
+};
+
+const resolveDepotId = (req) => {
+  if (req.user.role === "DepotAdmin") return req.user.depotId || -1;
+  return req.query.depotId ? parseInt(req.query.depotId) : null;
+};
+
+const getTrends = async (req, res, next) => {
+  try {
+    const { dimension, dimensionId } = resolveDimension(req);
+    if (!DIMENSIONS.includes(dimension)) {
+      return res.status(400).json({ errors: { message: `dimension must be one of ${DIMENSIONS.join(", ")}` } });
+    }
+    const trends = await analyticsService.getTrends({
+      from: req.query.from,
+      to: req.query.to,
+      dimension,
+      dimensionId,
+      interval: req.query.interval || "day",
+    });
+    res.json(trends);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getArpm = async (req, res, next) => {
+  try {
+    const { dimension, dimensionId } = resolveDimension(req);
+    if (!DIMENSIONS.includes(dimension)) {
+      return res.status(400).json({ errors: { message: `dimension must be one of ${DIMENSIONS.join(", ")}` } });
+    }
+    const arpm = await analyticsService.getArpm({ from: req.query.from, to: req.query.to, dimension, dimensionId });
+    res.json(arpm);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getCohorts = async (req, res, next) => {
+  try {
+    const cohorts = await analyticsService.getCohortRetention({
+      from: req.query.from,
+      to: req.query.to,
+      depotId: resolveDepotId(req),
+    });
+    res.json({ cohorts });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getChurnReasons = async (req, res, next) => {
+  try {
+    const churn = await analyticsService.getChurnReasons({
+      from: req.query.from,
+      to: req.query.to,
+      depotId: resolveDepotId(req),
+    });
+    res.json(churn);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Backfill or re-run snapshots for days that have ended
+const captureSnapshots = async (req, res, next) => {
+  const schema = z.object({
+    from: z.string().min(1, "from is required"), // YYYY-MM-DD
+    to: z.string().min(1, "to is required"), // YYYY-MM-DD
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  try {
+    const days = await analyticsService.captureSnapshots(req.body.from, req.body.to);
+    res.status(201).json({ days });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTrends,
+  getArpm,
+  getCohorts,
+  getChurnReasons,
+  captureSnapshots,
+};
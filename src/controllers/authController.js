@@ -9,6 +9,8 @@ const validateRequest = require("../utils/validateRequest");
 const config = require("../config/config");
 const jwtConfig = require("../config/jwt"); // Corrected: Get secret and expiresIn from here
 const createError = require("http-errors");
+const sessionService = require("../services/sessionService");
+const leadService = require("../services/leadService");
 
 const POLICY_TEXT_KEY = "policy"; // Changed to 'policy' for consistency
 
@@ -147,6 +149,7 @@ const register = async (req, res, next) => {
         id: true,
         userUniqueId: true,
         createdAt: true,
+        member: { select: { id: true } },
       },
     });
 
@@ -194,6 +197,15 @@ const register = async (req, res, next) => {
       }
     }
 
+    // Close the sales loop on any open lead for this mobile
+    if (mobile && user.member) {
+      try {
+        await leadService.convertLeadsForMember({ mobile, memberId: user.member.id, userId: user.id });
+      } catch (leadError) {
+        console.error("Failed to convert leads for new member:", leadError);
+      }
+    }
+
     // Send Welcome WhatsApp Message
     if (mobile) {
       try {
@@ -420,26 +432,16 @@ const login = async (req, res, next) => {
     });
     console.log("[LOGIN_TRACE] lastLogin updated.");
 
-    const tokenPayload = {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      name: user.name,
-    };
-    console.log("[LOGIN_TRACE] Base token payload created.");
-
-    console.log("[LOGIN_TRACE] Signing JWT token...");
-    const token = jwt.sign(tokenPayload, jwtConfig.secret, {
-      expiresIn: jwtConfig.expiresIn,
-    });
-    console.log("[LOGIN_TRACE] JWT token signed.");
+    console.log("[LOGIN_TRACE] Creating session...");
+    const tokens = await sessionService.createSession(user, req);
+    console.log(`[LOGIN_TRACE] Session ${tokens.sessionId} created.`);
 
     const { password: _, resetToken: __, resetTokenExpires: ___, ...userWithoutSensitiveData } = user;
 
     console.log("[LOGIN_TRACE] Preparing to send response...");
     res.json({
       message: "Login successful",
-      token,
+      ...tokens,
       user: userWithoutSensitiveData,
       requiresPolicyAcceptance: false,
     });
@@ -529,6 +531,7 @@ const resetPassword = async (req, res, next) => {
         resetTokenExpires: null,
       },
     });
+    await sessionService.revokeUserSessions(user.id, "PASSWORD_CHANGED");
     res.json({ message: "Password reset successful" });
   } catch (error) {
     next(error);
@@ -655,6 +658,11 @@ const changePassword = async (req, res, next) => {
       data: { password: hashedNewPassword },
     });
 
+    // Sign out every other device; the session making the change stays signed in
+    await sessionService.revokeUserSessions(userId, "PASSWORD_CHANGED", {
+      exceptSessionId: req.authSession?.id,
+    });
+
     res.status(200).json({ message: "Password changed successfully." });
 
   } catch (error) {
@@ -670,6 +678,9 @@ const sudoLogin = async (req, res, next) => {
   if (req.user.role !== "ADMIN") {
     return next(createError(403, "Only admins can perform sudo login"));
   }
+  if (req.authSession?.isSudo) {
+    return next(createError(403, "Sudo login is not allowed from an impersonated session"));
+  }
 
   const { userId } = req.params;
 
@@ -682,24 +693,22 @@ const sudoLogin = async (req, res, next) => {
       return next(createError(404, "Target user not found"));
     }
 
-    const tokenPayload = {
-      id: targetUser.id,
-      email: targetUser.email,
-      role: targetUser.role,
-      name: targetUser.name,
-      isSudo: true,
-      originalAdminId: req.user.id,
-    };
+    if (!targetUser.active) {
+      return next(createError(403, "Cannot impersonate an inactive user"));
+    }
 
-    const token = jwt.sign(tokenPayload, jwtConfig.secret, {
-      expiresIn: jwtConfig.expiresIn,
+    // Time-boxed: the session cannot be refreshed past sudoSessionMinutes
+    const tokens = await sessionService.createSession(targetUser, req, {
+      impersonatorId: req.user.id,
     });
+    console.log(`[SUDO_LOGIN] Admin ${req.user.id} started sudo session ${tokens.sessionId} as user ${targetUser.id}`);
 
     const { password: _, resetToken: __, resetTokenExpires: ___, ...userWithoutSensitiveData } = targetUser;
 
     res.json({
       message: `Impersonating ${targetUser.name}`,
-      token,
+      ...tokens,
+      isSudo: true,
       user: userWithoutSensitiveData,
     });
   } catch (error) {
@@ -707,6 +716,83 @@ const sudoLogin = async (req, res, next) => {
   }
 };
 
+const refreshToken = async (req, res, next) => {
+  try {
+    const tokens = await sessionService.rotateSession(req.body.refreshToken, req);
+    res.json({ message: "Token refreshed", ...tokens });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Ends the session of the given refresh token, or of the access token when
+// none is sent. Works with an expired access token so clients can always log out.
+const logout = async (req, res, next) => {
+  try {
+    let sessionId = null;
+    if (req.body?.refreshToken) {
+      const session = await sessionService.findSessionByRefreshToken(req.body.refreshToken);
+      sessionId = session?.id || null;
+    } else if (req.headers.authorization?.startsWith("Bearer ")) {
+      try {
+        const decoded = jwt.verify(req.headers.authorization.split(" ")[1], jwtConfig.secret, {
+          ignoreExpiration: true,
+        });
+        sessionId = decoded.sid || null;
+      } catch (error) {
+        sessionId = null;
+      }
+    }
+
+    if (sessionId) {
+      await sessionService.revokeSession(sessionId, "LOGOUT");
+    }
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const logoutAllDevices = async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeUserSessions(req.user.id, "LOGOUT_ALL");
+    res.json({ message: "Logged out from all devices", revoked });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listUserSessions(req.user.id);
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.authSession?.id,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const revokeOwnSession = async (req, res, next) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId, 10);
+    if (Number.isNaN(sessionId)) {
+      return next(createError(400, "Invalid session id"));
+    }
+    const session = await prisma.userSession.findUnique({ where: { id: sessionId } });
+    if (!session || session.userId !== req.user.id) {
+      return next(createError(404, "Session not found"));
+    }
+    await sessionService.revokeSession(sessionId, "LOGOUT");
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getEmailByMobile = async (req, res, next) => {
   const { mobile } = req.query;
   if (!mobile || !/^\d{10}$/.test(mobile)) {
@@ -743,5 +829,10 @@ module.exports = {
   acceptPolicy,
   changePassword,
   sudoLogin,
+  refreshToken,
+  logout,
+  logoutAllDevices,
+  getSessions,
+  revokeOwnSession,
   getEmailByMobile,
 };
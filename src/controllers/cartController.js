@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { checkCartItems } = require('../services/checkoutPricingService');
 
 // Helper to find or create cart for user/member
 async function getOrCreateCart(user) {
@@ -32,7 +33,10 @@ exports.getCart = async (req, res) => {
   try {
     const user = req.user; // populated by auth middleware
     const cart = await getOrCreateCart(user);
-    res.json({ success: true, cart });
+    // Prices in the cart are snapshots; flag the ones the depot has since changed
+    const items = await checkCartItems(cart.items);
+    const hasChanges = items.some((item) => item.priceChanged || !item.available || item.availableQty < item.quantity);
+    res.json({ success: true, cart: { ...cart, items, hasChanges } });
   } catch (error) {
     console.error('Error fetching cart:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch cart' });
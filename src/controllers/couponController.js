@@ -1,5 +1,6 @@
 const asyncHandler = require('express-async-handler');
 const prisma = require('../config/db');
+const { couponInclude, resolveCouponLines, evaluateCoupon } = require('../services/couponService');
 
 /**
  * @desc    Get all coupons
@@ -40,6 +41,7 @@ const getAllCoupons = asyncHandler(async (req, res) => {
 const getCouponById = asyncHandler(async (req, res) => {
   const coupon = await prisma.coupon.findUnique({
     where: { id: parseInt(req.params.id) },
+    include: couponInclude,
   });
 
   if (!coupon) {
@@ -50,24 +52,99 @@ const getCouponById = asyncHandler(async (req, res) => {
   res.json(coupon);
 });
 
+const DISCOUNT_TYPES = ['PERCENTAGE', 'CASH'];
+const ORDER_TYPES = ['ALL', 'SNF_ORDER', 'SUBSCRIPTION'];
+const SCOPES = {
+  productIds: 'products',
+  categoryIds: 'categories',
+  depotIds: 'depots',
+  cityIds: 'cities',
+};
+
+const optionalFloat = (value) => (value === undefined ? undefined : value === null || value === '' ? null : parseFloat(value));
+const optionalInt = (value) => (value === undefined ? undefined : value === null || value === '' ? null : parseInt(value));
+
+/**
+ * Coupon fields from a create/update request body. Fields left out of the
+ * body are undefined, so an update only touches what was sent.
+ */
+const buildCouponData = (body, res, { isCreate }) => {
+  const {
+    code,
+    description,
+    discountType,
+    discountValue,
+    maxDiscountAmount,
+    minOrderAmount,
+    fromDate,
+    toDate,
+    usageLimit,
+    perMemberLimit,
+    firstOrderOnly,
+    orderType,
+    isActive
+  } = body;
+
+  if (isCreate && (!code || !discountType || discountValue === undefined)) {
+    res.status(400);
+    throw new Error('code, discountType and discountValue are required');
+  }
+  if (discountType !== undefined && !DISCOUNT_TYPES.includes(discountType)) {
+    res.status(400);
+    throw new Error(`discountType must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+  }
+  if (orderType !== undefined && !ORDER_TYPES.includes(orderType)) {
+    res.status(400);
+    throw new Error(`orderType must be one of: ${ORDER_TYPES.join(', ')}`);
+  }
+  if (discountValue !== undefined && !(parseFloat(discountValue) > 0)) {
+    res.status(400);
+    throw new Error('discountValue must be greater than 0');
+  }
+  if (discountType === 'PERCENTAGE' && parseFloat(discountValue) > 100) {
+    res.status(400);
+    throw new Error('A percentage discount cannot exceed 100');
+  }
+
+  const data = {
+    code: code?.trim().toUpperCase(),
+    description,
+    discountType,
+    discountValue: discountValue !== undefined ? parseFloat(discountValue) : undefined,
+    maxDiscountAmount: optionalFloat(maxDiscountAmount),
+    minOrderAmount: optionalFloat(minOrderAmount),
+    fromDate: fromDate ? new Date(fromDate) : fromDate === null ? null : undefined,
+    toDate: toDate ? new Date(toDate) : toDate === null ? null : undefined,
+    usageLimit: optionalInt(usageLimit),
+    perMemberLimit: optionalInt(perMemberLimit),
+    firstOrderOnly: firstOrderOnly !== undefined ? Boolean(firstOrderOnly) : undefined,
+    orderType,
+    isActive: isActive !== undefined ? isActive : undefined,
+  };
+
+  // Scope lists replace the coupon's current ones; an empty list removes the restriction
+  for (const [field, relation] of Object.entries(SCOPES)) {
+    if (body[field] === undefined) continue;
+    if (!Array.isArray(body[field])) {
+      res.status(400);
+      throw new Error(`${field} must be an array of ids`);
+    }
+    const ids = body[field].map((id) => ({ id: parseInt(id) }));
+    data[relation] = isCreate ? { connect: ids } : { set: ids };
+  }
+
+  return data;
+};
+
 /**
  * @desc    Create a coupon
  * @route   POST /api/admin/coupons
  * @access  Admin
  */
 const createCoupon = asyncHandler(async (req, res) => {
-  const { 
-    code, 
-    discountType, 
-    discountValue, 
-    minOrderAmount, 
-    fromDate, 
-    toDate, 
-    usageLimit, 
-    isActive 
-  } = req.body;
-
-  const existing = await prisma.coupon.findUnique({ where: { code } });
+  const data = buildCouponData(req.body, res, { isCreate: true });
+
+  const existing = await prisma.coupon.findUnique({ where: { code: data.code } });
   if (existing) {
     res.status(400);
     throw new Error('Coupon code already exists');
@@ -75,15 +152,10 @@ const createCoupon = asyncHandler(async (req, res) => {
 
   const coupon = await prisma.coupon.create({
     data: {
-      code: code.toUpperCase(),
-      discountType,
-      discountValue: parseFloat(discountValue),
-      minOrderAmount: minOrderAmount ? parseFloat(minOrderAmount) : null,
-      fromDate: fromDate ? new Date(fromDate) : null,
-      toDate: toDate ? new Date(toDate) : null,
-      usageLimit: usageLimit ? parseInt(usageLimit) : null,
-      isActive: isActive !== undefined ? isActive : true,
+      ...data,
+      isActive: data.isActive !== undefined ? data.isActive : true,
     },
+    include: couponInclude,
   });
 
   res.status(201).json(coupon);
@@ -95,17 +167,6 @@ const createCoupon = asyncHandler(async (req, res) => {
  * @access  Admin
  */
 const updateCoupon = asyncHandler(async (req, res) => {
-  const { 
-    code, 
-    discountType, 
-    discountValue, 
-    minOrderAmount, 
-    fromDate, 
-    toDate, 
-    usageLimit, 
-    isActive 
-  } = req.body;
-
   const coupon = await prisma.coupon.findUnique({
     where: { id: parseInt(req.params.id) },
   });
@@ -115,18 +176,16 @@ const updateCoupon = asyncHandler(async (req, res) => {
     throw new Error('Coupon not found');
   }
 
+  const data = buildCouponData(
+    { discountType: coupon.discountType, ...req.body },
+    res,
+    { isCreate: false }
+  );
+
   const updated = await prisma.coupon.update({
     where: { id: parseInt(req.params.id) },
-    data: {
-      code: code?.toUpperCase(),
-      discountType,
-      discountValue: discountValue !== undefined ? parseFloat(discountValue) : undefined,
-      minOrderAmount: minOrderAmount !== undefined ? parseFloat(minOrderAmount) : undefined,
-      fromDate: fromDate ? new Date(fromDate) : undefined,
-      toDate: toDate ? new Date(toDate) : undefined,
-      usageLimit: usageLimit !== undefined ? parseInt(usageLimit) : undefined,
-      isActive: isActive !== undefined ? isActive : undefined,
-    },
+    data,
+    include: couponInclude,
   });
 
   res.json(updated);
@@ -138,69 +197,107 @@ const updateCoupon = asyncHandler(async (req, res) => {
  * @access  Admin
  */
 const deleteCoupon = asyncHandler(async (req, res) => {
+  const redemptions = await prisma.couponRedemption.count({
+    where: { couponId: parseInt(req.params.id) },
+  });
+  if (redemptions > 0) {
+    res.status(400);
+    throw new Error('Coupon has been used on orders; deactivate it instead');
+  }
+
   await prisma.coupon.delete({
     where: { id: parseInt(req.params.id) },
   });
   res.json({ message: 'Coupon deleted' });
 });
 
+/**
+ * @desc    Redemption history of a coupon
+ * @route   GET /api/admin/coupons/:id/redemptions
+ * @access  Admin
+ */
+const getCouponRedemptions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status } = req.query;
+  const skip = (page - 1) * limit;
+
+  const where = {
+    couponId: parseInt(req.params.id),
+    ...(status ? { status } : {}),
+  };
+
+  const [redemptions, total] = await Promise.all([
+    prisma.couponRedemption.findMany({
+      where,
+      include: {
+        member: { select: { id: true, name: true } },
+        snfOrder: { select: { id: true, orderNo: true, totalAmount: true, paymentStatus: true } },
+        productOrder: { select: { id: true, orderNo: true, totalAmount: true, paymentStatus: true } },
+      },
+      skip: parseInt(skip),
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' },
+    }),
+    prisma.couponRedemption.count({ where }),
+  ]);
+
+  res.json({
+    redemptions,
+    currentPage: parseInt(page),
+    totalPages: Math.ceil(total / limit),
+    totalRecords: total,
+  });
+});
+
 /**
  * @desc    Validate coupon for checkout
  * @route   POST /api/public/coupons/validate
- * @access  Public
+ * @access  Public (member limits apply when logged in)
  */
 const validateCoupon = asyncHandler(async (req, res) => {
-  const { code, amount } = req.body;
+  const { code, amount, items, orderType = 'SNF_ORDER', depotId = null, city = null, mobile = null } = req.body;
 
   if (!code) {
     return res.status(400).json({ success: false, message: 'Coupon code is required' });
   }
 
-  const normalizedCode = code.trim().toUpperCase();
-  const coupon = await prisma.coupon.findUnique({
-    where: { code: normalizedCode },
-  });
+  // Without items the whole amount is one unscoped line
+  const lines = Array.isArray(items) && items.length > 0
+    ? await resolveCouponLines(
+        items.map((item) => ({
+          amount: (Number(item.price) || 0) * (Number(item.quantity) || 0),
+          productId: item.productId ? parseInt(item.productId) : null,
+          depotProductVariantId: item.depotProductVariantId ? parseInt(item.depotProductVariantId) : null,
+        })),
+        { depotId: depotId ? parseInt(depotId) : null }
+      )
+    : [{ amount: Number(amount) || 0, productId: null, categoryId: null, depotId: depotId ? parseInt(depotId) : null }];
 
-  if (!coupon || !coupon.isActive) {
-    return res.status(400).json({ success: false, message: 'Invalid or inactive coupon' });
-  }
-
-  const now = new Date();
-  if (coupon.fromDate && now < new Date(coupon.fromDate)) {
-    return res.status(400).json({ success: false, message: 'Coupon is not yet valid' });
-  }
-  if (coupon.toDate && now > new Date(coupon.toDate)) {
-    return res.status(400).json({ success: false, message: 'Coupon has expired' });
-  }
-
-  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
-    return res.status(400).json({ success: false, message: 'Coupon limit reached' });
-  }
-
-  if (coupon.minOrderAmount && amount < coupon.minOrderAmount) {
-    return res.status(400).json({ 
-      success: false, 
-      message: `Minimum order amount of ₹${coupon.minOrderAmount} required` 
-    });
-  }
+  const memberId = req.user?.role === 'MEMBER' ? req.user.member?.id || null : null;
 
-  let discountAmount = 0;
-  if (coupon.discountType === 'PERCENTAGE') {
-    discountAmount = (amount * coupon.discountValue) / 100;
-  } else if (coupon.discountType === 'CASH') {
-    discountAmount = coupon.discountValue;
+  let result;
+  try {
+    result = await evaluateCoupon({ code, orderType, lines, memberId, mobile: memberId ? null : mobile, city });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    throw error;
   }
 
+  const { coupon, discountAmount, eligibleAmount } = result;
   res.json({
     success: true,
     message: 'Coupon valid',
     coupon: {
       id: coupon.id,
       code: coupon.code,
+      description: coupon.description,
       discountType: coupon.discountType,
       discountValue: coupon.discountValue,
+      maxDiscountAmount: coupon.maxDiscountAmount,
     },
-    discountAmount: Math.min(discountAmount, amount),
+    eligibleAmount,
+    discountAmount,
   });
 });
 
@@ -210,5 +307,6 @@ module.exports = {
   createCoupon,
   updateCoupon,
   deleteCoupon,
+  getCouponRedemptions,
   validateCoupon,
 };
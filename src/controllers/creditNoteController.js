@@ -0,0 +1,142 @@
+const asyncHandler = require('express-async-handler');
+const fs = require('fs').promises;
+const dayjs = require('dayjs');
+const prisma = require('../config/db');
+const { renderCreditNotePdf, getCreditNotePdfPath } = require('../services/creditNoteService');
+
+const REASONS = ['SUBSCRIPTION_CANCELLED', 'DELIVERY_REFUND'];
+
+// Members only ever see their own credit notes
+const findAccessibleCreditNote = async (req, res, include = {}) => {
+  const creditNote = await prisma.creditNote.findUnique({
+    where: { id: parseInt(req.params.id, 10) },
+    include: { member: { select: { userId: true } }, ...include },
+  });
+
+  if (!creditNote) {
+    res.status(404);
+    throw new Error('Credit note not found');
+  }
+
+  if (req.user.role !== 'ADMIN' && creditNote.member.userId !== req.user.id) {
+    res.status(403);
+    throw new Error('Not authorized to access this credit note');
+  }
+
+  return creditNote;
+};
+
+// @desc    List credit notes (admins see all, members their own)
+// @route   GET /api/credit-notes
+// @access  Private
+const getCreditNotes = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+  const { reason, fromDate, toDate } = req.query;
+  const search = (req.query.search || '').trim();
+
+  const where = {};
+  if (req.user.role === 'ADMIN') {
+    if (req.query.memberId) where.memberId = parseInt(req.query.memberId, 10);
+  } else {
+    where.member = { userId: req.user.id };
+  }
+  if (req.query.productOrderId) {
+    where.productOrderId = parseInt(req.query.productOrderId, 10);
+  }
+  if (reason) {
+    if (!REASONS.includes(reason)) {
+      res.status(400);
+      throw new Error(`Invalid reason. Expected one of ${REASONS.join(', ')}`);
+    }
+    where.reason = reason;
+  }
+  if (search) {
+    where.OR = [
+      { creditNoteNo: { contains: search } },
+      { invoiceNo: { contains: search } },
+    ];
+  }
+  if (fromDate || toDate) {
+    where.creditNoteDate = {};
+    if (fromDate) where.creditNoteDate.gte = dayjs(fromDate).startOf('day').toDate();
+    if (toDate) where.creditNoteDate.lte = dayjs(toDate).endOf('day').toDate();
+  }
+
+  const [totalRecords, creditNotes] = await prisma.$transaction([
+    prisma.creditNote.count({ where }),
+    prisma.creditNote.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: { creditNoteDate: 'desc' },
+      include: {
+        member: { select: { id: true, name: true } },
+        productOrder: { select: { id: true, orderNo: true } },
+      },
+    }),
+  ]);
+
+  res.status(200).json({
+    creditNotes,
+    currentPage: page,
+    totalPages: Math.ceil(totalRecords / limit),
+    totalRecords,
+  });
+});
+
+// @desc    Get a credit note with its line items
+// @route   GET /api/credit-notes/:id
+// @access  Private
+const getCreditNoteById = asyncHandler(async (req, res) => {
+  const creditNote = await findAccessibleCreditNote(req, res, {
+    items: { orderBy: { id: 'asc' } },
+    productOrder: { select: { id: true, orderNo: true, invoiceNo: true, totalAmount: true } },
+  });
+
+  res.status(200).json(creditNote);
+});
+
+// @desc    Download a credit note PDF, rendering it first if the file is missing
+// @route   GET /api/credit-notes/:id/download
+// @access  Private
+const downloadCreditNote = asyncHandler(async (req, res) => {
+  let creditNote = await findAccessibleCreditNote(req, res);
+
+  let exists = false;
+  if (creditNote.pdfPath) {
+    try {
+      await fs.access(getCreditNotePdfPath(creditNote));
+      exists = true;
+    } catch (error) {
+      exists = false;
+    }
+  }
+  if (!exists) {
+    creditNote = await renderCreditNotePdf(creditNote.id);
+  }
+
+  res.download(getCreditNotePdfPath(creditNote), `${creditNote.creditNoteNo}.pdf`);
+});
+
+// @desc    Re-render a credit note PDF (number and amounts are unchanged)
+// @route   POST /api/credit-notes/:id/regenerate
+// @access  Private (Admin only)
+const regenerateCreditNotePdf = asyncHandler(async (req, res) => {
+  const creditNote = await findAccessibleCreditNote(req, res);
+  const updated = await renderCreditNotePdf(creditNote.id);
+
+  res.status(200).json({
+    message: 'Credit note PDF regenerated successfully',
+    creditNoteNo: updated.creditNoteNo,
+    pdfPath: updated.pdfPath,
+  });
+});
+
+module.exports = {
+  getCreditNotes,
+  getCreditNoteById,
+  downloadCreditNote,
+  regenerateCreditNotePdf,
+};
@@ -1,5 +1,6 @@
 const prisma = require("../config/db");
 const asyncHandler = require("../middleware/asyncHandler");
+const { parseCoordinates } = require("../utils/routePlanner");
 
 // @desc    Create a new delivery address
 // @route   POST /api/delivery-addresses
@@ -16,7 +17,9 @@ const createDeliveryAddress = asyncHandler(async (req, res) => {
     state,
     isDefault,
     label,
-    locationId
+    locationId,
+    latitude,
+    longitude
   } = req.body;
 
   const userId = req.user.id;
@@ -53,7 +56,8 @@ const createDeliveryAddress = asyncHandler(async (req, res) => {
       state,
       label,
       isDefault: isDefault || false,
-      locationId: locationId ? parseInt(locationId) : null
+      locationId: locationId ? parseInt(locationId) : null,
+      ...parseCoordinates(latitude, longitude)
     }
   });
 
@@ -146,7 +150,9 @@ const updateDeliveryAddress = asyncHandler(async (req, res) => {
     state,
     isDefault,
     label, // Add label to destructuring
-    locationId
+    locationId,
+    latitude,
+    longitude
   } = req.body;
 
   // Find the member associated with the user
@@ -198,7 +204,9 @@ const updateDeliveryAddress = asyncHandler(async (req, res) => {
       state,
       label: label !== undefined ? label : address.label,
       isDefault: isDefault !== undefined ? isDefault : address.isDefault,
-      locationId: locationId !== undefined ? (locationId ? parseInt(locationId) : null) : address.locationId
+      locationId: locationId !== undefined ? (locationId ? parseInt(locationId) : null) : address.locationId,
+      // Coordinates are replaced as a pair; moving the pin without both values clears it
+      ...(latitude !== undefined || longitude !== undefined ? parseCoordinates(latitude, longitude) : {})
     }
   });
 
@@ -4,6 +4,13 @@ const { z } = require("zod");
 const dayjs = require("dayjs");
 const fs = require('fs');
 const path = require('path');
+const deliveryRouteService = require("../services/deliveryRouteService");
+const { generateRouteSheetPdf } = require("../utils/routeSheetGenerator");
+const { changeAssignmentStatus, Source } = require("../services/deliveryLifecycleService");
+const riderCashService = require("../services/riderCashService");
+const deliveryProofService = require("../services/deliveryProofService");
+const riderPayoutService = require("../services/riderPayoutService");
+const { generateRiderPayoutStatementPdf } = require("../utils/riderPayoutStatementGenerator");
 
 const getMyAssignedOrders = async (req, res, next) => {
   try {
@@ -39,7 +46,10 @@ const getMyAssignedOrders = async (req, res, next) => {
         snfOrder: { include: { items: true } },
         deliveryScheduleEntry: { include: { deliveryAddress: true, product: true } }
       },
-      orderBy: { deliveryDate: "asc" }
+      orderBy: [
+        { deliveryDate: "asc" },
+        { sequence: { sort: "asc", nulls: "last" } },
+      ]
     });
 
     res.json({ assignments });
@@ -53,6 +63,7 @@ const updateAssignmentStatus = async (req, res, next) => {
     status: z.enum(["OUT_FOR_DELIVERY", "DELIVERED", "NOT_DELIVERED", "FAILED"]),
     cashCollected: z.string().optional(),
     deliveryNotes: z.string().optional(),
+    otp: z.string().optional(),
   });
 
   const validationResult = await validateRequest(schema, req.body);
@@ -61,7 +72,7 @@ const updateAssignmentStatus = async (req, res, next) => {
   }
 
   const assignmentId = parseInt(req.params.id);
-  const { status, cashCollected, deliveryNotes } = req.body;
+  const { status, cashCollected, deliveryNotes, otp } = req.body;
 
   let deliveryPhotoUrl = null;
   if (req.file) {
@@ -79,69 +90,173 @@ const updateAssignmentStatus = async (req, res, next) => {
       return res.status(403).json({ errors: { message: "Unauthorized assignment update." } });
     }
 
-    const payload = {
-      status,
+    const assignmentData = {
       deliveryNotes: deliveryNotes || assignment.deliveryNotes,
     };
-
     if (status === 'DELIVERED') {
-      payload.deliveredAt = new Date();
-      payload.deliveryPhotoUrl = deliveryPhotoUrl;
-      if (cashCollected) payload.cashCollected = parseFloat(cashCollected);
-    } else if (status === 'NOT_DELIVERED' || status === 'FAILED') {
-      payload.failedAt = new Date();
+      assignmentData.deliveryPhotoUrl = deliveryPhotoUrl;
+      if (cashCollected) assignmentData.cashCollected = parseFloat(cashCollected);
+    }
+
+    if (status === 'DELIVERED' && otp) {
+      await deliveryProofService.verifyDeliveryOtp(assignmentId, otp, { actorId: req.user.id });
+    }
+
+    // Settlement, stock issue, schedule entry sync and refunds are handled by the lifecycle service
+    const { assignment: updated } = await changeAssignmentStatus(assignmentId, status, {
+      source: Source.DELIVERY_PARTNER,
+      actorId: req.user.id,
+      reason: deliveryNotes || null,
+      assignmentData,
+    });
+
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The rider's own assignment, or an error response already sent
+const findOwnAssignment = async (req, res) => {
+  const assignment = await prisma.deliveryAssignment.findUnique({ where: { id: parseInt(req.params.id) } });
+  if (!assignment) {
+    res.status(404).json({ errors: { message: "Assignment not found." } });
+    return null;
+  }
+
+  const partner = await prisma.deliveryPartner.findUnique({ where: { userId: req.user.id } });
+  if (!partner || partner.id !== assignment.deliveryPartnerId) {
+    res.status(403).json({ errors: { message: "Unauthorized assignment update." } });
+    return null;
+  }
+  return assignment;
+};
+
+const resendDeliveryOtp = async (req, res, next) => {
+  try {
+    const assignment = await findOwnAssignment(req, res);
+    if (!assignment) return;
+
+    const updated = await deliveryProofService.resendDeliveryOtp(assignment.id, { actorId: req.user.id });
+    res.json({ message: "OTP sent to the customer", otpSendCount: updated.otpSendCount });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Customer cannot give the OTP: ask the depot to accept the delivery on a reason and photo
+const requestDeliveryOverride = async (req, res, next) => {
+  const schema = z.object({
+    reason: z.string().min(1, "Reason is required"),
+    cashCollected: z.string().optional(),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+  if (!req.file) {
+    return res.status(400).json({ errors: { message: "A delivery photo is required" } });
+  }
+
+  try {
+    const assignment = await findOwnAssignment(req, res);
+    if (!assignment) return;
+
+    const updated = await deliveryProofService.requestOverride(assignment.id, {
+      reason: req.body.reason,
+      photoUrl: `/uploads/${req.file.filename}`,
+      cashCollected: req.body.cashCollected ? parseFloat(req.body.cashCollected) : null,
+      actorId: req.user.id,
+    });
+    res.status(201).json(updated);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cash the rider is holding and has not yet handed over
+const getMyCash = async (req, res, next) => {
+  try {
+    const partner = await prisma.deliveryPartner.findUnique({
+      where: { userId: parseInt(req.user.id) }
+    });
+
+    if (!partner) {
+      return res.status(404).json({ errors: { message: "Delivery profile not found" } });
     }
 
-    const updated = await prisma.deliveryAssignment.update({
-      where: { id: assignmentId },
-      data: payload
+    const position = await riderCashService.getRiderCashPosition(partner.id);
+    res.json(position);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// This week's earnings so far and past payout statements
+const getMyEarnings = async (req, res, next) => {
+  try {
+    const partner = await prisma.deliveryPartner.findUnique({
+      where: { userId: parseInt(req.user.id) }
     });
 
-    if (updated.status === 'DELIVERED') {
-      if (updated.snfOrderId) {
-        const order = await prisma.sNFOrder.findUnique({ where: { id: updated.snfOrderId } });
-        if (order) {
-          const totalAmount = order.totalAmount || 0;
-          const collected = updated.cashCollected ? parseFloat(updated.cashCollected.toString()) : 0;
-          const deficit = totalAmount - collected;
-
-          if (deficit > 0 && order.memberId) {
-            await prisma.member.update({
-              where: { id: order.memberId },
-              data: { walletBalance: { decrement: deficit } }
-            });
-            await prisma.walletTransaction.create({
-              data: {
-                memberId: order.memberId,
-                amount: -deficit,
-                type: 'DEBIT',
-                status: 'PAID',
-                notes: `Deficit for Order #${order.orderNo}. Collected: ₹${collected}`
-              }
-            });
-          }
-          await prisma.sNFOrder.update({
-            where: { id: updated.snfOrderId },
-            data: { paymentStatus: 'PAID' }
-          });
-        }
-      }
-      if (updated.deliveryScheduleEntryId) {
-        await prisma.deliveryScheduleEntry.update({
-          where: { id: updated.deliveryScheduleEntryId },
-          data: { status: 'DELIVERED' }
-        });
-      }
-    } else if (updated.status === 'NOT_DELIVERED' || updated.status === 'FAILED') {
-      if (updated.deliveryScheduleEntryId) {
-        await prisma.deliveryScheduleEntry.update({
-          where: { id: updated.deliveryScheduleEntryId },
-          data: { status: updated.status }
-        });
-      }
+    if (!partner) {
+      return res.status(404).json({ errors: { message: "Delivery profile not found" } });
     }
 
-    res.json(updated);
+    const earnings = await riderPayoutService.getPartnerEarnings(partner, req.query.date || new Date());
+    res.json(earnings);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getMyPayoutStatement = async (req, res, next) => {
+  try {
+    const partner = await prisma.deliveryPartner.findUnique({
+      where: { userId: parseInt(req.user.id) }
+    });
+
+    const statement = await riderPayoutService.getStatement(parseInt(req.params.id));
+    // Drafts are still being worked on by the depot
+    if (!partner || !statement || statement.deliveryPartnerId !== partner.id || statement.status === "DRAFT") {
+      return res.status(404).json({ errors: { message: "Payout statement not found" } });
+    }
+
+    if (req.query.format === "json") {
+      return res.json(statement);
+    }
+
+    const pdf = await generateRiderPayoutStatementPdf(statement);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="payout-${statement.id}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getMyRouteSheet = async (req, res, next) => {
+  try {
+    const partner = await prisma.deliveryPartner.findUnique({
+      where: { userId: parseInt(req.user.id) }
+    });
+
+    if (!partner) {
+      return res.status(404).json({ errors: { message: "Delivery profile not found" } });
+    }
+
+    const deliveryDate = req.query.date || dayjs().format("YYYY-MM-DD");
+    const sheet = await deliveryRouteService.getRouteSheet(partner.id, deliveryDate);
+
+    if (req.query.format === "json") {
+      return res.json(sheet);
+    }
+
+    const pdf = await generateRouteSheetPdf(sheet);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="route-sheet-${sheet.deliveryDate}.pdf"`);
+    res.send(pdf);
   } catch (error) {
     next(error);
   }
@@ -150,4 +265,10 @@ const updateAssignmentStatus = async (req, res, next) => {
 module.exports = {
   getMyAssignedOrders,
   updateAssignmentStatus,
+  getMyRouteSheet,
+  getMyCash,
+  resendDeliveryOtp,
+  requestDeliveryOverride,
+  getMyEarnings,
+  getMyPayoutStatement,
 };
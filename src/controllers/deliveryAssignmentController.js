@@ -2,6 +2,21 @@ const prisma = require("../config/db");
 const validateRequest = require("../utils/validateRequest");
 const { z } = require("zod");
 const dayjs = require("dayjs");
+const deliveryRouteService = require("../services/deliveryRouteService");
+const { generateRouteSheetPdf } = require("../utils/routeSheetGenerator");
+const { changeAssignmentStatus, sourceForRole } = require("../services/deliveryLifecycleService");
+const deliveryProofService = require("../services/deliveryProofService");
+
+// Re-sequencing is best effort: a planning failure must not undo an assignment change
+const replanRoute = async (deliveryPartnerId, deliveryDate) => {
+  if (!deliveryPartnerId) return null;
+  try {
+    return await deliveryRouteService.planPartnerRoute(deliveryPartnerId, deliveryDate);
+  } catch (error) {
+    console.error(`Failed to plan route for partner ${deliveryPartnerId}:`, error);
+    return null;
+  }
+};
 
 const getPendingOrders = async (req, res, next) => {
   try {
@@ -163,7 +178,9 @@ const assignOrders = async (req, res, next) => {
       }
     });
 
-    res.status(201).json({ message: "Assigned successfully", count: assignments.length });
+    const route = await replanRoute(deliveryPartnerId, targetDate);
+
+    res.status(201).json({ message: "Assigned successfully", count: assignments.length, route });
   } catch (error) {
     next(error);
   }
@@ -225,7 +242,11 @@ const getTrackAssignments = async (req, res, next) => {
         snfOrder: { include: { items: true, member: { select: { walletBalance: true } } } },
         deliveryScheduleEntry: { include: { deliveryAddress: true, product: true, member: { select: { walletBalance: true } } } }
       },
-      orderBy: { deliveryDate: "asc" },
+      orderBy: [
+        { deliveryDate: "asc" },
+        { deliveryPartnerId: "asc" },
+        { sequence: { sort: "asc", nulls: "last" } },
+      ],
       skip: skip,
       take: limitInt
     });
@@ -267,6 +288,8 @@ const unassignOrder = async (req, res, next) => {
       where: { id: parseInt(id) }
     });
 
+    await replanRoute(assignment.deliveryPartnerId, assignment.deliveryDate);
+
     res.json({ message: "Unassigned successfully" });
   } catch (error) {
     next(error);
@@ -286,17 +309,29 @@ const retryOrder = async (req, res, next) => {
       return res.status(404).json({ errors: { message: "Assignment not found" } });
     }
 
-    const updated = await prisma.deliveryAssignment.update({
-      where: { id: parseInt(id) },
-      data: {
-        status: "ASSIGNED",
-        deliveryDate: dayjs(deliveryDate).toDate(),
-        failedAt: null,
-        deliveredAt: null,
-        deliveryNotes: null,
-        cashCollected: null
-      }
-    });
+    const assignmentData = {
+      deliveryDate: dayjs(deliveryDate).toDate(),
+      deliveryNotes: null,
+      cashCollected: null
+    };
+
+    let updated;
+    if (assignment.status === "ASSIGNED") {
+      updated = await prisma.deliveryAssignment.update({
+        where: { id: assignment.id },
+        data: assignmentData
+      });
+    } else {
+      // Back to ASSIGNED through the lifecycle so a refunded delivery is not sent out again
+      ({ assignment: updated } = await changeAssignmentStatus(assignment.id, "ASSIGNED", {
+        source: sourceForRole(req.user.role),
+        actorId: req.user.id,
+        reason: `Rescheduled to ${dayjs(deliveryDate).format("DD/MM/YYYY")}`,
+        assignmentData
+      }));
+    }
+
+    await replanRoute(updated.deliveryPartnerId, updated.deliveryDate);
 
     res.json({ message: "Delivery rescheduled successfully", assignment: updated });
   } catch (error) {
@@ -304,10 +339,197 @@ const retryOrder = async (req, res, next) => {
   }
 };
 
+const planRoutes = async (req, res, next) => {
+  const schema = z.object({
+    depotId: z.number().int().positive(),
+    deliveryDate: z.string(),
+    deliveryPartnerId: z.number().int().positive().optional(),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  const { depotId, deliveryDate, deliveryPartnerId } = req.body;
+
+  try {
+    const routes = deliveryPartnerId
+      ? [await deliveryRouteService.planPartnerRoute(deliveryPartnerId, deliveryDate)]
+      : await deliveryRouteService.planDepotRoutes(depotId, deliveryDate);
+
+    res.json({ message: "Routes planned successfully", routes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getRouteSheet = async (req, res, next) => {
+  try {
+    const { deliveryPartnerId, dateStr } = req.query;
+    if (!deliveryPartnerId) {
+      return res.status(400).json({ errors: { message: "deliveryPartnerId required" } });
+    }
+
+    const deliveryDate = dateStr || dayjs().format("YYYY-MM-DD");
+    const sheet = await deliveryRouteService.getRouteSheet(parseInt(deliveryPartnerId), deliveryDate);
+    if (!sheet) {
+      return res.status(404).json({ errors: { message: "Delivery partner not found" } });
+    }
+
+    if (req.query.format === "json") {
+      return res.json(sheet);
+    }
+
+    const pdf = await generateRouteSheetPdf(sheet);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="route-sheet-${deliveryPartnerId}-${sheet.deliveryDate}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// How a delivery was confirmed, with its OTP/override/dispute trail
+const getDeliveryProof = async (req, res, next) => {
+  try {
+    const proof = await deliveryProofService.getDeliveryProof(parseInt(req.params.id));
+    if (!proof) {
+      return res.status(404).json({ errors: { message: "Assignment not found" } });
+    }
+    res.json(proof);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const approveOverride = async (req, res, next) => {
+  try {
+    const { assignment } = await changeAssignmentStatus(parseInt(req.params.id), "DELIVERED", {
+      source: sourceForRole(req.user.role),
+      actorId: req.user.id,
+      reason: req.body?.note || "Delivered without OTP on approved override",
+      proof: "OVERRIDE",
+    });
+    res.json(assignment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const rejectOverride = async (req, res, next) => {
+  try {
+    const assignment = await deliveryProofService.rejectOverride(parseInt(req.params.id), {
+      note: req.body?.note || null,
+      actorId: req.user.id,
+    });
+    res.json(assignment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getDisputes = async (req, res, next) => {
+  try {
+    const { depotId, status = "OPEN", page = 1, limit = 20 } = req.query;
+    const pageInt = parseInt(page);
+    const limitInt = parseInt(limit);
+
+    const where = {
+      ...(depotId ? { depotId: parseInt(depotId) } : {}),
+      ...(status ? { status } : {}),
+    };
+
+    const [disputes, total] = await Promise.all([
+      prisma.deliveryDispute.findMany({
+        where,
+        include: {
+          deliveryAssignment: {
+            select: {
+              id: true,
+              deliveryDate: true,
+              deliveredAt: true,
+              proofMethod: true,
+              snfOrderId: true,
+              deliveryScheduleEntryId: true,
+              deliveryPartner: { select: { firstName: true, lastName: true, mobile: true } },
+            },
+          },
+          raisedBy: { select: { id: true, name: true } },
+          resolvedBy: { select: { id: true, name: true } },
+        },
+        orderBy: { id: "desc" },
+        skip: (pageInt - 1) * limitInt,
+        take: limitInt,
+      }),
+      prisma.deliveryDispute.count({ where }),
+    ]);
+
+    res.json({ disputes, total, page: pageInt, limit: limitInt });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const raiseDispute = async (req, res, next) => {
+  const schema = z.object({
+    complaint: z.string().min(1, "Complaint is required"),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  try {
+    const dispute = await deliveryProofService.raiseDispute(parseInt(req.params.id), {
+      complaint: req.body.complaint,
+      actorId: req.user.id,
+    });
+    res.status(201).json(dispute);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const rejectDispute = async (req, res, next) => {
+  try {
+    const dispute = await deliveryProofService.rejectDispute(parseInt(req.params.disputeId), {
+      resolution: req.body?.resolution,
+      actorId: req.user.id,
+    });
+    res.json(dispute);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Customer is right: undo the delivery so it can be refunded or sent again
+const reopenDispute = async (req, res, next) => {
+  try {
+    const result = await deliveryProofService.reopenDispute(parseInt(req.params.disputeId), {
+      resolution: req.body?.resolution || null,
+      actorId: req.user.id,
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getPendingOrders,
   assignOrders,
   getTrackAssignments,
   unassignOrder,
   retryOrder,
+  planRoutes,
+  getRouteSheet,
+  getDeliveryProof,
+  approveOverride,
+  rejectOverride,
+  getDisputes,
+  raiseDispute,
+  rejectDispute,
+  reopenDispute,
 };
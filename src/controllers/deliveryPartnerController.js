@@ -2,6 +2,7 @@ const bcrypt = require("bcrypt");
 const prisma = require("../config/db");
 const validateRequest = require("../utils/validateRequest");
 const { z } = require("zod");
+const { revokeUserSessions } = require("../services/sessionService");
 
 const getDeliveryPartners = async (req, res, next) => {
   try {
@@ -156,6 +157,11 @@ const updateDeliveryPartnerStatus = async (req, res, next) => {
       data: { active: req.body.status === "ACTIVE" },
     });
 
+    // A suspended or removed partner must drop off the app immediately
+    if (req.body.status !== "ACTIVE") {
+      await revokeUserSessions(updated.userId, "DEACTIVATED");
+    }
+
     res.json(updated);
   } catch (error) {
     next(error);
@@ -268,6 +274,10 @@ const updateDeliveryPartner = async (req, res, next) => {
       });
     });
 
+    if (password) {
+      await revokeUserSessions(existing.userId, "PASSWORD_CHANGED");
+    }
+
     res.json(result);
   } catch (error) {
     if (typeof req.cleanupUpload === "function") await req.cleanupUpload();
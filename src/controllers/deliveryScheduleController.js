@@ -1,6 +1,6 @@
-const { PrismaClient, DeliveryStatus } = require('@prisma/client');
-const walletService = require('../services/walletService');
-const prisma = new PrismaClient();
+const { DeliveryStatus } = require('@prisma/client');
+const { changeEntryStatus, getEntryHistory, sourceForRole } = require('../services/deliveryLifecycleService');
+const prisma = require('../config/db');
 
 // Get all delivery schedule entries for a specific agency on a given date
 const getAgencyDeliveriesByDate = async (req, res) => {
@@ -163,7 +163,7 @@ const getAgencyDeliveriesByDate = async (req, res) => {
 // Update the status of a delivery schedule entry
 const updateDeliveryStatus = async (req, res) => {
   const { id: idString } = req.params;
-  const { status } = req.body;
+  const { status, reason } = req.body;
   const id = parseInt(idString, 10);
 
   if (isNaN(id)) {
@@ -188,33 +188,11 @@ const updateDeliveryStatus = async (req, res) => {
   }
 
   try {
-    // First, get the full delivery entry with subscription details for business logic
     const deliveryEntry = await prisma.deliveryScheduleEntry.findUnique({
       where: { id: id },
-      include: {
-        subscription: {
-          select: { 
-            id: true,
-            agencyId: true,
-            rate: true,
-            qty: true,
-            memberId: true
-          },
-        },
-        member: {
-          select: {
-            id: true,
-            name: true,
-            user: {
-              select: {
-                id: true,
-                name: true,
-                email: true,
-                mobile: true
-              }
-            }
-          },
-        },
+      select: {
+        id: true,
+        subscription: { select: { agencyId: true } },
       },
     });
 
@@ -227,81 +205,23 @@ const updateDeliveryStatus = async (req, res) => {
       return res.status(403).json({ error: 'Forbidden: You do not have permission to update this delivery entry.' });
     }
 
-    // Handle business logic for different status values
-    let walletTransaction = null;
-    if (status === 'SKIP_BY_CUSTOMER' || status === 'SKIPPED') {
-      // Calculate refund amount and credit to wallet
-      const refundAmount = walletService.calculateRefundAmount(deliveryEntry);
-      
-      if (refundAmount > 0) {
-        const referenceNumber = `DELIVERY_${deliveryEntry.id}`;
-        const dayjs = require('dayjs');
-        const formattedDate = dayjs(deliveryEntry.deliveryDate).format('DD/MM/YYYY');
-        const notes = `Credit for skipped delivery on ${formattedDate} - Order ID: ${deliveryEntry.subscription.id}, Product: ${deliveryEntry.product?.name || 'Product'}`;
-        
-        walletTransaction = await walletService.creditWallet(
-          deliveryEntry.subscription.memberId,
-          refundAmount,
-          referenceNumber,
-          notes,
-          req.user.id // Admin/Agency user who processed this
-        );
-      }
-    }
-
-    // Prepare update data
-    const updateData = { status: status };
-    
     // If this is an agency user updating the status, set them as the agent who handled it
+    const entryData = {};
     if (req.user.role === 'AGENCY' && req.user.agencyId) {
-      updateData.agentId = req.user.agencyId;
+      entryData.agentId = req.user.agencyId;
     }
 
-    // Update the delivery status
-    const updatedDeliveryEntry = await prisma.deliveryScheduleEntry.update({
-      where: { id: id },
-      data: updateData,
-      include: {
-        product: {
-          select: {
-            id: true,
-            name: true,
-          },
-        },
-        member: {
-          select: {
-            id: true,
-            name: true,
-            user: {
-              select: {
-                id: true,
-                name: true,
-                email: true,
-                mobile: true,
-              }
-            }
-          },
-        },
-        subscription: {
-          select: {
-            id: true,
-          }
-        },
-        deliveryAddress: {
-          select: {
-            id: true,
-            recipientName: true,
-            mobile: true,
-            plotBuilding: true,
-            streetArea: true,
-            landmark: true,
-            pincode: true,
-            city: true,
-            state: true,
-            label: true,
-          },
-        },
-      }
+    // Refunds, assignment sync, notifications and history are handled by the lifecycle service
+    const { entry: updatedDeliveryEntry, walletTransaction } = await changeEntryStatus(id, status, {
+      source: sourceForRole(req.user.role),
+      actorId: req.user.id,
+      reason: reason || null,
+      entryData,
+      // Delivering on the rider's behalf is a supervised override
+      override: {
+        reason,
+        photoUrl: req.file ? `/uploads/${req.file.filename}` : null,
+      },
     });
 
     // Include wallet transaction info in response if applicable
@@ -316,53 +236,15 @@ const updateDeliveryStatus = async (req, res) => {
       } : null
     };
 
-    // Send WhatsApp Delivery Notification if status is DELIVERED
-    if (status === 'DELIVERED') {
-      try {
-        const user = updatedDeliveryEntry.member?.user;
-        if (user && user.mobile) {
-          const { sendDeliveryWhatsAppMessage } = require('../services/whatsAppService');
-          await sendDeliveryWhatsAppMessage(user, updatedDeliveryEntry);
-        }
-      } catch (waError) {
-        console.error('Failed to send delivery confirmation WhatsApp message (Agency):', waError);
-      }
-    } else if (status === 'SKIP_BY_CUSTOMER' || status === 'SKIPPED') {
-      try {
-        const user = updatedDeliveryEntry.member?.user;
-        if (user && user.mobile) {
-          const { sendSkipDeliveryWhatsAppMessage } = require('../services/whatsAppService');
-          const dayjs = require('dayjs');
-          const skipData = {
-            date: dayjs(updatedDeliveryEntry.deliveryDate).format('DD/MM/YYYY'),
-            refundAmount: walletTransaction?.amount || 0
-          };
-          await sendSkipDeliveryWhatsAppMessage(user, skipData);
-        }
-      } catch (waError) {
-        console.error('Failed to send skip delivery confirmation WhatsApp message:', waError);
-      }
-    } else if (status === 'NOT_DELIVERED') {
-      try {
-        const user = updatedDeliveryEntry.member?.user;
-        if (user && user.mobile) {
-          const { sendNotDeliveredWhatsAppMessage } = require('../services/whatsAppService');
-          const failData = {
-            orderNo: `SUB-${updatedDeliveryEntry.subscription.id}`,
-            reason: updatedDeliveryEntry.adminNotes || "Delivery attempt failed.",
-            refundAmount: walletTransaction?.amount || 0
-          };
-          await sendNotDeliveredWhatsAppMessage(user, failData);
-        }
-      } catch (waError) {
-        console.error('Failed to send not delivered confirmation WhatsApp message:', waError);
-      }
-    }
-
     res.status(200).json(response);
   } catch (error) {
     console.error('Error updating delivery status:', error);
-    
+
+    // Invalid transitions and other lifecycle errors carry their own status
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     // Handle specific Prisma errors
     if (error.code === 'P2025') {
       return res.status(404).json({ error: 'Delivery entry not found for update.' });
@@ -377,7 +259,39 @@ const updateDeliveryStatus = async (req, res) => {
   }
 };
 
+// Status history of a delivery schedule entry
+const getDeliveryStatusHistory = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid ID format. ID must be an integer.' });
+  }
+
+  if (!['ADMIN', 'AGENCY'].includes(req.user.role)) {
+    return res.status(403).json({ error: 'Forbidden: User role not permitted to view delivery history.' });
+  }
+
+  try {
+    const deliveryEntry = await prisma.deliveryScheduleEntry.findUnique({
+      where: { id: id },
+      select: { id: true, subscription: { select: { agencyId: true } } },
+    });
+    if (!deliveryEntry) {
+      return res.status(404).json({ error: 'Delivery entry not found' });
+    }
+    if (req.user.role === 'AGENCY' && deliveryEntry.subscription.agencyId !== req.user.agencyId) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission to view this delivery entry.' });
+    }
+
+    const history = await getEntryHistory(id);
+    res.status(200).json(history);
+  } catch (error) {
+    console.error('Error fetching delivery status history:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery status history', details: error.message });
+  }
+};
+
 module.exports = {
   getAgencyDeliveriesByDate,
   updateDeliveryStatus,
+  getDeliveryStatusHistory,
 };
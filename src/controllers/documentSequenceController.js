@@ -0,0 +1,71 @@
+const validateRequest = require("../utils/validateRequest");
+const { z } = require("zod");
+const documentSequenceService = require("../services/documentSequenceService");
+
+const getSequences = async (req, res, next) => {
+  try {
+    const sequences = await documentSequenceService.listSequences();
+    res.json(sequences);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const saveFormat = async (req, res, next) => {
+  const schema = z.object({
+    depotId: z.number().int().positive().nullable().optional(),
+    prefix: z.string().max(20).regex(/^[A-Za-z0-9/]*$/, "prefix may only contain letters, digits and /").optional(),
+    reset: z.enum(["NEVER", "FINANCIAL_YEAR", "CALENDAR_YEAR"]),
+    padding: z.number().int().min(1).max(10),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  try {
+    const format = await documentSequenceService.saveFormat(req.params.documentType, req.body);
+    res.json(format);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteFormat = async (req, res, next) => {
+  try {
+    await documentSequenceService.deleteFormat(parseInt(req.params.id));
+    res.json({ message: "Sequence format removed" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restart a series, typically at the start of a financial year
+const resetSequence = async (req, res, next) => {
+  const schema = z.object({
+    documentType: z.enum(documentSequenceService.DOCUMENT_TYPES),
+    depotId: z.number().int().positive().nullable().optional(),
+    period: z.string().optional(),
+    lastValue: z.number().int().min(0).optional(),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  try {
+    const sequence = await documentSequenceService.resetSequence(req.body);
+    res.json(sequence);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSequences,
+  saveFormat,
+  deleteFormat,
+  resetSequence,
+};
@@ -6,8 +6,7 @@ const {
 } = require('../services/invoiceService');
 const { regenerateAllInvoices } = require('../scripts/regenerateAllInvoices');
 const { regenerateAllInvoicesKeepNumbers } = require('../scripts/regenerateAllInvoicesKeepNumbers');
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../config/db');
 const path = require('path');
 const fs = require('fs').promises;
 
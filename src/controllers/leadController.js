@@ -1,5 +1,44 @@
 const asyncHandler = require('express-async-handler');
+const { z } = require('zod');
 const prisma = require('../config/db'); // Prisma Client
+const leadService = require('../services/leadService');
+const validateRequest = require('../utils/validateRequest');
+
+const leadDetailInclude = {
+  assignedTo: { select: { id: true, name: true, mobile: true } },
+  member: { select: { id: true, name: true } },
+  areaMaster: { select: { id: true, name: true, isDairyProduct: true } },
+};
+
+const userIdPattern = /^\d+$/;
+
+const dateOnly = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD')
+  // Rejects dates like 2026-02-30 that Date would roll over
+  .refine((value) => {
+    const date = new Date(value);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  }, 'Invalid date');
+
+// 'me' lists the caller's own leads; 'none' the unassigned ones
+const assignedToFilterSchema = z.union([z.literal('me'), z.literal('none'), z.string().regex(userIdPattern)]);
+
+const assignLeadSchema = z.object({
+  assignedToId: z.union(
+    [z.number().int().positive(), z.string().regex(userIdPattern, 'assignedToId must be a user id'), z.null()],
+    { errorMap: () => ({ message: 'assignedToId must be a user id, or null to unassign' }) }
+  ),
+});
+
+const funnelQuerySchema = z
+  .object({
+    groupBy: z.enum(['pincode', 'source']).default('pincode'),
+    from: dateOnly.optional(),
+    to: dateOnly.optional(),
+    isDairyProduct: z.enum(['true', 'false']).optional(),
+  })
+  .refine(({ from, to }) => !from || !to || from <= to, { message: 'from must be on or before to', path: ['to'] });
 
 /**
  * @desc    Create a new lead
@@ -20,6 +59,7 @@ const createLead = asyncHandler(async (req, res) => {
     productId,
     isDairyProduct,
     notes,
+    source,
   } = req.body;
 
   // Validate required fields
@@ -40,7 +80,14 @@ const createLead = asyncHandler(async (req, res) => {
     throw new Error('Pincode must be exactly 6 digits');
   }
 
+  if (source && !leadService.LEAD_SOURCES.includes(source)) {
+    res.status(400);
+    throw new Error(`Source must be one of: ${leadService.LEAD_SOURCES.join(', ')}`);
+  }
+
   try {
+    const { isServiceable, areaMasterId } = await leadService.checkServiceability(pincode, Boolean(isDairyProduct));
+
     const lead = await prisma.lead.create({
       data: {
         name,
@@ -56,6 +103,9 @@ const createLead = asyncHandler(async (req, res) => {
         isDairyProduct: Boolean(isDairyProduct),
         notes: notes || null,
         status: 'NEW',
+        source: source || 'WEBSITE',
+        isServiceable,
+        areaMasterId,
       },
     });
 
@@ -85,6 +135,12 @@ const getAllLeads = asyncHandler(async (req, res) => {
   const search = req.query.search || '';
   const status = req.query.status || '';
   const isDairyProduct = req.query.isDairyProduct;
+  const { source, assignedToId, isServiceable, followUpDue } = req.query;
+
+  if (assignedToId && !assignedToFilterSchema.safeParse(assignedToId).success) {
+    res.status(400);
+    throw new Error("assignedToId must be a user id, 'me' or 'none'");
+  }
 
   let whereClause = {};
 
@@ -109,6 +165,25 @@ const getAllLeads = asyncHandler(async (req, res) => {
     whereClause.isDairyProduct = isDairyProduct === 'true';
   }
 
+  if (source) {
+    whereClause.source = source;
+  }
+
+  if (assignedToId) {
+    whereClause.assignedToId = assignedToId === 'me'
+      ? req.user.id
+      : assignedToId === 'none' ? null : parseInt(assignedToId, 10);
+  }
+
+  if (isServiceable !== undefined) {
+    whereClause.isServiceable = isServiceable === 'true';
+  }
+
+  // Leads with a callback due by now
+  if (followUpDue === 'true') {
+    whereClause.nextFollowUpAt = { lte: new Date() };
+  }
+
   try {
     const totalRecords = await prisma.lead.count({ where: whereClause });
     const totalPages = Math.ceil(totalRecords / limit);
@@ -117,8 +192,9 @@ const getAllLeads = asyncHandler(async (req, res) => {
       where: whereClause,
       skip: skip,
       take: limit,
-      orderBy: {
-        createdAt: 'desc',
+      orderBy: followUpDue === 'true' ? { nextFollowUpAt: 'asc' } : { createdAt: 'desc' },
+      include: {
+        assignedTo: { select: { id: true, name: true } },
       },
     });
 
@@ -148,29 +224,28 @@ const getAllLeads = asyncHandler(async (req, res) => {
 const getLeadById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  try {
-    const lead = await prisma.lead.findUnique({
-      where: {
-        id: parseInt(id, 10),
+  const lead = await prisma.lead.findUnique({
+    where: {
+      id: parseInt(id, 10),
+    },
+    include: {
+      ...leadDetailInclude,
+      activities: {
+        orderBy: { createdAt: 'desc' },
+        include: { createdBy: { select: { id: true, name: true } } },
       },
-    });
+    },
+  });
 
-    if (!lead) {
-      res.status(404);
-      throw new Error('Lead not found');
-    }
-
-    res.status(200).json({
-      success: true,
-      data: lead,
-    });
-  } catch (error) {
-    console.error('Error fetching lead:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch lead',
-    });
+  if (!lead) {
+    res.status(404);
+    throw new Error('Lead not found');
   }
+
+  res.status(200).json({
+    success: true,
+    data: lead,
+  });
 });
 
 /**
@@ -182,42 +257,108 @@ const updateLeadStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { status, notes } = req.body;
 
-  const validStatuses = ['NEW', 'CONTACTED', 'CONVERTED', 'CLOSED'];
+  const updatedLead = await leadService.changeLeadStatus(parseInt(id, 10), status, {
+    actorId: req.user.id,
+    note: notes || null,
+  });
 
-  if (!status || !validStatuses.includes(status)) {
-    res.status(400);
-    throw new Error(`Status must be one of: ${validStatuses.join(', ')}`);
+  res.status(200).json({
+    success: true,
+    message: 'Lead status updated successfully',
+    data: updatedLead,
+  });
+});
+
+/**
+ * @desc    Assign a lead to a staff user (assignedToId: null to unassign)
+ * @route   PUT /api/leads/:id/assign
+ * @access  Private/Admin
+ */
+const assignLead = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const validationResult = await validateRequest(assignLeadSchema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
   }
+  const { assignedToId } = validationResult;
 
-  try {
-    const dataToUpdate = { status };
-    if (notes !== undefined) {
-      dataToUpdate.notes = notes;
-    }
+  const lead = await leadService.assignLead(
+    parseInt(id, 10),
+    assignedToId ? parseInt(assignedToId, 10) : null,
+    { actorId: req.user.id }
+  );
 
-    const updatedLead = await prisma.lead.update({
-      where: {
-        id: parseInt(id, 10),
-      },
-      data: dataToUpdate,
-    });
+  res.status(200).json({
+    success: true,
+    message: 'Lead assigned successfully',
+    data: lead,
+  });
+});
 
-    res.status(200).json({
-      success: true,
-      message: 'Lead status updated successfully',
-      data: updatedLead,
-    });
-  } catch (error) {
-    if (error.code === 'P2025') {
-      res.status(404);
-      throw new Error('Lead not found');
-    }
-    console.error('Error updating lead status:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update lead status',
-    });
+/**
+ * @desc    Add a note, logged call or scheduled callback to a lead
+ * @route   POST /api/leads/:id/activities
+ * @access  Private/Admin
+ */
+const addLeadActivity = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { type, note, followUpAt } = req.body;
+
+  const activity = await leadService.addLeadActivity(parseInt(id, 10), {
+    type,
+    note,
+    followUpAt,
+    actorId: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: activity,
+  });
+});
+
+/**
+ * @desc    Mark a scheduled callback as done
+ * @route   PUT /api/leads/:id/activities/:activityId/complete
+ * @access  Private/Admin
+ */
+const completeLeadCallback = asyncHandler(async (req, res) => {
+  const { id, activityId } = req.params;
+
+  const activity = await leadService.completeCallback(parseInt(id, 10), parseInt(activityId, 10), {
+    note: req.body?.note || null,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: activity,
+  });
+});
+
+/**
+ * @desc    Lead funnel by pincode or source
+ * @route   GET /api/leads/funnel?groupBy=pincode|source&from=&to=&isDairyProduct=
+ * @access  Private/Admin
+ */
+const getLeadFunnel = asyncHandler(async (req, res) => {
+  const validationResult = await validateRequest(funnelQuerySchema, req.query);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
   }
+  const { groupBy, from, to, isDairyProduct } = validationResult;
+
+  const rows = await leadService.getLeadFunnel({
+    groupBy,
+    from: from ? new Date(from) : null,
+    to: to ? new Date(`${to}T23:59:59.999`) : null,
+    isDairyProduct: isDairyProduct === undefined ? undefined : isDairyProduct === 'true',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: rows,
+  });
 });
 
 /**
@@ -257,5 +398,9 @@ module.exports = {
   getAllLeads,
   getLeadById,
   updateLeadStatus,
+  assignLead,
+  addLeadActivity,
+  completeLeadCallback,
+  getLeadFunnel,
   deleteLead,
 };
\ No newline at end of file
@@ -11,6 +11,7 @@
 const {
   initiatePayment,
   checkOrderStatus,
+  verifyWebhookAuthorization,
   processWebhook,
 } = require('../services/phonePeService');
 
@@ -105,11 +106,18 @@ exports.getPaymentStatus = async (req, res) => {
 /**
  * POST /api/phonepe/webhook
  * Called by PhonePe to notify payment status changes.
+ * Requests without a valid Authorization hash are rejected before any DB work.
  */
 exports.handleWebhook = async (req, res) => {
   try {
+    if (!verifyWebhookAuthorization(req.headers.authorization)) {
+      console.warn('[PhonePeController] Webhook: invalid or missing authorization');
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+
     // Parse body — might be string (raw) or already parsed JSON
     let body = req.body;
+    const rawBody = typeof body === 'string' ? body : undefined;
     if (typeof body === 'string') {
       try {
         body = JSON.parse(body);
@@ -119,7 +127,7 @@ exports.handleWebhook = async (req, res) => {
       }
     }
 
-    const result = await processWebhook(body);
+    const result = await processWebhook(body, rawBody);
     return res.json({ success: true, data: result });
   } catch (error) {
     console.error('[PhonePeController] webhook error:', error.message);
@@ -1,6 +1,9 @@
 const asyncHandler = require('express-async-handler');
 const prisma = require('../config/db');
 const bcrypt = require('bcryptjs');
+const walletService = require('../services/walletService');
+const { getAvailability, reserveOrderStock, issueOrderStock } = require('../services/stockReservationService');
+const { nextNumber } = require('../services/documentSequenceService');
 
 /**
  * @desc    Search members by name or mobile for POS (returns all if no query)
@@ -230,6 +233,10 @@ const getDepotProducts = asyncHandler(async (req, res) => {
     orderBy: { name: 'asc' },
   });
 
+  const availability = await getAvailability(
+    products.flatMap((product) => product.depotProductVariants.map((variant) => variant.id))
+  );
+
   // Format for POS
   const formattedProducts = products.map(product => ({
     id: product.id,
@@ -240,7 +247,7 @@ const getDepotProducts = asyncHandler(async (req, res) => {
       id: variant.id,
       name: variant.name,
       price: variant.salesPrice || variant.buyOncePrice || variant.mrp,
-      stock: variant.closingQty,
+      stock: Math.max(availability.get(variant.id)?.availableQty ?? variant.closingQty, 0),
     })),
   }));
 
@@ -327,6 +334,7 @@ const createPosOrder = asyncHandler(async (req, res) => {
   // Validate items and compute totals
   let computedSubtotal = 0;
   const preparedItems = [];
+  const availability = await getAvailability(items.map((item) => item.depotProductVariantId));
 
   for (const item of items) {
     const { name, variantName, price, quantity, depotProductVariantId } = item;
@@ -343,9 +351,11 @@ const createPosOrder = asyncHandler(async (req, res) => {
         where: { id: depotProductVariantId },
       });
 
-      if (!variant || variant.closingQty < quantity) {
+      // Stock held for undelivered online orders is not available at the counter
+      const available = availability.get(depotProductVariantId)?.availableQty || 0;
+      if (!variant || available < quantity) {
         res.status(400);
-        throw new Error(`Insufficient stock for ${name}. Available: ${variant?.closingQty || 0}`);
+        throw new Error(`Insufficient stock for ${name}. Available: ${Math.max(available, 0)}`);
       }
     }
 
@@ -372,32 +382,14 @@ const createPosOrder = asyncHandler(async (req, res) => {
   const computedTotal = computedSubtotal;
   // tax logic if any...
 
-  // Generate order number
-  const now = new Date();
-  const month = now.getMonth() + 1;
-  const year = now.getFullYear();
-  const fyStartYear = month >= 4 ? year : year - 1;
-  const fyEndYear = fyStartYear + 1;
-  const fyPrefix = `${String(fyStartYear).slice(-2)}${String(fyEndYear).slice(-2)}`;
-
-  const latest = await prisma.sNFOrder.findFirst({
-    where: { orderNo: { startsWith: `${fyPrefix}-` } },
-    orderBy: { orderNo: 'desc' },
-    select: { orderNo: true },
-  });
-
-  let nextSeq = 1;
-  if (latest?.orderNo) {
-    const m = latest.orderNo.match(/-(\d+)$/);
-    if (m) nextSeq = parseInt(m[1], 10) + 1;
-  }
-  const orderNo = `${fyPrefix}-${String(nextSeq).padStart(5, '0')}`;
-
   // Determine final payment status
   const finalPaymentStatus = ['WALLET', 'CASH', 'UPI', 'CHEQUE', 'CARD'].includes(paymentMode) ? 'PAID' : 'PENDING';
 
   // Create order in transaction
   const created = await prisma.$transaction(async (tx) => {
+    // POS orders share the SNF order series
+    const orderNo = await nextNumber('SNF_ORDER', { depotId: parseInt(depotId, 10), tx });
+
     // Create order
     const order = await tx.sNFOrder.create({
       data: {
@@ -450,55 +442,20 @@ const createPosOrder = asyncHandler(async (req, res) => {
 
     // Handle wallet deduction
     if (walletamt > 0) {
-      await tx.member.update({
-        where: { id: memberId },
-        data: {
-          walletBalance: {
-            decrement: walletamt,
-          },
-        },
-      });
-
-      await tx.walletTransaction.create({
-        data: {
-          memberId,
-          amount: walletamt,
-          type: 'DEBIT',
-          status: 'PAID',
-          paymentMethod: 'WALLET',
-          notes: `POS Order ${order.orderNo}`,
-          referenceNumber: order.orderNo,
-        },
-      });
+      await walletService.postWalletMovement({
+        memberId,
+        amount: walletamt,
+        type: 'DEBIT',
+        account: walletService.LedgerAccount.SALES,
+        paymentMethod: 'WALLET',
+        notes: `POS Order ${order.orderNo}`,
+        referenceNumber: order.orderNo,
+      }, tx);
     }
 
-    // Update stock quantities
-    for (const item of preparedItems) {
-      if (item.depotProductVariantId) {
-        await tx.depotProductVariant.update({
-          where: { id: item.depotProductVariantId },
-          data: {
-            closingQty: {
-              decrement: item.quantity,
-            },
-          },
-        });
-
-        // Create stock ledger entry
-        await tx.stockLedger.create({
-          data: {
-            productId: item.productId,
-            variantId: item.depotProductVariantId,
-            depotId: parseInt(depotId, 10),
-            transactionDate: new Date(),
-            issuedQty: item.quantity,
-            receivedQty: 0,
-            module: 'SNF_ORDER',
-            foreignKey: order.id,
-          },
-        });
-      }
-    }
+    // Goods are handed over at the counter: reserve (re-checked under lock) and issue at once
+    await reserveOrderStock(order, tx, { allowBackorder: false });
+    await issueOrderStock(order.id, tx);
 
     return order;
   });
@@ -4,6 +4,7 @@ const createError = require("http-errors");
 const Validate = require("../utils/validateRequest");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
+const { getAvailability } = require("../services/stockReservationService");
 
 const prisma = new PrismaClient();
 
@@ -29,6 +30,11 @@ const productSchema = z.object({
     (val) => (val ? parseInt(String(val), 10) : null),
     z.number().int().positive().nullable().optional()
   ), // Changed to categoryId
+  // Days to expiry for purchase lines that give no expiry date; blank clears it
+  shelfLifeDays: z.preprocess(
+    (val) => (val === undefined ? undefined : val === null || val === "" ? null : Number(val)),
+    z.number().int().positive().nullable().optional()
+  ),
   // Legacy fields - marked as optional to prevent validation errors
   price: z.number().optional(),
   rate: z.number().optional(),
@@ -122,6 +128,7 @@ const createProduct = asyncHandler(async (req, res, next) => {
       isSubscription,
       categoryId,
       maintainStock,
+      shelfLifeDays,
     } = validationResult.data;
 
     const productData = {
@@ -134,6 +141,7 @@ const createProduct = asyncHandler(async (req, res, next) => {
       isSubscription,
       categoryId,
       maintainStock,
+      shelfLifeDays,
     };
 
     console.log(
@@ -422,6 +430,11 @@ const getPublicProducts = asyncHandler(async (req, res, next) => {
       const totalPages = Math.ceil(totalProducts / limitNum);
 
       // Transform the data to match the expected Product interface
+      // Stock held for undelivered orders is not available to sell again
+      const availability = await getAvailability(
+        productsWithVariants.flatMap((product) => product.depotProductVariants.map((variant) => variant.id))
+      );
+
       const transformedProducts = productsWithVariants.map((product) => ({
         id: product.id,
         name: product.name,
@@ -448,6 +461,7 @@ const getPublicProducts = asyncHandler(async (req, res, next) => {
           price1Month: variant.price1Month ? parseFloat(variant.price1Month) : null,
           minimumQty: variant.minimumQty,
           closingQty: variant.closingQty,
+          availableQty: Math.max(availability.get(variant.id)?.availableQty ?? variant.closingQty, 0),
           notInStock: variant.notInStock,
           isHidden: variant.isHidden,
           unit: variant.name.includes('500ml') ? '500ml' : variant.name.includes('1L') ? '1L' : 'unit',
@@ -606,6 +620,7 @@ const updateProduct = asyncHandler(async (req, res, next) => {
       isSubscription,
       categoryId,
       maintainStock,
+      shelfLifeDays,
     } = validationResult.data;
 
     const updateData = {
@@ -617,6 +632,7 @@ const updateProduct = asyncHandler(async (req, res, next) => {
       isSubscription,
       categoryId,
       maintainStock,
+      shelfLifeDays,
     };
 
     console.log(
@@ -1048,6 +1064,11 @@ const getPublicProductsWithVariants = asyncHandler(async (req, res, next) => {
     });
 
     // Transform the data to match the desired response structure
+    // Stock held for undelivered orders is not available to sell again
+    const availability = await getAvailability(
+      productsWithVariants.flatMap((product) => product.depotProductVariants.map((variant) => variant.id))
+    );
+
     const transformedProducts = productsWithVariants.map((product) => ({
       id: product.id,
       name: product.name,
@@ -1071,6 +1092,7 @@ const getPublicProductsWithVariants = asyncHandler(async (req, res, next) => {
         price1Month: variant.price1Month ? parseFloat(variant.price1Month) : null,
         minimumQty: variant.minimumQty,
         closingQty: variant.closingQty,
+        availableQty: Math.max(availability.get(variant.id)?.availableQty ?? variant.closingQty, 0),
         notInStock: variant.notInStock,
         isHidden: variant.isHidden,
         unit: variant.name.includes('500ml') ? '500ml' : variant.name.includes('1L') ? '1L' : 'unit',
@@ -1,136 +1,26 @@
 const asyncHandler = require('express-async-handler');
-const { PrismaClient, TransactionType, TransactionStatus } = require('@prisma/client');
+const { TransactionType } = require('@prisma/client');
 const { generateInvoicePdf } = require('../utils/invoiceGenerator');
 const { generateInvoiceForOrder } = require('../services/invoiceService');
+const { issueCreditNoteForDeliveries, renderIssuedCreditNotePdf } = require('../services/creditNoteService');
 const walletService = require('../services/walletService');
+const { changeEntriesStatus, sourceForRole } = require('../services/deliveryLifecycleService');
+const { resolveCouponLines, evaluateCoupon, redeemCoupon, reverseRedemption } = require('../services/couponService');
+const {
+  getPriceForPeriod,
+  generateDeliveryDates,
+  mapDeliverySchedule,
+} = require('../utils/subscriptionSchedule');
 const path = require('path');
 const fs = require('fs').promises;
 
-// Helper function to get the correct price based on the subscription period
-const getPriceForPeriod = (depotVariant, periodInDays) => {
-  const toNumber = (val) => {
-    const num = Number(val);
-    return Number.isFinite(num) && num > 0 ? num : undefined;
-  };
-
-  let periodPrice;
-  switch (periodInDays) {
-    case 0:
-      // Buy-once order: use buyOncePrice directly
-      periodPrice = toNumber(depotVariant.buyOncePrice);
-      console.log(`[getPriceForPeriod] Buy-once order (period=0): buyOncePrice=${depotVariant.buyOncePrice}, parsed=${periodPrice}`);
-      break;
-    case 3:
-      periodPrice = toNumber(depotVariant.price3Day);
-      break;
-    case 15:
-      periodPrice = toNumber(depotVariant.price15Day);
-      break;
-    case 30:
-      periodPrice = toNumber(depotVariant.price1Month);
-      break;
-  }
-
-  console.log(`[getPriceForPeriod] Period: ${periodInDays}, Variant: ${depotVariant.id}, Price calc:`, {
-    periodPrice,
-    buyOncePrice: depotVariant.buyOncePrice,
-    mrp: depotVariant.mrp,
-    finalPrice: periodPrice ?? toNumber(depotVariant.buyOncePrice) ?? toNumber(depotVariant.mrp) ?? 0
-  });
-
-  // Fallback chain: period price -> buyOncePrice -> MRP
-  return periodPrice ?? toNumber(depotVariant.buyOncePrice) ?? toNumber(depotVariant.mrp) ?? 0;
-};
-const prisma = new PrismaClient();
-
-// Helper function to get day key from day index (0 for Sunday, 1 for Monday, etc.)
-const getDayKey = (dayIndex) => {
-  return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][dayIndex];
-};
-
-// Helper function to generate delivery dates and their quantities
-const generateDeliveryDates = (startDate, periodInDays, deliveryScheduleType, qty, altQty, selectedWeekdays = []) => {
-  console.log(`[generateDeliveryDates ENTRY] StartDate: ${new Date(startDate).toISOString()}, Period: ${periodInDays}, ScheduleType: ${deliveryScheduleType}, Qty: ${qty}, AltQty: ${altQty}, SelectedWeekdays: ${JSON.stringify(selectedWeekdays)}`);
-  const deliveries = [];
-  
-  // For buy-once orders (period = 0), we need exactly one delivery on the start date
-  if (periodInDays === 0) {
-    console.log(`[generateDeliveryDates] Buy-once order detected (period=0), will create single delivery`);
-  }
-  const baseStartDate = new Date(startDate);
-
-  const lowerSelectedWeekdays = Array.isArray(selectedWeekdays) ? selectedWeekdays.map(day => day.toLowerCase()) : [];
-
-  const hasValidAltQty = altQty && typeof altQty === 'number' && altQty > 0;
-  let effectiveScheduleType = deliveryScheduleType; // Initialize with the passed type
-
-  // Determine the final effective schedule type for internal logic
-  if (deliveryScheduleType === 'VARYING') {
-    effectiveScheduleType = hasValidAltQty ? 'VARYING_ALTERNATING' : 'DAILY';
-  } else if (deliveryScheduleType === 'ALTERNATE_DAYS') {
-    // If 'ALTERNATE_DAYS' is chosen directly, and altQty might be provided for varying quantities on those alternate days.
-    effectiveScheduleType = 'ALTERNATE_DAYS_LOGIC';
-  }
-  // If deliveryScheduleType is 'SELECT_DAYS' or 'DAILY', effectiveScheduleType remains as is (from initialization).
-
-  console.log(`[generateDeliveryDates] Computed effectiveScheduleType: ${effectiveScheduleType}`);
-
-  let deliveryCountForAlternating = 0; // Used for VARYING_ALTERNATING and ALTERNATE_DAYS_LOGIC with altQty
-
-  // Special handling for buy-once orders (period = 0)
-  const actualPeriodInDays = periodInDays === 0 ? 1 : periodInDays;
-
-  for (let i = 0; i < actualPeriodInDays; i++) {
-    // Construct currentDate at midnight UTC for the target day
-    const currentDate = new Date(Date.UTC(
-      baseStartDate.getUTCFullYear(),
-      baseStartDate.getUTCMonth(),
-      baseStartDate.getUTCDate() + i
-    ));
-    // currentDate is now effectively YYYY-MM-DDT00:00:00.000Z
-
-    let shouldAddDelivery = false;
-    let currentQuantity = qty; // Default to primary quantity
-
-    if (effectiveScheduleType === 'DAILY') {
-      shouldAddDelivery = true;
-      currentQuantity = qty;
-    } else if (effectiveScheduleType === 'ALTERNATE_DAYS_LOGIC') {
-      if (i % 2 === 0) { // Delivery on 0th, 2nd, 4th... day relative to period start
-        shouldAddDelivery = true;
-        if (hasValidAltQty) {
-          currentQuantity = (deliveryCountForAlternating % 2 === 0) ? qty : altQty;
-          deliveryCountForAlternating++;
-        } else {
-          currentQuantity = qty;
-        }
-      }
-    } else if (effectiveScheduleType === 'VARYING_ALTERNATING') {
-      // VARYING schedule type from frontend with a valid altQty.
-      // Delivery every day, quantity alternates between qty and altQty.
-      shouldAddDelivery = true;
-      currentQuantity = (i % 2 === 0) ? qty : altQty; // Start with qty on day 0
-    } else if (effectiveScheduleType === 'SELECT_DAYS') {
-      const currentDayKey = getDayKey(currentDate.getUTCDay()); // Use getUTCDay() for UTC-based day index
-      console.log(`[SELECT_DAYS_DEBUG] Date: ${currentDate.toISOString().split('T')[0]}, DayKey: ${currentDayKey}, Selected: ${JSON.stringify(lowerSelectedWeekdays)}, Includes: ${lowerSelectedWeekdays.includes(currentDayKey)}`);
-      if (lowerSelectedWeekdays.includes(currentDayKey)) {
-        shouldAddDelivery = true;
-        currentQuantity = qty;
-      }
-    }
-
-    if (shouldAddDelivery) {
-      deliveries.push({ date: currentDate, quantity: currentQuantity });
-    }
-  }
-  return deliveries;
-};
+const prisma = require('../config/db');
 
 // @desc    Create a new product order with multiple subscriptions
 // @route   POST /api/product-orders/with-subscriptions
 // @access  Private
 const createOrderWithSubscriptions = asyncHandler(async (req, res) => {
-  const { subscriptions, deliveryAddressId, walletamt, deliveryInstructions } = req.body;
+  const { subscriptions, deliveryAddressId, walletamt, deliveryInstructions, couponCode = null } = req.body;
   const member = req.user;
 
   // Input validation
@@ -230,15 +120,40 @@ const createOrderWithSubscriptions = asyncHandler(async (req, res) => {
       });
     }
 
+    // Coupon discount is split over the subscriptions it applies to
+    let couponResult = null;
+    let couponShares = processedSubscriptions.map(() => 0);
+    if (couponCode) {
+      const couponLines = await resolveCouponLines(
+        processedSubscriptions.map((subData) => ({
+          amount: subData.amount,
+          productId: subData.depotVariant.productId,
+          depotProductVariantId: subData.depotVariant.id,
+        }))
+      );
+      couponResult = await evaluateCoupon({
+        code: couponCode,
+        orderType: 'SUBSCRIPTION',
+        lines: couponLines,
+        memberId,
+        city: deliveryAddress?.city || null,
+      });
+      couponShares = couponResult.lineDiscounts;
+    }
+    const couponDiscount = couponResult ? couponResult.discountAmount : 0;
+
     // Start transaction with only write operations
     const result = await prisma.$transaction(async (tx) => {
 
-      // Calculate wallet and payment amounts
+      // Calculate wallet and payment amounts on what is left after the coupon
       const walletCalculation = calculateWalletDistribution(
-        financialSummary.totalAmount,
+        financialSummary.totalAmount - couponDiscount,
         walletamt || 0,
         memberRecord.walletBalance,
-        financialSummary.subscriptionDetails
+        financialSummary.subscriptionDetails.map((detail, idx) => ({
+          ...detail,
+          amount: detail.amount - couponShares[idx],
+        }))
       );
       console.log("Wallet calculation:", walletCalculation)
 
@@ -251,6 +166,8 @@ const createOrderWithSubscriptions = asyncHandler(async (req, res) => {
         walletamt: walletCalculation.walletAmountUsed,
         payableamt: walletCalculation.totalPayableAmount,
         paymentStatus: walletCalculation.totalPayableAmount <= 0 ? 'PAID' : 'PENDING',
+        couponCode: couponResult ? couponResult.coupon.code : null,
+        couponDiscount,
       };
 
       // Set agent if consistent across subscriptions
@@ -267,14 +184,25 @@ const createOrderWithSubscriptions = asyncHandler(async (req, res) => {
         },
       });
 
+      // Record the coupon use; limits are checked again under a lock
+      if (couponResult) {
+        await redeemCoupon(tx, {
+          coupon: couponResult.coupon,
+          discountAmount: couponDiscount,
+          memberId,
+          productOrderId: newOrder.id,
+        });
+      }
+
       // Create subscriptions with distributed wallet amounts
       const createdSubscriptions = [];
 
       for (let i = 0; i < processedSubscriptions.length; i++) {
         const subData = processedSubscriptions[i];
         const walletShare = walletCalculation.subscriptionWalletShares[i];
+        const couponShare = couponShares[i];
 
-        const subscriptionPayable = subData.amount - walletShare;
+        const subscriptionPayable = Math.round((subData.amount - couponShare - walletShare) * 100) / 100;
         const subPaymentStatus = subscriptionPayable <= 0 ? 'PAID' : 'PENDING';
 
         const subscriptionDbData = {
@@ -293,9 +221,11 @@ const createOrderWithSubscriptions = asyncHandler(async (req, res) => {
           rate: subData.rate,
           amount: subData.amount,
           walletamt: walletShare,
+          couponDiscount: couponShare,
           payableamt: subscriptionPayable,
           paymentStatus: subPaymentStatus,
           deliveryInstructions: subData.deliveryInstructions,
+          autoRenew: subscriptions[i].autoRenew === true,
         };
 
         // Add delivery address for online depots
@@ -334,30 +264,21 @@ const createOrderWithSubscriptions = asyncHandler(async (req, res) => {
 
       // Update member wallet balance and create wallet transaction
       if (walletCalculation.walletAmountUsed > 0) {
-        await tx.member.update({
-          where: { id: memberId },
-          data: {
-            walletBalance: { decrement: walletCalculation.walletAmountUsed }
-          },
-        });
-
         // Create wallet transaction for the debit
         const subscriptionNames = createdSubscriptions.map(sub => 
           processedSubscriptions.find(p => p.depotVariant.id === sub.depotProductVariantId)?.depotVariant?.product?.name || 'Product'
         ).join(', ');
 
-        await tx.walletTransaction.create({
-          data: {
-            memberId: memberId,
-            amount: walletCalculation.walletAmountUsed,
-            type: TransactionType.DEBIT,
-            status: TransactionStatus.PAID,
-            paymentMethod: 'WALLET',
-            referenceNumber: `ORDER-${newOrder.orderNo}`,
-            notes: `Subscription Payment - ${subscriptionNames} (₹${walletCalculation.walletAmountUsed} debited from wallet)`,
-            processedByAdminId: null,
-          }
-        });
+        await walletService.postWalletMovement({
+          memberId: memberId,
+          amount: walletCalculation.walletAmountUsed,
+          type: TransactionType.DEBIT,
+          account: walletService.LedgerAccount.SALES,
+          paymentMethod: 'WALLET',
+          referenceNumber: `ORDER-${newOrder.orderNo}`,
+          notes: `Subscription Payment - ${subscriptionNames} (₹${walletCalculation.walletAmountUsed} debited from wallet)`,
+          processedByAdminId: null,
+        }, tx);
 
         console.log(`[Wallet Transaction] Created debit transaction for order ${newOrder.orderNo}, amount: ₹${walletCalculation.walletAmountUsed}`);
       }
@@ -374,6 +295,7 @@ const createOrderWithSubscriptions = asyncHandler(async (req, res) => {
         orderId: newOrder.id,
         financialSummary: {
           totalAmount: financialSummary.totalAmount,
+          couponDiscount,
           walletAmountUsed: walletCalculation.walletAmountUsed,
           totalPayableAmount: walletCalculation.totalPayableAmount,
           paymentStatus: orderData.paymentStatus
@@ -423,7 +345,8 @@ const createOrderWithSubscriptions = asyncHandler(async (req, res) => {
               await sendWalletDebitWhatsAppMessage(
                 user,
                 sub.walletamt,
-                finalOrder.orderNo
+                finalOrder.orderNo,
+                { businessKey: `wallet_debit:subscription:${sub.id}` }
               );
             }
           }
@@ -436,17 +359,9 @@ const createOrderWithSubscriptions = asyncHandler(async (req, res) => {
     // Create invoice for the order
     let invoice = null;
     try {
+      // Stores the invoice number and path on the order
       invoice = await generateInvoiceForOrder(finalOrder);
       console.log('Invoice created successfully:', invoice.invoiceNo);
-
-      // Update the order with invoice information
-      await prisma.productOrder.update({
-        where: { id: finalOrder.id },
-        data: {
-          invoiceNo: invoice.invoiceNo,
-          invoicePath: invoice.pdfPath
-        }
-      });
     } catch (invoiceError) {
       console.error('Error creating invoice:', invoiceError);
       // Don't fail the order creation if invoice fails
@@ -658,27 +573,6 @@ async function processSubscription(sub, depotVariantMap, deliveryAddress, delive
   };
 }
 
-// Helper function to map delivery schedule types
-function mapDeliverySchedule(rawDeliverySchedule) {
-  const scheduleMap = {
-    'DAILY': { internal: 'DAILY', db: 'DAILY' },
-    'SELECT-DAYS': { internal: 'SELECT_DAYS', db: 'WEEKDAYS' },
-    'ALTERNATE-DAYS': { internal: 'ALTERNATE_DAYS', db: 'ALTERNATE_DAYS' },
-    'DAY1-DAY2': { internal: 'VARYING', db: 'DAY1_DAY2' },
-    'VARYING': { internal: 'VARYING', db: 'DAY1_DAY2' }
-  };
-
-  const mapped = scheduleMap[rawDeliverySchedule.toUpperCase()];
-  if (!mapped) {
-    throw new Error(`Invalid delivery schedule type: ${rawDeliverySchedule}`);
-  }
-
-  return {
-    internalScheduleLogicType: mapped.internal,
-    dbDeliveryScheduleEnum: mapped.db
-  };
-}
-
 // Helper function to determine agent ID
 async function determineAgentId(depot, deliveryAddress, tx = null) {
   if (depot?.isOnline) {
@@ -1056,10 +950,12 @@ const updateProductOrderPayment = asyncHandler(async (req, res) => {
       });
 
       // 2. Update each linked subscription, correcting their financial details
+      const netOrderAmount = order.totalAmount - (order.couponDiscount || 0);
       for (const sub of order.subscriptions) {
-        // Distribute the order-level wallet deduction proportionally to each subscription
-        const subWalletShare = order.totalAmount > 0 ? (sub.amount / order.totalAmount) * (order.walletamt ?? order.walletAmountPaid ?? 0) : 0;
-        const subPayableAmt = sub.amount - subWalletShare;
+        // Distribute the order-level wallet deduction proportionally to each subscription, after its coupon share
+        const subNetAmount = sub.amount - (sub.couponDiscount || 0);
+        const subWalletShare = netOrderAmount > 0 ? (subNetAmount / netOrderAmount) * (order.walletamt ?? order.walletAmountPaid ?? 0) : 0;
+        const subPayableAmt = subNetAmount - subWalletShare;
 
         await tx.subscription.update({
           where: { id: sub.id },
@@ -1076,6 +972,11 @@ const updateProductOrderPayment = asyncHandler(async (req, res) => {
         });
       }
 
+      // A failed order gives its coupon use back
+      if (paymentStatus === 'FAILED') {
+        await reverseRedemption({ productOrderId: orderId }, 'PAYMENT_FAILED', tx);
+      }
+
       // 3. Fetch and return the final, fully updated order data
       const finalUpdatedOrder = await tx.productOrder.findUnique({
         where: { id: orderId },
@@ -1228,12 +1129,34 @@ const cancelOrderSubscriptions = asyncHandler(async (req, res) => {
         },
         data: {
           paymentStatus: 'CANCELLED',
+          cancelledAt: new Date(),
+          cancellationReason: req.body?.reason ? String(req.body.reason).slice(0, 255) : null,
           updatedAt: new Date()
         }
       });
 
-      // Also update any pending delivery schedule entries for cancelled subscriptions
-      await tx.deliveryScheduleEntry.updateMany({
+      // Process wallet refund if wallet amount was used in this order
+      let walletTransaction = null;
+      if (order.walletamt && order.walletamt > 0) {
+        console.log(`Processing wallet refund of ₹${order.walletamt} for order ${order.orderNo}`);
+        
+        // Credit the wallet amount back to member's wallet
+        ({ walletTransaction } = await walletService.postWalletMovement({
+          memberId: order.memberId,
+          amount: order.walletamt,
+          type: 'CREDIT',
+          account: walletService.LedgerAccount.REFUNDS,
+          paymentMethod: 'SYSTEM_REFUND',
+          referenceNumber: `ORDER-${order.orderNo}`,
+          notes: `Refund for cancelled order #${order.orderNo}`,
+          processedByAdminId: req.user.role === 'ADMIN' ? req.user.id : null
+        }, tx));
+      }
+
+      // Cancel the future pending deliveries of the cancelled subscriptions
+      // through the lifecycle so each gets a history row; the order refund
+      // above covers them, so none is made per entry
+      const entriesToCancel = await tx.deliveryScheduleEntry.findMany({
         where: {
           subscriptionId: { in: cancellableSubscriptionIds },
           status: 'PENDING',
@@ -1241,45 +1164,42 @@ const cancelOrderSubscriptions = asyncHandler(async (req, res) => {
             gte: now // Only future deliveries
           }
         },
-        data: {
-          status: 'CANCELLED',
-          updatedAt: new Date()
-        }
+        select: { id: true, subscriptionId: true }
+      });
+      const cancelledIds = await changeEntriesStatus(tx, entriesToCancel.map((entry) => entry.id), 'CANCELLED', {
+        source: sourceForRole(req.user.role),
+        fromStatuses: ['PENDING'],
+        actorId: req.user.id,
+        reason: `Order #${order.orderNo} cancelled`,
+        walletTransactionId: walletTransaction?.id || null,
       });
 
-      // Process wallet refund if wallet amount was used in this order
-      let walletTransaction = null;
-      if (order.walletamt && order.walletamt > 0) {
-        console.log(`Processing wallet refund of ₹${order.walletamt} for order ${order.orderNo}`);
-        
-        // Credit the wallet amount back to member's wallet
-        await tx.member.update({
-          where: { id: order.memberId },
-          data: {
-            walletBalance: {
-              increment: order.walletamt
-            }
-          }
-        });
+      // Offset the tax invoice for each cancelled subscription's remaining deliveries
+      const creditNotes = [];
+      for (const sub of cancellableSubscriptions) {
+        creditNotes.push(await issueCreditNoteForDeliveries({
+          sourceKey: `cancel_subscription:${sub.id}`,
+          reason: 'SUBSCRIPTION_CANCELLED',
+          entryIds: entriesToCancel
+            .filter((entry) => entry.subscriptionId === sub.id && cancelledIds.includes(entry.id))
+            .map((entry) => entry.id),
+          walletTransactionId: walletTransaction?.id || null,
+          createdById: req.user.id,
+        }, tx));
+      }
 
-        // Create wallet transaction record for the refund
-        walletTransaction = await tx.walletTransaction.create({
-          data: {
-            memberId: order.memberId,
-            amount: order.walletamt,
-            type: 'CREDIT',
-            status: 'PAID',
-            paymentMethod: 'SYSTEM_REFUND',
-            referenceNumber: `ORDER-${order.orderNo}`,
-            notes: `Refund for cancelled order #${order.orderNo}`,
-            processedByAdminId: req.user.role === 'ADMIN' ? req.user.id : null
-          }
-        });
+      // Cancelling the whole order gives its coupon use back
+      if (cancellableSubscriptions.length === order.subscriptions.length) {
+        await reverseRedemption({ productOrderId: order.id }, 'ORDER_CANCELLED', tx);
       }
 
-      return { updatedSubscriptions, walletTransaction };
+      return { updatedSubscriptions, walletTransaction, creditNotes };
     });
 
+    for (const creditNote of result.creditNotes) {
+      await renderIssuedCreditNotePdf(creditNote);
+    }
+
     // Fetch the updated order to return
     const updatedOrder = await prisma.productOrder.findUnique({
       where: { id: orderId },
@@ -1334,8 +1254,8 @@ const cancelOrderSubscriptions = asyncHandler(async (req, res) => {
 
   } catch (error) {
     console.error('Error cancelling order subscriptions:', error);
-    res.status(500).json({
-      message: 'Failed to cancel order subscriptions. Please try again.'
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Failed to cancel order subscriptions. Please try again.'
     });
   }
 });
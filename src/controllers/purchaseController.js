@@ -1,34 +1,75 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../config/db');
 const createError = require('http-errors');
 const { updateVariantStock } = require('../services/variantStockService');
+const { nextNumber } = require('../services/documentSequenceService');
+const { syncPurchaseBatches } = require('../services/stockBatchService');
+
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+
+// Batch number, manufacture and expiry date of a purchase line
+const batchFields = (d) => ({
+  batchNo: d.batchNo?.toString().trim() || null,
+  manufactureDate: d.manufactureDate ? new Date(d.manufactureDate) : null,
+  expiryDate: d.expiryDate ? new Date(d.expiryDate) : null,
+});
+
+const invalidBatchLine = (details) => {
+  for (const [index, d] of details.entries()) {
+    if ((d.manufactureDate && !isDay(d.manufactureDate)) || (d.expiryDate && !isDay(d.expiryDate))) {
+      return `Line ${index + 1}: manufactureDate and expiryDate must be in YYYY-MM-DD format`;
+    }
+    if (d.manufactureDate && d.expiryDate && d.expiryDate < d.manufactureDate) {
+      return `Line ${index + 1}: expiryDate cannot be before manufactureDate`;
+    }
+  }
+  return null;
+};
 
-// Helper to generate purchase number like 2526-00001 (financial year prefix)
-async function generateNewPurchaseNo() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = now.getMonth(); // 0-based
-  let fyPrefix;
-  if (month >= 3) {
-    // April-Dec → current FY e.g. 2025-26 => "2526"
-    fyPrefix = `${String(year % 100).padStart(2, '0')}${String((year + 1) % 100).padStart(2, '0')}`;
-  } else {
-    // Jan-Mar → previous FY
-    fyPrefix = `${String((year - 1) % 100).padStart(2, '0')}${String(year % 100).padStart(2, '0')}`;
+// Receive each line of a purchase into its own batch and post it to the stock
+// ledger. Lines may still carry a legacy ProductVariant id; those are moved to
+// the depot's variant first, as stock is only kept per depot variant.
+const postPurchaseStock = async (tx, purchase) => {
+  const details = await tx.purchaseDetail.findMany({ where: { purchaseId: purchase.id } });
+
+  const depotVariantIds = new Map();
+  const batched = [];
+  for (const d of details) {
+    const key = `${d.productId}-${d.variantId}`;
+    if (!depotVariantIds.has(key)) {
+      const depotVariantId = await updateVariantStock(
+        { productId: d.productId, variantId: d.variantId, depotId: purchase.depotId },
+        tx
+      );
+      depotVariantIds.set(key, depotVariantId);
+    }
+    const depotVariantId = depotVariantIds.get(key);
+    if (depotVariantId && depotVariantId !== d.variantId) {
+      await tx.purchaseDetail.update({ where: { id: d.id }, data: { variantId: depotVariantId } });
+      d.variantId = depotVariantId;
+    }
+    if (depotVariantId) batched.push(d);
   }
 
-  const latest = await prisma.purchase.findFirst({
-    where: { purchaseNo: { startsWith: `${fyPrefix}-` } },
-    orderBy: { purchaseNo: 'desc' },
-    select: { purchaseNo: true },
-  });
-  let next = 1;
-  if (latest?.purchaseNo) {
-    const num = parseInt(latest.purchaseNo.split('-')[1], 10);
-    if (!Number.isNaN(num)) next = num + 1;
+  const batchIds = await syncPurchaseBatches(tx, purchase, batched);
+
+  for (const d of details) {
+    await tx.stockLedger.create({
+      data: {
+        productId: d.productId,
+        variantId: d.variantId,
+        depotId: purchase.depotId,
+        transactionDate: purchase.purchaseDate,
+        receivedQty: d.quantity,
+        issuedQty: 0,
+        module: 'purchase',
+        foreignKey: purchase.id,
+        batchId: batchIds.get(d.id) ?? null,
+      },
+    });
   }
-  return `${fyPrefix}-${String(next).padStart(5, '0')}`;
-}
+
+  return details;
+};
 
 // Create Purchase
 exports.createPurchase = async (req, res, next) => {
@@ -47,12 +88,14 @@ exports.createPurchase = async (req, res, next) => {
   if (!purchaseDate || !vendorId || !details?.length) {
     return next(createError(400, 'purchaseDate, vendorId and at least one detail item are required.'));
   }
+  const batchError = invalidBatchLine(details);
+  if (batchError) return next(createError(400, batchError));
 
   try {
-    const purchaseNo = await generateNewPurchaseNo();
     const createdById = req.user?.id || null; // assuming auth middleware sets req.user
 
     const result = await prisma.$transaction(async (tx) => {
+      const purchaseNo = await nextNumber('PURCHASE', { depotId: depotId ? parseInt(depotId, 10) : null, tx });
       // 1. create purchase with nested details
       const newPurchase = await tx.purchase.create({
         data: {
@@ -69,60 +112,20 @@ exports.createPurchase = async (req, res, next) => {
               variantId: parseInt(d.variantId, 10),
               quantity: parseInt(d.quantity, 10),
               purchaseRate: parseFloat(d.purchaseRate),
+              ...batchFields(d),
             })),
           },
         },
         include: { details: true },
       });
 
-      // 2. create stock ledger entries for each detail
+      // 2. receive the lines into batches and the stock ledger, then refresh stock
       //    Skip if depotId is not provided (ledger requires depotId)
       if (newPurchase.depotId) {
-        await tx.stockLedger.createMany({
-          data: newPurchase.details.map((d) => ({
-            productId: d.productId,
-            variantId: d.variantId,
-            depotId: newPurchase.depotId,
-            transactionDate: new Date(purchaseDate),
-            receivedQty: d.quantity,
-            issuedQty: 0,
-            module: 'purchase',
-            foreignKey: newPurchase.id,
-          })),
-        });
-
-        // update variant stocks and migrate to depot-specific variant ids
-        const combos = new Set(
-          newPurchase.details.map((d) => `${d.productId}-${d.variantId}-${newPurchase.depotId}`)
-        );
-        for (const key of combos) {
-          const [pId, vId, dId] = key.split('-').map(Number);
-          // Re-calculate stock, and get / create the depotProductVariant id
-          const depotVariantId = await updateVariantStock({ productId: pId, variantId: vId, depotId: dId }, tx);
-
-          if (depotVariantId) {
-            // Align stock ledger rows to point to the depot variant row
-            await tx.stockLedger.updateMany({
-              where: {
-                foreignKey: newPurchase.id,
-                module: 'purchase',
-                productId: pId,
-                variantId: vId,
-                depotId: dId,
-              },
-              data: { variantId: depotVariantId },
-            });
-
-            // Align purchaseDetail rows as well
-            await tx.purchaseDetail.updateMany({
-              where: {
-                purchaseId: newPurchase.id,
-                productId: pId,
-                variantId: vId,
-              },
-              data: { variantId: depotVariantId },
-            });
-          }
+        const posted = await postPurchaseStock(tx, newPurchase);
+        const variants = new Map(posted.map((d) => [d.variantId, d.productId]));
+        for (const [vId, pId] of variants) {
+          await updateVariantStock({ productId: pId, variantId: vId, depotId: newPurchase.depotId }, tx);
         }
       }
 
@@ -224,7 +227,11 @@ exports.getPurchase = async (req, res, next) => {
         vendor: true,
         depot: true,
         details: {
-          include: { product: true, variant: true },
+          include: {
+            product: true,
+            variant: true,
+            batch: { select: { id: true, batchNo: true, expiryDate: true, closingQty: true, status: true } },
+          },
         },
       },
     });
@@ -256,8 +263,11 @@ exports.updatePurchase = async (req, res, next) => {
   if (!purchaseDate || !vendorId || !details?.length) {
     return next(createError(400, 'purchaseDate, vendorId and details are required'));
   }
+  const batchError = invalidBatchLine(details);
+  if (batchError) return next(createError(400, batchError));
   try {
     const updated = await prisma.$transaction(async (tx) => {
+      const previous = await tx.purchase.findUnique({ where: { id }, include: { details: true } });
       const purchase = await tx.purchase.update({
         where: { id },
         data: {
@@ -279,59 +289,29 @@ exports.updatePurchase = async (req, res, next) => {
           variantId: parseInt(d.variantId, 10),
           quantity: parseInt(d.quantity, 10),
           purchaseRate: parseFloat(d.purchaseRate),
+          ...batchFields(d),
         })),
       });
 
       // Remove previous ledger rows for this purchase
       await tx.stockLedger.deleteMany({ where: { foreignKey: id, module: 'purchase' } });
 
-      // Add fresh ledger rows if depotId is provided
+      // Receive the lines afresh if depotId is provided; otherwise drop the batches
+      let posted = [];
       if (purchase.depotId) {
-        // Need fresh details list (created above). Fetch quickly
-        const latestDetails = await tx.purchaseDetail.findMany({ where: { purchaseId: id } });
-        await tx.stockLedger.createMany({
-          data: latestDetails.map((d) => ({
-            productId: d.productId,
-            variantId: d.variantId,
-            depotId: purchase.depotId,
-            transactionDate: new Date(purchaseDate),
-            receivedQty: d.quantity,
-            issuedQty: 0,
-            module: 'purchase',
-            foreignKey: purchase.id,
-          })),
-        });
-
-        // update variant stocks
-        const combos = new Set(
-          latestDetails.map((d) => `${d.productId}-${d.variantId}-${purchase.depotId}`)
-        );
-        for (const key of combos) {
-          const [pId, vId, dId] = key.split('-').map(Number);
-          const depotVariantId = await updateVariantStock({ productId: pId, variantId: vId, depotId: dId }, tx);
-
-          if (depotVariantId) {
-            await tx.stockLedger.updateMany({
-              where: {
-                foreignKey: purchase.id,
-                module: 'purchase',
-                productId: pId,
-                variantId: vId,
-                depotId: dId,
-              },
-              data: { variantId: depotVariantId },
-            });
-
-            await tx.purchaseDetail.updateMany({
-              where: {
-                purchaseId: purchase.id,
-                productId: pId,
-                variantId: vId,
-              },
-              data: { variantId: depotVariantId },
-            });
-          }
-        }
+        posted = await postPurchaseStock(tx, purchase);
+      } else {
+        await syncPurchaseBatches(tx, purchase, []);
+      }
+
+      // Refresh stock of the variants on the purchase before and after the edit
+      const combos = new Set([
+        ...(previous?.depotId ? previous.details.map((d) => `${d.productId}-${d.variantId}-${previous.depotId}`) : []),
+        ...posted.map((d) => `${d.productId}-${d.variantId}-${purchase.depotId}`),
+      ]);
+      for (const key of combos) {
+        const [pId, vId, dId] = key.split('-').map(Number);
+        await updateVariantStock({ productId: pId, variantId: vId, depotId: dId }, tx);
       }
 
       return purchase;
@@ -339,7 +319,7 @@ exports.updatePurchase = async (req, res, next) => {
     return res.json({ ...updated, purchaseDetails: updated.details });
   } catch (err) {
     console.error('[updatePurchase]', err);
-    return next(createError(500, 'Failed to update purchase'));
+    return next(err.status ? err : createError(500, 'Failed to update purchase'));
   }
 };
 
@@ -355,7 +335,7 @@ exports.deletePurchase = async (req, res, next) => {
       });
 
       if (!purchase) {
-        throw new Error('Purchase not found');
+        throw createError(404, 'Purchase not found');
       }
 
       // delete dependent payment details first to avoid FK constraints
@@ -363,13 +343,15 @@ exports.deletePurchase = async (req, res, next) => {
       // if any purchasePayment rows directly reference this purchase, detach them (or delete as per business logic)
       await tx.purchasePayment.updateMany({ where: { purchaseId: id }, data: { purchaseId: null } });
 
+      // delete related stock ledger entries and the batches received on them;
+      // batches stock has moved out of since block the delete
+      await tx.stockLedger.deleteMany({ where: { foreignKey: id, module: 'purchase' } });
+      await syncPurchaseBatches(tx, purchase, []);
+
       // delete child purchase detail rows
       await tx.purchaseDetail.deleteMany({ where: { purchaseId: id } });
       await tx.purchase.delete({ where: { id } });
 
-      // delete related stock ledger entries
-      await tx.stockLedger.deleteMany({ where: { foreignKey: id, module: 'purchase' } });
-
       // recalc variant stocks for affected combos
       const combos = new Set(
         purchase.details.map((d) => `${d.productId}-${d.variantId}-${purchase.depotId}`)
@@ -383,6 +365,6 @@ exports.deletePurchase = async (req, res, next) => {
     return res.json({ message: 'Purchase deleted' });
   } catch (err) {
     console.error('[deletePurchase]', err);
-    return next(createError(500, 'Failed to delete purchase'));
+    return next(err.status ? err : createError(500, 'Failed to delete purchase'));
   }
 };
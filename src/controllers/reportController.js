@@ -1,6 +1,7 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../config/db');
 const createError = require('http-errors');
+const { buildGstr1Report, buildGstr1Workbook } = require('../services/gstReportService');
+const { buildValuationReport, buildValuationWorkbook } = require('../services/inventoryValuationService');
 
 // Purchase Order Report with multiple grouping levels (from VendorOrder table)
 exports.getPurchaseOrderReport = async (req, res, next) => {
@@ -2531,3 +2532,92 @@ exports.getSNFStockRequirementReport = async (req, res, next) => {
     return next(createError(500, error.message || 'Failed to generate SNF stock requirement report'));
   }
 };
+
+/**
+ * GSTR-1 Report
+ * Outward supplies for a month from ProductOrder and SNFOrder invoices and
+ * credit notes, grouped into GSTR-1 sections and an HSN summary.
+ * format=json returns the GSTR-1 JSON for upload, format=xlsx a workbook.
+ */
+exports.getGstr1Report = async (req, res, next) => {
+  try {
+    const { month, format } = req.query;
+    const report = await buildGstr1Report({ month });
+    const fileName = `GSTR1_${report.gstin}_${report.period.fp}`;
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename=${fileName}.json`);
+      return res.json(report.gstr1);
+    }
+
+    if (format === 'xlsx') {
+      const workbook = buildGstr1Workbook(report);
+      res.setHeader(
+        'Content-Type',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+      res.setHeader('Content-Disposition', `attachment; filename=${fileName}.xlsx`);
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        sections: report.sections,
+        b2cs: report.gstr1.b2cs || [],
+        hsn: report.gstr1.hsn?.data || [],
+        invoices: report.invoices,
+        creditNotes: report.creditNotes
+      },
+      recordCount: report.invoices.length + report.creditNotes.length,
+      totals: report.totals,
+      warnings: report.warnings,
+      filters: { month, fp: report.period.fp, gstin: report.gstin }
+    });
+  } catch (error) {
+    console.error('[getGstr1Report]', error);
+    return next(error.status ? error : createError(500, error.message || 'Failed to generate GSTR-1 report'));
+  }
+};
+
+/**
+ * Inventory Valuation Report
+ * Closing stock value per depot at endDate, costed by weighted average or
+ * FIFO from purchase rates, with cost of goods sold and gross margin per
+ * product between startDate and endDate. format=xlsx returns a workbook.
+ */
+exports.getInventoryValuationReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, method, depotId, format } = req.query;
+    const report = await buildValuationReport({
+      startDate,
+      endDate,
+      method: method ? String(method).toUpperCase() : undefined,
+      depotId: depotId ? parseInt(depotId, 10) : null
+    });
+
+    if (format === 'xlsx') {
+      const workbook = buildValuationWorkbook(report);
+      res.setHeader(
+        'Content-Type',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename=Inventory_Valuation_${report.period.startDate}_${report.period.endDate}.xlsx`
+      );
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    return res.json({
+      success: true,
+      data: report,
+      filters: { ...report.period, method: report.method, depotId: depotId || null }
+    });
+  } catch (error) {
+    console.error('[getInventoryValuationReport]', error);
+    return next(error.status ? error : createError(500, error.message || 'Failed to generate inventory valuation report'));
+  }
+};
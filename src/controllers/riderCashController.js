@@ -0,0 +1,142 @@
+const prisma = require("../config/db");
+const validateRequest = require("../utils/validateRequest");
+const resolveDepotId = require("../utils/resolveDepotId");
+const { z } = require("zod");
+const dayjs = require("dayjs");
+const riderCashService = require("../services/riderCashService");
+
+const getRiderCashPosition = async (req, res, next) => {
+  try {
+    const position = await riderCashService.getRiderCashPosition(parseInt(req.params.id));
+    if (req.user.role === "DepotAdmin" && position.deliveryPartner.depotId !== req.user.depotId) {
+      return res.status(404).json({ errors: { message: "Delivery partner not found" } });
+    }
+    res.json(position);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createHandover = async (req, res, next) => {
+  const schema = z.object({
+    deliveryPartnerId: z.number().int().positive(),
+    countedAmount: z.number().min(0),
+    handoverDate: z.string().optional(), // YYYY-MM-DD
+    notes: z.string().optional(),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  const { deliveryPartnerId, countedAmount, handoverDate, notes } = req.body;
+
+  try {
+    const handover = await riderCashService.createHandover({
+      deliveryPartnerId,
+      countedAmount,
+      handoverDate,
+      notes: notes || null,
+      actorId: req.user.id,
+    });
+    res.status(201).json(handover);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getHandovers = async (req, res, next) => {
+  try {
+    const { status, deliveryPartnerId, dateStr, page = 1, limit = 20 } = req.query;
+    const depotId = resolveDepotId(req, req.query.depotId);
+
+    const pageInt = parseInt(page);
+    const limitInt = parseInt(limit);
+
+    const where = {
+      ...(depotId ? { depotId } : {}),
+      ...(status ? { status } : {}),
+      ...(deliveryPartnerId ? { deliveryPartnerId: parseInt(deliveryPartnerId) } : {}),
+      ...(dateStr
+        ? { handoverDate: { gte: dayjs(dateStr).startOf("day").toDate(), lte: dayjs(dateStr).endOf("day").toDate() } }
+        : {}),
+    };
+
+    const [handovers, total] = await Promise.all([
+      prisma.riderCashHandover.findMany({
+        where,
+        include: {
+          deliveryPartner: { select: { id: true, firstName: true, lastName: true } },
+          countedBy: { select: { id: true, name: true } },
+          reviewedBy: { select: { id: true, name: true } },
+        },
+        orderBy: [{ handoverDate: "desc" }, { id: "desc" }],
+        skip: (pageInt - 1) * limitInt,
+        take: limitInt,
+      }),
+      prisma.riderCashHandover.count({ where }),
+    ]);
+
+    res.json({ handovers, total, page: pageInt, limit: limitInt });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getHandoverById = async (req, res, next) => {
+  try {
+    const handover = await prisma.riderCashHandover.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: {
+        deliveryPartner: { select: { id: true, firstName: true, lastName: true, mobile: true } },
+        countedBy: { select: { id: true, name: true } },
+        reviewedBy: { select: { id: true, name: true } },
+        entries: { include: { snfOrder: { select: { id: true, orderNo: true, name: true } } } },
+      },
+    });
+    if (!handover) {
+      return res.status(404).json({ errors: { message: "Handover not found" } });
+    }
+    res.json(handover);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const reviewHandover = (approve) => async (req, res, next) => {
+  try {
+    const handover = await riderCashService.reviewHandover(parseInt(req.params.id), {
+      approve,
+      reviewNotes: req.body?.reviewNotes || null,
+      actorId: req.user.id,
+    });
+    res.json(handover);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getDailyCashReport = async (req, res, next) => {
+  try {
+    const depotId = resolveDepotId(req, req.query.depotId);
+    if (!depotId) {
+      return res.status(400).json({ errors: { message: "depotId required" } });
+    }
+    const date = req.query.dateStr || dayjs().format("YYYY-MM-DD");
+    const report = await riderCashService.getDailyDepotCashReport(depotId, date);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRiderCashPosition,
+  createHandover,
+  getHandovers,
+  getHandoverById,
+  approveHandover: reviewHandover(true),
+  rejectHandover: reviewHandover(false),
+  getDailyCashReport,
+};
@@ -0,0 +1,179 @@
+const validateRequest = require("../utils/validateRequest");
+const resolveDepotId = require("../utils/resolveDepotId");
+const { z } = require("zod");
+const dayjs = require("dayjs");
+const riderPayoutService = require("../services/riderPayoutService");
+const { generateRiderPayoutStatementPdf } = require("../utils/riderPayoutStatementGenerator");
+
+const sendWorkbook = async (res, workbook, fileName) => {
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename=${fileName}.xlsx`);
+  await workbook.xlsx.write(res);
+  return res.end();
+};
+
+const getPayRule = async (req, res, next) => {
+  try {
+    const depotId = resolveDepotId(req, req.params.depotId);
+    if (!depotId) {
+      return res.status(400).json({ errors: { message: "depotId required" } });
+    }
+    const rule = await riderPayoutService.getPayRule(depotId);
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const savePayRule = async (req, res, next) => {
+  const schema = z.object({
+    perSnfOrderDrop: z.number().min(0),
+    perSubscriptionDrop: z.number().min(0),
+    kmBands: z.array(z.object({
+      fromKm: z.number().min(0),
+      toKm: z.number().positive().nullable().optional(),
+      amount: z.number().min(0),
+    })).optional(),
+    onTimeCutoff: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "onTimeCutoff must be HH:mm").optional(),
+    onTimeIncentives: z.array(z.object({
+      minPercent: z.number().min(0).max(100),
+      amount: z.number().min(0),
+    })).optional(),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  try {
+    const rule = await riderPayoutService.savePayRule(parseInt(req.params.depotId), req.body, req.user.id);
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// One partner's statement, or every partner of a depot for the week
+const generateStatements = async (req, res, next) => {
+  const schema = z.object({
+    weekOf: z.string().min(1, "weekOf is required"), // YYYY-MM-DD, any day of the week
+    deliveryPartnerId: z.number().int().positive().optional(),
+    depotId: z.number().int().positive().optional(),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  const { weekOf, deliveryPartnerId } = req.body;
+  try {
+    if (deliveryPartnerId) {
+      const statement = await riderPayoutService.generateStatement(deliveryPartnerId, weekOf, { actorId: req.user.id });
+      return res.status(201).json(statement);
+    }
+
+    const depotId = resolveDepotId(req, req.body.depotId);
+    if (!depotId) {
+      return res.status(400).json({ errors: { message: "depotId or deliveryPartnerId required" } });
+    }
+    const result = await riderPayoutService.generateWeeklyStatements(depotId, weekOf, { actorId: req.user.id });
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getStatements = async (req, res, next) => {
+  try {
+    const { deliveryPartnerId, status, weekOf, format, page = 1, limit = 20 } = req.query;
+    const params = {
+      depotId: resolveDepotId(req, req.query.depotId),
+      deliveryPartnerId: deliveryPartnerId ? parseInt(deliveryPartnerId) : null,
+      status,
+      weekOf,
+    };
+
+    if (format === "xlsx") {
+      const { statements } = await riderPayoutService.listStatements({ ...params, limit: 1000, detailed: true });
+      const week = weekOf ? dayjs(riderPayoutService.weekOf(weekOf).periodStart).format("YYYY-MM-DD") : dayjs().format("YYYY-MM-DD");
+      return sendWorkbook(res, riderPayoutService.buildPayoutWorkbook(statements), `rider-payouts-${week}`);
+    }
+
+    const result = await riderPayoutService.listStatements({ ...params, page: parseInt(page), limit: parseInt(limit) });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getStatementById = async (req, res, next) => {
+  try {
+    const statement = await riderPayoutService.getStatement(parseInt(req.params.id));
+    if (!statement) {
+      return res.status(404).json({ errors: { message: "Payout statement not found" } });
+    }
+
+    const fileName = `payout-${statement.id}-${dayjs(statement.periodStart).format("YYYY-MM-DD")}`;
+    if (req.query.format === "pdf") {
+      const pdf = await generateRiderPayoutStatementPdf(statement);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="${fileName}.pdf"`);
+      return res.send(pdf);
+    }
+    if (req.query.format === "xlsx") {
+      return sendWorkbook(res, riderPayoutService.buildPayoutWorkbook([statement]), fileName);
+    }
+
+    res.json(statement);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const approveStatement = async (req, res, next) => {
+  try {
+    const statement = await riderPayoutService.approveStatement(parseInt(req.params.id), {
+      notes: req.body?.notes || null,
+      actorId: req.user.id,
+    });
+    res.json(statement);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const markStatementPaid = async (req, res, next) => {
+  try {
+    const statement = await riderPayoutService.markStatementPaid(parseInt(req.params.id), {
+      paymentReference: req.body?.paymentReference,
+    });
+    res.json(statement);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const discardStatement = async (req, res, next) => {
+  try {
+    await riderPayoutService.discardStatement(parseInt(req.params.id));
+    res.json({ message: "Payout statement discarded" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPayRule,
+  savePayRule,
+  generateStatements,
+  getStatements,
+  getStatementById,
+  approveStatement,
+  markStatementPaid,
+  discardStatement,
+};
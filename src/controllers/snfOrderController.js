@@ -1,58 +1,59 @@
 const asyncHandler = require('express-async-handler');
 const prisma = require('../config/db');
+const { parseCoordinates } = require('../utils/routePlanner');
+const walletService = require('../services/walletService');
+const { reserveOrderStock } = require('../services/stockReservationService');
+const { redeemCoupon } = require('../services/couponService');
+const { createQuote, confirmQuote } = require('../services/checkoutPricingService');
+const { nextNumber } = require('../services/documentSequenceService');
 
-// Utility to generate unique order number in FY format: e.g., 2526-00001
-async function generateOrderNo() {
-  const now = new Date();
-  const month = now.getMonth() + 1; // 1-12
-  const year = now.getFullYear();
-  const fyStartYear = month >= 4 ? year : year - 1; // FY starts in April
-  const fyEndYear = fyStartYear + 1;
-  const fyPrefix = `${String(fyStartYear).slice(-2)}${String(fyEndYear).slice(-2)}`; // e.g., "2526"
-
-  // Use transaction to prevent race conditions
-  const result = await prisma.$transaction(async (tx) => {
-    // Find the latest order for this FY prefix and increment
-    const latest = await tx.sNFOrder.findFirst({
-      where: { orderNo: { startsWith: `${fyPrefix}-` } },
-      orderBy: { orderNo: 'desc' }, // Order by orderNo instead of id for better sequence
-      select: { orderNo: true },
-    });
+// Quote errors carry a fresh quote the client should show before retrying
+const sendQuoteError = (res, err) =>
+  res.status(err.status).json({
+    success: false,
+    status: err.status,
+    message: err.message,
+    quote: err.quote || null,
+  });
 
-    let nextSeq = 1;
-    if (latest?.orderNo) {
-      const m = latest.orderNo.match(/-(\d+)$/);
-      if (m) nextSeq = parseInt(m[1], 10) + 1;
-    }
+/**
+ * @desc    Price a checkout on the server and return a signed quote
+ * @route   POST /api/snf-orders/quote
+ * @access  Public
+ */
+const quoteSNFOrder = asyncHandler(async (req, res) => {
+  const { items = [], depotId = null, pincode = null, city = null, mobile = null, couponCode = null, walletamt = 0 } = req.body || {};
+  const memberId = req.user?.role === 'MEMBER' && req.user?.member?.id ? req.user.member.id : null;
 
-    const orderNo = `${fyPrefix}-${String(nextSeq).padStart(5, '0')}`;
-    return orderNo;
+  const quote = await createQuote({
+    items,
+    depotId,
+    pincode,
+    city,
+    couponCode,
+    walletamt,
+    memberId,
+    mobile: memberId ? null : mobile,
   });
 
-  return result;
-}
+  res.status(200).json({ success: true, data: quote });
+});
 
 /**
- * @desc    Create a SNF order from checkout (public)
+ * @desc    Create a SNF order from checkout (public). Items, prices, delivery
+ *          fee, coupon and wallet usage come from the signed quote; amounts in
+ *          the body are ignored.
  * @route   POST /api/snf-orders
  * @access  Public
  */
 const createSNFOrder = asyncHandler(async (req, res) => {
   const {
     customer = {},
-    items = [],
-    subtotal,
-    deliveryFee = 0,
-    totalAmount,
-    walletamt = 0,
-    payableAmount = 0,
+    quoteToken = null,
     paymentMode = null,
     paymentRefNo = null,
     paymentStatus = 'PENDING',
     paymentDate = null,
-    depotId = null, // Optional depot association
-    couponCode = null,
-    couponDiscount = 0,
     deliveryDate = null,
   } = req.body || {};
 
@@ -67,162 +68,49 @@ const createSNFOrder = asyncHandler(async (req, res) => {
     res.status(400);
     throw new Error('Missing required customer fields: name, mobile, addressLine1, city, pincode');
   }
-  if (!Array.isArray(items) || items.length === 0) {
-    res.status(400);
-    throw new Error('At least one cart item is required');
-  }
-  if (typeof subtotal !== 'number' || typeof totalAmount !== 'number') {
-    res.status(400);
-    throw new Error('Invalid amounts: subtotal and totalAmount must be numbers');
-  }
-
-  // Handle depot assignment
-  let finalDepotId = depotId;
-  
-  // Convert string ID to integer if provided
-  if (finalDepotId && typeof finalDepotId === 'string') {
-    finalDepotId = parseInt(finalDepotId, 10);
-    if (isNaN(finalDepotId)) {
-      console.warn('[SNF Order] Invalid depot ID provided, ignoring:', depotId);
-      finalDepotId = null;
-    }
-  }
-  
-  // If no depot provided, use the default online depot for SNF orders
-  if (!finalDepotId) {
-    const onlineDepot = await prisma.depot.findFirst({
-      where: { isOnline: true },
-      select: { id: true }
-    });
-    if (onlineDepot) {
-      finalDepotId = onlineDepot.id;
-      console.log(`[SNF Order] Using default online depot ID: ${finalDepotId}`);
-    }
-  }
-  
-  // Validate depot if specified
-  if (finalDepotId) {
-    const depot = await prisma.depot.findUnique({ where: { id: finalDepotId } });
-    if (!depot) {
-      res.status(400);
-      throw new Error('Invalid depot specified');
-    }
-    console.log(`[SNF Order] Validated depot: ${depot.name} (ID: ${finalDepotId})`);
-  }
-
-  // Validate items and compute totals
-  let computedSubtotal = 0;
-  const preparedItems = items.map((it, idx) => {
-    const { name, variantName = null, imageUrl = null, price, quantity, productId = null, depotProductVariantId = null } = it || {};
-    if (!name || typeof price !== 'number' || typeof quantity !== 'number') {
-      throw new Error(`Invalid item at index ${idx}`);
-    }
-    const lineTotal = price * quantity;
-    computedSubtotal += lineTotal;
-    return {
-      name,
-      variantName,
-      imageUrl,
-      price,
-      quantity,
-      lineTotal,
-      productId,
-      depotProductVariantId,
-    };
-  });
-
-  // Allow small rounding diff (<= 1)
-  if (Math.abs(computedSubtotal - subtotal) > 1) {
-    res.status(400);
-    throw new Error('Subtotal mismatch');
-  }
-  const computedTotal = parseFloat((computedSubtotal + (deliveryFee || 0)).toFixed(2));
-  if (Math.abs(computedTotal - totalAmount) > 1) {
-    res.status(400);
-    throw new Error('Total amount mismatch');
-  }
-
-  const orderNo = await generateOrderNo();
 
   // Attach memberId if available (authenticated request)
-  console.log('[SNF Order] User from req:', req.user ? `ID: ${req.user.id}, Role: ${req.user.role}, Member: ${JSON.stringify(req.user.member)}` : 'No user authenticated');
   const memberId = req.user?.role === 'MEMBER' && req.user?.member?.id ? req.user.member.id : null;
   console.log('[SNF Order] Final memberId:', memberId);
-  console.log('[SNF Order] Final depotId:', finalDepotId);
 
-  // Handle wallet deduction if walletamt > 0 and user is authenticated
-  if (walletamt > 0 && memberId) {
-    console.log(`[SNF Order] Wallet deduction requested: ${walletamt} for member ${memberId}`);
-    
-    // Check if member has sufficient wallet balance
-    const member = await prisma.member.findUnique({
-      where: { id: memberId },
-      select: { walletBalance: true }
+  // Reprice the quote; anything that moved since it was issued rejects the order
+  let quote;
+  try {
+    quote = await confirmQuote(quoteToken, {
+      memberId,
+      pincode: String(pincode),
+      city,
+      mobile: memberId ? null : mobile,
     });
-    
-    if (!member) {
-      res.status(400);
-      throw new Error('Member not found for wallet deduction');
-    }
-    
-    if (member.walletBalance < walletamt) {
-      res.status(400);
-      throw new Error(`Insufficient wallet balance. Available: ₹${member.walletBalance}, Required: ₹${walletamt}`);
-    }
+  } catch (err) {
+    if (err.status === 409) return sendQuoteError(res, err);
+    throw err;
   }
 
-  // Handle Coupon Logic
-  let validCoupon = null;
-  let backendCouponDiscount = 0;
-  if (couponCode) {
-    validCoupon = await prisma.coupon.findUnique({
-      where: { code: couponCode.toUpperCase(), isActive: true }
-    });
-    
-    if (!validCoupon) {
-      res.status(400);
-      throw new Error('Invalid or inactive coupon');
-    }
-
-    // Date and Limit checks
-    const now = new Date();
-    if (validCoupon.fromDate && now < new Date(validCoupon.fromDate)) {
-      res.status(400);
-      throw new Error('Coupon is not yet valid');
-    }
-    if (validCoupon.toDate && now > new Date(validCoupon.toDate)) {
-      res.status(400);
-      throw new Error('Coupon has expired');
-    }
-    if (validCoupon.usageLimit && validCoupon.usageCount >= validCoupon.usageLimit) {
-      res.status(400);
-      throw new Error('Coupon limit reached');
-    }
-    if (validCoupon.minOrderAmount && computedSubtotal < validCoupon.minOrderAmount) {
-      res.status(400);
-      throw new Error(`Minimum order of ₹${validCoupon.minOrderAmount} required for this coupon`);
-    }
+  const finalDepotId = quote.depotId;
+  console.log('[SNF Order] Final depotId:', finalDepotId);
 
-    // Re-calculate discount
-    if (validCoupon.discountType === 'PERCENTAGE') {
-      backendCouponDiscount = (computedSubtotal * validCoupon.discountValue) / 100;
-    } else {
-      backendCouponDiscount = validCoupon.discountValue;
-    }
-    backendCouponDiscount = Math.min(backendCouponDiscount, computedSubtotal);
-  }
+  const preparedItems = quote.lines.map((line) => ({
+    name: line.name,
+    variantName: line.variantName,
+    imageUrl: line.imageUrl,
+    price: line.price,
+    quantity: line.quantity,
+    lineTotal: line.lineTotal,
+    productId: line.productId,
+    depotProductVariantId: line.depotProductVariantId,
+  }));
 
+  const backendCouponDiscount = quote.couponDiscount;
+  const walletamt = quote.walletamt;
 
   try {
-    // Calculate the actual payable amount (backend should be source of truth)
-    const actualWalletDeduction = walletamt || 0;
-    const actualPayableAmount = Math.max(0, computedTotal - backendCouponDiscount - actualWalletDeduction);
-    
-    console.log(`[SNF Order] Computed amounts - Total: ${computedTotal}, Coupon: ${backendCouponDiscount}, Wallet: ${actualWalletDeduction}, Payable: ${actualPayableAmount}`);
+    console.log(`[SNF Order] Quoted amounts - Total: ${quote.totalAmount}, Delivery: ${quote.deliveryFee}, Coupon: ${backendCouponDiscount}, Wallet: ${walletamt}, Payable: ${quote.payableAmount}`);
 
-    
     // Use transaction to ensure atomicity of order creation and wallet deduction
     const created = await prisma.$transaction(async (tx) => {
+      const orderNo = await nextNumber('SNF_ORDER', { depotId: finalDepotId, tx });
+
       // Create the SNF order
       const order = await tx.sNFOrder.create({
       data: {
@@ -237,17 +125,18 @@ const createSNFOrder = asyncHandler(async (req, res) => {
         city,
         state,
         pincode,
-        subtotal: computedSubtotal,
-        deliveryFee: deliveryFee || 0,
-        totalAmount: computedTotal,
-        walletamt: actualWalletDeduction,
-        payableAmount: actualPayableAmount,
+        ...parseCoordinates(customer.latitude, customer.longitude),
+        subtotal: quote.subtotal,
+        deliveryFee: quote.deliveryFee,
+        totalAmount: quote.totalAmount,
+        walletamt,
+        payableAmount: quote.payableAmount,
         paymentMode,
         paymentStatus,
         paymentRefNo,
         paymentDate: paymentDate ? new Date(paymentDate) : null,
         deliveryDate: deliveryDate ? new Date(deliveryDate) : new Date(Date.now() + 2 * 24 * 60 * 60 * 1000), // Default +2 days if not provided
-        couponCode: couponCode ? couponCode.toUpperCase() : null,
+        couponCode: quote.coupon ? quote.coupon.code : null,
         couponDiscount: backendCouponDiscount,
         items: {
 
@@ -260,11 +149,18 @@ const createSNFOrder = asyncHandler(async (req, res) => {
       },
     });
 
-    // Increment coupon usage count
-    if (validCoupon) {
-      await tx.coupon.update({
-        where: { id: validCoupon.id },
-        data: { usageCount: { increment: 1 } }
+    // Hold stock for the order until it is delivered; rejects the order when short
+    await reserveOrderStock(order, tx);
+
+    // Record the coupon use; confirmQuote has just re-evaluated it and the
+    // limits are checked again under a lock
+    if (quote.coupon) {
+      await redeemCoupon(tx, {
+        coupon: quote.coupon,
+        discountAmount: backendCouponDiscount,
+        memberId,
+        mobile: memberId ? null : mobile,
+        snfOrderId: order.id,
       });
     }
     
@@ -273,28 +169,16 @@ const createSNFOrder = asyncHandler(async (req, res) => {
     if (walletamt > 0 && memberId) {
       console.log(`[SNF Order] Processing wallet deduction of ₹${walletamt} for member ${memberId}`);
       
-      // Deduct from member's wallet balance
-      await tx.member.update({
-        where: { id: memberId },
-        data: {
-          walletBalance: {
-            decrement: walletamt
-          }
-        }
-      });
-      
-      // Create wallet transaction record
-      await tx.walletTransaction.create({
-        data: {
-          memberId: memberId,
-          amount: walletamt,
-          type: 'DEBIT',
-          status: 'PAID',
-          paymentMethod: 'WALLET',
-          notes: `Wallet deduction for SNF Order ${order.orderNo}`,
-          referenceNumber: order.orderNo
-        }
-      });
+      // Deduct from member's wallet and record the wallet transaction
+      await walletService.postWalletMovement({
+        memberId: memberId,
+        amount: walletamt,
+        type: 'DEBIT',
+        account: walletService.LedgerAccount.SALES,
+        paymentMethod: 'WALLET',
+        notes: `Wallet deduction for SNF Order ${order.orderNo}`,
+        referenceNumber: order.orderNo
+      }, tx);
       
       console.log(`[SNF Order] Wallet deduction completed successfully`);
     }
@@ -329,6 +213,7 @@ const createSNFOrder = asyncHandler(async (req, res) => {
         id: created.id,
         orderNo: created.orderNo,
         totalAmount: created.totalAmount,
+        payableAmount: created.payableAmount,
         paymentStatus: created.paymentStatus,
         depot: created.depot,
         createdAt: created.createdAt,
@@ -336,6 +221,7 @@ const createSNFOrder = asyncHandler(async (req, res) => {
     });
   } catch (err) {
     console.error('SNF order create error:', err);
+    if (err.status) throw err;
     res.status(500);
     throw new Error(err?.message || 'Failed to create order');
   }
@@ -364,6 +250,7 @@ const getSNFOrderByOrderNo = asyncHandler(async (req, res) => {
 });
 
 module.exports = {
+  quoteSNFOrder,
   createSNFOrder,
   getSNFOrderByOrderNo,
 };
@@ -0,0 +1,112 @@
+const validateRequest = require("../utils/validateRequest");
+const resolveDepotId = require("../utils/resolveDepotId");
+const { z } = require("zod");
+const stockBatchService = require("../services/stockBatchService");
+
+const sendWorkbook = async (res, workbook, fileName) => {
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename=${fileName}.xlsx`);
+  await workbook.xlsx.write(res);
+  return res.end();
+};
+
+const getBatches = async (req, res, next) => {
+  try {
+    const { productId, variantId, status, search, inStock, page = 1, limit = 20 } = req.query;
+    const result = await stockBatchService.listBatches({
+      depotId: resolveDepotId(req, req.query.depotId),
+      productId: productId ? parseInt(productId) : null,
+      variantId: variantId ? parseInt(variantId) : null,
+      status,
+      search,
+      inStock: inStock === "true",
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getBatchById = async (req, res, next) => {
+  try {
+    const batch = await stockBatchService.getBatch(parseInt(req.params.id));
+    if (!batch) {
+      return res.status(404).json({ errors: { message: "Batch not found" } });
+    }
+    res.json(batch);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getNearExpiryReport = async (req, res, next) => {
+  try {
+    const { date, days, format } = req.query;
+    const report = await stockBatchService.buildNearExpiryReport({
+      date,
+      days: days !== undefined ? parseInt(days) : undefined,
+      depotId: resolveDepotId(req, req.query.depotId),
+    });
+
+    if (format === "xlsx") {
+      return sendWorkbook(res, stockBatchService.buildNearExpiryWorkbook(report), `near-expiry-${report.date}`);
+    }
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const writeOffBatches = async (req, res, next) => {
+  const schema = z.object({
+    depotId: z.number().int().positive().optional(),
+    batchIds: z.array(z.number().int().positive()).min(1, "At least one batch is required"),
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "date must be YYYY-MM-DD").optional(),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  const depotId = resolveDepotId(req, req.body.depotId);
+  if (!depotId) {
+    return res.status(400).json({ errors: { message: "depotId required" } });
+  }
+
+  try {
+    const wastage = await stockBatchService.writeOffBatches(depotId, req.body.batchIds, {
+      date: req.body.date,
+      actorId: req.user.id,
+    });
+    if (!wastage) {
+      return res.status(409).json({ errors: { message: "None of the batches has stock left to write off" } });
+    }
+    res.status(201).json(wastage);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Run the daily expiry check on demand
+const runExpiryCheck = async (req, res, next) => {
+  try {
+    const summary = await stockBatchService.runExpiryCheck(req.body?.date);
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBatches,
+  getBatchById,
+  getNearExpiryReport,
+  writeOffBatches,
+  runExpiryCheck,
+};
@@ -0,0 +1,156 @@
+const validateRequest = require("../utils/validateRequest");
+const resolveDepotId = require("../utils/resolveDepotId");
+const { z } = require("zod");
+const dayjs = require("dayjs");
+const stockTakeService = require("../services/stockTakeService");
+
+const openStockTake = async (req, res, next) => {
+  const schema = z.object({
+    depotId: z.number().int().positive().optional(),
+    countDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "countDate must be YYYY-MM-DD").optional(),
+    variantIds: z.array(z.number().int().positive()).min(1).optional(),
+    notes: z.string().max(1000).optional(),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  const depotId = resolveDepotId(req, req.body.depotId);
+  if (!depotId) {
+    return res.status(400).json({ errors: { message: "depotId required" } });
+  }
+
+  try {
+    const stockTake = await stockTakeService.openStockTake(depotId, {
+      countDate: req.body.countDate,
+      variantIds: req.body.variantIds || null,
+      notes: req.body.notes || null,
+      actorId: req.user.id,
+    });
+    res.status(201).json(stockTake);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getStockTakes = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const result = await stockTakeService.listStockTakes({
+      depotId: resolveDepotId(req, req.query.depotId),
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// format=csv downloads the blind count sheet
+const getStockTakeById = async (req, res, next) => {
+  try {
+    const stockTake = await stockTakeService.getStockTake(parseInt(req.params.id));
+    if (!stockTake) {
+      return res.status(404).json({ errors: { message: "Stock take not found" } });
+    }
+
+    if (req.query.format === "csv") {
+      const fileName = `stock-take-${stockTake.id}-${dayjs(stockTake.countDate).format("YYYY-MM-DD")}`;
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader("Content-Disposition", `attachment; filename=${fileName}.csv`);
+      return res.send(stockTakeService.buildCountSheetCsv(stockTake));
+    }
+
+    res.json(stockTake);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const recordCounts = async (req, res, next) => {
+  const schema = z.object({
+    lines: z.array(z.object({
+      variantId: z.number().int().positive(),
+      countedQty: z.number().int().min(0).nullable().optional(),
+      reason: z.enum(stockTakeService.REASONS).nullable().optional(),
+      remarks: z.string().max(255).nullable().optional(),
+    })).min(1, "At least one line is required"),
+  });
+
+  const validationResult = await validateRequest(schema, req.body);
+  if (validationResult.errors) {
+    return res.status(400).json(validationResult);
+  }
+
+  try {
+    const stockTake = await stockTakeService.recordCounts(parseInt(req.params.id), req.body.lines);
+    res.json(stockTake);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const uploadCounts = async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ errors: { message: "A CSV file is required" } });
+  }
+
+  try {
+    const stockTake = await stockTakeService.importCountsCsv(parseInt(req.params.id), req.file.buffer.toString("utf8"));
+    res.json(stockTake);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const submitStockTake = async (req, res, next) => {
+  try {
+    const stockTake = await stockTakeService.submitStockTake(parseInt(req.params.id), { actorId: req.user.id });
+    res.json(stockTake);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const reopenStockTake = async (req, res, next) => {
+  try {
+    const stockTake = await stockTakeService.reopenStockTake(parseInt(req.params.id));
+    res.json(stockTake);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const approveStockTake = async (req, res, next) => {
+  try {
+    const stockTake = await stockTakeService.approveStockTake(parseInt(req.params.id), { actorId: req.user.id });
+    res.json(stockTake);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const cancelStockTake = async (req, res, next) => {
+  try {
+    const stockTake = await stockTakeService.cancelStockTake(parseInt(req.params.id));
+    res.json(stockTake);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  openStockTake,
+  getStockTakes,
+  getStockTakeById,
+  recordCounts,
+  uploadCounts,
+  submitStockTake,
+  reopenStockTake,
+  approveStockTake,
+  cancelStockTake,
+};
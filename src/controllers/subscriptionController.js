@@ -1,9 +1,15 @@
 const asyncHandler = require('express-async-handler');
-const { PrismaClient, TransactionStatus, TransactionType } = require('@prisma/client');
-const prisma = new PrismaClient();
+const createError = require('http-errors');
+const { TransactionType } = require('@prisma/client');
+const prisma = require('../config/db');
 const { isAfter, startOfDay } = require('date-fns');
-const { createInvoiceForOrder } = require('../services/invoiceService');
+const { assignInvoiceNumber, createInvoiceForOrder } = require('../services/invoiceService');
 const walletService = require('../services/walletService');
+const subscriptionPauseService = require('../services/subscriptionPauseService');
+const {
+  changeEntryStatus, changeEntriesStatus, sourceForRole, Source: DeliverySource
+} = require('../services/deliveryLifecycleService');
+const { issueCreditNoteForDeliveries, renderIssuedCreditNotePdf } = require('../services/creditNoteService');
 
 // Helper function to get day key from day index (0 for Sunday, 1 for Monday, etc.)
 const getDayKey = (dayIndex) => {
@@ -328,19 +334,16 @@ const createSubscription = asyncHandler(async (req, res) => {
   const walletBalance = member.walletBalance; // Wallet was included in the member query
   let walletamt = 0;
   let payableamt = amount;
-  let newWalletBalance = walletBalance;
   let paymentStatus = 'PENDING'; // Default payment status
 
   if (walletBalance > 0) {
     if (walletBalance >= amount) {
       walletamt = amount;
       payableamt = 0;
-      newWalletBalance = walletBalance - amount;
       paymentStatus = 'PAID'; // Fully paid from wallet
     } else {
       walletamt = walletBalance;
       payableamt = amount - walletBalance;
-      newWalletBalance = 0;
       // paymentStatus remains 'PENDING' as there's a balance to be paid
     }
   }
@@ -348,14 +351,6 @@ const createSubscription = asyncHandler(async (req, res) => {
   // --- Transactional Database Update ---
   try {
     const result = await prisma.$transaction(async (tx) => {
-      // 1. Update Member WalletBalance (if amount used)
-      if (walletamt > 0) {
-        await tx.member.update({
-          where: { id: member.id },
-          data: { walletBalance: newWalletBalance },
-        });
-      }
-
       // Create a ProductOrder to wrap the subscription
       const newProductOrder = await tx.productOrder.create({
         data: {
@@ -413,18 +408,16 @@ const createSubscription = asyncHandler(async (req, res) => {
       if (walletamt > 0) {
         try {
           console.log(`[Subscription Debug] Creating wallet transaction for member ${member.id}, amount: ${walletamt}`);
-          walletTransaction = await tx.walletTransaction.create({
-            data: {
-              memberId: member.id,
-              amount: walletamt,
-              type: TransactionType.DEBIT,
-              status: TransactionStatus.PAID,
-              notes: `Subscription Payment - ${product.name} (₹${walletamt} from wallet)`,
-              referenceNumber: `SUB-${newSubscription.id}`,
-              paymentMethod: 'WALLET',
-              processedByAdminId: null,
-            },
-          });
+          ({ walletTransaction } = await walletService.postWalletMovement({
+            memberId: member.id,
+            type: TransactionType.DEBIT,
+            amount: walletamt,
+            account: walletService.LedgerAccount.SALES,
+            notes: `Subscription Payment - ${product.name} (₹${walletamt} from wallet)`,
+            referenceNumber: `SUB-${newSubscription.id}`,
+            paymentMethod: 'WALLET',
+            processedByAdminId: null,
+          }, tx));
           console.log(`[Subscription Debug] Successfully created wallet transaction with ID: ${walletTransaction.id}`);
         } catch (walletError) {
           console.error(`[Subscription Debug] Failed to create wallet transaction:`, walletError);
@@ -465,34 +458,32 @@ const createSubscription = asyncHandler(async (req, res) => {
         }
       });
 
-      // Create invoice for the order
-      let invoice = null;
+      // Number the invoice with the order; the PDF is rendered after commit
       try {
-        invoice = await createInvoiceForOrder(completeOrder);
-        console.log('Invoice created successfully:', invoice.invoiceNo);
-
-        // Update productOrder with invoice details
-        if (invoice && invoice.invoiceNo) {
-          await tx.productOrder.update({
-            where: { id: newProductOrder.id },
-            data: {
-              invoiceNo: invoice.invoiceNo,
-              invoicePath: invoice.pdfPath
-            }
-          });
-        }
+        completeOrder.invoiceNo = await assignInvoiceNumber(newProductOrder.id, tx);
       } catch (invoiceError) {
-        console.error('Error creating invoice:', invoiceError);
+        console.error('Error numbering invoice:', invoiceError);
         // Don't fail the subscription creation if invoice fails
       }
 
       return {
         subscription: newSubscription,
         order: newProductOrder,
-        invoice: invoice
+        completeOrder
       };
     });
 
+    // Create invoice for the order
+    const { completeOrder, ...response } = result;
+    response.invoice = null;
+    try {
+      response.invoice = await createInvoiceForOrder(completeOrder);
+      console.log('Invoice created successfully:', response.invoice.invoiceNo);
+    } catch (invoiceError) {
+      console.error('Error creating invoice:', invoiceError);
+      // Don't fail the subscription creation if invoice fails
+    }
+
     // Send WhatsApp Notification for Subscription Confirmation
     try {
       if (result.subscription.paymentStatus === 'PAID' && member && member.user && member.user.mobile) {
@@ -504,7 +495,8 @@ const createSubscription = asyncHandler(async (req, res) => {
           await sendWalletDebitWhatsAppMessage(
             member.user,
             result.subscription.walletamt,
-            result.order.orderNo
+            result.order.orderNo,
+            { businessKey: `wallet_debit:subscription:${result.subscription.id}` }
           );
         }
       }
@@ -512,7 +504,7 @@ const createSubscription = asyncHandler(async (req, res) => {
       console.error('Failed to send subscription confirmation WhatsApp message:', waError);
     }
 
-    res.status(201).json(result);
+    res.status(201).json(response);
 
   } catch (error) {
     console.error('Subscription creation transaction failed:', error);
@@ -651,7 +643,8 @@ const getSubscriptionById = asyncHandler(async (req, res) => {
           invoiceNo: true,
           invoicePath: true
         }
-      }
+      },
+      autoRenewal: true
     }
   });
 
@@ -908,19 +901,19 @@ const cancelSubscription = asyncHandler(async (req, res) => {
       let walletTransaction = null;
       let refundAmount = 0;
 
-      // Handle refunds for paid subscriptions that used wallet
-      if (subscription.paymentStatus === 'PAID' && subscription.walletamt > 0) {
-        // Get remaining future deliveries
-        const remainingDeliveries = await tx.deliveryScheduleEntry.findMany({
-          where: {
-            subscriptionId: parseInt(req.params.id),
-            status: 'PENDING',
-            deliveryDate: {
-              gte: new Date()
-            }
+      // Get remaining future deliveries; these are cancelled below
+      const remainingDeliveries = await tx.deliveryScheduleEntry.findMany({
+        where: {
+          subscriptionId: parseInt(req.params.id),
+          status: 'PENDING',
+          deliveryDate: {
+            gte: new Date()
           }
-        });
+        }
+      });
 
+      // Handle refunds for paid subscriptions that used wallet
+      if (subscription.paymentStatus === 'PAID' && subscription.walletamt > 0) {
         // Calculate refund amount based on remaining deliveries
         refundAmount = walletService.calculateSubscriptionRefund(subscription, remainingDeliveries);
 
@@ -935,28 +928,16 @@ const cancelSubscription = asyncHandler(async (req, res) => {
           const notes = `Refund for cancelled subscription - ${subscriptionWithProduct.product?.name || 'Product'} (${remainingDeliveries.length} remaining deliveries)`;
 
           // Credit the refund to wallet
-          walletTransaction = await tx.walletTransaction.create({
-            data: {
-              memberId: subscription.memberId,
-              amount: refundAmount,
-              type: TransactionType.CREDIT,
-              status: TransactionStatus.PAID,
-              paymentMethod: 'SYSTEM_CREDIT',
-              referenceNumber: referenceNumber,
-              notes: `Subscription Cancellation - ${notes} (₹${refundAmount} credited to wallet)`,
-              processedByAdminId: req.user.role === 'ADMIN' ? req.user.id : null,
-            }
-          });
-
-          // Update member's wallet balance
-          await tx.member.update({
-            where: { id: subscription.memberId },
-            data: {
-              walletBalance: {
-                increment: refundAmount
-              }
-            }
-          });
+          ({ walletTransaction } = await walletService.postWalletMovement({
+            memberId: subscription.memberId,
+            type: TransactionType.CREDIT,
+            amount: refundAmount,
+            account: walletService.LedgerAccount.REFUNDS,
+            paymentMethod: 'SYSTEM_CREDIT',
+            referenceNumber: referenceNumber,
+            notes: `Subscription Cancellation - ${notes} (₹${refundAmount} credited to wallet)`,
+            processedByAdminId: req.user.role === 'ADMIN' ? req.user.id : null,
+          }, tx));
 
           console.log(`[Subscription Cancellation] Refunded ₹${refundAmount} to member ${subscription.memberId} for subscription ${subscription.id}`);
         }
@@ -969,32 +950,49 @@ const cancelSubscription = asyncHandler(async (req, res) => {
         },
         data: {
           paymentStatus: 'CANCELLED',
+          cancelledAt: new Date(),
+          cancellationReason: req.body?.reason ? String(req.body.reason).slice(0, 255) : null,
           updatedAt: new Date()
         }
       });
 
-      // Also cancel any future pending delivery entries for this subscription
-      await tx.deliveryScheduleEntry.updateMany({
-        where: {
-          subscriptionId: parseInt(req.params.id),
-          status: 'PENDING',
-          deliveryDate: {
-            gte: new Date() // Only future deliveries
-          }
-        },
-        data: {
-          status: 'CANCELLED',
-          updatedAt: new Date()
+      // Cancel the remaining deliveries through the lifecycle so each gets a
+      // history row; the refund above covers them, so none is made per entry
+      const cancelledEntryIds = await changeEntriesStatus(
+        tx,
+        remainingDeliveries.map((entry) => entry.id),
+        'CANCELLED',
+        {
+          source: sourceForRole(req.user.role),
+          fromStatuses: ['PENDING'],
+          actorId: req.user.id,
+          reason: 'Subscription cancelled',
+          walletTransactionId: walletTransaction?.id || null,
         }
-      });
+      );
+      if (cancelledEntryIds.length !== remainingDeliveries.length) {
+        throw createError(409, 'Some deliveries of this subscription changed while cancelling. Please try again.');
+      }
+
+      // Offset the tax invoice for the deliveries that will no longer be made
+      const creditNote = await issueCreditNoteForDeliveries({
+        sourceKey: `cancel_subscription:${subscription.id}`,
+        reason: 'SUBSCRIPTION_CANCELLED',
+        entryIds: cancelledEntryIds,
+        walletTransactionId: walletTransaction?.id || null,
+        createdById: req.user.id,
+      }, tx);
 
       return {
         subscription: updatedSubscription,
         refundAmount,
-        walletTransaction
+        walletTransaction,
+        creditNote
       };
     });
 
+    await renderIssuedCreditNotePdf(result.creditNote);
+
     // Send WhatsApp Notification for Subscription Cancellation
     console.log(`[WA Debug] Triggering cancellation notification for sub: ${result.subscription.id}, refund: ${result.refundAmount}`);
     try {
@@ -1014,7 +1012,9 @@ const cancelSubscription = asyncHandler(async (req, res) => {
             reason: (req.user && req.user.role === 'ADMIN') ? 'Cancelled by Admin' : 'Cancelled via dashboard',
             refundAmount: result.refundAmount
           };
-          const waResult = await sendCancelledWhatsAppMessage(memberInfo.user, cancelData);
+          const waResult = await sendCancelledWhatsAppMessage(memberInfo.user, cancelData, {
+            businessKey: `cancelled:subscription:${result.subscription.id}`,
+          });
           console.log('[WA Debug] WhatsApp Service full result:', JSON.stringify(waResult));
 
           // Also send wallet_credit notification if refund was successful
@@ -1022,7 +1022,8 @@ const cancelSubscription = asyncHandler(async (req, res) => {
             await sendWalletCreditWhatsAppMessage(
               memberInfo.user,
               result.refundAmount,
-              `CANCEL-SUB-${result.subscription.id}`
+              `CANCEL-SUB-${result.subscription.id}`,
+              { businessKey: `wallet_credit:cancel_subscription:${result.subscription.id}` }
             );
           }
         } else {
@@ -1045,8 +1046,8 @@ const cancelSubscription = asyncHandler(async (req, res) => {
 
   } catch (error) {
     console.error('Error cancelling subscription:', error);
-    res.status(500).json({
-      message: 'Failed to cancel subscription',
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Failed to cancel subscription',
       error: error.message
     });
   }
@@ -1149,6 +1150,155 @@ const renewSubscription = asyncHandler(async (req, res) => {
   res.status(201).json(newSubscription);
 });
 
+// @desc    Turn wallet-funded auto-renewal on or off for a subscription
+// @route   PATCH /api/subscriptions/:id/auto-renew
+// @access  Private (owning member or Admin)
+const setSubscriptionAutoRenew = asyncHandler(async (req, res) => {
+  const { autoRenew } = req.body;
+
+  if (typeof autoRenew !== 'boolean') {
+    res.status(400);
+    throw new Error('autoRenew must be true or false');
+  }
+
+  const subscription = await prisma.subscription.findUnique({
+    where: { id: parseInt(req.params.id) },
+    include: { autoRenewal: true }
+  });
+
+  if (!subscription) {
+    res.status(404);
+    throw new Error('Subscription not found');
+  }
+
+  if (req.user.role !== 'ADMIN') {
+    const member = await prisma.member.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!member || subscription.memberId !== member.id) {
+      res.status(403);
+      throw new Error('Not authorized to update this subscription');
+    }
+  }
+
+  if (autoRenew && subscription.paymentStatus === 'CANCELLED') {
+    res.status(400);
+    throw new Error('Cancelled subscriptions cannot be auto-renewed');
+  }
+
+  if (autoRenew && subscription.autoRenewal?.status === 'SUCCESS') {
+    res.status(400);
+    throw new Error('This subscription has already been renewed');
+  }
+
+  const updatedSubscription = await prisma.subscription.update({
+    where: { id: subscription.id },
+    data: { autoRenew },
+    include: { autoRenewal: true }
+  });
+
+  res.status(200).json(updatedSubscription);
+});
+
+// Loads a subscription with its member and checks the caller owns it (admins may act on any)
+const findSubscriptionForMember = async (req, res, subscriptionId) => {
+  const subscription = await prisma.subscription.findUnique({
+    where: { id: subscriptionId },
+    include: { member: { include: { user: true } } }
+  });
+
+  if (!subscription) {
+    res.status(404);
+    throw new Error('Subscription not found');
+  }
+
+  if (req.user.role !== 'ADMIN' && subscription.member?.userId !== req.user.id) {
+    res.status(403);
+    throw new Error('Not authorized to manage this subscription');
+  }
+
+  return subscription;
+};
+
+// @desc    Pause a subscription for a date range (vacation mode)
+// @route   POST /api/subscriptions/:id/pause
+// @access  Private (owning member or Admin)
+const pauseSubscription = asyncHandler(async (req, res) => {
+  const { fromDate, toDate } = req.body;
+
+  if (!fromDate || !toDate) {
+    res.status(400);
+    throw new Error('fromDate and toDate are required');
+  }
+
+  const subscription = await findSubscriptionForMember(req, res, parseInt(req.params.id));
+
+  const result = await subscriptionPauseService.pauseSubscription({
+    subscriptionId: subscription.id,
+    fromDate,
+    toDate,
+    createdById: req.user.id,
+    source: sourceForRole(req.user.role),
+  });
+
+  res.status(201).json(result);
+
+  try {
+    const user = subscription.member?.user;
+    if (user && user.mobile && result.refundAmount > 0) {
+      const { sendWalletCreditWhatsAppMessage } = require('../services/whatsAppService');
+      await sendWalletCreditWhatsAppMessage(user, result.refundAmount, `PAUSE-SUB-${result.pause.id}`, {
+        businessKey: `wallet_credit:pause:${result.pause.id}`,
+      });
+    }
+  } catch (waError) {
+    console.error('Failed to send wallet credit WhatsApp message after subscription pause:', waError);
+  }
+});
+
+// @desc    List pauses for a subscription
+// @route   GET /api/subscriptions/:id/pauses
+// @access  Private (owning member or Admin)
+const getSubscriptionPauses = asyncHandler(async (req, res) => {
+  const subscription = await findSubscriptionForMember(req, res, parseInt(req.params.id));
+
+  const pauses = await prisma.subscriptionPause.findMany({
+    where: { subscriptionId: subscription.id },
+    orderBy: { fromDate: 'desc' }
+  });
+
+  res.status(200).json(pauses);
+});
+
+// @desc    End a subscription pause early
+// @route   POST /api/subscriptions/pauses/:pauseId/resume
+// @access  Private (owning member or Admin)
+const resumeSubscriptionPause = asyncHandler(async (req, res) => {
+  const pauseId = parseInt(req.params.pauseId);
+
+  const pause = await prisma.subscriptionPause.findUnique({
+    where: { id: pauseId },
+    select: { subscriptionId: true }
+  });
+
+  if (!pause) {
+    res.status(404);
+    throw new Error('Pause not found');
+  }
+
+  await findSubscriptionForMember(req, res, pause.subscriptionId);
+
+  const result = await subscriptionPauseService.resumeSubscriptionPause({
+    pauseId,
+    resumeDate: req.body?.resumeDate,
+    actorId: req.user.id,
+    source: sourceForRole(req.user.role),
+  });
+
+  res.status(200).json(result);
+});
+
 // @desc    Get delivery schedule entries by date grouped by agency
 // @route   GET /api/subscriptions/delivery-schedule/by-date
 // @access  Private (Admin only)
@@ -1327,61 +1477,24 @@ const skipMemberDelivery = asyncHandler(async (req, res) => {
   }
 
   let updatedDeliveryEntryResult;
-  let walletTransaction = null;
   let refundMessage = '';
   let finalMessage = 'Delivery skipped successfully.';
 
   try {
-    await prisma.$transaction(async (tx) => {
-      // 1. Update Delivery Schedule Entry status to SKIP_BY_CUSTOMER
-      updatedDeliveryEntryResult = await tx.deliveryScheduleEntry.update({
-        where: { id: entryId },
-        data: {
-          status: 'SKIP_BY_CUSTOMER', // Use proper status for customer-initiated skip
-          updatedAt: new Date(),
-        },
-        include: { // Keep the include for the response
-          product: {
-            select: { name: true }
-          },
-          subscription: {
-            select: {
-              id: true,
-              rate: true,
-              memberId: true
-            }
-          }
-        }
-      });
-      console.log('Updated Delivery Entry in backend:', updatedDeliveryEntryResult);
-
-      // 2. Process Refund - Calculate refund amount and credit to wallet
-      const refundAmount = walletService.calculateRefundAmount({
-        subscription: { rate: deliveryEntry.subscription.rate },
-        quantity: deliveryEntry.quantity
-      });
+    // Refund, credit note and notifications are handled by the lifecycle service
+    const { entry, walletTransaction } = await changeEntryStatus(entryId, 'SKIP_BY_CUSTOMER', {
+      source: DeliverySource.CUSTOMER,
+      actorId: userId,
+      reason: 'Skipped by customer',
+    });
+    updatedDeliveryEntryResult = entry;
 
-      console.log(`Calculated refund amount: ${refundAmount} for delivery entry ${entryId}`);
-
-      if (refundAmount > 0) {
-        const referenceNumber = `SKIP_DELIVERY_${entryId}`;
-        const notes = `Refund for skipped delivery - ${deliveryEntry.product?.name || 'Product'} on ${new Date(deliveryEntry.deliveryDate).toLocaleDateString()}`;
-
-        walletTransaction = await walletService.creditWallet(
-          deliveryEntry.subscription.memberId,
-          refundAmount,
-          referenceNumber,
-          notes,
-          null // No admin ID for member-initiated skip
-        );
-
-        refundMessage = ` Refund of ₹${refundAmount.toFixed(2)} has been credited to your wallet.`;
-        console.log(`Wallet credited successfully for member ${deliveryEntry.subscription.memberId}: ₹${refundAmount}`);
-      } else {
-        refundMessage = ' No refund applicable for this delivery.';
-        console.log('No refund amount calculated for this delivery skip.');
-      }
-    }); // End of Prisma transaction
+    if (walletTransaction) {
+      refundMessage = ` Refund of ₹${walletTransaction.amount.toFixed(2)} has been credited to your wallet.`;
+      console.log(`Wallet credited successfully for member ${deliveryEntry.subscription.memberId}: ₹${walletTransaction.amount}`);
+    } else {
+      refundMessage = ' No refund applicable for this delivery.';
+    }
 
     finalMessage += refundMessage;
 
@@ -1390,32 +1503,17 @@ const skipMemberDelivery = asyncHandler(async (req, res) => {
     // If the transaction fails, Prisma rolls it back.
     // The deliveryEntry might not have been updated, or refund failed.
     // It's important to let the user know something went wrong.
-    return res.status(500).json({
-      message: 'An error occurred while processing your request. Please try again or contact support.',
-      // Optionally, provide more specific error details in a non-production environment
-      // error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    return res.status(error.status && error.status < 500 ? error.status : 500).json({
+      message: error.status && error.status < 500
+        ? error.message
+        : 'An error occurred while processing your request. Please try again or contact support.',
     });
   }
 
   res.status(200).json({
     message: finalMessage,
-    deliveryEntry: updatedDeliveryEntryResult, // Send the updated entry from the transaction
+    deliveryEntry: updatedDeliveryEntryResult,
   });
-
-  // Send WhatsApp notification for skip-refund
-  try {
-    const user = deliveryEntry.subscription?.member?.user;
-    if (user && user.mobile && walletTransaction && walletTransaction.amount > 0) {
-      const { sendWalletCreditWhatsAppMessage } = require('../services/whatsAppService');
-      await sendWalletCreditWhatsAppMessage(
-        user,
-        walletTransaction.amount,
-        `SKIP-DEL-${entryId}`
-      );
-    }
-  } catch (waError) {
-    console.error('Failed to send wallet credit WhatsApp message after member skip:', waError);
-  }
 });
 
 // @desc    Bulk assign agency to multiple subscriptions
@@ -1520,6 +1618,10 @@ module.exports = {
   updateSubscription,
   cancelSubscription,
   renewSubscription,
+  setSubscriptionAutoRenew,
+  pauseSubscription,
+  getSubscriptionPauses,
+  resumeSubscriptionPause,
   getDeliveryScheduleByDate,
   skipMemberDelivery,
   bulkAssignAgency
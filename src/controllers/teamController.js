@@ -1,6 +1,7 @@
 const prisma = require("../config/db");
 const bcrypt = require("bcrypt");
 const { z } = require("zod");
+const { revokeUserSessions } = require("../services/sessionService");
 
 // Schema for creating a user
 const createUserSchema = z.object({
@@ -70,11 +71,21 @@ const teamController = {
         }
       }
 
+      const previous = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { role: true },
+      });
       const user = await prisma.user.update({
         where: { id: userId },
         data: dataToUpdate,
       });
 
+      if (password) {
+        await revokeUserSessions(userId, 'PASSWORD_CHANGED');
+      } else if (previous && previous.role !== user.role) {
+        await revokeUserSessions(userId, 'ROLE_CHANGED');
+      }
+
       res.json(user);
     } catch (error) {
       next(error);
@@ -214,6 +225,9 @@ const teamController = {
         where: { id: userId },
         data: { active: !user.active },
       });
+      if (!updatedUser.active) {
+        await revokeUserSessions(userId, 'DEACTIVATED');
+      }
 
       res.json(updatedUser);
     } catch (error) {
@@ -1,6 +1,10 @@
 const asyncHandler = require('express-async-handler');
 const createError = require('http-errors');
 const prisma = require('../config/db');
+const { withoutTenancy, requireDepotAccess } = require('../config/tenancy');
+const { nextNumber } = require('../services/documentSequenceService');
+const { refreshBatchStock } = require('../services/variantStockService');
+const { transferStock } = require('../services/stockBatchService');
 
 // Helper to parse 'YYYY-MM-DD' or Date object into a JS Date in **local** timezone
 function parseLocalDate(dateInput) {
@@ -14,49 +18,6 @@ function parseLocalDate(dateInput) {
   // Fallback to default parser
   return new Date(dateInput);
 }
-// Helper to get financial year string like '2425' from a date
-function getFinancialYear(date) {
-  const year = date.getFullYear();
-  const month = date.getMonth(); // 0-indexed (0 for January)
-
-  // Financial year starts from April (month 3)
-  if (month >= 3) {
-    const nextYear = (year + 1).toString().slice(-2);
-    return `${year.toString().slice(-2)}${nextYear}`;
-  } else {
-    const prevYear = (year - 1).toString().slice(-2);
-    return `${prevYear}${year.toString().slice(-2)}`;
-  }
-}
-
-// Helper to generate the next transfer number
-async function generateTransferNo(tx, transferDate) {
-  const finYear = getFinancialYear(transferDate);
-  const prefix = `${finYear}-`;
-
-  const lastTransfer = await tx.transfer.findFirst({
-    where: {
-      transferNo: {
-        startsWith: prefix,
-      },
-    },
-    orderBy: {
-      transferNo: 'desc',
-    },
-    select: {
-      transferNo: true,
-    },
-  });
-
-  let nextSeq = 1;
-  if (lastTransfer) {
-    const lastSeq = parseInt(lastTransfer.transferNo.split('-')[1], 10);
-    nextSeq = lastSeq + 1;
-  }
-
-  const newTransferNo = `${prefix}${nextSeq.toString().padStart(6, '0')}`;
-  return newTransferNo;
-}
 
 const { z } = require('zod');
 
@@ -93,10 +54,12 @@ exports.createTransfer = asyncHandler(async (req, res, next) => {
     return next(createError(400, 'From and To depots cannot be the same.'));
   }
 
+  // A depot admin must own one side; the stock effects then touch both depots
+  requireDepotAccess(fromDepotId, toDepotId);
 
-  const newTransfer = await prisma.$transaction(async (tx) => {
+  const newTransfer = await withoutTenancy(() => prisma.$transaction(async (tx) => {
     const parsedDate = parseLocalDate(transferDate);
-    const transferNo = await generateTransferNo(tx, parsedDate);
+    const transferNo = await nextNumber('TRANSFER', { depotId: fromDepotId, date: parsedDate, tx });
 
     // 1. Create Transfer header
     const transfer = await tx.transfer.create({
@@ -139,32 +102,30 @@ exports.createTransfer = asyncHandler(async (req, res, next) => {
         tx.depotProductVariant.update({ where: { id: toVariant.id }, data: { closingQty: { increment: item.quantity } } }),
       ]);
 
-      // 5. Create Ledger entries
-      await tx.stockLedger.createMany({
-        data: [
-          { // Issue from source
-            productId: fromVariant.productId,
-            variantId: fromVariant.id,
-            depotId: fromDepotId,
-            transactionDate: parseLocalDate(transferDate),
-            issuedQty: item.quantity,
-            module: 'transfer',
-            foreignKey: transfer.id,
-          },
-          { // Receive at destination
-            productId: toVariant.productId,
-            variantId: toVariant.id,
-            depotId: toDepotId,
-            transactionDate: parseLocalDate(transferDate),
-            receivedQty: item.quantity,
-            module: 'transfer',
-            foreignKey: transfer.id,
-          },
-        ],
-      });
+      // 5. Create Ledger entries, batch by batch (first expiry out)
+      await transferStock(
+        tx,
+        { // Issue from source
+          productId: fromVariant.productId,
+          variantId: fromVariant.id,
+          depotId: fromDepotId,
+          transactionDate: parseLocalDate(transferDate),
+          issuedQty: item.quantity,
+          module: 'transfer',
+          foreignKey: transfer.id,
+        },
+        { // Receive at destination
+          productId: toVariant.productId,
+          variantId: toVariant.id,
+          depotId: toDepotId,
+          transactionDate: parseLocalDate(transferDate),
+          module: 'transfer',
+          foreignKey: transfer.id,
+        }
+      );
     }
     return transfer;
-  });
+  }));
 
   res.status(201).json({ message: 'Transfer completed successfully', data: newTransfer });
 });
@@ -254,7 +215,12 @@ exports.updateTransfer = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    const updatedTransfer = await prisma.$transaction(async (tx) => {
+    // Out-of-scope transfers are not found; the new depots must include one of the admin's own
+    const inScope = await prisma.transfer.findUnique({ where: { id }, select: { id: true } });
+    if (!inScope) throw createError(404, 'Transfer not found');
+    requireDepotAccess(fromDepotId, toDepotId);
+
+    const updatedTransfer = await withoutTenancy(() => prisma.$transaction(async (tx) => {
       // fetch existing with details first
       const existing = await tx.transfer.findUnique({
         where: { id },
@@ -274,6 +240,7 @@ exports.updateTransfer = asyncHandler(async (req, res, next) => {
         });
       }
       await tx.stockLedger.deleteMany({ where: { module: 'transfer', foreignKey: id } });
+      await refreshBatchStock(existing.details.flatMap((d) => [d.fromDepotVariantId, d.toDepotVariantId]), tx);
       await tx.transferDetail.deleteMany({ where: { transferId: id } });
 
       // 2. Update header
@@ -313,31 +280,29 @@ exports.updateTransfer = asyncHandler(async (req, res, next) => {
           tx.depotProductVariant.update({ where: { id: fromVariant.id }, data: { closingQty: { decrement: item.quantity } } }),
           tx.depotProductVariant.update({ where: { id: toVariant.id }, data: { closingQty: { increment: item.quantity } } }),
         ]);
-        await tx.stockLedger.createMany({
-          data: [
-            {
-              productId: fromVariant.productId,
-              variantId: fromVariant.id,
-              depotId: fromDepotId,
-              transactionDate: parseLocalDate(transferDate),
-              issuedQty: item.quantity,
-              module: 'transfer',
-              foreignKey: transfer.id,
-            },
-            {
-              productId: toVariant.productId,
-              variantId: toVariant.id,
-              depotId: toDepotId,
-              transactionDate: parseLocalDate(transferDate),
-              receivedQty: item.quantity,
-              module: 'transfer',
-              foreignKey: transfer.id,
-            },
-          ],
-        });
+        await transferStock(
+          tx,
+          {
+            productId: fromVariant.productId,
+            variantId: fromVariant.id,
+            depotId: fromDepotId,
+            transactionDate: parseLocalDate(transferDate),
+            issuedQty: item.quantity,
+            module: 'transfer',
+            foreignKey: transfer.id,
+          },
+          {
+            productId: toVariant.productId,
+            variantId: toVariant.id,
+            depotId: toDepotId,
+            transactionDate: parseLocalDate(transferDate),
+            module: 'transfer',
+            foreignKey: transfer.id,
+          }
+        );
       }
       return transfer;
-    });
+    }));
 
     res.json({ message: 'Transfer updated successfully', data: updatedTransfer });
   } catch (err) {
@@ -354,7 +319,10 @@ exports.deleteTransfer = asyncHandler(async (req, res, next) => {
   if (isNaN(id)) return next(createError(400, 'Invalid transfer id'));
 
   try {
-    await prisma.$transaction(async (tx) => {
+    const inScope = await prisma.transfer.findUnique({ where: { id }, select: { id: true } });
+    if (!inScope) throw createError(404, 'Transfer not found');
+
+    await withoutTenancy(() => prisma.$transaction(async (tx) => {
       const transfer = await tx.transfer.findUnique({
         where: { id },
         include: { details: true },
@@ -366,9 +334,10 @@ exports.deleteTransfer = asyncHandler(async (req, res, next) => {
         await tx.depotProductVariant.update({ where: { id: d.toDepotVariantId }, data: { closingQty: { decrement: d.quantity } } });
       }
       await tx.stockLedger.deleteMany({ where: { module: 'transfer', foreignKey: id } });
+      await refreshBatchStock(transfer.details.flatMap((d) => [d.fromDepotVariantId, d.toDepotVariantId]), tx);
       await tx.transferDetail.deleteMany({ where: { transferId: id } });
       await tx.transfer.delete({ where: { id } });
-    });
+    }));
 
     res.json({ message: 'Transfer deleted successfully' });
   } catch (err) {
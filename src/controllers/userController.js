@@ -5,6 +5,7 @@ const prisma = require("../config/db");
 const validateRequest = require("../utils/validateRequest");
 const roles = require("../config/roles");
 const aclService = require("../services/aclService");
+const { revokeUserSessions, listUserSessions } = require("../services/sessionService");
 const { z } = require("zod");
 
 const getUsers = async (req, res, next) => {
@@ -381,10 +382,20 @@ const updateUser = async (req, res, next) => {
   // Validate the request body using Zod
   const validationErrors = await validateRequest(schema, req.body, res);
   try {
+    const existingUser = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { role: true, active: true },
+    });
     const updatedUser = await prisma.user.update({
       where: { id: parseInt(req.params.id) },
       data: req.body,
     });
+    if (existingUser && !updatedUser.active && existingUser.active) {
+      await revokeUserSessions(updatedUser.id, "DEACTIVATED");
+    } else if (existingUser && updatedUser.role !== existingUser.role) {
+      // Tokens carry the role, so sign the user in again with the new one
+      await revokeUserSessions(updatedUser.id, "ROLE_CHANGED");
+    }
     res.json(updatedUser);
   } catch (error) {
     if (error.code === "P2025") {
@@ -426,6 +437,9 @@ const setActiveStatus = async (req, res, next) => {
       where: { id: parseInt(req.params.id) },
       data: { active: req.body.active },
     });
+    if (!updatedUser.active) {
+      await revokeUserSessions(updatedUser.id, "DEACTIVATED");
+    }
     res.json(updatedUser);
   } catch (error) {
     next(error);
@@ -449,12 +463,41 @@ const changePassword = async (req, res, next) => {
       where: { id: parseInt(req.params.id) },
       data: { password: hashedPassword },
     });
+    await revokeUserSessions(updatedUser.id, "PASSWORD_CHANGED");
     res.json(updatedUser);
   } catch (error) {
     next(error);
   }
 };
 
+const getUserSessions = async (req, res, next) => {
+  try {
+    const sessions = await listUserSessions(parseInt(req.params.id));
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Log a user out of all devices, e.g. a lost phone
+const revokeSessions = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true },
+    });
+    if (!user) {
+      return res.status(404).json({
+        errors: { message: "User not Found" },
+      });
+    }
+    const revoked = await revokeUserSessions(user.id, "ADMIN_REVOKED");
+    res.json({ message: "User logged out from all devices", revoked });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getRoles = async (req, res, next) => {
   try {
     // Get distinct roles that are actually used by users
@@ -491,5 +534,7 @@ module.exports = {
   deleteUser,
   setActiveStatus,
   changePassword,
+  getUserSessions,
+  revokeSessions,
   getRoles,
 };
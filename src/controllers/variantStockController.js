@@ -1,30 +1,11 @@
 const asyncHandler = require('express-async-handler');
 const createError = require('http-errors');
-const { z } = require('zod');
 const prisma = require('../config/db');
 
-// Validation schema for VariantStock
-const variantStockSchema = z.object({
-  productId: z.coerce.number().int().positive({ message: 'productId must be a positive integer' }),
-  variantId: z.coerce.number().int().positive({ message: 'variantId must be a positive integer' }),
-  depotId: z.coerce.number().int().positive({ message: 'depotId must be a positive integer' }),
-  closingQty: z.string().min(1, { message: 'closingQty is required' }),
-});
-
-const variantStockUpdateSchema = variantStockSchema.partial();
+// Closing stock is recalculated from the stock ledger and is read-only here;
+// corrections go through a stock take.
 
 module.exports = {
-  // Create a new VariantStock
-  createVariantStock: asyncHandler(async (req, res, next) => {
-    try {
-      const data = variantStockSchema.parse(req.body);
-      const created = await prisma.variantStock.create({ data });
-      res.status(201).json(created);
-    } catch (error) {
-      next(error);
-    }
-  }),
-
   // List / query VariantStocks
   getVariantStocks: asyncHandler(async (req, res, next) => {
     const { page = 1, limit = 10, productId, variantId, depotId, search, isDairy } = req.query;
@@ -105,33 +86,4 @@ module.exports = {
       next(error);
     }
   }),
-
-  // Update VariantStock
-  updateVariantStock: asyncHandler(async (req, res, next) => {
-    const id = parseInt(req.params.id, 10);
-    if (isNaN(id)) return next(createError(400, 'Invalid id parameter'));
-
-    try {
-      const data = variantStockUpdateSchema.parse(req.body);
-      const updated = await prisma.variantStock.update({ where: { id }, data });
-      res.json(updated);
-    } catch (error) {
-      if (error.code === 'P2025') return next(createError(404, 'VariantStock not found'));
-      next(error);
-    }
-  }),
-
-  // Delete VariantStock
-  deleteVariantStock: asyncHandler(async (req, res, next) => {
-    const id = parseInt(req.params.id, 10);
-    if (isNaN(id)) return next(createError(400, 'Invalid id parameter'));
-
-    try {
-      await prisma.variantStock.delete({ where: { id } });
-      res.status(204).send();
-    } catch (error) {
-      if (error.code === 'P2025') return next(createError(404, 'VariantStock not found'));
-      next(error);
-    }
-  }),
 };
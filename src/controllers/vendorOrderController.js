@@ -13,52 +13,8 @@ const transformOrderItems = (items) => {
   }));
 };
 const createError = require('http-errors');
-
-// Helper function to generate new PO Number
-async function generateNewPoNumber() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = now.getMonth(); // 0 (Jan) - 11 (Dec)
-
-  let financialYearPrefix;
-  if (month >= 3) { // April (month 3) to December
-    const currentFyShort = String(year % 100).padStart(2, '0');
-    const nextFyShort = String((year + 1) % 100).padStart(2, '0');
-    financialYearPrefix = `${currentFyShort}${nextFyShort}`;
-  } else { // January to March
-    const prevFyShort = String((year - 1) % 100).padStart(2, '0');
-    const currentFyShort = String(year % 100).padStart(2, '0');
-    financialYearPrefix = `${prevFyShort}${currentFyShort}`;
-  }
-
-  const latestOrder = await prisma.vendorOrder.findFirst({
-    where: {
-      poNumber: {
-        startsWith: `${financialYearPrefix}-`,
-      },
-    },
-    orderBy: {
-      poNumber: 'desc',
-    },
-    select: {
-      poNumber: true,
-    },
-  });
-
-  let nextNumericPart = 1;
-  if (latestOrder && latestOrder.poNumber) {
-    const parts = latestOrder.poNumber.split('-');
-    if (parts.length === 2) {
-      const numericPart = parseInt(parts[1], 10);
-      if (!isNaN(numericPart)) {
-        nextNumericPart = numericPart + 1;
-      }
-    }
-  }
-
-  const newPoNumber = `${financialYearPrefix}-${String(nextNumericPart).padStart(5, '0')}`;
-  return newPoNumber;
-}
+const { nextNumber } = require('../services/documentSequenceService');
+const procurementPlanningService = require('../services/procurementPlanningService');
 
 // @desc    Create a new vendor order
 // @route   POST /api/vendor-orders
@@ -79,16 +35,14 @@ exports.createVendorOrder = async (req, res, next) => {
     return next(createError(400, 'Missing required fields: orderDate, vendorId, and at least one orderItem.'));
   }
 
-  let poNumberToSave; // Declare poNumberToSave
+  // PO numbers come from the PURCHASE_ORDER sequence only, so the series stays gap-free and unique
+  if (inputPoNumber && String(inputPoNumber).trim() !== '') {
+    return next(createError(400, 'poNumber is assigned automatically and cannot be set.'));
+  }
 
-  try {
-    // Determine PO Number
-    if (inputPoNumber && inputPoNumber.trim() !== '') {
-      poNumberToSave = inputPoNumber.trim();
-    } else {
-      poNumberToSave = await generateNewPoNumber(); // Call helper function
-    }
+  let poNumberToSave;
 
+  try {
     // Validate all products and agencies exist
     let totalAmount = 0;
     const itemsToCreate = [];
@@ -153,9 +107,10 @@ exports.createVendorOrder = async (req, res, next) => {
   }
 
     const newOrder = await prisma.$transaction(async (tx) => {
+      poNumberToSave = await nextNumber('PURCHASE_ORDER', { tx });
       const createdOrder = await tx.vendorOrder.create({
         data: {
-          poNumber: poNumberToSave, // Use poNumberToSave
+          poNumber: poNumberToSave,
           orderDate: new Date(orderDate),
           deliveryDate: deliveryDate ? new Date(deliveryDate) : null,
           vendorId: parseInt(vendorId),
@@ -190,7 +145,7 @@ exports.createVendorOrder = async (req, res, next) => {
   } catch (error) {
     console.error("Error creating vendor order:", error);
     if (error.code === 'P2002' && error.meta?.target?.includes('poNumber')) {
-      const offendingPo = poNumberToSave || inputPoNumber || 'the provided/generated PO Number';
+      const offendingPo = poNumberToSave || 'the generated PO Number';
       return next(createError(400, `Purchase Order number '${offendingPo}' already exists.`));
     }
     if (error.message.includes("Not enough stock") || error.message.includes("not found")) {
@@ -289,8 +244,8 @@ exports.getMyVendorOrders = async (req, res, next) => {
 
     const { page = 1, limit = 10, search, status, sortBy = 'createdAt', sortOrder = 'desc' } = req.query; // Added 'search'
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    // Base condition: always filter by the current vendor's ID
-    const where = { vendorId: currentVendorId };
+    // Base condition: always filter by the current vendor's ID; drafts stay hidden until confirmed
+    const where = { vendorId: currentVendorId, NOT: { status: OrderStatus.DRAFT } };
     if (status) where.status = status.toUpperCase();
 
     if (search) {
@@ -411,8 +366,11 @@ exports.updateVendorOrder = async (req, res, next) => {
       //   throw createError(403, 'Not authorized to update this order');
       // }
 
+      if (poNumber !== undefined && poNumber !== order.poNumber) {
+        throw createError(400, 'poNumber is assigned automatically and cannot be changed.');
+      }
+
       let dataToUpdate = {
-        poNumber: poNumber !== undefined ? poNumber : order.poNumber,
         orderDate: orderDate ? new Date(orderDate) : order.orderDate,
         deliveryDate: deliveryDate ? new Date(deliveryDate) : order.deliveryDate,
         contactPersonName: contactPersonName !== undefined ? contactPersonName : order.contactPersonName,
@@ -550,6 +508,9 @@ exports.updateVendorOrderStatus = async (req, res, next) => {
     if (!order) {
       return next(createError(404, 'Order not found'));
     }
+    if (order.status === OrderStatus.DRAFT || status === OrderStatus.DRAFT) {
+      return next(createError(400, 'Draft orders are confirmed through /api/vendor-orders/drafts/confirm.'));
+    }
 
     // Add more specific authorization based on who can change to what status
     // For example, a VENDOR might only be able to move to ASSIGNED or DELIVERED from PENDING/ASSIGNED.
@@ -588,6 +549,9 @@ exports.markOrderDelivered = async (req, res, next) => {
     if (order.status === OrderStatus.DELIVERED && order.deliveredById && order.deliveredAt) {
       return res.status(400).json({ message: 'Order already marked as delivered.' });
     }
+    if (order.status === OrderStatus.DRAFT) {
+      return res.status(400).json({ message: 'Draft orders must be confirmed before delivery.' });
+    }
 
     // Authorization: Ensure the user is the vendor for this order, or an admin/agency
     // if (req.user.role === 'VENDOR' && req.user.vendorId !== order.vendorId) {
@@ -636,6 +600,9 @@ exports.markOrderReceived = async (req, res, next) => {
     if (order.receivedById && order.receivedAt) {
       return res.status(400).json({ message: 'Order already marked as received.' });
     }
+    if (order.status === OrderStatus.DRAFT) {
+      return res.status(400).json({ message: 'Draft orders must be confirmed before receipt.' });
+    }
 
     // Authorization: Ensure the user is an admin or an agency involved in this order
     // let isAgencyInvolved = false;
@@ -709,6 +676,9 @@ exports.recordDelivery = async (req, res, next) => {
     if (order.status === OrderStatus.DELIVERED) {
       return next(createError(400, 'Order is already marked as DELIVERED. Cannot record new delivery.'));
     }
+    if (order.status === OrderStatus.DRAFT) {
+      return next(createError(400, 'Draft orders must be confirmed before delivery.'));
+    }
 
     const updatedOrder = await prisma.$transaction(async (tx) => {
       // 1. Update delivered quantities for each order item
@@ -830,6 +800,9 @@ exports.recordReceipt = async (req, res, next) => {
       // For now, let's be strict: must be DELIVERED.
       // return next(createError(400, `Order status is ${order.status}. Receipt can only be recorded for DELIVERED orders.`));
     }
+    if (order.status === OrderStatus.DRAFT) {
+      return next(createError(400, 'Draft orders must be confirmed before receipt.'));
+    }
 
     const updatedOrder = await prisma.$transaction(async (tx) => {
       // 1. Update received quantities for each order item
@@ -1132,6 +1105,7 @@ exports.getMyAgencyOrders = async (req, res, next) => {
           agencyId: agencyId,
         },
       },
+      NOT: { status: OrderStatus.DRAFT }, // Drafts stay hidden until confirmed
     };
 
     // Handle explicit status filter first
@@ -1649,3 +1623,49 @@ exports.registerWastage = async (req, res, next) => {
     next(createError(500, 'Failed to register wastage. ' + error.message));
   }
 };
+
+// @desc    Suggested purchase quantities per vendor for a delivery day
+// @route   GET /api/vendor-orders/planning?date=YYYY-MM-DD&depotId=
+// @access  Private (ADMIN)
+exports.getProcurementPlan = async (req, res, next) => {
+  try {
+    const { date, depotId } = req.query;
+    const plan = await procurementPlanningService.buildPlan(date, {
+      depotId: depotId ? parseInt(depotId) : null,
+    });
+    res.json(plan);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create draft vendor orders from the plan for a delivery day
+// @route   POST /api/vendor-orders/drafts
+// @access  Private (ADMIN)
+exports.generateDraftOrders = async (req, res, next) => {
+  try {
+    const result = await procurementPlanningService.generateDrafts(req.body.date);
+    result.orders = result.orders.map(order => ({ ...order, items: transformOrderItems(order.items) }));
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm draft vendor orders, issuing their PO numbers
+// @route   POST /api/vendor-orders/drafts/confirm
+// @access  Private (ADMIN)
+exports.confirmDraftOrders = async (req, res, next) => {
+  const orderIds = Array.isArray(req.body.orderIds) ? req.body.orderIds.map(id => parseInt(id)) : [];
+
+  if (orderIds.length === 0 || orderIds.some(id => isNaN(id))) {
+    return next(createError(400, 'orderIds must be a non-empty array of order IDs.'));
+  }
+
+  try {
+    const orders = await procurementPlanningService.confirmDrafts(orderIds);
+    res.json(orders.map(order => ({ ...order, items: transformOrderItems(order.items) })));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,33 +1,36 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../config/db');
 const createError = require('http-errors');
 const { updateVariantStock } = require('../services/variantStockService');
-
-// Helper to generate wastage number like WG-2526-00001 (FY prefix)
-async function generateNewWastageNo() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = now.getMonth();
-  let fyPrefix;
-  if (month >= 3) {
-    fyPrefix = `${String(year % 100).padStart(2, '0')}${String((year + 1) % 100).padStart(2, '0')}`;
-  } else {
-    fyPrefix = `${String((year - 1) % 100).padStart(2, '0')}${String(year % 100).padStart(2, '0')}`;
+const { nextNumber } = require('../services/documentSequenceService');
+const { issueStock } = require('../services/stockBatchService');
+
+// Issue each line from its batch, or first-expiry-first-out when it names none
+const postWastageStock = async (tx, wastage, details) => {
+  for (const d of details) {
+    await issueStock(tx, {
+      productId: d.productId,
+      variantId: d.variantId,
+      depotId: wastage.depotId,
+      transactionDate: wastage.wastageDate,
+      receivedQty: 0,
+      issuedQty: d.quantity,
+      module: 'wastage',
+      foreignKey: wastage.id,
+    }, { batchId: d.batchId, includeExpired: true });
   }
-  const prefix = `${fyPrefix}`;
-  const latest = await prisma.wastage.findFirst({
-    where: { wastageNo: { startsWith: `${prefix}-` } },
-    orderBy: { wastageNo: 'desc' },
-    select: { wastageNo: true },
-  });
-  let next = 1;
-  if (latest?.wastageNo) {
-    const numPart = latest.wastageNo.split('-').pop();
-    const num = parseInt(numPart, 10);
-    if (!Number.isNaN(num)) next = num + 1;
+};
+
+// Batches written off on lines that are gone count as stock again
+const reinstateBatches = async (tx, previous, current = []) => {
+  const kept = new Set(current.map((d) => d.batchId));
+  const batchIds = previous.map((d) => d.batchId).filter((batchId) => batchId && !kept.has(batchId));
+  if (batchIds.length > 0) {
+    await tx.stockBatch.updateMany({
+      where: { id: { in: batchIds }, status: 'WRITTEN_OFF' },
+      data: { status: 'ACTIVE', writtenOffAt: null },
+    });
   }
-  return `${prefix}-${String(next).padStart(5, '0')}`;
-}
+};
 
 // Create Wastage
 exports.createWastage = async (req, res, next) => {
@@ -44,9 +47,9 @@ exports.createWastage = async (req, res, next) => {
     );
   }
   try {
-    const wastageNo = await generateNewWastageNo();
     const createdById = req.user?.id || null;
     const created = await prisma.$transaction(async (tx) => {
+      const wastageNo = await nextNumber('WASTAGE', { depotId: parseInt(depotId, 10), tx });
       const newWastage = await tx.wastage.create({
         data: {
           wastageNo,
@@ -60,6 +63,7 @@ exports.createWastage = async (req, res, next) => {
               productId: parseInt(d.productId, 10),
               variantId: parseInt(d.variantId, 10),
               quantity: parseInt(d.quantity, 10),
+              batchId: d.batchId ? parseInt(d.batchId, 10) : null,
             })),
           },
         },
@@ -67,18 +71,7 @@ exports.createWastage = async (req, res, next) => {
       });
 
       // Stock ledger entries (issuedQty)
-      await tx.stockLedger.createMany({
-        data: newWastage.details.map((d) => ({
-          productId: d.productId,
-          variantId: d.variantId,
-          depotId: newWastage.depotId,
-          transactionDate: new Date(wastageDate),
-          receivedQty: 0,
-          issuedQty: d.quantity,
-          module: 'wastage',
-          foreignKey: newWastage.id,
-        })),
-      });
+      await postWastageStock(tx, newWastage, newWastage.details);
 
       // update variant stocks
       const combos = new Set(
@@ -93,7 +86,7 @@ exports.createWastage = async (req, res, next) => {
     return res.status(201).json(created);
   } catch (err) {
     console.error('[createWastage]', err);
-    return next(createError(500, 'Failed to create wastage'));
+    return next(err.status ? err : createError(500, 'Failed to create wastage'));
   }
 };
 
@@ -127,7 +120,16 @@ exports.getWastage = async (req, res, next) => {
   try {
     const wastage = await prisma.wastage.findUnique({
       where: { id },
-      include: { depot: true, details: { include: { product: true, variant: true } } },
+      include: {
+        depot: true,
+        details: {
+          include: {
+            product: true,
+            variant: true,
+            batch: { select: { id: true, batchNo: true, expiryDate: true, purchaseId: true } },
+          },
+        },
+      },
     });
     if (!wastage) return next(createError(404, 'Wastage not found'));
     res.json(wastage);
@@ -156,6 +158,7 @@ exports.updateWastage = async (req, res, next) => {
 
   try {
     const updated = await prisma.$transaction(async (tx) => {
+      const previousDetails = await tx.wastageDetail.findMany({ where: { wastageId: id } });
       const wastage = await tx.wastage.update({
         where: { id },
         data: {
@@ -176,6 +179,7 @@ exports.updateWastage = async (req, res, next) => {
           productId: parseInt(d.productId, 10),
           variantId: parseInt(d.variantId, 10),
           quantity: parseInt(d.quantity, 10),
+          batchId: d.batchId ? parseInt(d.batchId, 10) : null,
         })),
       });
 
@@ -183,18 +187,8 @@ exports.updateWastage = async (req, res, next) => {
       await tx.stockLedger.deleteMany({ where: { foreignKey: id, module: 'wastage' } });
       if (wastage.depotId) {
         const latestDetails = await tx.wastageDetail.findMany({ where: { wastageId: id } });
-        await tx.stockLedger.createMany({
-          data: latestDetails.map((d) => ({
-            productId: d.productId,
-            variantId: d.variantId,
-            depotId: wastage.depotId,
-            transactionDate: new Date(wastageDate),
-            receivedQty: 0,
-            issuedQty: d.quantity,
-            module: 'wastage',
-            foreignKey: id,
-          })),
-        });
+        await postWastageStock(tx, wastage, latestDetails);
+        await reinstateBatches(tx, previousDetails, latestDetails);
 
         const combos = new Set(
           latestDetails.map((d) => `${d.productId}-${d.variantId}-${wastage.depotId}`)
@@ -210,7 +204,7 @@ exports.updateWastage = async (req, res, next) => {
     res.json(updated);
   } catch (err) {
     console.error('[updateWastage]', err);
-    next(createError(500, 'Failed to update wastage'));
+    next(err.status ? err : createError(500, 'Failed to update wastage'));
   }
 };
 
@@ -235,6 +229,7 @@ exports.deleteWastage = async (req, res, next) => {
 
       // delete related stock ledger entries
       await tx.stockLedger.deleteMany({ where: { foreignKey: id, module: 'wastage' } });
+      await reinstateBatches(tx, wastage.details);
 
       // recalc variant stocks
       const combos = new Set(
@@ -1,6 +1,8 @@
 const jwt = require("jsonwebtoken");
 const createError = require("http-errors");
 const { secret } = require("../config/jwt");
+const { findActiveSession } = require("../services/sessionService");
+const { runWithUser } = require("../config/tenancy");
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 module.exports = async (req, res, next) => {
@@ -19,6 +21,16 @@ module.exports = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, secret);
     console.log('[AuthMiddleware] Token decoded. User ID from token:', decoded?.id);
+
+    // Tokens are tied to a server-side session so logout, password changes and
+    // deactivation end them straight away. Tokens issued before sessions carry
+    // no session id and are rejected, so those users sign in again.
+    const session = await findActiveSession(decoded.sid);
+    if (!session || session.userId !== decoded.id) {
+      console.log('[AuthMiddleware] Session missing, expired or revoked.');
+      return next(createError(401, "Unauthorized: Session expired"));
+    }
+
     const user = await prisma.user.findUnique({
       where: { id: decoded.id },
     });
@@ -27,6 +39,10 @@ module.exports = async (req, res, next) => {
       console.log('[AuthMiddleware] Authentication failed.');
       return next(createError(401, "Unauthorized: User not found"));
     }
+    if (!user.active) {
+      console.log('[AuthMiddleware] User is inactive.');
+      return next(createError(401, "Unauthorized: Account is inactive"));
+    }
 
     // If user is an agency, try to find their agencyId
     if (user.role === 'AGENCY') {
@@ -83,8 +99,14 @@ module.exports = async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSession = {
+      id: session.id,
+      isSudo: session.isSudo,
+      impersonatorId: session.impersonatorId,
+    };
     console.log('[AuthMiddleware] Authentication successful. User set on req.user.');
-    next();
+    // Depot admins and agencies only see their own depot's / agency's data from here on
+    runWithUser(user, next);
   } catch (error) {
     console.error('[AuthMiddleware] Error during authentication:', error.message);
     if (error instanceof jwt.JsonWebTokenError) {
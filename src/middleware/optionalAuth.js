@@ -1,5 +1,7 @@
 const jwt = require("jsonwebtoken");
 const { secret } = require("../config/jwt");
+const { findActiveSession } = require("../services/sessionService");
+const { runWithUser } = require("../config/tenancy");
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 
@@ -30,6 +32,12 @@ module.exports = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, secret);
     console.log('[OptionalAuthMiddleware] Token decoded. User ID from token:', decoded?.id);
+
+    const session = await findActiveSession(decoded.sid);
+    if (!session || session.userId !== decoded.id) {
+      console.log('[OptionalAuthMiddleware] Session missing, expired or revoked. Proceeding without authentication.');
+      return next();
+    }
     
     const user = await prisma.user.findUnique({
       where: { id: decoded.id },
@@ -43,7 +51,7 @@ module.exports = async (req, res, next) => {
       }
     });
     
-    if (user) {
+    if (user && user.active) {
       console.log('[OptionalAuthMiddleware] User found:', `ID: ${user.id}, Role: ${user.role}`);
       
       // If user is an agency, attach agencyId
@@ -56,12 +64,12 @@ module.exports = async (req, res, next) => {
       req.user = user;
       console.log('[OptionalAuthMiddleware] User attached to req.user.');
     } else {
-      console.log('[OptionalAuthMiddleware] User not found in database. Proceeding without authentication.');
+      console.log('[OptionalAuthMiddleware] User not found in database or inactive. Proceeding without authentication.');
     }
   } catch (error) {
     console.warn('[OptionalAuthMiddleware] Token validation failed:', error.message, 'Proceeding without authentication.');
     // Don't throw error, just continue without setting req.user
   }
 
-  next();
+  runWithUser(req.user, next);
 };
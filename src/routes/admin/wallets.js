@@ -7,7 +7,10 @@ const {
     addFundsToWallet,
     removeFundsFromWallet,
     getAllTransactions,
-    getTransactionDetails
+    getTransactionDetails,
+    getMemberLedger,
+    getWalletDrift,
+    repairWalletDrift
 } = require('../../controllers/admin/walletsController');
 const { getUserWallet } = require('../../controllers/walletController'); // Assuming this is for user-facing wallet
 const { approveWalletTransaction } = require('../../controllers/admin/walletsController'); // For admin actions
@@ -39,6 +42,57 @@ router.route('/')
     // .get(protect, authorize('admin'), getMemberWallets);
     .get(authMiddleware, getMemberWallets);
 
+/**
+ * @swagger
+ * /admin/wallets/ledger/drift:
+ *   get:
+ *     summary: Report members whose stored wallet balance differs from the ledger
+ *     tags: [AdminWallets]
+ *     parameters:
+ *       - in: query
+ *         name: memberId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: tolerance
+ *         schema:
+ *           type: number
+ *           default: 0.01
+ *     responses:
+ *       200:
+ *         description: Members with drift, with stored, ledger-derived and running balances
+ */
+router.route('/ledger/drift')
+    .get(authMiddleware, getWalletDrift);
+
+/**
+ * @swagger
+ * /admin/wallets/ledger/drift/repair:
+ *   post:
+ *     summary: Repair wallet balance drift
+ *     description: LEDGER resets stored balances to the ledger balance (members with no postings get an opening balance); ADJUST posts an adjustment so the ledger matches the stored balance. Without memberIds, every drifting member is repaired.
+ *     tags: [AdminWallets]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               memberIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               strategy:
+ *                 type: string
+ *                 enum: [LEDGER, ADJUST]
+ *                 default: LEDGER
+ *     responses:
+ *       200:
+ *         description: Repair result per member
+ */
+router.route('/ledger/drift/repair')
+    .post(authMiddleware, repairWalletDrift);
+
 /**
  * @swagger
  * /admin/wallets/transactions:
@@ -166,6 +220,25 @@ router.route('/:memberId/add-funds')
  *       200:
  *         description: Funds removed successfully
  */
+/**
+ * @swagger
+ * /admin/wallets/{memberId}/ledger:
+ *   get:
+ *     summary: Get a member's wallet ledger postings
+ *     tags: [AdminWallets]
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ledger postings, newest first, with running balance
+ */
+router.route('/:memberId/ledger')
+    .get(authMiddleware, getMemberLedger);
+
 router.route('/:memberId/remove-funds')
     // .post(protect, authorize('admin'), removeFundsFromWallet);
     .post(authMiddleware, removeFundsFromWallet);
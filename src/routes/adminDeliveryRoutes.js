@@ -1,9 +1,19 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const isAdmin = require('../middleware/isAdmin');
 const adminDeliveryController = require('../controllers/admin/adminDeliveryController');
 
+// Photo taken at the door when a delivery is marked delivered on the rider's behalf
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, 'uploads/'),
+    filename: (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname)),
+  }),
+});
+
 /**
  * @swagger
  * components:
@@ -19,7 +29,13 @@ const adminDeliveryController = require('../controllers/admin/adminDeliveryContr
  *           description: New delivery status
  *         notes:
  *           type: string
- *           description: Optional admin notes about the status change
+ *           description: >
+ *             Optional admin notes about the status change. Required, as the override reason,
+ *             to mark a rider's delivery DELIVERED.
+ *         deliveryPhoto:
+ *           type: string
+ *           format: binary
+ *           description: Photo of the delivery, required to mark a rider's delivery DELIVERED (multipart/form-data)
  * 
  *     AdminDeliveryResponse:
  *       type: object
@@ -95,6 +111,9 @@ const adminDeliveryController = require('../controllers/admin/adminDeliveryContr
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/AdminDeliveryStatusUpdateRequest'
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/AdminDeliveryStatusUpdateRequest'
  *     responses:
  *       200:
  *         description: Delivery status updated successfully
@@ -113,7 +132,7 @@ const adminDeliveryController = require('../controllers/admin/adminDeliveryContr
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id/status', auth, isAdmin, adminDeliveryController.updateDeliveryStatus);
+router.patch('/:id/status', auth, isAdmin, upload.single('deliveryPhoto'), adminDeliveryController.updateDeliveryStatus);
 
 // PATCH /api/admin/deliveries/:id/delivery-date - Admin update delivery date
 /**
@@ -119,6 +119,7 @@ const {
   createCoupon,
   updateCoupon,
   deleteCoupon,
+  getCouponRedemptions,
 } = require('../controllers/couponController');
 
 const {
@@ -126,6 +127,12 @@ const {
   getRecentActivities,
 } = require('../controllers/admin/dashboardController');
 
+const {
+  getWhatsAppMessages,
+  getWhatsAppMessageById,
+  resendWhatsAppMessage,
+} = require('../controllers/admin/whatsAppOutboxController');
+
 // Import admin delivery routes
 const adminDeliveryRoutes = require('./adminDeliveryRoutes');
 const authMiddleware = require('../middleware/auth'); // Corrected path to auth middleware
@@ -303,6 +310,8 @@ router.route('/coupons/:id')
   .put(authMiddleware, updateCoupon)
   .delete(authMiddleware, deleteCoupon);
 
+router.get('/coupons/:id/redemptions', authMiddleware, getCouponRedemptions);
+
 
 // Admin Delivery Address Routes
 router.route('/delivery-addresses')
@@ -319,6 +328,11 @@ router.patch('/delivery-addresses/:id/set-default', authMiddleware, setAdminDefa
 // Admin Delivery Management Routes
 router.use('/deliveries', adminDeliveryRoutes);
 
+// WhatsApp Outbox Routes
+router.get('/whatsapp-messages', authMiddleware, getWhatsAppMessages);
+router.get('/whatsapp-messages/:id', authMiddleware, getWhatsAppMessageById);
+router.post('/whatsapp-messages/:id/resend', authMiddleware, resendWhatsAppMessage);
+
 // Dashboard Routes
 router.get('/dashboard/stats', authMiddleware, getDashboardStats);
 router.get('/dashboard/activities', authMiddleware, getRecentActivities);
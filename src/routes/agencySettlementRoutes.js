@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { roleGuard } = require('../middleware/authorize');
+const agencySettlementController = require('../controllers/agencySettlementController');
+
+router.get('/my/statements', roleGuard('AGENCY'), agencySettlementController.getMyStatements);
+router.get('/my/statements/:id', roleGuard('AGENCY'), agencySettlementController.getMyStatementById);
+
+router.get('/rules', roleGuard('ADMIN'), agencySettlementController.getRules);
+router.post('/rules', roleGuard('ADMIN'), agencySettlementController.createRule);
+router.put('/rules/:id', roleGuard('ADMIN'), agencySettlementController.updateRule);
+router.delete('/rules/:id', roleGuard('ADMIN'), agencySettlementController.deactivateRule);
+router.post('/statements/generate', roleGuard('ADMIN'), agencySettlementController.generateStatements);
+router.get('/statements', roleGuard('ADMIN'), agencySettlementController.getStatements);
+router.get('/statements/:id', roleGuard('ADMIN'), agencySettlementController.getStatementById);
+router.post('/statements/:id/finalise', roleGuard('ADMIN'), agencySettlementController.finaliseStatement);
+router.delete('/statements/:id', roleGuard('ADMIN'), agencySettlementController.discardStatement);
+
+module.exports = router;
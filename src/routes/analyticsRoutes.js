@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { roleGuard } = require('../middleware/authorize');
+const analyticsController = require('../controllers/analyticsController');
+
+router.get('/trends', analyticsController.getTrends);
+router.get('/arpm', analyticsController.getArpm);
+router.get('/cohorts', analyticsController.getCohorts);
+router.get('/churn-reasons', analyticsController.getChurnReasons);
+router.post('/snapshots', roleGuard('ADMIN'), analyticsController.captureSnapshots);
+
+module.exports = router;
@@ -179,16 +179,80 @@ router.post("/reset-password/:token", authController.resetPassword);
  */
 router.post("/sudo-login/:userId", auth, authController.sudoLogin);
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair; the refresh token sent is no longer valid
+ *       401:
+ *         description: Refresh token invalid, reused, revoked or expired
+ *       403:
+ *         description: Account is inactive
+ */
+router.post("/refresh", authController.refreshToken);
+
 /**
  * @swagger
  * /auth/logout:
  *   post:
- *     summary: Logout a user
+ *     summary: Logout a user (ends the session of the refresh token, or of the bearer token)
  *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logged out successfully
  */
+router.post("/logout", authController.logout);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out all devices of the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.post("/logout-all", auth, authController.logoutAllDevices);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the current user's signed-in devices
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, with the current one flagged
+ */
+router.get("/sessions", auth, authController.getSessions);
+router.delete("/sessions/:sessionId", auth, authController.revokeOwnSession);
+
 /**
  * @swagger
  * /auth/policy-text:
@@ -242,9 +306,6 @@ router.get("/policy-text", authController.getPolicyText);
 // router.patch("/accept-policy", auth, authController.acceptPolicy);
 
 router.patch("/change-password", auth, authController.changePassword);
-router.post("/logout", (req, res) => {
-  res.json({ message: "Logged out" });
-});
 
 router.get("/email-by-mobile", authController.getEmailByMobile);
 
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { roleGuard } = require('../middleware/authorize');
+const {
+  getCreditNotes,
+  getCreditNoteById,
+  downloadCreditNote,
+  regenerateCreditNotePdf
+} = require('../controllers/creditNoteController');
+
+// Routes
+// List credit notes (admins see all, members their own)
+router.route('/')
+  .get(getCreditNotes);
+
+// Get a credit note with its line items
+router.route('/:id')
+  .get(getCreditNoteById);
+
+// Download credit note PDF
+router.route('/:id/download')
+  .get(downloadCreditNote);
+
+// Re-render a credit note PDF (Admin only)
+router.route('/:id/regenerate')
+  .post(auth, roleGuard('ADMIN'), regenerateCreditNotePdf);
+
+module.exports = router;
@@ -15,6 +15,12 @@ const storage = multer.diskStorage({
 const upload = multer({ storage: storage });
 
 router.get('/my-orders', deliveryAppController.getMyAssignedOrders);
+router.get('/route-sheet', deliveryAppController.getMyRouteSheet);
+router.get('/cash', deliveryAppController.getMyCash);
+router.get('/earnings', deliveryAppController.getMyEarnings);
+router.get('/earnings/statements/:id', deliveryAppController.getMyPayoutStatement);
 router.put('/assignment/:id', upload.single('deliveryPhoto'), deliveryAppController.updateAssignmentStatus);
+router.post('/assignment/:id/otp/resend', deliveryAppController.resendDeliveryOtp);
+router.post('/assignment/:id/override', upload.single('deliveryPhoto'), deliveryAppController.requestDeliveryOverride);
 
 module.exports = router;
@@ -5,7 +5,16 @@ const deliveryAssignmentController = require('../controllers/deliveryAssignmentC
 router.get('/pending', deliveryAssignmentController.getPendingOrders);
 router.post('/assign', deliveryAssignmentController.assignOrders);
 router.get('/track', deliveryAssignmentController.getTrackAssignments);
+router.post('/routes/plan', deliveryAssignmentController.planRoutes);
+router.get('/routes/sheet', deliveryAssignmentController.getRouteSheet);
+router.get('/disputes', deliveryAssignmentController.getDisputes);
+router.post('/disputes/:disputeId/reject', deliveryAssignmentController.rejectDispute);
+router.post('/disputes/:disputeId/reopen', deliveryAssignmentController.reopenDispute);
 router.delete('/:id', deliveryAssignmentController.unassignOrder);
 router.post('/:id/retry', deliveryAssignmentController.retryOrder);
+router.get('/:id/proof', deliveryAssignmentController.getDeliveryProof);
+router.post('/:id/override/approve', deliveryAssignmentController.approveOverride);
+router.post('/:id/override/reject', deliveryAssignmentController.rejectOverride);
+router.post('/:id/disputes', deliveryAssignmentController.raiseDispute);
 
 module.exports = router;
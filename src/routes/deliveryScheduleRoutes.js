@@ -159,6 +159,15 @@
  *       properties:
  *         status:
  *           $ref: '#/components/schemas/DeliveryStatusEnum'
+ *         reason:
+ *           type: string
+ *           description: >
+ *             Why the status was changed; kept in the delivery's status history. Required,
+ *             as the override reason, to mark a rider's delivery DELIVERED.
+ *         deliveryPhoto:
+ *           type: string
+ *           format: binary
+ *           description: Photo of the delivery, required to mark a rider's delivery DELIVERED (multipart/form-data).
  *
  *     ErrorResponse:
  *       type: object
@@ -184,11 +193,21 @@
  */
 
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const router = express.Router();
-const { getAgencyDeliveriesByDate, updateDeliveryStatus } = require('../controllers/deliveryScheduleController');
+const { getAgencyDeliveriesByDate, updateDeliveryStatus, getDeliveryStatusHistory } = require('../controllers/deliveryScheduleController');
 
 const auth = require('../middleware/auth'); // Using the actual authentication middleware
 
+// Photo taken at the door when a delivery is marked delivered on the rider's behalf
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, 'uploads/'),
+    filename: (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname)),
+  }),
+});
+
 const authorize = (roles) => {
     return (req, res, next) => {
         if (!req.user || !req.user.role) {
@@ -309,6 +328,9 @@ router.get('/agency/by-date', auth, getAgencyDeliveriesByDate);
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/UpdateDeliveryStatusRequest'
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateDeliveryStatusRequest'
  *     responses:
  *       200:
  *         description: Delivery status updated successfully.
@@ -334,6 +356,12 @@ router.get('/agency/by-date', auth, getAgencyDeliveriesByDate);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Conflict (the entry cannot move to this status, e.g. it was already refunded).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: Not Found (Delivery entry not found).
  *         content:
@@ -347,6 +375,33 @@ router.get('/agency/by-date', auth, getAgencyDeliveriesByDate);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:id/status', auth, updateDeliveryStatus);
+router.put('/:id/status', auth, upload.single('deliveryPhoto'), updateDeliveryStatus);
+
+/**
+ * @swagger
+ * /delivery-schedules/{id}/history:
+ *   get:
+ *     summary: Status history of a delivery schedule entry.
+ *     description: >
+ *       Every status transition of the entry, oldest first, with who made it, why,
+ *       the assignment status it moved with and any refund it credited.
+ *     tags: [DeliverySchedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: List of status changes.
+ *       403:
+ *         description: Forbidden (User role not permitted, or agency user not authorized for this entry).
+ *       404:
+ *         description: Not Found (Delivery entry not found).
+ */
+router.get('/:id/history', auth, getDeliveryStatusHistory);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const documentSequenceController = require('../controllers/documentSequenceController');
+
+router.get('/', documentSequenceController.getSequences);
+router.put('/formats/:documentType', documentSequenceController.saveFormat);
+router.delete('/formats/:id', documentSequenceController.deleteFormat);
+router.post('/reset', documentSequenceController.resetSequence);
+
+module.exports = router;
@@ -4,6 +4,10 @@ const {
   getAllLeads,
   getLeadById,
   updateLeadStatus,
+  assignLead,
+  addLeadActivity,
+  completeLeadCallback,
+  getLeadFunnel,
   deleteLead,
 } = require('../controllers/leadController');
 
@@ -20,8 +24,12 @@ router.use(authMiddleware);
 router.use(roleGuard('ADMIN'));
 
 router.get('/', getAllLeads);
+router.get('/funnel', getLeadFunnel);
 router.get('/:id', getLeadById);
 router.put('/:id/status', updateLeadStatus);
+router.put('/:id/assign', assignLead);
+router.post('/:id/activities', addLeadActivity);
+router.put('/:id/activities/:activityId/complete', completeLeadCallback);
 router.delete('/:id', deleteLead);
 
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { validateCoupon } = require('../../controllers/couponController');
+const optionalAuthMiddleware = require('../../middleware/optionalAuth');
 
 /**
  * @route   POST /api/public/coupons/validate
  * @desc    Validate a coupon code for checkout
- * @access  Public
+ * @access  Public (per-member limits apply when a token is sent)
  */
-router.post('/validate', validateCoupon);
+router.post('/validate', optionalAuthMiddleware, validateCoupon);
 
 module.exports = router;
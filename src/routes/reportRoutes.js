@@ -111,4 +111,21 @@ router.get(
   reportController.getSNFStockRequirementReport
 );
 
+// GSTR-1 tax export (?month=YYYY-MM&format=json|xlsx)
+router.get(
+  '/gstr1',
+  allowRoles('ADMIN', 'SUPER_ADMIN'),
+  roleGuard(),
+  reportController.getGstr1Report
+);
+
+// Closing stock value, COGS and gross margin
+// (?startDate=&endDate=&method=WEIGHTED_AVERAGE|FIFO&depotId=&format=xlsx)
+router.get(
+  '/inventory-valuation',
+  allowRoles('ADMIN', 'SUPER_ADMIN'),
+  roleGuard(),
+  reportController.getInventoryValuationReport
+);
+
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const riderCashController = require('../controllers/riderCashController');
+
+router.get('/partners/:id/position', riderCashController.getRiderCashPosition);
+router.get('/handovers', riderCashController.getHandovers);
+router.post('/handovers', riderCashController.createHandover);
+router.get('/handovers/:id', riderCashController.getHandoverById);
+router.post('/handovers/:id/approve', riderCashController.approveHandover);
+router.post('/handovers/:id/reject', riderCashController.rejectHandover);
+router.get('/reports/daily', riderCashController.getDailyCashReport);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { roleGuard } = require('../middleware/authorize');
+const riderPayoutController = require('../controllers/riderPayoutController');
+
+router.get('/rules/:depotId', riderPayoutController.getPayRule);
+router.put('/rules/:depotId', roleGuard('ADMIN'), riderPayoutController.savePayRule);
+router.post('/statements/generate', riderPayoutController.generateStatements);
+router.get('/statements', riderPayoutController.getStatements);
+router.get('/statements/:id', riderPayoutController.getStatementById);
+router.post('/statements/:id/approve', roleGuard('ADMIN'), riderPayoutController.approveStatement);
+router.post('/statements/:id/pay', roleGuard('ADMIN'), riderPayoutController.markStatementPaid);
+router.delete('/statements/:id', riderPayoutController.discardStatement);
+
+module.exports = router;
@@ -1,14 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { createSNFOrder, getSNFOrderByOrderNo } = require('../controllers/snfOrderController');
+const { quoteSNFOrder, createSNFOrder, getSNFOrderByOrderNo } = require('../controllers/snfOrderController');
 const { validateCoupon } = require('../controllers/couponController');
 
-router.post('/validate-coupon', validateCoupon);
-
 const { getSNFOrderInvoiceStatus, downloadSNFOrderInvoiceByOrderNo } = require('../controllers/snfOrderInvoiceController');
 const authMiddleware = require('../middleware/auth');
 const optionalAuthMiddleware = require('../middleware/optionalAuth');
 
+router.post('/validate-coupon', optionalAuthMiddleware, validateCoupon);
+
+// Server-priced checkout quote; the order must present its quoteToken
+router.post('/quote', optionalAuthMiddleware, quoteSNFOrder);
+
 // Public create (optionally authenticated if token present)
 router.post('/', optionalAuthMiddleware, createSNFOrder);
 
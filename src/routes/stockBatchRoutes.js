@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { roleGuard } = require('../middleware/authorize');
+const stockBatchController = require('../controllers/stockBatchController');
+
+router.get('/', stockBatchController.getBatches);
+router.get('/near-expiry', stockBatchController.getNearExpiryReport);
+router.post('/write-off', stockBatchController.writeOffBatches);
+router.post('/expiry-check', roleGuard('ADMIN'), stockBatchController.runExpiryCheck);
+router.get('/:id', stockBatchController.getBatchById);
+
+module.exports = router;
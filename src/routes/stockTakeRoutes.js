@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { roleGuard } = require('../middleware/authorize');
+const stockTakeController = require('../controllers/stockTakeController');
+
+// Count sheets are small; keep them in memory and parse straight away
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname) || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Not a CSV file! Please upload the count sheet as CSV.'), false);
+    }
+  },
+});
+
+router.post('/', stockTakeController.openStockTake);
+router.get('/', stockTakeController.getStockTakes);
+router.get('/:id', stockTakeController.getStockTakeById);
+router.put('/:id/counts', stockTakeController.recordCounts);
+router.post('/:id/counts/upload', upload.single('file'), stockTakeController.uploadCounts);
+router.post('/:id/submit', stockTakeController.submitStockTake);
+router.post('/:id/reopen', stockTakeController.reopenStockTake);
+router.post('/:id/approve', roleGuard('ADMIN'), stockTakeController.approveStockTake);
+router.post('/:id/cancel', stockTakeController.cancelStockTake);
+
+module.exports = router;
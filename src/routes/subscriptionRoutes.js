@@ -465,6 +465,10 @@ const {
   updateSubscription,
   cancelSubscription,
   renewSubscription,
+  setSubscriptionAutoRenew,
+  pauseSubscription,
+  getSubscriptionPauses,
+  resumeSubscriptionPause,
   getDeliveryScheduleByDate,
   skipMemberDelivery,
   bulkAssignAgency
@@ -738,7 +742,7 @@ router.route('/:id')
  * /subscriptions/{id}/cancel:
  *   patch:
  *     summary: Cancel a subscription
- *     description: Effectively cancels a subscription by setting its expiry date to now. No request body needed.
+ *     description: Marks the subscription cancelled and cancels its future pending deliveries.
  *     tags: [Subscriptions]
  *     security:
  *       - bearerAuth: []
@@ -750,6 +754,17 @@ router.route('/:id')
  *           type: integer
  *         description: The ID of the subscription to cancel.
  *         example: 123
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the customer is cancelling (reported in churn analytics).
+ *                 example: Moving out of the city
  *     responses:
  *       200:
  *         description: Subscription cancelled successfully.
@@ -914,6 +929,190 @@ router.patch('/member/deliveries/:deliveryEntryId/skip', authMiddleware, skipMem
  */
 router.post('/:id/renew', authMiddleware, renewSubscription);
 
+/**
+ * @swagger
+ * /subscriptions/{id}/auto-renew:
+ *   patch:
+ *     summary: Enable or disable wallet-funded auto-renewal
+ *     description: When enabled, a nightly job renews the subscription shortly before it expires with the same schedule, quantity and depot variant, paying from the member's wallet. The outcome of the last attempt is returned in `autoRenewal`.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the subscription.
+ *         example: 123
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - autoRenew
+ *             properties:
+ *               autoRenew:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Auto-renew preference updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SubscriptionDetailedResponse'
+ *       400:
+ *         description: Bad request (e.g., invalid flag or cancelled subscription).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse400'
+ *       403:
+ *         description: Forbidden (subscription belongs to another member).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse403'
+ *       404:
+ *         description: Subscription not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse404'
+ */
+router.patch('/:id/auto-renew', authMiddleware, setSubscriptionAutoRenew);
+
+/**
+ * @swagger
+ * /subscriptions/{id}/pause:
+ *   post:
+ *     summary: Pause a subscription for a date range
+ *     description: Every pending delivery between `fromDate` and `toDate` (inclusive) is skipped. Depending on the depot's `pauseCompensation` setting, the skipped deliveries are either credited to the member's wallet (paid subscriptions only) or added back after the current expiry date.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the subscription.
+ *         example: 123
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromDate
+ *               - toDate
+ *             properties:
+ *               fromDate:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of the pause. Must be tomorrow or later.
+ *                 example: "2025-08-10"
+ *               toDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the pause.
+ *                 example: "2025-08-20"
+ *     responses:
+ *       201:
+ *         description: Subscription paused. Returns the pause record, the wallet credit (if any) and the resulting expiry date.
+ *       400:
+ *         description: Bad request (e.g., invalid range, cancelled subscription, or no pending deliveries in range).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse400'
+ *       403:
+ *         description: Forbidden (subscription belongs to another member).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse403'
+ *       404:
+ *         description: Subscription not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse404'
+ */
+router.post('/:id/pause', authMiddleware, pauseSubscription);
+
+/**
+ * @swagger
+ * /subscriptions/{id}/pauses:
+ *   get:
+ *     summary: List pauses for a subscription
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the subscription.
+ *         example: 123
+ *     responses:
+ *       200:
+ *         description: Pauses for the subscription, latest first.
+ *       403:
+ *         description: Forbidden (subscription belongs to another member).
+ *       404:
+ *         description: Subscription not found.
+ */
+router.get('/:id/pauses', authMiddleware, getSubscriptionPauses);
+
+/**
+ * @swagger
+ * /subscriptions/pauses/{pauseId}/resume:
+ *   post:
+ *     summary: Resume a paused subscription early
+ *     description: Skipped deliveries from `resumeDate` (default tomorrow) onwards are restored. A wallet credit given for those deliveries is debited back, or the extension deliveries added for them are removed.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pauseId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the pause.
+ *         example: 7
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resumeDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-08-15"
+ *     responses:
+ *       200:
+ *         description: Pause ended. Returns the updated pause, the number of restored deliveries and the amount debited back.
+ *       400:
+ *         description: Bad request (e.g., pause already resumed or ended, or insufficient wallet balance).
+ *       403:
+ *         description: Forbidden (subscription belongs to another member).
+ *       404:
+ *         description: Pause not found.
+ */
+router.post('/pauses/:pauseId/resume', authMiddleware, resumeSubscriptionPause);
+
 // Route to get delivery schedule by date, grouped by agency
 /**
  * @swagger
@@ -342,4 +342,8 @@ router.patch("/:id/status", auth, roleGuard("ADMIN"), userController.setActiveSt
  */
 router.patch("/:id/password", auth, roleGuard("ADMIN"), userController.changePassword);
 
+router.get("/:id/sessions", auth, roleGuard("ADMIN"), userController.getUserSessions);
+
+router.post("/:id/logout-all", auth, roleGuard("ADMIN"), userController.revokeSessions);
+
 module.exports = router;
\ No newline at end of file
@@ -109,10 +109,8 @@ const express = require('express');
  *         - orderDate
  *         - vendorId
  *         - orderItems
+ *       description: The PO number is taken from the purchase order sequence; requests that send one are rejected.
  *       properties:
- *         poNumber:
- *           type: string
- *           description: Purchase Order number. If not provided, it will be auto-generated.
  *         orderDate:
  *           type: string
  *           format: date
@@ -145,7 +143,7 @@ const express = require('express');
  *       properties:
  *         poNumber:
  *           type: string
- *           description: Purchase Order number.
+ *           description: Purchase Order number. Read-only; a request that changes it is rejected.
  *         orderDate:
  *           type: string
  *           format: date
@@ -204,7 +202,7 @@ const express = require('express');
  *           nullable: true
  *         status:
  *           type: string
- *           enum: [PENDING, ASSIGNED, DELIVERED, RECEIVED, CANCELLED]
+ *           enum: [DRAFT, PENDING, ASSIGNED, DELIVERED, RECEIVED, CANCELLED]
  *         deliveredById:
  *           type: integer
  *           nullable: true
@@ -391,6 +389,14 @@ const isSupervisorOrAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware to check if user is ADMIN
+const isAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'ADMIN') {
+    return next(createError(403, 'Forbidden: Access restricted to ADMIN role.'));
+  }
+  next();
+};
+
 // Middleware to check if user is SUPERVISOR
 const isSupervisor = (req, res, next) => {
   if (!req.user || req.user.role !== 'SUPERVISOR') {
@@ -433,6 +439,123 @@ const isSupervisor = (req, res, next) => {
  */
 router.get('/get-order-details', auth, vendorOrderController.getOrderDetailsByDate);
 
+// GET /api/vendor-orders/planning - Suggested order quantities per vendor for a delivery day
+/**
+ * @swagger
+ * /vendor-orders/planning:
+ *   get:
+ *     summary: Suggested purchase quantities for a delivery day (ADMIN only)
+ *     description: >
+ *       Combines paid, pending subscription deliveries and SNF orders for the day with each
+ *       variant's closing and minimum stock and what is already on order. Dairy products are
+ *       assigned to a dairy supplier, other products to the vendor they were last bought from,
+ *       and quantities are split by agency. Lines without a vendor or agency are listed under unassigned.
+ *     tags: [Vendor Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Delivery day (YYYY-MM-DD).
+ *       - in: query
+ *         name: depotId
+ *         schema:
+ *           type: integer
+ *         description: Plan a single depot.
+ *     responses:
+ *       200:
+ *         description: Plan lines, draft orders per vendor and unassigned quantities.
+ *       400:
+ *         description: Invalid date.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden.
+ */
+router.get('/planning', auth, isAdmin, vendorOrderController.getProcurementPlan);
+
+// POST /api/vendor-orders/drafts - Create draft vendor orders from the plan
+/**
+ * @swagger
+ * /vendor-orders/drafts:
+ *   post:
+ *     summary: Create draft vendor orders for a delivery day (ADMIN only)
+ *     description: >
+ *       Creates one DRAFT order per vendor from the day's plan, replacing unconfirmed drafts
+ *       created earlier for the same day. Drafts are hidden from vendors and agencies until confirmed.
+ *       Also run nightly for the next day.
+ *     tags: [Vendor Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Draft orders created, with the number replaced and any unassigned quantities.
+ *       400:
+ *         description: Invalid date.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden.
+ */
+router.post('/drafts', auth, isAdmin, vendorOrderController.generateDraftOrders);
+
+// POST /api/vendor-orders/drafts/confirm - Confirm draft vendor orders
+/**
+ * @swagger
+ * /vendor-orders/drafts/confirm:
+ *   post:
+ *     summary: Confirm draft vendor orders (ADMIN only)
+ *     description: Issues each draft its PO number and moves it to PENDING. Review or edit drafts with PUT /vendor-orders/{id} first.
+ *     tags: [Vendor Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderIds]
+ *             properties:
+ *               orderIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: The confirmed orders.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/VendorOrderResponse'
+ *       400:
+ *         description: An order is not a draft or has no items.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden.
+ *       404:
+ *         description: Order not found.
+ */
+router.post('/drafts/confirm', auth, isAdmin, vendorOrderController.confirmDraftOrders);
+
 // POST /api/vendor-orders - Create a new vendor order
 /**
  * @swagger
@@ -495,7 +618,7 @@ router.post('/', auth, vendorOrderController.createVendorOrder);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [PENDING, ASSIGNED, DELIVERED, RECEIVED, CANCELLED]
+ *           enum: [DRAFT, PENDING, ASSIGNED, DELIVERED, RECEIVED, CANCELLED]
  *         description: Filter by order status.
  *       - in: query
  *         name: vendorId
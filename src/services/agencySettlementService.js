@@ -0,0 +1,584 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+const ExcelJS = require('exceljs');
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()));
+
+const SOURCE_FOR_KIND = {
+  SUBSCRIPTION_COMMISSION: 'SUBSCRIPTION',
+  VENDOR_COMMISSION: 'VENDOR_ORDER',
+};
+
+/**
+ * The calendar month of a 'YYYY-MM' string.
+ * @param {string} month
+ * @returns {{ periodStart: Date, periodEnd: Date }}
+ */
+const monthOf = (month) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(month || ''))) {
+    throw createError(400, 'month must be in YYYY-MM format');
+  }
+  const start = dayjs(`${month}-01`).startOf('month');
+  return { periodStart: start.toDate(), periodEnd: start.endOf('month').startOf('day').toDate() };
+};
+
+/**
+ * Commission rules, most specific first.
+ * @param {Object} [filters]
+ * @param {number} [filters.agencyId] - Rules for this agency and those for every agency
+ * @param {boolean} [filters.activeOnly]
+ * @returns {Promise<Object[]>}
+ */
+const listRules = ({ agencyId = null, activeOnly = false } = {}) =>
+  prisma.agencyCommissionRule.findMany({
+    where: {
+      ...(agencyId ? { OR: [{ agencyId }, { agencyId: null }] } : {}),
+      ...(activeOnly ? { active: true } : {}),
+    },
+    include: {
+      agency: { select: { id: true, name: true } },
+      product: { select: { id: true, name: true } },
+      depotProductVariant: { select: { id: true, name: true, productId: true } },
+    },
+    orderBy: [{ agencyId: { sort: 'desc', nulls: 'last' } }, { depotProductVariantId: { sort: 'desc', nulls: 'last' } }, { productId: { sort: 'desc', nulls: 'last' } }, { id: 'asc' }],
+  });
+
+/**
+ * Create or update a commission rule. Two active rules cannot cover exactly
+ * the same agency, product, variant and source.
+ *
+ * @param {Object} data
+ * @param {number} [ruleId] - Rule to update
+ * @returns {Promise<Object>}
+ */
+const saveRule = async (data, ruleId = null) => {
+  const fields = {
+    agencyId: data.agencyId ?? null,
+    productId: data.productId ?? null,
+    depotProductVariantId: data.depotProductVariantId ?? null,
+    appliesTo: data.appliesTo ?? null,
+    commissionType: data.commissionType,
+    value: data.value,
+    active: data.active ?? true,
+  };
+  if (fields.commissionType === 'PERCENT_OF_RATE' && fields.value > 100) {
+    throw createError(400, 'A percentage commission cannot exceed 100');
+  }
+
+  if (fields.depotProductVariantId) {
+    const variant = await prisma.depotProductVariant.findUnique({
+      where: { id: fields.depotProductVariantId },
+      select: { productId: true },
+    });
+    if (!variant) {
+      throw createError(400, 'Variant not found');
+    }
+    if (fields.productId && fields.productId !== variant.productId) {
+      throw createError(400, 'The variant does not belong to the product');
+    }
+    fields.productId = variant.productId;
+  }
+
+  if (fields.active) {
+    const clash = await prisma.agencyCommissionRule.findFirst({
+      where: {
+        agencyId: fields.agencyId,
+        productId: fields.productId,
+        depotProductVariantId: fields.depotProductVariantId,
+        appliesTo: fields.appliesTo,
+        active: true,
+        ...(ruleId ? { id: { not: ruleId } } : {}),
+      },
+      select: { id: true },
+    });
+    if (clash) {
+      throw createError(409, `Rule #${clash.id} already covers this agency, product and source`);
+    }
+  }
+
+  if (ruleId) {
+    return prisma.agencyCommissionRule.update({ where: { id: ruleId }, data: fields });
+  }
+  return prisma.agencyCommissionRule.create({ data: fields });
+};
+
+// Most specific rule for a delivered unit: agency, then variant, then product, then source
+const ruleScore = (rule) =>
+  (rule.agencyId ? 8 : 0) + (rule.depotProductVariantId ? 4 : 0) + (rule.productId ? 2 : 0) + (rule.appliesTo ? 1 : 0);
+
+const matchRule = (rules, { agencyId, productId, variantId, source }) => {
+  let best = null;
+  for (const rule of rules) {
+    if (rule.agencyId && rule.agencyId !== agencyId) continue;
+    if (rule.productId && rule.productId !== productId) continue;
+    if (rule.depotProductVariantId && rule.depotProductVariantId !== variantId) continue;
+    if (rule.appliesTo && rule.appliesTo !== source) continue;
+    if (!best || ruleScore(rule) > ruleScore(best)) best = rule;
+  }
+  return best;
+};
+
+const commissionFor = (rule, units, rate) => {
+  if (!rule) return 0;
+  const value = toNumber(rule.value);
+  return rule.commissionType === 'FLAT_PER_UNIT' ? units * value : (units * rate * value) / 100;
+};
+
+const describe = (product, variant) => [product?.name || 'Unknown product', variant?.name].filter(Boolean).join(' - ');
+
+/**
+ * An agency's settlement for a period: commission on delivered subscription
+ * units and received vendor-order units, less wastage and not-received goods.
+ *
+ * Wastage and not-received quantities are registered per vendor order, so
+ * each agency bears a share in proportion to the quantity it received on the
+ * order, valued at the item's purchase price. Nothing is written.
+ *
+ * @param {number} agencyId
+ * @param {{ periodStart: Date, periodEnd: Date }} period
+ * @param {Object} [client]
+ * @returns {Promise<{ lines: Object[], totals: Object }>}
+ */
+const computeSettlement = async (agencyId, { periodStart, periodEnd }, client = prisma) => {
+  const range = { gte: periodStart, lte: dayjs(periodEnd).endOf('day').toDate() };
+
+  const [rules, entries, items] = await Promise.all([
+    client.agencyCommissionRule.findMany({ where: { active: true, OR: [{ agencyId }, { agencyId: null }] } }),
+    client.deliveryScheduleEntry.findMany({
+      where: {
+        status: 'DELIVERED',
+        deliveryDate: range,
+        OR: [{ agentId: agencyId }, { agentId: null, subscription: { agencyId } }],
+      },
+      select: {
+        quantity: true,
+        productId: true,
+        depotProductVariantId: true,
+        subscription: { select: { rate: true } },
+        product: { select: { name: true } },
+        DepotProductVariant: { select: { name: true } },
+      },
+    }),
+    client.orderItem.findMany({
+      where: {
+        agencyId,
+        vendorOrder: { orderDate: range, status: { in: ['DELIVERED', 'RECEIVED'] } },
+      },
+      select: {
+        vendorOrderId: true,
+        productId: true,
+        depotVariantId: true,
+        receivedQuantity: true,
+        deliveredQuantity: true,
+        priceAtPurchase: true,
+        product: { select: { name: true } },
+        depotVariant: { select: { name: true } },
+      },
+    }),
+  ]);
+
+  const lines = new Map();
+  const addLine = (kind, { productId, variantId, product, variant, rule = null, units, grossValue, amount }) => {
+    const key = [kind, productId, variantId, rule?.id].join(':');
+    if (!lines.has(key)) {
+      lines.set(key, {
+        kind,
+        productId: productId || null,
+        depotProductVariantId: variantId || null,
+        description: describe(product, variant),
+        units: 0,
+        grossValue: 0,
+        commissionType: rule?.commissionType || null,
+        commissionValue: rule ? toNumber(rule.value) : null,
+        ruleId: rule?.id || null,
+        amount: 0,
+      });
+    }
+    const line = lines.get(key);
+    line.units += units;
+    line.grossValue += grossValue;
+    line.amount += amount;
+  };
+
+  for (const entry of entries) {
+    const units = entry.quantity || 0;
+    const rate = entry.subscription?.rate || 0;
+    const rule = matchRule(rules, {
+      agencyId,
+      productId: entry.productId,
+      variantId: entry.depotProductVariantId,
+      source: SOURCE_FOR_KIND.SUBSCRIPTION_COMMISSION,
+    });
+    addLine('SUBSCRIPTION_COMMISSION', {
+      productId: entry.productId,
+      variantId: entry.depotProductVariantId,
+      product: entry.product,
+      variant: entry.DepotProductVariant,
+      rule,
+      units,
+      grossValue: units * rate,
+      amount: commissionFor(rule, units, rate),
+    });
+  }
+
+  const receivedQty = (item) => item.receivedQuantity ?? item.deliveredQuantity ?? 0;
+  for (const item of items) {
+    const units = receivedQty(item);
+    const rule = matchRule(rules, {
+      agencyId,
+      productId: item.productId,
+      variantId: item.depotVariantId,
+      source: SOURCE_FOR_KIND.VENDOR_COMMISSION,
+    });
+    addLine('VENDOR_COMMISSION', {
+      productId: item.productId,
+      variantId: item.depotVariantId,
+      product: item.product,
+      variant: item.depotVariant,
+      rule,
+      units,
+      grossValue: units * item.priceAtPurchase,
+      amount: commissionFor(rule, units, item.priceAtPurchase),
+    });
+  }
+
+  // This agency's share of each order's registered wastage and not-received units
+  const orderIds = [...new Set(items.map((item) => item.vendorOrderId))];
+  const orders = orderIds.length
+    ? await client.vendorOrder.findMany({
+      where: { id: { in: orderIds }, OR: [{ agencyWastage: { gt: 0 } }, { agencyNotReceived: { gt: 0 } }] },
+      select: { id: true, agencyWastage: true, agencyNotReceived: true, items: { select: { receivedQuantity: true, deliveredQuantity: true } } },
+    })
+    : [];
+  for (const order of orders) {
+    const orderQty = order.items.reduce((sum, item) => sum + receivedQty(item), 0);
+    if (orderQty <= 0) continue;
+    for (const item of items.filter((i) => i.vendorOrderId === order.id)) {
+      const share = receivedQty(item) / orderQty;
+      [['WASTAGE', order.agencyWastage], ['NOT_RECEIVED', order.agencyNotReceived]].forEach(([kind, quantity]) => {
+        if (!quantity) return;
+        const units = quantity * share;
+        addLine(kind, {
+          productId: item.productId,
+          variantId: item.depotVariantId,
+          product: item.product,
+          variant: item.depotVariant,
+          units,
+          grossValue: units * item.priceAtPurchase,
+          amount: -(units * item.priceAtPurchase),
+        });
+      });
+    }
+  }
+
+  const rounded = [...lines.values()].map((line) => ({
+    ...line,
+    units: round2(line.units),
+    grossValue: round2(line.grossValue),
+    amount: round2(line.amount),
+  }));
+  const sum = (kind, field) => round2(rounded.filter((line) => line.kind === kind).reduce((total, line) => total + line[field], 0));
+
+  const subscriptionCommission = sum('SUBSCRIPTION_COMMISSION', 'amount');
+  const vendorCommission = sum('VENDOR_COMMISSION', 'amount');
+  const wastageDeduction = -sum('WASTAGE', 'amount');
+  const notReceivedDeduction = -sum('NOT_RECEIVED', 'amount');
+  const grossCommission = round2(subscriptionCommission + vendorCommission);
+
+  return {
+    lines: rounded,
+    totals: {
+      subscriptionUnits: Math.round(sum('SUBSCRIPTION_COMMISSION', 'units')),
+      subscriptionCommission,
+      vendorUnits: Math.round(sum('VENDOR_COMMISSION', 'units')),
+      vendorCommission,
+      grossCommission,
+      wastageUnits: sum('WASTAGE', 'units'),
+      wastageDeduction,
+      notReceivedUnits: sum('NOT_RECEIVED', 'units'),
+      notReceivedDeduction,
+      netAmount: round2(grossCommission - wastageDeduction - notReceivedDeduction),
+    },
+  };
+};
+
+const statementInclude = {
+  agency: { select: { id: true, name: true, mobile: true, city: true } },
+  createdBy: { select: { id: true, name: true } },
+  finalisedBy: { select: { id: true, name: true } },
+};
+
+const statementDetailInclude = {
+  ...statementInclude,
+  lines: { orderBy: [{ kind: 'asc' }, { description: 'asc' }] },
+};
+
+/**
+ * Generate (or regenerate, while still DRAFT) an agency's statement for a month.
+ *
+ * @param {number} agencyId
+ * @param {string} month - YYYY-MM
+ * @param {Object} [options]
+ * @param {number} [options.actorId]
+ * @param {boolean} [options.skipEmpty] - Return null instead of failing when there is nothing to settle
+ * @returns {Promise<Object|null>} The statement with lines
+ */
+const generateStatement = async (agencyId, month, { actorId = null, skipEmpty = false } = {}) => {
+  const period = monthOf(month);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM agencies WHERE id = ${agencyId} FOR UPDATE`;
+    const agency = await tx.agency.findUnique({ where: { id: agencyId }, select: { id: true } });
+    if (!agency) {
+      throw createError(404, 'Agency not found');
+    }
+
+    const existing = await tx.agencySettlementStatement.findUnique({
+      where: { agencyId_periodStart: { agencyId, periodStart: period.periodStart } },
+    });
+    if (existing && existing.status === 'FINALISED') {
+      throw createError(409, 'The statement for this month is finalised and locked');
+    }
+
+    const { lines, totals } = await computeSettlement(agencyId, period, tx);
+    if (lines.length === 0) {
+      if (existing) {
+        await tx.agencySettlementStatement.delete({ where: { id: existing.id } });
+      }
+      if (skipEmpty) return null;
+      throw createError(409, 'Nothing to settle for this agency in this month');
+    }
+
+    let statement;
+    if (existing) {
+      await tx.agencySettlementLine.deleteMany({ where: { statementId: existing.id } });
+      statement = await tx.agencySettlementStatement.update({ where: { id: existing.id }, data: totals });
+    } else {
+      statement = await tx.agencySettlementStatement.create({
+        data: { ...totals, agencyId, ...period, createdById: actorId },
+      });
+    }
+    await tx.agencySettlementLine.createMany({
+      data: lines.map((line) => ({ ...line, statementId: statement.id })),
+    });
+
+    return tx.agencySettlementStatement.findUnique({ where: { id: statement.id }, include: statementDetailInclude });
+  });
+};
+
+/**
+ * Generate a month's statements for every agency with activity. Finalised
+ * statements are left alone.
+ *
+ * @param {string} month - YYYY-MM
+ * @param {Object} [options]
+ * @param {number} [options.actorId]
+ * @returns {Promise<{ generated: Object[], skipped: Object[] }>}
+ */
+const generateMonthlyStatements = async (month, { actorId = null } = {}) => {
+  const agencies = await prisma.agency.findMany({ select: { id: true }, orderBy: { id: 'asc' } });
+
+  const generated = [];
+  const skipped = [];
+  for (const agency of agencies) {
+    try {
+      const statement = await generateStatement(agency.id, month, { actorId, skipEmpty: true });
+      if (statement) generated.push(statement);
+    } catch (error) {
+      if (!error.status || error.status >= 500) throw error;
+      skipped.push({ agencyId: agency.id, reason: error.message });
+    }
+  }
+  return { generated, skipped };
+};
+
+/**
+ * Finalise a DRAFT statement once its month is over. Finalised statements are
+ * locked: they cannot be regenerated or discarded, and become visible to the
+ * agency.
+ *
+ * @param {number} statementId
+ * @param {Object} [options]
+ * @param {string} [options.notes]
+ * @param {number} [options.actorId]
+ * @returns {Promise<Object>}
+ */
+const finaliseStatement = async (statementId, { notes = null, actorId = null } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM agency_settlement_statements WHERE id = ${statementId} FOR UPDATE`;
+    const statement = await tx.agencySettlementStatement.findUnique({ where: { id: statementId } });
+    if (!statement) {
+      throw createError(404, 'Settlement statement not found');
+    }
+    if (statement.status !== 'DRAFT') {
+      throw createError(409, 'Statement is already finalised');
+    }
+    if (!dayjs().isAfter(dayjs(statement.periodEnd).endOf('day'))) {
+      throw createError(409, 'A statement can only be finalised after its month has ended');
+    }
+    return tx.agencySettlementStatement.update({
+      where: { id: statementId },
+      data: { status: 'FINALISED', finalisedById: actorId, finalisedAt: new Date(), ...(notes ? { notes } : {}) },
+      include: statementInclude,
+    });
+  });
+};
+
+/**
+ * Discard a DRAFT statement.
+ * @param {number} statementId
+ */
+const discardStatement = async (statementId) => {
+  const statement = await prisma.agencySettlementStatement.findUnique({ where: { id: statementId } });
+  if (!statement) {
+    throw createError(404, 'Settlement statement not found');
+  }
+  if (statement.status !== 'DRAFT') {
+    throw createError(409, 'A finalised statement cannot be discarded');
+  }
+  await prisma.agencySettlementStatement.delete({ where: { id: statementId } });
+};
+
+/**
+ * A statement with its lines.
+ * @param {number} statementId
+ * @returns {Promise<Object|null>}
+ */
+const getStatement = (statementId) =>
+  prisma.agencySettlementStatement.findUnique({ where: { id: statementId }, include: statementDetailInclude });
+
+/**
+ * Statements, newest month first.
+ *
+ * @param {Object} params
+ * @param {number} [params.agencyId]
+ * @param {string} [params.status]
+ * @param {string} [params.month] - YYYY-MM
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @param {boolean} [params.detailed] - Include lines (for export)
+ * @returns {Promise<{ statements: Object[], total: number, page: number, limit: number }>}
+ */
+const listStatements = async ({ agencyId, status, month, page = 1, limit = 20, detailed = false }) => {
+  const where = {
+    ...(agencyId ? { agencyId } : {}),
+    ...(status ? { status } : {}),
+    ...(month ? { periodStart: monthOf(month).periodStart } : {}),
+  };
+  const [statements, total] = await Promise.all([
+    prisma.agencySettlementStatement.findMany({
+      where,
+      include: detailed ? statementDetailInclude : statementInclude,
+      orderBy: [{ periodStart: 'desc' }, { agencyId: 'asc' }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.agencySettlementStatement.count({ where }),
+  ]);
+  return { statements, total, page, limit };
+};
+
+const KIND_LABELS = {
+  SUBSCRIPTION_COMMISSION: 'Subscription commission',
+  VENDOR_COMMISSION: 'Vendor order commission',
+  WASTAGE: 'Wastage',
+  NOT_RECEIVED: 'Not received',
+};
+
+const commissionLabel = (line) => {
+  if (!line.commissionType) return '';
+  const value = toNumber(line.commissionValue);
+  return line.commissionType === 'FLAT_PER_UNIT' ? `₹${value.toFixed(2)}/unit` : `${value}%`;
+};
+
+const addSheet = (workbook, name, columns, rows) => {
+  const worksheet = workbook.addWorksheet(name);
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+  rows.forEach((row) => worksheet.addRow(row));
+  return worksheet;
+};
+
+/**
+ * Statements as a workbook: one summary row per statement and every line.
+ *
+ * @param {Object[]} statements - With lines (getStatement)
+ * @returns {ExcelJS.Workbook}
+ */
+const buildSettlementWorkbook = (statements) => {
+  const workbook = new ExcelJS.Workbook();
+  const month = (value) => dayjs(value).format('MMM YYYY');
+
+  addSheet(workbook, 'Summary', [
+    { header: 'Statement', key: 'id', width: 10 },
+    { header: 'Agency', key: 'agency', width: 28 },
+    { header: 'Month', key: 'month', width: 12 },
+    { header: 'Status', key: 'status', width: 11 },
+    { header: 'Subscription Units', key: 'subscriptionUnits', width: 12 },
+    { header: 'Subscription Commission', key: 'subscriptionCommission', width: 14 },
+    { header: 'Vendor Units', key: 'vendorUnits', width: 12 },
+    { header: 'Vendor Commission', key: 'vendorCommission', width: 14 },
+    { header: 'Gross Commission', key: 'grossCommission', width: 14 },
+    { header: 'Wastage Units', key: 'wastageUnits', width: 12 },
+    { header: 'Wastage Deduction', key: 'wastageDeduction', width: 14 },
+    { header: 'Not Received Units', key: 'notReceivedUnits', width: 12 },
+    { header: 'Not Received Deduction', key: 'notReceivedDeduction', width: 14 },
+    { header: 'Net Amount', key: 'netAmount', width: 14 },
+  ], statements.map((statement) => ({
+    id: statement.id,
+    agency: statement.agency?.name,
+    month: month(statement.periodStart),
+    status: statement.status,
+    subscriptionUnits: statement.subscriptionUnits,
+    subscriptionCommission: toNumber(statement.subscriptionCommission),
+    vendorUnits: statement.vendorUnits,
+    vendorCommission: toNumber(statement.vendorCommission),
+    grossCommission: toNumber(statement.grossCommission),
+    wastageUnits: toNumber(statement.wastageUnits),
+    wastageDeduction: toNumber(statement.wastageDeduction),
+    notReceivedUnits: toNumber(statement.notReceivedUnits),
+    notReceivedDeduction: toNumber(statement.notReceivedDeduction),
+    netAmount: toNumber(statement.netAmount),
+  })));
+
+  addSheet(workbook, 'Lines', [
+    { header: 'Statement', key: 'statementId', width: 10 },
+    { header: 'Agency', key: 'agency', width: 28 },
+    { header: 'Month', key: 'month', width: 12 },
+    { header: 'Type', key: 'kind', width: 24 },
+    { header: 'Product', key: 'description', width: 32 },
+    { header: 'Units', key: 'units', width: 10 },
+    { header: 'Value', key: 'grossValue', width: 14 },
+    { header: 'Commission', key: 'commission', width: 14 },
+    { header: 'Amount', key: 'amount', width: 14 },
+  ], statements.flatMap((statement) => (statement.lines || []).map((line) => ({
+    statementId: statement.id,
+    agency: statement.agency?.name,
+    month: month(statement.periodStart),
+    kind: KIND_LABELS[line.kind] || line.kind,
+    description: line.description,
+    units: toNumber(line.units),
+    grossValue: toNumber(line.grossValue),
+    commission: commissionLabel(line),
+    amount: toNumber(line.amount),
+  }))));
+
+  return workbook;
+};
+
+module.exports = {
+  KIND_LABELS,
+  monthOf,
+  listRules,
+  saveRule,
+  computeSettlement,
+  generateStatement,
+  generateMonthlyStatements,
+  finaliseStatement,
+  discardStatement,
+  getStatement,
+  listStatements,
+  buildSettlementWorkbook,
+};
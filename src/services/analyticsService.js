@@ -0,0 +1,587 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+
+// Most days a single request may snapshot or chart
+const MAX_RANGE_DAYS = 366;
+// Most cohort months a single request may chart
+const MAX_COHORT_MONTHS = 24;
+// Days after expiry before a subscription that was not renewed counts as lapsed
+const LAPSE_GRACE_DAYS = parseInt(process.env.ANALYTICS_LAPSE_GRACE_DAYS || '7');
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()));
+
+// Subscriptions that were paid for, including those later cancelled
+const PAID_SUBSCRIPTION_WHERE = {
+  OR: [
+    { paymentStatus: 'PAID' },
+    { paymentStatus: 'CANCELLED', OR: [{ receivedamt: { gt: 0 } }, { walletamt: { gt: 0 } }] },
+  ],
+};
+
+const subscriptionSelect = {
+  id: true,
+  memberId: true,
+  productId: true,
+  agencyId: true,
+  startDate: true,
+  expiryDate: true,
+  paymentStatus: true,
+  cancelledAt: true,
+  updatedAt: true,
+  depotProductVariant: { select: { depotId: true } },
+};
+
+const parseDay = (value, label) => {
+  const day = dayjs(value);
+  if (!value || !day.isValid()) {
+    throw createError(400, `${label} must be a valid date (YYYY-MM-DD)`);
+  }
+  return day.startOf('day');
+};
+
+const parseMonth = (value, label) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(value || ''))) {
+    throw createError(400, `${label} must be in YYYY-MM format`);
+  }
+  return dayjs(`${value}-01`).startOf('month');
+};
+
+const parseRange = (from, to) => {
+  const start = parseDay(from, 'from');
+  const end = parseDay(to, 'to');
+  if (end.isBefore(start)) {
+    throw createError(400, 'to must not be before from');
+  }
+  if (end.diff(start, 'day') + 1 > MAX_RANGE_DAYS) {
+    throw createError(400, `The range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+  return { start, end };
+};
+
+// A subscription stops covering days once it expires or is cancelled
+const coverageEnd = (subscription) => {
+  const expiry = dayjs(subscription.expiryDate).endOf('day');
+  if (subscription.paymentStatus !== 'CANCELLED') return expiry;
+  const cancelled = dayjs(subscription.cancelledAt || subscription.updatedAt);
+  return cancelled.isBefore(expiry) ? cancelled : expiry;
+};
+
+const coversDay = (subscription, day) =>
+  !dayjs(subscription.startDate).isAfter(day, 'day') && !coverageEnd(subscription).isBefore(day.endOf('day'));
+
+const overlaps = (subscription, start, end) =>
+  !dayjs(subscription.startDate).isAfter(end, 'day') && !coverageEnd(subscription).isBefore(start);
+
+const dimensionsOf = ({ depotId, agencyId, productId }) => [
+  ['OVERALL', 0],
+  ['DEPOT', depotId],
+  ['AGENCY', agencyId],
+  ['PRODUCT', productId],
+].filter(([, id]) => id !== null && id !== undefined);
+
+/**
+ * Materialise one day's metrics for the business overall and per depot,
+ * agency and product. Re-running a day replaces its rows.
+ *
+ * Revenue follows the dashboard: paid SNF orders by order total and paid
+ * subscriptions by amount received, on the day they were created. Deliveries
+ * are delivered subscription entries plus delivered SNF orders. Subscribers
+ * are members with a paid subscription covering the day: new on their first
+ * ever day, reactivated when they return after a gap, churned on the first day
+ * they are no longer covered. Wallet float is the members' ledger balance at
+ * the end of the day, attributed to the depot and agency of each member's
+ * latest subscription; it is not split by product.
+ *
+ * @param {string|Date} date
+ * @returns {Promise<{ date: string, rows: number }>}
+ */
+const captureDailySnapshot = async (date) => {
+  const day = parseDay(date, 'date');
+  const previous = day.subtract(1, 'day');
+  const dayRange = { gte: day.toDate(), lte: day.endOf('day').toDate() };
+
+  const rows = new Map();
+  const row = (dimension, dimensionId) => {
+    const key = `${dimension}:${dimensionId}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        dimension,
+        dimensionId,
+        snfRevenue: 0,
+        subscriptionRevenue: 0,
+        deliveries: 0,
+        today: new Set(),
+        yesterday: new Set(),
+        newSubscribers: 0,
+        reactivatedSubscribers: 0,
+        walletFloat: dimension === 'PRODUCT' ? null : 0,
+      });
+    }
+    return rows.get(key);
+  };
+  row('OVERALL', 0);
+
+  const [subscriptions, snfOrders, paidSubscriptions, entries, snfDeliveries, balances] = await Promise.all([
+    prisma.subscription.findMany({
+      where: { AND: [PAID_SUBSCRIPTION_WHERE, { startDate: { lte: day.toDate() } }, { expiryDate: { gte: previous.toDate() } }] },
+      select: subscriptionSelect,
+    }),
+    prisma.sNFOrder.findMany({
+      where: { paymentStatus: 'PAID', createdAt: dayRange },
+      select: { totalAmount: true, depotId: true, items: { select: { productId: true, lineTotal: true } } },
+    }),
+    prisma.subscription.findMany({
+      where: { paymentStatus: 'PAID', createdAt: dayRange },
+      select: { receivedamt: true, productId: true, agencyId: true, depotProductVariant: { select: { depotId: true } } },
+    }),
+    prisma.deliveryScheduleEntry.findMany({
+      where: { status: 'DELIVERED', deliveryDate: dayRange },
+      select: { depotId: true, agentId: true, productId: true, subscription: { select: { agencyId: true } } },
+    }),
+    prisma.deliveryAssignment.findMany({
+      where: { status: 'DELIVERED', snfOrderId: { not: null }, deliveredAt: dayRange },
+      select: { depotId: true },
+    }),
+    prisma.$queryRaw`
+      SELECT w.memberId, w.balanceAfter
+      FROM wallet_ledger_entries w
+      JOIN (
+        SELECT memberId, MAX(id) AS id FROM wallet_ledger_entries
+        WHERE createdAt <= ${day.endOf('day').toDate()}
+        GROUP BY memberId
+      ) latest ON latest.id = w.id`,
+  ]);
+
+  // Subscribers active today and yesterday in each dimension
+  for (const subscription of subscriptions) {
+    const keys = dimensionsOf({
+      depotId: subscription.depotProductVariant?.depotId,
+      agencyId: subscription.agencyId,
+      productId: subscription.productId,
+    });
+    const activeToday = coversDay(subscription, day);
+    const activeYesterday = coversDay(subscription, previous);
+    for (const [dimension, id] of keys) {
+      if (activeToday) row(dimension, id).today.add(subscription.memberId);
+      if (activeYesterday) row(dimension, id).yesterday.add(subscription.memberId);
+    }
+  }
+
+  const joined = new Set();
+  rows.forEach((metrics) => metrics.today.forEach((memberId) => {
+    if (!metrics.yesterday.has(memberId)) joined.add(memberId);
+  }));
+  const firstStarts = joined.size
+    ? await prisma.subscription.groupBy({
+      by: ['memberId'],
+      where: { AND: [PAID_SUBSCRIPTION_WHERE, { memberId: { in: [...joined] } }] },
+      _min: { startDate: true },
+    })
+    : [];
+  const returning = new Set(
+    firstStarts.filter((group) => dayjs(group._min.startDate).isBefore(day, 'day')).map((group) => group.memberId)
+  );
+  rows.forEach((metrics) => metrics.today.forEach((memberId) => {
+    if (metrics.yesterday.has(memberId)) return;
+    if (returning.has(memberId)) metrics.reactivatedSubscribers += 1;
+    else metrics.newSubscribers += 1;
+  }));
+
+  for (const order of snfOrders) {
+    for (const [dimension, id] of dimensionsOf({ depotId: order.depotId })) {
+      row(dimension, id).snfRevenue += order.totalAmount || 0;
+    }
+    for (const item of order.items) {
+      if (item.productId) row('PRODUCT', item.productId).snfRevenue += item.lineTotal || 0;
+    }
+  }
+
+  for (const subscription of paidSubscriptions) {
+    const keys = dimensionsOf({
+      depotId: subscription.depotProductVariant?.depotId,
+      agencyId: subscription.agencyId,
+      productId: subscription.productId,
+    });
+    for (const [dimension, id] of keys) {
+      row(dimension, id).subscriptionRevenue += subscription.receivedamt || 0;
+    }
+  }
+
+  for (const entry of entries) {
+    const keys = dimensionsOf({
+      depotId: entry.depotId,
+      agencyId: entry.agentId ?? entry.subscription?.agencyId,
+      productId: entry.productId,
+    });
+    for (const [dimension, id] of keys) row(dimension, id).deliveries += 1;
+  }
+  for (const assignment of snfDeliveries) {
+    for (const [dimension, id] of dimensionsOf({ depotId: assignment.depotId })) row(dimension, id).deliveries += 1;
+  }
+
+  // Wallet float, attributed through each member's latest subscription
+  const heldBalances = balances.filter((balance) => toNumber(balance.balanceAfter) !== 0);
+  const latestSubscriptions = heldBalances.length
+    ? await prisma.subscription.findMany({
+      where: { memberId: { in: heldBalances.map((balance) => balance.memberId) }, startDate: { lte: day.toDate() } },
+      select: { memberId: true, agencyId: true, depotProductVariant: { select: { depotId: true } } },
+      orderBy: [{ startDate: 'desc' }, { id: 'desc' }],
+    })
+    : [];
+  const latestByMember = new Map();
+  latestSubscriptions.forEach((subscription) => {
+    if (!latestByMember.has(subscription.memberId)) latestByMember.set(subscription.memberId, subscription);
+  });
+  for (const balance of heldBalances) {
+    const amount = toNumber(balance.balanceAfter);
+    const latest = latestByMember.get(balance.memberId);
+    row('OVERALL', 0).walletFloat += amount;
+    if (latest?.depotProductVariant?.depotId) row('DEPOT', latest.depotProductVariant.depotId).walletFloat += amount;
+    if (latest?.agencyId) row('AGENCY', latest.agencyId).walletFloat += amount;
+  }
+
+  const data = [...rows.values()].map((metrics) => ({
+    date: day.toDate(),
+    dimension: metrics.dimension,
+    dimensionId: metrics.dimensionId,
+    snfRevenue: round2(metrics.snfRevenue),
+    subscriptionRevenue: round2(metrics.subscriptionRevenue),
+    revenue: round2(metrics.snfRevenue + metrics.subscriptionRevenue),
+    deliveries: metrics.deliveries,
+    activeSubscribers: metrics.today.size,
+    newSubscribers: metrics.newSubscribers,
+    churnedSubscribers: [...metrics.yesterday].filter((memberId) => !metrics.today.has(memberId)).length,
+    reactivatedSubscribers: metrics.reactivatedSubscribers,
+    walletFloat: metrics.walletFloat === null ? null : round2(metrics.walletFloat),
+  }));
+
+  await prisma.$transaction([
+    prisma.dailyMetricSnapshot.deleteMany({ where: { date: day.toDate() } }),
+    prisma.dailyMetricSnapshot.createMany({ data }),
+  ]);
+
+  return { date: day.format('YYYY-MM-DD'), rows: data.length };
+};
+
+/**
+ * Snapshot every day in a range, oldest first (backfill).
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<Object[]>} One summary per day
+ */
+const captureSnapshots = async (from, to) => {
+  const { start, end } = parseRange(from, to);
+  if (!end.isBefore(dayjs(), 'day')) {
+    throw createError(400, 'Only days that have ended can be snapshotted');
+  }
+  const results = [];
+  for (let day = start; !day.isAfter(end, 'day'); day = day.add(1, 'day')) {
+    results.push(await captureDailySnapshot(day.format('YYYY-MM-DD')));
+  }
+  return results;
+};
+
+const bucketOf = (date, interval) => {
+  const day = dayjs(date);
+  if (interval === 'month') return day.format('YYYY-MM');
+  if (interval === 'week') return day.subtract((day.day() + 6) % 7, 'day').format('YYYY-MM-DD');
+  return day.format('YYYY-MM-DD');
+};
+
+/**
+ * Snapshot metrics over a range, rolled up by day, week (from Monday) or month.
+ * Flows are summed; subscribers and wallet float are reported at the close of
+ * each bucket, with ARPM as revenue per average active subscriber.
+ *
+ * @param {Object} params
+ * @param {string} params.from - YYYY-MM-DD
+ * @param {string} params.to - YYYY-MM-DD
+ * @param {string} [params.dimension] - OVERALL | DEPOT | AGENCY | PRODUCT
+ * @param {number} [params.dimensionId]
+ * @param {string} [params.interval] - day | week | month
+ * @returns {Promise<Object>}
+ */
+const getTrends = async ({ from, to, dimension = 'OVERALL', dimensionId = 0, interval = 'day' }) => {
+  const { start, end } = parseRange(from, to);
+  if (!['day', 'week', 'month'].includes(interval)) {
+    throw createError(400, 'interval must be day, week or month');
+  }
+  if (dimension !== 'OVERALL' && !dimensionId) {
+    throw createError(400, `dimensionId is required for ${dimension}`);
+  }
+
+  const snapshots = await prisma.dailyMetricSnapshot.findMany({
+    where: {
+      date: { gte: start.toDate(), lte: end.toDate() },
+      dimension,
+      dimensionId: dimension === 'OVERALL' ? 0 : dimensionId,
+    },
+    orderBy: { date: 'asc' },
+  });
+
+  const buckets = new Map();
+  for (const snapshot of snapshots) {
+    const period = bucketOf(snapshot.date, interval);
+    if (!buckets.has(period)) {
+      buckets.set(period, {
+        period,
+        days: 0,
+        snfRevenue: 0,
+        subscriptionRevenue: 0,
+        revenue: 0,
+        deliveries: 0,
+        newSubscribers: 0,
+        churnedSubscribers: 0,
+        reactivatedSubscribers: 0,
+        subscriberDays: 0,
+        activeSubscribers: 0,
+        walletFloat: null,
+      });
+    }
+    const bucket = buckets.get(period);
+    bucket.days += 1;
+    bucket.snfRevenue += toNumber(snapshot.snfRevenue);
+    bucket.subscriptionRevenue += toNumber(snapshot.subscriptionRevenue);
+    bucket.revenue += toNumber(snapshot.revenue);
+    bucket.deliveries += snapshot.deliveries;
+    bucket.newSubscribers += snapshot.newSubscribers;
+    bucket.churnedSubscribers += snapshot.churnedSubscribers;
+    bucket.reactivatedSubscribers += snapshot.reactivatedSubscribers;
+    bucket.subscriberDays += snapshot.activeSubscribers;
+    bucket.activeSubscribers = snapshot.activeSubscribers;
+    bucket.walletFloat = snapshot.walletFloat === null ? null : toNumber(snapshot.walletFloat);
+  }
+
+  const series = [...buckets.values()].map(({ subscriberDays, ...bucket }) => {
+    const averageActiveSubscribers = bucket.days ? subscriberDays / bucket.days : 0;
+    return {
+      ...bucket,
+      snfRevenue: round2(bucket.snfRevenue),
+      subscriptionRevenue: round2(bucket.subscriptionRevenue),
+      revenue: round2(bucket.revenue),
+      averageActiveSubscribers: round2(averageActiveSubscribers),
+      arpm: averageActiveSubscribers ? round2(bucket.revenue / averageActiveSubscribers) : null,
+    };
+  });
+
+  const expectedDays = end.diff(start, 'day') + 1;
+  return {
+    from: start.format('YYYY-MM-DD'),
+    to: end.format('YYYY-MM-DD'),
+    dimension,
+    dimensionId: dimension === 'OVERALL' ? 0 : dimensionId,
+    interval,
+    missingDays: expectedDays - snapshots.length,
+    series,
+  };
+};
+
+/**
+ * Monthly subscriber cohorts: members grouped by the month of their first paid
+ * subscription, with the share still subscribed in each following month.
+ *
+ * @param {Object} params
+ * @param {string} params.from - YYYY-MM, first cohort
+ * @param {string} params.to - YYYY-MM, last cohort
+ * @param {number} [params.depotId] - Only subscriptions from this depot
+ * @returns {Promise<Object[]>}
+ */
+const getCohortRetention = async ({ from, to, depotId = null }) => {
+  const first = parseMonth(from, 'from');
+  const last = parseMonth(to, 'to');
+  if (last.isBefore(first)) {
+    throw createError(400, 'to must not be before from');
+  }
+  if (last.diff(first, 'month') + 1 > MAX_COHORT_MONTHS) {
+    throw createError(400, `The range cannot exceed ${MAX_COHORT_MONTHS} cohorts`);
+  }
+
+  const where = {
+    AND: [PAID_SUBSCRIPTION_WHERE, ...(depotId ? [{ depotProductVariant: { depotId } }] : [])],
+  };
+  const firstStarts = await prisma.subscription.groupBy({
+    by: ['memberId'],
+    where,
+    _min: { startDate: true },
+  });
+
+  const cohortOf = new Map();
+  firstStarts.forEach((group) => {
+    const month = dayjs(group._min.startDate).startOf('month');
+    if (!month.isBefore(first) && !month.isAfter(last)) {
+      cohortOf.set(group.memberId, month.format('YYYY-MM'));
+    }
+  });
+  if (cohortOf.size === 0) return [];
+
+  const subscriptions = await prisma.subscription.findMany({
+    where: { AND: [...where.AND, { memberId: { in: [...cohortOf.keys()] } }] },
+    select: subscriptionSelect,
+  });
+  const byMember = new Map();
+  subscriptions.forEach((subscription) => {
+    if (!byMember.has(subscription.memberId)) byMember.set(subscription.memberId, []);
+    byMember.get(subscription.memberId).push(subscription);
+  });
+
+  const currentMonth = dayjs().startOf('month');
+  const cohorts = [];
+  for (let month = first; !month.isAfter(last); month = month.add(1, 'month')) {
+    const cohort = month.format('YYYY-MM');
+    const members = [...cohortOf.entries()].filter(([, value]) => value === cohort).map(([memberId]) => memberId);
+    const retention = [];
+    for (let offset = 0; !month.add(offset, 'month').isAfter(currentMonth); offset += 1) {
+      const periodStart = month.add(offset, 'month');
+      const periodEnd = periodStart.endOf('month');
+      const active = members.filter((memberId) =>
+        byMember.get(memberId).some((subscription) => overlaps(subscription, periodStart, periodEnd))
+      ).length;
+      retention.push({
+        monthOffset: offset,
+        month: periodStart.format('YYYY-MM'),
+        activeSubscribers: active,
+        retentionPercent: members.length ? round2((active / members.length) * 100) : 0,
+      });
+    }
+    cohorts.push({ cohort, size: members.length, retention });
+  }
+  return cohorts;
+};
+
+const countReasons = (items) => {
+  const counts = new Map();
+  items.forEach((reason) => counts.set(reason, (counts.get(reason) || 0) + 1));
+  return [...counts.entries()]
+    .map(([reason, count]) => ({ reason, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+const LAPSE_REASONS = {
+  INSUFFICIENT_BALANCE: 'Auto-renewal failed: insufficient wallet balance',
+  VARIANT_UNAVAILABLE: 'Auto-renewal failed: variant unavailable',
+  PRICE_NOT_SET: 'Auto-renewal failed: price not set',
+  NO_DELIVERIES: 'Auto-renewal failed: no deliveries',
+  ERROR: 'Auto-renewal failed: error',
+};
+
+const lapseReason = (subscription) => {
+  const renewal = subscription.autoRenewal;
+  if (renewal && renewal.status === 'FAILED') {
+    return LAPSE_REASONS[renewal.failureCode] || 'Auto-renewal failed';
+  }
+  return subscription.autoRenew ? 'Auto-renewal not attempted' : 'Not renewed after reminders';
+};
+
+/**
+ * Why subscribers left in a range: cancellations by the reason given, and
+ * subscriptions that expired without the member renewing within the grace
+ * period, by auto-renewal outcome. Expiries still inside the grace period are
+ * not counted yet.
+ *
+ * @param {Object} params
+ * @param {string} params.from - YYYY-MM-DD
+ * @param {string} params.to - YYYY-MM-DD
+ * @param {number} [params.depotId]
+ * @returns {Promise<Object>}
+ */
+const getChurnReasons = async ({ from, to, depotId = null }) => {
+  const { start, end } = parseRange(from, to);
+  const depotWhere = depotId ? [{ depotProductVariant: { depotId } }] : [];
+  const range = { gte: start.toDate(), lte: end.endOf('day').toDate() };
+
+  const cancelled = await prisma.subscription.findMany({
+    where: {
+      AND: [
+        PAID_SUBSCRIPTION_WHERE,
+        { paymentStatus: 'CANCELLED' },
+        { OR: [{ cancelledAt: range }, { cancelledAt: null, updatedAt: range }] },
+        ...depotWhere,
+      ],
+    },
+    select: { cancellationReason: true },
+  });
+
+  const lapseCutoff = dayjs().subtract(LAPSE_GRACE_DAYS, 'day').startOf('day');
+  const lapseEnd = end.isBefore(lapseCutoff) ? end : lapseCutoff.subtract(1, 'day');
+  let lapsed = [];
+  if (!lapseEnd.isBefore(start)) {
+    const expired = await prisma.subscription.findMany({
+      where: {
+        AND: [{ paymentStatus: 'PAID' }, { expiryDate: { gte: start.toDate(), lte: lapseEnd.toDate() } }, ...depotWhere],
+      },
+      select: {
+        ...subscriptionSelect,
+        autoRenew: true,
+        autoRenewal: { select: { status: true, failureCode: true } },
+      },
+    });
+
+    const later = expired.length
+      ? await prisma.subscription.findMany({
+        where: {
+          AND: [
+            PAID_SUBSCRIPTION_WHERE,
+            { memberId: { in: [...new Set(expired.map((subscription) => subscription.memberId))] } },
+            { expiryDate: { gt: start.toDate() } },
+          ],
+        },
+        select: subscriptionSelect,
+      })
+      : [];
+
+    // Lapsed unless another subscription was running or started within the grace period
+    lapsed = expired.filter((subscription) => {
+      const expiry = dayjs(subscription.expiryDate);
+      const graceEnd = expiry.add(LAPSE_GRACE_DAYS, 'day');
+      return !later.some((other) =>
+        other.id !== subscription.id &&
+        other.memberId === subscription.memberId &&
+        overlaps(other, expiry.add(1, 'day'), graceEnd)
+      );
+    });
+  }
+
+  return {
+    from: start.format('YYYY-MM-DD'),
+    to: end.format('YYYY-MM-DD'),
+    graceDays: LAPSE_GRACE_DAYS,
+    total: cancelled.length + lapsed.length,
+    cancellations: {
+      total: cancelled.length,
+      reasons: countReasons(cancelled.map((subscription) => subscription.cancellationReason || 'Not specified')),
+    },
+    lapses: {
+      total: lapsed.length,
+      reasons: countReasons(lapsed.map(lapseReason)),
+    },
+  };
+};
+
+/**
+ * Average revenue per member for each month of a range, from the snapshots.
+ * @param {Object} params - As getTrends, without interval
+ * @returns {Promise<Object>}
+ */
+const getArpm = async (params) => {
+  const trends = await getTrends({ ...params, interval: 'month' });
+  return {
+    ...trends,
+    series: trends.series.map(({ period, revenue, averageActiveSubscribers, arpm }) => ({
+      period,
+      revenue,
+      averageActiveSubscribers,
+      arpm,
+    })),
+  };
+};
+
+module.exports = {
+  captureDailySnapshot,
+  captureSnapshots,
+  getTrends,
+  getArpm,
+  getCohortRetention,
+  getChurnReasons,
+};
@@ -0,0 +1,355 @@
+const jwt = require('jsonwebtoken');
+const createError = require('http-errors');
+const prisma = require('../config/db');
+const jwtConfig = require('../config/jwt');
+const { getAvailability } = require('./stockReservationService');
+const { resolveCouponLines, evaluateCoupon } = require('./couponService');
+
+const QUOTE_SECRET = process.env.CHECKOUT_QUOTE_SECRET || jwtConfig.secret;
+const QUOTE_TTL_MINUTES = parseInt(process.env.CHECKOUT_QUOTE_TTL_MINUTES || '15', 10);
+const QUOTE_AUDIENCE = 'snf-checkout';
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+const optionalEnvFloat = (name) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Price a depot variant sells at for a one-time order, the same rule POS uses.
+ * @param {Object} variant - DepotProductVariant
+ * @returns {number}
+ */
+const unitPriceOf = (variant) =>
+  round2(parseFloat(variant.salesPrice || variant.buyOncePrice || variant.mrp || 0));
+
+const pincodeList = (pincodes) =>
+  String(pincodes || '').split(/[\s,]+/).map((p) => p.trim()).filter(Boolean);
+
+/**
+ * Delivery fee for an order. An AreaMaster covering the pincode (preferring one
+ * served by the order's depot) wins over the depot's own fee; without either,
+ * SNF_DEFAULT_DELIVERY_FEE and SNF_FREE_DELIVERY_ABOVE apply.
+ *
+ * @param {Object} params
+ * @param {number|null} params.depotId
+ * @param {string|null} params.pincode
+ * @param {number} params.subtotal
+ * @param {Object} [client]
+ * @returns {Promise<{ deliveryFee: number, freeDeliveryAbove: number|null, rule: { source: 'AREA'|'DEPOT'|'DEFAULT', id: number|null } }>}
+ */
+const resolveDeliveryFee = async ({ depotId, pincode, subtotal }, client = prisma) => {
+  let rule = null;
+
+  if (pincode) {
+    const areas = await client.areaMaster.findMany({
+      where: { pincodes: { contains: String(pincode) }, deliveryFee: { not: null } },
+      select: { id: true, depotId: true, pincodes: true, deliveryFee: true, freeDeliveryAbove: true },
+    });
+    const covering = areas.filter((area) => pincodeList(area.pincodes).includes(String(pincode)));
+    const area = covering.find((a) => a.depotId === depotId) || covering[0];
+    if (area) {
+      rule = { source: 'AREA', id: area.id, fee: area.deliveryFee, freeDeliveryAbove: area.freeDeliveryAbove };
+    }
+  }
+
+  if (!rule && depotId) {
+    const depot = await client.depot.findUnique({
+      where: { id: depotId },
+      select: { id: true, deliveryFee: true, freeDeliveryAbove: true },
+    });
+    if (depot && depot.deliveryFee !== null) {
+      rule = { source: 'DEPOT', id: depot.id, fee: depot.deliveryFee, freeDeliveryAbove: depot.freeDeliveryAbove };
+    }
+  }
+
+  if (!rule) {
+    rule = {
+      source: 'DEFAULT',
+      id: null,
+      fee: optionalEnvFloat('SNF_DEFAULT_DELIVERY_FEE') || 0,
+      freeDeliveryAbove: optionalEnvFloat('SNF_FREE_DELIVERY_ABOVE'),
+    };
+  }
+
+  const isFree = rule.freeDeliveryAbove !== null && rule.freeDeliveryAbove !== undefined && subtotal >= rule.freeDeliveryAbove;
+  return {
+    deliveryFee: isFree ? 0 : round2(rule.fee),
+    freeDeliveryAbove: rule.freeDeliveryAbove ?? null,
+    rule: { source: rule.source, id: rule.id },
+  };
+};
+
+/**
+ * The depot an SNF order ships from: the one asked for, or the online depot.
+ * @param {number|string|null} depotId
+ * @param {Object} [client]
+ * @returns {Promise<number|null>}
+ */
+const resolveOrderDepotId = async (depotId, client = prisma) => {
+  const parsed = depotId ? parseInt(depotId, 10) : null;
+  if (parsed) {
+    const depot = await client.depot.findUnique({ where: { id: parsed }, select: { id: true } });
+    if (!depot) {
+      throw createError(400, 'Invalid depot specified');
+    }
+    return depot.id;
+  }
+  const onlineDepot = await client.depot.findFirst({ where: { isOnline: true }, select: { id: true } });
+  return onlineDepot ? onlineDepot.id : null;
+};
+
+/**
+ * Price an SNF checkout from current depot variant prices. Nothing the client
+ * sends about prices or fees is used.
+ *
+ * @param {Object} params
+ * @param {Array<{ depotProductVariantId: number, quantity: number }>} params.items
+ * @param {number|null} [params.depotId]
+ * @param {string|null} [params.pincode]
+ * @param {string|null} [params.city]
+ * @param {string|null} [params.couponCode]
+ * @param {number} [params.walletamt] - Wallet amount the member wants to use
+ * @param {number|null} [params.memberId]
+ * @param {string|null} [params.mobile]
+ * @returns {Promise<Object>} Unsigned quote
+ */
+const priceCheckout = async ({ items, depotId = null, pincode = null, city = null, couponCode = null, walletamt = 0, memberId = null, mobile = null }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createError(400, 'At least one cart item is required');
+  }
+
+  const requested = items.map((item, idx) => {
+    const variantId = parseInt(item.depotProductVariantId ?? item.variantId, 10);
+    const quantity = parseInt(item.quantity, 10);
+    if (!variantId || !(quantity > 0)) {
+      throw createError(400, `Invalid item at index ${idx}`);
+    }
+    return { variantId, quantity };
+  });
+
+  const orderDepotId = await resolveOrderDepotId(depotId);
+
+  const variantIds = [...new Set(requested.map((item) => item.variantId))];
+  const [variants, availability] = await Promise.all([
+    prisma.depotProductVariant.findMany({
+      where: { id: { in: variantIds } },
+      include: { product: { select: { id: true, name: true, url: true } } },
+    }),
+    getAvailability(variantIds),
+  ]);
+  const variantById = new Map(variants.map((variant) => [variant.id, variant]));
+
+  const lines = requested.map(({ variantId, quantity }) => {
+    const variant = variantById.get(variantId);
+    if (!variant || variant.isHidden) {
+      throw createError(409, `Product variant ${variantId} is no longer available`);
+    }
+    if (orderDepotId && variant.depotId !== orderDepotId) {
+      throw createError(400, `${variant.product.name} ${variant.name} is not sold from this depot`);
+    }
+    if (variant.notInStock) {
+      throw createError(409, `${variant.product.name} ${variant.name} is out of stock`);
+    }
+    const price = unitPriceOf(variant);
+    return {
+      depotProductVariantId: variant.id,
+      productId: variant.productId,
+      name: variant.product.name,
+      variantName: variant.name,
+      imageUrl: variant.product.url || null,
+      price,
+      quantity,
+      lineTotal: round2(price * quantity),
+      availableQty: Math.max(availability.get(variant.id)?.availableQty ?? variant.closingQty, 0),
+    };
+  });
+
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const fee = await resolveDeliveryFee({ depotId: orderDepotId, pincode, subtotal });
+  const totalAmount = round2(subtotal + fee.deliveryFee);
+
+  let coupon = null;
+  let couponDiscount = 0;
+  if (couponCode) {
+    const couponLines = await resolveCouponLines(
+      lines.map((line) => ({ amount: line.lineTotal, productId: line.productId, depotProductVariantId: line.depotProductVariantId })),
+      { depotId: orderDepotId }
+    );
+    const result = await evaluateCoupon({ code: couponCode, orderType: 'SNF_ORDER', lines: couponLines, memberId, mobile, city });
+    coupon = { id: result.coupon.id, code: result.coupon.code };
+    couponDiscount = result.discountAmount;
+  }
+
+  let walletAmount = 0;
+  const requestedWallet = Math.max(0, parseFloat(walletamt) || 0);
+  if (requestedWallet > 0 && memberId) {
+    const member = await prisma.member.findUnique({ where: { id: memberId }, select: { walletBalance: true } });
+    walletAmount = round2(Math.min(requestedWallet, Math.max(member?.walletBalance || 0, 0), totalAmount - couponDiscount));
+  }
+
+  return {
+    depotId: orderDepotId,
+    pincode: pincode ? String(pincode) : null,
+    memberId,
+    lines,
+    subtotal,
+    deliveryFee: fee.deliveryFee,
+    freeDeliveryAbove: fee.freeDeliveryAbove,
+    deliveryFeeRule: fee.rule,
+    totalAmount,
+    coupon,
+    couponDiscount,
+    walletamt: walletAmount,
+    payableAmount: round2(Math.max(0, totalAmount - couponDiscount - walletAmount)),
+  };
+};
+
+// Only what checkout needs to reprice the order goes into the token
+const quoteClaims = (quote) => ({
+  depotId: quote.depotId,
+  pincode: quote.pincode,
+  memberId: quote.memberId,
+  items: quote.lines.map((line) => ({ v: line.depotProductVariantId, q: line.quantity, p: line.price })),
+  deliveryFee: quote.deliveryFee,
+  couponCode: quote.coupon?.code || null,
+  couponDiscount: quote.couponDiscount,
+  walletamt: quote.walletamt,
+  totalAmount: quote.totalAmount,
+  payableAmount: quote.payableAmount,
+});
+
+/**
+ * Price a checkout and sign the result. The client shows the quote and sends
+ * quoteToken back when placing the order.
+ *
+ * @param {Object} params - As priceCheckout
+ * @returns {Promise<Object>} Quote with quoteToken and expiresAt
+ */
+const createQuote = async (params) => {
+  const quote = await priceCheckout(params);
+  const quoteToken = jwt.sign(quoteClaims(quote), QUOTE_SECRET, {
+    expiresIn: `${QUOTE_TTL_MINUTES}m`,
+    audience: QUOTE_AUDIENCE,
+  });
+  const expiresAt = new Date(jwt.decode(quoteToken).exp * 1000);
+  return { ...quote, quoteToken, expiresAt };
+};
+
+const staleQuote = (message, quote = null) => {
+  const error = createError(409, message);
+  error.quote = quote;
+  return error;
+};
+
+/**
+ * Check a quote presented at checkout against current prices, fees, coupon
+ * and wallet. Throws 409 with a fresh quote (error.quote) when anything moved.
+ *
+ * @param {string} quoteToken
+ * @param {Object} context
+ * @param {number|null} context.memberId - Must match the member the quote was made for
+ * @param {string|null} context.pincode - Delivery pincode of the order
+ * @param {string|null} [context.city]
+ * @param {string|null} [context.mobile]
+ * @returns {Promise<Object>} The current quote, identical in amounts to the signed one
+ */
+const confirmQuote = async (quoteToken, { memberId = null, pincode = null, city = null, mobile = null }) => {
+  if (!quoteToken) {
+    throw createError(400, 'quoteToken is required. Request a checkout quote before placing the order.');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(quoteToken, QUOTE_SECRET, { audience: QUOTE_AUDIENCE });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw staleQuote('Your checkout quote has expired. Please review the updated prices.');
+    }
+    throw createError(400, 'Invalid checkout quote');
+  }
+
+  if ((claims.memberId || null) !== (memberId || null)) {
+    throw createError(400, 'Checkout quote belongs to another customer');
+  }
+
+  // Always reprice for the pincode the order delivers to; the fee depends on it
+  const orderPincode = pincode ? String(pincode) : null;
+  const repriceParams = {
+    items: claims.items.map((item) => ({ depotProductVariantId: item.v, quantity: item.q })),
+    depotId: claims.depotId,
+    pincode: orderPincode,
+    city,
+    couponCode: claims.couponCode,
+    walletamt: claims.walletamt,
+    memberId,
+    mobile,
+  };
+  if ((claims.pincode || null) !== orderPincode) {
+    throw staleQuote(
+      'Delivery pincode changed since the quote was made. Please review the updated prices.',
+      await createQuote(repriceParams)
+    );
+  }
+
+  const current = await priceCheckout(repriceParams);
+
+  const priceChanged = current.lines.some((line, idx) => line.price !== claims.items[idx].p);
+  const changed =
+    priceChanged ||
+    current.deliveryFee !== claims.deliveryFee ||
+    current.couponDiscount !== claims.couponDiscount ||
+    current.walletamt !== claims.walletamt ||
+    current.totalAmount !== claims.totalAmount ||
+    current.payableAmount !== claims.payableAmount;
+
+  if (changed) {
+    throw staleQuote(
+      'Prices have changed since your quote. Please review the updated order.',
+      await createQuote(repriceParams)
+    );
+  }
+
+  return current;
+};
+
+/**
+ * Compare cart snapshots with current depot variant prices and stock.
+ * @param {Object[]} cartItems - CartItem rows
+ * @returns {Promise<Object[]>} Items with currentPrice, priceChanged, available and availableQty
+ */
+const checkCartItems = async (cartItems) => {
+  const variantIds = [...new Set(cartItems.map((item) => item.variantId))];
+  if (variantIds.length === 0) return [];
+
+  const [variants, availability] = await Promise.all([
+    prisma.depotProductVariant.findMany({ where: { id: { in: variantIds } } }),
+    getAvailability(variantIds),
+  ]);
+  const variantById = new Map(variants.map((variant) => [variant.id, variant]));
+
+  return cartItems.map((item) => {
+    const variant = variantById.get(item.variantId);
+    if (!variant || variant.isHidden) {
+      return { ...item, currentPrice: null, priceChanged: false, available: false, availableQty: 0 };
+    }
+    const currentPrice = unitPriceOf(variant);
+    const availableQty = Math.max(availability.get(variant.id)?.availableQty ?? variant.closingQty, 0);
+    return {
+      ...item,
+      currentPrice,
+      priceChanged: currentPrice !== round2(parseFloat(item.price)),
+      available: !variant.notInStock,
+      availableQty,
+    };
+  });
+};
+
+module.exports = {
+  unitPriceOf,
+  resolveDeliveryFee,
+  createQuote,
+  confirmQuote,
+  checkCartItems,
+};
@@ -0,0 +1,336 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+// Orders that never went through do not make a customer a repeat customer
+const LIVE_ORDER_STATUSES = ['PENDING', 'PAID'];
+
+const couponInclude = {
+  products: { select: { id: true } },
+  categories: { select: { id: true } },
+  depots: { select: { id: true } },
+  cities: { select: { id: true, name: true } },
+};
+
+const normaliseCity = (city) => String(city || '').trim().toLowerCase();
+
+/**
+ * APPLIED redemptions of a coupon by a member (or, for guests, a mobile number).
+ */
+const countMemberRedemptions = (client, couponId, { memberId, mobile }) => {
+  if (!memberId && !mobile) return 0;
+  return client.couponRedemption.count({
+    where: {
+      couponId,
+      status: 'APPLIED',
+      ...(memberId ? { memberId } : { mobile }),
+    },
+  });
+};
+
+/**
+ * Whether a member (or, for guests, a mobile number) has a live order,
+ * leaving out the order being placed when it already exists.
+ */
+const hasPreviousOrder = async (client, { memberId, mobile }, { snfOrderId = null, productOrderId = null } = {}) => {
+  const snfWhere = memberId ? { memberId } : { mobile };
+  const [snfOrders, productOrders] = await Promise.all([
+    memberId || mobile
+      ? client.sNFOrder.count({
+        where: {
+          ...snfWhere,
+          paymentStatus: { in: LIVE_ORDER_STATUSES },
+          ...(snfOrderId ? { id: { not: snfOrderId } } : {}),
+        },
+      })
+      : 0,
+    memberId
+      ? client.productOrder.count({
+        where: {
+          memberId,
+          paymentStatus: { in: LIVE_ORDER_STATUSES },
+          ...(productOrderId ? { id: { not: productOrderId } } : {}),
+        },
+      })
+      : 0,
+  ]);
+  return snfOrders + productOrders > 0;
+};
+
+/**
+ * Turn cart or order items into the lines evaluateCoupon scopes against,
+ * filling in product, category and depot from the depot variant.
+ *
+ * @param {Array<{ amount: number, productId?: number, depotProductVariantId?: number }>} items
+ * @param {Object} [options]
+ * @param {number} [options.depotId] - Depot of the whole order, for items without a variant
+ * @param {Object} [client]
+ * @returns {Promise<Array<{ amount: number, productId: number|null, categoryId: number|null, depotId: number|null }>>}
+ */
+const resolveCouponLines = async (items, { depotId = null } = {}, client = prisma) => {
+  const variantIds = [...new Set(items.map((item) => item.depotProductVariantId).filter(Boolean))];
+  const variants = variantIds.length > 0
+    ? await client.depotProductVariant.findMany({
+        where: { id: { in: variantIds } },
+        select: { id: true, depotId: true, productId: true },
+      })
+    : [];
+  const variantById = new Map(variants.map((variant) => [variant.id, variant]));
+
+  const withProduct = items.map((item) => {
+    const variant = variantById.get(item.depotProductVariantId);
+    return {
+      amount: round2(item.amount),
+      productId: item.productId || variant?.productId || null,
+      depotId: variant?.depotId || depotId || null,
+    };
+  });
+
+  const productIds = [...new Set(withProduct.map((line) => line.productId).filter(Boolean))];
+  const products = productIds.length > 0
+    ? await client.product.findMany({ where: { id: { in: productIds } }, select: { id: true, categoryId: true } })
+    : [];
+  const categoryByProduct = new Map(products.map((product) => [product.id, product.categoryId]));
+
+  return withProduct.map((line) => ({ ...line, categoryId: categoryByProduct.get(line.productId) || null }));
+};
+
+/**
+ * Check a coupon against an order and work out its discount.
+ *
+ * Lines are discounted only when they match the coupon's products or
+ * categories (all lines when neither is set) and come from one of its depots
+ * (any depot when none is set). Percentage discounts are capped at
+ * maxDiscountAmount; every discount is capped at the eligible amount.
+ *
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {'SNF_ORDER'|'SUBSCRIPTION'} params.orderType
+ * @param {Array<{ amount: number, productId?: number, categoryId?: number, depotId?: number }>} params.lines
+ * @param {number} [params.memberId]
+ * @param {string} [params.mobile] - Identifies guest customers for per-member limits
+ * @param {string} [params.city] - Delivery city
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<{ coupon: Object, discountAmount: number, eligibleAmount: number, lineDiscounts: number[] }>}
+ * @throws {HttpError} 400 with a customer-facing reason when the coupon does not apply
+ */
+const evaluateCoupon = async ({ code, orderType, lines, memberId = null, mobile = null, city = null }, client = prisma) => {
+  if (!code || !String(code).trim()) {
+    throw createError(400, 'Coupon code is required');
+  }
+
+  const coupon = await client.coupon.findUnique({
+    where: { code: String(code).trim().toUpperCase() },
+    include: couponInclude,
+  });
+  if (!coupon || !coupon.isActive) {
+    throw createError(400, 'Invalid or inactive coupon');
+  }
+
+  const now = new Date();
+  if (coupon.fromDate && now < new Date(coupon.fromDate)) {
+    throw createError(400, 'Coupon is not yet valid');
+  }
+  if (coupon.toDate && now > new Date(coupon.toDate)) {
+    throw createError(400, 'Coupon has expired');
+  }
+  if (coupon.orderType !== 'ALL' && coupon.orderType !== orderType) {
+    throw createError(400, coupon.orderType === 'SUBSCRIPTION'
+      ? 'This coupon is valid only on subscriptions'
+      : 'This coupon is not valid on subscriptions');
+  }
+  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+    throw createError(400, 'Coupon limit reached');
+  }
+
+  if (coupon.perMemberLimit || coupon.firstOrderOnly) {
+    if (!memberId && !mobile) {
+      throw createError(400, 'Please log in to use this coupon');
+    }
+    if (coupon.perMemberLimit) {
+      const used = await countMemberRedemptions(client, coupon.id, { memberId, mobile });
+      if (used >= coupon.perMemberLimit) {
+        throw createError(400, 'You have already used this coupon the maximum number of times');
+      }
+    }
+    if (coupon.firstOrderOnly && (await hasPreviousOrder(client, { memberId, mobile }))) {
+      throw createError(400, 'This coupon is valid only on your first order');
+    }
+  }
+
+  if (coupon.cities.length > 0) {
+    const cityNames = coupon.cities.map((c) => normaliseCity(c.name));
+    if (!cityNames.includes(normaliseCity(city))) {
+      throw createError(400, 'This coupon is not valid in your city');
+    }
+  }
+
+  const orderAmount = round2(lines.reduce((sum, line) => sum + (Number(line.amount) || 0), 0));
+  if (coupon.minOrderAmount && orderAmount < coupon.minOrderAmount) {
+    throw createError(400, `Minimum order amount of ₹${coupon.minOrderAmount} required`);
+  }
+
+  const productIds = new Set(coupon.products.map((p) => p.id));
+  const categoryIds = new Set(coupon.categories.map((c) => c.id));
+  const depotIds = new Set(coupon.depots.map((d) => d.id));
+  const isEligible = (line) => {
+    if (depotIds.size > 0 && !depotIds.has(line.depotId)) return false;
+    if (productIds.size === 0 && categoryIds.size === 0) return true;
+    return productIds.has(line.productId) || categoryIds.has(line.categoryId);
+  };
+
+  const eligible = lines.map((line) => (isEligible(line) ? Number(line.amount) || 0 : 0));
+  const eligibleAmount = round2(eligible.reduce((sum, amount) => sum + amount, 0));
+  if (eligibleAmount <= 0) {
+    throw createError(400, 'This coupon does not apply to any item in your cart');
+  }
+
+  let discountAmount = coupon.discountType === 'PERCENTAGE'
+    ? (eligibleAmount * coupon.discountValue) / 100
+    : coupon.discountValue;
+  if (coupon.discountType === 'PERCENTAGE' && coupon.maxDiscountAmount) {
+    discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount);
+  }
+  discountAmount = round2(Math.min(discountAmount, eligibleAmount));
+
+  // Spread the discount over eligible lines; the last one takes the rounding remainder
+  const lastEligible = eligible.reduce((last, amount, idx) => (amount > 0 ? idx : last), -1);
+  let allocated = 0;
+  const lineDiscounts = eligible.map((amount, idx) => {
+    if (amount <= 0) return 0;
+    if (idx === lastEligible) return round2(discountAmount - allocated);
+    const share = round2((amount / eligibleAmount) * discountAmount);
+    allocated += share;
+    return share;
+  });
+
+  return { coupon, discountAmount, eligibleAmount, lineDiscounts };
+};
+
+/**
+ * Record a coupon against an order. Runs in the order's transaction; the coupon
+ * row is locked and the usage limits and first-order rule checked again so
+ * concurrent checkouts cannot get past them.
+ *
+ * @param {Object} tx
+ * @param {Object} params
+ * @param {Object} params.coupon - From evaluateCoupon
+ * @param {number} params.discountAmount
+ * @param {number} [params.memberId]
+ * @param {string} [params.mobile]
+ * @param {number} [params.snfOrderId]
+ * @param {number} [params.productOrderId]
+ * @returns {Promise<Object>} The redemption
+ */
+const redeemCoupon = async (tx, { coupon, discountAmount, memberId = null, mobile = null, snfOrderId = null, productOrderId = null }) => {
+  await tx.$queryRaw`SELECT id FROM coupons WHERE id = ${coupon.id} FOR UPDATE`;
+  const current = await tx.coupon.findUnique({ where: { id: coupon.id } });
+
+  if (current.usageLimit && current.usageCount >= current.usageLimit) {
+    throw createError(400, 'Coupon limit reached');
+  }
+  if (current.perMemberLimit) {
+    const used = await countMemberRedemptions(tx, coupon.id, { memberId, mobile });
+    if (used >= current.perMemberLimit) {
+      throw createError(400, 'You have already used this coupon the maximum number of times');
+    }
+  }
+  // Two first orders placed side by side both pass evaluateCoupon; only one gets the coupon
+  if (current.firstOrderOnly && (await hasPreviousOrder(tx, { memberId, mobile }, { snfOrderId, productOrderId }))) {
+    throw createError(400, 'This coupon is valid only on your first order');
+  }
+
+  const redemption = await tx.couponRedemption.create({
+    data: {
+      couponId: coupon.id,
+      memberId,
+      mobile,
+      snfOrderId,
+      productOrderId,
+      discountAmount,
+    },
+  });
+  await tx.coupon.update({
+    where: { id: coupon.id },
+    data: { usageCount: { increment: 1 } },
+  });
+  return redemption;
+};
+
+/**
+ * Give a coupon use back when its order is cancelled or its payment fails.
+ * Safe to call more than once, and for orders that used no coupon.
+ *
+ * @param {{ snfOrderId?: number, productOrderId?: number }} order
+ * @param {string} reason
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object|null>} The reversed redemption, or null if there was none to reverse
+ */
+const reverseRedemption = async ({ snfOrderId = null, productOrderId = null }, reason, client = prisma) => {
+  const where = snfOrderId ? { snfOrderId } : { productOrderId };
+  if (!snfOrderId && !productOrderId) return null;
+
+  const run = async (tx) => {
+    const redemption = await tx.couponRedemption.findFirst({ where: { ...where, status: 'APPLIED' } });
+    if (!redemption) return null;
+
+    const reversed = await tx.couponRedemption.updateMany({
+      where: { id: redemption.id, status: 'APPLIED' },
+      data: { status: 'REVERSED', reversalReason: reason, reversedAt: new Date() },
+    });
+    if (reversed.count === 0) return null;
+
+    await tx.coupon.updateMany({
+      where: { id: redemption.couponId, usageCount: { gt: 0 } },
+      data: { usageCount: { decrement: 1 } },
+    });
+    console.log(`[Coupon] Reversed redemption ${redemption.id} (${reason})`);
+    return redemption;
+  };
+
+  return client === prisma ? prisma.$transaction(run) : run(client);
+};
+
+/**
+ * Take back a coupon use that was given back, when its order turns out to be
+ * paid after all (a late payment success after a failure). The order was
+ * priced with the discount, so usage limits are not checked again.
+ *
+ * @param {{ snfOrderId?: number, productOrderId?: number }} order
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object|null>} The reinstated redemption, or null if there was none reversed
+ */
+const reinstateRedemption = async ({ snfOrderId = null, productOrderId = null }, client = prisma) => {
+  const where = snfOrderId ? { snfOrderId } : { productOrderId };
+  if (!snfOrderId && !productOrderId) return null;
+
+  const run = async (tx) => {
+    const redemption = await tx.couponRedemption.findFirst({ where: { ...where, status: 'REVERSED' } });
+    if (!redemption) return null;
+
+    const reinstated = await tx.couponRedemption.updateMany({
+      where: { id: redemption.id, status: 'REVERSED' },
+      data: { status: 'APPLIED', reversalReason: null, reversedAt: null },
+    });
+    if (reinstated.count === 0) return null;
+
+    await tx.coupon.update({
+      where: { id: redemption.couponId },
+      data: { usageCount: { increment: 1 } },
+    });
+    console.log(`[Coupon] Reinstated redemption ${redemption.id}`);
+    return redemption;
+  };
+
+  return client === prisma ? prisma.$transaction(run) : run(client);
+};
+
+module.exports = {
+  couponInclude,
+  resolveCouponLines,
+  evaluateCoupon,
+  redeemCoupon,
+  reverseRedemption,
+  reinstateRedemption,
+};
@@ -0,0 +1,311 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const path = require('path');
+const dayjs = require('dayjs');
+const { generateCreditNotePdf } = require('../utils/invoiceGeneratorEnhanced');
+const { generateCreditNoteNumber } = require('../utils/invoiceNumberGenerator');
+const { numberToWords } = require('../utils/numberToWords');
+const { COMPANY_DETAILS } = require('./invoiceService');
+const { createTaxResolver, documentTax } = require('./gstRateService');
+const { chargedUnitPrice } = require('./walletService');
+
+const CREDIT_NOTES_DIR = path.join(__dirname, '..', '..', 'uploads', 'credit-notes');
+
+const REASON_LABELS = {
+  SUBSCRIPTION_CANCELLED: 'Subscription cancelled - undelivered quantity credited',
+  DELIVERY_REFUND: 'Delivery not made - amount refunded to wallet',
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const describeDates = (dates) => {
+  const formatted = dates.map((date) => dayjs(date).format('DD/MM/YYYY'));
+  if (formatted.length === 1) {
+    return `Delivery of ${formatted[0]}`;
+  }
+  return `${formatted.length} deliveries from ${formatted[0]} to ${formatted[formatted.length - 1]}`;
+};
+
+/**
+ * Render (or re-render) the PDF for a credit note and store its file name.
+ *
+ * @param {number} creditNoteId
+ * @returns {Promise<Object>} The updated credit note
+ */
+const renderCreditNotePdf = async (creditNoteId) => {
+  const creditNote = await prisma.creditNote.findUnique({
+    where: { id: creditNoteId },
+    include: {
+      items: { orderBy: { id: 'asc' } },
+      member: { include: { user: true } },
+      productOrder: {
+        include: {
+          subscriptions: { include: { deliveryAddress: true }, take: 1 },
+        },
+      },
+    },
+  });
+  if (!creditNote) {
+    throw createError(404, 'Credit note not found');
+  }
+
+  // Same address choice as the invoice: the subscription's delivery address, else the member's default
+  let address = creditNote.productOrder.subscriptions[0]?.deliveryAddress || null;
+  if (!address) {
+    address = await prisma.deliveryAddress.findFirst({
+      where: { memberId: creditNote.memberId, isDefault: true },
+    });
+  }
+
+  const pdfFileName = `${creditNote.creditNoteNo}.pdf`;
+  await generateCreditNotePdf({
+    creditNoteNumber: creditNote.creditNoteNo,
+    creditNoteDate: creditNote.creditNoteDate,
+    invoiceNumber: creditNote.invoiceNo,
+    invoiceDate: creditNote.invoiceDate,
+    orderNo: creditNote.productOrder.orderNo,
+    reason: [REASON_LABELS[creditNote.reason], creditNote.notes].filter(Boolean).join('\n'),
+    member: {
+      memberName: address?.recipientName || creditNote.member.name,
+      mobile: address?.mobile || creditNote.member.user?.mobile || '',
+      addressLines: address
+        ? [address.plotBuilding, address.streetArea, address.landmark || ''].filter(Boolean)
+        : ['-'],
+      city: address?.city || '',
+      state: address?.state || '',
+      pincode: address?.pincode || '',
+      gstin: creditNote.member.gstin || null,
+    },
+    SNFlobal: COMPANY_DETAILS,
+    items: creditNote.items.map((item, index) => ({ ...item, srNo: index + 1 })),
+    totals: {
+      taxableAmount: creditNote.taxableAmount,
+      cgstAmount: creditNote.cgstAmount,
+      sgstAmount: creditNote.sgstAmount,
+      igstAmount: creditNote.igstAmount,
+      totalAmount: creditNote.totalAmount,
+      amountInWords: numberToWords(creditNote.totalAmount),
+    },
+  }, path.join(CREDIT_NOTES_DIR, pdfFileName));
+
+  return prisma.creditNote.update({
+    where: { id: creditNote.id },
+    data: { pdfPath: pdfFileName },
+  });
+};
+
+// Issue the note inside `tx`; see issueCreditNoteForDeliveries
+const issueInTransaction = async (tx, { sourceKey, reason, entryIds, walletTransactionId, createdById, notes }) => {
+  const existing = await tx.creditNote.findUnique({ where: { sourceKey } });
+  if (existing) {
+    return existing;
+  }
+
+  if (!entryIds || entryIds.length === 0) {
+    return null;
+  }
+
+  const entries = await tx.deliveryScheduleEntry.findMany({
+    where: { id: { in: entryIds } },
+    include: {
+      subscription: { include: { product: true, depotProductVariant: true } },
+    },
+    orderBy: { deliveryDate: 'asc' },
+  });
+
+  const orderIds = new Set(entries.map((entry) => entry.subscription?.productOrderId).filter(Boolean));
+  if (orderIds.size === 0) {
+    return null;
+  }
+  if (orderIds.size > 1) {
+    throw createError(400, 'A credit note can only cover deliveries from a single order');
+  }
+
+  const [productOrderId] = orderIds;
+  // Serialise notes against the same invoice so two cannot together exceed it
+  await tx.$queryRaw`SELECT id FROM product_orders WHERE id = ${productOrderId} FOR UPDATE`;
+  const order = await tx.productOrder.findUnique({
+    where: { id: productOrderId },
+    include: { creditNotes: { select: { totalAmount: true } } },
+  });
+  if (!order.invoiceNo) {
+    console.log(`[Credit Note] Order ${order.orderNo} has no invoice; skipping credit note for ${sourceKey}`);
+    return null;
+  }
+
+  const lines = new Map();
+  for (const entry of entries) {
+    if (entry.subscription.productOrderId !== productOrderId) continue;
+    const line = lines.get(entry.subscriptionId) || { subscription: entry.subscription, quantity: 0, dates: [] };
+    line.quantity += entry.quantity;
+    line.dates.push(entry.deliveryDate);
+    lines.set(entry.subscriptionId, line);
+  }
+
+  const resolveTax = await createTaxResolver(
+    [...lines.values()].map(({ subscription }) => subscription.productId),
+    { client: tx }
+  );
+
+  const items = [...lines.values()]
+    .map(({ subscription, quantity, dates }) => {
+      const name = subscription.depotProductVariant?.name || subscription.product?.name || 'Product';
+      const { hsn, rate: gstRate } = resolveTax({
+        productId: subscription.productId,
+        variantName: subscription.depotProductVariant?.name,
+        hsnCode: subscription.depotProductVariant?.hsnCode,
+        label: name,
+      });
+      const rate = round2(chargedUnitPrice(subscription));
+      const amount = round2(chargedUnitPrice(subscription) * quantity);
+      return {
+        subscriptionId: subscription.id,
+        description: [name, describeDates(dates)].join('\n'),
+        hsnSac: hsn || null,
+        quantity,
+        rate,
+        ...documentTax(amount, gstRate),
+        amount,
+      };
+    })
+    .filter((item) => item.amount > 0);
+
+  const totalAmount = round2(items.reduce((sum, item) => sum + item.amount, 0));
+  if (totalAmount <= 0) {
+    return null;
+  }
+
+  const alreadyCredited = order.creditNotes.reduce((sum, note) => sum + note.totalAmount, 0);
+  const invoiceValue = order.totalAmount - (order.couponDiscount || 0);
+  if (alreadyCredited + totalAmount > invoiceValue + 0.01) {
+    throw createError(409, `Credit notes against invoice ${order.invoiceNo} would exceed the invoice value`);
+  }
+
+  const creditNoteNo = await generateCreditNoteNumber(tx);
+  const creditNote = await tx.creditNote.create({
+    data: {
+      creditNoteNo,
+      sourceKey,
+      reason,
+      notes,
+      productOrderId,
+      invoiceNo: order.invoiceNo,
+      invoiceDate: order.createdAt,
+      memberId: order.memberId,
+      walletTransactionId,
+      taxableAmount: round2(items.reduce((sum, item) => sum + item.taxableAmount, 0)),
+      cgstAmount: round2(items.reduce((sum, item) => sum + item.cgstAmount, 0)),
+      sgstAmount: round2(items.reduce((sum, item) => sum + item.sgstAmount, 0)),
+      totalAmount,
+      createdById,
+      items: { create: items },
+    },
+  });
+
+  console.log(`[Credit Note] Issued ${creditNoteNo} for ₹${totalAmount} against invoice ${order.invoiceNo} (${sourceKey})`);
+  return creditNote;
+};
+
+/**
+ * Render the PDF of a committed credit note. A failure is logged and leaves
+ * the PDF to be rendered when the note is first downloaded.
+ *
+ * @param {Object|null} creditNote
+ * @returns {Promise<Object|null>}
+ */
+const renderIssuedCreditNotePdf = async (creditNote) => {
+  if (!creditNote || creditNote.pdfPath) {
+    return creditNote;
+  }
+  try {
+    return await renderCreditNotePdf(creditNote.id);
+  } catch (pdfError) {
+    console.error(`[Credit Note] Failed to render PDF for ${creditNote.creditNoteNo}:`, pdfError);
+    return creditNote;
+  }
+};
+
+/**
+ * Issue a credit note against the tax invoice for deliveries that will not be
+ * made (cancelled, skipped, paused or failed) and whose value is being returned.
+ * Each line credits what the member paid for those deliveries, after the
+ * subscription's coupon discount, with GST at the variant's rate.
+ *
+ * Pass the transaction that returns the money so the note commits (or rolls
+ * back) with it; its PDF is then left to renderIssuedCreditNotePdf once the
+ * transaction has committed. Without `tx` the note is issued and rendered here.
+ *
+ * Idempotent on sourceKey: calling again for the same event returns the note
+ * already issued. Orders without an invoice have nothing to offset, so no
+ * note is issued for them.
+ *
+ * @param {Object} params
+ * @param {string} params.sourceKey - Identifies the event, e.g. `cancel_subscription:12`
+ * @param {'SUBSCRIPTION_CANCELLED'|'DELIVERY_REFUND'} params.reason
+ * @param {number[]} params.entryIds - Delivery schedule entries being credited, all from one order
+ * @param {number} [params.walletTransactionId] - Wallet refund the note accompanies
+ * @param {number} [params.createdById]
+ * @param {string} [params.notes]
+ * @param {import('@prisma/client').Prisma.TransactionClient} [tx]
+ * @returns {Promise<Object|null>} The credit note, or null when there is nothing to credit
+ */
+const issueCreditNoteForDeliveries = async ({
+  sourceKey,
+  reason,
+  entryIds,
+  walletTransactionId = null,
+  createdById = null,
+  notes = null,
+}, tx = null) => {
+  const params = { sourceKey, reason, entryIds, walletTransactionId, createdById, notes };
+  if (tx) {
+    return issueInTransaction(tx, params);
+  }
+
+  let creditNote;
+  try {
+    creditNote = await prisma.$transaction((client) => issueInTransaction(client, params));
+  } catch (error) {
+    // Another request issued the same event's note first
+    if (error.code !== 'P2002' || !String(error.meta?.target).includes('sourceKey')) throw error;
+    return prisma.creditNote.findUnique({ where: { sourceKey } });
+  }
+  return renderIssuedCreditNotePdf(creditNote);
+};
+
+/**
+ * Credit note for deliveries whose value was refunded to the member's wallet
+ * (skips, pauses, failed deliveries). Keyed on the refund, so each refund is
+ * credited exactly once.
+ *
+ * @param {Object} params
+ * @param {Object} params.walletTransaction - The refund credit
+ * @param {number[]} params.entryIds - Delivery schedule entries refunded
+ * @param {number} [params.createdById]
+ * @param {import('@prisma/client').Prisma.TransactionClient} [tx] - The refund's transaction
+ * @returns {Promise<Object|null>}
+ */
+const issueDeliveryRefundCreditNote = ({ walletTransaction, entryIds, createdById = null }, tx = null) =>
+  issueCreditNoteForDeliveries({
+    sourceKey: `wallet_refund:${walletTransaction.id}`,
+    reason: 'DELIVERY_REFUND',
+    entryIds,
+    walletTransactionId: walletTransaction.id,
+    createdById,
+  }, tx);
+
+/**
+ * Absolute path of a credit note's PDF in the uploads folder.
+ * @param {Object} creditNote
+ * @returns {string|null}
+ */
+const getCreditNotePdfPath = (creditNote) =>
+  creditNote.pdfPath ? path.join(CREDIT_NOTES_DIR, creditNote.pdfPath) : null;
+
+module.exports = {
+  issueCreditNoteForDeliveries,
+  issueDeliveryRefundCreditNote,
+  renderCreditNotePdf,
+  renderIssuedCreditNotePdf,
+  getCreditNotePdfPath,
+};
@@ -112,7 +112,7 @@ const checkAndSendLapsedSubscriptionReminders = async () => {
       for (const sub of subscriptions) {
         // Send reminder for every subscription that expired yesterday
         if (sub.member && sub.member.user && sub.member.user.mobile) {
-          await sendSubscriptionRenewalPendingWhatsAppMessage(sub.member.user);
+          await sendSubscriptionRenewalPendingWhatsAppMessage(sub.member.user, sub);
         }
       }
 
@@ -171,7 +171,7 @@ const checkAndSendFinalSubscriptionReminders = async () => {
 
       for (const sub of subscriptions) {
         if (sub.member && sub.member.user && sub.member.user.mobile) {
-          await sendSubscriptionRenewalFinalWhatsAppMessage(sub.member.user);
+          await sendSubscriptionRenewalFinalWhatsAppMessage(sub.member.user, sub);
         }
       }
 
@@ -186,15 +186,189 @@ const checkAndSendFinalSubscriptionReminders = async () => {
   }
 };
 
+/**
+ * Reconcile PhonePe payments whose webhook never arrived.
+ * Every transaction still PENDING after PHONEPE_RECONCILE_AFTER_MINUTES is
+ * re-checked with PhonePe; checkOrderStatus persists the state and settles the order.
+ * A transaction that stays pending, or whose check fails, waits twice as long
+ * before each further check (capped at a day), so stuck rows cannot crowd out
+ * newer ones; after PHONEPE_RECONCILE_MAX_AGE_HOURS it is no longer checked.
+ */
+const reconcilePendingPhonePePayments = async () => {
+  console.log('[PhonePe Reconciliation] Started sweep');
+  try {
+    const { checkOrderStatus } = require('./phonePeService');
+    const olderThanMinutes = parseInt(process.env.PHONEPE_RECONCILE_AFTER_MINUTES || '15');
+    const maxAgeHours = parseInt(process.env.PHONEPE_RECONCILE_MAX_AGE_HOURS || '72');
+    const now = dayjs();
+    const cutoff = now.subtract(olderThanMinutes, 'minute').toDate();
+
+    const pending = await prisma.phonePeTransaction.findMany({
+      where: {
+        state: 'PENDING',
+        createdAt: { lt: cutoff, gte: now.subtract(maxAgeHours, 'hour').toDate() },
+        OR: [{ nextCheckAt: null }, { nextCheckAt: { lte: now.toDate() } }],
+      },
+      select: { id: true, merchantOrderId: true, reconcileAttempts: true },
+      orderBy: { createdAt: 'asc' },
+      take: 200,
+    });
+
+    let settled = 0;
+    let failed = 0;
+    for (const txn of pending) {
+      let state = null;
+      try {
+        const result = await checkOrderStatus(txn.merchantOrderId);
+        state = result.state;
+      } catch (error) {
+        failed++;
+        console.error(`[PhonePe Reconciliation] Status check failed for ${txn.merchantOrderId}:`, error.response?.data || error.message);
+      }
+
+      if (state && state !== 'PENDING') {
+        settled++;
+      } else {
+        const attempts = txn.reconcileAttempts + 1;
+        const delayMinutes = Math.min(olderThanMinutes * 2 ** attempts, 24 * 60);
+        await prisma.phonePeTransaction.update({
+          where: { id: txn.id },
+          data: { reconcileAttempts: attempts, nextCheckAt: dayjs().add(delayMinutes, 'minute').toDate() },
+        });
+      }
+      // Stay well under PhonePe's rate limits
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    console.log(`[PhonePe Reconciliation] Checked ${pending.length}, settled ${settled}, errors ${failed}.`);
+  } catch (error) {
+    console.error('[PhonePe Reconciliation] Error running sweep:', error);
+  }
+};
+
+/**
+ * Renew opted-in subscriptions that are about to expire, paying from the member wallet.
+ */
+const processSubscriptionAutoRenewals = async () => {
+  console.log('[Auto Renewals] Started run');
+  try {
+    const { processAutoRenewals } = require('./subscriptionRenewalService');
+    const summary = await processAutoRenewals();
+    console.log(`[Auto Renewals] Completed run. Checked ${summary.checked}, renewed ${summary.renewed}, failed ${summary.failed}, skipped ${summary.skipped}.`);
+  } catch (error) {
+    console.error('[Auto Renewals] Error running renewals:', error);
+  }
+};
+
+/**
+ * Deliver queued WhatsApp messages that are due, including retries of earlier failures.
+ */
+const processWhatsAppOutboxQueue = async () => {
+  try {
+    const { processWhatsAppOutbox } = require('./whatsAppOutboxService');
+    const summary = await processWhatsAppOutbox();
+    if (summary.attempted > 0 || summary.released > 0) {
+      console.log(`[WhatsApp Outbox] Attempted ${summary.attempted}, sent ${summary.sent}, retrying ${summary.retrying}, failed ${summary.failed}, released ${summary.released} stale.`);
+    }
+  } catch (error) {
+    console.error('[WhatsApp Outbox] Error processing queue:', error);
+  }
+};
+
+/**
+ * Remove login sessions that expired or were revoked over a month ago.
+ */
+const purgeExpiredSessions = async () => {
+  try {
+    const { purgeStaleSessions } = require('./sessionService');
+    const deleted = await purgeStaleSessions();
+    console.log(`[Sessions] Purged ${deleted} stale session(s).`);
+  } catch (error) {
+    console.error('[Sessions] Error purging stale sessions:', error);
+  }
+};
+
+/**
+ * Materialise yesterday's analytics snapshot for the dashboard trends.
+ */
+const captureAnalyticsSnapshot = async () => {
+  try {
+    const { captureDailySnapshot } = require('./analyticsService');
+    const summary = await captureDailySnapshot(dayjs().subtract(1, 'day').format('YYYY-MM-DD'));
+    console.log(`[Analytics] Captured snapshot for ${summary.date} (${summary.rows} rows).`);
+  } catch (error) {
+    console.error('[Analytics] Error capturing snapshot:', error);
+  }
+};
+
+/**
+ * Draft tomorrow's vendor purchase orders from subscription and SNF demand for procurement to review.
+ */
+const draftVendorOrdersForTomorrow = async () => {
+  try {
+    const { generateDrafts } = require('./procurementPlanningService');
+    const summary = await generateDrafts(dayjs().add(1, 'day').format('YYYY-MM-DD'));
+    console.log(`[Procurement] Drafted ${summary.orders.length} vendor order(s) for ${summary.date}, replaced ${summary.replaced}, ${summary.unassigned.length} line(s) unassigned.`);
+  } catch (error) {
+    console.error('[Procurement] Error drafting vendor orders:', error);
+  }
+};
+
+/**
+ * Flag batches close to expiry for discounting and write expired batches off into wastage.
+ */
+const checkBatchExpiry = async () => {
+  try {
+    const { runExpiryCheck } = require('./stockBatchService');
+    const summary = await runExpiryCheck();
+    const quantity = summary.writeOffs.reduce((sum, writeOff) => sum + writeOff.quantity, 0);
+    console.log(`[Batch Expiry] Flagged ${summary.flagged} batch(es) near expiry, wrote off ${quantity} unit(s) across ${summary.writeOffs.length} depot(s) for ${summary.date}.`);
+    if (summary.failures.length > 0) {
+      console.error(`[Batch Expiry] Write-off failed for depot(s) ${summary.failures.map((failure) => failure.depotId).join(', ')}.`);
+    }
+  } catch (error) {
+    console.error('[Batch Expiry] Error checking batch expiry:', error);
+  }
+};
+
 const initCronJobs = () => {
   // Run every day at 1:00 AM
   cron.schedule('0 1 * * *', async () => {
+    // 0. Auto-renew opted-in subscriptions before any renewal reminders go out
+    await processSubscriptionAutoRenewals();
     // 1. Regular 3-day reminders
     await checkAndSendSubscriptionReminders();
     // 2. Final 1-day reminders (ends tomorrow)
     await checkAndSendFinalSubscriptionReminders();
     // 3. Lapsed 1-day reminders (ended yesterday)
     await checkAndSendLapsedSubscriptionReminders();
+    // 4. Housekeeping
+    await purgeExpiredSessions();
+    // 5. Yesterday's analytics, once the night's renewals are in
+    await captureAnalyticsSnapshot();
+    // 6. Expired stock out before the day's issues start
+    await checkBatchExpiry();
+  }, {
+    timezone: "Asia/Kolkata"
+  });
+
+  // Every evening at 8:00 PM: draft vendor orders for the next day's deliveries
+  cron.schedule('0 20 * * *', async () => {
+    await draftVendorOrdersForTomorrow();
+  }, {
+    timezone: "Asia/Kolkata"
+  });
+
+  // Every 10 minutes: settle PhonePe payments stuck in PENDING
+  cron.schedule('*/10 * * * *', async () => {
+    await reconcilePendingPhonePePayments();
+  }, {
+    timezone: "Asia/Kolkata"
+  });
+
+  // Every minute: send queued WhatsApp messages and retry failed ones
+  cron.schedule('* * * * *', async () => {
+    await processWhatsAppOutboxQueue();
   }, {
     timezone: "Asia/Kolkata"
   });
@@ -204,5 +378,12 @@ module.exports = {
   initCronJobs,
   checkAndSendSubscriptionReminders,
   checkAndSendLapsedSubscriptionReminders,
-  checkAndSendFinalSubscriptionReminders
+  checkAndSendFinalSubscriptionReminders,
+  processSubscriptionAutoRenewals,
+  reconcilePendingPhonePePayments,
+  processWhatsAppOutboxQueue,
+  purgeExpiredSessions,
+  captureAnalyticsSnapshot,
+  draftVendorOrdersForTomorrow,
+  checkBatchExpiry
 };
@@ -0,0 +1,619 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+const walletService = require('./walletService');
+const { issueDeliveryRefundCreditNote, renderIssuedCreditNotePdf } = require('./creditNoteService');
+const { issueOrderStock, returnOrderStock } = require('./stockReservationService');
+const { recordCodCollection, reverseCodCollection } = require('./riderCashService');
+const { postEntryStock } = require('./deliveryStockService');
+const { proofForTransition, recordProofEvent, sendDeliveryOtp } = require('./deliveryProofService');
+
+/**
+ * Delivery lifecycle: the only place that moves DeliveryScheduleEntry and
+ * DeliveryAssignment statuses. Agency, admin, delivery-partner and customer
+ * flows all go through here so refunds, assignment syncing, notifications and
+ * the status history behave the same whoever makes the change.
+ */
+
+const Source = {
+  ADMIN: 'ADMIN',
+  AGENCY: 'AGENCY',
+  DELIVERY_PARTNER: 'DELIVERY_PARTNER',
+  CUSTOMER: 'CUSTOMER',
+  SYSTEM: 'SYSTEM',
+};
+
+// Allowed DeliveryStatus transitions (from -> to)
+const ENTRY_TRANSITIONS = {
+  PENDING: ['DELIVERED', 'NOT_DELIVERED', 'CANCELLED', 'SKIPPED', 'SKIP_BY_CUSTOMER', 'INDRAAI_DELIVERY', 'TRANSFER_TO_AGENT'],
+  INDRAAI_DELIVERY: ['PENDING', 'DELIVERED', 'NOT_DELIVERED', 'CANCELLED', 'SKIPPED', 'SKIP_BY_CUSTOMER', 'TRANSFER_TO_AGENT'],
+  TRANSFER_TO_AGENT: ['PENDING', 'DELIVERED', 'NOT_DELIVERED', 'CANCELLED', 'SKIPPED', 'SKIP_BY_CUSTOMER', 'INDRAAI_DELIVERY'],
+  NOT_DELIVERED: ['PENDING', 'DELIVERED', 'SKIPPED', 'SKIP_BY_CUSTOMER', 'CANCELLED'],
+  SKIPPED: ['SKIP_BY_CUSTOMER', 'NOT_DELIVERED', 'CANCELLED'],
+  SKIP_BY_CUSTOMER: ['PENDING', 'SKIPPED', 'NOT_DELIVERED', 'CANCELLED'],
+  DELIVERED: ['NOT_DELIVERED'],
+  CANCELLED: [],
+};
+
+// Allowed DeliveryAssignmentStatus transitions (from -> to)
+const ASSIGNMENT_TRANSITIONS = {
+  ASSIGNED: ['OUT_FOR_DELIVERY', 'DELIVERED', 'NOT_DELIVERED', 'FAILED', 'REASSIGNED'],
+  OUT_FOR_DELIVERY: ['DELIVERED', 'NOT_DELIVERED', 'FAILED', 'REASSIGNED'],
+  NOT_DELIVERED: ['ASSIGNED', 'DELIVERED'],
+  FAILED: ['ASSIGNED', 'DELIVERED'],
+  REASSIGNED: ['ASSIGNED'],
+  DELIVERED: ['NOT_DELIVERED'],
+};
+
+// Undoing a delivery is a correction only an admin may make
+const ADMIN_ONLY_FROM = ['DELIVERED'];
+
+// Statuses where the customer did not get the goods and is credited the entry's value
+const REFUND_STATUSES = ['SKIPPED', 'SKIP_BY_CUSTOMER', 'NOT_DELIVERED'];
+
+// Statuses that mean the goods are (still) going out; a refunded entry cannot return to them
+const OUTBOUND_STATUSES = ['PENDING', 'DELIVERED', 'INDRAAI_DELIVERY', 'TRANSFER_TO_AGENT'];
+
+// An entry skipped by a pause was compensated with the pause as a whole (one
+// wallet credit for every skipped delivery, or deliveries added at the end)
+const compensatedBy = (entry) => {
+  if (entry.walletTransactionId) return 'refunded to the customer\'s wallet';
+  if (entry.pauseId) return `compensated by subscription pause #${entry.pauseId}`;
+  return null;
+};
+
+// How a schedule entry's status carries over to its assignment, and back
+const ENTRY_TO_ASSIGNMENT = {
+  PENDING: 'ASSIGNED',
+  DELIVERED: 'DELIVERED',
+  NOT_DELIVERED: 'NOT_DELIVERED',
+  SKIPPED: 'NOT_DELIVERED',
+  SKIP_BY_CUSTOMER: 'NOT_DELIVERED',
+  CANCELLED: 'NOT_DELIVERED',
+};
+const ASSIGNMENT_TO_ENTRY = {
+  ASSIGNED: 'PENDING',
+  DELIVERED: 'DELIVERED',
+  NOT_DELIVERED: 'NOT_DELIVERED',
+  FAILED: 'NOT_DELIVERED',
+};
+
+// Reference numbers used for delivery refunds before this service existed,
+// checked so entries refunded by an older flow are not credited again
+const refundReferences = (entryId) => [
+  `DELIVERY_${entryId}`,
+  `ADMIN_DELIVERY_${entryId}`,
+  `ADMIN_ND_REFUND_${entryId}`,
+  `SKIP_DELIVERY_${entryId}`,
+];
+
+const entryInclude = {
+  product: { select: { id: true, name: true } },
+  member: {
+    select: {
+      id: true,
+      name: true,
+      walletBalance: true,
+      user: { select: { id: true, name: true, email: true, mobile: true } },
+    },
+  },
+  deliveryAddress: {
+    select: {
+      id: true,
+      recipientName: true,
+      mobile: true,
+      plotBuilding: true,
+      streetArea: true,
+      landmark: true,
+      pincode: true,
+      city: true,
+      state: true,
+      label: true,
+    },
+  },
+  subscription: {
+    select: {
+      id: true,
+      agencyId: true,
+      rate: true,
+      qty: true,
+      deliveryInstructions: true,
+    },
+  },
+};
+
+const canTransition = (table, from, to) => (table[from] || []).includes(to);
+
+const assertTransition = (table, from, to, source, label) => {
+  if (!canTransition(table, from, to)) {
+    throw createError(409, `${label} cannot move from ${from} to ${to}`);
+  }
+  if (ADMIN_ONLY_FROM.includes(from) && source !== Source.ADMIN) {
+    throw createError(403, `Only an admin can change ${label.toLowerCase()} status once it is ${from}`);
+  }
+};
+
+const assignmentTimestamps = (status) => {
+  if (status === 'DELIVERED') return { deliveredAt: new Date(), failedAt: null };
+  if (status === 'NOT_DELIVERED' || status === 'FAILED') return { failedAt: new Date() };
+  if (status === 'ASSIGNED') return { deliveredAt: null, failedAt: null };
+  return {};
+};
+
+/**
+ * Credit the entry's value to the member's wallet unless it was already
+ * compensated, by this service (walletTransactionId), a pause (pauseId) or an
+ * older flow.
+ * @returns {Promise<{ walletTransaction: Object|null, linked: boolean }>}
+ */
+const refundEntry = async (tx, entry, toStatus, { actorId, reason }) => {
+  if (compensatedBy(entry)) {
+    return { walletTransaction: null, linked: false };
+  }
+
+  const earlierRefund = await tx.walletTransaction.findFirst({
+    where: {
+      memberId: entry.subscription.memberId,
+      type: 'CREDIT',
+      referenceNumber: { in: refundReferences(entry.id) },
+      deliveryScheduleEntry: { is: null },
+    },
+  });
+  if (earlierRefund) {
+    return { walletTransaction: earlierRefund, linked: true };
+  }
+
+  const amount = walletService.calculateRefundAmount(entry);
+  if (!(amount > 0)) {
+    return { walletTransaction: null, linked: false };
+  }
+
+  const formattedDate = dayjs(entry.deliveryDate).format('DD/MM/YYYY');
+  const what = toStatus === 'NOT_DELIVERED'
+    ? `Refund for undelivered item on ${formattedDate}`
+    : `Credit for skipped delivery on ${formattedDate}`;
+  const notes = [
+    reason,
+    `${what} - Order ID: ${entry.subscription.id}, Product: ${entry.product?.name || 'Product'}`,
+  ].filter(Boolean).join(' - ');
+
+  const walletTransaction = await walletService.creditWallet(
+    entry.subscription.memberId,
+    amount,
+    `DELIVERY_${entry.id}`,
+    notes,
+    actorId,
+    tx
+  );
+  return { walletTransaction, linked: false };
+};
+
+/**
+ * Move a locked schedule entry to `toStatus` inside `tx`. Returns what changed
+ * so the caller can sync the assignment and write the history row. With
+ * `settledByCaller` no refund is made and a compensated entry may go out
+ * again: the caller credits or takes back the money for its batch itself.
+ */
+const applyEntryTransition = async (
+  tx,
+  entry,
+  toStatus,
+  { source, actorId, reason, entryData = {}, settledByCaller = false }
+) => {
+  assertTransition(ENTRY_TRANSITIONS, entry.status, toStatus, source, 'Delivery');
+
+  const compensation = compensatedBy(entry);
+  if (compensation && !settledByCaller && OUTBOUND_STATUSES.includes(toStatus)) {
+    throw createError(409, `Delivery ${entry.id} was already ${compensation} and cannot be moved to ${toStatus}`);
+  }
+
+  let refund = { walletTransaction: null, linked: false };
+  if (REFUND_STATUSES.includes(toStatus) && !settledByCaller) {
+    refund = await refundEntry(tx, entry, toStatus, { actorId, reason });
+  }
+
+  await tx.deliveryScheduleEntry.update({
+    where: { id: entry.id },
+    data: {
+      ...entryData,
+      status: toStatus,
+      ...(refund.walletTransaction ? { walletTransactionId: refund.walletTransaction.id } : {}),
+    },
+  });
+
+  // Delivered goods leave depot stock; undoing a delivery returns them
+  await postEntryStock(tx, entry, toStatus);
+
+  // A refunded delivery reduces the tax invoice, in the same transaction as the refund
+  // (a refund found from an older flow is linked, not reported as a new credit)
+  const walletTransaction = refund.linked ? null : refund.walletTransaction;
+  const creditNote = walletTransaction
+    ? await issueDeliveryRefundCreditNote({ walletTransaction, entryIds: [entry.id], createdById: actorId }, tx)
+    : null;
+
+  return { fromStatus: entry.status, toStatus, walletTransaction, creditNote };
+};
+
+const loadLockedEntry = async (tx, entryId) => {
+  await tx.$queryRaw`SELECT id FROM delivery_schedule_entries WHERE id = ${entryId} FOR UPDATE`;
+  return tx.deliveryScheduleEntry.findUnique({
+    where: { id: entryId },
+    include: {
+      subscription: {
+        select: {
+          id: true,
+          agencyId: true,
+          rate: true,
+          qty: true,
+          amount: true,
+          totalQty: true,
+          couponDiscount: true,
+          memberId: true,
+          depotProductVariantId: true,
+        },
+      },
+      product: { select: { id: true, name: true } },
+      deliveryAssignment: true,
+    },
+  });
+};
+
+const recordHistory = (tx, data) => tx.deliveryStatusHistory.create({ data });
+
+// Bring a changed entry's assignment, if any, in line and write the history row.
+// The assignment's delivery proof follows as it would for a direct assignment change.
+const recordEntryChange = async (
+  tx,
+  entry,
+  change,
+  { source, actorId, reason, walletTransactionId = null, override = null }
+) => {
+  const history = {
+    deliveryScheduleEntryId: entry.id,
+    fromStatus: change.fromStatus,
+    toStatus: change.toStatus,
+    source,
+    changedById: actorId,
+    reason,
+    walletTransactionId: change.walletTransaction?.id || walletTransactionId,
+  };
+
+  const assignment = entry.deliveryAssignment;
+  const assignmentStatus = ENTRY_TO_ASSIGNMENT[change.toStatus];
+  if (
+    assignment &&
+    assignmentStatus &&
+    assignment.status !== assignmentStatus &&
+    canTransition(ASSIGNMENT_TRANSITIONS, assignment.status, assignmentStatus)
+  ) {
+    const deliveryProof = proofForTransition(assignment, assignmentStatus, { source, override });
+    await tx.deliveryAssignment.update({
+      where: { id: assignment.id },
+      data: { ...deliveryProof.data, status: assignmentStatus, ...assignmentTimestamps(assignmentStatus) },
+    });
+    if (deliveryProof.event) {
+      await recordProofEvent(tx, { deliveryAssignmentId: assignment.id, note: reason, ...deliveryProof.event, actorId });
+    }
+    Object.assign(history, {
+      deliveryAssignmentId: assignment.id,
+      fromAssignmentStatus: assignment.status,
+      toAssignmentStatus: assignmentStatus,
+    });
+  }
+
+  await recordHistory(tx, history);
+};
+
+/**
+ * Change the status of a subscription delivery (DeliveryScheduleEntry).
+ *
+ * Refunds are credited once per entry: moving between refund statuses, or
+ * re-marking the same status, never credits again. Delivering issues the
+ * entry's stock and undoing a delivery reverses it (see deliveryStockService).
+ * The entry's assignment, if any, follows the new status; delivering one
+ * needs the reason and photo of a supervised override (see deliveryProofService).
+ *
+ * @param {number} entryId
+ * @param {string} toStatus - DeliveryStatus
+ * @param {Object} options
+ * @param {string} options.source - DeliveryStatusChangeSource
+ * @param {number} [options.actorId] - User making the change
+ * @param {string} [options.reason]
+ * @param {Object} [options.entryData] - Other entry fields to set with the status (adminNotes, agentId)
+ * @param {Object} [options.override] - { reason, photoUrl } when this delivers the entry's assignment
+ * @returns {Promise<{ entry: Object, walletTransaction: Object|null, changed: boolean, fromStatus: string }>}
+ */
+const changeEntryStatus = async (
+  entryId,
+  toStatus,
+  { source, actorId = null, reason = null, entryData = {}, override = null }
+) => {
+  const result = await prisma.$transaction(async (tx) => {
+    const entry = await loadLockedEntry(tx, entryId);
+    if (!entry) {
+      throw createError(404, 'Delivery entry not found');
+    }
+
+    if (entry.status === toStatus) {
+      if (Object.keys(entryData).length > 0) {
+        await tx.deliveryScheduleEntry.update({ where: { id: entry.id }, data: entryData });
+      }
+      return { changed: false, fromStatus: entry.status, walletTransaction: null };
+    }
+
+    const change = await applyEntryTransition(tx, entry, toStatus, { source, actorId, reason, entryData });
+    await recordEntryChange(tx, entry, change, { source, actorId, reason, override });
+    return { changed: true, ...change };
+  });
+
+  const entry = await prisma.deliveryScheduleEntry.findUnique({ where: { id: entryId }, include: entryInclude });
+  if (result.changed) {
+    await afterEntryTransition(entry, { ...result, actorId, reason });
+  }
+  return { entry, ...result };
+};
+
+/**
+ * Move a batch of subscription deliveries inside the caller's transaction, for
+ * flows that settle the money for the whole batch themselves: a pause credits
+ * (or extends) once for every delivery it skips, resuming takes that back, and
+ * cancelling a subscription refunds what is left. No per-entry refund is made;
+ * stock, assignments and the status history follow as in changeEntryStatus.
+ *
+ * Entries are locked one by one; those no longer in `fromStatuses` are left
+ * alone, so callers compare the ids returned with what they asked for.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {number[]} entryIds
+ * @param {string} toStatus - DeliveryStatus
+ * @param {Object} options
+ * @param {string} options.source - DeliveryStatusChangeSource
+ * @param {string[]} options.fromStatuses - Statuses an entry must still be in to move
+ * @param {number} [options.actorId]
+ * @param {string} [options.reason]
+ * @param {Object} [options.entryData] - Other entry fields to set with the status (pauseId)
+ * @param {number} [options.walletTransactionId] - Batch credit or debit, recorded on each history row
+ * @returns {Promise<number[]>} Ids of the entries moved
+ */
+const changeEntriesStatus = async (
+  tx,
+  entryIds,
+  toStatus,
+  { source, fromStatuses, actorId = null, reason = null, entryData = {}, walletTransactionId = null }
+) => {
+  const moved = [];
+  // Ascending ids so two batches touching the same entries lock them in the same order
+  for (const entryId of [...entryIds].sort((a, b) => a - b)) {
+    const entry = await loadLockedEntry(tx, entryId);
+    if (!entry || !fromStatuses.includes(entry.status) || entry.status === toStatus) continue;
+
+    const change = await applyEntryTransition(tx, entry, toStatus, {
+      source, actorId, reason, entryData, settledByCaller: true,
+    });
+    await recordEntryChange(tx, entry, change, { source, actorId, reason, walletTransactionId });
+    moved.push(entry.id);
+  }
+  return moved;
+};
+
+/**
+ * Change the status of a delivery assignment (delivery-partner flow). A
+ * subscription delivery's schedule entry follows, with the same refund rules
+ * as changeEntryStatus; a delivered SNF order is settled and its stock issued,
+ * and undoing that delivery voids the rider's cash entry (see riderCashService)
+ * and returns the stock to the order's reservation.
+ * Going out for delivery sends the customer an OTP, which a rider must have
+ * verified before marking the assignment DELIVERED; an admin or agency marking
+ * it DELIVERED gives the reason and photo of a supervised override instead
+ * (see deliveryProofService).
+ *
+ * @param {number} assignmentId
+ * @param {string} toStatus - DeliveryAssignmentStatus
+ * @param {Object} options
+ * @param {string} options.source - DeliveryStatusChangeSource
+ * @param {number} [options.actorId]
+ * @param {string} [options.reason]
+ * @param {Object} [options.assignmentData] - Other assignment fields to set (cashCollected, deliveryPhotoUrl, deliveryNotes, deliveryDate)
+ * @param {string} [options.proof] - 'OVERRIDE' to deliver on an approved override request instead of the OTP
+ * @param {Object} [options.override] - { reason, photoUrl } when an admin or agency marks it DELIVERED
+ * @param {Function} [options.inTransaction] - async (tx, assignment) => {}, further writes committed with the change
+ * @returns {Promise<{ assignment: Object, walletTransaction: Object|null, changed: boolean }>}
+ */
+const changeAssignmentStatus = async (
+  assignmentId,
+  toStatus,
+  {
+    source, actorId = null, reason = null, assignmentData = {}, proof = null, override = null, inTransaction = null,
+  }
+) => {
+  const result = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM delivery_assignments WHERE id = ${assignmentId} FOR UPDATE`;
+    const assignment = await tx.deliveryAssignment.findUnique({ where: { id: assignmentId } });
+    if (!assignment) {
+      throw createError(404, 'Assignment not found.');
+    }
+
+    if (assignment.status === toStatus) {
+      return { changed: false, assignment, walletTransaction: null };
+    }
+    assertTransition(ASSIGNMENT_TRANSITIONS, assignment.status, toStatus, source, 'Assignment');
+
+    // Delivery OTP issued, required or reset by this move
+    const deliveryProof = proofForTransition(assignment, toStatus, { source, proof, override });
+
+    const updated = await tx.deliveryAssignment.update({
+      where: { id: assignment.id },
+      data: { ...assignmentData, ...deliveryProof.data, status: toStatus, ...assignmentTimestamps(toStatus) },
+    });
+    if (deliveryProof.event) {
+      await recordProofEvent(tx, { deliveryAssignmentId: assignment.id, note: reason, ...deliveryProof.event, actorId });
+    }
+
+    const history = {
+      deliveryAssignmentId: assignment.id,
+      snfOrderId: assignment.snfOrderId,
+      fromAssignmentStatus: assignment.status,
+      toAssignmentStatus: toStatus,
+      source,
+      changedById: actorId,
+      reason,
+    };
+
+    let entryChange = null;
+    const entryStatus = ASSIGNMENT_TO_ENTRY[toStatus];
+    if (assignment.deliveryScheduleEntryId && entryStatus) {
+      const entry = await loadLockedEntry(tx, assignment.deliveryScheduleEntryId);
+      if (entry && entry.status !== entryStatus) {
+        entryChange = await applyEntryTransition(tx, entry, entryStatus, { source, actorId, reason });
+        Object.assign(history, {
+          deliveryScheduleEntryId: entry.id,
+          fromStatus: entryChange.fromStatus,
+          toStatus: entryStatus,
+          walletTransactionId: entryChange.walletTransaction?.id || null,
+        });
+      }
+    }
+
+    if (toStatus === 'DELIVERED' && assignment.snfOrderId) {
+      await settleDeliveredOrder(tx, updated);
+    } else if (assignment.status === 'DELIVERED' && assignment.snfOrderId) {
+      // Delivery undone (admin correction or reopened dispute): the cash was not collected after all,
+      // and the goods are back in stock, held for the order until it is re-delivered
+      await reverseCodCollection(tx, updated);
+      await returnOrderStock(updated.snfOrderId, tx);
+    }
+
+    if (inTransaction) {
+      await inTransaction(tx, updated);
+    }
+
+    await recordHistory(tx, history);
+    return {
+      changed: true,
+      assignment: updated,
+      entryChange,
+      walletTransaction: entryChange?.walletTransaction || null,
+      otp: deliveryProof.otp,
+    };
+  });
+
+  if (result.changed) {
+    if (result.otp) {
+      await sendDeliveryOtp(result.assignment, result.otp);
+    }
+    if (result.entryChange) {
+      const entry = await prisma.deliveryScheduleEntry.findUnique({
+        where: { id: result.assignment.deliveryScheduleEntryId },
+        include: entryInclude,
+      });
+      await afterEntryTransition(entry, { ...result.entryChange, actorId, reason });
+    }
+  }
+
+  return { assignment: result.assignment, walletTransaction: result.walletTransaction, changed: result.changed };
+};
+
+// Delivered SNF order: record the rider's cash (shortfall on customer or rider), mark it paid
+// and, since the goods have left the depot, turn its reservation into a stock issue
+const settleDeliveredOrder = async (tx, assignment) => {
+  const order = await tx.sNFOrder.findUnique({ where: { id: assignment.snfOrderId } });
+  if (!order) return;
+
+  await recordCodCollection(tx, assignment, order);
+  await issueOrderStock(order.id, tx);
+
+  await tx.sNFOrder.update({
+    where: { id: order.id },
+    data: { paymentStatus: 'PAID' },
+  });
+};
+
+// Side effects of a committed entry transition; failures are logged, not thrown
+const afterEntryTransition = async (entry, { toStatus, walletTransaction, creditNote, reason }) => {
+  await renderIssuedCreditNotePdf(creditNote);
+
+  const user = entry.member?.user;
+  if (!user || !user.mobile) return;
+
+  try {
+    const {
+      sendDeliveryWhatsAppMessage,
+      sendSkipDeliveryWhatsAppMessage,
+      sendNotDeliveredWhatsAppMessage,
+      sendWalletCreditWhatsAppMessage,
+    } = require('./whatsAppService');
+    const refundAmount = walletTransaction?.amount || 0;
+
+    if (toStatus === 'DELIVERED') {
+      await sendDeliveryWhatsAppMessage(user, entry);
+    } else if (toStatus === 'SKIPPED' || toStatus === 'SKIP_BY_CUSTOMER') {
+      await sendSkipDeliveryWhatsAppMessage(user, {
+        date: dayjs(entry.deliveryDate).format('DD/MM/YYYY'),
+        refundAmount,
+        entryId: entry.id,
+      });
+    } else if (toStatus === 'NOT_DELIVERED') {
+      await sendNotDeliveredWhatsAppMessage(user, {
+        orderNo: `SUB-${entry.subscription.id}`,
+        reason: reason || entry.adminNotes || 'Delivery attempt failed.',
+        refundAmount,
+        entryId: entry.id,
+      });
+    }
+
+    if (refundAmount > 0) {
+      await sendWalletCreditWhatsAppMessage(
+        user,
+        refundAmount,
+        `SUB-${entry.subscription.id}`,
+        { businessKey: `wallet_credit:transaction:${walletTransaction.id}` }
+      );
+    }
+  } catch (waError) {
+    console.error(`Failed to send WhatsApp message for delivery ${entry.id} (${toStatus}):`, waError);
+  }
+};
+
+/**
+ * Status history of a subscription delivery, oldest first.
+ * @param {number} entryId
+ * @returns {Promise<Object[]>}
+ */
+const getEntryHistory = (entryId) =>
+  prisma.deliveryStatusHistory.findMany({
+    where: { deliveryScheduleEntryId: entryId },
+    include: { changedBy: { select: { id: true, name: true, role: true } } },
+    orderBy: { id: 'asc' },
+  });
+
+/**
+ * Maps the role of the user making a change to a history source.
+ * @param {string} role
+ * @returns {string} DeliveryStatusChangeSource
+ */
+const sourceForRole = (role) => {
+  switch (role) {
+    case 'ADMIN':
+    case 'DepotAdmin':
+      return Source.ADMIN;
+    case 'AGENCY':
+      return Source.AGENCY;
+    case 'DELIVERY_PARTNER':
+      return Source.DELIVERY_PARTNER;
+    case 'MEMBER':
+      return Source.CUSTOMER;
+    default:
+      return Source.SYSTEM;
+  }
+};
+
+module.exports = {
+  Source,
+  ENTRY_TRANSITIONS,
+  ASSIGNMENT_TRANSITIONS,
+  changeEntryStatus,
+  changeEntriesStatus,
+  changeAssignmentStatus,
+  getEntryHistory,
+  sourceForRole,
+};
@@ -0,0 +1,554 @@
+const crypto = require('crypto');
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const jwtConfig = require('../config/jwt');
+
+/**
+ * Proof of delivery for rider assignments. A one-time code goes to the
+ * customer when the assignment is taken out for delivery; the rider needs it
+ * to mark the assignment DELIVERED. Without it the rider asks for an override
+ * (reason and photo), which the depot approves; an admin or agency marking it
+ * delivered on the rider's behalf gives the reason and photo themselves.
+ * Customers who say a delivery never arrived raise a dispute an admin either
+ * rejects or reopens.
+ */
+
+const OTP_SECRET = process.env.DELIVERY_OTP_SECRET || jwtConfig.secret;
+const OTP_TTL_HOURS = parseInt(process.env.DELIVERY_OTP_TTL_HOURS || '12', 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.DELIVERY_OTP_MAX_ATTEMPTS || '5', 10);
+const OTP_MAX_SENDS = parseInt(process.env.DELIVERY_OTP_MAX_SENDS || '3', 10);
+
+const hashOtp = (assignmentId, otp) =>
+  crypto.createHmac('sha256', OTP_SECRET).update(`${assignmentId}:${otp}`).digest('hex');
+
+const otpMatches = (assignment, otp) => {
+  if (!assignment.otpHash) return false;
+  const expected = Buffer.from(assignment.otpHash, 'hex');
+  const given = Buffer.from(hashOtp(assignment.id, String(otp).trim()), 'hex');
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Fresh code and the assignment fields that hold it
+const newOtp = (assignmentId, sendCount) => {
+  const otp = String(crypto.randomInt(0, 10000)).padStart(4, '0');
+  const now = new Date();
+  return {
+    otp,
+    data: {
+      otpHash: hashOtp(assignmentId, otp),
+      otpSentAt: now,
+      otpExpiresAt: new Date(now.getTime() + OTP_TTL_HOURS * 60 * 60 * 1000),
+      otpSendCount: sendCount,
+      otpAttempts: 0,
+      otpVerifiedAt: null,
+    },
+  };
+};
+
+const clearedProof = {
+  otpHash: null,
+  otpSentAt: null,
+  otpExpiresAt: null,
+  otpSendCount: 0,
+  otpAttempts: 0,
+  otpVerifiedAt: null,
+  proofMethod: null,
+  overrideStatus: null,
+  overrideReason: null,
+  overrideRequestedAt: null,
+};
+
+const recordProofEvent = (tx, { deliveryAssignmentId, type, note = null, photoUrl = null, actorId = null }) =>
+  tx.deliveryProofEvent.create({ data: { deliveryAssignmentId, type, note, photoUrl, actorId } });
+
+/**
+ * Proof fields to set when an assignment moves to `toStatus`. Called by the
+ * lifecycle service inside its transaction.
+ *
+ * - OUT_FOR_DELIVERY issues a new OTP (returned so it can be sent after commit).
+ * - ASSIGNED (retry, reassignment) starts over with no OTP or override.
+ * - DELIVERED by the rider needs a verified OTP; with proof 'OVERRIDE' it
+ *   needs a pending override request.
+ * - DELIVERED by anyone else (admin, agency) is a supervised override: it
+ *   needs a reason and a delivery photo, recorded as an approved override.
+ *
+ * @param {Object} assignment - DeliveryAssignment before the change
+ * @param {string} toStatus
+ * @param {Object} options
+ * @param {string} options.source - DeliveryStatusChangeSource
+ * @param {string} [options.proof] - 'OVERRIDE' when approving an override request
+ * @param {Object} [options.override] - { reason, photoUrl } for a delivery marked by admin or agency
+ * @returns {{ data: Object, otp: string|null, event: Object|null }}
+ */
+const proofForTransition = (assignment, toStatus, { source, proof = null, override = null }) => {
+  if (toStatus === 'OUT_FOR_DELIVERY') {
+    const { otp, data } = newOtp(assignment.id, 1);
+    return {
+      data: { ...clearedProof, ...data },
+      otp,
+      event: { type: 'OTP_SENT' },
+    };
+  }
+  if (toStatus === 'ASSIGNED') {
+    return { data: clearedProof, otp: null, event: null };
+  }
+  if (toStatus !== 'DELIVERED') {
+    return { data: {}, otp: null, event: null };
+  }
+
+  if (proof === 'OVERRIDE') {
+    if (assignment.overrideStatus !== 'PENDING') {
+      throw createError(409, 'There is no pending override request for this delivery');
+    }
+    return {
+      data: { proofMethod: 'OVERRIDE', overrideStatus: 'APPROVED' },
+      otp: null,
+      event: { type: 'OVERRIDE_APPROVED' },
+    };
+  }
+  if (source === 'DELIVERY_PARTNER') {
+    if (!assignment.otpVerifiedAt) {
+      throw createError(400, "Enter the customer's delivery OTP, or request an override");
+    }
+    return { data: { proofMethod: 'OTP' }, otp: null, event: null };
+  }
+
+  const reason = override?.reason ? String(override.reason).trim() : '';
+  if (!reason) {
+    throw createError(400, 'A reason is required to mark a delivery delivered on behalf of the rider');
+  }
+  if (!override.photoUrl) {
+    throw createError(400, 'A delivery photo is required to mark a delivery delivered on behalf of the rider');
+  }
+  return {
+    data: {
+      proofMethod: 'OVERRIDE',
+      overrideStatus: 'APPROVED',
+      overrideReason: reason,
+      deliveryPhotoUrl: override.photoUrl,
+    },
+    otp: null,
+    event: { type: 'OVERRIDE_APPROVED', note: reason, photoUrl: override.photoUrl },
+  };
+};
+
+const loadLockedAssignment = async (tx, assignmentId) => {
+  await tx.$queryRaw`SELECT id FROM delivery_assignments WHERE id = ${assignmentId} FOR UPDATE`;
+  const assignment = await tx.deliveryAssignment.findUnique({ where: { id: assignmentId } });
+  if (!assignment) {
+    throw createError(404, 'Assignment not found.');
+  }
+  return assignment;
+};
+
+/**
+ * Check the OTP the customer gave the rider. Wrong codes count against the
+ * OTP and are kept even though the call fails; after DELIVERY_OTP_MAX_ATTEMPTS
+ * the code is locked and a new one has to be sent.
+ *
+ * @param {number} assignmentId
+ * @param {string} otp
+ * @param {Object} [options]
+ * @param {number} [options.actorId]
+ * @returns {Promise<Object>} The assignment, with otpVerifiedAt set
+ */
+const verifyDeliveryOtp = async (assignmentId, otp, { actorId = null } = {}) => {
+  const outcome = await prisma.$transaction(async (tx) => {
+    const assignment = await loadLockedAssignment(tx, assignmentId);
+    if (assignment.otpVerifiedAt) {
+      return { assignment };
+    }
+    if (assignment.status !== 'OUT_FOR_DELIVERY' || !assignment.otpHash) {
+      return { error: createError(409, 'Mark the delivery out for delivery to send the customer an OTP') };
+    }
+    if (assignment.otpAttempts >= OTP_MAX_ATTEMPTS) {
+      return { error: createError(429, 'Too many wrong OTPs. Send a new OTP to the customer') };
+    }
+    if (assignment.otpExpiresAt && assignment.otpExpiresAt < new Date()) {
+      return { error: createError(400, 'The OTP has expired. Send a new OTP to the customer') };
+    }
+
+    if (!otpMatches(assignment, otp)) {
+      const attempts = assignment.otpAttempts + 1;
+      await tx.deliveryAssignment.update({ where: { id: assignmentId }, data: { otpAttempts: attempts } });
+      await recordProofEvent(tx, {
+        deliveryAssignmentId: assignmentId,
+        type: attempts >= OTP_MAX_ATTEMPTS ? 'OTP_LOCKED' : 'OTP_FAILED',
+        note: `Attempt ${attempts} of ${OTP_MAX_ATTEMPTS}`,
+        actorId,
+      });
+      return { error: createError(400, 'Incorrect OTP') };
+    }
+
+    const updated = await tx.deliveryAssignment.update({
+      where: { id: assignmentId },
+      data: { otpVerifiedAt: new Date() },
+    });
+    await recordProofEvent(tx, { deliveryAssignmentId: assignmentId, type: 'OTP_VERIFIED', actorId });
+    return { assignment: updated };
+  });
+
+  // Thrown after commit so failed attempts are counted
+  if (outcome.error) throw outcome.error;
+  return outcome.assignment;
+};
+
+/**
+ * Send the customer a new OTP for an assignment that is out for delivery,
+ * up to DELIVERY_OTP_MAX_SENDS times.
+ *
+ * @param {number} assignmentId
+ * @param {Object} [options]
+ * @param {number} [options.actorId]
+ * @returns {Promise<Object>} The assignment
+ */
+const resendDeliveryOtp = async (assignmentId, { actorId = null } = {}) => {
+  const { assignment, otp } = await prisma.$transaction(async (tx) => {
+    const current = await loadLockedAssignment(tx, assignmentId);
+    if (current.status !== 'OUT_FOR_DELIVERY') {
+      throw createError(409, 'An OTP can only be sent for a delivery that is out for delivery');
+    }
+    if (current.otpVerifiedAt) {
+      throw createError(409, 'The OTP has already been verified');
+    }
+    if (current.otpSendCount >= OTP_MAX_SENDS) {
+      throw createError(429, 'The OTP cannot be sent again. Request an override instead');
+    }
+
+    const issued = newOtp(assignmentId, current.otpSendCount + 1);
+    const updated = await tx.deliveryAssignment.update({ where: { id: assignmentId }, data: issued.data });
+    await recordProofEvent(tx, {
+      deliveryAssignmentId: assignmentId,
+      type: 'OTP_SENT',
+      note: `Resent (${issued.data.otpSendCount} of ${OTP_MAX_SENDS})`,
+      actorId,
+    });
+    return { assignment: updated, otp: issued.otp };
+  });
+
+  await sendDeliveryOtp(assignment, otp);
+  return assignment;
+};
+
+/**
+ * Rider asks to mark a delivery done without the OTP (customer not reachable,
+ * left with security, ...). The depot approves or rejects it.
+ *
+ * @param {number} assignmentId
+ * @param {Object} params
+ * @param {string} params.reason
+ * @param {string} params.photoUrl - Photo taken at the door
+ * @param {number} [params.cashCollected]
+ * @param {number} [params.actorId]
+ * @returns {Promise<Object>} The assignment
+ */
+const requestOverride = async (assignmentId, { reason, photoUrl, cashCollected = null, actorId = null }) => {
+  if (!reason || !String(reason).trim()) {
+    throw createError(400, 'A reason is required to deliver without the OTP');
+  }
+  if (!photoUrl) {
+    throw createError(400, 'A delivery photo is required to deliver without the OTP');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const assignment = await loadLockedAssignment(tx, assignmentId);
+    if (!['ASSIGNED', 'OUT_FOR_DELIVERY'].includes(assignment.status)) {
+      throw createError(409, `Cannot request an override for a delivery that is ${assignment.status}`);
+    }
+    if (assignment.overrideStatus === 'PENDING') {
+      throw createError(409, 'An override request is already waiting for approval');
+    }
+
+    const updated = await tx.deliveryAssignment.update({
+      where: { id: assignmentId },
+      data: {
+        overrideStatus: 'PENDING',
+        overrideReason: String(reason).trim(),
+        overrideRequestedAt: new Date(),
+        deliveryPhotoUrl: photoUrl,
+        ...(cashCollected !== null ? { cashCollected } : {}),
+      },
+    });
+    await recordProofEvent(tx, {
+      deliveryAssignmentId: assignmentId,
+      type: 'OVERRIDE_REQUESTED',
+      note: String(reason).trim(),
+      photoUrl,
+      actorId,
+    });
+    return updated;
+  });
+};
+
+/**
+ * Turn down a rider's override request. The delivery stays where it was and
+ * the rider can collect the OTP or ask again.
+ *
+ * @param {number} assignmentId
+ * @param {Object} params
+ * @param {string} [params.note]
+ * @param {number} [params.actorId]
+ * @returns {Promise<Object>} The assignment
+ */
+const rejectOverride = async (assignmentId, { note = null, actorId = null } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    const assignment = await loadLockedAssignment(tx, assignmentId);
+    if (assignment.overrideStatus !== 'PENDING') {
+      throw createError(409, 'There is no pending override request for this delivery');
+    }
+    const updated = await tx.deliveryAssignment.update({
+      where: { id: assignmentId },
+      data: { overrideStatus: 'REJECTED' },
+    });
+    await recordProofEvent(tx, { deliveryAssignmentId: assignmentId, type: 'OVERRIDE_REJECTED', note, actorId });
+    return updated;
+  });
+};
+
+// Who the OTP goes to: the SNF order's contact, or the subscriber
+const otpRecipient = async (assignment) => {
+  if (assignment.snfOrderId) {
+    const order = await prisma.sNFOrder.findUnique({
+      where: { id: assignment.snfOrderId },
+      select: { orderNo: true, name: true, mobile: true },
+    });
+    return order ? { user: { name: order.name, mobile: order.mobile }, reference: order.orderNo } : null;
+  }
+  if (assignment.deliveryScheduleEntryId) {
+    const entry = await prisma.deliveryScheduleEntry.findUnique({
+      where: { id: assignment.deliveryScheduleEntryId },
+      select: {
+        subscriptionId: true,
+        member: { select: { name: true, user: { select: { mobile: true } } } },
+        deliveryAddress: { select: { recipientName: true, mobile: true } },
+      },
+    });
+    if (!entry) return null;
+    const mobile = entry.member?.user?.mobile || entry.deliveryAddress?.mobile;
+    const name = entry.member?.name || entry.deliveryAddress?.recipientName;
+    return { user: { name, mobile }, reference: `SUB-${entry.subscriptionId}` };
+  }
+  return null;
+};
+
+/**
+ * WhatsApp the OTP to the customer. Failures are logged; the rider can resend
+ * or ask for an override.
+ *
+ * @param {Object} assignment
+ * @param {string} otp
+ */
+const sendDeliveryOtp = async (assignment, otp) => {
+  try {
+    const recipient = await otpRecipient(assignment);
+    if (!recipient || !recipient.user.mobile) {
+      console.warn(`[Delivery OTP] No mobile number to send the OTP for assignment ${assignment.id}`);
+      return;
+    }
+    const { sendDeliveryOtpWhatsAppMessage } = require('./whatsAppService');
+    await sendDeliveryOtpWhatsAppMessage(recipient.user, {
+      otp,
+      reference: recipient.reference,
+      expiresAt: assignment.otpExpiresAt,
+    }, { businessKey: `delivery_otp:assignment:${assignment.id}:${assignment.otpSendCount}` });
+  } catch (error) {
+    console.error(`[Delivery OTP] Failed to send the OTP for assignment ${assignment.id}:`, error);
+  }
+};
+
+/**
+ * Raise a dispute for a delivery the customer says never arrived.
+ *
+ * @param {number} assignmentId
+ * @param {Object} params
+ * @param {string} params.complaint
+ * @param {number} [params.actorId]
+ * @returns {Promise<Object>} The dispute
+ */
+const raiseDispute = async (assignmentId, { complaint, actorId = null }) => {
+  if (!complaint || !String(complaint).trim()) {
+    throw createError(400, 'complaint is required');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const assignment = await loadLockedAssignment(tx, assignmentId);
+    if (assignment.status !== 'DELIVERED') {
+      throw createError(409, 'Only a delivered order can be disputed');
+    }
+    const open = await tx.deliveryDispute.findFirst({ where: { deliveryAssignmentId: assignmentId, status: 'OPEN' } });
+    if (open) {
+      throw createError(409, 'This delivery already has an open dispute');
+    }
+
+    const dispute = await tx.deliveryDispute.create({
+      data: {
+        depotId: assignment.depotId,
+        deliveryAssignmentId: assignmentId,
+        complaint: String(complaint).trim(),
+        raisedById: actorId,
+      },
+    });
+    await recordProofEvent(tx, {
+      deliveryAssignmentId: assignmentId,
+      type: 'DISPUTE_RAISED',
+      note: dispute.complaint,
+      actorId,
+    });
+    return dispute;
+  });
+};
+
+const loadOpenDispute = async (tx, disputeId) => {
+  await tx.$queryRaw`SELECT id FROM delivery_disputes WHERE id = ${disputeId} FOR UPDATE`;
+  const dispute = await tx.deliveryDispute.findUnique({ where: { id: disputeId } });
+  if (!dispute) {
+    throw createError(404, 'Dispute not found');
+  }
+  if (dispute.status !== 'OPEN') {
+    throw createError(409, `Dispute is already ${dispute.status.toLowerCase()}`);
+  }
+  return dispute;
+};
+
+/**
+ * Close a dispute with the delivery standing (e.g. the OTP was verified).
+ *
+ * @param {number} disputeId
+ * @param {Object} params
+ * @param {string} params.resolution
+ * @param {number} [params.actorId]
+ * @returns {Promise<Object>} The dispute
+ */
+const rejectDispute = async (disputeId, { resolution, actorId = null }) => {
+  if (!resolution || !String(resolution).trim()) {
+    throw createError(400, 'resolution is required');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const dispute = await loadOpenDispute(tx, disputeId);
+    const updated = await tx.deliveryDispute.update({
+      where: { id: disputeId },
+      data: { status: 'REJECTED', resolution: String(resolution).trim(), resolvedById: actorId, resolvedAt: new Date() },
+    });
+    await recordProofEvent(tx, {
+      deliveryAssignmentId: dispute.deliveryAssignmentId,
+      type: 'DISPUTE_REJECTED',
+      note: updated.resolution,
+      actorId,
+    });
+    return updated;
+  });
+};
+
+/**
+ * Uphold a dispute: the delivery goes back to NOT_DELIVERED through the
+ * lifecycle service (a subscription delivery is refunded to the wallet, an SNF
+ * order's cash entry is voided and the order is due again), and can then be
+ * rescheduled with retry.
+ *
+ * @param {number} disputeId
+ * @param {Object} params
+ * @param {string} [params.resolution]
+ * @param {number} [params.actorId]
+ * @returns {Promise<{ dispute: Object, assignment: Object }>}
+ */
+const reopenDispute = async (disputeId, { resolution = null, actorId = null }) => {
+  // Required here: the lifecycle service depends on this module
+  const { changeAssignmentStatus, Source } = require('./deliveryLifecycleService');
+
+  const dispute = await prisma.deliveryDispute.findUnique({ where: { id: disputeId } });
+  if (!dispute) {
+    throw createError(404, 'Dispute not found');
+  }
+
+  const note = resolution ? String(resolution).trim() : null;
+  let reopened = null;
+  const { assignment, changed } = await changeAssignmentStatus(dispute.deliveryAssignmentId, 'NOT_DELIVERED', {
+    source: Source.ADMIN,
+    actorId,
+    reason: ['Customer disputed the delivery', note].filter(Boolean).join(': '),
+    inTransaction: async (tx) => {
+      await loadOpenDispute(tx, disputeId);
+      reopened = await tx.deliveryDispute.update({
+        where: { id: disputeId },
+        data: { status: 'REOPENED', resolution: note, resolvedById: actorId, resolvedAt: new Date() },
+      });
+      await recordProofEvent(tx, {
+        deliveryAssignmentId: dispute.deliveryAssignmentId,
+        type: 'DISPUTE_REOPENED',
+        note,
+        actorId,
+      });
+    },
+  });
+  if (!changed) {
+    throw createError(409, 'The delivery is no longer marked delivered');
+  }
+
+  return { dispute: reopened, assignment };
+};
+
+/**
+ * Proof of a delivery: how it was confirmed, its event trail and disputes.
+ *
+ * @param {number} assignmentId
+ * @returns {Promise<Object|null>}
+ */
+const getDeliveryProof = async (assignmentId) => {
+  const assignment = await prisma.deliveryAssignment.findUnique({
+    where: { id: assignmentId },
+    select: {
+      id: true,
+      depotId: true,
+      status: true,
+      deliveryDate: true,
+      deliveredAt: true,
+      deliveryPhotoUrl: true,
+      deliveryNotes: true,
+      cashCollected: true,
+      otpSentAt: true,
+      otpExpiresAt: true,
+      otpSendCount: true,
+      otpAttempts: true,
+      otpVerifiedAt: true,
+      proofMethod: true,
+      overrideStatus: true,
+      overrideReason: true,
+      overrideRequestedAt: true,
+      deliveryPartner: { select: { id: true, firstName: true, lastName: true, mobile: true } },
+    },
+  });
+  if (!assignment) return null;
+
+  const [events, disputes] = await Promise.all([
+    prisma.deliveryProofEvent.findMany({
+      where: { deliveryAssignmentId: assignmentId },
+      include: { actor: { select: { id: true, name: true, role: true } } },
+      orderBy: { id: 'asc' },
+    }),
+    prisma.deliveryDispute.findMany({
+      where: { deliveryAssignmentId: assignmentId },
+      include: {
+        raisedBy: { select: { id: true, name: true } },
+        resolvedBy: { select: { id: true, name: true } },
+      },
+      orderBy: { id: 'desc' },
+    }),
+  ]);
+
+  return { ...assignment, events, disputes };
+};
+
+module.exports = {
+  proofForTransition,
+  recordProofEvent,
+  verifyDeliveryOtp,
+  resendDeliveryOtp,
+  requestOverride,
+  rejectOverride,
+  sendDeliveryOtp,
+  raiseDispute,
+  rejectDispute,
+  reopenDispute,
+  getDeliveryProof,
+};
@@ -0,0 +1,183 @@
+const prisma = require('../config/db');
+const dayjs = require('dayjs');
+const { planRoute } = require('../utils/routePlanner');
+
+// Delivered and failed stops keep their place; only open stops are re-planned
+const OPEN_STATUSES = ['ASSIGNED', 'OUT_FOR_DELIVERY'];
+
+const dayRange = (date) => {
+  const target = dayjs(date);
+  return {
+    gte: target.startOf('day').toDate(),
+    lte: target.endOf('day').toDate(),
+  };
+};
+
+const assignmentInclude = {
+  depot: true,
+  snfOrder: { include: { items: true } },
+  deliveryScheduleEntry: {
+    include: {
+      deliveryAddress: true,
+      product: true,
+      member: { include: { user: { select: { name: true, mobile: true } } } },
+    },
+  },
+};
+
+// Flatten an assignment into the fields the planner and the route sheet need
+const toStop = (assignment) => {
+  if (assignment.snfOrder) {
+    const order = assignment.snfOrder;
+    return {
+      assignmentId: assignment.id,
+      type: 'SNF',
+      reference: order.orderNo,
+      customerName: order.name,
+      mobile: order.mobile,
+      address: [order.addressLine1, order.addressLine2, order.city].filter(Boolean).join(', '),
+      pincode: order.pincode,
+      latitude: order.latitude,
+      longitude: order.longitude,
+      items: order.items.map((item) => `${item.name}${item.variantName ? ` (${item.variantName})` : ''} x ${item.quantity}`),
+      amountDue: order.paymentStatus === 'PAID' ? 0 : order.payableAmount,
+    };
+  }
+
+  const entry = assignment.deliveryScheduleEntry;
+  const address = entry?.deliveryAddress;
+  return {
+    assignmentId: assignment.id,
+    type: 'SUB',
+    reference: entry ? `SUB-${entry.subscriptionId}` : `ASG-${assignment.id}`,
+    customerName: address?.recipientName || entry?.member?.user?.name || '',
+    mobile: address?.mobile || entry?.member?.user?.mobile || '',
+    address: address
+      ? [address.plotBuilding, address.streetArea, address.landmark, address.city].filter(Boolean).join(', ')
+      : '',
+    pincode: address?.pincode,
+    latitude: address?.latitude,
+    longitude: address?.longitude,
+    items: entry ? [`${entry.product?.name || 'Product'} x ${entry.quantity}`] : [],
+    amountDue: 0,
+  };
+};
+
+/**
+ * Compute and store the stop sequence for one partner's deliveries on a day.
+ *
+ * @param {number} deliveryPartnerId
+ * @param {string|Date} deliveryDate
+ * @returns {Promise<{ deliveryPartnerId: number, deliveryDate: string, totalDistanceKm: number, unroutedCount: number, stops: Array<{ assignmentId: number, sequence: number, legDistanceKm: number|null }> }>}
+ */
+const planPartnerRoute = async (deliveryPartnerId, deliveryDate) => {
+  const assignments = await prisma.deliveryAssignment.findMany({
+    where: {
+      deliveryPartnerId,
+      deliveryDate: dayRange(deliveryDate),
+      status: { in: OPEN_STATUSES },
+    },
+    include: assignmentInclude,
+  });
+
+  const summary = {
+    deliveryPartnerId,
+    deliveryDate: dayjs(deliveryDate).format('YYYY-MM-DD'),
+    totalDistanceKm: 0,
+    unroutedCount: 0,
+    stops: [],
+  };
+
+  if (assignments.length === 0) {
+    return summary;
+  }
+
+  const depot = assignments[0].depot;
+  const plan = planRoute(depot, assignments.map(toStop));
+
+  await prisma.$transaction(
+    plan.stops.map((stop) =>
+      prisma.deliveryAssignment.update({
+        where: { id: stop.assignmentId },
+        data: { sequence: stop.sequence, legDistanceKm: stop.legDistanceKm },
+      })
+    )
+  );
+
+  return {
+    ...summary,
+    totalDistanceKm: plan.totalDistanceKm,
+    unroutedCount: plan.unroutedCount,
+    stops: plan.stops.map(({ assignmentId, sequence, legDistanceKm }) => ({ assignmentId, sequence, legDistanceKm })),
+  };
+};
+
+/**
+ * Plan routes for every partner with open deliveries at a depot on a day.
+ *
+ * @param {number} depotId
+ * @param {string|Date} deliveryDate
+ * @returns {Promise<Array<Object>>} One summary per partner, as returned by planPartnerRoute
+ */
+const planDepotRoutes = async (depotId, deliveryDate) => {
+  const partners = await prisma.deliveryAssignment.findMany({
+    where: {
+      depotId,
+      deliveryPartnerId: { not: null },
+      deliveryDate: dayRange(deliveryDate),
+      status: { in: OPEN_STATUSES },
+    },
+    distinct: ['deliveryPartnerId'],
+    select: { deliveryPartnerId: true },
+  });
+
+  const results = [];
+  for (const { deliveryPartnerId } of partners) {
+    results.push(await planPartnerRoute(deliveryPartnerId, deliveryDate));
+  }
+  return results;
+};
+
+/**
+ * Load a partner's day in route order for the printable route sheet.
+ *
+ * @param {number} deliveryPartnerId
+ * @param {string|Date} deliveryDate
+ * @returns {Promise<{ partner: Object, depot: Object|null, deliveryDate: string, totalDistanceKm: number, stops: Array<Object> }|null>}
+ */
+const getRouteSheet = async (deliveryPartnerId, deliveryDate) => {
+  const partner = await prisma.deliveryPartner.findUnique({ where: { id: deliveryPartnerId } });
+  if (!partner) {
+    return null;
+  }
+
+  const assignments = await prisma.deliveryAssignment.findMany({
+    where: {
+      deliveryPartnerId,
+      deliveryDate: dayRange(deliveryDate),
+    },
+    include: assignmentInclude,
+    orderBy: [{ sequence: { sort: 'asc', nulls: 'last' } }, { id: 'asc' }],
+  });
+
+  const stops = assignments.map((assignment) => ({
+    ...toStop(assignment),
+    sequence: assignment.sequence,
+    legDistanceKm: assignment.legDistanceKm,
+    status: assignment.status,
+  }));
+
+  return {
+    partner,
+    depot: assignments[0]?.depot || null,
+    deliveryDate: dayjs(deliveryDate).format('YYYY-MM-DD'),
+    totalDistanceKm: Math.round(stops.reduce((sum, stop) => sum + (stop.legDistanceKm || 0), 0) * 100) / 100,
+    stops,
+  };
+};
+
+module.exports = {
+  planPartnerRoute,
+  planDepotRoutes,
+  getRouteSheet,
+};
@@ -0,0 +1,60 @@
+const { updateVariantStock } = require('./variantStockService');
+const { issueStock, returnStock } = require('./stockBatchService');
+
+// Ledger module for stock issued against subscription deliveries
+const LEDGER_MODULE = 'SUBSCRIPTION_DELIVERY';
+
+/**
+ * Post the stock movement of a subscription delivery changing status inside
+ * `tx`: delivering issues the entry's quantity from its depot variant, and
+ * moving a delivered entry to any other status receives back what was issued.
+ * The ledger rows are keyed by the entry, so re-marking never posts twice and
+ * deliveries made before stock was tracked have nothing to reverse. Issues
+ * draw batches first-expiry-first-out and reversals return to the same batches.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {Object} entry - Locked DeliveryScheduleEntry with subscription.depotProductVariantId
+ * @param {string} toStatus - DeliveryStatus
+ * @returns {Promise<Object[]>} Ledger rows posted
+ */
+const postEntryStock = async (tx, entry, toStatus) => {
+  const delivering = toStatus === 'DELIVERED';
+  if (!delivering && entry.status !== 'DELIVERED') return [];
+
+  const variantId = entry.depotProductVariantId ?? entry.subscription?.depotProductVariantId;
+  if (!variantId) return [];
+  const variant = await tx.depotProductVariant.findUnique({
+    where: { id: variantId },
+    select: { id: true, depotId: true, productId: true },
+  });
+  if (!variant) return [];
+
+  const posted = await tx.stockLedger.aggregate({
+    where: { module: LEDGER_MODULE, foreignKey: entry.id },
+    _sum: { issuedQty: true, receivedQty: true },
+  });
+  const outstanding = (posted._sum.issuedQty || 0) - (posted._sum.receivedQty || 0);
+
+  // Already issued, or nothing issued to reverse
+  if (delivering ? outstanding > 0 : outstanding <= 0) return [];
+
+  const row = {
+    productId: variant.productId,
+    variantId: variant.id,
+    depotId: variant.depotId,
+    // Both the issue and its reversal fall on the delivery day
+    transactionDate: entry.deliveryDate,
+    module: LEDGER_MODULE,
+    foreignKey: entry.id,
+  };
+  const rows = delivering
+    ? await issueStock(tx, { ...row, receivedQty: 0, issuedQty: entry.quantity })
+    : await returnStock(tx, { ...row, receivedQty: outstanding, issuedQty: 0 });
+  await updateVariantStock({ productId: variant.productId, variantId: variant.id, depotId: variant.depotId }, tx);
+  return rows;
+};
+
+module.exports = {
+  LEDGER_MODULE,
+  postEntryStock,
+};
@@ -0,0 +1,294 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const { withoutTenancy } = require('../config/tenancy');
+
+const ALL_PERIODS = 'ALL';
+
+// Built-in formats, matching the numbers issued before sequences were configurable
+const DEFAULT_FORMATS = {
+  PURCHASE_ORDER: { prefix: '', reset: 'FINANCIAL_YEAR', padding: 5 },
+  PURCHASE: { prefix: '', reset: 'FINANCIAL_YEAR', padding: 5 },
+  WASTAGE: { prefix: '', reset: 'FINANCIAL_YEAR', padding: 5 },
+  TRANSFER: { prefix: '', reset: 'FINANCIAL_YEAR', padding: 6 },
+  SNF_ORDER: { prefix: '', reset: 'FINANCIAL_YEAR', padding: 5 },
+  INVOICE: { prefix: '', reset: 'FINANCIAL_YEAR', padding: 5 },
+  SNF_INVOICE: { prefix: 'SNF', reset: 'FINANCIAL_YEAR', padding: 5 },
+  CREDIT_NOTE: { prefix: 'CN', reset: 'FINANCIAL_YEAR', padding: 5 },
+  PURCHASE_PAYMENT: { prefix: '', reset: 'CALENDAR_YEAR', padding: 5 },
+};
+
+// Where each document type keeps its number: [model, field]
+const NUMBER_FIELDS = {
+  PURCHASE_ORDER: ['vendorOrder', 'poNumber'],
+  PURCHASE: ['purchase', 'purchaseNo'],
+  WASTAGE: ['wastage', 'wastageNo'],
+  TRANSFER: ['transfer', 'transferNo'],
+  SNF_ORDER: ['sNFOrder', 'orderNo'],
+  INVOICE: ['productOrder', 'invoiceNo'],
+  SNF_INVOICE: ['sNFOrder', 'invoiceNo'],
+  CREDIT_NOTE: ['creditNote', 'creditNoteNo'],
+  PURCHASE_PAYMENT: ['purchasePayment', 'paymentno'],
+};
+
+const DOCUMENT_TYPES = Object.keys(DEFAULT_FORMATS);
+
+const assertDocumentType = (documentType) => {
+  if (!DEFAULT_FORMATS[documentType]) {
+    throw createError(400, `Unknown document type '${documentType}'`);
+  }
+};
+
+/**
+ * Financial year (April to March) of a date in YYNN form, e.g. "2526" for FY 2025-26.
+ * @param {Date} [date]
+ * @returns {string}
+ */
+const financialYearOf = (date = new Date()) => {
+  const value = new Date(date);
+  const startYear = value.getMonth() >= 3 ? value.getFullYear() : value.getFullYear() - 1;
+  return `${String(startYear % 100).padStart(2, '0')}${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const periodOf = (format, date) => {
+  if (format.reset === 'FINANCIAL_YEAR') return financialYearOf(date);
+  if (format.reset === 'CALENDAR_YEAR') return String(new Date(date).getFullYear());
+  return ALL_PERIODS;
+};
+
+const PERIOD_PATTERNS = {
+  FINANCIAL_YEAR: [/^\d{4}$/, 'a financial year like 2526'],
+  CALENDAR_YEAR: [/^\d{4}$/, 'a year like 2026'],
+  NEVER: [new RegExp(`^${ALL_PERIODS}$`), ALL_PERIODS],
+};
+
+// Everything before the counter, e.g. "SNF-2526"
+const seriesHead = (format, period) => [format.prefix, period === ALL_PERIODS ? null : period].filter(Boolean).join('-');
+
+const formatNumber = (format, period, value) =>
+  [seriesHead(format, period), String(value).padStart(format.padding, '0')].filter(Boolean).join('-');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The depot's own format, else the shared one, else the built-in default
+const resolveFormat = async (documentType, depotId, client = prisma) => {
+  if (depotId) {
+    const own = await client.documentSequenceFormat.findFirst({ where: { documentType, depotId } });
+    if (own) return own;
+  }
+  const shared = await client.documentSequenceFormat.findFirst({ where: { documentType, depotId: null } });
+  return shared || { documentType, depotId: null, ...DEFAULT_FORMATS[documentType] };
+};
+
+// Highest counter already used in a series, read from the documents themselves
+const highestIssued = async (documentType, format, period, client = prisma) => {
+  const [model, field] = NUMBER_FIELDS[documentType];
+  const head = seriesHead(format, period);
+  const pattern = new RegExp(head ? `^${escapeRegExp(head)}-(\\d+)$` : '^(\\d+)$');
+
+  const rows = await withoutTenancy(() => client[model].findMany({
+    where: head ? { [field]: { startsWith: `${head}-` } } : { [field]: { not: null } },
+    select: { [field]: true },
+  }));
+  return rows.reduce((highest, row) => {
+    const match = pattern.exec(row[field] || '');
+    return match ? Math.max(highest, parseInt(match[1], 10)) : highest;
+  }, 0);
+};
+
+const lockCounter = async (client, documentType, depotId, period) => {
+  const [counter] = await client.$queryRaw`
+    SELECT id, lastValue FROM document_sequences
+    WHERE documentType = ${documentType} AND depotId = ${depotId} AND period = ${period}
+    FOR UPDATE`;
+  return counter;
+};
+
+/**
+ * Take the next number for a document. The counter row is locked until the
+ * transaction ends, so concurrent requests queue instead of colliding; pass
+ * the transaction that creates the document so a rolled-back document gives
+ * its number back and the series stays gap-free.
+ *
+ * A counter created for a new series starts after the highest number already
+ * issued in it, so switching a generator onto sequences never reuses a number.
+ *
+ * @param {string} documentType - One of DOCUMENT_TYPES
+ * @param {Object} [options]
+ * @param {number} [options.depotId] - Depot issuing the document, for depot-specific series
+ * @param {Date} [options.date] - Document date, which picks the period (financial or calendar year)
+ * @param {Object} [options.tx] - Prisma transaction client
+ * @returns {Promise<string>}
+ */
+const nextNumber = async (documentType, { depotId = null, date = new Date(), tx = null } = {}) => {
+  assertDocumentType(documentType);
+
+  const take = async (client) => {
+    const format = await resolveFormat(documentType, depotId, client);
+    const seriesDepotId = format.depotId || 0;
+    const period = periodOf(format, date);
+
+    // The first number of a period creates the counter with an upsert. Locking
+    // the missing row first would take a gap lock, and two requests holding
+    // one deadlock on their inserts.
+    const [existing] = await client.$queryRaw`
+      SELECT id FROM document_sequences
+      WHERE documentType = ${documentType} AND depotId = ${seriesDepotId} AND period = ${period}`;
+    if (!existing) {
+      const seed = await highestIssued(documentType, format, period, client);
+      await client.$executeRaw`
+        INSERT INTO document_sequences (documentType, depotId, period, lastValue, createdAt, updatedAt)
+        VALUES (${documentType}, ${seriesDepotId}, ${period}, ${seed}, NOW(3), NOW(3))
+        ON DUPLICATE KEY UPDATE id = id`;
+    }
+    const counter = await lockCounter(client, documentType, seriesDepotId, period);
+
+    const value = Number(counter.lastValue) + 1;
+    await client.documentSequence.update({ where: { id: Number(counter.id) }, data: { lastValue: value } });
+    return formatNumber(format, period, value);
+  };
+
+  return tx ? take(tx) : prisma.$transaction(take);
+};
+
+/**
+ * Every document type with its formats and counters, and the number the
+ * shared series would issue next.
+ * @returns {Promise<Object[]>}
+ */
+const listSequences = async () => {
+  const [formats, counters] = await Promise.all([
+    prisma.documentSequenceFormat.findMany({
+      include: { depot: { select: { id: true, name: true } } },
+      orderBy: [{ documentType: 'asc' }, { depotId: 'asc' }],
+    }),
+    prisma.documentSequence.findMany({ orderBy: [{ documentType: 'asc' }, { depotId: 'asc' }, { period: 'desc' }] }),
+  ]);
+
+  return Promise.all(DOCUMENT_TYPES.map(async (documentType) => {
+    const own = formats.filter((format) => format.documentType === documentType);
+    const shared = own.find((format) => !format.depotId) || { documentType, depotId: null, ...DEFAULT_FORMATS[documentType], builtIn: true };
+    const formatFor = (depotId) => own.find((format) => format.depotId === depotId) || shared;
+    const currentPeriod = periodOf(shared, new Date());
+    const currentCounter = counters.find(
+      (counter) => counter.documentType === documentType && counter.depotId === 0 && counter.period === currentPeriod
+    );
+
+    // A series not used yet this period will continue after the numbers already issued
+    const lastValue = currentCounter ? currentCounter.lastValue : await highestIssued(documentType, shared, currentPeriod);
+
+    return {
+      documentType,
+      format: shared,
+      depotFormats: own.filter((format) => format.depotId),
+      nextNumber: formatNumber(shared, currentPeriod, lastValue + 1),
+      counters: counters
+        .filter((counter) => counter.documentType === documentType)
+        .map((counter) => ({
+          ...counter,
+          lastNumber: counter.lastValue ? formatNumber(formatFor(counter.depotId || null), counter.period, counter.lastValue) : null,
+        })),
+    };
+  }));
+};
+
+/**
+ * Create or update the format of a document type, shared or for one depot.
+ * A depot series needs its own prefix so its numbers cannot collide with
+ * another series of the same document type.
+ *
+ * @param {string} documentType
+ * @param {Object} data
+ * @param {number} [data.depotId]
+ * @param {string} [data.prefix]
+ * @param {string} data.reset - NEVER | FINANCIAL_YEAR | CALENDAR_YEAR
+ * @param {number} data.padding
+ * @returns {Promise<Object>}
+ */
+const saveFormat = async (documentType, { depotId = null, prefix = '', reset, padding }) => {
+  assertDocumentType(documentType);
+  const cleanPrefix = (prefix || '').trim().toUpperCase();
+
+  if (depotId) {
+    if (!cleanPrefix) {
+      throw createError(400, 'A depot series needs its own prefix');
+    }
+    const others = await prisma.documentSequenceFormat.findMany({
+      where: { documentType, NOT: { depotId } },
+      select: { depotId: true, prefix: true },
+    });
+    const sharedPrefix = others.find((format) => !format.depotId)?.prefix ?? DEFAULT_FORMATS[documentType].prefix;
+    if (cleanPrefix === sharedPrefix || others.some((format) => format.depotId && format.prefix === cleanPrefix)) {
+      throw createError(409, `Prefix '${cleanPrefix}' is already used by another ${documentType} series`);
+    }
+  }
+
+  const data = { prefix: cleanPrefix, reset, padding };
+  const existing = await prisma.documentSequenceFormat.findFirst({ where: { documentType, depotId } });
+  if (existing) {
+    return prisma.documentSequenceFormat.update({ where: { id: existing.id }, data });
+  }
+  return prisma.documentSequenceFormat.create({ data: { ...data, documentType, depotId } });
+};
+
+/**
+ * Remove a configured format; the type falls back to the shared or built-in format.
+ * @param {number} formatId
+ */
+const deleteFormat = async (formatId) => {
+  const format = await prisma.documentSequenceFormat.findUnique({ where: { id: formatId } });
+  if (!format) {
+    throw createError(404, 'Sequence format not found');
+  }
+  await prisma.documentSequenceFormat.delete({ where: { id: formatId } });
+};
+
+/**
+ * Set where a series continues from, e.g. to start a financial year at a
+ * given number. The counter cannot be moved below a number already issued.
+ *
+ * @param {Object} params
+ * @param {string} params.documentType
+ * @param {number} [params.depotId] - A depot with its own series
+ * @param {string} [params.period] - YYNN, YYYY or ALL as the format resets; defaults to the current period
+ * @param {number} [params.lastValue] - The next document gets lastValue + 1
+ * @returns {Promise<Object>} The counter and the next number it will issue
+ */
+const resetSequence = async ({ documentType, depotId = null, period = null, lastValue = 0 }) => {
+  assertDocumentType(documentType);
+
+  return prisma.$transaction(async (tx) => {
+    const format = await resolveFormat(documentType, depotId, tx);
+    if (depotId && !format.depotId) {
+      throw createError(400, 'This depot uses the shared series; reset that instead');
+    }
+    const seriesDepotId = format.depotId || 0;
+    const seriesPeriod = period || periodOf(format, new Date());
+    const [pattern, expected] = PERIOD_PATTERNS[format.reset];
+    if (!pattern.test(seriesPeriod)) {
+      throw createError(400, `period must be ${expected}`);
+    }
+
+    await tx.$executeRaw`
+      INSERT IGNORE INTO document_sequences (documentType, depotId, period, lastValue, createdAt, updatedAt)
+      VALUES (${documentType}, ${seriesDepotId}, ${seriesPeriod}, 0, NOW(3), NOW(3))`;
+    const counter = await lockCounter(tx, documentType, seriesDepotId, seriesPeriod);
+
+    const issued = await highestIssued(documentType, format, seriesPeriod, tx);
+    if (lastValue < issued) {
+      throw createError(409, `${formatNumber(format, seriesPeriod, issued)} has already been issued; the series cannot restart below it`);
+    }
+
+    const updated = await tx.documentSequence.update({ where: { id: Number(counter.id) }, data: { lastValue } });
+    return { ...updated, nextNumber: formatNumber(format, seriesPeriod, lastValue + 1) };
+  });
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  financialYearOf,
+  nextNumber,
+  listSequences,
+  saveFormat,
+  deleteFormat,
+  resetSequence,
+};
@@ -0,0 +1,139 @@
+const prisma = require('../config/db');
+
+/**
+ * GST rates for what is sold, and how tax inclusive amounts split at them.
+ * Invoices, credit notes and the GSTR-1 report all work their tax out here,
+ * so the return matches the documents issued.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Selling prices are tax inclusive: split an amount at a GST rate into the
+ * taxable value and IGST, or CGST and SGST for supplies within the state.
+ *
+ * @param {number} amount
+ * @param {number} rate - Total GST rate in percent
+ * @param {boolean} [interState]
+ * @returns {{ txval: number, iamt: number, camt: number, samt: number }}
+ */
+const splitGst = (amount, rate, interState = false) => {
+  const txval = round2(amount / (1 + rate / 100));
+  const tax = round2(amount - txval);
+  if (interState) {
+    return { txval, iamt: tax, camt: 0, samt: 0 };
+  }
+  const camt = round2(tax / 2);
+  return { txval, iamt: 0, camt, samt: round2(tax - camt) };
+};
+
+/**
+ * Delivery is part of a composite supply, so an order's fee is spread over
+ * its items in proportion to their value and taxed at each item's rate.
+ *
+ * @param {number[]} amounts - Item values
+ * @param {number} deliveryFee
+ * @returns {number[]} Item values with their share of the fee
+ */
+const withDeliveryFeeShare = (amounts, deliveryFee) => {
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  return amounts.map((amount) => amount + (total > 0 ? ((deliveryFee || 0) * amount) / total : 0));
+};
+
+/**
+ * Build a lookup of GST rate and HSN for items of the given products. The rate
+ * lives on the master ProductVariant; the HSN is taken from the depot variant
+ * when set, else from the master. Depot variants are matched to a master
+ * variant of the same product by name.
+ *
+ * @param {number[]} productIds
+ * @param {Object} [opts]
+ * @param {string[]} [opts.warnings] - Collects items reported without a rate or HSN
+ * @param {import('@prisma/client').Prisma.TransactionClient} [opts.client]
+ * @returns {Promise<Function>} ({ productId, variantName, hsnCode, label }) => { hsn, rate }
+ */
+const createTaxResolver = async (productIds, { warnings = [], client = prisma } = {}) => {
+  const variants = await client.productVariant.findMany({
+    where: { productId: { in: [...new Set(productIds.filter(Boolean))] } },
+    select: { productId: true, name: true, hsnCode: true, gstRate: true },
+    orderBy: { id: 'asc' },
+  });
+
+  const byProduct = new Map();
+  for (const variant of variants) {
+    const list = byProduct.get(variant.productId) || [];
+    list.push(variant);
+    byProduct.set(variant.productId, list);
+  }
+
+  const warned = new Set();
+  const warnOnce = (key, message) => {
+    if (warned.has(key)) return;
+    warned.add(key);
+    warnings.push(message);
+  };
+
+  return ({ productId, variantName, hsnCode, label }) => {
+    const candidates = byProduct.get(productId) || [];
+    const name = (variantName || '').trim().toLowerCase();
+    const master = candidates.find((variant) => variant.name.trim().toLowerCase() === name) || candidates[0];
+
+    if (!master) {
+      warnOnce(`rate:${productId}`, `No GST rate found for "${label}" (product ${productId}); taxed at 0%`);
+    }
+    const hsn = hsnCode || master?.hsnCode || '';
+    if (!hsn) {
+      warnOnce(`hsn:${productId}:${name}`, `No HSN code for "${label}"`);
+    }
+
+    return { hsn, rate: master ? Number(master.gstRate) : 0 };
+  };
+};
+
+/**
+ * Tax columns printed on an invoice or credit note line, for a supply within
+ * the state (the documents carry CGST and SGST; GSTR-1 re-splits by place of supply).
+ *
+ * @param {number} amount - Tax inclusive line value
+ * @param {number} rate - Total GST rate in percent
+ * @returns {{ taxableAmount: number, cgstRate: number, cgstAmount: number, sgstRate: number, sgstAmount: number }}
+ */
+const documentTax = (amount, rate) => {
+  const { txval, camt, samt } = splitGst(amount, rate);
+  return {
+    taxableAmount: txval,
+    cgstRate: rate / 2,
+    cgstAmount: camt,
+    sgstRate: rate / 2,
+    sgstAmount: samt,
+  };
+};
+
+/**
+ * Total tax inclusive in a document's lines, split the way the document prints it.
+ *
+ * @param {Array<{ amount: number, rate: number }>} lines
+ * @returns {{ taxableAmount: number, cgstAmount: number, sgstAmount: number }}
+ */
+const documentTaxTotals = (lines) => {
+  const totals = { taxableAmount: 0, cgstAmount: 0, sgstAmount: 0 };
+  for (const { amount, rate } of lines) {
+    const tax = documentTax(amount, rate);
+    totals.taxableAmount += tax.taxableAmount;
+    totals.cgstAmount += tax.cgstAmount;
+    totals.sgstAmount += tax.sgstAmount;
+  }
+  return {
+    taxableAmount: round2(totals.taxableAmount),
+    cgstAmount: round2(totals.cgstAmount),
+    sgstAmount: round2(totals.sgstAmount),
+  };
+};
+
+module.exports = {
+  splitGst,
+  withDeliveryFeeShare,
+  createTaxResolver,
+  documentTax,
+  documentTaxTotals,
+};
@@ -0,0 +1,700 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+const ExcelJS = require('exceljs');
+const { COMPANY_DETAILS } = require('./invoiceService');
+const { splitGst, withDeliveryFeeShare, createTaxResolver } = require('./gstRateService');
+const { getStateCode, isValidGstin } = require('../utils/gstStateCodes');
+
+const SUPPLIER_GSTIN = COMPANY_DETAILS.gstinUin;
+const SUPPLIER_STATE_CODE = SUPPLIER_GSTIN.slice(0, 2);
+const GSTR1_VERSION = 'GST3.2.1';
+// Inter-state invoices to unregistered buyers above this value are reported invoice-wise (B2CL)
+const B2CL_THRESHOLD = 100000;
+// Unit quantity code reported in the HSN summary; variants do not carry a unit of their own
+const DEFAULT_UQC = 'NOS';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const sumBy = (rows, key) => round2(rows.reduce((sum, row) => sum + (row[key] || 0), 0));
+
+// Place of supply is the delivery state; unknown states are treated as intra-state
+const resolvePlaceOfSupply = (state, documentNo, warnings) => {
+  const code = getStateCode(state);
+  if (!code) {
+    warnings.push(`${documentNo}: state "${state || ''}" not recognised; place of supply taken as ${SUPPLIER_STATE_CODE}`);
+    return SUPPLIER_STATE_CODE;
+  }
+  return code;
+};
+
+const classify = ({ gstin, interState, value }) => {
+  if (gstin) return 'B2B';
+  if (interState && value > B2CL_THRESHOLD) return 'B2CL';
+  return 'B2CS';
+};
+
+const buildLine = ({ description, hsn, rate, quantity, amount }, interState) => ({
+  description,
+  hsn,
+  rate,
+  quantity,
+  amount: round2(amount),
+  ...splitGst(amount, rate, interState),
+});
+
+const collectProductOrderInvoices = async (range, warnings) => {
+  const orders = await prisma.productOrder.findMany({
+    where: { invoiceNo: { not: null }, createdAt: range },
+    include: {
+      member: {
+        select: {
+          name: true,
+          gstin: true,
+          addresses: { where: { isDefault: true }, select: { state: true }, take: 1 },
+        },
+      },
+      subscriptions: {
+        include: {
+          product: { select: { name: true } },
+          depotProductVariant: { select: { name: true, hsnCode: true } },
+          deliveryAddress: { select: { state: true } },
+        },
+        orderBy: { id: 'asc' },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const resolveTax = await createTaxResolver(
+    orders.flatMap((order) => order.subscriptions.map((sub) => sub.productId)),
+    { warnings }
+  );
+
+  return orders.map((order) => {
+    // Same address choice as the invoice: the subscription's delivery address, else the member's default
+    const state = order.subscriptions[0]?.deliveryAddress?.state || order.member.addresses[0]?.state;
+    const pos = resolvePlaceOfSupply(state, order.invoiceNo, warnings);
+    const interState = pos !== SUPPLIER_STATE_CODE;
+
+    const lines = order.subscriptions.map((sub) => {
+      const description = sub.depotProductVariant?.name || sub.product.name;
+      return buildLine({
+        description,
+        ...resolveTax({
+          productId: sub.productId,
+          variantName: sub.depotProductVariant?.name,
+          hsnCode: sub.depotProductVariant?.hsnCode,
+          label: description,
+        }),
+        quantity: sub.totalQty,
+        amount: sub.amount,
+      }, interState);
+    });
+
+    return {
+      source: 'PRODUCT_ORDER',
+      orderId: order.id,
+      orderNo: order.orderNo,
+      invoiceNo: order.invoiceNo,
+      invoiceDate: order.createdAt,
+      customerName: order.member.name,
+      gstin: isValidGstin(order.member.gstin) ? order.member.gstin : null,
+      pos,
+      interState,
+      value: round2(order.totalAmount),
+      lines,
+    };
+  });
+};
+
+const collectSnfOrderInvoices = async (range, warnings) => {
+  const orders = await prisma.sNFOrder.findMany({
+    where: { invoiceNo: { not: null }, createdAt: range },
+    include: {
+      member: { select: { gstin: true } },
+      items: {
+        include: { depotProductVariant: { select: { productId: true, name: true, hsnCode: true } } },
+        orderBy: { id: 'asc' },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const resolveTax = await createTaxResolver(
+    orders.flatMap((order) => order.items.map((item) => item.productId || item.depotProductVariant?.productId)),
+    { warnings }
+  );
+
+  return orders.map((order) => {
+    const pos = resolvePlaceOfSupply(order.state, order.invoiceNo, warnings);
+    const interState = pos !== SUPPLIER_STATE_CODE;
+
+    const amounts = withDeliveryFeeShare(order.items.map((item) => item.lineTotal), order.deliveryFee);
+
+    const lines = order.items.map((item, index) => {
+      const description = [item.name, item.variantName].filter(Boolean).join(' - ');
+      return buildLine({
+        description,
+        ...resolveTax({
+          productId: item.productId || item.depotProductVariant?.productId,
+          variantName: item.depotProductVariant?.name || item.variantName,
+          hsnCode: item.depotProductVariant?.hsnCode,
+          label: description,
+        }),
+        quantity: item.quantity,
+        amount: amounts[index],
+      }, interState);
+    });
+
+    return {
+      source: 'SNF_ORDER',
+      orderId: order.id,
+      orderNo: order.orderNo,
+      invoiceNo: order.invoiceNo,
+      invoiceDate: order.createdAt,
+      customerName: order.name,
+      gstin: isValidGstin(order.member?.gstin) ? order.member.gstin : null,
+      pos,
+      interState,
+      value: round2(order.totalAmount),
+      lines,
+    };
+  });
+};
+
+const collectCreditNotes = async (range, warnings) => {
+  const creditNotes = await prisma.creditNote.findMany({
+    where: { creditNoteDate: range },
+    include: {
+      member: {
+        select: {
+          name: true,
+          gstin: true,
+          addresses: { where: { isDefault: true }, select: { state: true }, take: 1 },
+        },
+      },
+      productOrder: {
+        select: {
+          orderNo: true,
+          totalAmount: true,
+          subscriptions: { select: { deliveryAddress: { select: { state: true } } }, orderBy: { id: 'asc' }, take: 1 },
+        },
+      },
+      items: { orderBy: { id: 'asc' } },
+    },
+    orderBy: { creditNoteDate: 'asc' },
+  });
+
+  return creditNotes.map((note) => {
+    const state = note.productOrder.subscriptions[0]?.deliveryAddress?.state || note.member.addresses[0]?.state;
+    const pos = resolvePlaceOfSupply(state, note.creditNoteNo, warnings);
+    const interState = pos !== SUPPLIER_STATE_CODE;
+    const gstin = isValidGstin(note.member.gstin) ? note.member.gstin : null;
+
+    // Reported at the rates the note was issued with
+    const lines = note.items.map((item) => {
+      const description = item.description.split('\n')[0];
+      if (!item.hsnSac) {
+        warnings.push(`${note.creditNoteNo}: no HSN code for "${description}"`);
+      }
+      return buildLine({
+        description,
+        hsn: item.hsnSac || '',
+        rate: item.cgstRate + item.sgstRate,
+        quantity: item.quantity,
+        amount: item.amount,
+      }, interState);
+    });
+
+    return {
+      creditNoteNo: note.creditNoteNo,
+      creditNoteDate: note.creditNoteDate,
+      reason: note.reason,
+      orderNo: note.productOrder.orderNo,
+      invoiceNo: note.invoiceNo,
+      invoiceDate: note.invoiceDate,
+      customerName: note.member.name,
+      gstin,
+      pos,
+      interState,
+      value: round2(note.totalAmount),
+      // Notes follow the section of the invoice they adjust
+      invoiceSection: classify({ gstin, interState, value: note.productOrder.totalAmount }),
+      lines,
+    };
+  });
+};
+
+// Invoice items are reported once per tax rate
+const groupByRate = (lines) => {
+  const groups = new Map();
+  for (const line of lines) {
+    const group = groups.get(line.rate) || { rt: line.rate, txval: 0, iamt: 0, camt: 0, samt: 0 };
+    group.txval += line.txval;
+    group.iamt += line.iamt;
+    group.camt += line.camt;
+    group.samt += line.samt;
+    groups.set(line.rate, group);
+  }
+  return [...groups.values()]
+    .sort((a, b) => a.rt - b.rt)
+    .map((group) => ({
+      rt: group.rt,
+      txval: round2(group.txval),
+      iamt: round2(group.iamt),
+      camt: round2(group.camt),
+      samt: round2(group.samt),
+    }));
+};
+
+const toItems = (lines, interState) =>
+  groupByRate(lines).map((group, index) => ({
+    num: index + 1,
+    itm_det: interState
+      ? { txval: group.txval, rt: group.rt, iamt: group.iamt, csamt: 0 }
+      : { txval: group.txval, rt: group.rt, camt: group.camt, samt: group.samt, csamt: 0 },
+  }));
+
+const formatGstDate = (date) => dayjs(date).format('DD-MM-YYYY');
+
+const groupByCustomer = (documents, build) => {
+  const customers = new Map();
+  for (const document of documents) {
+    const list = customers.get(document.gstin) || [];
+    list.push(build(document));
+    customers.set(document.gstin, list);
+  }
+  return customers;
+};
+
+/**
+ * Aggregate B2C (small) supplies by supply type, place of supply and rate.
+ * Credit notes against B2C invoices are netted off here, as the return expects.
+ */
+const buildB2csRows = (invoices, creditNotes) => {
+  const rows = new Map();
+  const add = (document, sign) => {
+    for (const group of groupByRate(document.lines)) {
+      const key = `${document.pos}|${group.rt}`;
+      const row = rows.get(key) || {
+        sply_ty: document.interState ? 'INTER' : 'INTRA',
+        pos: document.pos,
+        typ: 'OE',
+        rt: group.rt,
+        txval: 0,
+        iamt: 0,
+        camt: 0,
+        samt: 0,
+        csamt: 0,
+      };
+      row.txval = round2(row.txval + sign * group.txval);
+      row.iamt = round2(row.iamt + sign * group.iamt);
+      row.camt = round2(row.camt + sign * group.camt);
+      row.samt = round2(row.samt + sign * group.samt);
+      rows.set(key, row);
+    }
+  };
+
+  invoices.forEach((invoice) => add(invoice, 1));
+  creditNotes.forEach((note) => add(note, -1));
+
+  return [...rows.values()]
+    .sort((a, b) => a.pos.localeCompare(b.pos) || a.rt - b.rt)
+    .map((row) => (row.sply_ty === 'INTER'
+      ? { sply_ty: row.sply_ty, pos: row.pos, typ: row.typ, rt: row.rt, txval: row.txval, iamt: row.iamt, csamt: 0 }
+      : { sply_ty: row.sply_ty, pos: row.pos, typ: row.typ, rt: row.rt, txval: row.txval, camt: row.camt, samt: row.samt, csamt: 0 }));
+};
+
+// HSN-wise summary of all outward supplies, net of credit notes
+const buildHsnRows = (invoices, creditNotes) => {
+  const rows = new Map();
+  const add = (document, sign) => {
+    for (const line of document.lines) {
+      const key = `${line.hsn}|${line.rate}`;
+      const row = rows.get(key) || {
+        hsn_sc: line.hsn,
+        desc: line.description.substring(0, 30),
+        uqc: DEFAULT_UQC,
+        rt: line.rate,
+        qty: 0,
+        val: 0,
+        txval: 0,
+        iamt: 0,
+        camt: 0,
+        samt: 0,
+        csamt: 0,
+      };
+      row.qty += sign * line.quantity;
+      row.val = round2(row.val + sign * line.amount);
+      row.txval = round2(row.txval + sign * line.txval);
+      row.iamt = round2(row.iamt + sign * line.iamt);
+      row.camt = round2(row.camt + sign * line.camt);
+      row.samt = round2(row.samt + sign * line.samt);
+      rows.set(key, row);
+    }
+  };
+
+  invoices.forEach((invoice) => add(invoice, 1));
+  creditNotes.forEach((note) => add(note, -1));
+
+  return [...rows.values()]
+    .sort((a, b) => a.hsn_sc.localeCompare(b.hsn_sc) || a.rt - b.rt)
+    .map((row, index) => ({ num: index + 1, ...row }));
+};
+
+// Number ranges per document series, e.g. invoices "2526-00001".."2526-00342"
+const buildDocumentSeries = (numbers) => {
+  const series = new Map();
+  for (const number of numbers) {
+    const prefix = number.replace(/\d+$/, '');
+    const list = series.get(prefix) || [];
+    list.push(number);
+    series.set(prefix, list);
+  }
+  return [...series.values()].map((list, index) => {
+    const sorted = [...list].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    return {
+      num: index + 1,
+      from: sorted[0],
+      to: sorted[sorted.length - 1],
+      totnum: sorted.length,
+      cancel: 0,
+      net_issue: sorted.length,
+    };
+  });
+};
+
+const buildGstr1Json = ({ fp, invoices, creditNotes }) => {
+  const b2bInvoices = invoices.filter((invoice) => invoice.section === 'B2B');
+  const b2clInvoices = invoices.filter((invoice) => invoice.section === 'B2CL');
+  const b2csInvoices = invoices.filter((invoice) => invoice.section === 'B2CS');
+
+  const b2b = [...groupByCustomer(b2bInvoices, (invoice) => ({
+    inum: invoice.invoiceNo,
+    idt: formatGstDate(invoice.invoiceDate),
+    val: invoice.value,
+    pos: invoice.pos,
+    rchrg: 'N',
+    inv_typ: 'R',
+    itms: toItems(invoice.lines, invoice.interState),
+  }))].map(([ctin, inv]) => ({ ctin, inv }));
+
+  const b2clByPos = new Map();
+  for (const invoice of b2clInvoices) {
+    const list = b2clByPos.get(invoice.pos) || [];
+    list.push({
+      inum: invoice.invoiceNo,
+      idt: formatGstDate(invoice.invoiceDate),
+      val: invoice.value,
+      itms: toItems(invoice.lines, true),
+    });
+    b2clByPos.set(invoice.pos, list);
+  }
+  const b2cl = [...b2clByPos].map(([pos, inv]) => ({ pos, inv }));
+
+  const noteDetail = (note) => ({
+    ntty: 'C',
+    nt_num: note.creditNoteNo,
+    nt_dt: formatGstDate(note.creditNoteDate),
+    val: note.value,
+    pos: note.pos,
+    itms: toItems(note.lines, note.interState),
+  });
+
+  const cdnr = [...groupByCustomer(
+    creditNotes.filter((note) => note.section === 'CDNR'),
+    (note) => ({ ...noteDetail(note), rchrg: 'N', inv_typ: 'R' })
+  )].map(([ctin, nt]) => ({ ctin, nt }));
+
+  const cdnur = creditNotes
+    .filter((note) => note.section === 'CDNUR')
+    .map((note) => ({ ...noteDetail(note), typ: 'B2CL' }));
+
+  const b2cs = buildB2csRows(b2csInvoices, creditNotes.filter((note) => note.section === 'B2CS'));
+  const hsn = buildHsnRows(invoices, creditNotes);
+
+  const docDet = [];
+  if (invoices.length > 0) {
+    docDet.push({ doc_num: 1, docs: buildDocumentSeries(invoices.map((invoice) => invoice.invoiceNo)) });
+  }
+  if (creditNotes.length > 0) {
+    docDet.push({ doc_num: 5, docs: buildDocumentSeries(creditNotes.map((note) => note.creditNoteNo)) });
+  }
+
+  const gstr1 = { gstin: SUPPLIER_GSTIN, fp, version: GSTR1_VERSION, hash: 'hash' };
+  if (b2b.length) gstr1.b2b = b2b;
+  if (b2cl.length) gstr1.b2cl = b2cl;
+  if (b2cs.length) gstr1.b2cs = b2cs;
+  if (cdnr.length) gstr1.cdnr = cdnr;
+  if (cdnur.length) gstr1.cdnur = cdnur;
+  if (hsn.length) gstr1.hsn = { data: hsn };
+  if (docDet.length) gstr1.doc_issue = { doc_det: docDet };
+  return gstr1;
+};
+
+const totalsFor = (documents) => {
+  const lines = documents.flatMap((document) => document.lines);
+  return {
+    count: documents.length,
+    value: sumBy(documents, 'value'),
+    taxableValue: sumBy(lines, 'txval'),
+    igst: sumBy(lines, 'iamt'),
+    cgst: sumBy(lines, 'camt'),
+    sgst: sumBy(lines, 'samt'),
+  };
+};
+
+/**
+ * Build the GSTR-1 return for a month from ProductOrder and SNFOrder tax
+ * invoices and the credit notes issued against them.
+ *
+ * Invoices are split B2B (buyer has a GSTIN), B2CL (inter-state, unregistered,
+ * above the B2CL threshold) and B2CS; tax is split CGST/SGST or IGST by
+ * comparing the place of supply with the supplier's state.
+ *
+ * @param {Object} params
+ * @param {string} params.month - Return period as YYYY-MM
+ * @returns {Promise<Object>} Invoice and credit note detail, section totals, the GSTR-1 JSON and warnings
+ */
+const buildGstr1Report = async ({ month }) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+    throw createError(400, 'month is required in YYYY-MM format');
+  }
+  const start = dayjs(`${month}-01`);
+  const range = { gte: start.startOf('month').toDate(), lte: start.endOf('month').toDate() };
+  const fp = start.format('MMYYYY');
+  const warnings = [];
+
+  const invoices = [
+    ...(await collectProductOrderInvoices(range, warnings)),
+    ...(await collectSnfOrderInvoices(range, warnings)),
+  ]
+    .map((invoice) => ({ ...invoice, section: classify(invoice) }))
+    .sort((a, b) => a.invoiceDate - b.invoiceDate);
+
+  const creditNotes = (await collectCreditNotes(range, warnings)).map((note) => ({
+    ...note,
+    section: note.gstin ? 'CDNR' : note.invoiceSection === 'B2CL' ? 'CDNUR' : 'B2CS',
+  }));
+
+  const sections = {};
+  for (const section of ['B2B', 'B2CL', 'B2CS']) {
+    sections[section] = totalsFor(invoices.filter((invoice) => invoice.section === section));
+  }
+  for (const section of ['CDNR', 'CDNUR', 'B2CS']) {
+    sections[`CREDIT_NOTES_${section}`] = totalsFor(creditNotes.filter((note) => note.section === section));
+  }
+
+  const invoiceTotals = totalsFor(invoices);
+  const creditNoteTotals = totalsFor(creditNotes);
+
+  return {
+    period: { month, fp, from: range.gte, to: range.lte },
+    gstin: SUPPLIER_GSTIN,
+    invoices,
+    creditNotes,
+    sections,
+    totals: {
+      invoices: invoiceTotals,
+      creditNotes: creditNoteTotals,
+      net: {
+        taxableValue: round2(invoiceTotals.taxableValue - creditNoteTotals.taxableValue),
+        igst: round2(invoiceTotals.igst - creditNoteTotals.igst),
+        cgst: round2(invoiceTotals.cgst - creditNoteTotals.cgst),
+        sgst: round2(invoiceTotals.sgst - creditNoteTotals.sgst),
+      },
+    },
+    gstr1: buildGstr1Json({ fp, invoices, creditNotes }),
+    warnings,
+  };
+};
+
+const addSheet = (workbook, name, columns, rows) => {
+  const worksheet = workbook.addWorksheet(name);
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+  rows.forEach((row) => worksheet.addRow(row));
+  return worksheet;
+};
+
+const AMOUNT_COLUMNS = [
+  { header: 'Taxable Value', key: 'txval', width: 15 },
+  { header: 'IGST', key: 'iamt', width: 12 },
+  { header: 'CGST', key: 'camt', width: 12 },
+  { header: 'SGST', key: 'samt', width: 12 },
+  { header: 'Cess', key: 'csamt', width: 10 },
+];
+
+/**
+ * Lay the GSTR-1 report out as a workbook, one sheet per return section
+ * plus the invoice lines it was built from.
+ *
+ * @param {Object} report - Result of buildGstr1Report
+ * @returns {ExcelJS.Workbook}
+ */
+const buildGstr1Workbook = (report) => {
+  const workbook = new ExcelJS.Workbook();
+  const { gstr1 } = report;
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [
+    { header: 'Section', key: 'section', width: 24 },
+    { header: 'Documents', key: 'count', width: 12 },
+    { header: 'Value', key: 'value', width: 15 },
+    { header: 'Taxable Value', key: 'taxableValue', width: 15 },
+    { header: 'IGST', key: 'igst', width: 12 },
+    { header: 'CGST', key: 'cgst', width: 12 },
+    { header: 'SGST', key: 'sgst', width: 12 },
+  ];
+  summary.getRow(1).font = { bold: true };
+  Object.entries(report.sections).forEach(([section, totals]) => summary.addRow({ section, ...totals }));
+  summary.addRow({});
+  summary.addRow({ section: 'GSTIN', count: report.gstin });
+  summary.addRow({ section: 'Return period', count: report.period.fp });
+  report.warnings.forEach((warning) => summary.addRow({ section: 'Warning', count: warning }));
+
+  const b2bRows = (gstr1.b2b || []).flatMap(({ ctin, inv }) =>
+    inv.flatMap((invoice) => invoice.itms.map(({ itm_det: item }) => ({
+      ctin,
+      inum: invoice.inum,
+      idt: invoice.idt,
+      val: invoice.val,
+      pos: invoice.pos,
+      rchrg: invoice.rchrg,
+      inv_typ: invoice.inv_typ,
+      ...item,
+    })))
+  );
+  addSheet(workbook, 'B2B', [
+    { header: 'GSTIN of Recipient', key: 'ctin', width: 20 },
+    { header: 'Invoice Number', key: 'inum', width: 18 },
+    { header: 'Invoice Date', key: 'idt', width: 12 },
+    { header: 'Invoice Value', key: 'val', width: 14 },
+    { header: 'Place Of Supply', key: 'pos', width: 10 },
+    { header: 'Reverse Charge', key: 'rchrg', width: 10 },
+    { header: 'Invoice Type', key: 'inv_typ', width: 10 },
+    { header: 'Rate', key: 'rt', width: 8 },
+    ...AMOUNT_COLUMNS,
+  ], b2bRows);
+
+  const b2clRows = (gstr1.b2cl || []).flatMap(({ pos, inv }) =>
+    inv.flatMap((invoice) => invoice.itms.map(({ itm_det: item }) => ({
+      inum: invoice.inum,
+      idt: invoice.idt,
+      val: invoice.val,
+      pos,
+      ...item,
+    })))
+  );
+  addSheet(workbook, 'B2CL', [
+    { header: 'Invoice Number', key: 'inum', width: 18 },
+    { header: 'Invoice Date', key: 'idt', width: 12 },
+    { header: 'Invoice Value', key: 'val', width: 14 },
+    { header: 'Place Of Supply', key: 'pos', width: 10 },
+    { header: 'Rate', key: 'rt', width: 8 },
+    ...AMOUNT_COLUMNS,
+  ], b2clRows);
+
+  addSheet(workbook, 'B2CS', [
+    { header: 'Supply Type', key: 'sply_ty', width: 10 },
+    { header: 'Place Of Supply', key: 'pos', width: 10 },
+    { header: 'Type', key: 'typ', width: 8 },
+    { header: 'Rate', key: 'rt', width: 8 },
+    ...AMOUNT_COLUMNS,
+  ], gstr1.b2cs || []);
+
+  const noteColumns = [
+    { header: 'Note Number', key: 'nt_num', width: 18 },
+    { header: 'Note Date', key: 'nt_dt', width: 12 },
+    { header: 'Note Type', key: 'ntty', width: 8 },
+    { header: 'Note Value', key: 'val', width: 14 },
+    { header: 'Place Of Supply', key: 'pos', width: 10 },
+    { header: 'Rate', key: 'rt', width: 8 },
+    ...AMOUNT_COLUMNS,
+  ];
+  const noteRows = (note, extra = {}) =>
+    note.itms.map(({ itm_det: item }) => ({
+      nt_num: note.nt_num,
+      nt_dt: note.nt_dt,
+      ntty: note.ntty,
+      val: note.val,
+      pos: note.pos,
+      ...extra,
+      ...item,
+    }));
+
+  addSheet(workbook, 'CDNR', [
+    { header: 'GSTIN of Recipient', key: 'ctin', width: 20 },
+    ...noteColumns,
+  ], (gstr1.cdnr || []).flatMap(({ ctin, nt }) => nt.flatMap((note) => noteRows(note, { ctin }))));
+
+  addSheet(workbook, 'CDNUR', [
+    { header: 'UR Type', key: 'typ', width: 10 },
+    ...noteColumns,
+  ], (gstr1.cdnur || []).flatMap((note) => noteRows(note, { typ: note.typ })));
+
+  addSheet(workbook, 'HSN', [
+    { header: 'HSN', key: 'hsn_sc', width: 12 },
+    { header: 'Description', key: 'desc', width: 30 },
+    { header: 'UQC', key: 'uqc', width: 8 },
+    { header: 'Total Quantity', key: 'qty', width: 14 },
+    { header: 'Total Value', key: 'val', width: 14 },
+    { header: 'Rate', key: 'rt', width: 8 },
+    ...AMOUNT_COLUMNS,
+  ], gstr1.hsn?.data || []);
+
+  const docNature = { 1: 'Invoices for outward supply', 5: 'Credit Note' };
+  addSheet(workbook, 'Docs', [
+    { header: 'Nature of Document', key: 'nature', width: 30 },
+    { header: 'Sr. No. From', key: 'from', width: 18 },
+    { header: 'Sr. No. To', key: 'to', width: 18 },
+    { header: 'Total Number', key: 'totnum', width: 12 },
+    { header: 'Cancelled', key: 'cancel', width: 10 },
+  ], (gstr1.doc_issue?.doc_det || []).flatMap(({ doc_num: docNum, docs }) =>
+    docs.map((doc) => ({ nature: docNature[docNum], ...doc }))));
+
+  const lineRows = (documents, type) => documents.flatMap((document) =>
+    document.lines.map((line) => ({
+      type,
+      section: document.section,
+      number: type === 'Invoice' ? document.invoiceNo : document.creditNoteNo,
+      date: dayjs(type === 'Invoice' ? document.invoiceDate : document.creditNoteDate).format('DD/MM/YYYY'),
+      orderNo: document.orderNo,
+      customerName: document.customerName,
+      gstin: document.gstin || '',
+      pos: document.pos,
+      description: line.description,
+      hsn: line.hsn,
+      quantity: line.quantity,
+      amount: line.amount,
+      rt: line.rate,
+      txval: line.txval,
+      iamt: line.iamt,
+      camt: line.camt,
+      samt: line.samt,
+    })));
+  addSheet(workbook, 'Document Lines', [
+    { header: 'Type', key: 'type', width: 12 },
+    { header: 'Section', key: 'section', width: 8 },
+    { header: 'Number', key: 'number', width: 18 },
+    { header: 'Date', key: 'date', width: 12 },
+    { header: 'Order No', key: 'orderNo', width: 18 },
+    { header: 'Customer', key: 'customerName', width: 25 },
+    { header: 'GSTIN', key: 'gstin', width: 18 },
+    { header: 'POS', key: 'pos', width: 6 },
+    { header: 'Description', key: 'description', width: 30 },
+    { header: 'HSN', key: 'hsn', width: 10 },
+    { header: 'Qty', key: 'quantity', width: 8 },
+    { header: 'Amount', key: 'amount', width: 12 },
+    { header: 'Rate', key: 'rt', width: 8 },
+    ...AMOUNT_COLUMNS.slice(0, 4),
+  ], [...lineRows(report.invoices, 'Invoice'), ...lineRows(report.creditNotes, 'Credit Note')]);
+
+  return workbook;
+};
+
+module.exports = {
+  buildGstr1Report,
+  buildGstr1Workbook,
+};
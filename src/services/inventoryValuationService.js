@@ -0,0 +1,470 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+const ExcelJS = require('exceljs');
+const { LEDGER_MODULE: SNF_LEDGER_MODULE } = require('./stockReservationService');
+const { LEDGER_MODULE: DELIVERY_LEDGER_MODULE } = require('./deliveryStockService');
+
+const METHODS = ['WEIGHTED_AVERAGE', 'FIFO'];
+
+// Ledger modules whose issues are sales; a receipt in one of them reverses a sale
+const SALE_MODULES = [SNF_LEDGER_MODULE, DELIVERY_LEDGER_MODULE];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()));
+
+const parseDay = (value, label) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) || !dayjs(value).isValid()) {
+    throw createError(400, `${label} must be in YYYY-MM-DD format`);
+  }
+  return new Date(value);
+};
+
+/*
+ * Cost book of one depot variant: cost layers oldest first (a single
+ * averaged layer under weighted average), plus any quantity issued while
+ * the book was empty, which later receipts make good before adding stock.
+ */
+const newBook = (fallbackCost) => ({ layers: [], shortQty: 0, lastCost: fallbackCost });
+
+const bookQty = (book) => book.layers.reduce((sum, layer) => sum + layer.qty, 0) - book.shortQty;
+
+const bookValue = (book) => book.layers.reduce((sum, layer) => sum + layer.qty * layer.unitCost, 0);
+
+const averageCost = (book) => {
+  const qty = book.layers.reduce((sum, layer) => sum + layer.qty, 0);
+  return qty > 0 ? bookValue(book) / qty : book.lastCost;
+};
+
+const receive = (book, qty, unitCost, method) => {
+  const covered = Math.min(qty, book.shortQty);
+  book.shortQty -= covered;
+  book.lastCost = unitCost;
+  const remaining = qty - covered;
+  if (remaining <= 0) return;
+
+  if (method === 'WEIGHTED_AVERAGE' && book.layers.length > 0) {
+    const layer = book.layers[0];
+    layer.unitCost = (layer.qty * layer.unitCost + remaining * unitCost) / (layer.qty + remaining);
+    layer.qty += remaining;
+  } else {
+    book.layers.push({ qty: remaining, unitCost });
+  }
+};
+
+// Cost of issuing `qty`; stock the book does not have is costed at the last known cost
+const issue = (book, qty) => {
+  let cost = 0;
+  let left = qty;
+  while (left > 0 && book.layers.length > 0) {
+    const layer = book.layers[0];
+    const taken = Math.min(left, layer.qty);
+    cost += taken * layer.unitCost;
+    layer.qty -= taken;
+    left -= taken;
+    if (layer.qty === 0) book.layers.shift();
+  }
+  if (left > 0) {
+    book.shortQty += left;
+    cost += left * book.lastCost;
+  }
+  return cost;
+};
+
+/**
+ * Purchase rate per purchase and depot variant, averaged when a purchase
+ * has several lines for the same variant.
+ * @returns {Promise<Map<string, number>>}
+ */
+const purchaseRates = async (purchaseIds) => {
+  const details = await prisma.purchaseDetail.findMany({
+    where: { purchaseId: { in: purchaseIds } },
+    select: { purchaseId: true, variantId: true, quantity: true, purchaseRate: true },
+  });
+  const totals = new Map();
+  details.forEach((detail) => {
+    const key = `${detail.purchaseId}:${detail.variantId}`;
+    const total = totals.get(key) || { qty: 0, value: 0 };
+    total.qty += detail.quantity;
+    total.value += detail.quantity * toNumber(detail.purchaseRate);
+    totals.set(key, total);
+  });
+  return new Map([...totals.entries()].map(([key, total]) => [key, total.qty > 0 ? total.value / total.qty : 0]));
+};
+
+/**
+ * Source depot variants of each transfer line, per transfer and destination
+ * variant, so a receipt is costed from the variant that was actually sent.
+ * @returns {Promise<Map<string, number[]>>}
+ */
+const transferSources = async (transferIds) => {
+  const details = await prisma.transferDetail.findMany({
+    where: { transferId: { in: transferIds } },
+    select: { transferId: true, fromDepotVariantId: true, toDepotVariantId: true },
+  });
+  const sources = new Map();
+  details.forEach((detail) => {
+    const key = `${detail.transferId}:${detail.toDepotVariantId}`;
+    const from = sources.get(key) || [];
+    if (!from.includes(detail.fromDepotVariantId)) from.push(detail.fromDepotVariantId);
+    sources.set(key, from);
+  });
+  return sources;
+};
+
+/**
+ * Selling value of each sale in the period, keyed like the sales themselves.
+ * SNF lines are net of the order's coupon discount; subscription deliveries
+ * are valued at the subscription rate.
+ * @returns {Promise<Map<string, number>>}
+ */
+const saleRevenue = async (sales) => {
+  const revenue = new Map();
+  const snfOrderIds = new Set();
+  const entryIds = new Set();
+  sales.forEach((sale) => {
+    if (sale.module === SNF_LEDGER_MODULE) snfOrderIds.add(sale.foreignKey);
+    if (sale.module === DELIVERY_LEDGER_MODULE) entryIds.add(sale.foreignKey);
+  });
+
+  const [orders, entries] = await Promise.all([
+    snfOrderIds.size
+      ? prisma.sNFOrder.findMany({
+        where: { id: { in: [...snfOrderIds] } },
+        select: {
+          id: true,
+          subtotal: true,
+          couponDiscount: true,
+          items: { select: { depotProductVariantId: true, lineTotal: true } },
+        },
+      })
+      : [],
+    entryIds.size
+      ? prisma.deliveryScheduleEntry.findMany({
+        where: { id: { in: [...entryIds] } },
+        select: { id: true, quantity: true, subscription: { select: { rate: true } } },
+      })
+      : [],
+  ]);
+
+  orders.forEach((order) => {
+    const netFactor = order.subtotal > 0 ? 1 - (order.couponDiscount || 0) / order.subtotal : 1;
+    order.items.forEach((item) => {
+      if (!item.depotProductVariantId) return;
+      const key = `${SNF_LEDGER_MODULE}:${order.id}:${item.depotProductVariantId}`;
+      revenue.set(key, (revenue.get(key) || 0) + item.lineTotal * netFactor);
+    });
+  });
+  const entryById = new Map(entries.map((entry) => [entry.id, entry]));
+  sales.forEach((sale) => {
+    if (sale.module !== DELIVERY_LEDGER_MODULE) return;
+    const entry = entryById.get(sale.foreignKey);
+    revenue.set(sale.key, entry ? toNumber(entry.subscription?.rate) * sale.qty : 0);
+  });
+  return revenue;
+};
+
+/**
+ * Value closing stock per depot at the end of a period and work out cost
+ * of goods sold and gross margin per product within it.
+ *
+ * The stock ledger is replayed from the start. Purchases come in at their
+ * PurchaseDetail.purchaseRate; transfers carry the cost their source variant
+ * left the sending depot at; a reversed delivery comes back at the cost it was issued at; any
+ * other receipt is taken in at the variant's current cost. Issues are costed
+ * by weighted average or first-in first-out. Variants with no purchase yet
+ * start from their purchasePrice. Wastage is costed separately and not
+ * included in cost of goods sold.
+ *
+ * @param {Object} params
+ * @param {string} [params.startDate] - YYYY-MM-DD, defaults to the start of endDate's month
+ * @param {string} [params.endDate] - YYYY-MM-DD, also the valuation date; defaults to today
+ * @param {string} [params.method] - WEIGHTED_AVERAGE (default) or FIFO
+ * @param {number} [params.depotId]
+ * @returns {Promise<Object>}
+ */
+const buildValuationReport = async ({
+  endDate = dayjs().format('YYYY-MM-DD'),
+  startDate = dayjs(endDate).startOf('month').format('YYYY-MM-DD'),
+  method = 'WEIGHTED_AVERAGE',
+  depotId = null,
+}) => {
+  const to = parseDay(endDate, 'endDate');
+  const from = parseDay(startDate, 'startDate');
+  if (from > to) {
+    throw createError(400, 'startDate must not be after endDate');
+  }
+  if (!METHODS.includes(method)) {
+    throw createError(400, `method must be one of ${METHODS.join(', ')}`);
+  }
+
+  const rows = await prisma.stockLedger.findMany({
+    where: { transactionDate: { lte: to } },
+    select: {
+      id: true,
+      productId: true,
+      variantId: true,
+      depotId: true,
+      transactionDate: true,
+      receivedQty: true,
+      issuedQty: true,
+      module: true,
+      foreignKey: true,
+    },
+    orderBy: [{ transactionDate: 'asc' }, { id: 'asc' }],
+  });
+
+  const variantIds = [...new Set(rows.map((row) => row.variantId))];
+  const [variants, rates, sources] = await Promise.all([
+    prisma.depotProductVariant.findMany({
+      where: { id: { in: variantIds } },
+      select: {
+        id: true,
+        name: true,
+        purchasePrice: true,
+        depot: { select: { id: true, name: true } },
+        product: { select: { id: true, name: true } },
+      },
+    }),
+    purchaseRates([...new Set(rows.filter((row) => row.module === 'purchase').map((row) => row.foreignKey))]),
+    transferSources([...new Set(rows.filter((row) => row.module === 'transfer').map((row) => row.foreignKey))]),
+  ]);
+  const variantById = new Map(variants.map((variant) => [variant.id, variant]));
+
+  const books = new Map();
+  const bookFor = (variantId) => {
+    if (!books.has(variantId)) books.set(variantId, newBook(toNumber(variantById.get(variantId)?.purchasePrice)));
+    return books.get(variantId);
+  };
+
+  const transferCosts = new Map(); // `${transferId}:${sourceVariantId}` -> { qty, cost } issued from the source depot
+  const sales = new Map(); // `${module}:${foreignKey}:${variantId}` -> net quantity and cost
+  const wastage = new Map(); // productId -> { qty, cost } within the period
+  const warnings = [];
+  const inPeriod = (row) => row.transactionDate >= from;
+  const inScope = (row) => !depotId || row.depotId === depotId;
+
+  rows.forEach((row) => {
+    const book = bookFor(row.variantId);
+    const saleKey = `${row.module}:${row.foreignKey}:${row.variantId}`;
+
+    if (row.receivedQty > 0) {
+      let unitCost = averageCost(book);
+      if (row.module === 'purchase') {
+        unitCost = rates.get(`${row.foreignKey}:${row.variantId}`) ?? unitCost;
+      } else if (row.module === 'transfer') {
+        const sent = (sources.get(`${row.foreignKey}:${row.variantId}`) || [])
+          .map((sourceId) => transferCosts.get(`${row.foreignKey}:${sourceId}`))
+          .filter(Boolean)
+          .reduce((total, part) => ({ qty: total.qty + part.qty, cost: total.cost + part.cost }), { qty: 0, cost: 0 });
+        if (sent.qty > 0) unitCost = sent.cost / sent.qty;
+      } else if (SALE_MODULES.includes(row.module) && sales.has(saleKey)) {
+        const sale = sales.get(saleKey);
+        if (sale.qty > 0) unitCost = sale.cost / sale.qty;
+      }
+      receive(book, row.receivedQty, unitCost, method);
+
+      if (SALE_MODULES.includes(row.module) && sales.has(saleKey)) {
+        const sale = sales.get(saleKey);
+        sale.cost -= row.receivedQty * unitCost;
+        sale.qty -= row.receivedQty;
+      }
+    }
+
+    if (row.issuedQty > 0) {
+      const cost = issue(book, row.issuedQty);
+
+      if (row.module === 'transfer') {
+        const key = `${row.foreignKey}:${row.variantId}`;
+        const sent = transferCosts.get(key) || { qty: 0, cost: 0 };
+        sent.qty += row.issuedQty;
+        sent.cost += cost;
+        transferCosts.set(key, sent);
+      } else if (SALE_MODULES.includes(row.module)) {
+        const sale = sales.get(saleKey) || {
+          key: saleKey,
+          module: row.module,
+          foreignKey: row.foreignKey,
+          variantId: row.variantId,
+          productId: row.productId,
+          counted: inPeriod(row) && inScope(row),
+          qty: 0,
+          cost: 0,
+        };
+        sale.qty += row.issuedQty;
+        sale.cost += cost;
+        sales.set(saleKey, sale);
+      } else if (row.module === 'wastage' && inPeriod(row) && inScope(row)) {
+        const lost = wastage.get(row.productId) || { qty: 0, cost: 0 };
+        lost.qty += row.issuedQty;
+        lost.cost += cost;
+        wastage.set(row.productId, lost);
+      }
+    }
+  });
+
+  // Closing stock per depot
+  const depots = new Map();
+  books.forEach((book, variantId) => {
+    const variant = variantById.get(variantId);
+    if (!variant || (depotId && variant.depot.id !== depotId)) return;
+    const closingQty = bookQty(book);
+    if (closingQty === 0) return;
+    if (closingQty < 0) {
+      warnings.push(`${variant.product.name} (${variant.name}) at ${variant.depot.name} has ${closingQty} in stock per the ledger; valued at nil`);
+    }
+
+    if (!depots.has(variant.depot.id)) {
+      depots.set(variant.depot.id, { depot: variant.depot, items: [], totalValue: 0 });
+    }
+    const value = round2(bookValue(book));
+    const depot = depots.get(variant.depot.id);
+    depot.items.push({
+      product: variant.product,
+      variant: { id: variant.id, name: variant.name },
+      closingQty,
+      unitCost: closingQty > 0 ? round2(value / closingQty) : 0,
+      value,
+    });
+    depot.totalValue = round2(depot.totalValue + value);
+  });
+
+  // Cost of goods sold and margin per product
+  const countedSales = [...sales.values()].filter((sale) => sale.counted && sale.qty > 0);
+  const revenue = await saleRevenue(countedSales);
+  const products = new Map();
+  const productFor = (productId, fallbackName) => {
+    if (!products.has(productId)) {
+      products.set(productId, {
+        product: { id: productId, name: fallbackName },
+        soldQty: 0,
+        revenue: 0,
+        cogs: 0,
+        wastageQty: 0,
+        wastageCost: 0,
+      });
+    }
+    return products.get(productId);
+  };
+  const productNames = new Map(variants.map((variant) => [variant.product.id, variant.product.name]));
+
+  countedSales.forEach((sale) => {
+    const line = productFor(sale.productId, productNames.get(sale.productId));
+    line.soldQty += sale.qty;
+    line.revenue += revenue.get(sale.key) || 0;
+    line.cogs += sale.cost;
+  });
+  wastage.forEach((lost, productId) => {
+    const line = productFor(productId, productNames.get(productId));
+    line.wastageQty += lost.qty;
+    line.wastageCost += lost.cost;
+  });
+
+  const productLines = [...products.values()].map((line) => {
+    const revenueAmount = round2(line.revenue);
+    const cogs = round2(line.cogs);
+    const grossMargin = round2(revenueAmount - cogs);
+    return {
+      ...line,
+      revenue: revenueAmount,
+      cogs,
+      grossMargin,
+      marginPct: revenueAmount > 0 ? round2((grossMargin / revenueAmount) * 100) : null,
+      wastageCost: round2(line.wastageCost),
+    };
+  }).sort((a, b) => (a.product.name || '').localeCompare(b.product.name || ''));
+
+  const depotLines = [...depots.values()]
+    .map((depot) => ({
+      ...depot,
+      items: depot.items.sort((a, b) => a.product.name.localeCompare(b.product.name) || a.variant.name.localeCompare(b.variant.name)),
+    }))
+    .sort((a, b) => a.depot.name.localeCompare(b.depot.name));
+
+  const sum = (lines, key) => round2(lines.reduce((total, line) => total + line[key], 0));
+  const totals = {
+    stockValue: sum(depotLines, 'totalValue'),
+    revenue: sum(productLines, 'revenue'),
+    cogs: sum(productLines, 'cogs'),
+    grossMargin: sum(productLines, 'grossMargin'),
+    wastageCost: sum(productLines, 'wastageCost'),
+  };
+  totals.marginPct = totals.revenue > 0 ? round2((totals.grossMargin / totals.revenue) * 100) : null;
+
+  return {
+    method,
+    period: { startDate, endDate },
+    depots: depotLines,
+    products: productLines,
+    totals,
+    warnings,
+  };
+};
+
+const addSheet = (workbook, name, columns, rows) => {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = columns;
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach((row) => sheet.addRow(row));
+  return sheet;
+};
+
+/**
+ * Workbook with a stock valuation sheet and a gross margin sheet.
+ * @param {Object} report - From buildValuationReport
+ * @returns {ExcelJS.Workbook}
+ */
+const buildValuationWorkbook = (report) => {
+  const workbook = new ExcelJS.Workbook();
+
+  addSheet(
+    workbook,
+    'Stock Valuation',
+    [
+      { header: 'Depot', key: 'depot', width: 24 },
+      { header: 'Product', key: 'product', width: 30 },
+      { header: 'Variant', key: 'variant', width: 18 },
+      { header: 'Closing Qty', key: 'closingQty', width: 12 },
+      { header: 'Unit Cost', key: 'unitCost', width: 12 },
+      { header: 'Value', key: 'value', width: 14 },
+    ],
+    report.depots.flatMap((depot) => [
+      ...depot.items.map((item) => ({
+        depot: depot.depot.name,
+        product: item.product.name,
+        variant: item.variant.name,
+        closingQty: item.closingQty,
+        unitCost: item.unitCost,
+        value: item.value,
+      })),
+      { depot: `${depot.depot.name} total`, value: depot.totalValue },
+    ])
+  );
+
+  addSheet(
+    workbook,
+    'Gross Margin',
+    [
+      { header: 'Product', key: 'product', width: 30 },
+      { header: 'Sold Qty', key: 'soldQty', width: 10 },
+      { header: 'Revenue', key: 'revenue', width: 14 },
+      { header: 'COGS', key: 'cogs', width: 14 },
+      { header: 'Gross Margin', key: 'grossMargin', width: 14 },
+      { header: 'Margin %', key: 'marginPct', width: 10 },
+      { header: 'Wastage Qty', key: 'wastageQty', width: 12 },
+      { header: 'Wastage Cost', key: 'wastageCost', width: 14 },
+    ],
+    [
+      ...report.products.map((line) => ({ ...line, product: line.product.name })),
+      { product: 'Total', ...report.totals },
+    ]
+  );
+
+  return workbook;
+};
+
+module.exports = {
+  METHODS,
+  buildValuationReport,
+  buildValuationWorkbook,
+};
@@ -1,20 +1,61 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../config/db');
 const { generateInvoicePdf } = require('../utils/invoiceGeneratorEnhanced');
 const path = require('path');
 const fs = require('fs').promises;
 const { numberToWords } = require('../utils/numberToWords');
 const { generateInvoiceNumber } = require('../utils/invoiceNumberGenerator');
+const { createTaxResolver, documentTaxTotals } = require('./gstRateService');
+
+// Supplier details printed on invoices and credit notes
+const COMPANY_DETAILS = {
+  name: 'Sarkhot Natural Farms',
+  addressLines: ['B/3 Prabhat Society,','Mukherjee Road, Near CKP Hall,',"Dombivli East", "421202", "Thane", "Maharashtra"],
+  city: 'Dombivli East',
+  pincode: '421202',
+  gstinUin: '27AAHCB7744A1ZT',
+  email: 'sarkhotnaturalfarms@gmail.com'
+};
+
+/**
+ * Take the next invoice number for an order and store it on the order in the
+ * caller's transaction, so a number is never used without being recorded.
+ * An order that already has a number keeps it.
+ * @param {number} productOrderId - Product order ID
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<string>} The order's invoice number
+ */
+const assignInvoiceNumber = async (productOrderId, tx) => {
+  await tx.$queryRaw`SELECT id FROM product_orders WHERE id = ${productOrderId} FOR UPDATE`;
+  const order = await tx.productOrder.findUnique({
+    where: { id: productOrderId },
+    select: { invoiceNo: true }
+  });
+  if (!order) {
+    throw new Error('Product order not found');
+  }
+  if (order.invoiceNo) {
+    return order.invoiceNo;
+  }
+
+  const invoiceNo = await generateInvoiceNumber(tx);
+  await tx.productOrder.update({
+    where: { id: productOrderId },
+    data: { invoiceNo, invoicePath: `${invoiceNo}.pdf` }
+  });
+  return invoiceNo;
+};
 
 /**
- * Generates an invoice PDF for a product order
+ * Generates an invoice PDF for a product order. The invoice number is taken
+ * and stored on the order first, unless it already has one, and the PDF is
+ * rendered after that commit.
  * @param {Object} productOrder - The product order with all relations loaded
  * @returns {Promise<Object>} Object containing invoice number and file path
  */
 const generateInvoiceForOrder = async (productOrder) => {
   try {
-    // Generate financial year based invoice number
-    const invoiceNo = await generateInvoiceNumber();
+    const invoiceNo = productOrder.invoiceNo
+      || await prisma.$transaction((tx) => assignInvoiceNumber(productOrder.id, tx));
     
     // Get member details with address
     const member = await prisma.member.findUnique({
@@ -52,12 +93,12 @@ const generateInvoiceForOrder = async (productOrder) => {
       throw new Error('Member not found');
     }
     
-    // Calculate invoice amounts
+    // Calculate invoice amounts; prices include GST at each variant's rate
+    const items = await generateInvoiceItems(productOrder);
     const subtotal = productOrder.totalAmount;
-    const cgstRate = 0;
-    const sgstRate = 0;
-    const cgstAmount = 0;
-    const sgstAmount = 0;
+    const { taxableAmount, cgstAmount, sgstAmount } = documentTaxTotals(
+      items.map((item) => ({ amount: item.amount, rate: item.gstRate }))
+    );
     const totalAmount = subtotal;
     
     // Calculate payment details
@@ -96,20 +137,12 @@ const generateInvoiceForOrder = async (productOrder) => {
         pincode: memberAddress?.pincode || '',
         gstin: member.gstin || null
       },
-      SNFlobal: {
-        name: 'Sarkhot Natural Farms',
-        addressLines: ['B/3 Prabhat Society,','Mukherjee Road, Near CKP Hall,',"Dombivli East", "421202", "Thane", "Maharashtra"],
-        city: 'Dombivli East',
-        pincode: '421202',
-        gstinUin: '27AAHCB7744A1ZT',
-        email: 'sarkhotnaturalfarms@gmail.com'
-      },
-      items: await generateInvoiceItems(productOrder),
+      SNFlobal: COMPANY_DETAILS,
+      items,
       totals: {
         amountBeforeTax: subtotal,
-        cgstRate,
+        taxableAmount,
         cgstAmount,
-        sgstRate,
         sgstAmount,
         igstRate: 0,
         igstAmount: 0,
@@ -197,11 +230,18 @@ const generateInvoiceItems = async (productOrder) => {
     productOrder.subscriptions = orderWithSubs.subscriptions;
   }
 
+  const resolveTax = await createTaxResolver(productOrder.subscriptions.map((subscription) => subscription.productId));
+
   for (const subscription of productOrder.subscriptions) {
     const productName = subscription.depotProductVariant?.name || subscription.product?.name || 'Product';
     const unit = subscription.product?.unit || 'Unit';
     const rate = subscription.rate || 0;
-    const hsnCode = subscription.depotProductVariant?.hsnCode || '';
+    const tax = resolveTax({
+      productId: subscription.productId,
+      variantName: subscription.depotProductVariant?.name,
+      hsnCode: subscription.depotProductVariant?.hsnCode,
+      label: productName,
+    });
     
     // Create detailed description with all subscription information
     const scheduleType = getScheduleDescription(subscription.deliverySchedule, subscription.weekdays);
@@ -222,11 +262,12 @@ const generateInvoiceItems = async (productOrder) => {
     items.push({
       srNo: srNo++,
       description,
-      hsnSac: hsnCode,
+      hsnSac: tax.hsn,
       quantity: subscription.totalQty,
       rate: rate,
       unit: unit,
-      amount: subscription.amount
+      amount: subscription.amount,
+      gstRate: tax.rate
     });
   }
 
@@ -351,6 +392,8 @@ const getInvoiceBySubscription = async (subscriptionId) => {
 const createInvoiceForOrder = generateInvoiceForOrder;
 
 module.exports = {
+  COMPANY_DETAILS,
+  assignInvoiceNumber,
   generateInvoiceForOrder,
   createInvoiceForOrder,
   getInvoicePath,
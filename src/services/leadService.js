@@ -0,0 +1,336 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+
+const LEAD_STATUSES = ['NEW', 'CONTACTED', 'FOLLOW_UP', 'CONVERTED', 'CLOSED'];
+const LEAD_SOURCES = ['WEBSITE', 'WHATSAPP', 'PHONE', 'WALK_IN', 'REFERRAL', 'OTHER'];
+
+// Leads still being worked; only these are converted on registration
+const OPEN_STATUSES = ['NEW', 'CONTACTED', 'FOLLOW_UP'];
+
+const pincodeList = (pincodes) =>
+  String(pincodes || '').split(/[\s,]+/).map((p) => p.trim()).filter(Boolean);
+
+/**
+ * Whether we deliver to a pincode. Dairy leads need an area that delivers
+ * dairy products; other leads are serviceable when any area covers the pincode.
+ *
+ * @param {string} pincode
+ * @param {boolean} isDairyProduct
+ * @param {Object} [client]
+ * @returns {Promise<{ isServiceable: boolean, areaMasterId: number|null }>}
+ */
+const checkServiceability = async (pincode, isDairyProduct, client = prisma) => {
+  const areas = await client.areaMaster.findMany({
+    where: { pincodes: { contains: String(pincode) } },
+    select: { id: true, pincodes: true, isDairyProduct: true },
+    orderBy: { id: 'asc' },
+  });
+  const covering = areas.filter((area) => pincodeList(area.pincodes).includes(String(pincode)));
+  const area = isDairyProduct ? covering.find((a) => a.isDairyProduct) : covering[0];
+  return { isServiceable: Boolean(area), areaMasterId: area ? area.id : null };
+};
+
+// Earliest callback not yet done, or null
+const refreshNextFollowUp = async (tx, leadId) => {
+  const next = await tx.leadActivity.findFirst({
+    where: { leadId, type: 'CALLBACK', completedAt: null },
+    orderBy: { followUpAt: 'asc' },
+    select: { followUpAt: true },
+  });
+  await tx.lead.update({ where: { id: leadId }, data: { nextFollowUpAt: next ? next.followUpAt : null } });
+};
+
+const findLead = async (tx, leadId) => {
+  const lead = await tx.lead.findUnique({ where: { id: leadId } });
+  if (!lead) {
+    throw createError(404, 'Lead not found');
+  }
+  return lead;
+};
+
+/**
+ * Move a lead to another status and record it on the timeline. Closing or
+ * converting a lead cancels its pending callbacks.
+ *
+ * @param {number} leadId
+ * @param {string} toStatus - One of LEAD_STATUSES
+ * @param {Object} [options]
+ * @param {number} [options.actorId]
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} Updated lead
+ */
+const changeLeadStatus = async (leadId, toStatus, { actorId = null, note = null } = {}) => {
+  if (!LEAD_STATUSES.includes(toStatus)) {
+    throw createError(400, `Status must be one of: ${LEAD_STATUSES.join(', ')}`);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const lead = await findLead(tx, leadId);
+    if (lead.status === toStatus && !note) return lead;
+
+    await tx.leadActivity.create({
+      data: {
+        leadId,
+        type: 'STATUS_CHANGE',
+        fromStatus: lead.status,
+        toStatus,
+        note,
+        createdById: actorId,
+      },
+    });
+
+    const data = { status: toStatus };
+    if (toStatus === 'CONVERTED' && !lead.convertedAt) {
+      data.convertedAt = new Date();
+    }
+    if (toStatus === 'CONVERTED' || toStatus === 'CLOSED') {
+      await tx.leadActivity.updateMany({
+        where: { leadId, type: 'CALLBACK', completedAt: null },
+        data: { completedAt: new Date() },
+      });
+      data.nextFollowUpAt = null;
+    }
+    return tx.lead.update({ where: { id: leadId }, data });
+  });
+};
+
+/**
+ * Hand a lead to a staff user (or take it off them with null).
+ *
+ * @param {number} leadId
+ * @param {number|null} assignedToId
+ * @param {Object} [options]
+ * @param {number} [options.actorId]
+ * @returns {Promise<Object>} Updated lead
+ */
+const assignLead = async (leadId, assignedToId, { actorId = null } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    const lead = await findLead(tx, leadId);
+
+    let assignee = null;
+    if (assignedToId) {
+      assignee = await tx.user.findUnique({ where: { id: assignedToId }, select: { id: true, name: true, role: true, active: true } });
+      if (!assignee || !assignee.active) {
+        throw createError(400, 'Assignee must be an active user');
+      }
+      if (assignee.role !== 'ADMIN') {
+        throw createError(400, 'Leads can only be assigned to admin staff');
+      }
+    }
+    if ((lead.assignedToId || null) === (assignedToId || null)) return lead;
+
+    await tx.leadActivity.create({
+      data: {
+        leadId,
+        type: 'ASSIGNMENT',
+        note: assignee ? `Assigned to ${assignee.name}` : 'Unassigned',
+        createdById: actorId,
+      },
+    });
+    return tx.lead.update({ where: { id: leadId }, data: { assignedToId: assignedToId || null } });
+  });
+};
+
+/**
+ * Add a note, a logged call or a scheduled callback to a lead's timeline.
+ * Scheduling a callback on a NEW or CONTACTED lead moves it to FOLLOW_UP.
+ *
+ * @param {number} leadId
+ * @param {Object} params
+ * @param {'NOTE'|'CALL'|'CALLBACK'} params.type
+ * @param {string} [params.note]
+ * @param {Date} [params.followUpAt] - Required for CALLBACK
+ * @param {number} [params.actorId]
+ * @returns {Promise<Object>} The activity
+ */
+const addLeadActivity = async (leadId, { type, note = null, followUpAt = null, actorId = null }) => {
+  if (!['NOTE', 'CALL', 'CALLBACK'].includes(type)) {
+    throw createError(400, 'type must be one of: NOTE, CALL, CALLBACK');
+  }
+  if (type === 'CALLBACK') {
+    if (!followUpAt || Number.isNaN(new Date(followUpAt).getTime())) {
+      throw createError(400, 'followUpAt is required for a callback');
+    }
+  } else if (!note || !String(note).trim()) {
+    throw createError(400, 'note is required');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const lead = await findLead(tx, leadId);
+    if (type === 'CALLBACK' && !OPEN_STATUSES.includes(lead.status)) {
+      throw createError(409, `Cannot schedule a callback on a ${lead.status.toLowerCase()} lead`);
+    }
+
+    const activity = await tx.leadActivity.create({
+      data: {
+        leadId,
+        type,
+        note: note ? String(note).trim() : null,
+        followUpAt: type === 'CALLBACK' ? new Date(followUpAt) : null,
+        createdById: actorId,
+      },
+    });
+
+    if (type === 'CALLBACK') {
+      if (lead.status !== 'FOLLOW_UP') {
+        await tx.leadActivity.create({
+          data: { leadId, type: 'STATUS_CHANGE', fromStatus: lead.status, toStatus: 'FOLLOW_UP', createdById: actorId },
+        });
+        await tx.lead.update({ where: { id: leadId }, data: { status: 'FOLLOW_UP' } });
+      }
+      await refreshNextFollowUp(tx, leadId);
+    } else if (type === 'CALL' && lead.status === 'NEW') {
+      await tx.leadActivity.create({
+        data: { leadId, type: 'STATUS_CHANGE', fromStatus: 'NEW', toStatus: 'CONTACTED', createdById: actorId },
+      });
+      await tx.lead.update({ where: { id: leadId }, data: { status: 'CONTACTED' } });
+    }
+
+    return activity;
+  });
+};
+
+/**
+ * Mark a scheduled callback as done, optionally with the outcome.
+ *
+ * @param {number} leadId
+ * @param {number} activityId
+ * @param {Object} [options]
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} The activity
+ */
+const completeCallback = async (leadId, activityId, { note = null } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    const activity = await tx.leadActivity.findUnique({ where: { id: activityId } });
+    if (!activity || activity.leadId !== leadId || activity.type !== 'CALLBACK') {
+      throw createError(404, 'Callback not found');
+    }
+    if (activity.completedAt) {
+      return activity;
+    }
+    const updated = await tx.leadActivity.update({
+      where: { id: activityId },
+      data: {
+        completedAt: new Date(),
+        ...(note ? { note: [activity.note, String(note).trim()].filter(Boolean).join('\n') } : {}),
+      },
+    });
+    await refreshNextFollowUp(tx, leadId);
+    return updated;
+  });
+};
+
+/**
+ * Convert the open leads for a mobile number once its owner registers.
+ * Called after registration; failures are the caller's to log.
+ *
+ * @param {Object} params
+ * @param {string} params.mobile
+ * @param {number} params.memberId
+ * @param {number} [params.userId] - Recorded as the actor on the timeline
+ * @returns {Promise<number>} Leads converted
+ */
+const convertLeadsForMember = async ({ mobile, memberId, userId = null }) => {
+  if (!mobile || !memberId) return 0;
+
+  return prisma.$transaction(async (tx) => {
+    const leads = await tx.lead.findMany({
+      where: { mobile: String(mobile), status: { in: OPEN_STATUSES } },
+      select: { id: true, status: true },
+    });
+    if (leads.length === 0) return 0;
+
+    const now = new Date();
+    const leadIds = leads.map((lead) => lead.id);
+    await tx.leadActivity.createMany({
+      data: leads.map((lead) => ({
+        leadId: lead.id,
+        type: 'CONVERSION',
+        fromStatus: lead.status,
+        toStatus: 'CONVERTED',
+        note: 'Customer registered with this mobile number',
+        createdById: userId,
+      })),
+    });
+    await tx.leadActivity.updateMany({
+      where: { leadId: { in: leadIds }, type: 'CALLBACK', completedAt: null },
+      data: { completedAt: now },
+    });
+    await tx.lead.updateMany({
+      where: { id: { in: leadIds } },
+      data: { status: 'CONVERTED', memberId, convertedAt: now, nextFollowUpAt: null },
+    });
+    return leads.length;
+  });
+};
+
+/**
+ * Lead funnel grouped by pincode or source: how many leads reached each
+ * status, and how many converted.
+ *
+ * @param {Object} params
+ * @param {'pincode'|'source'} [params.groupBy]
+ * @param {Date} [params.from] - Lead created on or after
+ * @param {Date} [params.to] - Lead created on or before
+ * @param {boolean} [params.isDairyProduct]
+ * @returns {Promise<Object[]>} One row per group, largest first
+ */
+const getLeadFunnel = async ({ groupBy = 'pincode', from = null, to = null, isDairyProduct } = {}) => {
+  if (!['pincode', 'source'].includes(groupBy)) {
+    throw createError(400, 'groupBy must be pincode or source');
+  }
+  const where = {};
+  if (from || to) {
+    where.createdAt = { ...(from ? { gte: from } : {}), ...(to ? { lte: to } : {}) };
+  }
+  if (isDairyProduct !== undefined) {
+    where.isDairyProduct = isDairyProduct;
+  }
+
+  const rows = await prisma.lead.groupBy({
+    by: [groupBy, 'status', 'isServiceable'],
+    where,
+    _count: { _all: true },
+  });
+
+  const groups = new Map();
+  for (const row of rows) {
+    const key = row[groupBy];
+    if (!groups.has(key)) {
+      groups.set(key, {
+        [groupBy]: key,
+        total: 0,
+        serviceable: 0,
+        byStatus: Object.fromEntries(LEAD_STATUSES.map((status) => [status, 0])),
+      });
+    }
+    const group = groups.get(key);
+    group.total += row._count._all;
+    group.byStatus[row.status] += row._count._all;
+    if (row.isServiceable) group.serviceable += row._count._all;
+  }
+
+  return [...groups.values()]
+    .map((group) => {
+      const contacted = group.total - group.byStatus.NEW;
+      return {
+        ...group,
+        contacted,
+        converted: group.byStatus.CONVERTED,
+        conversionRate: group.total > 0 ? Math.round((group.byStatus.CONVERTED / group.total) * 10000) / 100 : 0,
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+};
+
+module.exports = {
+  LEAD_STATUSES,
+  LEAD_SOURCES,
+  checkServiceability,
+  changeLeadStatus,
+  assignLead,
+  addLeadActivity,
+  completeCallback,
+  convertLeadsForMember,
+  getLeadFunnel,
+};
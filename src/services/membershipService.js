@@ -1,4 +1,5 @@
 const prisma = require("../config/db");
+const { revokeUserSessions } = require("./sessionService");
 
 /**
  * Checks member's HO and venue expiry dates and determines if membership is active
@@ -53,6 +54,7 @@ const checkMembershipExpiry = async (userId) => {
         where: { id: userId },
         data: { active: false }
       });
+      await revokeUserSessions(userId, 'DEACTIVATED');
     }
 
     return {
@@ -9,7 +9,10 @@
  * Docs: https://developer.phonepe.com/payment-gateway/website-integration/standard-checkout/api-integration/api-reference/
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
+const { releaseOrderReservations, restoreOrderReservations } = require('./stockReservationService');
+const { reverseRedemption, reinstateRedemption } = require('./couponService');
 const { PrismaClient } = require('@prisma/client');
 
 const prisma = new PrismaClient();
@@ -20,6 +23,11 @@ const CLIENT_SECRET = process.env.PHONEPE_CLIENT_SECRET;
 const CLIENT_VERSION = process.env.PHONEPE_CLIENT_VERSION || '1';
 const PHONEPE_ENV = (process.env.PHONEPE_ENV || 'SANDBOX').toUpperCase();
 
+// Credentials configured on the PhonePe dashboard for webhook callbacks.
+// PhonePe sends SHA256("username:password") in the Authorization header.
+const WEBHOOK_USERNAME = process.env.PHONEPE_WEBHOOK_USERNAME;
+const WEBHOOK_PASSWORD = process.env.PHONEPE_WEBHOOK_PASSWORD;
+
 const BASE_URL =
   PHONEPE_ENV === 'PRODUCTION'
     ? 'https://api.phonepe.com/apis/pg'
@@ -123,6 +131,7 @@ async function initiatePayment({
         merchantOrderId,
         phonePeOrderId: data.orderId || null,
         amount: amount / 100, // store in rupees
+        amountPaise: amount,
         state: 'PENDING',
         redirectUrl,
         ...(snfOrderId ? { snfOrderId } : {}),
@@ -161,7 +170,7 @@ async function checkOrderStatus(merchantOrderId) {
   const data = response.data;
   console.log(`[PhonePeService] Status response: state=${data.state}`);
 
-  // Update DB record
+  // Update DB record and settle the linked order
   try {
     const existing = await prisma.phonePeTransaction.findFirst({
       where: { merchantOrderId },
@@ -175,9 +184,16 @@ async function checkOrderStatus(merchantOrderId) {
           phonePeOrderId: data.orderId || existing.phonePeOrderId,
           transactionId: paymentDetail?.transactionId || existing.transactionId,
           paymentMode: paymentDetail?.paymentMode || existing.paymentMode,
-          completedAt: data.state === 'COMPLETED' ? new Date() : existing.completedAt,
+          utr: paymentDetail?.rail?.utr || existing.utr,
+          statusCheckPayload: data,
+          completedAt: data.state === 'COMPLETED' ? existing.completedAt || new Date() : existing.completedAt,
         },
       });
+      await settleOrderPayment(existing, {
+        state: data.state,
+        phonePeOrderId: data.orderId,
+        paymentDetail,
+      });
     }
   } catch (dbErr) {
     console.error('[PhonePeService] DB update error (non-fatal):', dbErr.message);
@@ -192,72 +208,248 @@ async function checkOrderStatus(merchantOrderId) {
   };
 }
 
+// ─── Order Settlement ────────────────────────────────────────────────────────
+/**
+ * Apply a PhonePe terminal state to the order linked to a transaction.
+ * Only orders not yet paid are touched, so repeated calls (webhook replays,
+ * status polling, reconciliation) never overwrite a settled order. A success
+ * that arrives after a failure takes back the stock and coupon the failure
+ * released.
+ *
+ * @param {Object} transaction           PhonePeTransaction row
+ * @param {Object} result
+ * @param {string} result.state          COMPLETED | FAILED | PENDING
+ * @param {string} [result.phonePeOrderId]
+ * @param {Object} [result.paymentDetail] First entry of PhonePe paymentDetails
+ */
+async function settleOrderPayment(transaction, { state, phonePeOrderId, paymentDetail }) {
+  const paymentRef = paymentDetail?.transactionId || phonePeOrderId || transaction.phonePeOrderId;
+
+  if (state === 'COMPLETED') {
+    if (transaction.snfOrderId) {
+      await prisma.$transaction(async (tx) => {
+        const orderId = transaction.snfOrderId;
+        await tx.$queryRaw`SELECT id FROM snf_orders WHERE id = ${orderId} FOR UPDATE`;
+        const order = await tx.sNFOrder.findUnique({ where: { id: orderId }, select: { paymentStatus: true } });
+        if (!order || order.paymentStatus === 'PAID') return;
+
+        // A failure was reported first and gave up the stock and coupon; the
+        // customer has paid, so take both again, backordering any shortfall
+        if (order.paymentStatus === 'FAILED') {
+          await restoreOrderReservations(orderId, tx, { allowBackorder: true });
+          await reinstateRedemption({ snfOrderId: orderId }, tx);
+        }
+        await tx.sNFOrder.update({
+          where: { id: orderId },
+          data: {
+            paymentStatus: 'PAID',
+            paymentMode: 'ONLINE',
+            paymentRefNo: paymentRef,
+            paymentDate: new Date(),
+          },
+        });
+      });
+    }
+    if (transaction.productOrderId) {
+      await prisma.$transaction(async (tx) => {
+        const orderId = transaction.productOrderId;
+        await tx.$queryRaw`SELECT id FROM product_orders WHERE id = ${orderId} FOR UPDATE`;
+        const order = await tx.productOrder.findUnique({ where: { id: orderId }, select: { paymentStatus: true } });
+        if (!order || order.paymentStatus === 'PAID') return;
+
+        if (order.paymentStatus === 'FAILED') {
+          await reinstateRedemption({ productOrderId: orderId }, tx);
+        }
+        await tx.productOrder.update({
+          where: { id: orderId },
+          data: {
+            paymentStatus: 'PAID',
+            paymentMode: 'ONLINE',
+            paymentReferenceNo: paymentRef,
+            paymentDate: new Date(),
+          },
+        });
+      });
+    }
+  } else if (state === 'FAILED') {
+    if (transaction.snfOrderId) {
+      const failed = await prisma.sNFOrder.updateMany({
+        where: { id: transaction.snfOrderId, paymentStatus: 'PENDING' },
+        data: { paymentStatus: 'FAILED' },
+      });
+      if (failed.count > 0) {
+        await releaseOrderReservations(transaction.snfOrderId, 'PAYMENT_FAILED');
+        await reverseRedemption({ snfOrderId: transaction.snfOrderId }, 'PAYMENT_FAILED');
+      }
+    }
+    if (transaction.productOrderId) {
+      const failed = await prisma.productOrder.updateMany({
+        where: { id: transaction.productOrderId, paymentStatus: 'PENDING' },
+        data: { paymentStatus: 'FAILED' },
+      });
+      if (failed.count > 0) {
+        await reverseRedemption({ productOrderId: transaction.productOrderId }, 'PAYMENT_FAILED');
+      }
+    }
+  }
+}
+
 // ─── Webhook Processing ──────────────────────────────────────────────────────
 /**
- * Process a webhook callback from PhonePe.
+ * Verify the Authorization header PhonePe sends with every webhook.
+ * Returns false when webhook credentials are not configured so that
+ * unauthenticated callbacks are never trusted.
+ */
+function verifyWebhookAuthorization(authorizationHeader) {
+  if (!WEBHOOK_USERNAME || !WEBHOOK_PASSWORD) {
+    console.error('[PhonePeService] Webhook credentials are not configured; rejecting callback');
+    return false;
+  }
+  if (!authorizationHeader || typeof authorizationHeader !== 'string') {
+    return false;
+  }
+
+  const received = authorizationHeader.trim().replace(/^SHA256\s+/i, '').toLowerCase();
+  const expected = crypto
+    .createHash('sha256')
+    .update(`${WEBHOOK_USERNAME}:${WEBHOOK_PASSWORD}`)
+    .digest('hex');
+
+  const receivedBuf = Buffer.from(received);
+  const expectedBuf = Buffer.from(expected);
+  return receivedBuf.length === expectedBuf.length && crypto.timingSafeEqual(receivedBuf, expectedBuf);
+}
+
+/**
+ * Build the de-duplication key for a webhook event. PhonePe retries deliver
+ * the same event/order/state combination, which maps to the same key.
  */
-async function processWebhook(body) {
+function buildWebhookEventKey(body, rawBody) {
+  const eventType = body?.event || body?.type;
+  const payload = body?.payload;
+  const orderRef = payload?.orderId || payload?.merchantOrderId;
+
+  if (eventType && orderRef && payload?.state) {
+    return `${eventType}:${orderRef}:${payload.state}`;
+  }
+
+  const raw = typeof rawBody === 'string' ? rawBody : JSON.stringify(body || {});
+  return `raw:${crypto.createHash('sha256').update(raw).digest('hex')}`;
+}
+
+/**
+ * Record the webhook event. Returns null when the same event was already
+ * received and handled (or is being handled), so the caller can skip it.
+ * Events that previously FAILED are picked up again on retry.
+ */
+async function recordWebhookEvent(eventKey, body) {
+  const payload = body?.payload;
+  const data = {
+    eventType: body?.event || body?.type || null,
+    merchantOrderId: payload?.merchantOrderId || null,
+    state: payload?.state || null,
+    payload: body || {},
+  };
+
+  const existing = await prisma.phonePeWebhookEvent.findUnique({ where: { eventKey } });
+  if (existing) {
+    if (existing.status !== 'FAILED') {
+      return null;
+    }
+    return prisma.phonePeWebhookEvent.update({
+      where: { id: existing.id },
+      data: { ...data, status: 'RECEIVED', errorMessage: null },
+    });
+  }
+
+  try {
+    return await prisma.phonePeWebhookEvent.create({ data: { eventKey, ...data } });
+  } catch (err) {
+    // Concurrent delivery of the same event — the other request owns it
+    if (err.code === 'P2002') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Process a webhook callback from PhonePe. The caller must have verified the
+ * Authorization header with verifyWebhookAuthorization() first.
+ *
+ * @param {Object} body      Parsed webhook body
+ * @param {string} [rawBody] Raw request body, used for the fallback event key
+ */
+async function processWebhook(body, rawBody) {
   console.log('[PhonePeService] Processing webhook:', JSON.stringify(body).substring(0, 200));
 
-  // PhonePe webhooks include type and payload
-  const eventType = body?.type;
+  const eventKey = buildWebhookEventKey(body, rawBody);
+  const event = await recordWebhookEvent(eventKey, body);
+  if (!event) {
+    console.log(`[PhonePeService] Webhook: duplicate event ${eventKey} ignored`);
+    return { received: true, duplicate: true };
+  }
+
+  // PhonePe webhooks include an event type and payload
   const payload = body?.payload;
+  const merchantOrderId = payload?.merchantOrderId;
+  const state = payload?.state;
 
-  if (!payload) {
+  if (!payload || !merchantOrderId) {
     console.warn('[PhonePeService] Webhook has no payload');
+    await prisma.phonePeWebhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'IGNORED', processedAt: new Date() },
+    });
     return { received: true };
   }
 
-  const merchantOrderId = payload.merchantOrderId;
-  const state = payload.state;
+  try {
+    const existing = await prisma.phonePeTransaction.findFirst({
+      where: { merchantOrderId },
+    });
 
-  if (merchantOrderId) {
-    try {
-      const existing = await prisma.phonePeTransaction.findFirst({
-        where: { merchantOrderId },
+    if (!existing) {
+      console.warn(`[PhonePeService] Webhook: no transaction for ${merchantOrderId}`);
+      await prisma.phonePeWebhookEvent.update({
+        where: { id: event.id },
+        data: { status: 'IGNORED', processedAt: new Date(), errorMessage: 'Unknown merchantOrderId' },
       });
-      if (existing) {
-        const paymentDetail = payload.paymentDetails?.[0];
-        await prisma.phonePeTransaction.update({
-          where: { id: existing.id },
-          data: {
-            state: state || existing.state,
-            phonePeOrderId: payload.orderId || existing.phonePeOrderId,
-            transactionId: paymentDetail?.transactionId || existing.transactionId,
-            paymentMode: paymentDetail?.paymentMode || existing.paymentMode,
-            webhookPayload: JSON.stringify(body),
-            completedAt: state === 'COMPLETED' ? new Date() : existing.completedAt,
-          },
-        });
-        console.log(`[PhonePeService] Webhook: Updated ${merchantOrderId} → ${state}`);
-
-        // Update the Order's paymentStatus if completed
-        if (state === 'COMPLETED') {
-          if (existing.snfOrderId) {
-            await prisma.sNFOrder.update({
-              where: { id: existing.snfOrderId },
-              data: {
-                paymentStatus: 'PAID',
-                paymentMode: 'PHONEPE',
-                paymentRefNo: paymentDetail?.transactionId || payload.orderId,
-                paymentDate: new Date(),
-              },
-            });
-          }
-          if (existing.productOrderId) {
-            await prisma.productOrder.update({
-              where: { id: existing.productOrderId },
-              data: {
-                paymentStatus: 'PAID',
-                paymentMode: 'PHONEPE',
-              },
-            });
-          }
-        }
-      }
-    } catch (dbErr) {
-      console.error('[PhonePeService] Webhook DB error:', dbErr.message);
+      return { received: true, merchantOrderId, state };
     }
+
+    const paymentDetail = payload.paymentDetails?.[0];
+    await prisma.phonePeTransaction.update({
+      where: { id: existing.id },
+      data: {
+        state: state || existing.state,
+        phonePeOrderId: payload.orderId || existing.phonePeOrderId,
+        transactionId: paymentDetail?.transactionId || existing.transactionId,
+        paymentMode: paymentDetail?.paymentMode || existing.paymentMode,
+        utr: paymentDetail?.rail?.utr || existing.utr,
+        webhookPayload: body,
+        completedAt: state === 'COMPLETED' ? existing.completedAt || new Date() : existing.completedAt,
+      },
+    });
+    console.log(`[PhonePeService] Webhook: Updated ${merchantOrderId} → ${state}`);
+
+    await settleOrderPayment(existing, {
+      state,
+      phonePeOrderId: payload.orderId,
+      paymentDetail,
+    });
+
+    await prisma.phonePeWebhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'PROCESSED', processedAt: new Date(), transactionId: existing.id },
+    });
+  } catch (dbErr) {
+    console.error('[PhonePeService] Webhook DB error:', dbErr.message);
+    await prisma.phonePeWebhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'FAILED', errorMessage: dbErr.message },
+    });
+    throw dbErr;
   }
 
   return { received: true, merchantOrderId, state };
@@ -266,5 +458,7 @@ async function processWebhook(body) {
 module.exports = {
   initiatePayment,
   checkOrderStatus,
+  settleOrderPayment,
+  verifyWebhookAuthorization,
   processWebhook,
 };
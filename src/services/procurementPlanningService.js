@@ -0,0 +1,434 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+const { nextNumber } = require('./documentSequenceService');
+
+// How far back purchase history is searched to pick a vendor for a product
+const VENDOR_HISTORY_DAYS = 180;
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()));
+
+/**
+ * The delivery day of a 'YYYY-MM-DD' string.
+ * @param {string} date
+ * @returns {{ day: Date, dayStart: Date, dayEnd: Date }}
+ */
+const dayOf = (date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || '')) || !dayjs(date).isValid()) {
+    throw createError(400, 'date must be in YYYY-MM-DD format');
+  }
+  const start = dayjs(date).startOf('day');
+  return { day: new Date(date), dayStart: start.toDate(), dayEnd: start.add(1, 'day').toDate() };
+};
+
+const addTo = (map, key, quantity) => map.set(key, (map.get(key) || 0) + quantity);
+
+/**
+ * Paid subscription deliveries still pending for the day, per variant and agency.
+ * @returns {Promise<Map<number, Map<number|null, number>>>}
+ */
+const subscriptionDemand = async (day, depotId) => {
+  const entries = await prisma.deliveryScheduleEntry.findMany({
+    where: {
+      deliveryDate: day,
+      status: 'PENDING',
+      subscription: {
+        paymentStatus: 'PAID',
+        ...(depotId ? { depotProductVariant: { depotId } } : {}),
+      },
+    },
+    select: {
+      quantity: true,
+      agentId: true,
+      depotProductVariantId: true,
+      subscription: { select: { agencyId: true, depotProductVariantId: true } },
+    },
+  });
+
+  const demand = new Map();
+  entries.forEach((entry) => {
+    const variantId = entry.subscription.depotProductVariantId ?? entry.depotProductVariantId;
+    if (!variantId) return;
+    if (!demand.has(variantId)) demand.set(variantId, new Map());
+    addTo(demand.get(variantId), entry.subscription.agencyId ?? entry.agentId ?? null, entry.quantity);
+  });
+  return demand;
+};
+
+/**
+ * SNF order quantities due for delivery on the day, per variant.
+ * @returns {Promise<Map<number, number>>}
+ */
+const snfDemand = async (dayStart, dayEnd, depotId) => {
+  const items = await prisma.sNFOrderItem.findMany({
+    where: {
+      depotProductVariantId: { not: null },
+      order: {
+        deliveryDate: { gte: dayStart, lt: dayEnd },
+        paymentStatus: { not: 'CANCELLED' },
+        ...(depotId ? { depotId } : {}),
+      },
+    },
+    select: { depotProductVariantId: true, quantity: true },
+  });
+
+  const demand = new Map();
+  items.forEach((item) => addTo(demand, item.depotProductVariantId, item.quantity));
+  return demand;
+};
+
+/**
+ * Quantities already on confirmed purchase orders for the day that have not
+ * been received yet, per variant and agency.
+ * @returns {Promise<Map<number, Map<number, number>>>}
+ */
+const onOrder = async (variantIds, dayStart, dayEnd) => {
+  const items = await prisma.orderItem.findMany({
+    where: {
+      depotVariantId: { in: variantIds },
+      vendorOrder: {
+        deliveryDate: { gte: dayStart, lt: dayEnd },
+        status: { in: ['PENDING', 'DELIVERED'] },
+      },
+    },
+    select: { depotVariantId: true, agencyId: true, quantity: true },
+  });
+
+  const ordered = new Map();
+  items.forEach((item) => {
+    if (!ordered.has(item.depotVariantId)) ordered.set(item.depotVariantId, new Map());
+    addTo(ordered.get(item.depotVariantId), item.agencyId, item.quantity);
+  });
+  return ordered;
+};
+
+/**
+ * Vendors each variant was bought from recently, most recent first, drawn
+ * from confirmed purchase orders (by product) and purchases (by variant).
+ * @returns {Promise<(variant: Object) => number[]>}
+ */
+const vendorHistory = async (variants) => {
+  const since = dayjs().subtract(VENDOR_HISTORY_DAYS, 'day').toDate();
+  const productIds = [...new Set(variants.map((variant) => variant.productId))];
+
+  const [orderItems, purchaseDetails] = await Promise.all([
+    prisma.orderItem.findMany({
+      where: {
+        productId: { in: productIds },
+        vendorOrder: { status: { not: 'DRAFT' }, orderDate: { gte: since } },
+      },
+      select: { productId: true, vendorOrder: { select: { vendorId: true, orderDate: true } } },
+    }),
+    prisma.purchaseDetail.findMany({
+      where: {
+        variantId: { in: variants.map((variant) => variant.id) },
+        purchase: { purchaseDate: { gte: since } },
+      },
+      select: { variantId: true, purchase: { select: { vendorId: true, purchaseDate: true } } },
+    }),
+  ]);
+
+  const latest = (map, key, vendorId, at) => {
+    if (!map.has(key)) map.set(key, new Map());
+    const seen = map.get(key).get(vendorId);
+    if (!seen || seen < at) map.get(key).set(vendorId, at);
+  };
+  const byProduct = new Map();
+  const byVariant = new Map();
+  orderItems.forEach((item) => latest(byProduct, item.productId, item.vendorOrder.vendorId, item.vendorOrder.orderDate));
+  purchaseDetails.forEach((detail) => latest(byVariant, detail.variantId, detail.purchase.vendorId, detail.purchase.purchaseDate));
+
+  return (variant) => {
+    const combined = new Map(byProduct.get(variant.productId) || []);
+    (byVariant.get(variant.id) || new Map()).forEach((at, vendorId) => {
+      if (!combined.has(vendorId) || combined.get(vendorId) < at) combined.set(vendorId, at);
+    });
+    return [...combined.entries()].sort((a, b) => b[1] - a[1]).map(([vendorId]) => vendorId);
+  };
+};
+
+/**
+ * Split what a variant still needs across agencies. Depot stock and orders
+ * already placed cover the depot's own agency (SNF demand and minimum stock)
+ * first, then subscription demand in agency order.
+ *
+ * @param {Map<number|null, number>} needs - Quantity per agency; null when no agency can take it
+ * @param {Map<number, number>} ordered - Quantity already on order per agency
+ * @param {number} stock - Depot closing stock
+ * @param {number|null} depotAgencyId
+ * @returns {Map<number|null, number>}
+ */
+const allocate = (needs, ordered, stock, depotAgencyId) => {
+  const remaining = new Map(needs);
+  let cover = Math.max(stock, 0);
+
+  ordered.forEach((quantity, agencyId) => {
+    const need = remaining.get(agencyId) || 0;
+    remaining.set(agencyId, Math.max(need - quantity, 0));
+    cover += Math.max(quantity - need, 0);
+  });
+
+  const order = [...remaining.keys()].sort((a, b) => {
+    const rank = (agencyId) => (agencyId === depotAgencyId ? 0 : agencyId === null ? 1 : 2);
+    return rank(a) - rank(b) || a - b;
+  });
+  order.forEach((agencyId) => {
+    const covered = Math.min(cover, remaining.get(agencyId));
+    cover -= covered;
+    remaining.set(agencyId, remaining.get(agencyId) - covered);
+  });
+
+  [...remaining.keys()].forEach((agencyId) => {
+    if (remaining.get(agencyId) <= 0) remaining.delete(agencyId);
+  });
+  return remaining;
+};
+
+/**
+ * Suggested purchase quantities for a delivery day: paid subscription
+ * deliveries plus SNF orders plus each variant's minimum stock, less the
+ * depot's closing stock and what is already on order. Milk (dairy products)
+ * goes to a dairy supplier; everything else to the vendor it was last bought
+ * from. Quantities that cannot be given a vendor or an agency are listed
+ * under `unassigned` for manual ordering.
+ *
+ * @param {string} date - Delivery day, YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {number} [options.depotId] - Plan a single depot
+ * @returns {Promise<Object>}
+ */
+const buildPlan = async (date, { depotId = null } = {}) => {
+  const { day, dayStart, dayEnd } = dayOf(date);
+
+  const [subscriptions, snf, lowStock] = await Promise.all([
+    subscriptionDemand(day, depotId),
+    snfDemand(dayStart, dayEnd, depotId),
+    prisma.depotProductVariant.findMany({
+      where: { minimumQty: { gt: 0 }, ...(depotId ? { depotId } : {}) },
+      select: { id: true, closingQty: true, minimumQty: true },
+    }),
+  ]);
+
+  const variantIds = new Set([...subscriptions.keys(), ...snf.keys()]);
+  lowStock.filter((variant) => variant.closingQty < variant.minimumQty).forEach((variant) => variantIds.add(variant.id));
+  if (variantIds.size === 0) {
+    return { date, lines: [], vendors: [], unassigned: [] };
+  }
+
+  const variants = await prisma.depotProductVariant.findMany({
+    where: { id: { in: [...variantIds] } },
+    include: {
+      depot: { select: { id: true, name: true } },
+      product: { select: { id: true, name: true, isDairyProduct: true } },
+    },
+  });
+  const depotIds = [...new Set(variants.map((variant) => variant.depotId))];
+
+  const [ordered, agencies, dairySuppliers, vendorsFor] = await Promise.all([
+    onOrder([...variantIds], dayStart, dayEnd),
+    prisma.agency.findMany({
+      where: { depotId: { in: depotIds } },
+      select: { id: true, name: true, depotId: true },
+      orderBy: { id: 'asc' },
+    }),
+    prisma.vendor.findMany({ where: { isDairySupplier: true }, select: { id: true }, orderBy: { id: 'asc' } }),
+    vendorHistory(variants),
+  ]);
+
+  const depotAgency = new Map();
+  agencies.forEach((agency) => {
+    if (!depotAgency.has(agency.depotId)) depotAgency.set(agency.depotId, agency.id);
+  });
+  const dairyIds = new Set(dairySuppliers.map((vendor) => vendor.id));
+
+  const lines = variants.map((variant) => {
+    const subscriptionNeeds = subscriptions.get(variant.id) || new Map();
+    const snfQty = snf.get(variant.id) || 0;
+    const depotAgencyId = depotAgency.get(variant.depotId) ?? null;
+
+    const needs = new Map(subscriptionNeeds);
+    if (needs.has(null) && depotAgencyId) {
+      addTo(needs, depotAgencyId, needs.get(null));
+      needs.delete(null);
+    }
+    addTo(needs, depotAgencyId, snfQty + variant.minimumQty);
+
+    const variantOrdered = ordered.get(variant.id) || new Map();
+    const allocations = allocate(needs, variantOrdered, variant.closingQty, depotAgencyId);
+
+    const history = vendorsFor(variant);
+    const vendorId = variant.product.isDairyProduct
+      ? history.find((id) => dairyIds.has(id)) ?? dairySuppliers[0]?.id ?? null
+      : history[0] ?? null;
+    let note = null;
+    if (allocations.size > 0 && !vendorId) {
+      note = variant.product.isDairyProduct
+        ? 'No dairy supplier vendor is set up'
+        : `Not bought from any vendor in the last ${VENDOR_HISTORY_DAYS} days`;
+    } else if (allocations.has(null)) {
+      note = 'No agency is linked to the depot';
+    }
+
+    return {
+      depot: variant.depot,
+      product: variant.product,
+      variant: { id: variant.id, name: variant.name },
+      vendorId,
+      subscriptionQty: [...subscriptionNeeds.values()].reduce((sum, quantity) => sum + quantity, 0),
+      snfQty,
+      closingQty: variant.closingQty,
+      minimumQty: variant.minimumQty,
+      onOrderQty: [...variantOrdered.values()].reduce((sum, quantity) => sum + quantity, 0),
+      suggestedQty: [...allocations.values()].reduce((sum, quantity) => sum + quantity, 0),
+      purchasePrice: toNumber(variant.purchasePrice),
+      allocations: [...allocations.entries()].map(([agencyId, quantity]) => ({ agencyId, quantity })),
+      note,
+    };
+  });
+
+  const vendorRecords = await prisma.vendor.findMany({
+    where: { id: { in: [...new Set(lines.map((line) => line.vendorId).filter(Boolean))] } },
+    select: { id: true, name: true, isDairySupplier: true, contactPersonName: true },
+  });
+  const vendorById = new Map(vendorRecords.map((vendor) => [vendor.id, vendor]));
+  const agencyNames = new Map(agencies.map((agency) => [agency.id, agency.name]));
+  const extraAgencyIds = lines
+    .flatMap((line) => line.allocations.map((allocation) => allocation.agencyId))
+    .filter((agencyId) => agencyId && !agencyNames.has(agencyId));
+  if (extraAgencyIds.length) {
+    const extra = await prisma.agency.findMany({
+      where: { id: { in: [...new Set(extraAgencyIds)] } },
+      select: { id: true, name: true },
+    });
+    extra.forEach((agency) => agencyNames.set(agency.id, agency.name));
+  }
+
+  const vendors = new Map();
+  const unassigned = [];
+  lines.forEach((line) => {
+    line.vendor = line.vendorId ? vendorById.get(line.vendorId) : null;
+    line.allocations.forEach((allocation) => {
+      allocation.agencyName = allocation.agencyId ? agencyNames.get(allocation.agencyId) : null;
+    });
+    delete line.vendorId;
+
+    line.allocations.forEach((allocation) => {
+      if (!line.vendor || !allocation.agencyId) {
+        unassigned.push({ depot: line.depot, product: line.product, variant: line.variant, quantity: allocation.quantity, note: line.note });
+        return;
+      }
+      if (!vendors.has(line.vendor.id)) {
+        vendors.set(line.vendor.id, { vendor: line.vendor, items: [], totalAmount: 0 });
+      }
+      const draft = vendors.get(line.vendor.id);
+      draft.items.push({
+        productId: line.product.id,
+        productName: line.product.name,
+        depotId: line.depot.id,
+        depotVariantId: line.variant.id,
+        variantName: line.variant.name,
+        agencyId: allocation.agencyId,
+        agencyName: allocation.agencyName,
+        quantity: allocation.quantity,
+        priceAtPurchase: line.purchasePrice,
+      });
+      draft.totalAmount = round2(draft.totalAmount + line.purchasePrice * allocation.quantity);
+    });
+  });
+
+  lines.sort((a, b) => a.depot.name.localeCompare(b.depot.name) || a.product.name.localeCompare(b.product.name) || a.variant.name.localeCompare(b.variant.name));
+
+  return { date, lines, vendors: [...vendors.values()], unassigned };
+};
+
+/**
+ * Create one draft purchase order per vendor from the day's plan. Drafts
+ * drafted earlier for the same day that nobody has confirmed are replaced;
+ * confirmed orders count as already on order.
+ *
+ * @param {string} date - Delivery day, YYYY-MM-DD
+ * @returns {Promise<{ date: string, orders: Object[], replaced: number, unassigned: Object[] }>}
+ */
+const generateDrafts = async (date) => {
+  const { day, dayStart, dayEnd } = dayOf(date);
+  const plan = await buildPlan(date);
+
+  return prisma.$transaction(async (tx) => {
+    const { count: replaced } = await tx.vendorOrder.deleteMany({
+      where: { autoDrafted: true, status: 'DRAFT', deliveryDate: { gte: dayStart, lt: dayEnd } },
+    });
+
+    const orders = [];
+    for (const draft of plan.vendors) {
+      orders.push(await tx.vendorOrder.create({
+        data: {
+          orderDate: new Date(),
+          deliveryDate: day,
+          vendorId: draft.vendor.id,
+          contactPersonName: draft.vendor.contactPersonName,
+          notes: `Auto-drafted from demand for ${date}`,
+          totalAmount: draft.totalAmount,
+          status: 'DRAFT',
+          autoDrafted: true,
+          items: {
+            create: draft.items.map((item) => ({
+              productId: item.productId,
+              quantity: item.quantity,
+              priceAtPurchase: item.priceAtPurchase,
+              agencyId: item.agencyId,
+              depotId: item.depotId,
+              depotVariantId: item.depotVariantId,
+            })),
+          },
+        },
+        include: { vendor: true, items: { include: { product: true, agency: true } } },
+      }));
+    }
+
+    return { date, orders, replaced, unassigned: plan.unassigned };
+  }, { timeout: 60000 });
+};
+
+/**
+ * Confirm draft purchase orders: each gets its PO number and becomes a
+ * regular pending order visible to the vendor and agencies.
+ *
+ * @param {number[]} orderIds
+ * @returns {Promise<Object[]>}
+ */
+const confirmDrafts = async (orderIds) => prisma.$transaction(async (tx) => {
+  const confirmed = [];
+  for (const orderId of orderIds) {
+    await tx.$queryRaw`SELECT id FROM vendor_orders WHERE id = ${orderId} FOR UPDATE`;
+    const order = await tx.vendorOrder.findUnique({ where: { id: orderId }, include: { items: true } });
+    if (!order) {
+      throw createError(404, `Vendor order ${orderId} not found`);
+    }
+    if (order.status !== 'DRAFT') {
+      throw createError(400, `Vendor order ${orderId} is not a draft`);
+    }
+    if (order.items.length === 0) {
+      throw createError(400, `Vendor order ${orderId} has no items`);
+    }
+
+    const orderDate = new Date();
+    confirmed.push(await tx.vendorOrder.update({
+      where: { id: orderId },
+      data: {
+        status: 'PENDING',
+        orderDate,
+        poNumber: order.poNumber || await nextNumber('PURCHASE_ORDER', { date: orderDate, tx }),
+        totalAmount: round2(order.items.reduce((sum, item) => sum + item.priceAtPurchase * item.quantity, 0)),
+      },
+      include: { vendor: true, items: { include: { product: true, agency: true } } },
+    }));
+  }
+  return confirmed;
+});
+
+module.exports = {
+  buildPlan,
+  generateDrafts,
+  confirmDrafts,
+};
@@ -0,0 +1,361 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+const walletService = require('./walletService');
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()));
+
+/**
+ * Cash a rider should collect for an SNF order: nothing if it was paid up
+ * front, otherwise what is left after coupon and wallet.
+ * @param {Object} order - SNFOrder
+ * @returns {number}
+ */
+const expectedCodAmount = (order) => {
+  if (order.paymentStatus === 'PAID') return 0;
+  return round2(order.payableAmount ?? order.totalAmount ?? 0);
+};
+
+// Take back a cash entry: the customer's shortfall debit is credited back and
+// the entry removed. Cash already handed over or settled on a payout has to be
+// corrected there first.
+const voidCashEntry = async (tx, entry, order) => {
+  if (entry.handoverId || entry.payoutStatementId) {
+    throw createError(409, `Cash for Order #${order.orderNo} is already handed over or settled with the rider`);
+  }
+
+  if (entry.walletTransactionId) {
+    await walletService.postWalletMovement({
+      memberId: order.memberId,
+      amount: toNumber(entry.shortfallAmount),
+      type: 'CREDIT',
+      account: walletService.LedgerAccount.SALES,
+      paymentMethod: 'CASH_ON_DELIVERY',
+      referenceNumber: `${order.orderNo}-REV-${entry.id}`,
+      notes: `Reversal of deficit for Order #${order.orderNo}: delivery undone`,
+    }, tx);
+  }
+
+  await tx.riderCashEntry.delete({ where: { id: entry.id } });
+};
+
+/**
+ * Record the cash collected on a delivered SNF order. Runs in the delivery
+ * transaction. A shortfall goes on the customer's wallet or on the rider,
+ * according to the depot's codShortfallBearer. A repeat call for the same
+ * assignment replaces the earlier entry with the cash now collected.
+ *
+ * @param {Object} tx
+ * @param {Object} assignment - DeliveryAssignment, with cashCollected as entered by the rider
+ * @param {Object} order - SNFOrder as it stood before delivery
+ * @returns {Promise<Object|null>} The cash entry, or null when nothing was due or collected
+ */
+const recordCodCollection = async (tx, assignment, order) => {
+  const existing = await tx.riderCashEntry.findUnique({ where: { deliveryAssignmentId: assignment.id } });
+  // The order was marked paid by the earlier entry, so what was due then still is
+  const expected = existing ? toNumber(existing.expectedAmount) : expectedCodAmount(order);
+  if (existing) {
+    await voidCashEntry(tx, existing, order);
+  }
+
+  const collected = round2(toNumber(assignment.cashCollected));
+  if (expected <= 0 && collected <= 0) return null;
+  if (!assignment.deliveryPartnerId) {
+    throw createError(400, 'A cash-on-delivery order must be delivered by a delivery partner');
+  }
+
+  const depot = await tx.depot.findUnique({ where: { id: assignment.depotId }, select: { codShortfallBearer: true } });
+  const shortfall = round2(Math.max(expected - collected, 0));
+  // A guest order has no wallet to debit
+  const bearer = depot?.codShortfallBearer === 'RIDER' || !order.memberId ? 'RIDER' : 'CUSTOMER';
+
+  let walletTransactionId = null;
+  if (shortfall > 0 && bearer === 'CUSTOMER') {
+    // The wallet may go negative for this
+    const { walletTransaction } = await walletService.postWalletMovement({
+      memberId: order.memberId,
+      amount: shortfall,
+      type: 'DEBIT',
+      account: walletService.LedgerAccount.SALES,
+      paymentMethod: 'CASH_ON_DELIVERY',
+      referenceNumber: order.orderNo,
+      notes: `Deficit for Order #${order.orderNo}. Collected: ₹${collected}`,
+      allowNegative: true,
+    }, tx);
+    walletTransactionId = walletTransaction.id;
+  }
+
+  return tx.riderCashEntry.create({
+    data: {
+      depotId: assignment.depotId,
+      deliveryPartnerId: assignment.deliveryPartnerId,
+      deliveryAssignmentId: assignment.id,
+      snfOrderId: order.id,
+      deliveryDate: assignment.deliveryDate,
+      expectedAmount: expected,
+      collectedAmount: collected,
+      shortfallAmount: shortfall,
+      shortfallBearer: shortfall > 0 ? bearer : 'CUSTOMER',
+      walletTransactionId,
+    },
+  });
+};
+
+/**
+ * Undo the cash side of a delivery that turned out not to have been made.
+ * Runs in the transaction that moves the assignment off DELIVERED: the cash
+ * entry is voided, a shortfall debited from the customer is credited back and
+ * the order is due again. Delivering it later records the cash afresh.
+ *
+ * @param {Object} tx
+ * @param {Object} assignment - DeliveryAssignment
+ * @returns {Promise<Object|null>} The voided entry, or null when none was recorded
+ */
+const reverseCodCollection = async (tx, assignment) => {
+  const entry = await tx.riderCashEntry.findUnique({ where: { deliveryAssignmentId: assignment.id } });
+  if (!entry) return null;
+
+  const order = await tx.sNFOrder.findUnique({ where: { id: entry.snfOrderId } });
+  await voidCashEntry(tx, entry, order);
+
+  // Only cash orders get an entry with something due; prepaid ones stay paid
+  if (toNumber(entry.expectedAmount) > 0) {
+    await tx.sNFOrder.update({
+      where: { id: order.id },
+      data: { paymentStatus: 'PENDING' },
+    });
+  }
+  return entry;
+};
+
+const partnerSelect = { id: true, firstName: true, lastName: true, mobile: true, depotId: true };
+
+/**
+ * What a rider is holding: collected cash not yet in an approved or pending
+ * handover, plus shortfalls put on the rider.
+ *
+ * @param {number} deliveryPartnerId
+ * @param {Object} [client]
+ * @returns {Promise<{ deliveryPartner: Object, cashInHand: number, riderShortfall: number, entries: Object[] }>}
+ */
+const getRiderCashPosition = async (deliveryPartnerId, client = prisma) => {
+  const deliveryPartner = await client.deliveryPartner.findUnique({ where: { id: deliveryPartnerId }, select: partnerSelect });
+  if (!deliveryPartner) {
+    throw createError(404, 'Delivery partner not found');
+  }
+
+  const entries = await client.riderCashEntry.findMany({
+    where: { deliveryPartnerId, handoverId: null },
+    include: { snfOrder: { select: { id: true, orderNo: true, name: true, mobile: true } } },
+    orderBy: [{ deliveryDate: 'asc' }, { id: 'asc' }],
+  });
+
+  const cashInHand = round2(entries.reduce((sum, entry) => sum + toNumber(entry.collectedAmount), 0));
+  const riderShortfall = round2(entries
+    .filter((entry) => entry.shortfallBearer === 'RIDER')
+    .reduce((sum, entry) => sum + toNumber(entry.shortfallAmount), 0));
+
+  return { deliveryPartner, cashInHand, riderShortfall, entries };
+};
+
+const handoverInclude = {
+  deliveryPartner: { select: partnerSelect },
+  countedBy: { select: { id: true, name: true } },
+  reviewedBy: { select: { id: true, name: true } },
+  entries: {
+    include: { snfOrder: { select: { id: true, orderNo: true, name: true } } },
+    orderBy: { id: 'asc' },
+  },
+};
+
+/**
+ * Depot counts the cash a rider hands over. Every open entry of the rider up
+ * to handoverDate is attached; the variance against what they collected is
+ * flagged for approval.
+ *
+ * @param {Object} params
+ * @param {number} params.deliveryPartnerId
+ * @param {number} params.countedAmount
+ * @param {string} [params.handoverDate] - YYYY-MM-DD, defaults to today
+ * @param {string} [params.notes]
+ * @param {number} [params.actorId]
+ * @returns {Promise<Object>} The handover with entries
+ */
+const createHandover = async ({ deliveryPartnerId, countedAmount, handoverDate = null, notes = null, actorId = null }) => {
+  const counted = round2(countedAmount);
+  if (!Number.isFinite(counted) || counted < 0) {
+    throw createError(400, 'countedAmount must be a non-negative amount');
+  }
+  const date = handoverDate ? dayjs(handoverDate) : dayjs();
+  if (!date.isValid()) {
+    throw createError(400, 'Invalid handoverDate');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // One handover at a time per rider, so an entry cannot be counted twice
+    await tx.$queryRaw`SELECT id FROM delivery_partners WHERE id = ${deliveryPartnerId} FOR UPDATE`;
+    const partner = await tx.deliveryPartner.findUnique({ where: { id: deliveryPartnerId }, select: partnerSelect });
+    if (!partner) {
+      throw createError(404, 'Delivery partner not found');
+    }
+
+    const entries = await tx.riderCashEntry.findMany({
+      where: {
+        deliveryPartnerId,
+        handoverId: null,
+        deliveryDate: { lte: date.endOf('day').toDate() },
+      },
+      select: { id: true, collectedAmount: true },
+    });
+    if (entries.length === 0) {
+      throw createError(409, 'This rider has no cash awaiting handover');
+    }
+
+    const expected = round2(entries.reduce((sum, entry) => sum + toNumber(entry.collectedAmount), 0));
+    const handover = await tx.riderCashHandover.create({
+      data: {
+        depotId: partner.depotId,
+        deliveryPartnerId,
+        handoverDate: date.startOf('day').toDate(),
+        expectedAmount: expected,
+        countedAmount: counted,
+        varianceAmount: round2(counted - expected),
+        notes,
+        countedById: actorId,
+      },
+    });
+    await tx.riderCashEntry.updateMany({
+      where: { id: { in: entries.map((entry) => entry.id) }, handoverId: null },
+      data: { handoverId: handover.id },
+    });
+
+    return tx.riderCashHandover.findUnique({ where: { id: handover.id }, include: handoverInclude });
+  });
+};
+
+/**
+ * Approve or reject a counted handover. A handover with a variance can only
+ * be approved with review notes explaining it. Rejecting releases the entries
+ * so the cash can be counted again.
+ *
+ * @param {number} handoverId
+ * @param {Object} params
+ * @param {boolean} params.approve
+ * @param {string} [params.reviewNotes]
+ * @param {number} [params.actorId]
+ * @returns {Promise<Object>} The handover
+ */
+const reviewHandover = async (handoverId, { approve, reviewNotes = null, actorId = null }) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM rider_cash_handovers WHERE id = ${handoverId} FOR UPDATE`;
+    const handover = await tx.riderCashHandover.findUnique({ where: { id: handoverId } });
+    if (!handover) {
+      throw createError(404, 'Handover not found');
+    }
+    if (handover.status !== 'PENDING') {
+      throw createError(409, `Handover is already ${handover.status.toLowerCase()}`);
+    }
+    if (approve && toNumber(handover.varianceAmount) !== 0 && !reviewNotes) {
+      throw createError(400, 'Review notes are required to approve a handover with a variance');
+    }
+
+    if (!approve) {
+      await tx.riderCashEntry.updateMany({ where: { handoverId }, data: { handoverId: null } });
+    }
+    await tx.riderCashHandover.update({
+      where: { id: handoverId },
+      data: {
+        status: approve ? 'APPROVED' : 'REJECTED',
+        reviewNotes,
+        reviewedById: actorId,
+        reviewedAt: new Date(),
+      },
+    });
+    return tx.riderCashHandover.findUnique({ where: { id: handoverId }, include: handoverInclude });
+  });
+};
+
+/**
+ * Daily cash report for a depot: per rider, what COD orders were due, what
+ * was collected, shortfalls by who bears them, and the cash counted in.
+ *
+ * @param {number} depotId
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<{ depotId: number, date: string, riders: Object[], totals: Object }>}
+ */
+const getDailyDepotCashReport = async (depotId, date) => {
+  const day = dayjs(date);
+  if (!day.isValid()) {
+    throw createError(400, 'Invalid date');
+  }
+  const range = { gte: day.startOf('day').toDate(), lte: day.endOf('day').toDate() };
+
+  const [entries, handovers] = await Promise.all([
+    prisma.riderCashEntry.findMany({ where: { depotId, deliveryDate: range } }),
+    prisma.riderCashHandover.findMany({ where: { depotId, handoverDate: range } }),
+  ]);
+
+  const partnerIds = [...new Set([...entries, ...handovers].map((row) => row.deliveryPartnerId))];
+  const partners = await prisma.deliveryPartner.findMany({ where: { id: { in: partnerIds } }, select: partnerSelect });
+  const partnerById = new Map(partners.map((partner) => [partner.id, partner]));
+
+  const emptyRow = (deliveryPartnerId) => ({
+    deliveryPartner: partnerById.get(deliveryPartnerId) || { id: deliveryPartnerId },
+    codOrders: 0,
+    expected: 0,
+    collected: 0,
+    customerShortfall: 0,
+    riderShortfall: 0,
+    counted: 0,
+    countedExpected: 0,
+    variance: 0,
+    pendingHandovers: 0,
+    notHandedOver: 0,
+  });
+  const rows = new Map(partnerIds.map((id) => [id, emptyRow(id)]));
+
+  for (const entry of entries) {
+    const row = rows.get(entry.deliveryPartnerId);
+    row.codOrders += 1;
+    row.expected += toNumber(entry.expectedAmount);
+    row.collected += toNumber(entry.collectedAmount);
+    if (entry.shortfallBearer === 'RIDER') {
+      row.riderShortfall += toNumber(entry.shortfallAmount);
+    } else {
+      row.customerShortfall += toNumber(entry.shortfallAmount);
+    }
+    if (!entry.handoverId) {
+      row.notHandedOver += toNumber(entry.collectedAmount);
+    }
+  }
+  for (const handover of handovers) {
+    const row = rows.get(handover.deliveryPartnerId);
+    if (handover.status === 'PENDING') row.pendingHandovers += 1;
+    if (handover.status === 'REJECTED') continue;
+    row.counted += toNumber(handover.countedAmount);
+    row.countedExpected += toNumber(handover.expectedAmount);
+    row.variance += toNumber(handover.varianceAmount);
+  }
+
+  const numericKeys = ['expected', 'collected', 'customerShortfall', 'riderShortfall', 'counted', 'countedExpected', 'variance', 'notHandedOver'];
+  const riders = [...rows.values()].map((row) => {
+    numericKeys.forEach((key) => { row[key] = round2(row[key]); });
+    return { ...row, hasVariance: row.variance !== 0 };
+  });
+  const totals = Object.fromEntries(
+    ['codOrders', 'pendingHandovers', ...numericKeys].map((key) => [key, round2(riders.reduce((sum, row) => sum + row[key], 0))])
+  );
+
+  return { depotId, date: day.format('YYYY-MM-DD'), riders, totals };
+};
+
+module.exports = {
+  expectedCodAmount,
+  recordCodCollection,
+  reverseCodCollection,
+  getRiderCashPosition,
+  createHandover,
+  reviewHandover,
+  getDailyDepotCashReport,
+};
@@ -0,0 +1,613 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+const ExcelJS = require('exceljs');
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()));
+
+// Used for a depot that has not set up its pay rule yet
+const DEFAULT_RULE = {
+  perSnfOrderDrop: 0,
+  perSubscriptionDrop: 0,
+  kmBands: [],
+  onTimeCutoff: '09:00',
+  onTimeIncentives: [],
+};
+
+/**
+ * A depot's pay rule, or the default (nothing paid) when it has none.
+ * @param {number} depotId
+ * @param {Object} [client]
+ * @returns {Promise<Object>}
+ */
+const getPayRule = async (depotId, client = prisma) => {
+  const rule = await client.riderPayRule.findUnique({ where: { depotId } });
+  if (!rule) return { depotId, ...DEFAULT_RULE };
+  return {
+    ...rule,
+    perSnfOrderDrop: toNumber(rule.perSnfOrderDrop),
+    perSubscriptionDrop: toNumber(rule.perSubscriptionDrop),
+    kmBands: Array.isArray(rule.kmBands) ? rule.kmBands : [],
+    onTimeIncentives: Array.isArray(rule.onTimeIncentives) ? rule.onTimeIncentives : [],
+  };
+};
+
+/**
+ * Create or replace a depot's pay rule. Km bands must not overlap.
+ *
+ * @param {number} depotId
+ * @param {Object} data - perSnfOrderDrop, perSubscriptionDrop, kmBands, onTimeCutoff, onTimeIncentives
+ * @param {number} [actorId]
+ * @returns {Promise<Object>}
+ */
+const savePayRule = async (depotId, data, actorId = null) => {
+  const kmBands = [...(data.kmBands || [])].sort((a, b) => a.fromKm - b.fromKm);
+  kmBands.forEach((band, index) => {
+    if (band.toKm !== null && band.toKm !== undefined && band.toKm <= band.fromKm) {
+      throw createError(400, `Km band ${band.fromKm}-${band.toKm} must end after it starts`);
+    }
+    const next = kmBands[index + 1];
+    if (next && (band.toKm === null || band.toKm === undefined || band.toKm > next.fromKm)) {
+      throw createError(400, 'Km bands must not overlap');
+    }
+  });
+  const onTimeIncentives = [...(data.onTimeIncentives || [])].sort((a, b) => a.minPercent - b.minPercent);
+
+  const depot = await prisma.depot.findUnique({ where: { id: depotId }, select: { id: true } });
+  if (!depot) {
+    throw createError(404, 'Depot not found');
+  }
+
+  const fields = {
+    perSnfOrderDrop: data.perSnfOrderDrop ?? 0,
+    perSubscriptionDrop: data.perSubscriptionDrop ?? 0,
+    kmBands,
+    onTimeCutoff: data.onTimeCutoff || DEFAULT_RULE.onTimeCutoff,
+    onTimeIncentives,
+    updatedById: actorId,
+  };
+  await prisma.riderPayRule.upsert({
+    where: { depotId },
+    create: { depotId, ...fields },
+    update: fields,
+  });
+  return getPayRule(depotId);
+};
+
+// Extra for a drop by its leg distance; nothing when no band covers it
+const kmBandAmount = (bands, km) => {
+  if (km === null || km === undefined) return 0;
+  const band = bands.find((b) => km >= b.fromKm && (b.toKm === null || b.toKm === undefined || km < b.toKm));
+  return band ? toNumber(band.amount) : 0;
+};
+
+const isOnTime = (assignment, cutoff) => {
+  if (!assignment.deliveredAt) return false;
+  const [hour, minute] = String(cutoff || DEFAULT_RULE.onTimeCutoff).split(':').map((part) => parseInt(part, 10));
+  const deadline = dayjs(assignment.deliveryDate).startOf('day').hour(hour || 0).minute(minute || 0).endOf('minute');
+  return !dayjs(assignment.deliveredAt).isAfter(deadline);
+};
+
+const incentiveFor = (tiers, percent) => {
+  const met = tiers.filter((tier) => percent >= tier.minPercent);
+  return met.length ? toNumber(met[met.length - 1].amount) : 0;
+};
+
+/**
+ * The Monday-to-Sunday week containing a date.
+ * @param {string|Date} date
+ * @returns {{ periodStart: Date, periodEnd: Date }}
+ */
+const weekOf = (date) => {
+  const day = dayjs(date).startOf('day');
+  if (!day.isValid()) {
+    throw createError(400, 'Invalid week date');
+  }
+  const start = day.subtract((day.day() + 6) % 7, 'day');
+  return { periodStart: start.toDate(), periodEnd: start.add(6, 'day').toDate() };
+};
+
+/**
+ * What a partner has earned for a period under a rule: delivered drops not yet
+ * on another statement, and unsettled cash shortfalls up to the period end.
+ * Nothing is written.
+ *
+ * @param {Object} client - Prisma client or transaction
+ * @param {number} deliveryPartnerId
+ * @param {Object} rule - From getPayRule
+ * @param {{ periodStart: Date, periodEnd: Date }} period
+ * @param {number} [statementId] - Statement being regenerated; its own drops and deductions count again
+ * @returns {Promise<Object>}
+ */
+const computeEarnings = async (client, deliveryPartnerId, rule, { periodStart, periodEnd }, statementId = null) => {
+  const periodEndOfDay = dayjs(periodEnd).endOf('day').toDate();
+  const unclaimed = statementId ? { OR: [{ payoutStatementId: null }, { payoutStatementId: statementId }] } : { payoutStatementId: null };
+
+  const [assignments, cashEntries, handovers] = await Promise.all([
+    client.deliveryAssignment.findMany({
+      where: {
+        deliveryPartnerId,
+        status: 'DELIVERED',
+        deliveryDate: { gte: periodStart, lte: periodEndOfDay },
+        OR: [{ payoutLine: { is: null } }, ...(statementId ? [{ payoutLine: { is: { statementId } } }] : [])],
+      },
+      select: { id: true, snfOrderId: true, deliveryDate: true, deliveredAt: true, legDistanceKm: true },
+      orderBy: [{ deliveryDate: 'asc' }, { sequence: { sort: 'asc', nulls: 'last' } }],
+    }),
+    client.riderCashEntry.findMany({
+      where: {
+        deliveryPartnerId,
+        shortfallBearer: 'RIDER',
+        shortfallAmount: { gt: 0 },
+        deliveryDate: { lte: periodEndOfDay },
+        ...unclaimed,
+      },
+      select: { id: true, deliveryDate: true, shortfallAmount: true, snfOrder: { select: { orderNo: true } } },
+    }),
+    client.riderCashHandover.findMany({
+      where: {
+        deliveryPartnerId,
+        status: 'APPROVED',
+        varianceAmount: { lt: 0 },
+        handoverDate: { lte: periodEndOfDay },
+        ...unclaimed,
+      },
+      select: { id: true, handoverDate: true, varianceAmount: true },
+    }),
+  ]);
+
+  const lines = assignments.map((assignment) => {
+    const dropType = assignment.snfOrderId ? 'SNF_ORDER' : 'SUBSCRIPTION';
+    return {
+      deliveryAssignmentId: assignment.id,
+      dropType,
+      deliveryDate: assignment.deliveryDate,
+      deliveredAt: assignment.deliveredAt,
+      onTime: isOnTime(assignment, rule.onTimeCutoff),
+      legDistanceKm: assignment.legDistanceKm,
+      dropAmount: round2(dropType === 'SNF_ORDER' ? rule.perSnfOrderDrop : rule.perSubscriptionDrop),
+      distanceAmount: round2(kmBandAmount(rule.kmBands, assignment.legDistanceKm)),
+    };
+  });
+
+  const onTimeDrops = lines.filter((line) => line.onTime).length;
+  const onTimePercent = lines.length ? round2((onTimeDrops / lines.length) * 100) : 0;
+  const dropEarnings = round2(lines.reduce((sum, line) => sum + line.dropAmount, 0));
+  const distanceEarnings = round2(lines.reduce((sum, line) => sum + line.distanceAmount, 0));
+  const incentiveAmount = lines.length ? round2(incentiveFor(rule.onTimeIncentives, onTimePercent)) : 0;
+  const grossAmount = round2(dropEarnings + distanceEarnings + incentiveAmount);
+  const shortfallDeduction = round2(
+    cashEntries.reduce((sum, entry) => sum + toNumber(entry.shortfallAmount), 0)
+    + handovers.reduce((sum, handover) => sum - toNumber(handover.varianceAmount), 0)
+  );
+
+  return {
+    lines,
+    cashEntries,
+    handovers,
+    totals: {
+      snfDrops: lines.filter((line) => line.dropType === 'SNF_ORDER').length,
+      subscriptionDrops: lines.filter((line) => line.dropType === 'SUBSCRIPTION').length,
+      onTimeDrops,
+      onTimePercent,
+      distanceKm: round2(lines.reduce((sum, line) => sum + (line.legDistanceKm || 0), 0)),
+      dropEarnings,
+      distanceEarnings,
+      incentiveAmount,
+      grossAmount,
+      shortfallDeduction,
+      // Can go negative when deductions exceed the week's earnings
+      netAmount: round2(grossAmount - shortfallDeduction),
+    },
+  };
+};
+
+const statementInclude = {
+  depot: { select: { id: true, name: true } },
+  deliveryPartner: { select: { id: true, firstName: true, lastName: true, mobile: true } },
+  createdBy: { select: { id: true, name: true } },
+  approvedBy: { select: { id: true, name: true } },
+};
+
+const statementDetailInclude = {
+  ...statementInclude,
+  lines: { orderBy: [{ deliveryDate: 'asc' }, { id: 'asc' }] },
+  cashEntries: { select: { id: true, deliveryDate: true, shortfallAmount: true, snfOrder: { select: { orderNo: true } } } },
+  cashHandovers: { select: { id: true, handoverDate: true, varianceAmount: true } },
+};
+
+/**
+ * Generate (or regenerate, while still DRAFT) a partner's statement for the
+ * week containing weekOfDate.
+ *
+ * @param {number} deliveryPartnerId
+ * @param {string|Date} weekOfDate
+ * @param {Object} [options]
+ * @param {number} [options.actorId]
+ * @param {boolean} [options.skipEmpty] - Return null instead of failing when there is nothing to pay or deduct
+ * @returns {Promise<Object|null>} The statement with lines
+ */
+const generateStatement = async (deliveryPartnerId, weekOfDate, { actorId = null, skipEmpty = false } = {}) => {
+  const period = weekOf(weekOfDate);
+
+  return prisma.$transaction(async (tx) => {
+    // One generation at a time per partner, so a drop is never paid twice
+    await tx.$queryRaw`SELECT id FROM delivery_partners WHERE id = ${deliveryPartnerId} FOR UPDATE`;
+    const partner = await tx.deliveryPartner.findUnique({ where: { id: deliveryPartnerId }, select: { id: true, depotId: true } });
+    if (!partner) {
+      throw createError(404, 'Delivery partner not found');
+    }
+
+    const existing = await tx.riderPayoutStatement.findUnique({
+      where: { deliveryPartnerId_periodStart: { deliveryPartnerId, periodStart: period.periodStart } },
+    });
+    if (existing && existing.status !== 'DRAFT') {
+      throw createError(409, `The statement for this week is already ${existing.status.toLowerCase()}`);
+    }
+
+    const rule = await getPayRule(partner.depotId, tx);
+    const earnings = await computeEarnings(tx, deliveryPartnerId, rule, period, existing?.id);
+    if (earnings.lines.length === 0 && earnings.totals.shortfallDeduction === 0) {
+      if (existing) {
+        await tx.riderPayoutStatement.delete({ where: { id: existing.id } });
+      }
+      if (skipEmpty) return null;
+      throw createError(409, 'Nothing to pay or deduct for this partner in this week');
+    }
+
+    const ruleSnapshot = {
+      perSnfOrderDrop: rule.perSnfOrderDrop,
+      perSubscriptionDrop: rule.perSubscriptionDrop,
+      kmBands: rule.kmBands,
+      onTimeCutoff: rule.onTimeCutoff,
+      onTimeIncentives: rule.onTimeIncentives,
+    };
+    const data = { ...earnings.totals, ruleSnapshot };
+    let statement;
+    if (existing) {
+      await tx.riderPayoutLine.deleteMany({ where: { statementId: existing.id } });
+      await tx.riderCashEntry.updateMany({ where: { payoutStatementId: existing.id }, data: { payoutStatementId: null } });
+      await tx.riderCashHandover.updateMany({ where: { payoutStatementId: existing.id }, data: { payoutStatementId: null } });
+      statement = await tx.riderPayoutStatement.update({ where: { id: existing.id }, data });
+    } else {
+      statement = await tx.riderPayoutStatement.create({
+        data: {
+          ...data,
+          depotId: partner.depotId,
+          deliveryPartnerId,
+          periodStart: period.periodStart,
+          periodEnd: period.periodEnd,
+          createdById: actorId,
+        },
+      });
+    }
+
+    if (earnings.lines.length) {
+      await tx.riderPayoutLine.createMany({
+        data: earnings.lines.map((line) => ({ ...line, statementId: statement.id })),
+      });
+    }
+    if (earnings.cashEntries.length) {
+      await tx.riderCashEntry.updateMany({
+        where: { id: { in: earnings.cashEntries.map((entry) => entry.id) } },
+        data: { payoutStatementId: statement.id },
+      });
+    }
+    if (earnings.handovers.length) {
+      await tx.riderCashHandover.updateMany({
+        where: { id: { in: earnings.handovers.map((handover) => handover.id) } },
+        data: { payoutStatementId: statement.id },
+      });
+    }
+
+    return tx.riderPayoutStatement.findUnique({ where: { id: statement.id }, include: statementDetailInclude });
+  });
+};
+
+/**
+ * Generate the week's statements for every partner of a depot who delivered
+ * or owes a shortfall. Approved and paid statements are left alone.
+ *
+ * @param {number} depotId
+ * @param {string|Date} weekOfDate
+ * @param {Object} [options]
+ * @param {number} [options.actorId]
+ * @returns {Promise<{ generated: Object[], skipped: Object[] }>}
+ */
+const generateWeeklyStatements = async (depotId, weekOfDate, { actorId = null } = {}) => {
+  const partners = await prisma.deliveryPartner.findMany({
+    where: { depotId },
+    select: { id: true, firstName: true, lastName: true },
+    orderBy: { id: 'asc' },
+  });
+
+  const generated = [];
+  const skipped = [];
+  for (const partner of partners) {
+    try {
+      const statement = await generateStatement(partner.id, weekOfDate, { actorId, skipEmpty: true });
+      if (statement) generated.push(statement);
+    } catch (error) {
+      if (!error.status || error.status >= 500) throw error;
+      skipped.push({ deliveryPartnerId: partner.id, reason: error.message });
+    }
+  }
+  return { generated, skipped };
+};
+
+const loadLockedStatement = async (tx, statementId) => {
+  await tx.$queryRaw`SELECT id FROM rider_payout_statements WHERE id = ${statementId} FOR UPDATE`;
+  const statement = await tx.riderPayoutStatement.findUnique({ where: { id: statementId } });
+  if (!statement) {
+    throw createError(404, 'Payout statement not found');
+  }
+  return statement;
+};
+
+/**
+ * Approve a DRAFT statement once its week is over. It can no longer be
+ * regenerated.
+ *
+ * @param {number} statementId
+ * @param {Object} [options]
+ * @param {string} [options.notes]
+ * @param {number} [options.actorId]
+ * @returns {Promise<Object>}
+ */
+const approveStatement = async (statementId, { notes = null, actorId = null } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    const statement = await loadLockedStatement(tx, statementId);
+    if (statement.status !== 'DRAFT') {
+      throw createError(409, `Statement is already ${statement.status.toLowerCase()}`);
+    }
+    if (!dayjs().isAfter(dayjs(statement.periodEnd).endOf('day'))) {
+      throw createError(409, 'A statement can only be approved after its week has ended');
+    }
+    return tx.riderPayoutStatement.update({
+      where: { id: statementId },
+      data: { status: 'APPROVED', approvedById: actorId, approvedAt: new Date(), ...(notes ? { notes } : {}) },
+      include: statementInclude,
+    });
+  });
+};
+
+/**
+ * Record that an approved statement has been paid.
+ *
+ * @param {number} statementId
+ * @param {Object} params
+ * @param {string} params.paymentReference - UTR, cheque number, ...
+ * @returns {Promise<Object>}
+ */
+const markStatementPaid = async (statementId, { paymentReference }) => {
+  if (!paymentReference || !String(paymentReference).trim()) {
+    throw createError(400, 'paymentReference is required');
+  }
+  return prisma.$transaction(async (tx) => {
+    const statement = await loadLockedStatement(tx, statementId);
+    if (statement.status !== 'APPROVED') {
+      throw createError(409, 'Only an approved statement can be marked paid');
+    }
+    return tx.riderPayoutStatement.update({
+      where: { id: statementId },
+      data: { status: 'PAID', paymentReference: String(paymentReference).trim(), paidAt: new Date() },
+      include: statementInclude,
+    });
+  });
+};
+
+/**
+ * Discard a DRAFT statement; its drops and deductions go back to unpaid.
+ * @param {number} statementId
+ */
+const discardStatement = async (statementId) => {
+  await prisma.$transaction(async (tx) => {
+    const statement = await loadLockedStatement(tx, statementId);
+    if (statement.status !== 'DRAFT') {
+      throw createError(409, 'Only a draft statement can be discarded');
+    }
+    await tx.riderPayoutStatement.delete({ where: { id: statementId } });
+  });
+};
+
+/**
+ * A statement with its drops and deductions.
+ * @param {number} statementId
+ * @returns {Promise<Object|null>}
+ */
+const getStatement = (statementId) =>
+  prisma.riderPayoutStatement.findUnique({ where: { id: statementId }, include: statementDetailInclude });
+
+/**
+ * Statements, newest week first.
+ *
+ * @param {Object} params
+ * @param {number} [params.depotId]
+ * @param {number} [params.deliveryPartnerId]
+ * @param {string} [params.status]
+ * @param {string|Date} [params.weekOf] - Only the week containing this date
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @param {boolean} [params.detailed] - Include drops and deductions (for export)
+ * @returns {Promise<{ statements: Object[], total: number, page: number, limit: number }>}
+ */
+const listStatements = async ({ depotId, deliveryPartnerId, status, weekOf: weekDate, page = 1, limit = 20, detailed = false }) => {
+  const where = {
+    ...(depotId ? { depotId } : {}),
+    ...(deliveryPartnerId ? { deliveryPartnerId } : {}),
+    ...(status ? { status: Array.isArray(status) ? { in: status } : status } : {}),
+    ...(weekDate ? { periodStart: weekOf(weekDate).periodStart } : {}),
+  };
+  const [statements, total] = await Promise.all([
+    prisma.riderPayoutStatement.findMany({
+      where,
+      include: detailed ? statementDetailInclude : statementInclude,
+      orderBy: [{ periodStart: 'desc' }, { deliveryPartnerId: 'asc' }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.riderPayoutStatement.count({ where }),
+  ]);
+  return { statements, total, page, limit };
+};
+
+/**
+ * A rider's view: this week's earnings so far (not yet a statement) and their
+ * approved and paid statements.
+ *
+ * @param {Object} partner - DeliveryPartner
+ * @param {string|Date} [date] - Any day of the week to estimate
+ * @returns {Promise<Object>}
+ */
+const getPartnerEarnings = async (partner, date = new Date()) => {
+  const period = weekOf(date);
+  const rule = await getPayRule(partner.depotId);
+  const existing = await prisma.riderPayoutStatement.findUnique({
+    where: { deliveryPartnerId_periodStart: { deliveryPartnerId: partner.id, periodStart: period.periodStart } },
+    select: { id: true, status: true },
+  });
+
+  let currentWeek;
+  if (existing && existing.status !== 'DRAFT') {
+    currentWeek = { ...period, statementId: existing.id, status: existing.status };
+  } else {
+    const { totals } = await computeEarnings(prisma, partner.id, rule, period, existing?.id);
+    currentWeek = { ...period, ...totals, status: 'ESTIMATE' };
+  }
+
+  const { statements } = await listStatements({
+    deliveryPartnerId: partner.id,
+    status: ['APPROVED', 'PAID'],
+    limit: 12,
+  });
+  return { currentWeek, statements };
+};
+
+const partnerName = (partner) => [partner?.firstName, partner?.lastName].filter(Boolean).join(' ');
+
+const addSheet = (workbook, name, columns, rows) => {
+  const worksheet = workbook.addWorksheet(name);
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+  rows.forEach((row) => worksheet.addRow(row));
+  return worksheet;
+};
+
+/**
+ * Statements as a workbook: one summary row per statement, and every drop
+ * and deduction behind them.
+ *
+ * @param {Object[]} statements - With lines, cashEntries and cashHandovers (getStatement)
+ * @returns {ExcelJS.Workbook}
+ */
+const buildPayoutWorkbook = (statements) => {
+  const workbook = new ExcelJS.Workbook();
+  const date = (value) => (value ? dayjs(value).format('DD/MM/YYYY') : '');
+
+  addSheet(workbook, 'Summary', [
+    { header: 'Statement', key: 'id', width: 10 },
+    { header: 'Depot', key: 'depot', width: 20 },
+    { header: 'Partner', key: 'partner', width: 24 },
+    { header: 'Mobile', key: 'mobile', width: 14 },
+    { header: 'Week From', key: 'periodStart', width: 12 },
+    { header: 'Week To', key: 'periodEnd', width: 12 },
+    { header: 'Status', key: 'status', width: 10 },
+    { header: 'SNF Drops', key: 'snfDrops', width: 10 },
+    { header: 'Subscription Drops', key: 'subscriptionDrops', width: 12 },
+    { header: 'On Time %', key: 'onTimePercent', width: 10 },
+    { header: 'Km', key: 'distanceKm', width: 10 },
+    { header: 'Drop Pay', key: 'dropEarnings', width: 12 },
+    { header: 'Distance Pay', key: 'distanceEarnings', width: 12 },
+    { header: 'Incentive', key: 'incentiveAmount', width: 12 },
+    { header: 'Gross', key: 'grossAmount', width: 12 },
+    { header: 'Shortfall Deduction', key: 'shortfallDeduction', width: 14 },
+    { header: 'Net Payable', key: 'netAmount', width: 12 },
+    { header: 'Payment Reference', key: 'paymentReference', width: 20 },
+  ], statements.map((statement) => ({
+    id: statement.id,
+    depot: statement.depot?.name,
+    partner: partnerName(statement.deliveryPartner),
+    mobile: statement.deliveryPartner?.mobile,
+    periodStart: date(statement.periodStart),
+    periodEnd: date(statement.periodEnd),
+    status: statement.status,
+    snfDrops: statement.snfDrops,
+    subscriptionDrops: statement.subscriptionDrops,
+    onTimePercent: toNumber(statement.onTimePercent),
+    distanceKm: toNumber(statement.distanceKm),
+    dropEarnings: toNumber(statement.dropEarnings),
+    distanceEarnings: toNumber(statement.distanceEarnings),
+    incentiveAmount: toNumber(statement.incentiveAmount),
+    grossAmount: toNumber(statement.grossAmount),
+    shortfallDeduction: toNumber(statement.shortfallDeduction),
+    netAmount: toNumber(statement.netAmount),
+    paymentReference: statement.paymentReference || '',
+  })));
+
+  addSheet(workbook, 'Drops', [
+    { header: 'Statement', key: 'statementId', width: 10 },
+    { header: 'Partner', key: 'partner', width: 24 },
+    { header: 'Assignment', key: 'deliveryAssignmentId', width: 12 },
+    { header: 'Type', key: 'dropType', width: 14 },
+    { header: 'Delivery Date', key: 'deliveryDate', width: 12 },
+    { header: 'Delivered At', key: 'deliveredAt', width: 18 },
+    { header: 'On Time', key: 'onTime', width: 9 },
+    { header: 'Km', key: 'legDistanceKm', width: 8 },
+    { header: 'Drop Pay', key: 'dropAmount', width: 10 },
+    { header: 'Distance Pay', key: 'distanceAmount', width: 12 },
+  ], statements.flatMap((statement) => (statement.lines || []).map((line) => ({
+    statementId: statement.id,
+    partner: partnerName(statement.deliveryPartner),
+    deliveryAssignmentId: line.deliveryAssignmentId,
+    dropType: line.dropType === 'SNF_ORDER' ? 'SNF Order' : 'Subscription',
+    deliveryDate: date(line.deliveryDate),
+    deliveredAt: line.deliveredAt ? dayjs(line.deliveredAt).format('DD/MM/YYYY HH:mm') : '',
+    onTime: line.onTime ? 'Yes' : 'No',
+    legDistanceKm: line.legDistanceKm ?? '',
+    dropAmount: toNumber(line.dropAmount),
+    distanceAmount: toNumber(line.distanceAmount),
+  }))));
+
+  addSheet(workbook, 'Deductions', [
+    { header: 'Statement', key: 'statementId', width: 10 },
+    { header: 'Partner', key: 'partner', width: 24 },
+    { header: 'Date', key: 'date', width: 12 },
+    { header: 'Reason', key: 'reason', width: 36 },
+    { header: 'Amount', key: 'amount', width: 12 },
+  ], statements.flatMap((statement) => [
+    ...(statement.cashEntries || []).map((entry) => ({
+      statementId: statement.id,
+      partner: partnerName(statement.deliveryPartner),
+      date: date(entry.deliveryDate),
+      reason: `COD shortfall on order ${entry.snfOrder?.orderNo || ''}`.trim(),
+      amount: toNumber(entry.shortfallAmount),
+    })),
+    ...(statement.cashHandovers || []).map((handover) => ({
+      statementId: statement.id,
+      partner: partnerName(statement.deliveryPartner),
+      date: date(handover.handoverDate),
+      reason: `Cash short at handover #${handover.id}`,
+      amount: -toNumber(handover.varianceAmount),
+    })),
+  ]));
+
+  return workbook;
+};
+
+module.exports = {
+  DEFAULT_RULE,
+  getPayRule,
+  savePayRule,
+  weekOf,
+  computeEarnings,
+  generateStatement,
+  generateWeeklyStatements,
+  approveStatement,
+  markStatementPaid,
+  discardStatement,
+  getStatement,
+  listStatements,
+  getPartnerEarnings,
+  buildPayoutWorkbook,
+};
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+const prisma = require('../config/db');
+const jwtConfig = require('../config/jwt');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const requestContext = (req) => ({
+  userAgent: (req?.headers?.['user-agent'] || '').substring(0, 255) || null,
+  ipAddress: (req?.headers?.['x-forwarded-for']?.split(',')[0].trim() || req?.ip || '').substring(0, 64) || null,
+});
+
+const signAccessToken = (user, session) => {
+  const payload = {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    name: user.name,
+    sid: session.id,
+  };
+  if (session.isSudo) {
+    payload.isSudo = true;
+    payload.originalAdminId = session.impersonatorId;
+  }
+  return jwt.sign(payload, jwtConfig.secret, { expiresIn: jwtConfig.expiresIn });
+};
+
+const issueTokens = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session),
+  refreshToken,
+  expiresIn: jwtConfig.expiresIn,
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session.id,
+});
+
+/**
+ * Start a session for a user and issue its first access/refresh token pair.
+ *
+ * @param {Object} user
+ * @param {Object} req - Used for the device's user agent and IP
+ * @param {Object} [options]
+ * @param {number} [options.impersonatorId] - Admin starting a sudo-login session
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string, refreshTokenExpiresAt: Date, sessionId: number }>}
+ */
+const createSession = async (user, req, { impersonatorId = null } = {}) => {
+  const refreshToken = newRefreshToken();
+  const isSudo = Boolean(impersonatorId);
+  const expiresAt = isSudo
+    ? dayjs().add(jwtConfig.sudoSessionMinutes, 'minute').toDate()
+    : dayjs().add(jwtConfig.refreshTokenTtlDays, 'day').toDate();
+
+  const session = await prisma.userSession.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      isSudo,
+      impersonatorId,
+      expiresAt,
+      ...requestContext(req),
+    },
+  });
+
+  return issueTokens(user, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair. The old
+ * refresh token stops working; presenting it again means it was copied, so
+ * the whole session is revoked.
+ *
+ * @param {string} refreshToken
+ * @param {Object} req
+ * @returns {Promise<Object>} Same shape as createSession
+ */
+const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw createError(400, 'Refresh token is required');
+  }
+  const presentedHash = hashToken(refreshToken);
+
+  const session = await prisma.userSession.findUnique({
+    where: { refreshTokenHash: presentedHash },
+    include: { user: true },
+  });
+
+  if (!session) {
+    const reused = await prisma.userSession.findUnique({
+      where: { previousRefreshTokenHash: presentedHash },
+    });
+    if (reused && !reused.revokedAt) {
+      await revokeSession(reused.id, 'REFRESH_TOKEN_REUSE');
+      console.warn(`[Session] Refresh token reuse detected on session ${reused.id} (user ${reused.userId}); session revoked`);
+    }
+    throw createError(401, 'Invalid refresh token');
+  }
+
+  if (session.revokedAt) {
+    throw createError(401, 'Session has been revoked');
+  }
+  if (session.expiresAt <= new Date()) {
+    throw createError(401, 'Session expired');
+  }
+  if (!session.user.active) {
+    await revokeSession(session.id, 'DEACTIVATED');
+    throw createError(403, 'Account is inactive. Please contact support.');
+  }
+
+  const nextRefreshToken = newRefreshToken();
+  // Conditional on the hash so two concurrent refreshes cannot both succeed
+  const rotated = await prisma.userSession.updateMany({
+    where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousRefreshTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      // Sudo sessions keep their original deadline
+      ...(session.isSudo ? {} : { expiresAt: dayjs().add(jwtConfig.refreshTokenTtlDays, 'day').toDate() }),
+      ...requestContext(req),
+    },
+  });
+  if (rotated.count === 0) {
+    throw createError(401, 'Invalid refresh token');
+  }
+
+  const updated = await prisma.userSession.findUnique({ where: { id: session.id } });
+  return issueTokens(session.user, updated, nextRefreshToken);
+};
+
+/**
+ * Check the session an access token belongs to. Used by the auth middleware
+ * on every request, so revocation takes effect immediately.
+ *
+ * @param {number} sessionId
+ * @returns {Promise<Object|null>} The live session, or null if revoked, expired or missing
+ */
+const findActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+  const session = await prisma.userSession.findUnique({ where: { id: sessionId } });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+  return session;
+};
+
+/**
+ * @param {string} refreshToken
+ * @returns {Promise<Object|null>} The session currently holding this refresh token
+ */
+const findSessionByRefreshToken = (refreshToken) =>
+  prisma.userSession.findUnique({ where: { refreshTokenHash: hashToken(refreshToken) } });
+
+/**
+ * @param {number} sessionId
+ * @param {string} reason - SessionRevokeReason
+ * @returns {Promise<number>} Number of sessions revoked (0 if it was already revoked)
+ */
+const revokeSession = async (sessionId, reason) => {
+  const result = await prisma.userSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.count;
+};
+
+/**
+ * Revoke every live session of a user, including sudo-login sessions an admin
+ * opened as them and any the user opened as someone else.
+ *
+ * @param {number} userId
+ * @param {string} reason - SessionRevokeReason
+ * @param {Object} [options]
+ * @param {number} [options.exceptSessionId] - Keep this session (e.g. the one changing the password)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, { exceptSessionId = null } = {}) => {
+  const result = await prisma.userSession.updateMany({
+    where: {
+      OR: [{ userId }, { impersonatorId: userId }],
+      revokedAt: null,
+      ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  if (result.count > 0) {
+    console.log(`[Session] Revoked ${result.count} session(s) for user ${userId} (${reason})`);
+  }
+  return result.count;
+};
+
+/**
+ * Live sessions of a user, newest first, for a "signed-in devices" list.
+ * @param {number} userId
+ * @returns {Promise<Object[]>}
+ */
+const listUserSessions = (userId) =>
+  prisma.userSession.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      isSudo: true,
+      impersonatorId: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+
+/**
+ * Delete sessions that expired or were revoked more than `retentionDays` ago.
+ * @param {number} [retentionDays=30]
+ * @returns {Promise<number>} Rows deleted
+ */
+const purgeStaleSessions = async (retentionDays = 30) => {
+  const cutoff = dayjs().subtract(retentionDays, 'day').toDate();
+  const result = await prisma.userSession.deleteMany({
+    where: { OR: [{ expiresAt: { lt: cutoff } }, { revokedAt: { lt: cutoff } }] },
+  });
+  return result.count;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  findActiveSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  purgeStaleSessions,
+};
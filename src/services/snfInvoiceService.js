@@ -1,20 +1,50 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../config/db');
 const { generateInvoicePdf } = require('../utils/invoiceGeneratorEnhanced');
 const path = require('path');
 const fs = require('fs').promises;
 const { numberToWords } = require('../utils/numberToWords');
 const { generateSNFInvoiceNumber } = require('../utils/invoiceNumberGenerator');
+const { withDeliveryFeeShare, createTaxResolver, documentTaxTotals } = require('./gstRateService');
 
 /**
- * Generates an invoice PDF for a SNF order
+ * Take the next SNF invoice number for an order and store it on the order in
+ * the caller's transaction. An order that already has a number keeps it.
+ * @param {number} orderId - SNF order ID
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<string>} The order's invoice number
+ */
+const assignSNFInvoiceNumber = async (orderId, tx) => {
+  await tx.$queryRaw`SELECT id FROM snf_orders WHERE id = ${orderId} FOR UPDATE`;
+  const order = await tx.sNFOrder.findUnique({
+    where: { id: orderId },
+    select: { invoiceNo: true, depotId: true }
+  });
+  if (!order) {
+    throw new Error('SNF order not found');
+  }
+  if (order.invoiceNo) {
+    return order.invoiceNo;
+  }
+
+  const invoiceNo = await generateSNFInvoiceNumber({ depotId: order.depotId, tx });
+  await tx.sNFOrder.update({
+    where: { id: orderId },
+    data: { invoiceNo, invoicePath: path.join('snf', `SNF_${invoiceNo}.pdf`) }
+  });
+  return invoiceNo;
+};
+
+/**
+ * Generates an invoice PDF for a SNF order. The invoice number is taken and
+ * stored on the order first, unless it already has one, and the PDF is
+ * rendered after that commit.
  * @param {Object} snfOrder - The SNF order with all relations loaded
  * @returns {Promise<Object>} Object containing invoice number and file path
  */
 const generateInvoiceForSNFOrder = async (snfOrder) => {
   try {
-    // Generate financial year based SNF invoice number
-    const invoiceNo = await generateSNFInvoiceNumber();
+    const invoiceNo = snfOrder.invoiceNo
+      || await prisma.$transaction((tx) => assignSNFInvoiceNumber(snfOrder.id, tx));
     
     // Get member details if available
     let member = null;
@@ -27,13 +57,10 @@ const generateInvoiceForSNFOrder = async (snfOrder) => {
       });
     }
 
-    // Calculate invoice amounts (SNF orders typically don't have tax)
+    // Calculate invoice amounts; prices include GST at each variant's rate
     const subtotal = snfOrder.subtotal;
     const deliveryFee = snfOrder.deliveryFee || 0;
-    const cgstRate = 0;
-    const sgstRate = 0;
-    const cgstAmount = 0;
-    const sgstAmount = 0;
+    const { taxableAmount, cgstAmount, sgstAmount } = await calculateSNFOrderTax(snfOrder);
     const totalAmount = snfOrder.totalAmount;
 
     // Prepare customer data from order details
@@ -99,9 +126,8 @@ const generateInvoiceForSNFOrder = async (snfOrder) => {
       items: generateInvoiceItemsFromSNFOrder(snfOrder),
       totals: {
         amountBeforeTax: subtotal,
-        cgstRate,
+        taxableAmount,
         cgstAmount,
-        sgstRate,
         sgstAmount,
         igstRate: 0,
         igstAmount: 0,
@@ -141,6 +167,38 @@ const generateInvoiceForSNFOrder = async (snfOrder) => {
   }
 };
 
+/**
+ * GST included in an SNF order, with the delivery fee taxed as part of the
+ * items it delivers (the same split the GSTR-1 report makes)
+ * @param {Object} snfOrder - The SNF order with items
+ * @returns {Promise<{ taxableAmount: number, cgstAmount: number, sgstAmount: number }>}
+ */
+const calculateSNFOrderTax = async (snfOrder) => {
+  const items = snfOrder.items || [];
+  const variantIds = items.map((item) => item.depotProductVariantId).filter(Boolean);
+  const variants = await prisma.depotProductVariant.findMany({
+    where: { id: { in: variantIds } },
+    select: { id: true, productId: true, name: true, hsnCode: true },
+  });
+  const variantById = new Map(variants.map((variant) => [variant.id, variant]));
+
+  const resolveTax = await createTaxResolver(
+    items.map((item) => item.productId || variantById.get(item.depotProductVariantId)?.productId)
+  );
+  const amounts = withDeliveryFeeShare(items.map((item) => item.lineTotal), snfOrder.deliveryFee);
+
+  return documentTaxTotals(items.map((item, index) => {
+    const variant = variantById.get(item.depotProductVariantId);
+    const { rate } = resolveTax({
+      productId: item.productId || variant?.productId,
+      variantName: variant?.name || item.variantName,
+      hsnCode: variant?.hsnCode,
+      label: item.name,
+    });
+    return { amount: amounts[index], rate };
+  }));
+};
+
 /**
  * Generate invoice line items from SNF order items
  * @param {Object} snfOrder - The SNF order with items
@@ -243,11 +301,17 @@ const generateAndAttachInvoiceToSNFOrder = async (orderId) => {
       throw new Error('SNF order not found');
     }
 
-    // Generate invoice
+    // Generate invoice; this also stores its number and path on the order
     const { invoiceNo, pdfPath } = await generateInvoiceForSNFOrder(snfOrder);
 
-    // Update order with invoice details
-    const updatedOrder = await updateSNFOrderWithInvoice(orderId, invoiceNo, pdfPath);
+    const updatedOrder = await prisma.sNFOrder.findUnique({
+      where: { id: orderId },
+      include: {
+        items: true,
+        member: true,
+        depot: true
+      }
+    });
 
     return {
       success: true,
@@ -264,6 +328,7 @@ const generateAndAttachInvoiceToSNFOrder = async (orderId) => {
 };
 
 module.exports = {
+  assignSNFInvoiceNumber,
   generateInvoiceForSNFOrder,
   generateInvoiceItemsFromSNFOrder,
   updateSNFOrderWithInvoice,
@@ -0,0 +1,593 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+const ExcelJS = require('exceljs');
+const { updateVariantStock, refreshBatchStock } = require('./variantStockService');
+const { nextNumber } = require('./documentSequenceService');
+
+// Days before expiry at which a batch is flagged to be sold at a discount
+const nearExpiryDays = () => parseInt(process.env.STOCK_NEAR_EXPIRY_DAYS || '2', 10);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()));
+
+// Calendar day of a transaction date, and of a @db.Date column
+const dayOf = (date) => dayjs(date).format('YYYY-MM-DD');
+const dbDay = (date) => date.toISOString().slice(0, 10);
+
+const parseDay = (value, label) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) || !dayjs(value).isValid()) {
+    throw createError(400, `${label} must be in YYYY-MM-DD format`);
+  }
+  return value;
+};
+
+// First expiry first; batches without an expiry go last, then oldest receipt first
+const fefoOrder = (a, b) => {
+  if (a.expiryDate && b.expiryDate && a.expiryDate.getTime() !== b.expiryDate.getTime()) {
+    return a.expiryDate - b.expiryDate;
+  }
+  if (!a.expiryDate !== !b.expiryDate) return a.expiryDate ? -1 : 1;
+  return a.receivedDate - b.receivedDate || a.id - b.id;
+};
+
+// Ledger balance per batch of a depot variant (null: stock held outside batches)
+const batchBalances = async (tx, variantId) => {
+  const rows = await tx.stockLedger.groupBy({
+    by: ['batchId'],
+    where: { variantId },
+    _sum: { receivedQty: true, issuedQty: true },
+  });
+  return new Map(rows.map((row) => [row.batchId, (row._sum.receivedQty || 0) - (row._sum.issuedQty || 0)]));
+};
+
+const postPortions = async (tx, row, portions, quantityField) => {
+  const posted = [];
+  for (const portion of portions) {
+    posted.push(await tx.stockLedger.create({
+      data: {
+        receivedQty: 0,
+        issuedQty: 0,
+        ...row,
+        [quantityField]: portion.qty,
+        batchId: portion.batchId,
+      },
+    }));
+  }
+  return posted;
+};
+
+/**
+ * Post a stock issue, split across batches first-expiry-first-out. Stock
+ * held outside batches (received before batches were tracked) goes first as
+ * the oldest, then batches by expiry; batches already expired on the
+ * transaction date are left for write-off unless `includeExpired` is set.
+ * Anything beyond what the batches hold is issued outside batches.
+ * Callers refresh closing stock with updateVariantStock afterwards.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {Object} row - StockLedger data with issuedQty; variantId is a DepotProductVariant id
+ * @param {Object} [options]
+ * @param {number} [options.batchId] - Issue from this batch only
+ * @param {boolean} [options.includeExpired]
+ * @returns {Promise<Object[]>} Ledger rows posted
+ */
+const issueStock = async (tx, row, { batchId = null, includeExpired = false } = {}) => {
+  const quantity = row.issuedQty;
+  if (!quantity || quantity <= 0) return [];
+
+  // Serialise per variant so two issues cannot draw the same batch
+  await tx.$queryRaw`SELECT id FROM depot_product_variants WHERE id = ${row.variantId} FOR UPDATE`;
+  const balances = await batchBalances(tx, row.variantId);
+
+  if (batchId) {
+    const batch = await tx.stockBatch.findUnique({ where: { id: batchId } });
+    if (!batch || batch.depotProductVariantId !== row.variantId) {
+      throw createError(400, `Batch ${batchId} does not belong to this variant`);
+    }
+    const available = balances.get(batchId) || 0;
+    if (available < quantity) {
+      throw createError(409, `Batch ${batch.batchNo} has only ${available} in stock`);
+    }
+    return postPortions(tx, row, [{ batchId, qty: quantity }], 'issuedQty');
+  }
+
+  let remaining = quantity;
+  let unbatched = Math.min(remaining, Math.max(balances.get(null) || 0, 0));
+  remaining -= unbatched;
+
+  const portions = [];
+  const batchIds = [...balances.keys()].filter((id) => id && balances.get(id) > 0);
+  if (remaining > 0 && batchIds.length > 0) {
+    const day = dayOf(row.transactionDate);
+    const batches = await tx.stockBatch.findMany({
+      where: { id: { in: batchIds } },
+      select: { id: true, expiryDate: true, receivedDate: true },
+    });
+    const usable = batches
+      .filter((batch) => includeExpired || !batch.expiryDate || dbDay(batch.expiryDate) >= day)
+      .sort(fefoOrder);
+    for (const batch of usable) {
+      if (remaining === 0) break;
+      const qty = Math.min(remaining, balances.get(batch.id));
+      portions.push({ batchId: batch.id, qty });
+      remaining -= qty;
+    }
+  }
+
+  unbatched += remaining;
+  if (unbatched > 0) portions.unshift({ batchId: null, qty: unbatched });
+  return postPortions(tx, row, portions, 'issuedQty');
+};
+
+/**
+ * Post a receipt that reverses earlier issues of the same module and foreign
+ * key, returning stock to the batches it was issued from. Anything beyond
+ * what those issues drew from batches is received outside batches.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {Object} row - StockLedger data with receivedQty, module and foreignKey
+ * @returns {Promise<Object[]>} Ledger rows posted
+ */
+const returnStock = async (tx, row) => {
+  const quantity = row.receivedQty;
+  if (!quantity || quantity <= 0) return [];
+
+  const posted = await tx.stockLedger.groupBy({
+    by: ['batchId'],
+    where: { module: row.module, foreignKey: row.foreignKey, variantId: row.variantId, batchId: { not: null } },
+    _sum: { receivedQty: true, issuedQty: true },
+  });
+
+  let remaining = quantity;
+  const portions = [];
+  posted
+    .map((group) => ({ batchId: group.batchId, qty: (group._sum.issuedQty || 0) - (group._sum.receivedQty || 0) }))
+    .filter((group) => group.qty > 0)
+    .sort((a, b) => b.batchId - a.batchId)
+    .forEach((group) => {
+      const qty = Math.min(remaining, group.qty);
+      if (qty > 0) {
+        portions.push({ batchId: group.batchId, qty });
+        remaining -= qty;
+      }
+    });
+  if (remaining > 0) portions.push({ batchId: null, qty: remaining });
+
+  return postPortions(tx, row, portions, 'receivedQty');
+};
+
+/**
+ * Move stock between depots batch by batch: the source issues first-expiry-
+ * first-out and each batch drawn arrives at the destination as a batch with
+ * the same number and dates. Batch quantities of both variants are refreshed;
+ * closing stock is left to the caller.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {Object} issueRow - StockLedger data for the source, with issuedQty
+ * @param {Object} receiptRow - StockLedger data for the destination, without a quantity
+ * @returns {Promise<Object[]>} Ledger rows posted
+ */
+const transferStock = async (tx, issueRow, receiptRow) => {
+  const issued = await issueStock(tx, issueRow);
+
+  const sourceIds = issued.map((row) => row.batchId).filter(Boolean);
+  const sources = sourceIds.length
+    ? await tx.stockBatch.findMany({ where: { id: { in: sourceIds } } })
+    : [];
+  const sourceById = new Map(sources.map((batch) => [batch.id, batch]));
+
+  const received = [];
+  for (const row of issued) {
+    let batchId = null;
+    const source = sourceById.get(row.batchId);
+    if (source) {
+      const existing = await tx.stockBatch.findFirst({
+        where: { depotProductVariantId: receiptRow.variantId, sourceBatchId: source.id },
+      });
+      const batch = existing || await tx.stockBatch.create({
+        data: {
+          depotId: receiptRow.depotId,
+          depotProductVariantId: receiptRow.variantId,
+          productId: receiptRow.productId,
+          batchNo: source.batchNo,
+          manufactureDate: source.manufactureDate,
+          expiryDate: source.expiryDate,
+          receivedDate: receiptRow.transactionDate,
+          sourceBatchId: source.id,
+          status: source.status === 'NEAR_EXPIRY' ? 'NEAR_EXPIRY' : 'ACTIVE',
+        },
+      });
+      batchId = batch.id;
+    }
+    received.push(...await postPortions(tx, receiptRow, [{ batchId, qty: row.issuedQty }], 'receivedQty'));
+  }
+
+  await refreshBatchStock([issueRow.variantId, receiptRow.variantId], tx);
+  return [...issued, ...received];
+};
+
+/**
+ * Keep one batch per line of a purchase. Batches already made for the
+ * purchase are matched by variant and batch number so stock issued from them
+ * stays traced when the purchase is edited; batches no longer on it are
+ * removed, unless stock has already moved against them (409). Lines without a batch number use the purchase number, and lines
+ * without an expiry take the product's shelf life from manufacture (or
+ * purchase) date.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {Object} purchase - Purchase with depotId, purchaseNo and purchaseDate
+ * @param {Object[]} details - Its PurchaseDetail rows; variantId is a DepotProductVariant id
+ * @returns {Promise<Map<number, number>>} Purchase detail id -> batch id
+ */
+const syncPurchaseBatches = async (tx, purchase, details) => {
+  const existing = await tx.stockBatch.findMany({ where: { purchaseId: purchase.id } });
+  const products = await tx.product.findMany({
+    where: { id: { in: [...new Set(details.map((detail) => detail.productId))] } },
+    select: { id: true, shelfLifeDays: true },
+  });
+  const shelfLifeById = new Map(products.map((product) => [product.id, product.shelfLifeDays]));
+
+  const unclaimed = [...existing];
+  const batchIdByDetail = new Map();
+  for (const detail of details) {
+    const batchNo = detail.batchNo || purchase.purchaseNo;
+    const shelfLifeDays = shelfLifeById.get(detail.productId);
+    const expiryDate = detail.expiryDate || (shelfLifeDays
+      ? dayjs(dbDay(detail.manufactureDate || purchase.purchaseDate)).add(shelfLifeDays, 'day').format('YYYY-MM-DD')
+      : null);
+    const data = {
+      depotId: purchase.depotId,
+      depotProductVariantId: detail.variantId,
+      productId: detail.productId,
+      batchNo,
+      manufactureDate: detail.manufactureDate || null,
+      expiryDate: expiryDate ? new Date(expiryDate) : null,
+      receivedDate: purchase.purchaseDate,
+      purchaseId: purchase.id,
+      purchaseDetailId: detail.id,
+    };
+
+    const index = unclaimed.findIndex(
+      (batch) => batch.depotProductVariantId === detail.variantId && batch.batchNo === batchNo
+    );
+    const batch = index === -1
+      ? await tx.stockBatch.create({ data })
+      : await tx.stockBatch.update({ where: { id: unclaimed.splice(index, 1)[0].id }, data });
+    batchIdByDetail.set(detail.id, batch.id);
+  }
+
+  if (unclaimed.length > 0) {
+    // Deleting a batch strips it from every ledger row posted against it, so
+    // batches that stock has already moved out of (or back into) must stay
+    const traced = await tx.stockLedger.findFirst({
+      where: { batchId: { in: unclaimed.map((batch) => batch.id) } },
+      select: { batchId: true, module: true, foreignKey: true },
+    });
+    if (traced) {
+      const { batchNo } = unclaimed.find((batch) => batch.id === traced.batchId);
+      throw createError(
+        409,
+        `Batch ${batchNo} cannot be removed or renumbered: stock has moved against it (${traced.module} #${traced.foreignKey})`
+      );
+    }
+    await tx.stockBatch.deleteMany({ where: { id: { in: unclaimed.map((batch) => batch.id) } } });
+  }
+  return batchIdByDetail;
+};
+
+const batchInclude = {
+  depot: { select: { id: true, name: true } },
+  product: { select: { id: true, name: true } },
+  depotProductVariant: { select: { id: true, name: true, purchasePrice: true } },
+  purchase: { select: { id: true, purchaseNo: true, vendor: { select: { id: true, name: true } } } },
+  purchaseDetail: { select: { purchaseRate: true } },
+  sourceBatch: {
+    select: {
+      id: true,
+      depot: { select: { id: true, name: true } },
+      purchase: { select: { id: true, purchaseNo: true, vendor: { select: { id: true, name: true } } } },
+      purchaseDetail: { select: { purchaseRate: true } },
+    },
+  },
+};
+
+/**
+ * Batches, soonest expiry first.
+ *
+ * @param {Object} params
+ * @param {number} [params.depotId]
+ * @param {number} [params.productId]
+ * @param {number} [params.variantId] - DepotProductVariant id
+ * @param {string} [params.status]
+ * @param {string} [params.search] - Batch number
+ * @param {boolean} [params.inStock] - Only batches with stock left
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @returns {Promise<{ batches: Object[], total: number, page: number, limit: number }>}
+ */
+const listBatches = async ({ depotId, productId, variantId, status, search, inStock = false, page = 1, limit = 20 }) => {
+  const where = {
+    ...(depotId ? { depotId } : {}),
+    ...(productId ? { productId } : {}),
+    ...(variantId ? { depotProductVariantId: variantId } : {}),
+    ...(status ? { status } : {}),
+    ...(search ? { batchNo: { contains: search } } : {}),
+    ...(inStock ? { closingQty: { gt: 0 } } : {}),
+  };
+  const [batches, total] = await Promise.all([
+    prisma.stockBatch.findMany({
+      where,
+      include: batchInclude,
+      orderBy: [{ expiryDate: 'asc' }, { receivedDate: 'asc' }, { id: 'asc' }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.stockBatch.count({ where }),
+  ]);
+  return { batches, total, page, limit };
+};
+
+/**
+ * A batch with every stock movement posted against it, for tracing a lot
+ * from receipt to sale or write-off.
+ * @param {number} batchId
+ * @returns {Promise<Object|null>}
+ */
+const getBatch = (batchId) =>
+  prisma.stockBatch.findUnique({
+    where: { id: batchId },
+    include: {
+      ...batchInclude,
+      transferredBatches: { select: { id: true, depot: { select: { id: true, name: true } }, closingQty: true } },
+      ledgerEntries: {
+        select: {
+          id: true,
+          transactionDate: true,
+          receivedQty: true,
+          issuedQty: true,
+          module: true,
+          foreignKey: true,
+          reason: true,
+        },
+        orderBy: [{ transactionDate: 'asc' }, { id: 'asc' }],
+      },
+      wastageDetails: { select: { id: true, quantity: true, wastage: { select: { id: true, wastageNo: true, wastageDate: true } } } },
+    },
+  });
+
+/**
+ * Batches with stock left that expire within `days` of `date`, including
+ * those already expired, with the cost of the stock at risk.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.date] - YYYY-MM-DD, defaults to today
+ * @param {number} [params.days] - Defaults to STOCK_NEAR_EXPIRY_DAYS
+ * @param {number} [params.depotId]
+ * @returns {Promise<Object>}
+ */
+const buildNearExpiryReport = async ({ date, days, depotId } = {}) => {
+  const day = date ? parseDay(date, 'date') : dayjs().format('YYYY-MM-DD');
+  const window = Number.isInteger(days) && days >= 0 ? days : nearExpiryDays();
+  const until = dayjs(day).add(window, 'day').format('YYYY-MM-DD');
+
+  const batches = await prisma.stockBatch.findMany({
+    where: {
+      closingQty: { gt: 0 },
+      status: { not: 'WRITTEN_OFF' },
+      expiryDate: { lte: new Date(until) },
+      ...(depotId ? { depotId } : {}),
+    },
+    include: batchInclude,
+    orderBy: [{ expiryDate: 'asc' }, { depotId: 'asc' }, { id: 'asc' }],
+  });
+
+  const items = batches.map((batch) => {
+    const rate = batch.purchaseDetail?.purchaseRate
+      ?? batch.sourceBatch?.purchaseDetail?.purchaseRate
+      ?? batch.depotProductVariant.purchasePrice;
+    const unitCost = toNumber(rate);
+    const daysToExpiry = dayjs(dbDay(batch.expiryDate)).diff(dayjs(day), 'day');
+    return {
+      batchId: batch.id,
+      batchNo: batch.batchNo,
+      depot: batch.depot,
+      product: batch.product,
+      variant: { id: batch.depotProductVariant.id, name: batch.depotProductVariant.name },
+      purchase: batch.purchase || batch.sourceBatch?.purchase || null,
+      manufactureDate: batch.manufactureDate,
+      expiryDate: batch.expiryDate,
+      daysToExpiry,
+      expired: daysToExpiry < 0,
+      status: batch.status,
+      closingQty: batch.closingQty,
+      unitCost: round2(unitCost),
+      value: round2(unitCost * batch.closingQty),
+    };
+  });
+
+  const expired = items.filter((item) => item.expired);
+  return {
+    date: day,
+    days: window,
+    items,
+    totals: {
+      batches: items.length,
+      quantity: items.reduce((sum, item) => sum + item.closingQty, 0),
+      value: round2(items.reduce((sum, item) => sum + item.value, 0)),
+      expiredQuantity: expired.reduce((sum, item) => sum + item.closingQty, 0),
+      expiredValue: round2(expired.reduce((sum, item) => sum + item.value, 0)),
+    },
+  };
+};
+
+/**
+ * Workbook of the near-expiry report.
+ * @param {Object} report - From buildNearExpiryReport
+ * @returns {ExcelJS.Workbook}
+ */
+const buildNearExpiryWorkbook = (report) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Near Expiry');
+  sheet.columns = [
+    { header: 'Depot', key: 'depot', width: 24 },
+    { header: 'Product', key: 'product', width: 30 },
+    { header: 'Variant', key: 'variant', width: 18 },
+    { header: 'Batch', key: 'batchNo', width: 18 },
+    { header: 'Purchase', key: 'purchase', width: 16 },
+    { header: 'Vendor', key: 'vendor', width: 24 },
+    { header: 'Expiry', key: 'expiryDate', width: 12 },
+    { header: 'Days Left', key: 'daysToExpiry', width: 10 },
+    { header: 'Status', key: 'status', width: 14 },
+    { header: 'Qty', key: 'closingQty', width: 8 },
+    { header: 'Unit Cost', key: 'unitCost', width: 12 },
+    { header: 'Value', key: 'value', width: 14 },
+  ];
+  sheet.getRow(1).font = { bold: true };
+  report.items.forEach((item) => sheet.addRow({
+    ...item,
+    depot: item.depot.name,
+    product: item.product.name,
+    variant: item.variant.name,
+    purchase: item.purchase?.purchaseNo || '',
+    vendor: item.purchase?.vendor?.name || '',
+    expiryDate: dbDay(item.expiryDate),
+    status: item.expired ? 'EXPIRED' : item.status,
+  }));
+  sheet.addRow({ depot: 'Total', closingQty: report.totals.quantity, value: report.totals.value });
+  return workbook;
+};
+
+/**
+ * Write batches off into one Wastage document for their depot, issuing each
+ * batch's remaining stock against it.
+ *
+ * @param {number} depotId
+ * @param {number[]} batchIds
+ * @param {Object} [options]
+ * @param {string} [options.date] - YYYY-MM-DD wastage date, defaults to today
+ * @param {number} [options.actorId]
+ * @returns {Promise<Object|null>} Wastage created, or null when nothing was left to write off
+ */
+const writeOffBatches = async (depotId, batchIds, { date, actorId = null } = {}) => {
+  const day = date ? parseDay(date, 'date') : dayjs().format('YYYY-MM-DD');
+
+  return prisma.$transaction(async (tx) => {
+    const batches = await tx.stockBatch.findMany({
+      where: { id: { in: batchIds }, depotId, closingQty: { gt: 0 }, status: { not: 'WRITTEN_OFF' } },
+      orderBy: { id: 'asc' },
+    });
+    if (batches.length === 0) return null;
+
+    const wastageNo = await nextNumber('WASTAGE', { depotId, tx });
+    const wastage = await tx.wastage.create({
+      data: {
+        wastageNo,
+        wastageDate: new Date(day),
+        depotId,
+        createdById: actorId,
+        details: {
+          create: batches.map((batch) => ({
+            productId: batch.productId,
+            variantId: batch.depotProductVariantId,
+            quantity: batch.closingQty,
+            batchId: batch.id,
+          })),
+        },
+      },
+      include: { details: true },
+    });
+
+    for (const detail of wastage.details) {
+      await issueStock(tx, {
+        productId: detail.productId,
+        variantId: detail.variantId,
+        depotId,
+        transactionDate: new Date(day),
+        issuedQty: detail.quantity,
+        module: 'wastage',
+        foreignKey: wastage.id,
+      }, { batchId: detail.batchId, includeExpired: true });
+    }
+
+    const variants = new Map(batches.map((batch) => [batch.depotProductVariantId, batch.productId]));
+    for (const [variantId, productId] of variants) {
+      await updateVariantStock({ productId, variantId, depotId }, tx);
+    }
+
+    await tx.stockBatch.updateMany({
+      where: { id: { in: batches.map((batch) => batch.id) } },
+      data: { status: 'WRITTEN_OFF', writtenOffAt: new Date() },
+    });
+    return wastage;
+  }, { timeout: 30000 });
+};
+
+/**
+ * Daily expiry check: batches with stock that expire within the near-expiry
+ * window are flagged for discounting, and batches past their expiry date are
+ * written off into Wastage, one document per depot. Depots whose write-off
+ * fails are reported in `failures` and picked up again by the next run.
+ *
+ * @param {string} [date] - YYYY-MM-DD, defaults to today
+ * @returns {Promise<{ date: string, flagged: number, writeOffs: Object[], failures: Object[] }>}
+ */
+const runExpiryCheck = async (date) => {
+  const day = date ? parseDay(date, 'date') : dayjs().format('YYYY-MM-DD');
+  const until = dayjs(day).add(nearExpiryDays(), 'day').format('YYYY-MM-DD');
+
+  const flagged = await prisma.stockBatch.updateMany({
+    where: {
+      status: 'ACTIVE',
+      closingQty: { gt: 0 },
+      expiryDate: { gte: new Date(day), lte: new Date(until) },
+    },
+    data: { status: 'NEAR_EXPIRY', flaggedAt: new Date() },
+  });
+
+  const expired = await prisma.stockBatch.findMany({
+    where: { status: { not: 'WRITTEN_OFF' }, closingQty: { gt: 0 }, expiryDate: { lt: new Date(day) } },
+    select: { id: true, depotId: true },
+  });
+  const batchIdsByDepot = new Map();
+  expired.forEach((batch) => {
+    if (!batchIdsByDepot.has(batch.depotId)) batchIdsByDepot.set(batch.depotId, []);
+    batchIdsByDepot.get(batch.depotId).push(batch.id);
+  });
+
+  // One depot failing to write off must not hold up the others
+  const writeOffs = [];
+  const failures = [];
+  for (const [depotId, batchIds] of batchIdsByDepot) {
+    try {
+      const wastage = await writeOffBatches(depotId, batchIds, { date: day });
+      if (wastage) {
+        writeOffs.push({
+          depotId,
+          wastageId: wastage.id,
+          wastageNo: wastage.wastageNo,
+          batches: wastage.details.length,
+          quantity: wastage.details.reduce((sum, detail) => sum + detail.quantity, 0),
+        });
+      }
+    } catch (error) {
+      console.error(`[Batch Expiry] Error writing off expired batches for depot ${depotId}:`, error);
+      failures.push({ depotId, batchIds, error: error.message });
+    }
+  }
+
+  return { date: day, flagged: flagged.count, writeOffs, failures };
+};
+
+module.exports = {
+  issueStock,
+  returnStock,
+  transferStock,
+  syncPurchaseBatches,
+  listBatches,
+  getBatch,
+  buildNearExpiryReport,
+  buildNearExpiryWorkbook,
+  writeOffBatches,
+  runExpiryCheck,
+};
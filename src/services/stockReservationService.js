@@ -0,0 +1,319 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const { updateVariantStock } = require('./variantStockService');
+const { issueStock, returnStock } = require('./stockBatchService');
+
+// Ledger module for stock issued against SNF and POS orders
+const LEDGER_MODULE = 'SNF_ORDER';
+
+// When enabled, checkout accepts orders beyond available stock and records the
+// shortfall as backordered instead of rejecting the order.
+const allowBackorders = () => process.env.SNF_ALLOW_BACKORDERS === 'true';
+
+/**
+ * Available quantity per depot variant: closing stock less what open orders hold.
+ *
+ * @param {number[]} variantIds - DepotProductVariant ids
+ * @param {import('@prisma/client').Prisma.TransactionClient} [client]
+ * @returns {Promise<Map<number, { closingQty: number, reservedQty: number, availableQty: number }>>}
+ */
+const getAvailability = async (variantIds, client = prisma) => {
+  const ids = [...new Set(variantIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const [variants, reserved] = await Promise.all([
+    client.depotProductVariant.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, closingQty: true },
+    }),
+    client.stockReservation.groupBy({
+      by: ['depotProductVariantId'],
+      where: { depotProductVariantId: { in: ids }, status: 'RESERVED' },
+      _sum: { quantity: true },
+    }),
+  ]);
+
+  const reservedById = new Map(reserved.map((row) => [row.depotProductVariantId, row._sum.quantity || 0]));
+  return new Map(variants.map((variant) => {
+    const reservedQty = reservedById.get(variant.id) || 0;
+    return [variant.id, {
+      closingQty: variant.closingQty,
+      reservedQty,
+      availableQty: variant.closingQty - reservedQty,
+    }];
+  }));
+};
+
+/**
+ * Reserve stock for every line of an order that sells a depot variant.
+ * Must run inside the transaction that creates the order; the variant rows are
+ * locked so concurrent checkouts cannot both take the last unit.
+ *
+ * @param {Object} order - SNFOrder with items
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {Object} [options]
+ * @param {boolean} [options.allowBackorder] - Defaults to SNF_ALLOW_BACKORDERS
+ * @returns {Promise<Object[]>} Reservations created
+ * @throws {HttpError} 409 listing the short items when backorders are not allowed
+ */
+const reserveOrderStock = async (order, tx, { allowBackorder = allowBackorders() } = {}) => {
+  const lines = order.items.filter((item) => item.depotProductVariantId);
+  if (lines.length === 0) return [];
+
+  // Lock in id order so two orders over the same variants cannot deadlock
+  const variantIds = [...new Set(lines.map((item) => item.depotProductVariantId))].sort((a, b) => a - b);
+  for (const id of variantIds) {
+    await tx.$queryRaw`SELECT id FROM depot_product_variants WHERE id = ${id} FOR UPDATE`;
+  }
+
+  const variants = await tx.depotProductVariant.findMany({
+    where: { id: { in: variantIds } },
+    select: { id: true, depotId: true, productId: true, name: true },
+  });
+  const variantById = new Map(variants.map((variant) => [variant.id, variant]));
+  const availability = await getAvailability(variantIds, tx);
+
+  const shortages = [];
+  const reservations = [];
+  for (const item of lines) {
+    const variant = variantById.get(item.depotProductVariantId);
+    if (!variant) {
+      throw createError(400, `Product variant ${item.depotProductVariantId} not found`);
+    }
+    if (order.depotId && variant.depotId !== order.depotId) {
+      throw createError(400, `${item.name} is not sold from this depot`);
+    }
+
+    const stock = availability.get(variant.id);
+    const available = Math.max(stock.availableQty, 0);
+    const backorderedQty = Math.max(item.quantity - available, 0);
+    if (backorderedQty > 0) {
+      shortages.push(`${[item.name, item.variantName].filter(Boolean).join(' ')} (available ${available}, ordered ${item.quantity})`);
+    }
+    // Later lines for the same variant see what earlier lines took
+    stock.availableQty -= item.quantity;
+
+    reservations.push({
+      depotId: variant.depotId,
+      depotProductVariantId: variant.id,
+      productId: variant.productId,
+      snfOrderId: order.id,
+      snfOrderItemId: item.id,
+      quantity: item.quantity,
+      backorderedQty,
+    });
+  }
+
+  if (shortages.length > 0 && !allowBackorder) {
+    throw createError(409, `Insufficient stock: ${shortages.join('; ')}`);
+  }
+  if (shortages.length > 0) {
+    console.warn(`[Stock Reservation] Order ${order.orderNo} backordered: ${shortages.join('; ')}`);
+  }
+
+  await tx.stockReservation.createMany({ data: reservations });
+  return reservations;
+};
+
+/**
+ * Give back the stock held for an order (cancellation, failed payment).
+ * Stock already issued is not affected.
+ *
+ * @param {number} snfOrderId
+ * @param {string} reason
+ * @param {import('@prisma/client').Prisma.TransactionClient} [client]
+ * @returns {Promise<number>} Reservations released
+ */
+const releaseOrderReservations = async (snfOrderId, reason, client = prisma) => {
+  const result = await client.stockReservation.updateMany({
+    where: { snfOrderId, status: 'RESERVED' },
+    data: { status: 'RELEASED', releaseReason: reason, releasedAt: new Date() },
+  });
+  if (result.count > 0) {
+    console.log(`[Stock Reservation] Released ${result.count} reservation(s) for SNF order ${snfOrderId} (${reason})`);
+  }
+  return result.count;
+};
+
+/**
+ * Hold stock again for an order whose reservations were released and which is
+ * back in play (an admin restoring a failed or cancelled payment). Only lines
+ * released earlier are reserved again, with the same stock check as checkout.
+ *
+ * @param {number} snfOrderId
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {Object} [options] - As for reserveOrderStock
+ * @returns {Promise<Object[]>} Reservations created
+ * @throws {HttpError} 409 listing the short items when backorders are not allowed
+ */
+const restoreOrderReservations = async (snfOrderId, tx, options = {}) => {
+  const order = await tx.sNFOrder.findUnique({
+    where: { id: snfOrderId },
+    include: { items: { include: { stockReservation: true } } },
+  });
+  if (!order) {
+    throw createError(404, 'Order not found');
+  }
+
+  const released = order.items.filter((item) => item.stockReservation?.status === 'RELEASED');
+  if (released.length === 0) return [];
+
+  // An order item holds one reservation, so the released rows make way for the new ones
+  await tx.stockReservation.deleteMany({
+    where: { id: { in: released.map((item) => item.stockReservation.id) } },
+  });
+  const reservations = await reserveOrderStock({ ...order, items: released }, tx, options);
+  console.log(`[Stock Reservation] Restored ${reservations.length} reservation(s) for SNF order ${snfOrderId}`);
+  return reservations;
+};
+
+const issueOrderStockInTx = async (snfOrderId, tx) => {
+  // Serialise per order so two delivery updates cannot issue the same lines twice
+  await tx.$queryRaw`SELECT id FROM snf_orders WHERE id = ${snfOrderId} FOR UPDATE`;
+  const order = await tx.sNFOrder.findUnique({
+    where: { id: snfOrderId },
+    include: { items: { include: { stockReservation: true } } },
+  });
+  if (!order) {
+    throw createError(404, 'Order not found');
+  }
+
+  const toIssue = order.items.filter(
+    (item) => item.depotProductVariantId && item.stockReservation?.status !== 'ISSUED'
+  );
+  if (toIssue.length === 0) return [];
+
+  const variants = await tx.depotProductVariant.findMany({
+    where: { id: { in: toIssue.map((item) => item.depotProductVariantId) } },
+    select: { id: true, depotId: true, productId: true },
+  });
+  const variantById = new Map(variants.map((variant) => [variant.id, variant]));
+  const now = new Date();
+
+  const touched = new Map();
+  for (const item of toIssue) {
+    const variant = variantById.get(item.depotProductVariantId);
+    if (!variant) continue;
+
+    await issueStock(tx, {
+      productId: variant.productId,
+      variantId: variant.id,
+      depotId: variant.depotId,
+      transactionDate: now,
+      receivedQty: 0,
+      issuedQty: item.quantity,
+      module: LEDGER_MODULE,
+      foreignKey: order.id,
+    });
+
+    // Orders placed before reservations existed, or whose hold was released,
+    // still left the depot, so they are recorded as issued too
+    if (item.stockReservation) {
+      await tx.stockReservation.update({
+        where: { id: item.stockReservation.id },
+        data: { status: 'ISSUED', issuedAt: now },
+      });
+    } else {
+      await tx.stockReservation.create({
+        data: {
+          depotId: variant.depotId,
+          depotProductVariantId: variant.id,
+          productId: variant.productId,
+          snfOrderId: order.id,
+          snfOrderItemId: item.id,
+          quantity: item.quantity,
+          status: 'ISSUED',
+          issuedAt: now,
+        },
+      });
+    }
+
+    touched.set(variant.id, variant);
+  }
+
+  for (const variant of touched.values()) {
+    await updateVariantStock({ productId: variant.productId, variantId: variant.id, depotId: variant.depotId }, tx);
+  }
+
+  return toIssue;
+};
+
+/**
+ * Turn an order's reservations into stock ledger issues once the goods have
+ * left the depot (delivered, or handed over at the POS counter), and refresh
+ * closing stock. Lines already issued are skipped, so repeat calls are safe.
+ *
+ * @param {number} snfOrderId
+ * @param {import('@prisma/client').Prisma.TransactionClient} [tx] - Runs in its own transaction when omitted
+ * @returns {Promise<Object[]>} Order items issued by this call
+ */
+const issueOrderStock = (snfOrderId, tx = null) =>
+  tx ? issueOrderStockInTx(snfOrderId, tx) : prisma.$transaction((client) => issueOrderStockInTx(snfOrderId, client));
+
+/**
+ * Undo the stock issue of an order whose delivery was undone: post reversing
+ * ledger rows for what is still issued against it, back to the batches it
+ * came from, and hold the goods for the order again so they are reserved
+ * until it is re-delivered. Orders with nothing issued are left alone.
+ *
+ * @param {number} snfOrderId
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @returns {Promise<Object[]>} Order items returned to stock
+ */
+const returnOrderStock = async (snfOrderId, tx) => {
+  await tx.$queryRaw`SELECT id FROM snf_orders WHERE id = ${snfOrderId} FOR UPDATE`;
+  const order = await tx.sNFOrder.findUnique({
+    where: { id: snfOrderId },
+    include: { items: { include: { stockReservation: true } } },
+  });
+  if (!order) {
+    throw createError(404, 'Order not found');
+  }
+
+  const issued = order.items.filter((item) => item.stockReservation?.status === 'ISSUED');
+  if (issued.length === 0) return [];
+
+  const variants = await tx.depotProductVariant.findMany({
+    where: { id: { in: [...new Set(issued.map((item) => item.stockReservation.depotProductVariantId))] } },
+    select: { id: true, depotId: true, productId: true },
+  });
+  const now = new Date();
+
+  for (const variant of variants) {
+    const posted = await tx.stockLedger.aggregate({
+      where: { module: LEDGER_MODULE, foreignKey: order.id, variantId: variant.id },
+      _sum: { issuedQty: true, receivedQty: true },
+    });
+    const outstanding = (posted._sum.issuedQty || 0) - (posted._sum.receivedQty || 0);
+    if (outstanding > 0) {
+      await returnStock(tx, {
+        productId: variant.productId,
+        variantId: variant.id,
+        depotId: variant.depotId,
+        transactionDate: now,
+        receivedQty: outstanding,
+        issuedQty: 0,
+        module: LEDGER_MODULE,
+        foreignKey: order.id,
+      });
+    }
+    await updateVariantStock({ productId: variant.productId, variantId: variant.id, depotId: variant.depotId }, tx);
+  }
+
+  await tx.stockReservation.updateMany({
+    where: { id: { in: issued.map((item) => item.stockReservation.id) } },
+    data: { status: 'RESERVED', issuedAt: null },
+  });
+  console.log(`[Stock Reservation] Returned ${issued.length} issued line(s) of SNF order ${snfOrderId} to stock`);
+  return issued;
+};
+
+module.exports = {
+  LEDGER_MODULE,
+  getAvailability,
+  reserveOrderStock,
+  releaseOrderReservations,
+  restoreOrderReservations,
+  issueOrderStock,
+  returnOrderStock,
+};
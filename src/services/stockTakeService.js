@@ -0,0 +1,526 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+const { updateVariantStock } = require('./variantStockService');
+const { issueStock } = require('./stockBatchService');
+
+// Ledger module for stock corrected by an approved stock take
+const LEDGER_MODULE = 'adjustment';
+
+const REASONS = [
+  'DAMAGED',
+  'EXPIRED',
+  'THEFT_OR_LOSS',
+  'COUNTING_ERROR',
+  'UNRECORDED_RECEIPT',
+  'UNRECORDED_ISSUE',
+  'OTHER',
+];
+
+const ACTIVE_STATUSES = ['OPEN', 'SUBMITTED'];
+
+const stockTakeInclude = {
+  depot: { select: { id: true, name: true } },
+  openedBy: { select: { id: true, name: true } },
+  submittedBy: { select: { id: true, name: true } },
+  approvedBy: { select: { id: true, name: true } },
+};
+
+const lineInclude = {
+  depotProductVariant: {
+    select: { id: true, name: true, product: { select: { id: true, name: true } } },
+  },
+};
+
+// Stock the shelf should hold when the line was counted: the snapshot taken
+// when the count opened plus what the ledger moved in and out since then
+const expectedQtyOf = (line, moved) => line.systemQty + (moved.get(line.id) || 0);
+
+const varianceOf = (line, moved) => (line.countedQty === null ? null : line.countedQty - expectedQtyOf(line, moved));
+
+/**
+ * Net stock posted to each counted line's variant between the stock take
+ * opening and the line being counted. Deliveries, receipts and transfers keep
+ * running during a count, and the shelf already reflects them, so they are
+ * not variances.
+ * @param {Object} client - prisma or a transaction client
+ * @param {Object} stockTake - With lines
+ * @returns {Promise<Map<number, number>>} Line id -> received minus issued
+ */
+const loadMovementsSinceOpen = async (client, stockTake) => {
+  const counted = stockTake.lines.filter((line) => line.countedAt);
+  if (counted.length === 0) return new Map();
+
+  const lastCountedAt = new Date(Math.max(...counted.map((line) => line.countedAt.getTime())));
+  const movements = await client.stockLedger.findMany({
+    where: {
+      depotId: stockTake.depotId,
+      variantId: { in: counted.map((line) => line.depotProductVariantId) },
+      createdAt: { gt: stockTake.createdAt, lte: lastCountedAt },
+    },
+    select: { variantId: true, receivedQty: true, issuedQty: true, createdAt: true },
+  });
+
+  return new Map(counted.map((line) => [
+    line.id,
+    movements
+      .filter((row) => row.variantId === line.depotProductVariantId && row.createdAt <= line.countedAt)
+      .reduce((sum, row) => sum + row.receivedQty - row.issuedQty, 0),
+  ]));
+};
+
+// A stock take with each line's expected stock and variance, and a count of lines per state
+const withSummary = (stockTake, moved) => {
+  const lines = stockTake.lines.map((line) => ({
+    ...line,
+    movedQty: moved.get(line.id) || 0,
+    expectedQty: expectedQtyOf(line, moved),
+    variance: varianceOf(line, moved),
+  }));
+  return {
+    ...stockTake,
+    lines,
+    summary: {
+      lines: lines.length,
+      counted: lines.filter((line) => line.countedQty !== null).length,
+      withVariance: lines.filter((line) => line.variance).length,
+      unitsOver: lines.reduce((sum, line) => sum + Math.max(line.variance || 0, 0), 0),
+      unitsShort: lines.reduce((sum, line) => sum + Math.max(-(line.variance || 0), 0), 0),
+    },
+  };
+};
+
+const loadLockedStockTake = async (tx, stockTakeId) => {
+  await tx.$queryRaw`SELECT id FROM stock_takes WHERE id = ${stockTakeId} FOR UPDATE`;
+  const stockTake = await tx.stockTake.findUnique({ where: { id: stockTakeId }, include: { lines: true } });
+  if (!stockTake) {
+    throw createError(404, 'Stock take not found');
+  }
+  return stockTake;
+};
+
+/**
+ * A stock take with its lines and variances.
+ * @param {number} stockTakeId
+ * @returns {Promise<Object|null>}
+ */
+const getStockTake = async (stockTakeId) => {
+  const stockTake = await prisma.stockTake.findUnique({
+    where: { id: stockTakeId },
+    include: {
+      ...stockTakeInclude,
+      lines: { include: lineInclude, orderBy: { id: 'asc' } },
+    },
+  });
+  return stockTake ? withSummary(stockTake, await loadMovementsSinceOpen(prisma, stockTake)) : null;
+};
+
+/**
+ * Stock takes, newest first.
+ *
+ * @param {Object} params
+ * @param {number} [params.depotId]
+ * @param {string} [params.status]
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @returns {Promise<{ stockTakes: Object[], total: number, page: number, limit: number }>}
+ */
+const listStockTakes = async ({ depotId, status, page = 1, limit = 20 }) => {
+  const where = {
+    ...(depotId ? { depotId } : {}),
+    ...(status ? { status } : {}),
+  };
+  const [stockTakes, total] = await Promise.all([
+    prisma.stockTake.findMany({
+      where,
+      include: { ...stockTakeInclude, _count: { select: { lines: true } } },
+      orderBy: [{ countDate: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.stockTake.count({ where }),
+  ]);
+  return { stockTakes, total, page, limit };
+};
+
+/**
+ * Open a count for a depot, freezing each variant's closing stock as the
+ * system quantity the count is compared with. Stock that moves while the
+ * count is open is left alone: approval only posts the counted difference.
+ * A depot has at most one open or submitted count at a time.
+ *
+ * @param {number} depotId
+ * @param {Object} [options]
+ * @param {string} [options.countDate] - YYYY-MM-DD, defaults to today
+ * @param {number[]} [options.variantIds] - Count only these depot variants
+ * @param {string} [options.notes]
+ * @param {number} [options.actorId]
+ * @returns {Promise<Object>}
+ */
+const openStockTake = async (depotId, { countDate, variantIds = null, notes = null, actorId = null } = {}) => {
+  const date = countDate || dayjs().format('YYYY-MM-DD');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !dayjs(date).isValid()) {
+    throw createError(400, 'countDate must be in YYYY-MM-DD format');
+  }
+
+  const stockTakeId = await prisma.$transaction(async (tx) => {
+    // Serialise per depot so two counts cannot be opened side by side
+    const [depot] = await tx.$queryRaw`SELECT id FROM depots WHERE id = ${depotId} FOR UPDATE`;
+    if (!depot) {
+      throw createError(404, 'Depot not found');
+    }
+
+    const active = await tx.stockTake.findFirst({ where: { depotId, status: { in: ACTIVE_STATUSES } } });
+    if (active) {
+      throw createError(409, `Stock take #${active.id} is still ${active.status.toLowerCase()} for this depot`);
+    }
+
+    const variants = await tx.depotProductVariant.findMany({
+      where: { depotId, ...(variantIds ? { id: { in: variantIds } } : {}) },
+      select: { id: true, productId: true, closingQty: true },
+      orderBy: { id: 'asc' },
+    });
+    if (variantIds) {
+      const found = new Set(variants.map((variant) => variant.id));
+      const missing = variantIds.filter((id) => !found.has(id));
+      if (missing.length) {
+        throw createError(400, `Variants ${missing.join(', ')} do not belong to this depot`);
+      }
+    }
+    if (variants.length === 0) {
+      throw createError(400, 'The depot has no variants to count');
+    }
+
+    const created = await tx.stockTake.create({
+      data: {
+        depotId,
+        countDate: new Date(date),
+        notes,
+        openedById: actorId,
+        lines: {
+          create: variants.map((variant) => ({
+            depotProductVariantId: variant.id,
+            productId: variant.productId,
+            systemQty: variant.closingQty,
+          })),
+        },
+      },
+    });
+    return created.id;
+  });
+
+  return getStockTake(stockTakeId);
+};
+
+/**
+ * Record counted quantities, reasons and remarks by depot variant. Counts can
+ * change while the stock take is open; once submitted only reasons and
+ * remarks can be filled in for review.
+ *
+ * @param {number} stockTakeId
+ * @param {Object[]} counts - [{ variantId, countedQty?, reason?, remarks? }]
+ * @returns {Promise<Object>}
+ */
+const recordCounts = async (stockTakeId, counts) => {
+  await prisma.$transaction(async (tx) => {
+    const stockTake = await loadLockedStockTake(tx, stockTakeId);
+    if (!ACTIVE_STATUSES.includes(stockTake.status)) {
+      throw createError(409, `Stock take is ${stockTake.status.toLowerCase()}`);
+    }
+
+    const lineByVariant = new Map(stockTake.lines.map((line) => [line.depotProductVariantId, line]));
+    const now = new Date();
+    for (const count of counts) {
+      const line = lineByVariant.get(count.variantId);
+      if (!line) {
+        throw createError(400, `Variant ${count.variantId} is not part of this stock take`);
+      }
+      if (count.reason && !REASONS.includes(count.reason)) {
+        throw createError(400, `Unknown reason '${count.reason}'`);
+      }
+
+      const data = {};
+      if (count.countedQty !== undefined && count.countedQty !== line.countedQty) {
+        if (stockTake.status !== 'OPEN') {
+          throw createError(409, 'Counts cannot change once the stock take is submitted; reopen it first');
+        }
+        Object.assign(data, { countedQty: count.countedQty, countedAt: count.countedQty === null ? null : now });
+      }
+      if (count.reason !== undefined) data.reason = count.reason || null;
+      if (count.remarks !== undefined) data.remarks = count.remarks || null;
+
+      if (Object.keys(data).length > 0) {
+        await tx.stockTakeLine.update({ where: { id: line.id }, data });
+      }
+    }
+  });
+
+  return getStockTake(stockTakeId);
+};
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+/**
+ * Record counts from a CSV with a header row. Needs a variantId and a
+ * countedQty column; reason and remarks are optional, and other columns (such
+ * as those on the downloaded count sheet) are ignored. Rows with a blank
+ * count are skipped. Nothing is saved if any row is invalid.
+ *
+ * @param {number} stockTakeId
+ * @param {Buffer|string} csv
+ * @returns {Promise<Object>}
+ */
+const importCountsCsv = async (stockTakeId, csv) => {
+  const rows = parseCsv(String(csv).replace(/^\uFEFF/, ''));
+  if (rows.length < 2) {
+    throw createError(400, 'The file has no count rows');
+  }
+
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const column = (name) => header.indexOf(name.toLowerCase());
+  const variantCol = column('variantId');
+  const countCol = column('countedQty');
+  if (variantCol === -1 || countCol === -1) {
+    throw createError(400, 'The header must include variantId and countedQty columns');
+  }
+  const reasonCol = column('reason');
+  const remarksCol = column('remarks');
+
+  const counts = [];
+  const errors = [];
+  rows.slice(1).forEach((cells, index) => {
+    const rowNo = index + 2;
+    const value = (col) => (col === -1 ? '' : (cells[col] || '').trim());
+    const variantId = Number(value(variantCol));
+    const counted = value(countCol);
+    if (!Number.isInteger(variantId) || variantId <= 0) {
+      errors.push({ row: rowNo, message: 'variantId must be a positive whole number' });
+      return;
+    }
+    if (counted === '') return;
+    if (!/^\d+$/.test(counted)) {
+      errors.push({ row: rowNo, message: 'countedQty must be a whole number of zero or more' });
+      return;
+    }
+    const reason = value(reasonCol).toUpperCase();
+    if (reason && !REASONS.includes(reason)) {
+      errors.push({ row: rowNo, message: `reason must be one of ${REASONS.join(', ')}` });
+      return;
+    }
+    counts.push({
+      variantId,
+      countedQty: parseInt(counted, 10),
+      ...(reason ? { reason } : {}),
+      ...(value(remarksCol) ? { remarks: value(remarksCol).slice(0, 255) } : {}),
+    });
+  });
+
+  if (errors.length) {
+    const error = createError(400, `The file has ${errors.length} invalid row(s)`);
+    error.errors = errors;
+    throw error;
+  }
+  return recordCounts(stockTakeId, counts);
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Count sheet for staff to fill in and upload. System quantities are left
+ * off so the count is blind.
+ * @param {Object} stockTake - From getStockTake
+ * @returns {string}
+ */
+const buildCountSheetCsv = (stockTake) => {
+  const rows = [['variantId', 'product', 'variant', 'countedQty', 'reason', 'remarks']];
+  stockTake.lines.forEach((line) => {
+    rows.push([
+      line.depotProductVariantId,
+      line.depotProductVariant.product.name,
+      line.depotProductVariant.name,
+      line.countedQty ?? '',
+      line.reason ?? '',
+      line.remarks ?? '',
+    ]);
+  });
+  return `${rows.map((cells) => cells.map(csvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Hand an open stock take over for review. Every line must be counted.
+ *
+ * @param {number} stockTakeId
+ * @param {Object} [options]
+ * @param {number} [options.actorId]
+ * @returns {Promise<Object>}
+ */
+const submitStockTake = async (stockTakeId, { actorId = null } = {}) => {
+  await prisma.$transaction(async (tx) => {
+    const stockTake = await loadLockedStockTake(tx, stockTakeId);
+    if (stockTake.status !== 'OPEN') {
+      throw createError(409, 'Only an open stock take can be submitted');
+    }
+    const uncounted = stockTake.lines.filter((line) => line.countedQty === null).length;
+    if (uncounted > 0) {
+      throw createError(409, `${uncounted} line(s) have not been counted`);
+    }
+    await tx.stockTake.update({
+      where: { id: stockTakeId },
+      data: { status: 'SUBMITTED', submittedById: actorId, submittedAt: new Date() },
+    });
+  });
+  return getStockTake(stockTakeId);
+};
+
+/**
+ * Send a submitted stock take back for recounting.
+ * @param {number} stockTakeId
+ * @returns {Promise<Object>}
+ */
+const reopenStockTake = async (stockTakeId) => {
+  await prisma.$transaction(async (tx) => {
+    const stockTake = await loadLockedStockTake(tx, stockTakeId);
+    if (stockTake.status !== 'SUBMITTED') {
+      throw createError(409, 'Only a submitted stock take can be reopened');
+    }
+    await tx.stockTake.update({
+      where: { id: stockTakeId },
+      data: { status: 'OPEN', submittedById: null, submittedAt: null },
+    });
+  });
+  return getStockTake(stockTakeId);
+};
+
+/**
+ * Approve a submitted stock take: each line's variance against its expected
+ * stock is posted to the stock ledger as an adjustment on the count date with
+ * its reason, and the variant's closing stock is recalculated. Every line with
+ * a variance needs a reason first.
+ *
+ * @param {number} stockTakeId
+ * @param {Object} [options]
+ * @param {number} [options.actorId]
+ * @returns {Promise<Object>}
+ */
+const approveStockTake = async (stockTakeId, { actorId = null } = {}) => {
+  await prisma.$transaction(async (tx) => {
+    const stockTake = await loadLockedStockTake(tx, stockTakeId);
+    if (stockTake.status !== 'SUBMITTED') {
+      throw createError(409, 'Only a submitted stock take can be approved');
+    }
+
+    const moved = await loadMovementsSinceOpen(tx, stockTake);
+    const adjusted = stockTake.lines.filter((line) => varianceOf(line, moved));
+    const unexplained = adjusted.filter((line) => !line.reason).length;
+    if (unexplained > 0) {
+      throw createError(409, `${unexplained} line(s) with a variance need a reason`);
+    }
+
+    for (const line of adjusted) {
+      const variance = varianceOf(line, moved);
+      const row = {
+        productId: line.productId,
+        variantId: line.depotProductVariantId,
+        depotId: stockTake.depotId,
+        transactionDate: stockTake.countDate,
+        receivedQty: Math.max(variance, 0),
+        issuedQty: Math.max(-variance, 0),
+        module: LEDGER_MODULE,
+        foreignKey: stockTake.id,
+        reason: line.reason,
+      };
+      // Shortfalls come out of batches first expiry first; stock found over
+      // the count cannot be traced to a batch
+      if (variance < 0) {
+        await issueStock(tx, row, { includeExpired: true });
+      } else {
+        await tx.stockLedger.create({ data: row });
+      }
+      await updateVariantStock(
+        { productId: line.productId, variantId: line.depotProductVariantId, depotId: stockTake.depotId },
+        tx
+      );
+    }
+
+    await tx.stockTake.update({
+      where: { id: stockTakeId },
+      data: { status: 'APPROVED', approvedById: actorId, approvedAt: new Date() },
+    });
+  }, { timeout: 30000 });
+
+  return getStockTake(stockTakeId);
+};
+
+/**
+ * Cancel an open or submitted stock take; nothing is posted.
+ * @param {number} stockTakeId
+ * @returns {Promise<Object>}
+ */
+const cancelStockTake = async (stockTakeId) => {
+  await prisma.$transaction(async (tx) => {
+    const stockTake = await loadLockedStockTake(tx, stockTakeId);
+    if (!ACTIVE_STATUSES.includes(stockTake.status)) {
+      throw createError(409, `Stock take is already ${stockTake.status.toLowerCase()}`);
+    }
+    await tx.stockTake.update({
+      where: { id: stockTakeId },
+      data: { status: 'CANCELLED', cancelledAt: new Date() },
+    });
+  });
+  return getStockTake(stockTakeId);
+};
+
+module.exports = {
+  LEDGER_MODULE,
+  REASONS,
+  getStockTake,
+  listStockTakes,
+  openStockTake,
+  recordCounts,
+  importCountsCsv,
+  buildCountSheetCsv,
+  submitStockTake,
+  reopenStockTake,
+  approveStockTake,
+  cancelStockTake,
+};
@@ -0,0 +1,351 @@
+const createError = require('http-errors');
+const walletService = require('./walletService');
+const { issueDeliveryRefundCreditNote, renderIssuedCreditNotePdf } = require('./creditNoteService');
+const { changeEntriesStatus, Source } = require('./deliveryLifecycleService');
+const { generateDeliveryDates, getScheduleLogicType } = require('../utils/subscriptionSchedule');
+
+const prisma = require('../config/db');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isoDay = (date) => date.toISOString().split('T')[0];
+
+// Accepts 'YYYY-MM-DD' or any parseable date and returns UTC midnight, matching @db.Date storage
+const toDateOnly = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map((part) => parseInt(part, 10));
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+};
+
+const tomorrowDateOnly = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate() + 1));
+};
+
+const addDays = (date, days) => new Date(Date.UTC(
+  date.getUTCFullYear(),
+  date.getUTCMonth(),
+  date.getUTCDate() + days
+));
+
+const parseWeekdays = (weekdays) => {
+  if (!weekdays) return [];
+  try {
+    const parsed = JSON.parse(weekdays);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const refundForEntries = (subscription, entries) => {
+  if (subscription.paymentStatus !== 'PAID') {
+    return 0;
+  }
+  return roundAmount(entries.reduce((sum, entry) => sum + walletService.calculateRefundAmount({
+    subscription,
+    quantity: entry.quantity,
+  }), 0));
+};
+
+/**
+ * Next `count` delivery dates after the subscription's current expiry that follow
+ * its schedule. The generator is run over a generous window (weekly schedules
+ * can have a single delivery per week) and trimmed.
+ */
+const buildExtensionDates = (subscription, count) => {
+  const startDate = addDays(new Date(subscription.expiryDate), 1);
+  const dates = generateDeliveryDates(
+    startDate,
+    count * 7 + 7,
+    getScheduleLogicType(subscription.deliverySchedule),
+    subscription.qty,
+    subscription.altQty,
+    parseWeekdays(subscription.weekdays)
+  );
+  return dates.slice(0, count).map((detail) => detail.date);
+};
+
+/**
+ * Pause a subscription between two dates (inclusive). Every PENDING delivery in
+ * the range becomes SKIP_BY_CUSTOMER and is compensated according to the
+ * depot's pauseCompensation setting: a wallet credit, or the same number of
+ * deliveries appended after the current expiry date.
+ *
+ * @param {Object} opts
+ * @param {number} opts.subscriptionId
+ * @param {string|Date} opts.fromDate
+ * @param {string|Date} opts.toDate
+ * @param {number} [opts.createdById] User who requested the pause
+ * @param {string} [opts.source] DeliveryStatusChangeSource recorded in the delivery history
+ * @returns {Promise<{
+ *   pause: Object, refundAmount: number, newExpiryDate: Date, walletTransaction: Object|null, creditNote: Object|null
+ * }>}
+ */
+const pauseSubscription = async ({
+  subscriptionId, fromDate, toDate, createdById = null, source = Source.CUSTOMER,
+}) => {
+  const from = toDateOnly(fromDate);
+  const to = toDateOnly(toDate);
+
+  if (!from || !to) {
+    throw createError(400, 'Valid fromDate and toDate are required.');
+  }
+  if (to < from) {
+    throw createError(400, 'toDate cannot be before fromDate.');
+  }
+  if (from < tomorrowDateOnly()) {
+    throw createError(400, 'Pauses can only start from tomorrow onwards.');
+  }
+
+  let entries = [];
+  const result = await prisma.$transaction(async (tx) => {
+    // Pauses of one subscription queue on its row, so each pending delivery is
+    // skipped (and credited) by exactly one of them
+    await tx.$queryRaw`SELECT id FROM subscriptions WHERE id = ${subscriptionId} FOR UPDATE`;
+    const subscription = await tx.subscription.findUnique({
+      where: { id: subscriptionId },
+      include: {
+        depotProductVariant: { include: { depot: true } },
+        product: { select: { name: true } },
+      },
+    });
+
+    if (!subscription) {
+      throw createError(404, 'Subscription not found');
+    }
+    if (subscription.paymentStatus === 'CANCELLED') {
+      throw createError(400, 'Cancelled subscriptions cannot be paused.');
+    }
+
+    entries = await tx.deliveryScheduleEntry.findMany({
+      where: {
+        subscriptionId,
+        status: 'PENDING',
+        deliveryDate: { gte: from, lte: to },
+      },
+      orderBy: { deliveryDate: 'asc' },
+    });
+
+    if (entries.length === 0) {
+      throw createError(400, 'There are no pending deliveries in the selected date range.');
+    }
+
+    const compensation = subscription.depotProductVariant?.depot?.pauseCompensation || 'WALLET_CREDIT';
+
+    const pause = await tx.subscriptionPause.create({
+      data: {
+        subscriptionId,
+        fromDate: from,
+        toDate: to,
+        compensation,
+        skippedCount: entries.length,
+        previousExpiry: subscription.expiryDate,
+        createdById,
+      },
+    });
+
+    let refundAmount = 0;
+    let walletTransaction = null;
+    let newExpiryDate = subscription.expiryDate;
+
+    if (compensation === 'WALLET_CREDIT') {
+      refundAmount = refundForEntries(subscription, entries);
+      if (refundAmount > 0) {
+        walletTransaction = await walletService.creditWallet(
+          subscription.memberId,
+          refundAmount,
+          `PAUSE_SUB_${pause.id}`,
+          `Refund for paused deliveries - ${subscription.product?.name || 'Product'} (${entries.length} deliveries, ${isoDay(from)} to ${isoDay(to)})`,
+          null,
+          tx
+        );
+      }
+    }
+
+    // Entries are locked per row by the delivery flows, not by the subscription;
+    // the pause's credit covers them all, so none is refunded on its own
+    const skipped = await changeEntriesStatus(tx, entries.map((entry) => entry.id), 'SKIP_BY_CUSTOMER', {
+      source,
+      fromStatuses: ['PENDING'],
+      actorId: createdById,
+      reason: `Subscription paused from ${isoDay(from)} to ${isoDay(to)}`,
+      entryData: { pauseId: pause.id },
+      walletTransactionId: walletTransaction?.id || null,
+    });
+    if (skipped.length !== entries.length) {
+      throw createError(409, 'Some deliveries in the selected range changed while pausing. Please try again.');
+    }
+
+    // The credit reduces the tax invoice for the skipped deliveries
+    const creditNote = walletTransaction
+      ? await issueDeliveryRefundCreditNote({ walletTransaction, entryIds: skipped, createdById }, tx)
+      : null;
+
+    if (compensation === 'EXTEND_EXPIRY') {
+      const extensionDates = buildExtensionDates(subscription, entries.length);
+      await tx.deliveryScheduleEntry.createMany({
+        data: extensionDates.map((date, index) => ({
+          subscriptionId,
+          memberId: subscription.memberId,
+          deliveryAddressId: entries[index].deliveryAddressId,
+          productId: entries[index].productId,
+          depotId: entries[index].depotId,
+          depotProductVariantId: entries[index].depotProductVariantId,
+          agentId: entries[index].agentId,
+          deliveryDate: date,
+          quantity: entries[index].quantity,
+          status: 'PENDING',
+          extensionForPauseId: pause.id,
+        })),
+      });
+      newExpiryDate = extensionDates[extensionDates.length - 1];
+      await tx.subscription.update({
+        where: { id: subscriptionId },
+        data: { expiryDate: newExpiryDate },
+      });
+    }
+
+    const updatedPause = await tx.subscriptionPause.update({
+      where: { id: pause.id },
+      data: { refundAmount },
+    });
+
+    return { pause: updatedPause, refundAmount, newExpiryDate, walletTransaction, creditNote };
+  });
+
+  result.creditNote = await renderIssuedCreditNotePdf(result.creditNote);
+  return result;
+};
+
+/**
+ * End a pause early. Skipped deliveries from `resumeDate` (default tomorrow)
+ * onwards go back to PENDING and their compensation is reversed: the wallet
+ * credit is debited again, or the appended extension deliveries are removed.
+ *
+ * @param {Object} opts
+ * @param {number} opts.pauseId
+ * @param {string|Date} [opts.resumeDate]
+ * @param {number} [opts.actorId] User ending the pause
+ * @param {string} [opts.source] DeliveryStatusChangeSource recorded in the delivery history
+ * @returns {Promise<{ pause: Object, restoredCount: number, debitedAmount: number }>}
+ */
+const resumeSubscriptionPause = async ({ pauseId, resumeDate, actorId = null, source = Source.CUSTOMER }) => {
+  const tomorrow = tomorrowDateOnly();
+  let resumeFrom = resumeDate ? toDateOnly(resumeDate) : tomorrow;
+
+  if (!resumeFrom) {
+    throw createError(400, 'Invalid resumeDate.');
+  }
+  if (resumeFrom < tomorrow) {
+    resumeFrom = tomorrow;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // A second resume of the same pause waits here and then sees it RESUMED
+    await tx.$queryRaw`SELECT id FROM subscription_pauses WHERE id = ${pauseId} FOR UPDATE`;
+    const pause = await tx.subscriptionPause.findUnique({
+      where: { id: pauseId },
+      include: { subscription: true },
+    });
+
+    if (!pause) {
+      throw createError(404, 'Pause not found');
+    }
+    if (pause.status !== 'ACTIVE') {
+      throw createError(400, 'This pause has already been resumed.');
+    }
+    if (resumeFrom > pause.toDate) {
+      throw createError(400, 'This pause has already ended.');
+    }
+
+    const entries = await tx.deliveryScheduleEntry.findMany({
+      where: {
+        pauseId,
+        status: 'SKIP_BY_CUSTOMER',
+        deliveryDate: { gte: resumeFrom },
+      },
+    });
+
+    const { subscription } = pause;
+    let debitedAmount = 0;
+
+    if (entries.length > 0) {
+      let walletTransaction = null;
+      if (pause.compensation === 'WALLET_CREDIT' && pause.refundAmount > 0) {
+        debitedAmount = Math.min(refundForEntries(subscription, entries), pause.refundAmount);
+        if (debitedAmount > 0) {
+          try {
+            walletTransaction = await walletService.debitWallet(
+              subscription.memberId,
+              debitedAmount,
+              `RESUME_SUB_${pause.id}`,
+              `Resumed ${entries.length} paused deliveries`,
+              null,
+              tx
+            );
+          } catch (error) {
+            throw createError(400, `Unable to resume: the pause refund could not be taken back from the wallet. ${error.message}`);
+          }
+        }
+      }
+
+      // The pause's credit is taken back above, so the deliveries can go out again
+      const restored = await changeEntriesStatus(tx, entries.map((entry) => entry.id), 'PENDING', {
+        source,
+        fromStatuses: ['SKIP_BY_CUSTOMER'],
+        actorId,
+        reason: `Subscription pause #${pause.id} ended from ${isoDay(resumeFrom)}`,
+        entryData: { pauseId: null },
+        walletTransactionId: walletTransaction?.id || null,
+      });
+      if (restored.length !== entries.length) {
+        throw createError(409, 'Some paused deliveries changed while resuming. Please try again.');
+      }
+
+      if (pause.compensation === 'EXTEND_EXPIRY') {
+        const extensions = await tx.deliveryScheduleEntry.findMany({
+          where: { extensionForPauseId: pause.id, status: 'PENDING' },
+          orderBy: { deliveryDate: 'desc' },
+          take: entries.length,
+        });
+        await tx.deliveryScheduleEntry.deleteMany({
+          where: { id: { in: extensions.map((entry) => entry.id) } },
+        });
+
+        const lastEntry = await tx.deliveryScheduleEntry.findFirst({
+          where: { subscriptionId: subscription.id, status: { not: 'CANCELLED' } },
+          orderBy: { deliveryDate: 'desc' },
+        });
+        await tx.subscription.update({
+          where: { id: subscription.id },
+          data: { expiryDate: lastEntry?.deliveryDate || pause.previousExpiry || subscription.expiryDate },
+        });
+      }
+    }
+
+    const updatedPause = await tx.subscriptionPause.update({
+      where: { id: pause.id },
+      data: {
+        status: 'RESUMED',
+        resumedAt: new Date(),
+        toDate: addDays(resumeFrom, -1) < pause.fromDate ? pause.fromDate : addDays(resumeFrom, -1),
+        skippedCount: pause.skippedCount - entries.length,
+        refundAmount: roundAmount(pause.refundAmount - debitedAmount),
+      },
+    });
+
+    return { pause: updatedPause, restoredCount: entries.length, debitedAmount };
+  });
+};
+
+module.exports = {
+  pauseSubscription,
+  resumeSubscriptionPause,
+};
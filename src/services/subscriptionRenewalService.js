@@ -0,0 +1,338 @@
+const dayjs = require('dayjs');
+const walletService = require('./walletService');
+const { generateInvoiceForOrder } = require('./invoiceService');
+const {
+  getPriceForPeriod,
+  generateDeliveryDates,
+  getScheduleLogicType,
+} = require('../utils/subscriptionSchedule');
+
+const prisma = require('../config/db');
+
+class AutoRenewError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const parseWeekdays = (weekdays) => {
+  if (!weekdays) return [];
+  try {
+    const parsed = JSON.parse(weekdays);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Record the outcome of an auto-renew attempt. A subscription has at most one
+ * row; repeated failures bump `attempts` and overwrite the reason.
+ */
+const recordRenewalFailure = async (subscription, error, amount = 0) => {
+  const data = {
+    status: 'FAILED',
+    failureCode: error.code || 'ERROR',
+    failureReason: error.message,
+    amount,
+    lastAttemptAt: new Date(),
+  };
+
+  return prisma.subscriptionAutoRenewal.upsert({
+    where: { subscriptionId: subscription.id },
+    create: { subscriptionId: subscription.id, ...data },
+    update: { ...data, attempts: { increment: 1 } },
+  });
+};
+
+/**
+ * Build the renewal plan for a subscription: same schedule, quantity and
+ * depot variant, starting the day after the current subscription expires,
+ * priced from the variant's current period price.
+ */
+const buildRenewalPlan = (subscription) => {
+  const variant = subscription.depotProductVariant;
+  if (!variant || variant.isHidden || variant.notInStock) {
+    throw new AutoRenewError('VARIANT_UNAVAILABLE', 'The product variant is no longer available at this depot');
+  }
+
+  // Delivery dates are stored as UTC midnight; start the day after the last expiry
+  const lastExpiry = new Date(subscription.expiryDate);
+  const startDate = new Date(Date.UTC(
+    lastExpiry.getUTCFullYear(),
+    lastExpiry.getUTCMonth(),
+    lastExpiry.getUTCDate() + 1
+  ));
+
+  const deliveryScheduleDetails = generateDeliveryDates(
+    startDate,
+    subscription.period,
+    getScheduleLogicType(subscription.deliverySchedule),
+    subscription.qty,
+    subscription.altQty,
+    parseWeekdays(subscription.weekdays)
+  );
+
+  if (deliveryScheduleDetails.length === 0) {
+    throw new AutoRenewError('NO_DELIVERIES', 'The subscription schedule produced no deliveries for the renewal period');
+  }
+
+  const totalQty = deliveryScheduleDetails.reduce((sum, entry) => sum + entry.quantity, 0);
+  const rate = getPriceForPeriod(variant, subscription.period);
+  const amount = roundAmount(rate * totalQty);
+
+  if (!amount || amount <= 0) {
+    throw new AutoRenewError('PRICE_NOT_SET', 'No price is configured for this product variant and period');
+  }
+
+  return {
+    startDate,
+    expiryDate: deliveryScheduleDetails[deliveryScheduleDetails.length - 1].date,
+    deliveryScheduleDetails,
+    totalQty,
+    rate,
+    amount,
+  };
+};
+
+/**
+ * Renew a single subscription from the member's wallet.
+ *
+ * @param {number} subscriptionId
+ * @returns {Promise<{ status: 'RENEWED'|'FAILED'|'SKIPPED', reason?: string, subscription?: Object }>}
+ */
+const autoRenewSubscription = async (subscriptionId) => {
+  const subscription = await prisma.subscription.findUnique({
+    where: { id: subscriptionId },
+    include: {
+      autoRenewal: true,
+      member: { include: { user: true } },
+      product: { select: { id: true, name: true } },
+      depotProductVariant: true,
+    },
+  });
+
+  if (!subscription || !subscription.autoRenew) {
+    return { status: 'SKIPPED', reason: 'Auto-renew is not enabled' };
+  }
+  if (subscription.autoRenewal?.status === 'SUCCESS') {
+    return { status: 'SKIPPED', reason: 'Already renewed' };
+  }
+  if (subscription.paymentStatus !== 'PAID') {
+    return { status: 'SKIPPED', reason: `Subscription payment status is ${subscription.paymentStatus}` };
+  }
+
+  let plan;
+  try {
+    plan = buildRenewalPlan(subscription);
+
+    if (subscription.member.walletBalance < plan.amount) {
+      throw new AutoRenewError(
+        'INSUFFICIENT_BALANCE',
+        `Wallet balance ₹${subscription.member.walletBalance.toFixed(2)} is less than the renewal amount ₹${plan.amount.toFixed(2)}`
+      );
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const order = await tx.productOrder.create({
+        data: {
+          orderNo: `ORD-${Date.now()}-${subscription.id}`,
+          memberId: subscription.memberId,
+          totalQty: plan.totalQty,
+          totalAmount: plan.amount,
+          walletamt: plan.amount,
+          payableamt: 0,
+          paymentMode: 'WALLET',
+          paymentDate: new Date(),
+          paymentStatus: 'PAID',
+          ...(subscription.agencyId ? { agencyId: subscription.agencyId } : {}),
+        },
+      });
+
+      const renewed = await tx.subscription.create({
+        data: {
+          memberId: subscription.memberId,
+          productId: subscription.productId,
+          depotProductVariantId: subscription.depotProductVariantId,
+          deliveryAddressId: subscription.deliveryAddressId,
+          agencyId: subscription.agencyId,
+          productOrderId: order.id,
+          period: subscription.period,
+          startDate: plan.startDate,
+          expiryDate: plan.expiryDate,
+          deliverySchedule: subscription.deliverySchedule,
+          weekdays: subscription.weekdays,
+          qty: subscription.qty,
+          altQty: subscription.altQty,
+          totalQty: plan.totalQty,
+          rate: plan.rate,
+          amount: plan.amount,
+          walletamt: plan.amount,
+          payableamt: 0,
+          paymentMode: 'WALLET',
+          paymentDate: new Date(),
+          paymentStatus: 'PAID',
+          deliveryInstructions: subscription.deliveryInstructions,
+          autoRenew: true,
+        },
+      });
+
+      await tx.deliveryScheduleEntry.createMany({
+        data: plan.deliveryScheduleDetails.map((entry) => ({
+          subscriptionId: renewed.id,
+          memberId: subscription.memberId,
+          deliveryAddressId: subscription.deliveryAddressId,
+          productId: subscription.productId,
+          depotId: subscription.depotProductVariant.depotId,
+          depotProductVariantId: subscription.depotProductVariantId,
+          deliveryDate: entry.date,
+          quantity: entry.quantity,
+          status: 'PENDING',
+          agentId: subscription.agencyId,
+        })),
+      });
+
+      const walletTransaction = await walletService.debitWallet(
+        subscription.memberId,
+        plan.amount,
+        `ORDER-${order.orderNo}`,
+        `Auto-renewal of ${subscription.product?.name || 'subscription'} #${subscription.id}`,
+        null,
+        tx
+      );
+
+      await tx.subscriptionAutoRenewal.upsert({
+        where: { subscriptionId: subscription.id },
+        create: {
+          subscriptionId: subscription.id,
+          renewedSubscriptionId: renewed.id,
+          productOrderId: order.id,
+          walletTransactionId: walletTransaction.id,
+          status: 'SUCCESS',
+          amount: plan.amount,
+        },
+        update: {
+          renewedSubscriptionId: renewed.id,
+          productOrderId: order.id,
+          walletTransactionId: walletTransaction.id,
+          status: 'SUCCESS',
+          failureCode: null,
+          failureReason: null,
+          amount: plan.amount,
+          attempts: { increment: 1 },
+          lastAttemptAt: new Date(),
+        },
+      });
+
+      return { order, renewed };
+    }, { timeout: 15000, maxWait: 10000 });
+
+    await finaliseRenewal(result.order.id, subscription.member.user);
+
+    console.log(`[AutoRenew] Subscription ${subscription.id} renewed as ${result.renewed.id} (₹${plan.amount})`);
+    return { status: 'RENEWED', subscription: result.renewed };
+  } catch (error) {
+    const failure = error instanceof AutoRenewError ? error : new AutoRenewError('ERROR', error.message);
+    console.error(`[AutoRenew] Subscription ${subscription.id} failed: ${failure.code} - ${failure.message}`);
+    await recordRenewalFailure(subscription, failure, plan?.amount || 0);
+
+    if (failure.code === 'INSUFFICIENT_BALANCE' && subscription.member?.user?.mobile) {
+      try {
+        const { sendAutoRenewFailedWhatsAppMessage } = require('./whatsAppService');
+        await sendAutoRenewFailedWhatsAppMessage(subscription.member.user, {
+          subscriptionId: subscription.id,
+          productName: subscription.product?.name,
+          requiredAmount: plan.amount,
+          walletBalance: subscription.member.walletBalance,
+        });
+      } catch (waError) {
+        console.error('[AutoRenew] Failed to send auto-renew failure WhatsApp message:', waError);
+      }
+    }
+
+    return { status: 'FAILED', reason: failure.message, code: failure.code };
+  }
+};
+
+/**
+ * Post-commit work for a renewed order: invoice and confirmation messages.
+ * Failures here are logged and never undo the renewal.
+ */
+const finaliseRenewal = async (productOrderId, user) => {
+  const finalOrder = await prisma.productOrder.findUnique({
+    where: { id: productOrderId },
+    include: {
+      member: { include: { user: true } },
+      subscriptions: {
+        include: {
+          deliveryAddress: true,
+          deliveryScheduleEntries: { orderBy: { deliveryDate: 'asc' } },
+          depotProductVariant: { include: { depot: true, product: true } },
+        },
+      },
+    },
+  });
+
+  try {
+    // Stores the invoice number and path on the order
+    await generateInvoiceForOrder(finalOrder);
+  } catch (invoiceError) {
+    console.error('[AutoRenew] Error creating invoice:', invoiceError);
+  }
+
+  try {
+    if (user && user.mobile) {
+      const { sendSubscriptionConfirmWhatsAppMessage, sendWalletDebitWhatsAppMessage } = require('./whatsAppService');
+      for (const sub of finalOrder.subscriptions) {
+        await sendSubscriptionConfirmWhatsAppMessage(user, sub);
+        await sendWalletDebitWhatsAppMessage(user, sub.walletamt, finalOrder.orderNo, {
+          businessKey: `wallet_debit:subscription:${sub.id}`,
+        });
+      }
+    }
+  } catch (waError) {
+    console.error('[AutoRenew] Failed to send renewal confirmation WhatsApp messages:', waError);
+  }
+};
+
+/**
+ * Renew every opted-in subscription that expires today or tomorrow and has
+ * not been renewed yet. Failed attempts are retried on the next run until
+ * the subscription has expired.
+ */
+const processAutoRenewals = async () => {
+  const todayStart = dayjs().startOf('day').toDate();
+  const windowEnd = dayjs().add(2, 'day').startOf('day').toDate();
+
+  const candidates = await prisma.subscription.findMany({
+    where: {
+      autoRenew: true,
+      paymentStatus: 'PAID',
+      expiryDate: { gte: todayStart, lt: windowEnd },
+      OR: [
+        { autoRenewal: { is: null } },
+        { autoRenewal: { is: { status: 'FAILED' } } },
+      ],
+    },
+    select: { id: true },
+    orderBy: { id: 'asc' },
+  });
+
+  const summary = { checked: candidates.length, renewed: 0, failed: 0, skipped: 0 };
+  for (const { id } of candidates) {
+    const result = await autoRenewSubscription(id);
+    if (result.status === 'RENEWED') summary.renewed++;
+    else if (result.status === 'FAILED') summary.failed++;
+    else summary.skipped++;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  autoRenewSubscription,
+  processAutoRenewals,
+};
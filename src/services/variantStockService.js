@@ -1,5 +1,42 @@
 const prismaClient = require('../config/db');
 
+/**
+ * Recalculate closingQty of every batch of the given depot variants from the
+ * stock ledger rows posted against each batch.
+ * @param {number[]} variantIds - DepotProductVariant ids
+ * @param {import('@prisma/client').PrismaClient | import('@prisma/client').Prisma.TransactionClient} [prismaCtx]
+ * @returns {Promise<number>} Batches whose quantity changed
+ */
+async function refreshBatchStock(variantIds, prismaCtx = prismaClient) {
+  const ids = [...new Set(variantIds.filter(Boolean))];
+  if (ids.length === 0) return 0;
+
+  const batches = await prismaCtx.stockBatch.findMany({
+    where: { depotProductVariantId: { in: ids } },
+    select: { id: true, closingQty: true },
+  });
+  if (batches.length === 0) return 0;
+
+  const sums = await prismaCtx.stockLedger.groupBy({
+    by: ['batchId'],
+    where: { batchId: { in: batches.map((batch) => batch.id) } },
+    _sum: { receivedQty: true, issuedQty: true },
+  });
+  const closingById = new Map(
+    sums.map((row) => [row.batchId, (row._sum.receivedQty || 0) - (row._sum.issuedQty || 0)])
+  );
+
+  let changed = 0;
+  for (const batch of batches) {
+    const closing = closingById.get(batch.id) || 0;
+    if (closing !== batch.closingQty) {
+      await prismaCtx.stockBatch.update({ where: { id: batch.id }, data: { closingQty: closing } });
+      changed += 1;
+    }
+  }
+  return changed;
+}
+
 /**
  * Recalculate and upsert VariantStock for a given product / variant / depot
  * @param {Object} params
@@ -32,6 +69,7 @@ async function updateVariantStock({ productId, variantId, depotId }, prismaCtx =
       where: { id: depotVariant.id },
       data: { closingQty: closing },
     });
+    await refreshBatchStock([depotVariant.id], prismaCtx);
     return depotVariant.id;
   }
 
@@ -85,4 +123,5 @@ async function updateVariantStock({ productId, variantId, depotId }, prismaCtx =
 
 module.exports = {
   updateVariantStock,
+  refreshBatchStock,
 };
@@ -1,6 +1,170 @@
 const { PrismaClient, TransactionType, TransactionStatus } = require('@prisma/client');
+const createError = require('http-errors');
 const prisma = new PrismaClient();
 
+/**
+ * Contra accounts for wallet postings. MEMBER_WALLET is what the business owes
+ * the member: a CREDIT movement debits the contra account and credits the
+ * wallet, a DEBIT movement debits the wallet and credits the contra account.
+ */
+const LedgerAccount = {
+  MEMBER_WALLET: 'MEMBER_WALLET',
+  FUNDS_RECEIVED: 'FUNDS_RECEIVED', // top-ups paid in by the member
+  SALES: 'SALES', // wallet spent on orders, subscriptions and COD shortfalls
+  REFUNDS: 'REFUNDS', // skips, pauses and cancellations credited back
+  ADJUSTMENTS: 'ADJUSTMENTS', // manual admin corrections and drift repairs
+  OPENING_BALANCE: 'OPENING_BALANCE', // balance carried in before the ledger existed
+};
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+const latestLedgerEntry = (client, memberId) =>
+  client.walletLedgerEntry.findFirst({
+    where: { memberId },
+    orderBy: { id: 'desc' },
+  });
+
+/**
+ * Current ledger balance for a locked member. Members whose balance predates
+ * the ledger get an OPENING_BALANCE posting for their stored balance first, so
+ * the running balance always starts from a posting.
+ */
+const ledgerBalanceFor = async (client, member) => {
+  const latest = await latestLedgerEntry(client, member.id);
+  if (latest) {
+    return Number(latest.balanceAfter);
+  }
+
+  const opening = roundAmount(member.walletBalance || 0);
+  if (opening !== 0) {
+    await client.walletLedgerEntry.create({
+      data: {
+        memberId: member.id,
+        debitAccount: opening > 0 ? LedgerAccount.OPENING_BALANCE : LedgerAccount.MEMBER_WALLET,
+        creditAccount: opening > 0 ? LedgerAccount.MEMBER_WALLET : LedgerAccount.OPENING_BALANCE,
+        amount: Math.abs(opening),
+        balanceAfter: opening,
+        notes: 'Opening balance carried into the wallet ledger',
+      },
+    });
+  }
+  return opening;
+};
+
+// Serialise postings per member so running balances never interleave
+const lockMember = async (client, memberId) => {
+  await client.$queryRaw`SELECT id FROM members WHERE id = ${memberId} FOR UPDATE`;
+  const member = await client.member.findUnique({
+    where: { id: memberId },
+    select: { id: true, walletBalance: true, strictCodLimit: true },
+  });
+  if (!member) {
+    throw createError(404, `Member with ID ${memberId} not found`);
+  }
+  return member;
+};
+
+/**
+ * Post a wallet movement. This is the only place a member's wallet balance may
+ * change: it writes the WalletTransaction the member sees, a balanced ledger
+ * posting with the running balance, and refreshes Member.walletBalance from
+ * the ledger.
+ *
+ * Debits may not take the balance below zero unless `allowNegative` is set
+ * (cash-on-delivery shortfalls) and the member is not on a strict COD limit.
+ *
+ * @param {Object} movement
+ * @param {number} movement.memberId
+ * @param {'CREDIT'|'DEBIT'} movement.type
+ * @param {number} movement.amount Positive amount
+ * @param {string} movement.account Contra account from LedgerAccount
+ * @param {string} [movement.paymentMethod]
+ * @param {string} [movement.referenceNumber]
+ * @param {string} [movement.notes]
+ * @param {number} [movement.processedByAdminId]
+ * @param {number} [movement.walletTransactionId] Settle an existing (pending) transaction instead of creating one
+ * @param {Object} [movement.transactionData] Replaces fields when settling an existing transaction
+ * @param {boolean} [movement.allowNegative]
+ * @param {Object} tx - Prisma transaction client to join an outer transaction (optional)
+ * @returns {Promise<{ walletTransaction: WalletTransaction, ledgerEntry: WalletLedgerEntry, balance: number }>}
+ */
+const postWalletMovement = async (movement, tx = null) => {
+  const {
+    memberId,
+    type,
+    account,
+    paymentMethod = null,
+    referenceNumber = null,
+    notes = null,
+    processedByAdminId = null,
+    walletTransactionId = null,
+    transactionData = {},
+    allowNegative = false,
+  } = movement;
+  const amount = roundAmount(movement.amount);
+
+  if (!(amount > 0)) {
+    throw createError(400, 'Wallet movement amount must be a positive number');
+  }
+  if (type !== TransactionType.CREDIT && type !== TransactionType.DEBIT) {
+    throw createError(400, `Unknown wallet movement type: ${type}`);
+  }
+  if (!LedgerAccount[account] || account === LedgerAccount.MEMBER_WALLET) {
+    throw createError(400, `Invalid contra account for wallet movement: ${account}`);
+  }
+
+  const post = async (client) => {
+    const member = await lockMember(client, memberId);
+    const currentBalance = await ledgerBalanceFor(client, member);
+    const balance = roundAmount(type === TransactionType.CREDIT ? currentBalance + amount : currentBalance - amount);
+
+    if (type === TransactionType.DEBIT && balance < 0 && !(allowNegative && !member.strictCodLimit)) {
+      throw createError(400, `Insufficient wallet balance. Available: ₹${currentBalance}, Required: ₹${amount}`);
+    }
+
+    const walletTransaction = walletTransactionId
+      ? await client.walletTransaction.update({
+          where: { id: walletTransactionId },
+          data: { status: TransactionStatus.PAID, processedByAdminId, ...transactionData },
+        })
+      : await client.walletTransaction.create({
+          data: {
+            memberId,
+            amount,
+            type,
+            status: TransactionStatus.PAID,
+            paymentMethod,
+            referenceNumber,
+            notes,
+            processedByAdminId,
+          },
+        });
+
+    const ledgerEntry = await client.walletLedgerEntry.create({
+      data: {
+        memberId,
+        walletTransactionId: walletTransaction.id,
+        debitAccount: type === TransactionType.CREDIT ? account : LedgerAccount.MEMBER_WALLET,
+        creditAccount: type === TransactionType.CREDIT ? LedgerAccount.MEMBER_WALLET : account,
+        amount,
+        balanceAfter: balance,
+        referenceNumber: walletTransaction.referenceNumber,
+        notes: walletTransaction.notes,
+        createdById: processedByAdminId,
+      },
+    });
+
+    await client.member.update({
+      where: { id: memberId },
+      data: { walletBalance: balance },
+    });
+
+    return { walletTransaction, ledgerEntry, balance };
+  };
+
+  return tx ? post(tx) : prisma.$transaction(post);
+};
+
 /**
  * Credit amount to member's wallet when order is skipped by customer
  * @param {number} memberId - Member ID
@@ -8,46 +172,45 @@ const prisma = new PrismaClient();
  * @param {string} referenceNumber - Reference number (delivery ID or order ID)
  * @param {string} notes - Notes about the transaction
  * @param {number} processedByAdminId - Admin who processed the credit (optional)
+ * @param {Object} tx - Prisma transaction client to join an outer transaction (optional)
  * @returns {Promise<WalletTransaction>}
  */
-const creditWallet = async (memberId, amount, referenceNumber, notes, processedByAdminId = null) => {
+const creditWallet = async (memberId, amount, referenceNumber, notes, processedByAdminId = null, tx = null) => {
   try {
-    return await prisma.$transaction(async (tx) => {
-      // Create wallet transaction
-      const walletTransaction = await tx.walletTransaction.create({
-        data: {
-          memberId: memberId,
-          amount: amount,
-          type: TransactionType.CREDIT,
-          status: TransactionStatus.PAID, // Auto-approve system credits
-          paymentMethod: 'SYSTEM_CREDIT',
-          referenceNumber: referenceNumber,
-          notes: notes,
-          processedByAdminId: processedByAdminId,
-        }
-      });
-
-      // Update member's wallet balance
-      await tx.member.update({
-        where: { id: memberId },
-        data: {
-          walletBalance: {
-            increment: amount
-          }
-        }
-      });
-
-      return walletTransaction;
-    });
+    const { walletTransaction } = await postWalletMovement({
+      memberId,
+      type: TransactionType.CREDIT,
+      amount,
+      account: LedgerAccount.REFUNDS,
+      paymentMethod: 'SYSTEM_CREDIT', // Auto-approve system credits
+      referenceNumber,
+      notes,
+      processedByAdminId,
+    }, tx);
+    return walletTransaction;
   } catch (error) {
     console.error('Error crediting wallet:', error);
     throw new Error(`Failed to credit wallet: ${error.message}`);
   }
 };
 
+/**
+ * What the member actually paid per unit of a subscription: the list rate less
+ * the subscription's share of its order's coupon discount. Refunds and the
+ * credit notes that accompany them both credit this price.
+ * @param {Object} subscription - Subscription with rate, amount, totalQty and couponDiscount
+ * @returns {number} Net unit price
+ */
+const chargedUnitPrice = (subscription) => {
+  if (!subscription.totalQty || subscription.amount == null) {
+    return Number(subscription.rate) || 0;
+  }
+  return (subscription.amount - (subscription.couponDiscount || 0)) / subscription.totalQty;
+};
+
 /**
  * Calculate refund amount for a delivery schedule entry
- * Uses subscription rate and delivery quantity for accurate refund calculation
+ * Uses the subscription's net unit price (after coupon) and the delivery quantity
  * @param {Object} deliveryEntry - Delivery schedule entry with subscription details
  * @returns {number} Amount to refund
  */
@@ -57,17 +220,16 @@ const calculateRefundAmount = (deliveryEntry) => {
     return 0;
   }
 
-  const { rate } = deliveryEntry.subscription;
+  const unitPrice = chargedUnitPrice(deliveryEntry.subscription);
   const { quantity } = deliveryEntry;
-  
-  // Use the subscription rate (unit price) and delivery quantity
-  if (rate && quantity && rate > 0 && quantity > 0) {
-    const refundAmount = parseFloat(rate) * parseInt(quantity);
-    console.log(`calculateRefundAmount: rate=${rate}, quantity=${quantity}, refund=${refundAmount}`);
+
+  if (unitPrice > 0 && quantity > 0) {
+    const refundAmount = roundAmount(unitPrice * parseInt(quantity));
+    console.log(`calculateRefundAmount: unitPrice=${unitPrice}, quantity=${quantity}, refund=${refundAmount}`);
     return refundAmount;
   }
-  
-  console.warn('calculateRefundAmount: Invalid rate or quantity values', { rate, quantity });
+
+  console.warn('calculateRefundAmount: Invalid unit price or quantity values', { unitPrice, quantity });
   return 0;
 };
 
@@ -78,51 +240,22 @@ const calculateRefundAmount = (deliveryEntry) => {
  * @param {string} referenceNumber - Reference number (subscription ID or order ID)
  * @param {string} notes - Notes about the transaction
  * @param {number} processedByAdminId - Admin who processed the debit (optional)
+ * @param {Object} tx - Prisma transaction client to join an outer transaction (optional)
  * @returns {Promise<WalletTransaction>}
  */
-const debitWallet = async (memberId, amount, referenceNumber, notes, processedByAdminId = null) => {
+const debitWallet = async (memberId, amount, referenceNumber, notes, processedByAdminId = null, tx = null) => {
   try {
-    return await prisma.$transaction(async (tx) => {
-      // Check if member has sufficient balance
-      const member = await tx.member.findUnique({
-        where: { id: memberId },
-        select: { walletBalance: true }
-      });
-
-      if (!member) {
-        throw new Error(`Member with ID ${memberId} not found`);
-      }
-
-      if (member.walletBalance < amount) {
-        throw new Error(`Insufficient wallet balance. Available: ₹${member.walletBalance}, Required: ₹${amount}`);
-      }
-
-      // Create wallet transaction
-      const walletTransaction = await tx.walletTransaction.create({
-        data: {
-          memberId: memberId,
-          amount: amount,
-          type: TransactionType.DEBIT,
-          status: TransactionStatus.PAID,
-          paymentMethod: 'WALLET',
-          referenceNumber: referenceNumber,
-          notes: `Subscription Payment - ${notes} (₹${amount} debited from wallet)`,
-          processedByAdminId: processedByAdminId,
-        }
-      });
-
-      // Update member's wallet balance
-      await tx.member.update({
-        where: { id: memberId },
-        data: {
-          walletBalance: {
-            decrement: amount
-          }
-        }
-      });
-
-      return walletTransaction;
-    });
+    const { walletTransaction } = await postWalletMovement({
+      memberId,
+      type: TransactionType.DEBIT,
+      amount,
+      account: LedgerAccount.SALES,
+      paymentMethod: 'WALLET',
+      referenceNumber,
+      notes: `Subscription Payment - ${notes} (₹${amount} debited from wallet)`,
+      processedByAdminId,
+    }, tx);
+    return walletTransaction;
   } catch (error) {
     console.error('Error debiting wallet:', error);
     throw new Error(`Failed to debit wallet: ${error.message}`);
@@ -146,20 +279,181 @@ const calculateSubscriptionRefund = (subscription, remainingDeliveries) => {
   }
 
   const totalQuantityRemaining = remainingDeliveries.reduce((sum, delivery) => sum + delivery.quantity, 0);
-  const unitPrice = subscription.rate || (subscription.amount / subscription.totalQty);
-  
-  if (unitPrice && totalQuantityRemaining > 0) {
-    const refundAmount = parseFloat(unitPrice) * parseInt(totalQuantityRemaining);
+  const unitPrice = chargedUnitPrice(subscription);
+
+  if (unitPrice > 0 && totalQuantityRemaining > 0) {
+    const refundAmount = roundAmount(unitPrice * parseInt(totalQuantityRemaining));
     console.log(`calculateSubscriptionRefund: unitPrice=${unitPrice}, remainingQty=${totalQuantityRemaining}, refund=${refundAmount}`);
     return refundAmount;
   }
-  
+
   return 0;
 };
 
+/**
+ * Compare each member's stored walletBalance with the balance derived from
+ * the ledger (sum of postings to and from MEMBER_WALLET) and with the last
+ * running balance. Members with no postings yet are reported as not migrated.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.memberId] Limit the report to one member
+ * @param {number} [options.tolerance=0.01] Ignore differences up to this amount
+ * @returns {Promise<Array<{ memberId: number, memberName: string, storedBalance: number, ledgerBalance: number|null, runningBalance: number|null, drift: number, hasLedger: boolean }>>}
+ */
+const getWalletDriftReport = async ({ memberId, tolerance = 0.01 } = {}) => {
+  const memberWhere = memberId ? { id: memberId } : {};
+  const ledgerWhere = memberId ? { memberId } : {};
+
+  const [members, credited, debited, latest] = await Promise.all([
+    prisma.member.findMany({
+      where: memberWhere,
+      select: { id: true, name: true, walletBalance: true },
+    }),
+    prisma.walletLedgerEntry.groupBy({
+      by: ['memberId'],
+      where: { ...ledgerWhere, creditAccount: LedgerAccount.MEMBER_WALLET },
+      _sum: { amount: true },
+    }),
+    prisma.walletLedgerEntry.groupBy({
+      by: ['memberId'],
+      where: { ...ledgerWhere, debitAccount: LedgerAccount.MEMBER_WALLET },
+      _sum: { amount: true },
+    }),
+    prisma.walletLedgerEntry.groupBy({
+      by: ['memberId'],
+      where: ledgerWhere,
+      _max: { id: true },
+    }),
+  ]);
+
+  const latestEntries = await prisma.walletLedgerEntry.findMany({
+    where: { id: { in: latest.map((row) => row._max.id) } },
+    select: { memberId: true, balanceAfter: true },
+  });
+
+  const creditedBy = new Map(credited.map((row) => [row.memberId, Number(row._sum.amount || 0)]));
+  const debitedBy = new Map(debited.map((row) => [row.memberId, Number(row._sum.amount || 0)]));
+  const runningBy = new Map(latestEntries.map((row) => [row.memberId, Number(row.balanceAfter)]));
+
+  return members
+    .map((member) => {
+      const hasLedger = runningBy.has(member.id);
+      const ledgerBalance = hasLedger
+        ? roundAmount((creditedBy.get(member.id) || 0) - (debitedBy.get(member.id) || 0))
+        : null;
+      const runningBalance = hasLedger ? runningBy.get(member.id) : null;
+      const storedBalance = roundAmount(member.walletBalance || 0);
+      return {
+        memberId: member.id,
+        memberName: member.name,
+        storedBalance,
+        ledgerBalance,
+        runningBalance,
+        drift: roundAmount(storedBalance - (ledgerBalance ?? 0)),
+        hasLedger,
+      };
+    })
+    .filter((row) =>
+      Math.abs(row.drift) > tolerance ||
+      (row.hasLedger && Math.abs(row.runningBalance - row.ledgerBalance) > tolerance)
+    );
+};
+
+/**
+ * Repair drift for the given members.
+ *
+ * - `LEDGER`: the ledger is authoritative; Member.walletBalance is reset to
+ *   the ledger balance. Members without postings are migrated with an
+ *   opening balance instead.
+ * - `ADJUST`: the stored balance is authoritative (e.g. after a verified
+ *   manual correction); an ADJUSTMENTS posting brings the ledger in line.
+ *
+ * @param {Object} options
+ * @param {number[]} options.memberIds
+ * @param {'LEDGER'|'ADJUST'} [options.strategy='LEDGER']
+ * @param {number} [options.processedByAdminId]
+ * @returns {Promise<Array<{ memberId: number, before: number, after: number, action: string }>>}
+ */
+const repairWalletDrift = async ({ memberIds, strategy = 'LEDGER', processedByAdminId = null }) => {
+  const results = [];
+
+  for (const memberId of memberIds) {
+    const result = await prisma.$transaction(async (client) => {
+      const member = await lockMember(client, memberId);
+      const before = roundAmount(member.walletBalance || 0);
+      const latest = await latestLedgerEntry(client, memberId);
+
+      if (!latest) {
+        const opening = await ledgerBalanceFor(client, member);
+        return { memberId, before, after: opening, action: 'OPENING_BALANCE' };
+      }
+
+      const [credited, debited] = await Promise.all([
+        client.walletLedgerEntry.aggregate({
+          where: { memberId, creditAccount: LedgerAccount.MEMBER_WALLET },
+          _sum: { amount: true },
+        }),
+        client.walletLedgerEntry.aggregate({
+          where: { memberId, debitAccount: LedgerAccount.MEMBER_WALLET },
+          _sum: { amount: true },
+        }),
+      ]);
+      const ledgerBalance = roundAmount(Number(credited._sum.amount || 0) - Number(debited._sum.amount || 0));
+
+      if (strategy === 'ADJUST') {
+        const difference = roundAmount(before - ledgerBalance);
+        if (difference !== 0) {
+          await client.walletLedgerEntry.create({
+            data: {
+              memberId,
+              debitAccount: difference > 0 ? LedgerAccount.ADJUSTMENTS : LedgerAccount.MEMBER_WALLET,
+              creditAccount: difference > 0 ? LedgerAccount.MEMBER_WALLET : LedgerAccount.ADJUSTMENTS,
+              amount: Math.abs(difference),
+              balanceAfter: before,
+              notes: `Drift repair: ledger adjusted from ₹${ledgerBalance} to stored balance ₹${before}`,
+              createdById: processedByAdminId,
+            },
+          });
+        }
+        return { memberId, before, after: before, action: difference !== 0 ? 'LEDGER_ADJUSTED' : 'NONE' };
+      }
+
+      if (Number(latest.balanceAfter) !== ledgerBalance) {
+        // Running balance chain disagrees with the postings; restart it from the derived balance
+        await client.walletLedgerEntry.create({
+          data: {
+            memberId,
+            debitAccount: LedgerAccount.ADJUSTMENTS,
+            creditAccount: LedgerAccount.MEMBER_WALLET,
+            amount: 0,
+            balanceAfter: ledgerBalance,
+            notes: `Drift repair: running balance reset from ₹${Number(latest.balanceAfter)} to ₹${ledgerBalance}`,
+            createdById: processedByAdminId,
+          },
+        });
+      }
+
+      await client.member.update({
+        where: { id: memberId },
+        data: { walletBalance: ledgerBalance },
+      });
+      return { memberId, before, after: ledgerBalance, action: before !== ledgerBalance ? 'BALANCE_RESET' : 'NONE' };
+    });
+
+    results.push(result);
+  }
+
+  return results;
+};
+
 module.exports = {
+  LedgerAccount,
+  postWalletMovement,
   creditWallet,
   debitWallet,
+  chargedUnitPrice,
   calculateRefundAmount,
-  calculateSubscriptionRefund
+  calculateSubscriptionRefund,
+  getWalletDriftReport,
+  repairWalletDrift
 };
@@ -0,0 +1,279 @@
+const prisma = require('../config/db');
+const createError = require('http-errors');
+const dayjs = require('dayjs');
+
+// Retry schedule: RETRY_BASE_SECONDS * 2^(attempt - 1), capped at RETRY_MAX_SECONDS
+const RETRY_BASE_SECONDS = parseInt(process.env.WHATSAPP_RETRY_BASE_SECONDS || '60');
+const RETRY_MAX_SECONDS = parseInt(process.env.WHATSAPP_RETRY_MAX_SECONDS || '3600');
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.WHATSAPP_MAX_ATTEMPTS || '5');
+const REQUEST_TIMEOUT_MS = 15000;
+// A worker that died mid-send leaves the row SENDING; it is picked up again after this long
+const STALE_LOCK_MINUTES = 10;
+
+/**
+ * Helper to construct the WhatsApp API endpoint URL.
+ * Handles both official Facebook Graph API and custom wrappers.
+ * @param {string} type - The endpoint type ('messages' or 'marketing_messages')
+ * @returns {string} - The constructed URL
+ */
+const getWhatsAppEndpoint = (type) => {
+  const baseUrl = process.env.WHATSAPP_URL;
+  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+
+  if (!baseUrl) return '';
+
+  // If it's a Facebook Graph API URL, append the phone number ID and type
+  if (baseUrl.includes('graph.facebook.com')) {
+    return `${baseUrl}/${phoneNumberId}/${type}`;
+  }
+
+  // Otherwise, assume it's a complete custom endpoint
+  return baseUrl;
+};
+
+/**
+ * Safely parse JSON from a response, handling potential HTML/error pages.
+ * @param {Response} response - The fetch response object
+ * @returns {Promise<Object>} - Parsed JSON or error object
+ */
+const parseResponse = async (response) => {
+  const contentType = response.headers.get('content-type');
+  if (contentType && contentType.includes('application/json')) {
+    return response.json();
+  }
+  const text = await response.text();
+  // If it's HTML, extract a bit of info if possible, otherwise return generic error
+  return {
+    error: 'Invalid response format (not JSON)',
+    status: response.status,
+    snippet: text.substring(0, 200).replace(/<[^>]*>?/gm, '').trim() // Strip tags and return snippet
+  };
+};
+
+const retryDelaySeconds = (attempts) =>
+  Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_SECONDS);
+
+// Template parameter values in order, kept alongside the payload so admins can search and read them
+const extractParameters = (payload) =>
+  (payload.template?.components || []).flatMap((component) =>
+    (component.parameters || []).map((parameter) => parameter.text ?? null)
+  );
+
+/**
+ * Persist a message in the outbox and hand it to the worker.
+ *
+ * @param {Object} message
+ * @param {string} message.templateName
+ * @param {string} [message.endpointType='messages'] - 'messages' or 'marketing_messages'
+ * @param {Object} message.payload - WhatsApp Cloud API message payload
+ * @param {string|null} [message.businessKey] - Messages sharing a key are only queued once
+ * @param {number} [message.maxAttempts]
+ * @returns {Promise<{ message: Object, duplicate: boolean }>}
+ */
+const enqueueWhatsAppMessage = async ({
+  templateName,
+  endpointType = 'messages',
+  payload,
+  businessKey = null,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+}) => {
+  let message;
+  try {
+    message = await prisma.whatsAppOutbox.create({
+      data: {
+        businessKey,
+        templateName,
+        endpointType,
+        recipient: payload.to,
+        parameters: extractParameters(payload),
+        payload,
+        maxAttempts,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'P2002' && businessKey) {
+      const existing = await prisma.whatsAppOutbox.findUnique({ where: { businessKey } });
+      return { message: existing, duplicate: true };
+    }
+    throw error;
+  }
+
+  // Send straight away so customers are not kept waiting for the next worker run;
+  // anything that fails here is retried by processWhatsAppOutbox.
+  if (process.env.WHATSAPP_OUTBOX_SEND_IMMEDIATELY !== 'false') {
+    setImmediate(() => {
+      dispatchOutboxMessage(message.id).catch((error) => {
+        console.error(`[WhatsApp Outbox] Error dispatching message ${message.id}:`, error);
+      });
+    });
+  }
+
+  return { message, duplicate: false };
+};
+
+const recordFailure = (message, lastError, retryable, response = null) => {
+  const attempts = message.attempts + 1;
+  const exhausted = !retryable || attempts >= message.maxAttempts;
+
+  return prisma.whatsAppOutbox.update({
+    where: { id: message.id },
+    data: {
+      status: exhausted ? 'FAILED' : 'PENDING',
+      attempts,
+      lastError,
+      ...(response ? { response } : {}),
+      lockedAt: null,
+      nextAttemptAt: exhausted ? message.nextAttemptAt : dayjs().add(retryDelaySeconds(attempts), 'second').toDate(),
+    },
+  });
+};
+
+/**
+ * Make one delivery attempt for a claimed (SENDING) outbox row and record the outcome.
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with backoff;
+ * other 4xx responses (bad template, invalid number) fail immediately.
+ *
+ * @param {Object} message - WhatsAppOutbox row
+ * @returns {Promise<Object>} The updated row
+ */
+const deliverOutboxMessage = async (message) => {
+  const token = process.env.WHATSAPP_TOKEN;
+  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+  const baseUrl = process.env.WHATSAPP_URL;
+
+  if (!token || !phoneNumberId || !baseUrl) {
+    return recordFailure(message, 'WhatsApp configuration missing', true);
+  }
+
+  let response;
+  let data;
+  try {
+    response = await fetch(getWhatsAppEndpoint(message.endpointType), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(message.payload),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    data = await parseResponse(response);
+  } catch (error) {
+    console.error(`[WhatsApp Outbox] Error sending message ${message.id} (${message.templateName}):`, error.message);
+    return recordFailure(message, error.message, true);
+  }
+
+  if (!response.ok) {
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    console.error(`[WhatsApp Outbox] Message ${message.id} (${message.templateName}) rejected with ${response.status}:`, data);
+    return recordFailure(message, `HTTP ${response.status}: ${JSON.stringify(data).substring(0, 1000)}`, retryable, data);
+  }
+
+  console.log(`[WhatsApp Outbox] Message ${message.id} (${message.templateName}) sent to ${message.recipient}`);
+  return prisma.whatsAppOutbox.update({
+    where: { id: message.id },
+    data: {
+      status: 'SENT',
+      attempts: message.attempts + 1,
+      providerMessageId: data?.messages?.[0]?.id || null,
+      response: data,
+      lastError: null,
+      lockedAt: null,
+      sentAt: new Date(),
+    },
+  });
+};
+
+/**
+ * Claim a due PENDING row and attempt delivery. The claim is a conditional
+ * update, so a row is only ever sent by one worker at a time.
+ *
+ * @param {number} id - Outbox row id
+ * @returns {Promise<Object|null>} The updated row, or null if it was not claimable
+ */
+const dispatchOutboxMessage = async (id) => {
+  const claimed = await prisma.whatsAppOutbox.updateMany({
+    where: { id, status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+    data: { status: 'SENDING', lockedAt: new Date() },
+  });
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  const message = await prisma.whatsAppOutbox.findUnique({ where: { id } });
+  return deliverOutboxMessage(message);
+};
+
+/**
+ * Worker run: release stale locks, then send every message whose next attempt is due.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Maximum messages to attempt in this run
+ * @returns {Promise<{ attempted: number, sent: number, retrying: number, failed: number, released: number }>}
+ */
+const processWhatsAppOutbox = async ({ limit = 100 } = {}) => {
+  const released = await prisma.whatsAppOutbox.updateMany({
+    where: {
+      status: 'SENDING',
+      lockedAt: { lt: dayjs().subtract(STALE_LOCK_MINUTES, 'minute').toDate() },
+    },
+    data: { status: 'PENDING', lockedAt: null },
+  });
+
+  const due = await prisma.whatsAppOutbox.findMany({
+    where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+    select: { id: true },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: limit,
+  });
+
+  const summary = { attempted: 0, sent: 0, retrying: 0, failed: 0, released: released.count };
+  for (const { id } of due) {
+    const result = await dispatchOutboxMessage(id);
+    if (!result) continue;
+    summary.attempted++;
+    if (result.status === 'SENT') summary.sent++;
+    else if (result.status === 'FAILED') summary.failed++;
+    else summary.retrying++;
+  }
+  return summary;
+};
+
+/**
+ * Put a message back in the queue with a fresh set of attempts and send it now.
+ * Sent messages can be resent too, e.g. when a customer says they never got it.
+ *
+ * @param {number} id - Outbox row id
+ * @returns {Promise<Object>} The row after the new attempt
+ */
+const resendOutboxMessage = async (id) => {
+  const message = await prisma.whatsAppOutbox.findUnique({ where: { id } });
+  if (!message) {
+    throw createError(404, 'WhatsApp message not found');
+  }
+  if (message.status === 'SENDING') {
+    throw createError(409, 'WhatsApp message is currently being sent');
+  }
+
+  await prisma.whatsAppOutbox.update({
+    where: { id },
+    data: {
+      status: 'PENDING',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null,
+      lockedAt: null,
+    },
+  });
+
+  return (await dispatchOutboxMessage(id)) || prisma.whatsAppOutbox.findUnique({ where: { id } });
+};
+
+module.exports = {
+  getWhatsAppEndpoint,
+  parseResponse,
+  enqueueWhatsAppMessage,
+  dispatchOutboxMessage,
+  processWhatsAppOutbox,
+  resendOutboxMessage,
+};
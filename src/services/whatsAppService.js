@@ -1,61 +1,42 @@
 const dayjs = require('dayjs');
+const { enqueueWhatsAppMessage } = require('./whatsAppOutboxService');
 
 /**
- * Helper to construct the WhatsApp API endpoint URL.
- * Handles both official Facebook Graph API and custom wrappers.
- * @param {string} type - The endpoint type ('messages' or 'marketing_messages')
- * @returns {string} - The constructed URL
+ * Messages are not sent inline: each function builds the template payload and
+ * queues it in the WhatsApp outbox, which the outbox worker delivers with retries.
+ * Repeat calls with the same business key (e.g. the renewal reminder for one
+ * subscription and expiry date) are recorded once. Messages are queued even
+ * while the WhatsApp API is not configured; the worker holds them until it is.
+ * @param {string} endpointType - 'messages' or 'marketing_messages'
+ * @param {Object} payload - WhatsApp Cloud API message payload
+ * @param {string|null} businessKey - De-duplication key, or null to always queue
+ * @param {string} label - Message description for logs
+ * @returns {Promise<Object>} - { success, queued, duplicate, data: outbox row }
  */
-const getWhatsAppEndpoint = (type) => {
-  const baseUrl = process.env.WHATSAPP_URL;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-
-  if (!baseUrl) return '';
-
-  // If it's a Facebook Graph API URL, append the phone number ID and type
-  if (baseUrl.includes('graph.facebook.com')) {
-    return `${baseUrl}/${phoneNumberId}/${type}`;
-  }
-
-  // Otherwise, assume it's a complete custom endpoint
-  return baseUrl;
-};
-
-/**
- * Safely parse JSON from a response, handling potential HTML/error pages.
- * @param {Response} response - The fetch response object
- * @returns {Promise<Object>} - Parsed JSON or error object
- */
-const parseResponse = async (response) => {
-  const contentType = response.headers.get('content-type');
-  if (contentType && contentType.includes('application/json')) {
-    return response.json();
+const queueMessage = async (endpointType, payload, businessKey, label) => {
+  try {
+    const { message, duplicate } = await enqueueWhatsAppMessage({
+      templateName: payload.template.name,
+      endpointType,
+      payload,
+      businessKey,
+    });
+    console.log(`[WhatsApp Service] ${label} ${duplicate ? 'already queued' : 'queued'} for ${payload.to} (outbox #${message.id})`);
+    return { success: true, queued: true, duplicate, data: message };
+  } catch (error) {
+    console.error(`[WhatsApp Service] Error queueing ${label}:`, error);
+    return { success: false, error: error.message };
   }
-  const text = await response.text();
-  // If it's HTML, extract a bit of info if possible, otherwise return generic error
-  return {
-    error: 'Invalid response format (not JSON)',
-    status: response.status,
-    snippet: text.substring(0, 200).replace(/<[^>]*>?/gm, '').trim() // Strip tags and return snippet
-  };
 };
 
 /**
  * Send WhatsApp notification for an SNF Order
  * @param {Object} order - The created order object
- * @returns {Promise<Object>} - API response
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
+ * @returns {Promise<Object>} - Outbox queue result
  */
-const sendOrderWhatsAppMessage = async (order) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl) {
-    console.warn('[WhatsApp Service] Configuration missing, skipping message.', {
-      token: token ? 'Provided' : 'Missing',
-      phoneNumberId: phoneNumberId || 'Missing',
-      baseUrl: baseUrl || 'Missing'
-    });
+const sendOrderWhatsAppMessage = async (order, options = {}) => {
+  if (!order.mobile) {
     return null;
   }
 
@@ -68,6 +49,8 @@ const sendOrderWhatsAppMessage = async (order) => {
     'WALLET': 'वॉलेट'
   };
 
+  const businessKey = options.businessKey || `order_receipt:${order.orderNo}`;
+
   const payload = {
     messaging_product: 'whatsapp',
     to: `91${order.mobile}`,
@@ -90,44 +73,22 @@ const sendOrderWhatsAppMessage = async (order) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send message:', data);
-      return { success: false, error: data };
-    }
-
-    console.log('[WhatsApp Service] Message sent successfully:', order.orderNo);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending message:', error);
-    return { success: false, error: error.message };
-  }
+  return queueMessage('messages', payload, businessKey, 'order message');
 };
 
 /**
  * Send Welcome WhatsApp message for a new User
  * @param {Object} user - The created user object (should have name and mobile)
- * @returns {Promise<Object>} - API response
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
+ * @returns {Promise<Object>} - Outbox queue result
  */
-const sendWelcomeWhatsAppMessage = async (user) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl || !user.mobile) {
+const sendWelcomeWhatsAppMessage = async (user, options = {}) => {
+  if (!user.mobile) {
     return null;
   }
 
+  const businessKey = options.businessKey || `welcome:${user.mobile}`;
+
   const payload = {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
@@ -147,40 +108,18 @@ const sendWelcomeWhatsAppMessage = async (user) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('marketing_messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send welcome message:', data);
-      return { success: false, error: data };
-    }
-    console.log('[WhatsApp Service] Welcome message sent successfully to:', user.mobile);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending welcome message:', error);
-    return { success: false, error: error.message };
-  }
+  return queueMessage('marketing_messages', payload, businessKey, 'welcome message');
 };
 
 /**
  * Send Subscription Confirmation WhatsApp message
  * @param {Object} user - User object (name, mobile)
  * @param {Object} subscription - Subscription object (startDate, expiryDate, qty, deliverySchedule)
- * @returns {Promise<Object>} - API response
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
+ * @returns {Promise<Object>} - Outbox queue result
  */
-const sendSubscriptionConfirmWhatsAppMessage = async (user, subscription) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl || !user.mobile) {
+const sendSubscriptionConfirmWhatsAppMessage = async (user, subscription, options = {}) => {
+  if (!user.mobile) {
     return null;
   }
 
@@ -194,6 +133,8 @@ const sendSubscriptionConfirmWhatsAppMessage = async (user, subscription) => {
     'VARYING': 'Varying'
   };
 
+  const businessKey = options.businessKey || (subscription.id ? `subscription_confirm:${subscription.id}` : null);
+
   const payload = {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
@@ -217,42 +158,22 @@ const sendSubscriptionConfirmWhatsAppMessage = async (user, subscription) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('marketing_messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send subscription confirmation:', data);
-      return { success: false, error: data };
-    }
-    console.log('[WhatsApp Service] Subscription confirmation sent successfully to:', user.mobile);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending subscription confirmation:', error);
-    return { success: false, error: error.message };
-  }
+  return queueMessage('marketing_messages', payload, businessKey, 'subscription confirmation');
 };
 
 /**
  * Send WhatsApp Notification for Delivery Confirmation
  * @param {Object} user User object containing mobile and name
  * @param {Object} deliveryEntry Delivery entry object containing quantity
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
  */
-const sendDeliveryWhatsAppMessage = async (user, deliveryEntry) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl || !user || !user.mobile) {
+const sendDeliveryWhatsAppMessage = async (user, deliveryEntry, options = {}) => {
+  if (!user || !user.mobile) {
     return null;
   }
 
+  const businessKey = options.businessKey || (deliveryEntry.id ? `delivery:${deliveryEntry.id}` : null);
+
   const payload = {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
@@ -273,42 +194,23 @@ const sendDeliveryWhatsAppMessage = async (user, deliveryEntry) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send delivery message:', data);
-      return { success: false, error: data };
-    }
-    console.log(`[WhatsApp Service] Delivery message sent successfully to ${user.mobile}`);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending delivery message:', error);
-    return { success: false, error: error.message };
-  }
+  return queueMessage('messages', payload, businessKey, 'delivery message');
 };
 
 /**
  * Send WhatsApp Notification for Subscription Renewal Reminder
  * @param {Object} user User object containing mobile and name
  * @param {Object} subscription Subscription object containing expiryDate
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
  */
-const sendSubscriptionRenewalWhatsAppMessage = async (user, subscription) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl || !user || !user.mobile) {
+const sendSubscriptionRenewalWhatsAppMessage = async (user, subscription, options = {}) => {
+  if (!user || !user.mobile) {
     return null;
   }
 
+  const businessKey = options.businessKey ||
+    `renewal_reminder:${subscription.id}:${dayjs(subscription.expiryDate).format('YYYY-MM-DD')}`;
+
   const payload = {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
@@ -329,42 +231,22 @@ const sendSubscriptionRenewalWhatsAppMessage = async (user, subscription) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('marketing_messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send renewal reminder message:', data);
-      return { success: false, error: data };
-    }
-    console.log(`[WhatsApp Service] Renewal reminder message sent successfully to ${user.mobile}`);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending renewal reminder message:', error);
-    return { success: false, error: error.message };
-  }
+  return queueMessage('marketing_messages', payload, businessKey, 'renewal reminder message');
 };
 
 /**
  * Send WhatsApp Notification for Skipped Delivery
  * @param {Object} user User object containing mobile and name
  * @param {Object} skipData object containing date and refundAmount
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
  */
-const sendSkipDeliveryWhatsAppMessage = async (user, skipData) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl || !user || !user.mobile) {
+const sendSkipDeliveryWhatsAppMessage = async (user, skipData, options = {}) => {
+  if (!user || !user.mobile) {
     return null;
   }
 
+  const businessKey = options.businessKey || (skipData.entryId ? `skip_delivery:${skipData.entryId}` : null);
+
   const payload = {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
@@ -386,42 +268,22 @@ const sendSkipDeliveryWhatsAppMessage = async (user, skipData) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send skip delivery message:', data);
-      return { success: false, error: data };
-    }
-    console.log(`[WhatsApp Service] Skip delivery message sent successfully to ${user.mobile}`);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending skip delivery message:', error);
-    return { success: false, error: error.message };
-  }
+  return queueMessage('messages', payload, businessKey, 'skip delivery message');
 };
 
 /**
  * Send WhatsApp Notification for Not Delivered (Attempt Failed)
  * @param {Object} user User object containing mobile and name
  * @param {Object} failData object containing reason and refundAmount
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
  */
-const sendNotDeliveredWhatsAppMessage = async (user, failData) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl || !user || !user.mobile) {
+const sendNotDeliveredWhatsAppMessage = async (user, failData, options = {}) => {
+  if (!user || !user.mobile) {
     return null;
   }
 
+  const businessKey = options.businessKey || (failData.entryId ? `not_delivered:${failData.entryId}` : null);
+
   const payload = {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
@@ -444,42 +306,22 @@ const sendNotDeliveredWhatsAppMessage = async (user, failData) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send not delivered message:', data);
-      return { success: false, error: data };
-    }
-    console.log(`[WhatsApp Service] Not delivered message sent successfully to ${user.mobile}`);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending not delivered message:', error);
-    return { success: false, error: error.message };
-  }
+  return queueMessage('messages', payload, businessKey, 'not delivered message');
 };
 
 /**
  * Send WhatsApp Notification for Cancelled Subscription (Refunded to Wallet)
  * @param {Object} user User object containing mobile and name
  * @param {Object} cancelData object containing orderNo, reason, and refundAmount
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
  */
-const sendCancelledWhatsAppMessage = async (user, cancelData) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl || !user || !user.mobile) {
+const sendCancelledWhatsAppMessage = async (user, cancelData, options = {}) => {
+  if (!user || !user.mobile) {
     return null;
   }
 
+  const businessKey = options.businessKey || (cancelData.orderNo ? `cancelled:${cancelData.orderNo}` : null);
+
   const payload = {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
@@ -504,26 +346,7 @@ const sendCancelledWhatsAppMessage = async (user, cancelData) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send cancellation message:', data);
-      return { success: false, error: data };
-    }
-    console.log(`[WhatsApp Service] Cancellation message sent successfully to ${user.mobile}`);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending cancellation message:', error);
-    return { success: false, error: error.message };
-  }
+  return queueMessage('messages', payload, businessKey, 'cancellation message');
 };
 
 /**
@@ -531,16 +354,15 @@ const sendCancelledWhatsAppMessage = async (user, cancelData) => {
  * @param {Object} user User object containing mobile and name
  * @param {Number|String} walletamt Amount debited from wallet
  * @param {String} orderNo Order number
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
  */
-const sendWalletDebitWhatsAppMessage = async (user, walletamt, orderNo) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl || !user || !user.mobile) {
+const sendWalletDebitWhatsAppMessage = async (user, walletamt, orderNo, options = {}) => {
+  if (!user || !user.mobile) {
     return null;
   }
 
+  const businessKey = options.businessKey || null;
+
   const payload = {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
@@ -562,26 +384,7 @@ const sendWalletDebitWhatsAppMessage = async (user, walletamt, orderNo) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send wallet debit message:', data);
-      return { success: false, error: data };
-    }
-    console.log(`[WhatsApp Service] Wallet debit message sent successfully to ${user.mobile}`);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending wallet debit message:', error);
-    return { success: false, error: error.message };
-  }
+  return queueMessage('messages', payload, businessKey, 'wallet debit message');
 };
 
 /**
@@ -589,16 +392,15 @@ const sendWalletDebitWhatsAppMessage = async (user, walletamt, orderNo) => {
  * @param {Object} user User object containing mobile and name
  * @param {Number|String} amount Amount credited to wallet
  * @param {String} orderNo Order number
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
  */
-const sendWalletCreditWhatsAppMessage = async (user, amount, orderNo) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl || !user || !user.mobile) {
+const sendWalletCreditWhatsAppMessage = async (user, amount, orderNo, options = {}) => {
+  if (!user || !user.mobile) {
     return null;
   }
 
+  const businessKey = options.businessKey || null;
+
   const payload = {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
@@ -620,40 +422,23 @@ const sendWalletCreditWhatsAppMessage = async (user, amount, orderNo) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send wallet credit message:', data);
-      return { success: false, error: data };
-    }
-    console.log(`[WhatsApp Service] Wallet credit message sent successfully to ${user.mobile}`);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending wallet credit message:', error);
-    return { success: false, error: error.message };
-  }
+  return queueMessage('messages', payload, businessKey, 'wallet credit message');
 };
 /**
  * Send WhatsApp Notification for Subscription Renewal Pending (1 day after expiry)
  * @param {Object} user User object containing mobile and name
+ * @param {Object} [subscription] Subscription the reminder is for; keys the message for de-duplication
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
  */
-const sendSubscriptionRenewalPendingWhatsAppMessage = async (user) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl || !user || !user.mobile) {
+const sendSubscriptionRenewalPendingWhatsAppMessage = async (user, subscription = null, options = {}) => {
+  if (!user || !user.mobile) {
     return null;
   }
 
+  const businessKey = options.businessKey || (subscription
+    ? `renewal_pending:${subscription.id}:${dayjs(subscription.expiryDate).format('YYYY-MM-DD')}`
+    : null);
+
   const payload = {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
@@ -673,41 +458,24 @@ const sendSubscriptionRenewalPendingWhatsAppMessage = async (user) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('marketing_messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send renewal pending message:', data);
-      return { success: false, error: data };
-    }
-    console.log(`[WhatsApp Service] Renewal pending message sent successfully to ${user.mobile}`);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending renewal pending message:', error);
-    return { success: false, error: error.message };
-  }
+  return queueMessage('marketing_messages', payload, businessKey, 'renewal pending message');
 };
 
 /**
  * Send WhatsApp Notification for Subscription Renewal Final (1 day before expiry)
  * @param {Object} user User object containing mobile and name
+ * @param {Object} [subscription] Subscription the reminder is for; keys the message for de-duplication
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
  */
-const sendSubscriptionRenewalFinalWhatsAppMessage = async (user) => {
-  const token = process.env.WHATSAPP_TOKEN;
-  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-  const baseUrl = process.env.WHATSAPP_URL;
-
-  if (!token || !phoneNumberId || !baseUrl || !user || !user.mobile) {
+const sendSubscriptionRenewalFinalWhatsAppMessage = async (user, subscription = null, options = {}) => {
+  if (!user || !user.mobile) {
     return null;
   }
 
+  const businessKey = options.businessKey || (subscription
+    ? `renewal_final:${subscription.id}:${dayjs(subscription.expiryDate).format('YYYY-MM-DD')}`
+    : null);
+
   const payload = {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
@@ -727,26 +495,85 @@ const sendSubscriptionRenewalFinalWhatsAppMessage = async (user) => {
     }
   };
 
-  try {
-    const response = await fetch(getWhatsAppEndpoint('marketing_messages'), {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await parseResponse(response);
-    if (!response.ok) {
-      console.error('[WhatsApp Service] Failed to send renewal final message:', data);
-      return { success: false, error: data };
+  return queueMessage('marketing_messages', payload, businessKey, 'renewal final message');
+};
+
+/**
+ * Send WhatsApp Notification when a subscription could not be auto-renewed
+ * @param {Object} user User object containing mobile and name
+ * @param {Object} failData object containing productName, requiredAmount and walletBalance
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
+ */
+const sendAutoRenewFailedWhatsAppMessage = async (user, failData, options = {}) => {
+  if (!user || !user.mobile) {
+    return null;
+  }
+
+  const businessKey = options.businessKey || (failData.subscriptionId
+    ? `auto_renew_failed:${failData.subscriptionId}:${dayjs().format('YYYY-MM-DD')}`
+    : null);
+
+  const payload = {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: `91${user.mobile}`,
+    type: 'template',
+    template: {
+      name: 'subscription_auto_renew_failed',
+      language: { code: 'en_US' },
+      components: [
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: user.name || 'Customer' },
+            { type: 'text', text: failData.productName || 'your subscription' },
+            { type: 'text', text: Number(failData.requiredAmount || 0).toFixed(2) },
+            { type: 'text', text: Number(failData.walletBalance || 0).toFixed(2) }
+          ]
+        }
+      ]
     }
-    console.log(`[WhatsApp Service] Renewal final message sent successfully to ${user.mobile}`);
-    return { success: true, data };
-  } catch (error) {
-    console.error('[WhatsApp Service] Error sending renewal final message:', error);
-    return { success: false, error: error.message };
+  };
+
+  return queueMessage('messages', payload, businessKey, 'auto-renew failure message');
+};
+
+/**
+ * Send WhatsApp delivery OTP, which the customer gives the rider on delivery
+ * @param {Object} user User object containing mobile and name
+ * @param {Object} otpData object containing otp, reference (order number) and expiresAt
+ * @param {Object} [options] { businessKey } to override the default de-duplication key
+ */
+const sendDeliveryOtpWhatsAppMessage = async (user, otpData, options = {}) => {
+  if (!user || !user.mobile) {
+    return null;
   }
+
+  const businessKey = options.businessKey || null;
+
+  const payload = {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: `91${user.mobile}`,
+    type: 'template',
+    template: {
+      name: 'delivery_otp',
+      language: { code: 'en_US' },
+      components: [
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: user.name || 'Customer' },
+            { type: 'text', text: String(otpData.otp) },
+            { type: 'text', text: String(otpData.reference || 'N/A') },
+            { type: 'text', text: otpData.expiresAt ? dayjs(otpData.expiresAt).format('DD/MM/YYYY hh:mm A') : 'today' }
+          ]
+        }
+      ]
+    }
+  };
+
+  return queueMessage('messages', payload, businessKey, 'delivery OTP message');
 };
 
 module.exports = {
@@ -757,9 +584,11 @@ module.exports = {
   sendSubscriptionRenewalWhatsAppMessage,
   sendSubscriptionRenewalPendingWhatsAppMessage,
   sendSubscriptionRenewalFinalWhatsAppMessage,
+  sendAutoRenewFailedWhatsAppMessage,
   sendSkipDeliveryWhatsAppMessage,
   sendNotDeliveredWhatsAppMessage,
   sendCancelledWhatsAppMessage,
   sendWalletDebitWhatsAppMessage,
-  sendWalletCreditWhatsAppMessage
+  sendWalletCreditWhatsAppMessage,
+  sendDeliveryOtpWhatsAppMessage
 };
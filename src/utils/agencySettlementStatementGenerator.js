@@ -0,0 +1,124 @@
+const { renderPdfBuffer } = require('./pdfPrinter');
+
+const money = (value) => Number(value || 0).toFixed(2);
+const units = (value) => Number(value || 0).toFixed(2).replace(/\.00$/, '');
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB') : '-');
+const formatMonth = (value) => new Date(value).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+
+const SECTIONS = [
+  { kind: 'SUBSCRIPTION_COMMISSION', title: 'Subscription Commission' },
+  { kind: 'VENDOR_COMMISSION', title: 'Vendor Order Commission' },
+  { kind: 'WASTAGE', title: 'Wastage Deductions' },
+  { kind: 'NOT_RECEIVED', title: 'Not Received Deductions' },
+];
+
+const commissionLabel = (line) => {
+  if (!line.commissionType) return '-';
+  return line.commissionType === 'FLAT_PER_UNIT' ? `₹${money(line.commissionValue)}/unit` : `${Number(line.commissionValue)}%`;
+};
+
+const sectionTable = (title, lines, isCommission) => [
+  { text: title, style: 'subheader' },
+  {
+    table: {
+      headerRows: 1,
+      dontBreakRows: true,
+      widths: ['*', 50, 70, 70, 70],
+      body: [
+        [
+          { text: 'Product', style: 'tableHeader' },
+          { text: 'Units', style: 'tableHeader' },
+          { text: 'Value (₹)', style: 'tableHeader' },
+          { text: isCommission ? 'Commission' : '', style: 'tableHeader' },
+          { text: 'Amount (₹)', style: 'tableHeader' },
+        ],
+        ...lines.map((line) => [
+          { text: line.description, style: 'tableCell' },
+          { text: units(line.units), style: 'tableCell', alignment: 'right' },
+          { text: money(line.grossValue), style: 'tableCell', alignment: 'right' },
+          { text: isCommission ? commissionLabel(line) : '', style: 'tableCell', alignment: 'right' },
+          { text: money(line.amount), style: 'tableCell', alignment: 'right' },
+        ]),
+      ],
+    },
+    layout: 'lightHorizontalLines',
+    margin: [0, 0, 0, 15],
+  },
+];
+
+/**
+ * Generates an agency's monthly settlement statement.
+ * @param {object} statement - Output of agencySettlementService.getStatement
+ * @returns {Promise<Buffer>}
+ */
+const generateAgencySettlementStatementPdf = (statement) => {
+  const { agency, lines = [] } = statement;
+
+  const summaryRow = (label, value, bold = false) => [
+    { text: label, style: bold ? 'summaryBold' : 'summary' },
+    { text: value, style: bold ? 'summaryBold' : 'summary', alignment: 'right' },
+  ];
+
+  const sections = SECTIONS.flatMap(({ kind, title }) => {
+    const sectionLines = lines.filter((line) => line.kind === kind);
+    return sectionLines.length ? sectionTable(title, sectionLines, kind.endsWith('COMMISSION')) : [];
+  });
+
+  const docDefinition = {
+    pageSize: 'A4',
+    pageMargins: [30, 30, 30, 30],
+    content: [
+      { text: 'Agency Settlement Statement', style: 'header' },
+      {
+        columns: [
+          [
+            { text: `Agency: ${agency?.name || '-'}`, style: 'subheader' },
+            { text: `Mobile: ${agency?.mobile || '-'}`, style: 'normalText' },
+            { text: `City: ${agency?.city || '-'}`, style: 'normalText' },
+          ],
+          [
+            { text: `Statement #${statement.id}`, style: 'normalTextRight' },
+            { text: `Month: ${formatMonth(statement.periodStart)}`, style: 'normalTextRight' },
+            { text: `Status: ${statement.status}`, style: 'normalTextRight' },
+            ...(statement.finalisedAt ? [{ text: `Finalised: ${formatDate(statement.finalisedAt)}`, style: 'normalTextRight' }] : []),
+          ],
+        ],
+        margin: [0, 0, 0, 10],
+      },
+      {
+        table: {
+          widths: ['*', 100],
+          body: [
+            summaryRow(`Subscription commission (${statement.subscriptionUnits} units)`, money(statement.subscriptionCommission)),
+            summaryRow(`Vendor order commission (${statement.vendorUnits} units)`, money(statement.vendorCommission)),
+            summaryRow('Gross commission', money(statement.grossCommission), true),
+            summaryRow(`Less: wastage (${units(statement.wastageUnits)} units)`, money(statement.wastageDeduction)),
+            summaryRow(`Less: not received (${units(statement.notReceivedUnits)} units)`, money(statement.notReceivedDeduction)),
+            summaryRow('Net payable', money(statement.netAmount), true),
+          ],
+        },
+        layout: 'lightHorizontalLines',
+        margin: [0, 0, 0, 15],
+      },
+      ...sections,
+      ...(statement.notes ? [{ text: `Notes: ${statement.notes}`, style: 'normalText' }] : []),
+    ],
+    styles: {
+      header: { fontSize: 16, bold: true, alignment: 'center', margin: [0, 0, 0, 10] },
+      subheader: { fontSize: 11, bold: true, margin: [0, 0, 0, 4] },
+      normalText: { fontSize: 9, margin: [0, 1, 0, 1] },
+      normalTextRight: { fontSize: 9, margin: [0, 1, 0, 1], alignment: 'right' },
+      summary: { fontSize: 9, margin: [0, 2, 0, 2] },
+      summaryBold: { fontSize: 10, bold: true, margin: [0, 2, 0, 2] },
+      tableHeader: { bold: true, fontSize: 9, fillColor: '#f2f2f2', margin: [0, 3, 0, 3] },
+      tableCell: { fontSize: 8, margin: [0, 3, 0, 3] },
+    },
+    defaultStyle: {
+      font: 'Roboto'
+    }
+  };
+
+  return renderPdfBuffer(docDefinition);
+};
+
+module.exports = { generateAgencySettlementStatementPdf };
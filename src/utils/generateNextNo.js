@@ -1,51 +1,27 @@
-const prisma = require('../config/db');
-
-const prefixes = {
-  transfer: 'TFR',
-  purchase: 'PUR',
-  wastage: 'WST',
-  invoice: 'INV',
-};
-
-const modelMap = {
-  transfer: 'transfer',
-  purchase: 'purchase',
-  wastage: 'wastage',
-  invoice: 'invoice',
-};
-
-const numberFieldMap = {
-  transfer: 'transferNo',
-  purchase: 'purchaseNo',
-  wastage: 'wastageNo',
-  invoice: 'invoiceNo',
+const { nextNumber } = require('../services/documentSequenceService');
+
+// Legacy module names -> document sequence types
+const documentTypes = {
+  transfer: 'TRANSFER',
+  purchase: 'PURCHASE',
+  wastage: 'WASTAGE',
+  invoice: 'INVOICE',
 };
 
-const generateNextNo = async (module) => {
-  const prefix = prefixes[module];
-  const modelName = modelMap[module];
-  const numberField = numberFieldMap[module];
+/**
+ * Next number for a module, from its document sequence.
+ * @param {string} module - transfer | purchase | wastage | invoice
+ * @param {Object} [options] - depotId, date and tx, as documentSequenceService.nextNumber
+ * @returns {Promise<string>}
+ */
+const generateNextNo = async (module, options = {}) => {
+  const documentType = documentTypes[module];
 
-  if (!prefix || !modelName || !numberField) {
+  if (!documentType) {
     throw new Error(`Configuration for module '${module}' not found.`);
   }
 
-  const lastRecord = await prisma[modelName].findFirst({
-    orderBy: {
-      id: 'desc',
-    },
-  });
-
-  let nextNo = 1;
-  if (lastRecord && lastRecord[numberField]) {
-    const lastNoStr = lastRecord[numberField].split('-').pop();
-    const lastNo = parseInt(lastNoStr, 10);
-    if (!isNaN(lastNo)) {
-      nextNo = lastNo + 1;
-    }
-  }
-
-  return `${prefix}-${String(nextNo).padStart(5, '0')}`;
+  return nextNumber(documentType, options);
 };
 
 module.exports = { generateNextNo };
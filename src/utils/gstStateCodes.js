@@ -0,0 +1,84 @@
+/**
+ * GST state codes, used for place of supply and to tell intra-state supplies
+ * (CGST + SGST) from inter-state ones (IGST).
+ */
+
+const STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  'punjab': '03',
+  'chandigarh': '04',
+  'uttarakhand': '05',
+  'haryana': '06',
+  'delhi': '07',
+  'rajasthan': '08',
+  'uttar pradesh': '09',
+  'bihar': '10',
+  'sikkim': '11',
+  'arunachal pradesh': '12',
+  'nagaland': '13',
+  'manipur': '14',
+  'mizoram': '15',
+  'tripura': '16',
+  'meghalaya': '17',
+  'assam': '18',
+  'west bengal': '19',
+  'jharkhand': '20',
+  'odisha': '21',
+  'chhattisgarh': '22',
+  'madhya pradesh': '23',
+  'gujarat': '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  'maharashtra': '27',
+  'karnataka': '29',
+  'goa': '30',
+  'lakshadweep': '31',
+  'kerala': '32',
+  'tamil nadu': '33',
+  'puducherry': '34',
+  'andaman and nicobar islands': '35',
+  'telangana': '36',
+  'andhra pradesh': '37',
+  'ladakh': '38',
+};
+
+// Spellings seen in addresses entered by customers
+const ALIASES = {
+  'new delhi': 'delhi',
+  'nct of delhi': 'delhi',
+  'orissa': 'odisha',
+  'pondicherry': 'puducherry',
+  'uttaranchal': 'uttarakhand',
+  'j&k': 'jammu and kashmir',
+  'daman and diu': 'dadra and nagar haveli and daman and diu',
+  'dadra and nagar haveli': 'dadra and nagar haveli and daman and diu',
+  'andaman and nicobar': 'andaman and nicobar islands',
+  'mh': 'maharashtra',
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * Two-digit GST state code for a state name.
+ * @param {string|null} state - State name as entered in an address
+ * @returns {string|null} The code, or null when the state is not recognised
+ */
+const getStateCode = (state) => {
+  if (!state) return null;
+  const key = String(state).toLowerCase().replace(/&/g, ' and ').replace(/[^a-z ]/g, ' ').replace(/\s+/g, ' ').trim();
+  const name = ALIASES[key] || ALIASES[String(state).trim().toLowerCase()] || key;
+  return STATE_CODES[name] || null;
+};
+
+/**
+ * Checks the shape of a GSTIN (state code, PAN, entity number, 'Z', check character).
+ * @param {string} gstin
+ * @returns {boolean}
+ */
+const isValidGstin = (gstin) => GSTIN_PATTERN.test(String(gstin || ''));
+
+module.exports = {
+  STATE_CODES,
+  getStateCode,
+  isValidGstin,
+};
@@ -1,49 +1,6 @@
-const PdfPrinter = require('pdfmake');
-const fs = require('fs'); // Used for saving the file, not for loading fonts
-const path = require('path'); // Used for path operations for saving, not for loading fonts
-
-// Attempt to load the VFS data from pdfmake's build.
-const vfsCandidate = require('pdfmake/build/vfs_fonts.js');
-let vfsData = null;
-
-if (vfsCandidate) {
-  if (vfsCandidate.pdfMake && vfsCandidate.pdfMake.vfs) {
-    vfsData = vfsCandidate.pdfMake.vfs; // Common case: module.exports = { pdfMake: { vfs: ... } }
-  } else if (vfsCandidate.vfs) {
-    vfsData = vfsCandidate.vfs; // Case: module.exports = { vfs: ... }
-  } else {
-    vfsData = vfsCandidate; // Case: module.exports = { "Roboto-Regular.ttf": "..." }
-  }
-}
-
-// Fallback if VFS data could not be loaded or is not in expected format
-if (!vfsData || typeof vfsData['Roboto-Regular.ttf'] !== 'string') {
-  console.error('Failed to load vfs_fonts.js or VFS data is not in the expected format. PDF generation may fail or use fallback fonts.');
-  // Provide a minimal fallback VFS or handle error appropriately
-  // For now, if vfsData is null/invalid, PdfPrinter will likely fail to find fonts.
-  // This should ideally throw an error to prevent silent failures.
-  vfsData = {}; // Prevents crash on Buffer.from if keys are missing, but PDF will be broken.
-}
-
-const fonts = {
-  Roboto: {
-    // Ensure vfsData keys exist before trying to create Buffer, or handle potential errors.
-    normal: vfsData['Roboto-Regular.ttf'] ? Buffer.from(vfsData['Roboto-Regular.ttf'], 'base64') : null,
-    bold: vfsData['Roboto-Medium.ttf'] ? Buffer.from(vfsData['Roboto-Medium.ttf'], 'base64') : null,
-    italics: vfsData['Roboto-Italic.ttf'] ? Buffer.from(vfsData['Roboto-Italic.ttf'], 'base64') : null,
-    bolditalics: vfsData['Roboto-MediumItalic.ttf'] ? Buffer.from(vfsData['Roboto-MediumItalic.ttf'], 'base64') : null
-  }
-};
-
-// Filter out null fonts in case some were not found in vfsData, to prevent errors with PdfPrinter
-Object.keys(fonts.Roboto).forEach(key => {
-  if (fonts.Roboto[key] === null) {
-    console.warn(`Font style ${key} for Roboto not found in VFS data. It will be unavailable.`);
-    delete fonts.Roboto[key]; // Remove if null to avoid PdfPrinter errors with null font buffers
-  }
-});
-
-const printer = new PdfPrinter(fonts);
+const fs = require('fs'); // Used for saving the file
+const path = require('path'); // Used for path operations for saving
+const { printer } = require('./pdfPrinter');
 
 // Helper to format date as DD/MM/YYYY
 const formatDate = (dateString) => {
@@ -1,44 +1,6 @@
-const PdfPrinter = require('pdfmake');
 const fs = require('fs');
 const path = require('path');
-
-// Load VFS data for fonts
-const vfsCandidate = require('pdfmake/build/vfs_fonts.js');
-let vfsData = null;
-
-if (vfsCandidate) {
-  if (vfsCandidate.pdfMake && vfsCandidate.pdfMake.vfs) {
-    vfsData = vfsCandidate.pdfMake.vfs;
-  } else if (vfsCandidate.vfs) {
-    vfsData = vfsCandidate.vfs;
-  } else {
-    vfsData = vfsCandidate;
-  }
-}
-
-if (!vfsData || typeof vfsData['Roboto-Regular.ttf'] !== 'string') {
-  console.error('Failed to load vfs_fonts.js or VFS data is not in the expected format.');
-  vfsData = {};
-}
-
-const fonts = {
-  Roboto: {
-    normal: vfsData['Roboto-Regular.ttf'] ? Buffer.from(vfsData['Roboto-Regular.ttf'], 'base64') : null,
-    bold: vfsData['Roboto-Medium.ttf'] ? Buffer.from(vfsData['Roboto-Medium.ttf'], 'base64') : null,
-    italics: vfsData['Roboto-Italic.ttf'] ? Buffer.from(vfsData['Roboto-Italic.ttf'], 'base64') : null,
-    bolditalics: vfsData['Roboto-MediumItalic.ttf'] ? Buffer.from(vfsData['Roboto-MediumItalic.ttf'], 'base64') : null
-  }
-};
-
-// Filter out null fonts
-Object.keys(fonts.Roboto).forEach(key => {
-  if (fonts.Roboto[key] === null) {
-    console.warn(`Font style ${key} for Roboto not found in VFS data.`);
-    delete fonts.Roboto[key];
-  }
-});
-
-const printer = new PdfPrinter(fonts);
+const { printer } = require('./pdfPrinter');
 
 // Helper to format date as DD/MM/YYYY
 const formatDate = (dateString) => {
@@ -225,6 +187,24 @@ const generateInvoicePdf = async (invoiceData, filePath) => {
                 layout: 'noBorders'
               }
             ],
+            // GST included in the prices above
+            ...((totals.cgstAmount || 0) + (totals.sgstAmount || 0) > 0 ? [[
+              { text: '', border: [false, false, false, false] },
+              {
+                table: {
+                  widths: ['50%', '50%'],
+                  body: [
+                    ['Taxable Value:', totals.taxableAmount],
+                    ['Incl. CGST:', totals.cgstAmount],
+                    ['Incl. SGST:', totals.sgstAmount]
+                  ].map(([label, value]) => [
+                    { text: label, style: 'totalsLabel', border: [false, false, false, false] },
+                    { text: `₹ ${value.toFixed(2)}`, style: 'totalsValue', border: [false, false, false, false], alignment: 'right' }
+                  ])
+                },
+                layout: 'noBorders'
+              }
+            ]] : []),
             // Wallet Deduction (if applicable)
             ...(paymentDetails.walletAmount > 0 ? [[
               { text: '', border: [false, false, false, false] },
@@ -628,4 +608,215 @@ const generateInvoicePdf = async (invoiceData, filePath) => {
   });
 };
 
-module.exports = { generateInvoicePdf };
+/**
+ * Generates a GST credit note PDF against an earlier tax invoice.
+ * Uses the same layout conventions (header, bill-to, items table, totals) as the invoice.
+ */
+const generateCreditNotePdf = async (creditNoteData, filePath) => {
+  const dirname = path.dirname(filePath);
+  if (!fs.existsSync(dirname)) {
+    fs.mkdirSync(dirname, { recursive: true });
+  }
+
+  const {
+    creditNoteNumber,
+    creditNoteDate,
+    invoiceNumber,
+    invoiceDate,
+    orderNo,
+    reason,
+    member,
+    SNFlobal,
+    items,
+    totals
+  } = creditNoteData;
+
+  const companyAddress = SNFlobal.addressLines.join('\n');
+  const memberAddress = member.addressLines ? member.addressLines.join('\n') : '';
+  const money = (value) => `₹ ${Number(value || 0).toFixed(2)}`;
+
+  const totalsRow = (label, value, style = 'totalsLabel', valueStyle = 'totalsValue') => [
+    { text: '', border: [false, false, false, false] },
+    { text: label, style, border: [false, false, false, false] },
+    { text: value, style: valueStyle, alignment: 'right', border: [false, false, false, false] }
+  ];
+
+  const docDefinition = {
+    pageSize: 'A4',
+    pageMargins: [25, 25, 25, 25],
+    content: [
+      {
+        columns: [
+          {
+            width: '60%',
+            stack: [
+              { text: SNFlobal.name, style: 'companyTitle' },
+              { text: companyAddress, style: 'companyDetails' },
+              ...(SNFlobal.gstinUin ? [{ text: `GSTIN/UIN: ${SNFlobal.gstinUin}`, style: 'companyDetails' }] : []),
+              { text: `Email: ${SNFlobal.email}`, style: 'companyDetails' }
+            ]
+          },
+          {
+            width: '40%',
+            stack: [
+              { text: 'CREDIT NOTE', style: 'invoiceTitle', alignment: 'right' },
+              { text: `Credit Note No: ${creditNoteNumber}`, style: 'invoiceDetails', alignment: 'right', margin: [0, 5, 0, 0] },
+              { text: `Credit Note Date: ${formatDate(creditNoteDate)}`, style: 'invoiceDetails', alignment: 'right' },
+              { text: `Against Invoice No: ${invoiceNumber}`, style: 'invoiceDetails', alignment: 'right' },
+              { text: `Invoice Date: ${formatDate(invoiceDate)}`, style: 'invoiceDetails', alignment: 'right' },
+              { text: `Order No: ${orderNo}`, style: 'invoiceDetails', alignment: 'right' }
+            ]
+          }
+        ],
+        margin: [0, 0, 0, 6]
+      },
+
+      {
+        canvas: [{ type: 'line', x1: 0, y1: 0, x2: 535, y2: 0, lineWidth: 1, lineColor: '#000000' }],
+        margin: [0, 0, 0, 6]
+      },
+
+      {
+        columns: [
+          {
+            width: '60%',
+            stack: [
+              { text: 'Issued To:', style: 'sectionHeader' },
+              { text: member.memberName, style: 'customerName', margin: [0, 3, 0, 2] },
+              { text: memberAddress, style: 'addressText' },
+              { text: `${member.city}${member.state ? ', ' + member.state : ''}${member.pincode ? ' - ' + member.pincode : ''}`, style: 'addressText' },
+              ...(member.mobile ? [{ text: `Mobile: ${member.mobile}`, style: 'addressText', margin: [0, 2, 0, 0] }] : []),
+              ...(member.gstin ? [{ text: `GSTIN: ${member.gstin}`, style: 'addressText', margin: [0, 2, 0, 0] }] : [])
+            ]
+          },
+          {
+            width: '40%',
+            stack: [
+              { text: 'Reason:', style: 'sectionHeader' },
+              { text: reason, style: 'addressText' }
+            ]
+          }
+        ],
+        margin: [0, 0, 0, 8]
+      },
+
+      {
+        table: {
+          headerRows: 1,
+          widths: ['auto', '*', 'auto', 'auto', 'auto', 'auto', 'auto', 'auto', 'auto'],
+          body: [
+            [
+              { text: 'S.No', style: 'tableHeader' },
+              { text: 'Description', style: 'tableHeader' },
+              { text: 'HSN/SAC', style: 'tableHeader' },
+              { text: 'Qty', style: 'tableHeader', alignment: 'right' },
+              { text: 'Rate', style: 'tableHeader', alignment: 'right' },
+              { text: 'Taxable', style: 'tableHeader', alignment: 'right' },
+              { text: 'CGST', style: 'tableHeader', alignment: 'right' },
+              { text: 'SGST', style: 'tableHeader', alignment: 'right' },
+              { text: 'Amount', style: 'tableHeader', alignment: 'right' }
+            ],
+            ...items.map(item => [
+              { text: item.srNo.toString(), style: 'tableCell', alignment: 'center' },
+              { text: item.description, style: 'tableCellDescription' },
+              { text: item.hsnSac || '-', style: 'tableCell', alignment: 'center' },
+              { text: item.quantity.toString(), style: 'tableCell', alignment: 'right' },
+              { text: Number(item.rate).toFixed(2), style: 'tableCell', alignment: 'right' },
+              { text: Number(item.taxableAmount).toFixed(2), style: 'tableCell', alignment: 'right' },
+              { text: `${Number(item.cgstAmount).toFixed(2)}\n(${item.cgstRate}%)`, style: 'tableCell', alignment: 'right' },
+              { text: `${Number(item.sgstAmount).toFixed(2)}\n(${item.sgstRate}%)`, style: 'tableCell', alignment: 'right' },
+              { text: Number(item.amount).toFixed(2), style: 'tableCell', alignment: 'right' }
+            ])
+          ]
+        },
+        layout: {
+          hLineWidth: (i, node) => (i === 0 || i === 1 || i === node.table.body.length) ? 1 : 0.5,
+          vLineWidth: () => 0.5,
+          hLineColor: () => '#000000',
+          vLineColor: () => '#AAAAAA',
+          paddingTop: (i) => i === 0 ? 5 : 4,
+          paddingBottom: (i) => i === 0 ? 5 : 4,
+          paddingLeft: () => 6,
+          paddingRight: () => 6
+        }
+      },
+
+      {
+        margin: [0, 8, 0, 0],
+        table: {
+          widths: ['*', 'auto', 90],
+          body: [
+            totalsRow('Taxable Value:', money(totals.taxableAmount)),
+            totalsRow('CGST:', money(totals.cgstAmount)),
+            totalsRow('SGST:', money(totals.sgstAmount)),
+            ...(totals.igstAmount > 0 ? [totalsRow('IGST:', money(totals.igstAmount))] : []),
+            totalsRow('Total Credit:', money(totals.totalAmount), 'grandTotalLabel', 'grandTotalValue')
+          ]
+        },
+        layout: 'noBorders'
+      },
+
+      {
+        stack: [
+          { text: 'Amount in Words:', style: 'amountWordsLabel' },
+          { text: totals.amountInWords, style: 'amountWordsValue' }
+        ],
+        margin: [0, 10, 0, 20]
+      },
+
+      {
+        columns: [
+          { text: '', width: '*' },
+          {
+            width: 200,
+            stack: [
+              { text: `For ${SNFlobal.name}`, style: 'signatureText', alignment: 'center' },
+              { text: '\n\n', style: 'normalText' },
+              {
+                canvas: [{ type: 'line', x1: 0, y1: 0, x2: 200, y2: 0, lineWidth: 0.5, lineColor: '#000000' }],
+                alignment: 'center'
+              },
+              { text: 'Authorized Signatory', style: 'signatureText', alignment: 'center', margin: [0, 4, 0, 0] }
+            ]
+          }
+        ]
+      }
+    ],
+    styles: {
+      companyTitle: { fontSize: 18, bold: true, color: '#000000' },
+      companyDetails: { fontSize: 9, margin: [0, 1, 0, 0], color: '#000000' },
+      invoiceTitle: { fontSize: 16, bold: true, color: '#000000' },
+      invoiceDetails: { fontSize: 9, color: '#000000' },
+      sectionHeader: { fontSize: 11, bold: true, color: '#000000', margin: [0, 0, 0, 4] },
+      customerName: { fontSize: 12, bold: true, color: '#000000' },
+      addressText: { fontSize: 9, color: '#000000', lineHeight: 1.2 },
+      tableHeader: { fontSize: 9, bold: true, color: '#000000', fillColor: '#E0E0E0' },
+      tableCell: { fontSize: 8, color: '#000000' },
+      tableCellDescription: { fontSize: 8, color: '#000000', lineHeight: 1.3 },
+      totalsLabel: { fontSize: 10, color: '#444444', margin: [0, 2, 0, 2] },
+      totalsValue: { fontSize: 10, color: '#000000', margin: [0, 2, 0, 2] },
+      grandTotalLabel: { fontSize: 12, bold: true, color: '#000000', margin: [0, 1, 0, 1] },
+      grandTotalValue: { fontSize: 12, bold: true, color: '#000000', margin: [0, 1, 0, 1] },
+      amountWordsLabel: { fontSize: 9, bold: true, color: '#000000' },
+      amountWordsValue: { fontSize: 10, italics: true, color: '#000000' },
+      signatureText: { fontSize: 9, color: '#000000' },
+      normalText: { fontSize: 9 }
+    },
+    defaultStyle: {
+      font: 'Roboto',
+      columnGap: 20
+    }
+  };
+
+  const pdfDoc = printer.createPdfKitDocument(docDefinition);
+
+  return new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(filePath);
+    pdfDoc.pipe(stream);
+    pdfDoc.end();
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+};
+
+module.exports = { generateInvoicePdf, generateCreditNotePdf };
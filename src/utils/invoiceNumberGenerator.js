@@ -15,58 +15,27 @@
  * - First invoice of FY 2025-26: 2526-00001
  * - Second invoice of FY 2025-26: 2526-00002
  * - First invoice of FY 2026-27: 2627-00001
+ *
+ * These are the default formats. Numbers are issued by the document sequence
+ * service, which locks a counter per series and lets admins change formats.
  */
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { nextNumber } = require('../services/documentSequenceService');
 
 /**
  * Generate financial year based invoice number in format: YYNN-NNNNN
  * Where YYNN is the financial year (e.g., 2526 for FY 2025-26)
  * And NNNNN is the incrementing sequence number
  * 
+ * Numbers come from the INVOICE document sequence, so the format can be
+ * changed from the sequence settings.
+ *
+ * @param {Object} [tx] - Prisma transaction client, so the number is taken in the caller's transaction
  * @returns {Promise<string>} Generated invoice number
  */
-const generateInvoiceNumber = async () => {
+const generateInvoiceNumber = async (tx = null) => {
   try {
-    // Get current financial year
-    const financialYear = getCurrentFinancialYear();
-
-    // Use a transaction to ensure atomicity and prevent race conditions
-    const result = await prisma.$transaction(async (tx) => {
-      // Get the last invoice number for this financial year with row locking
-      const lastInvoice = await tx.productOrder.findFirst({
-        where: {
-          invoiceNo: {
-            startsWith: `${financialYear}-`
-          }
-        },
-        orderBy: {
-          invoiceNo: 'desc'
-        },
-        select: {
-          invoiceNo: true
-        }
-      });
-
-      let sequenceNumber = 1;
-
-      if (lastInvoice && lastInvoice.invoiceNo) {
-        // Extract sequence number from last invoice
-        const lastSequence = lastInvoice.invoiceNo.split('-')[1];
-        sequenceNumber = parseInt(lastSequence, 10) + 1;
-      }
-
-      // Format sequence number with leading zeros (5 digits)
-      const formattedSequence = sequenceNumber.toString().padStart(5, '0');
-
-      // Generate final invoice number
-      const invoiceNumber = `${financialYear}-${formattedSequence}`;
-
-      return invoiceNumber;
-    });
-
-    return result;
+    return await nextNumber('INVOICE', { tx });
   } catch (error) {
     console.error('Error generating invoice number:', error);
     throw new Error('Failed to generate invoice number');
@@ -78,58 +47,37 @@ const generateInvoiceNumber = async () => {
  * Where YYNN is the financial year (e.g., 2526 for FY 2025-26)
  * And NNNNN is the incrementing sequence number specific to SNF orders
  * 
+ * @param {Object} [options]
+ * @param {number} [options.depotId] - Depot of the order, for depot-specific series
+ * @param {Object} [options.tx] - Prisma transaction client
  * @returns {Promise<string>} Generated SNF invoice number
  */
-const generateSNFInvoiceNumber = async () => {
+const generateSNFInvoiceNumber = async ({ depotId = null, tx = null } = {}) => {
   try {
-    // Get current financial year
-    const financialYear = getCurrentFinancialYear();
-    const prefix = `SNF-${financialYear}`;
-
-    // Use a transaction to ensure atomicity and prevent race conditions
-    const result = await prisma.$transaction(async (tx) => {
-      // Get the last SNF invoice number for this financial year
-      const lastInvoice = await tx.sNFOrder.findFirst({
-        where: {
-          invoiceNo: {
-            startsWith: `${prefix}-`
-          }
-        },
-        orderBy: {
-          invoiceNo: 'desc'
-        },
-        select: {
-          invoiceNo: true
-        }
-      });
-
-      let sequenceNumber = 1;
-
-      if (lastInvoice && lastInvoice.invoiceNo) {
-        // Extract sequence number from last invoice (SNF-YYNN-NNNNN)
-        const parts = lastInvoice.invoiceNo.split('-');
-        if (parts.length >= 3) {
-          const lastSequence = parts[2]; // Get the NNNNN part
-          sequenceNumber = parseInt(lastSequence, 10) + 1;
-        }
-      }
-
-      // Format sequence number with leading zeros (5 digits)
-      const formattedSequence = sequenceNumber.toString().padStart(5, '0');
-
-      // Generate final invoice number
-      const invoiceNumber = `${prefix}-${formattedSequence}`;
-
-      return invoiceNumber;
-    });
-
-    return result;
+    return await nextNumber('SNF_INVOICE', { depotId, tx });
   } catch (error) {
     console.error('Error generating SNF invoice number:', error);
     throw new Error('Failed to generate SNF invoice number');
   }
 };
 
+/**
+ * Generate financial year based credit note number in format: CN-YYNN-NNNNN
+ * Credit notes have their own series, so the sequence is independent of
+ * invoice numbers and also resets every April.
+ *
+ * @param {Object} [tx] - Prisma transaction client, so the number is taken in the caller's transaction
+ * @returns {Promise<string>} Generated credit note number
+ */
+const generateCreditNoteNumber = async (tx = null) => {
+  try {
+    return await nextNumber('CREDIT_NOTE', { tx });
+  } catch (error) {
+    console.error('Error generating credit note number:', error);
+    throw new Error('Failed to generate credit note number');
+  }
+};
+
 /**
  * Get current financial year in YYNN format
  * Financial year runs from April 1st to March 31st
@@ -199,6 +147,7 @@ const extractSequenceNumber = (invoiceNo) => {
 module.exports = {
   generateInvoiceNumber,
   generateSNFInvoiceNumber,
+  generateCreditNoteNumber,
   getCurrentFinancialYear,
   validateInvoiceNumber,
   extractFinancialYear,
@@ -0,0 +1,65 @@
+const PdfPrinter = require('pdfmake');
+
+/**
+ * The pdfmake printer every PDF generator shares, with the Roboto fonts
+ * bundled in pdfmake's virtual file system. Roboto has no dingbats (✓, ✔),
+ * so documents should stick to plain text for marks.
+ */
+
+// Attempt to load the VFS data from pdfmake's build.
+const vfsCandidate = require('pdfmake/build/vfs_fonts.js');
+let vfsData = null;
+
+if (vfsCandidate) {
+  if (vfsCandidate.pdfMake && vfsCandidate.pdfMake.vfs) {
+    vfsData = vfsCandidate.pdfMake.vfs; // Common case: module.exports = { pdfMake: { vfs: ... } }
+  } else if (vfsCandidate.vfs) {
+    vfsData = vfsCandidate.vfs; // Case: module.exports = { vfs: ... }
+  } else {
+    vfsData = vfsCandidate; // Case: module.exports = { "Roboto-Regular.ttf": "..." }
+  }
+}
+
+// Fallback if VFS data could not be loaded or is not in expected format
+if (!vfsData || typeof vfsData['Roboto-Regular.ttf'] !== 'string') {
+  console.error('Failed to load vfs_fonts.js or VFS data is not in the expected format. PDF generation may fail or use fallback fonts.');
+  vfsData = {}; // Prevents crash on Buffer.from if keys are missing, but PDF will be broken.
+}
+
+const fonts = {
+  Roboto: {
+    normal: vfsData['Roboto-Regular.ttf'] ? Buffer.from(vfsData['Roboto-Regular.ttf'], 'base64') : null,
+    bold: vfsData['Roboto-Medium.ttf'] ? Buffer.from(vfsData['Roboto-Medium.ttf'], 'base64') : null,
+    italics: vfsData['Roboto-Italic.ttf'] ? Buffer.from(vfsData['Roboto-Italic.ttf'], 'base64') : null,
+    bolditalics: vfsData['Roboto-MediumItalic.ttf'] ? Buffer.from(vfsData['Roboto-MediumItalic.ttf'], 'base64') : null
+  }
+};
+
+// Filter out null fonts in case some were not found in vfsData, to prevent errors with PdfPrinter
+Object.keys(fonts.Roboto).forEach(key => {
+  if (fonts.Roboto[key] === null) {
+    console.warn(`Font style ${key} for Roboto not found in VFS data. It will be unavailable.`);
+    delete fonts.Roboto[key];
+  }
+});
+
+const printer = new PdfPrinter(fonts);
+
+/**
+ * Render a pdfmake document definition in memory.
+ * @param {object} docDefinition
+ * @returns {Promise<Buffer>}
+ */
+const renderPdfBuffer = (docDefinition) => {
+  const pdfDoc = printer.createPdfKitDocument(docDefinition);
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    pdfDoc.on('data', (chunk) => chunks.push(chunk));
+    pdfDoc.on('end', () => resolve(Buffer.concat(chunks)));
+    pdfDoc.on('error', reject);
+    pdfDoc.end();
+  });
+};
+
+module.exports = { printer, renderPdfBuffer };
@@ -0,0 +1,13 @@
+/**
+ * Depot a depot-scoped request works on: a DepotAdmin always works on their
+ * own depot, whatever they ask for; admins pick one.
+ * @param {Object} req - Express request with req.user
+ * @param {string|number|undefined} requested - depotId from the query, params or body
+ * @returns {number|null} Depot id, or null when none applies
+ */
+const resolveDepotId = (req, requested) => {
+  if (req.user.role === "DepotAdmin") return req.user.depotId || null;
+  return requested ? parseInt(requested) : null;
+};
+
+module.exports = resolveDepotId;
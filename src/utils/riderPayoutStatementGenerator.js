@@ -0,0 +1,140 @@
+const { renderPdfBuffer } = require('./pdfPrinter');
+
+const money = (value) => Number(value || 0).toFixed(2);
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB') : '-');
+
+/**
+ * Generates a rider's weekly payout statement.
+ * @param {object} statement - Output of riderPayoutService.getStatement
+ * @returns {Promise<Buffer>}
+ */
+const generateRiderPayoutStatementPdf = (statement) => {
+  const { deliveryPartner: partner, depot, lines = [], cashEntries = [], cashHandovers = [] } = statement;
+  const partnerName = [partner?.firstName, partner?.lastName].filter(Boolean).join(' ');
+
+  const dropsBody = [
+    [
+      { text: 'Date', style: 'tableHeader' },
+      { text: 'Type', style: 'tableHeader' },
+      { text: 'Delivered At', style: 'tableHeader' },
+      { text: 'On Time', style: 'tableHeader' },
+      { text: 'Km', style: 'tableHeader' },
+      { text: 'Drop (₹)', style: 'tableHeader' },
+      { text: 'Distance (₹)', style: 'tableHeader' },
+    ],
+    ...lines.map((line) => [
+      { text: formatDate(line.deliveryDate), style: 'tableCell' },
+      { text: line.dropType === 'SNF_ORDER' ? 'SNF Order' : 'Subscription', style: 'tableCell' },
+      { text: line.deliveredAt ? new Date(line.deliveredAt).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }) : '-', style: 'tableCell' },
+      { text: line.onTime ? 'Yes' : 'No', style: 'tableCell', alignment: 'center' },
+      { text: line.legDistanceKm !== null && line.legDistanceKm !== undefined ? Number(line.legDistanceKm).toFixed(1) : '-', style: 'tableCell', alignment: 'right' },
+      { text: money(line.dropAmount), style: 'tableCell', alignment: 'right' },
+      { text: money(line.distanceAmount), style: 'tableCell', alignment: 'right' },
+    ]),
+  ];
+
+  const deductions = [
+    ...cashEntries.map((entry) => [
+      { text: formatDate(entry.deliveryDate), style: 'tableCell' },
+      { text: `COD shortfall on order ${entry.snfOrder?.orderNo || ''}`, style: 'tableCell' },
+      { text: money(entry.shortfallAmount), style: 'tableCell', alignment: 'right' },
+    ]),
+    ...cashHandovers.map((handover) => [
+      { text: formatDate(handover.handoverDate), style: 'tableCell' },
+      { text: `Cash short at handover #${handover.id}`, style: 'tableCell' },
+      { text: money(-Number(handover.varianceAmount)), style: 'tableCell', alignment: 'right' },
+    ]),
+  ];
+
+  const summaryRow = (label, value, bold = false) => [
+    { text: label, style: bold ? 'summaryBold' : 'summary' },
+    { text: value, style: bold ? 'summaryBold' : 'summary', alignment: 'right' },
+  ];
+
+  const docDefinition = {
+    pageSize: 'A4',
+    pageMargins: [30, 30, 30, 30],
+    content: [
+      { text: 'Delivery Partner Payout Statement', style: 'header' },
+      {
+        columns: [
+          [
+            { text: `Delivery Partner: ${partnerName}`, style: 'subheader' },
+            { text: `Mobile: ${partner?.mobile || '-'}`, style: 'normalText' },
+            { text: `Depot: ${depot?.name || '-'}`, style: 'normalText' },
+          ],
+          [
+            { text: `Statement #${statement.id}`, style: 'normalTextRight' },
+            { text: `Week: ${formatDate(statement.periodStart)} - ${formatDate(statement.periodEnd)}`, style: 'normalTextRight' },
+            { text: `Status: ${statement.status}`, style: 'normalTextRight' },
+            ...(statement.paymentReference ? [{ text: `Payment Ref: ${statement.paymentReference}`, style: 'normalTextRight' }] : []),
+          ],
+        ],
+        margin: [0, 0, 0, 10],
+      },
+      {
+        table: {
+          widths: ['*', 100],
+          body: [
+            summaryRow(`SNF order drops (${statement.snfDrops})  |  Subscription drops (${statement.subscriptionDrops})`, money(statement.dropEarnings)),
+            summaryRow(`Distance pay (${Number(statement.distanceKm || 0).toFixed(1)} km)`, money(statement.distanceEarnings)),
+            summaryRow(`On-time incentive (${Number(statement.onTimePercent || 0).toFixed(2)}% on time)`, money(statement.incentiveAmount)),
+            summaryRow('Gross earnings', money(statement.grossAmount), true),
+            summaryRow('Less: cash shortfalls', money(statement.shortfallDeduction)),
+            summaryRow('Net payable', money(statement.netAmount), true),
+          ],
+        },
+        layout: 'lightHorizontalLines',
+        margin: [0, 0, 0, 15],
+      },
+      { text: 'Drops', style: 'subheader' },
+      {
+        table: {
+          headerRows: 1,
+          dontBreakRows: true,
+          widths: [60, 70, 60, 45, 40, '*', '*'],
+          body: dropsBody,
+        },
+        layout: 'lightHorizontalLines',
+        margin: [0, 0, 0, 15],
+      },
+      ...(deductions.length
+        ? [
+          { text: 'Deductions', style: 'subheader' },
+          {
+            table: {
+              headerRows: 1,
+              widths: [60, '*', 80],
+              body: [
+                [
+                  { text: 'Date', style: 'tableHeader' },
+                  { text: 'Reason', style: 'tableHeader' },
+                  { text: 'Amount (₹)', style: 'tableHeader' },
+                ],
+                ...deductions,
+              ],
+            },
+            layout: 'lightHorizontalLines',
+          },
+        ]
+        : []),
+    ],
+    styles: {
+      header: { fontSize: 16, bold: true, alignment: 'center', margin: [0, 0, 0, 10] },
+      subheader: { fontSize: 11, bold: true, margin: [0, 0, 0, 4] },
+      normalText: { fontSize: 9, margin: [0, 1, 0, 1] },
+      normalTextRight: { fontSize: 9, margin: [0, 1, 0, 1], alignment: 'right' },
+      summary: { fontSize: 9, margin: [0, 2, 0, 2] },
+      summaryBold: { fontSize: 10, bold: true, margin: [0, 2, 0, 2] },
+      tableHeader: { bold: true, fontSize: 9, fillColor: '#f2f2f2', margin: [0, 3, 0, 3] },
+      tableCell: { fontSize: 8, margin: [0, 3, 0, 3] },
+    },
+    defaultStyle: {
+      font: 'Roboto'
+    }
+  };
+
+  return renderPdfBuffer(docDefinition);
+};
+
+module.exports = { generateRiderPayoutStatementPdf };
@@ -0,0 +1,147 @@
+// Offline stop sequencing for delivery routes: nearest-neighbour tour from the
+// depot, improved with 2-opt. Distances are great-circle (haversine) in km.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const hasCoordinates = (point) =>
+  point &&
+  typeof point.latitude === 'number' &&
+  typeof point.longitude === 'number' &&
+  !isNaN(point.latitude) &&
+  !isNaN(point.longitude);
+
+/**
+ * Parse latitude/longitude from request input. Returns nulls unless both are
+ * present and within range, so a half-entered pin never reaches the planner.
+ */
+const parseCoordinates = (latitude, longitude) => {
+  const lat = latitude === null || latitude === undefined || latitude === '' ? NaN : Number(latitude);
+  const lon = longitude === null || longitude === undefined || longitude === '' ? NaN : Number(longitude);
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return { latitude: null, longitude: null };
+  }
+  return { latitude: lat, longitude: lon };
+};
+
+const haversineKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+// Length of an open path starting at the origin (riders do not need to return to the depot)
+const pathLength = (origin, stops) => {
+  let total = 0;
+  let previous = origin;
+  for (const stop of stops) {
+    total += haversineKm(previous, stop);
+    previous = stop;
+  }
+  return total;
+};
+
+const nearestNeighbour = (origin, stops) => {
+  const remaining = [...stops];
+  const tour = [];
+  let current = origin;
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestDistance = Infinity;
+    remaining.forEach((stop, index) => {
+      const distance = haversineKm(current, stop);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestIndex = index;
+      }
+    });
+    current = remaining.splice(bestIndex, 1)[0];
+    tour.push(current);
+  }
+
+  return tour;
+};
+
+// Reverse segments while that shortens the path; capped so large days stay fast
+const twoOpt = (origin, tour, maxPasses = 50) => {
+  const route = [origin, ...tour];
+  let improved = true;
+  let passes = 0;
+
+  while (improved && passes < maxPasses) {
+    improved = false;
+    passes++;
+    for (let i = 1; i < route.length - 1; i++) {
+      for (let k = i + 1; k < route.length; k++) {
+        const before = haversineKm(route[i - 1], route[i]) +
+          (k + 1 < route.length ? haversineKm(route[k], route[k + 1]) : 0);
+        const after = haversineKm(route[i - 1], route[k]) +
+          (k + 1 < route.length ? haversineKm(route[i], route[k + 1]) : 0);
+        if (after + 1e-9 < before) {
+          const reversed = route.slice(i, k + 1).reverse();
+          route.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return route.slice(1);
+};
+
+/**
+ * Order delivery stops into an efficient route.
+ *
+ * Stops without coordinates cannot be placed geographically; they are kept
+ * after the routed stops, grouped by pincode so the rider still works one
+ * area at a time.
+ *
+ * @param {{ latitude: number, longitude: number }|null} origin Depot location
+ * @param {Array<{ latitude?: number, longitude?: number, pincode?: string }>} stops
+ * @returns {{ stops: Array<Object & { sequence: number, legDistanceKm: number|null }>, totalDistanceKm: number, unroutedCount: number }}
+ */
+const planRoute = (origin, stops) => {
+  const located = stops.filter(hasCoordinates);
+  const unlocated = stops
+    .filter((stop) => !hasCoordinates(stop))
+    .sort((a, b) => String(a.pincode || '').localeCompare(String(b.pincode || '')));
+
+  let ordered = [];
+  let start = null;
+  if (located.length > 0 && hasCoordinates(origin)) {
+    start = origin;
+    ordered = twoOpt(start, nearestNeighbour(start, located));
+  } else if (located.length > 0) {
+    // Without a depot location the first stop anchors the route
+    start = located[0];
+    ordered = [start, ...twoOpt(start, nearestNeighbour(start, located.slice(1)))];
+  }
+
+  let previous = start;
+  const sequenced = ordered.map((stop, index) => {
+    const legDistanceKm = Math.round(haversineKm(previous, stop) * 100) / 100;
+    previous = stop;
+    return { ...stop, sequence: index + 1, legDistanceKm };
+  });
+
+  unlocated.forEach((stop) => {
+    sequenced.push({ ...stop, sequence: sequenced.length + 1, legDistanceKm: null });
+  });
+
+  return {
+    stops: sequenced,
+    totalDistanceKm: ordered.length > 0 ? Math.round(pathLength(start, ordered) * 100) / 100 : 0,
+    unroutedCount: unlocated.length,
+  };
+};
+
+module.exports = {
+  parseCoordinates,
+  haversineKm,
+  planRoute,
+};
@@ -0,0 +1,79 @@
+const { renderPdfBuffer } = require('./pdfPrinter');
+
+/**
+ * Generates a printable route sheet for one delivery partner's day.
+ * @param {object} sheet - Output of deliveryRouteService.getRouteSheet
+ * @returns {Promise<Buffer>}
+ */
+const generateRouteSheetPdf = (sheet) => {
+  const { partner, depot, deliveryDate, totalDistanceKm, stops } = sheet;
+  const partnerName = [partner.firstName, partner.lastName].filter(Boolean).join(' ');
+
+  const body = [
+    [
+      { text: '#', style: 'tableHeader' },
+      { text: 'Customer', style: 'tableHeader' },
+      { text: 'Address', style: 'tableHeader' },
+      { text: 'Items', style: 'tableHeader' },
+      { text: 'Collect (₹)', style: 'tableHeader' },
+      { text: 'Km', style: 'tableHeader' },
+      { text: 'Done', style: 'tableHeader' },
+    ],
+    ...stops.map((stop, index) => [
+      { text: String(stop.sequence || index + 1), style: 'tableCell', alignment: 'center' },
+      { text: `${stop.customerName}\n${stop.mobile}\n${stop.reference}`, style: 'tableCell' },
+      { text: `${stop.address}${stop.pincode ? ` - ${stop.pincode}` : ''}`, style: 'tableCell' },
+      { text: stop.items.join('\n'), style: 'tableCell' },
+      { text: stop.amountDue > 0 ? stop.amountDue.toFixed(2) : '-', style: 'tableCell', alignment: 'right' },
+      { text: stop.legDistanceKm !== null && stop.legDistanceKm !== undefined ? stop.legDistanceKm.toFixed(1) : '-', style: 'tableCell', alignment: 'right' },
+      { text: stop.status === 'DELIVERED' ? 'Yes' : '', style: 'tableCell', alignment: 'center' },
+    ]),
+  ];
+
+  const docDefinition = {
+    pageSize: 'A4',
+    pageOrientation: 'landscape',
+    pageMargins: [30, 30, 30, 30],
+    content: [
+      { text: 'Delivery Route Sheet', style: 'header' },
+      {
+        columns: [
+          [
+            { text: `Delivery Partner: ${partnerName}`, style: 'subheader' },
+            { text: `Mobile: ${partner.mobile}`, style: 'normalText' },
+          ],
+          [
+            { text: `Date: ${deliveryDate.split('-').reverse().join('/')}`, style: 'normalTextRight' },
+            { text: `Depot: ${depot?.name || '-'}`, style: 'normalTextRight' },
+            { text: `Stops: ${stops.length}  |  Approx. distance: ${totalDistanceKm.toFixed(1)} km`, style: 'normalTextRight' },
+          ],
+        ],
+        margin: [0, 0, 0, 10],
+      },
+      {
+        table: {
+          headerRows: 1,
+          dontBreakRows: true,
+          widths: [20, 110, '*', 150, 55, 35, 35],
+          body,
+        },
+        layout: 'lightHorizontalLines',
+      },
+    ],
+    styles: {
+      header: { fontSize: 16, bold: true, alignment: 'center', margin: [0, 0, 0, 10] },
+      subheader: { fontSize: 11, bold: true, margin: [0, 0, 0, 2] },
+      normalText: { fontSize: 9, margin: [0, 1, 0, 1] },
+      normalTextRight: { fontSize: 9, margin: [0, 1, 0, 1], alignment: 'right' },
+      tableHeader: { bold: true, fontSize: 9, fillColor: '#f2f2f2', margin: [0, 3, 0, 3] },
+      tableCell: { fontSize: 8, margin: [0, 3, 0, 3] },
+    },
+    defaultStyle: {
+      font: 'Roboto'
+    }
+  };
+
+  return renderPdfBuffer(docDefinition);
+};
+
+module.exports = { generateRouteSheetPdf };
@@ -0,0 +1,149 @@
+/**
+ * Subscription schedule helpers shared by checkout (productOrderController)
+ * and the automatic renewal job (subscriptionRenewalService).
+ */
+
+// Helper function to get the correct price based on the subscription period
+const getPriceForPeriod = (depotVariant, periodInDays) => {
+  const toNumber = (val) => {
+    const num = Number(val);
+    return Number.isFinite(num) && num > 0 ? num : undefined;
+  };
+
+  let periodPrice;
+  switch (periodInDays) {
+    case 0:
+      // Buy-once order: use buyOncePrice directly
+      periodPrice = toNumber(depotVariant.buyOncePrice);
+      break;
+    case 3:
+      periodPrice = toNumber(depotVariant.price3Day);
+      break;
+    case 15:
+      periodPrice = toNumber(depotVariant.price15Day);
+      break;
+    case 30:
+      periodPrice = toNumber(depotVariant.price1Month);
+      break;
+  }
+
+  // Fallback chain: period price -> buyOncePrice -> MRP
+  return periodPrice ?? toNumber(depotVariant.buyOncePrice) ?? toNumber(depotVariant.mrp) ?? 0;
+};
+
+// Helper function to get day key from day index (0 for Sunday, 1 for Monday, etc.)
+const getDayKey = (dayIndex) => {
+  return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][dayIndex];
+};
+
+// Helper function to generate delivery dates and their quantities
+const generateDeliveryDates = (startDate, periodInDays, deliveryScheduleType, qty, altQty, selectedWeekdays = []) => {
+  const deliveries = [];
+  const baseStartDate = new Date(startDate);
+
+  const lowerSelectedWeekdays = Array.isArray(selectedWeekdays) ? selectedWeekdays.map(day => day.toLowerCase()) : [];
+
+  const hasValidAltQty = altQty && typeof altQty === 'number' && altQty > 0;
+  let effectiveScheduleType = deliveryScheduleType; // Initialize with the passed type
+
+  // Determine the final effective schedule type for internal logic
+  if (deliveryScheduleType === 'VARYING') {
+    effectiveScheduleType = hasValidAltQty ? 'VARYING_ALTERNATING' : 'DAILY';
+  } else if (deliveryScheduleType === 'ALTERNATE_DAYS') {
+    // If 'ALTERNATE_DAYS' is chosen directly, and altQty might be provided for varying quantities on those alternate days.
+    effectiveScheduleType = 'ALTERNATE_DAYS_LOGIC';
+  }
+  // If deliveryScheduleType is 'SELECT_DAYS' or 'DAILY', effectiveScheduleType remains as is (from initialization).
+
+  let deliveryCountForAlternating = 0; // Used for VARYING_ALTERNATING and ALTERNATE_DAYS_LOGIC with altQty
+
+  // Special handling for buy-once orders (period = 0)
+  const actualPeriodInDays = periodInDays === 0 ? 1 : periodInDays;
+
+  for (let i = 0; i < actualPeriodInDays; i++) {
+    // Construct currentDate at midnight UTC for the target day
+    const currentDate = new Date(Date.UTC(
+      baseStartDate.getUTCFullYear(),
+      baseStartDate.getUTCMonth(),
+      baseStartDate.getUTCDate() + i
+    ));
+    // currentDate is now effectively YYYY-MM-DDT00:00:00.000Z
+
+    let shouldAddDelivery = false;
+    let currentQuantity = qty; // Default to primary quantity
+
+    if (effectiveScheduleType === 'DAILY') {
+      shouldAddDelivery = true;
+      currentQuantity = qty;
+    } else if (effectiveScheduleType === 'ALTERNATE_DAYS_LOGIC') {
+      if (i % 2 === 0) { // Delivery on 0th, 2nd, 4th... day relative to period start
+        shouldAddDelivery = true;
+        if (hasValidAltQty) {
+          currentQuantity = (deliveryCountForAlternating % 2 === 0) ? qty : altQty;
+          deliveryCountForAlternating++;
+        } else {
+          currentQuantity = qty;
+        }
+      }
+    } else if (effectiveScheduleType === 'VARYING_ALTERNATING') {
+      // VARYING schedule type from frontend with a valid altQty.
+      // Delivery every day, quantity alternates between qty and altQty.
+      shouldAddDelivery = true;
+      currentQuantity = (i % 2 === 0) ? qty : altQty; // Start with qty on day 0
+    } else if (effectiveScheduleType === 'SELECT_DAYS') {
+      const currentDayKey = getDayKey(currentDate.getUTCDay()); // Use getUTCDay() for UTC-based day index
+      if (lowerSelectedWeekdays.includes(currentDayKey)) {
+        shouldAddDelivery = true;
+        currentQuantity = qty;
+      }
+    }
+
+    if (shouldAddDelivery) {
+      deliveries.push({ date: currentDate, quantity: currentQuantity });
+    }
+  }
+  return deliveries;
+};
+
+// Helper function to map delivery schedule types
+function mapDeliverySchedule(rawDeliverySchedule) {
+  const scheduleMap = {
+    'DAILY': { internal: 'DAILY', db: 'DAILY' },
+    'SELECT-DAYS': { internal: 'SELECT_DAYS', db: 'WEEKDAYS' },
+    'ALTERNATE-DAYS': { internal: 'ALTERNATE_DAYS', db: 'ALTERNATE_DAYS' },
+    'DAY1-DAY2': { internal: 'VARYING', db: 'DAY1_DAY2' },
+    'VARYING': { internal: 'VARYING', db: 'DAY1_DAY2' }
+  };
+
+  const mapped = scheduleMap[rawDeliverySchedule.toUpperCase()];
+  if (!mapped) {
+    throw new Error(`Invalid delivery schedule type: ${rawDeliverySchedule}`);
+  }
+
+  return {
+    internalScheduleLogicType: mapped.internal,
+    dbDeliveryScheduleEnum: mapped.db
+  };
+}
+
+// Map a stored DeliverySchedule enum back to the logic type used by generateDeliveryDates
+function getScheduleLogicType(dbDeliverySchedule) {
+  switch (dbDeliverySchedule) {
+    case 'WEEKDAYS':
+      return 'SELECT_DAYS';
+    case 'ALTERNATE_DAYS':
+      return 'ALTERNATE_DAYS';
+    case 'DAY1_DAY2':
+      return 'VARYING';
+    default:
+      return 'DAILY';
+  }
+}
+
+module.exports = {
+  getDayKey,
+  getPriceForPeriod,
+  generateDeliveryDates,
+  mapDeliverySchedule,
+  getScheduleLogicType,
+};
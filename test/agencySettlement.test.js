@@ -0,0 +1,120 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  Agency: [],
+  AgencyCommissionRule: [],
+  DeliveryScheduleEntry: [],
+  OrderItem: [],
+  VendorOrder: [],
+  AgencySettlementStatement: [],
+  AgencySettlementLine: [],
+};
+useFakeDb(tables);
+
+const { generateStatement, finaliseStatement } = require('../src/services/agencySettlementService');
+
+// Last month, so the statement can be finalised
+const month = dayjs().subtract(1, 'month').format('YYYY-MM');
+const inMonth = dayjs(`${month}-10`).toDate();
+
+const rule = (id, data) => ({
+  id,
+  agencyId: null,
+  productId: null,
+  depotProductVariantId: null,
+  appliesTo: null,
+  active: true,
+  ...data,
+});
+
+const delivery = (id, data) => ({
+  id,
+  status: 'DELIVERED',
+  deliveryDate: inMonth,
+  agentId: 2,
+  depotProductVariantId: null,
+  product: { name: `Product ${data.productId}` },
+  ...data,
+});
+
+const seed = () => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  tables.Agency.push({ id: 2 }, { id: 3 });
+  tables.AgencyCommissionRule.push(
+    rule(1, { appliesTo: 'SUBSCRIPTION', commissionType: 'PERCENT_OF_RATE', value: 10 }),
+    // More specific than rule 1 for this agency's product 1
+    rule(2, {
+      agencyId: 2, productId: 1, appliesTo: 'SUBSCRIPTION', commissionType: 'FLAT_PER_UNIT', value: 2,
+    }),
+    rule(3, { appliesTo: 'VENDOR_ORDER', commissionType: 'FLAT_PER_UNIT', value: 1 }),
+    rule(4, {
+      agencyId: 3, appliesTo: 'SUBSCRIPTION', commissionType: 'FLAT_PER_UNIT', value: 5,
+    }),
+  );
+  tables.DeliveryScheduleEntry.push(
+    delivery(1, { productId: 1, quantity: 3, subscription: { agencyId: 2, rate: 50 } }),
+    // No agent on the entry: the subscription's agency gets it
+    delivery(2, {
+      productId: 2, quantity: 2, agentId: null, subscription: { agencyId: 2, rate: 40 },
+    }),
+    delivery(3, {
+      productId: 2, quantity: 4, agentId: 3, subscription: { agencyId: 3, rate: 40 },
+    }),
+    delivery(4, {
+      productId: 1, quantity: 1, status: 'SKIPPED', subscription: { agencyId: 2, rate: 50 },
+    }),
+  );
+  const items = [{ receivedQuantity: 30 }, { receivedQuantity: 10 }];
+  const vendorOrder = {
+    id: 10, orderDate: inMonth, status: 'RECEIVED', agencyWastage: 2, agencyNotReceived: 0, items,
+  };
+  tables.VendorOrder.push(vendorOrder);
+  tables.OrderItem.push(
+    {
+      id: 1, vendorOrderId: 10, agencyId: 2, productId: 1, priceAtPurchase: 20, receivedQuantity: 30, vendorOrder,
+    },
+    {
+      id: 2, vendorOrderId: 10, agencyId: 3, productId: 1, priceAtPurchase: 20, receivedQuantity: 10, vendorOrder,
+    },
+  );
+};
+
+describe('agency settlement', () => {
+  beforeEach(seed);
+
+  it('settles commission on the agency\'s deliveries less its share of wastage', async () => {
+    const statement = await generateStatement(2, month);
+
+    assert.equal(statement.subscriptionUnits, 5);
+    // 3 units at ₹2 flat, plus 10% of 2 units at ₹40
+    assert.equal(statement.subscriptionCommission, 14);
+    assert.equal(statement.vendorCommission, 30);
+    // 30 of the order's 40 units, so 1.5 of the 2 wasted, at ₹20
+    assert.equal(statement.wastageUnits, 1.5);
+    assert.equal(statement.wastageDeduction, 30);
+    assert.equal(statement.netAmount, 14);
+    assert.deepEqual(
+      tables.AgencySettlementLine.map((line) => [line.kind, line.productId, line.ruleId, line.amount]),
+      [
+        ['SUBSCRIPTION_COMMISSION', 1, 2, 6],
+        ['SUBSCRIPTION_COMMISSION', 2, 1, 8],
+        ['VENDOR_COMMISSION', 1, 3, 30],
+        ['WASTAGE', 1, null, -30],
+      ],
+    );
+  });
+
+  it('locks a finalised statement against regeneration', async () => {
+    const { id } = await generateStatement(2, month);
+    // The fake applies no schema defaults
+    tables.AgencySettlementStatement[0].status = 'DRAFT';
+
+    await finaliseStatement(id, { actorId: 1 });
+
+    assert.equal(tables.AgencySettlementStatement[0].status, 'FINALISED');
+    await assert.rejects(generateStatement(2, month), { status: 409 });
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  Subscription: [],
+  SNFOrder: [],
+  DeliveryScheduleEntry: [],
+  DeliveryAssignment: [],
+  DailyMetricSnapshot: [],
+};
+const db = useFakeDb(tables);
+
+const { captureDailySnapshot, getTrends } = require('../src/services/analyticsService');
+
+const on = (date, time = '00:00') => new Date(`${date}T${time}:00`);
+
+const subscription = (id, memberId, {
+  start, expiry, depotId = 1, ...data
+}) => ({
+  id,
+  memberId,
+  productId: 5,
+  agencyId: null,
+  startDate: on(start),
+  expiryDate: on(expiry),
+  paymentStatus: 'PAID',
+  receivedamt: 0,
+  walletamt: 0,
+  cancelledAt: null,
+  createdAt: on(start),
+  updatedAt: on(start),
+  depotProductVariant: { depotId },
+  ...data,
+});
+
+const seed = () => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  tables.Subscription.push(
+    // Subscribed before and after the day
+    subscription(1, 1, { start: '2026-10-01', expiry: '2026-10-20', agencyId: 2 }),
+    // First subscription, paid for on the day
+    subscription(2, 2, {
+      start: '2026-10-10', expiry: '2026-10-15', receivedamt: 300, createdAt: on('2026-10-10', '09:00'),
+    }),
+    // Expired the day before
+    subscription(3, 3, { start: '2026-10-01', expiry: '2026-10-09' }),
+    // Back after a gap, at another depot
+    subscription(4, 4, { start: '2026-09-01', expiry: '2026-09-10' }),
+    subscription(5, 4, { start: '2026-10-10', expiry: '2026-10-20', depotId: 2 }),
+  );
+  tables.SNFOrder.push({
+    id: 1,
+    paymentStatus: 'PAID',
+    createdAt: on('2026-10-10', '11:00'),
+    totalAmount: 150,
+    depotId: 1,
+    items: [{ productId: 5, lineTotal: 150 }],
+  });
+  tables.DeliveryScheduleEntry.push({
+    id: 1,
+    status: 'DELIVERED',
+    deliveryDate: on('2026-10-10'),
+    depotId: 1,
+    agentId: null,
+    productId: 5,
+    subscription: { agencyId: 2 },
+  });
+  db.$queryRaw = async () => [{ memberId: 1, balanceAfter: 100 }];
+};
+
+const snapshot = (dimension, dimensionId) => tables.DailyMetricSnapshot
+  .find((row) => row.dimension === dimension && row.dimensionId === dimensionId);
+
+describe('analytics snapshots', () => {
+  beforeEach(seed);
+
+  it('counts the day\'s revenue, deliveries and subscriber movements per dimension', async () => {
+    await captureDailySnapshot('2026-10-10');
+
+    const overall = snapshot('OVERALL', 0);
+    assert.equal(overall.revenue, 450);
+    assert.equal(overall.deliveries, 1);
+    assert.equal(overall.activeSubscribers, 3);
+    assert.equal(overall.newSubscribers, 1);
+    assert.equal(overall.reactivatedSubscribers, 1);
+    assert.equal(overall.churnedSubscribers, 1);
+    assert.equal(overall.walletFloat, 100);
+
+    const movements = (row) => [
+      row.activeSubscribers, row.newSubscribers, row.reactivatedSubscribers, row.churnedSubscribers,
+    ];
+    assert.deepEqual(
+      [snapshot('DEPOT', 1), snapshot('DEPOT', 2)].map(movements),
+      [[2, 1, 0, 1], [1, 0, 1, 0]],
+    );
+    assert.equal(snapshot('AGENCY', 2).walletFloat, 100);
+    assert.equal(snapshot('AGENCY', 2).deliveries, 1);
+    assert.equal(snapshot('PRODUCT', 5).snfRevenue, 150);
+    assert.equal(snapshot('PRODUCT', 5).walletFloat, null);
+  });
+
+  it('replaces a day\'s rows when it is captured again and rolls them up by week', async () => {
+    await captureDailySnapshot('2026-10-10');
+    const rows = tables.DailyMetricSnapshot.length;
+    await captureDailySnapshot('2026-10-10');
+    assert.equal(tables.DailyMetricSnapshot.length, rows);
+
+    const trends = await getTrends({ from: '2026-10-05', to: '2026-10-11', interval: 'week' });
+
+    assert.equal(trends.missingDays, 6);
+    assert.deepEqual(
+      trends.series.map((bucket) => [bucket.period, bucket.revenue, bucket.arpm]),
+      [['2026-10-05', 450, 150]],
+    );
+  });
+});
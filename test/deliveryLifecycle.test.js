@@ -0,0 +1,73 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  DeliveryScheduleEntry: [],
+  DeliveryAssignment: [],
+  DeliveryStatusHistory: [],
+  Member: [],
+  WalletTransaction: [],
+  WalletLedgerEntry: [],
+  CreditNote: [],
+  WhatsAppOutbox: [],
+};
+useFakeDb(tables);
+
+process.env.WHATSAPP_OUTBOX_SEND_IMMEDIATELY = 'false';
+const { changeEntryStatus, Source } = require('../src/services/deliveryLifecycleService');
+
+const user = { id: 5, name: 'Asha', mobile: '9800000000' };
+
+const seed = () => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  tables.Member.push({
+    id: 3, name: 'Asha', walletBalance: 0, strictCodLimit: false,
+  });
+  tables.DeliveryScheduleEntry.push({
+    id: 1,
+    status: 'PENDING',
+    deliveryDate: new Date('2026-10-18'),
+    quantity: 2,
+    memberId: 3,
+    walletTransactionId: null,
+    pauseId: null,
+    // Relations the service includes
+    subscription: {
+      id: 7, memberId: 3, rate: 30, qty: 2, amount: 600, totalQty: 20, couponDiscount: 0,
+    },
+    product: { id: 1, name: 'Cow milk' },
+    member: { id: 3, name: 'Asha', user },
+    deliveryAssignment: null,
+  });
+};
+
+describe('delivery lifecycle', () => {
+  beforeEach(seed);
+
+  it('refunds a delivery marked not delivered and queues both customer messages', async () => {
+    const { walletTransaction } = await changeEntryStatus(1, 'NOT_DELIVERED', {
+      source: Source.ADMIN,
+      actorId: 1,
+      reason: 'Gate locked',
+    });
+
+    assert.equal(walletTransaction.amount, 60);
+    assert.equal(tables.Member[0].walletBalance, 60);
+    assert.equal(tables.DeliveryScheduleEntry[0].walletTransactionId, walletTransaction.id);
+    assert.equal(tables.DeliveryStatusHistory[0].toStatus, 'NOT_DELIVERED');
+
+    const templates = tables.WhatsAppOutbox.map((row) => row.templateName);
+    assert.deepEqual(templates.sort(), ['not_delivered', 'wallet_credit']);
+    const notDelivered = tables.WhatsAppOutbox.find((row) => row.templateName === 'not_delivered');
+    assert.equal(notDelivered.payload.template.components[0].parameters[2].text, 'Gate locked');
+  });
+
+  it('does not refund a delivery again when it moves to another refund status', async () => {
+    await changeEntryStatus(1, 'NOT_DELIVERED', { source: Source.ADMIN, actorId: 1 });
+    await changeEntryStatus(1, 'SKIPPED', { source: Source.ADMIN, actorId: 1 });
+
+    assert.equal(tables.WalletTransaction.length, 1);
+    assert.equal(tables.Member[0].walletBalance, 60);
+  });
+});
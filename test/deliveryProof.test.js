@@ -0,0 +1,88 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  DeliveryAssignment: [],
+  DeliveryProofEvent: [],
+};
+useFakeDb(tables);
+
+const {
+  proofForTransition, verifyDeliveryOtp, requestOverride, rejectOverride,
+} = require('../src/services/deliveryProofService');
+
+// Take the assignment out for delivery as the lifecycle service would
+const sendOut = () => {
+  const [assignment] = tables.DeliveryAssignment;
+  const { data, otp } = proofForTransition(assignment, 'OUT_FOR_DELIVERY', { source: 'DELIVERY_PARTNER' });
+  Object.assign(assignment, data, { status: 'OUT_FOR_DELIVERY' });
+  return otp;
+};
+
+const wrongOtp = (otp) => String((Number(otp) + 1) % 10000).padStart(4, '0');
+
+describe('delivery proof', () => {
+  beforeEach(() => {
+    Object.values(tables).forEach((rows) => rows.splice(0));
+    tables.DeliveryAssignment.push({
+      id: 1, status: 'ASSIGNED', otpHash: null, otpVerifiedAt: null, overrideStatus: null,
+    });
+  });
+
+  it('lets the rider deliver once the customer OTP is verified, counting wrong codes', async () => {
+    const otp = sendOut();
+    assert.match(otp, /^\d{4}$/);
+    assert.throws(
+      () => proofForTransition(tables.DeliveryAssignment[0], 'DELIVERED', { source: 'DELIVERY_PARTNER' }),
+      { status: 400 },
+    );
+
+    await assert.rejects(verifyDeliveryOtp(1, wrongOtp(otp)), { status: 400 });
+    assert.equal(tables.DeliveryAssignment[0].otpAttempts, 1);
+    await verifyDeliveryOtp(1, otp);
+
+    const { data } = proofForTransition(tables.DeliveryAssignment[0], 'DELIVERED', { source: 'DELIVERY_PARTNER' });
+    assert.equal(data.proofMethod, 'OTP');
+    assert.deepEqual(tables.DeliveryProofEvent.map((event) => event.type), ['OTP_FAILED', 'OTP_VERIFIED']);
+  });
+
+  it('locks the OTP after too many wrong codes', async () => {
+    const otp = sendOut();
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await assert.rejects(verifyDeliveryOtp(1, wrongOtp(otp)), { status: 400 });
+    }
+
+    await assert.rejects(verifyDeliveryOtp(1, otp), { status: 429 });
+    assert.equal(tables.DeliveryProofEvent.at(-1).type, 'OTP_LOCKED');
+  });
+
+  it('delivers on an approved override request and refuses one that was rejected', async () => {
+    sendOut();
+    await requestOverride(1, { reason: 'Customer not reachable', photoUrl: '/uploads/door.jpg' });
+
+    const approve = () => proofForTransition(tables.DeliveryAssignment[0], 'DELIVERED', {
+      source: 'ADMIN',
+      proof: 'OVERRIDE',
+    });
+    assert.deepEqual(approve().data, { proofMethod: 'OVERRIDE', overrideStatus: 'APPROVED' });
+
+    await rejectOverride(1, { note: 'Call the customer again' });
+    assert.throws(approve, { status: 409 });
+  });
+
+  it('needs a reason and a photo to deliver on the rider\'s behalf', () => {
+    const [assignment] = tables.DeliveryAssignment;
+
+    assert.throws(
+      () => proofForTransition(assignment, 'DELIVERED', { source: 'ADMIN', override: { reason: 'Left at gate' } }),
+      { status: 400 },
+    );
+    const { data, event } = proofForTransition(assignment, 'DELIVERED', {
+      source: 'ADMIN',
+      override: { reason: 'Left at gate', photoUrl: '/uploads/gate.jpg' },
+    });
+    assert.equal(data.deliveryPhotoUrl, '/uploads/gate.jpg');
+    assert.equal(event.type, 'OVERRIDE_APPROVED');
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  DeliveryAssignment: [],
+};
+useFakeDb(tables);
+
+const { planPartnerRoute } = require('../src/services/deliveryRouteService');
+const { planRoute } = require('../src/utils/routePlanner');
+
+const depot = { id: 1, latitude: 19.0, longitude: 73.0 };
+
+const assignment = (id, point, status = 'ASSIGNED') => ({
+  id,
+  depotId: 1,
+  deliveryPartnerId: 4,
+  deliveryDate: new Date('2026-10-19T06:00:00'),
+  status,
+  sequence: null,
+  legDistanceKm: null,
+  // Relations the service includes
+  depot,
+  snfOrder: {
+    orderNo: `SNF-${id}`, items: [], pincode: point.pincode || '421201', ...point,
+  },
+  deliveryScheduleEntry: null,
+});
+
+describe('delivery route planning', () => {
+  beforeEach(() => {
+    tables.DeliveryAssignment.splice(0);
+  });
+
+  it('orders stops outward from the depot and puts stops without a pin last', async () => {
+    tables.DeliveryAssignment.push(
+      assignment(1, { latitude: 19.03, longitude: 73.0 }),
+      assignment(2, { latitude: 19.01, longitude: 73.0 }),
+      assignment(3, { latitude: null, longitude: null }),
+      assignment(4, { latitude: 19.02, longitude: 73.0 }),
+      // Already delivered: keeps its place
+      assignment(5, { latitude: 19.005, longitude: 73.0 }, 'DELIVERED'),
+    );
+
+    const summary = await planPartnerRoute(4, '2026-10-19');
+
+    assert.deepEqual(summary.stops.map((stop) => stop.assignmentId), [2, 4, 1, 3]);
+    assert.equal(summary.unroutedCount, 1);
+    // 0.01° of latitude is about 1.11 km
+    assert.equal(summary.totalDistanceKm, 3.34);
+    const sequenceOf = (id) => tables.DeliveryAssignment.find((row) => row.id === id).sequence;
+    assert.deepEqual([1, 2, 3, 4, 5].map(sequenceOf), [3, 1, 4, 2, null]);
+    assert.equal(tables.DeliveryAssignment[2].legDistanceKm, null);
+  });
+
+  it('starts from the first stop when the depot has no location', () => {
+    const stops = [
+      { id: 'x', latitude: 0, longitude: 0 },
+      { id: 'y', latitude: 0, longitude: 0.02 },
+      { id: 'z', latitude: 0, longitude: 0.01 },
+    ];
+
+    const plan = planRoute(null, stops);
+
+    assert.deepEqual(plan.stops.map((stop) => [stop.id, stop.legDistanceKm]), [['x', 0], ['z', 1.11], ['y', 1.11]]);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  DepotProductVariant: [],
+  StockBatch: [],
+  StockLedger: [],
+  PurchaseDetail: [],
+  TransferDetail: [],
+  DeliveryScheduleEntry: [],
+};
+const db = useFakeDb(tables);
+
+const { postEntryStock } = require('../src/services/deliveryStockService');
+const { buildValuationReport } = require('../src/services/inventoryValuationService');
+
+const ledger = (id, data) => ({
+  id,
+  productId: 2,
+  variantId: 9,
+  depotId: 1,
+  batchId: null,
+  receivedQty: 0,
+  issuedQty: 0,
+  ...data,
+});
+
+const purchase = (id, purchaseId, date, quantity, purchaseRate) => {
+  tables.PurchaseDetail.push({
+    id: purchaseId, purchaseId, variantId: 9, quantity, purchaseRate,
+  });
+  return ledger(id, {
+    transactionDate: new Date(date), module: 'purchase', foreignKey: purchaseId, receivedQty: quantity,
+  });
+};
+
+const seed = () => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  tables.DepotProductVariant.push({
+    id: 9,
+    depotId: 1,
+    productId: 2,
+    name: '1 L',
+    purchasePrice: 25,
+    closingQty: 10,
+    depot: { id: 1, name: 'Main' },
+    product: { id: 2, name: 'Cow milk' },
+  });
+};
+
+const entry = {
+  id: 1,
+  status: 'PENDING',
+  quantity: 3,
+  deliveryDate: new Date('2026-10-18'),
+  depotProductVariantId: null,
+  subscription: { depotProductVariantId: 9 },
+};
+
+describe('subscription delivery stock', () => {
+  beforeEach(() => {
+    seed();
+    tables.StockLedger.push(purchase(1, 1, '2026-10-01', 10, 20));
+  });
+
+  it('issues the delivered quantity once and takes it back when the delivery is undone', async () => {
+    await db.$transaction((tx) => postEntryStock(tx, entry, 'DELIVERED'));
+    assert.equal(tables.DepotProductVariant[0].closingQty, 7);
+
+    const delivered = { ...entry, status: 'DELIVERED' };
+    // Marked delivered again: nothing more leaves the depot
+    assert.deepEqual(await db.$transaction((tx) => postEntryStock(tx, delivered, 'DELIVERED')), []);
+
+    await db.$transaction((tx) => postEntryStock(tx, delivered, 'NOT_DELIVERED'));
+
+    assert.equal(tables.DepotProductVariant[0].closingQty, 10);
+    assert.deepEqual(
+      tables.StockLedger.slice(1).map((row) => [row.module, row.foreignKey, row.issuedQty, row.receivedQty]),
+      [['SUBSCRIPTION_DELIVERY', 1, 3, 0], ['SUBSCRIPTION_DELIVERY', 1, 0, 3]],
+    );
+  });
+
+  it('leaves an entry delivered before stock was tracked alone', async () => {
+    const undo = (tx) => postEntryStock(tx, { ...entry, status: 'DELIVERED' }, 'NOT_DELIVERED');
+    const posted = await db.$transaction(undo);
+
+    assert.deepEqual(posted, []);
+    assert.equal(tables.StockLedger.length, 1);
+  });
+});
+
+describe('inventory valuation', () => {
+  beforeEach(() => {
+    seed();
+    tables.StockLedger.push(
+      purchase(1, 1, '2026-10-01', 10, 20),
+      purchase(2, 2, '2026-10-05', 10, 30),
+      ledger(3, {
+        transactionDate: new Date('2026-10-10'), module: 'SUBSCRIPTION_DELIVERY', foreignKey: 1, issuedQty: 12,
+      }),
+      ledger(4, {
+        transactionDate: new Date('2026-10-11'), module: 'wastage', foreignKey: 1, issuedQty: 2,
+      }),
+    );
+    tables.DeliveryScheduleEntry.push({ id: 1, quantity: 12, subscription: { rate: 40 } });
+  });
+
+  const valuation = (method) => buildValuationReport({ startDate: '2026-10-01', endDate: '2026-10-31', method });
+
+  it('costs sales oldest stock first under FIFO', async () => {
+    const report = await valuation('FIFO');
+
+    const [stock] = report.depots[0].items;
+    assert.deepEqual([stock.closingQty, stock.unitCost, stock.value], [6, 30, 180]);
+    const [line] = report.products;
+    assert.deepEqual([line.soldQty, line.revenue, line.cogs, line.grossMargin], [12, 480, 260, 220]);
+    assert.equal(line.wastageCost, 60);
+  });
+
+  it('costs sales at the running average under weighted average', async () => {
+    const report = await valuation('WEIGHTED_AVERAGE');
+
+    assert.equal(report.totals.stockValue, 150);
+    assert.equal(report.totals.cogs, 300);
+    assert.equal(report.totals.wastageCost, 50);
+    assert.equal(report.totals.marginPct, 37.5);
+  });
+});
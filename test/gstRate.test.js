@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeClient } = require('./helpers/fakePrisma');
+
+// gstRateService requires config/db, which needs a generated Prisma client; the
+// tests pass their own client, so an empty one stands in
+const dbPath = require.resolve('../src/config/db');
+require.cache[dbPath] = {
+  id: dbPath, filename: dbPath, loaded: true, exports: createFakeClient({}),
+};
+
+const {
+  splitGst, withDeliveryFeeShare, createTaxResolver, documentTax, documentTaxTotals,
+} = require('../src/services/gstRateService');
+
+describe('GST rates', () => {
+  it('splits a tax inclusive amount into taxable value and tax', () => {
+    assert.deepEqual(splitGst(105, 5), { txval: 100, iamt: 0, camt: 2.5, samt: 2.5 });
+    assert.deepEqual(splitGst(105, 5, true), { txval: 100, iamt: 5, camt: 0, samt: 0 });
+    assert.deepEqual(splitGst(50, 0), { txval: 50, iamt: 0, camt: 0, samt: 0 });
+  });
+
+  it('prints half the rate as CGST and half as SGST on documents', () => {
+    assert.deepEqual(documentTax(112, 12), {
+      taxableAmount: 100, cgstRate: 6, cgstAmount: 6, sgstRate: 6, sgstAmount: 6,
+    });
+    assert.deepEqual(documentTaxTotals([{ amount: 105, rate: 5 }, { amount: 112, rate: 12 }]), {
+      taxableAmount: 200, cgstAmount: 8.5, sgstAmount: 8.5,
+    });
+  });
+
+  it('spreads a delivery fee over the items by value', () => {
+    assert.deepEqual(withDeliveryFeeShare([300, 100], 40), [330, 110]);
+    assert.deepEqual(withDeliveryFeeShare([0], 40), [0]);
+  });
+
+  it('takes the rate from the master variant of the same name, else the first one', async () => {
+    const client = createFakeClient({
+      ProductVariant: [
+        { id: 1, productId: 7, name: '500 ml', hsnCode: '0401', gstRate: '0.00' },
+        { id: 2, productId: 7, name: '1 L', hsnCode: null, gstRate: '5.00' },
+      ],
+    });
+    const warnings = [];
+    const resolveTax = await createTaxResolver([7, 8], { warnings, client });
+
+    assert.deepEqual(resolveTax({ productId: 7, variantName: ' 1 l ', hsnCode: '0402', label: 'Ghee 1 L' }), {
+      hsn: '0402', rate: 5,
+    });
+    assert.deepEqual(resolveTax({ productId: 7, variantName: 'Jar', label: 'Ghee jar' }), { hsn: '0401', rate: 0 });
+    assert.deepEqual(resolveTax({ productId: 8, variantName: 'Pack', label: 'Paneer' }), { hsn: '', rate: 0 });
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /No GST rate found for "Paneer"/);
+  });
+});
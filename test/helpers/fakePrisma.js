@@ -0,0 +1,302 @@
+const assert = require('node:assert/strict');
+
+/**
+ * In-memory stand-in for a PrismaClient, enough to run client extensions and
+ * services against real rows without a database.
+ *
+ * Tables are keyed by model name (e.g. 'Purchase') and exposed on the client
+ * under the camel-cased delegate name (prisma.purchase). Only plain equality,
+ * `in`, `notIn`, `not`, `lt`/`lte`/`gt`/`gte`, `contains`, `startsWith`,
+ * `is`/`isNot`, `some`/`every`/`none` and bare to-one filters (on relations
+ * embedded in the row), AND, OR and NOT filters, and compound unique keys,
+ * are understood; anything else fails the test loudly rather than matching
+ * by accident.
+ * `select` and `include` are ignored: rows come back whole, with whatever
+ * relations the test embedded in them. Raw queries (row locks) do nothing and
+ * transactions run straight through on the same tables.
+ */
+
+const same = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a == null || b == null) return a == null && b == null;
+  return a === b;
+};
+
+const OPERATORS = {
+  equals: (value, operand) => same(value, operand),
+  in: (value, operand) => operand.some((candidate) => same(value, candidate)),
+  notIn: (value, operand) => !operand.some((candidate) => same(value, candidate)),
+  lt: (value, operand) => value != null && value < operand,
+  lte: (value, operand) => value != null && value <= operand,
+  gt: (value, operand) => value != null && value > operand,
+  gte: (value, operand) => value != null && value >= operand,
+  contains: (value, operand) => typeof value === 'string' && value.includes(operand),
+  startsWith: (value, operand) => typeof value === 'string' && value.startsWith(operand),
+  // eslint-disable-next-line no-use-before-define
+  is: (value, operand) => (operand === null ? value == null : value != null && matches(value, operand)),
+  // eslint-disable-next-line no-use-before-define
+  isNot: (value, operand) => !OPERATORS.is(value, operand),
+  // eslint-disable-next-line no-use-before-define
+  some: (value, operand) => (value || []).some((row) => matches(row, operand)),
+  // eslint-disable-next-line no-use-before-define
+  every: (value, operand) => (value || []).every((row) => matches(row, operand)),
+  none: (value, operand) => !OPERATORS.some(value, operand),
+  // eslint-disable-next-line no-use-before-define
+  not: (value, operand) => !matchValue(value, operand),
+};
+
+const isFilter = (condition) => condition !== null && typeof condition === 'object' && !(condition instanceof Date);
+
+// { field: ... } on a to-one relation, written without `is`
+const isRelationFilter = (condition) => Object.keys(condition).length > 0
+  && Object.keys(condition).every((key) => !OPERATORS[key] && key !== 'mode');
+
+const matchValue = (value, condition) => {
+  if (!isFilter(condition)) return same(value, condition);
+  // eslint-disable-next-line no-use-before-define
+  if (isRelationFilter(condition)) return value != null && matches(value, condition);
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === 'mode') return true;
+    if (!OPERATORS[operator]) assert.fail(`Unsupported filter ${JSON.stringify(condition)}`);
+    return OPERATORS[operator](value, operand);
+  });
+};
+
+const matches = (row, where = {}) => Object.entries(where).every(([key, condition]) => {
+  if (key === 'AND') return [].concat(condition).every((part) => matches(row, part));
+  if (key === 'OR') return condition.some((part) => matches(row, part));
+  if (key === 'NOT') return ![].concat(condition).some((part) => matches(row, part));
+  if (condition === undefined) return true;
+  // A compound unique key (deliveryPartnerId_periodStart: { ... }) names its fields
+  if (!(key in row) && isFilter(condition) && key.split('_').every((field) => field in condition)) {
+    return matches(row, condition);
+  }
+  return matchValue(row[key], condition);
+});
+
+// Apply update data, including atomic number operations
+const applyData = (row, data = {}) => {
+  for (const [key, value] of Object.entries(data)) {
+    if (isFilter(value) && !Array.isArray(value)) {
+      const current = Number(row[key] || 0);
+      if ('increment' in value) row[key] = current + value.increment;
+      else if ('decrement' in value) row[key] = current - value.decrement;
+      else if ('multiply' in value) row[key] = current * value.multiply;
+      else if ('set' in value) row[key] = value.set;
+      else row[key] = value;
+    } else if (value !== undefined) {
+      row[key] = value;
+    }
+  }
+  return row;
+};
+
+const compare = (a, b) => {
+  if (same(a, b)) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  return a < b ? -1 : 1;
+};
+
+const sorted = (rows, orderBy) => {
+  const keys = [].concat(orderBy || []).flatMap((part) => Object.entries(part));
+  return [...rows].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      // { sort, nulls } places nulls explicitly; otherwise they sort first
+      if (direction.nulls && (a[key] == null) !== (b[key] == null)) {
+        return (a[key] == null) === (direction.nulls === 'first') ? -1 : 1;
+      }
+      const order = compare(a[key], b[key]) * ((direction.sort || direction) === 'desc' ? -1 : 1);
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
+};
+
+const recordNotFound = () => {
+  const error = new Error('Record to update not found.');
+  error.code = 'P2025';
+  return error;
+};
+
+const nextId = (rows) => rows.reduce((max, r) => Math.max(max, r.id || 0), 0) + 1;
+
+const insert = (rows, data) => {
+  const row = applyData({ id: nextId(rows) }, data);
+  rows.push(row);
+  return row;
+};
+
+// Rows are copied on the way out so a read is a snapshot, as from a database
+const copy = (row) => (row ? { ...row } : null);
+
+const aggregateOf = (rows, args) => {
+  const result = {};
+  for (const fn of ['_sum', '_min', '_max', '_avg']) {
+    if (!args[fn]) continue;
+    result[fn] = {};
+    for (const field of Object.keys(args[fn])) {
+      const values = rows.map((row) => row[field]).filter((value) => value != null);
+      if (fn === '_sum') result[fn][field] = values.length ? values.reduce((sum, v) => sum + Number(v), 0) : null;
+      const pick = (sign) => values.reduce((m, v) => (compare(v, m) * sign > 0 ? v : m));
+      if (fn === '_min') result[fn][field] = values.length ? pick(-1) : null;
+      if (fn === '_max') result[fn][field] = values.length ? pick(1) : null;
+      if (fn === '_avg') {
+        result[fn][field] = values.length ? values.reduce((sum, v) => sum + Number(v), 0) / values.length : null;
+      }
+    }
+  }
+  if (args._count) {
+    result._count = args._count === true ? rows.length : Object.fromEntries(
+      Object.keys(args._count).map((field) => [
+        field,
+        field === '_all' ? rows.length : rows.filter((row) => row[field] != null).length,
+      ]),
+    );
+  }
+  return result;
+};
+
+const run = (rows, operation, args = {}) => {
+  const hits = () => rows.filter((row) => matches(row, args.where));
+  const page = (found) => {
+    const start = args.skip || 0;
+    return found.slice(start, args.take === undefined ? undefined : start + args.take);
+  };
+  switch (operation) {
+    case 'findMany':
+      return page(sorted(hits(), args.orderBy)).map(copy);
+    case 'findFirst':
+    case 'findUnique':
+      return copy(sorted(hits(), args.orderBy)[0]);
+    case 'findFirstOrThrow':
+    case 'findUniqueOrThrow': {
+      const [row] = sorted(hits(), args.orderBy);
+      if (!row) throw recordNotFound();
+      return copy(row);
+    }
+    case 'count':
+      return hits().length;
+    case 'aggregate':
+      return aggregateOf(hits(), args);
+    case 'groupBy': {
+      const groups = new Map();
+      for (const row of hits()) {
+        const key = JSON.stringify(args.by.map((field) => row[field]));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      return [...groups.values()].map((group) => ({
+        ...Object.fromEntries(args.by.map((field) => [field, group[0][field]])),
+        ...aggregateOf(group, args),
+      }));
+    }
+    case 'create':
+      return copy(insert(rows, args.data));
+    case 'createMany':
+      [].concat(args.data).forEach((data) => insert(rows, data));
+      return { count: [].concat(args.data).length };
+    case 'update': {
+      const [row] = hits();
+      if (!row) throw recordNotFound();
+      return copy(applyData(row, args.data));
+    }
+    case 'upsert': {
+      const [row] = hits();
+      return copy(row ? applyData(row, args.update) : insert(rows, { ...args.where, ...args.create }));
+    }
+    case 'updateMany': {
+      const found = hits();
+      found.forEach((row) => applyData(row, args.data));
+      return { count: found.length };
+    }
+    case 'delete': {
+      const [row] = hits();
+      if (!row) throw recordNotFound();
+      rows.splice(rows.indexOf(row), 1);
+      return copy(row);
+    }
+    case 'deleteMany': {
+      const found = hits();
+      found.forEach((row) => rows.splice(rows.indexOf(row), 1));
+      return { count: found.length };
+    }
+    default:
+      return assert.fail(`Unsupported operation ${operation}`);
+  }
+};
+
+const OPERATIONS = [
+  'findMany', 'findFirst', 'findUnique', 'findFirstOrThrow', 'findUniqueOrThrow', 'count', 'aggregate', 'groupBy',
+  'create', 'createMany', 'update', 'upsert', 'updateMany', 'delete', 'deleteMany',
+];
+
+const buildClient = (tables, call) => {
+  const client = {
+    // Row locks and other raw SQL have nothing to do in memory
+    $queryRaw: async () => [],
+    $executeRaw: async () => 0,
+    $queryRawUnsafe: async () => [],
+    $executeRawUnsafe: async () => 0,
+    $transaction: async (work) => (typeof work === 'function' ? work(client) : Promise.all(work)),
+  };
+  for (const model of Object.keys(tables)) {
+    const delegate = {};
+    for (const operation of OPERATIONS) {
+      const query = async (args) => run(tables[model], operation, args);
+      delegate[operation] = (args) => call({
+        model, operation, args, query,
+      });
+    }
+    client[model.charAt(0).toLowerCase() + model.slice(1)] = delegate;
+  }
+  return client;
+};
+
+/**
+ * @param {Object<string, Object[]>} tables - Model name -> rows (mutated in place)
+ * @returns {Object} Client with one delegate per table, for code that requires config/db
+ */
+const createFakeClient = (tables) => buildClient(tables, ({ args, query }) => query(args));
+
+/**
+ * @param {Object<string, Object[]>} tables - Model name -> rows (mutated in place)
+ * @returns {{ $extends: Function }} Client whose $extends applies query extensions
+ */
+const createFakePrisma = (tables) => ({
+  $extends(extension) {
+    return buildClient(tables, extension.query.$allModels.$allOperations);
+  },
+});
+
+const stubModule = (request, exports) => {
+  const filename = require.resolve(request);
+  require.cache[filename] = {
+    id: filename, filename, loaded: true, exports,
+  };
+};
+
+/**
+ * Point config/db, and any `new PrismaClient()` made by a service, at an
+ * in-memory client over `tables`. The Prisma client is not generated here, so
+ * @prisma/client is replaced too: its enums read back as their member names
+ * (TransactionType.CREDIT === 'CREDIT'). Call before requiring the services.
+ *
+ * @param {Object<string, Object[]>} tables - Model name -> rows (mutated in place)
+ * @returns {Object} The client
+ */
+const useFakeDb = (tables) => {
+  const client = createFakeClient(tables);
+  const enumValues = new Proxy({}, { get: (target, member) => member });
+  const prismaClient = {
+    PrismaClient: function PrismaClient() { return client; },
+    Prisma: {},
+  };
+  stubModule('@prisma/client', new Proxy(prismaClient, {
+    get: (target, name) => (name in target ? target[name] : enumValues),
+  }));
+  stubModule('../../src/config/db', client);
+  return client;
+};
+
+module.exports = { createFakePrisma, createFakeClient, useFakeDb };
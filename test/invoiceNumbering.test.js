@@ -0,0 +1,55 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  ProductOrder: [],
+  SNFOrder: [],
+  DocumentSequence: [],
+  DocumentSequenceFormat: [],
+};
+const prisma = useFakeDb(tables);
+
+// The sequence service reads and locks its counter with raw SQL
+prisma.$queryRaw = async () => tables.DocumentSequence.map((row) => ({ ...row }));
+
+const { assignInvoiceNumber } = require('../src/services/invoiceService');
+const { assignSNFInvoiceNumber } = require('../src/services/snfInvoiceService');
+
+const seed = () => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  tables.DocumentSequence.push({ id: 1, lastValue: 41 });
+  tables.ProductOrder.push({ id: 1, invoiceNo: null, invoicePath: null });
+  tables.SNFOrder.push({
+    id: 2, depotId: 4, invoiceNo: null, invoicePath: null,
+  });
+};
+
+describe('invoice numbering', () => {
+  beforeEach(seed);
+
+  it('stores the number it takes on the order in the same transaction', async () => {
+    const invoiceNo = await prisma.$transaction((tx) => assignInvoiceNumber(1, tx));
+
+    assert.match(invoiceNo, /^\d{4}-00042$/);
+    assert.equal(tables.ProductOrder[0].invoiceNo, invoiceNo);
+    assert.equal(tables.ProductOrder[0].invoicePath, `${invoiceNo}.pdf`);
+    assert.equal(tables.DocumentSequence[0].lastValue, 42);
+  });
+
+  it('keeps an order\'s number instead of taking another', async () => {
+    const first = await prisma.$transaction((tx) => assignInvoiceNumber(1, tx));
+    const again = await prisma.$transaction((tx) => assignInvoiceNumber(1, tx));
+
+    assert.equal(again, first);
+    assert.equal(tables.DocumentSequence[0].lastValue, 42);
+  });
+
+  it('numbers SNF orders from their own series', async () => {
+    const invoiceNo = await prisma.$transaction((tx) => assignSNFInvoiceNumber(2, tx));
+
+    assert.match(invoiceNo, /^SNF-\d{4}-00042$/);
+    assert.equal(tables.SNFOrder[0].invoiceNo, invoiceNo);
+    assert.equal(tables.SNFOrder[0].invoicePath, `snf/SNF_${invoiceNo}.pdf`);
+  });
+});
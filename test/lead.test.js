@@ -0,0 +1,98 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  Lead: [],
+  LeadActivity: [],
+};
+useFakeDb(tables);
+
+const {
+  addLeadActivity, changeLeadStatus, convertLeadsForMember, getLeadFunnel,
+} = require('../src/services/leadService');
+
+const lead = (id, data) => ({
+  id,
+  mobile: '9800000000',
+  pincode: '421201',
+  source: 'WEBSITE',
+  status: 'NEW',
+  isServiceable: true,
+  memberId: null,
+  convertedAt: null,
+  nextFollowUpAt: null,
+  ...data,
+});
+
+const callbacksOf = (leadId) => tables.LeadActivity.filter((row) => row.leadId === leadId && row.type === 'CALLBACK');
+
+describe('lead pipeline', () => {
+  beforeEach(() => {
+    Object.values(tables).forEach((rows) => rows.splice(0));
+  });
+
+  it('moves a lead to follow-up when a callback is scheduled', async () => {
+    tables.Lead.push(lead(1));
+    const followUpAt = new Date('2026-10-20T10:00:00Z');
+
+    await addLeadActivity(1, { type: 'CALLBACK', followUpAt, actorId: 2 });
+
+    assert.equal(tables.Lead[0].status, 'FOLLOW_UP');
+    assert.deepEqual(tables.Lead[0].nextFollowUpAt, followUpAt);
+    assert.deepEqual(
+      tables.LeadActivity.map((row) => [row.type, row.fromStatus || null, row.toStatus || null]),
+      [['CALLBACK', null, null], ['STATUS_CHANGE', 'NEW', 'FOLLOW_UP']],
+    );
+  });
+
+  it('closes pending callbacks when a lead is closed', async () => {
+    tables.Lead.push(lead(1));
+    await addLeadActivity(1, { type: 'CALLBACK', followUpAt: new Date('2026-10-20T10:00:00Z') });
+
+    await changeLeadStatus(1, 'CLOSED', { note: 'Not interested' });
+
+    assert.equal(tables.Lead[0].status, 'CLOSED');
+    assert.equal(tables.Lead[0].nextFollowUpAt, null);
+    assert.ok(callbacksOf(1)[0].completedAt instanceof Date);
+    await assert.rejects(
+      addLeadActivity(1, { type: 'CALLBACK', followUpAt: new Date('2026-10-21T10:00:00Z') }),
+      { status: 409 },
+    );
+  });
+
+  it('converts only the open leads for a registering mobile number', async () => {
+    tables.Lead.push(
+      lead(1),
+      lead(2, { status: 'FOLLOW_UP' }),
+      lead(3, { status: 'CLOSED' }),
+      lead(4, { mobile: '9811111111' }),
+    );
+
+    const converted = await convertLeadsForMember({ mobile: '9800000000', memberId: 7, userId: 5 });
+
+    assert.equal(converted, 2);
+    assert.deepEqual(tables.Lead.map((row) => [row.status, row.memberId]), [
+      ['CONVERTED', 7], ['CONVERTED', 7], ['CLOSED', null], ['NEW', null],
+    ]);
+    assert.deepEqual(tables.LeadActivity.map((row) => [row.leadId, row.type, row.fromStatus]), [
+      [1, 'CONVERSION', 'NEW'], [2, 'CONVERSION', 'FOLLOW_UP'],
+    ]);
+  });
+
+  it('reports the funnel per pincode, largest first', async () => {
+    tables.Lead.push(
+      lead(1, { status: 'CONVERTED' }),
+      lead(2, { status: 'CONTACTED' }),
+      lead(3),
+      lead(4, { pincode: '400001', isServiceable: false }),
+    );
+
+    const funnel = await getLeadFunnel();
+
+    assert.deepEqual(funnel.map((row) => [row.pincode, row.total, row.serviceable, row.contacted, row.converted]), [
+      ['421201', 3, 3, 2, 1], ['400001', 1, 0, 0, 0],
+    ]);
+    assert.equal(funnel[0].conversionRate, 33.33);
+  });
+});
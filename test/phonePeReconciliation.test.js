@@ -0,0 +1,71 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  PhonePeTransaction: [],
+};
+useFakeDb(tables);
+
+const phonePeService = require('../src/services/phonePeService');
+const { reconcilePendingPhonePePayments } = require('../src/services/cronService');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// PhonePe answers per merchant order id; anything unknown is still pending
+let states = {};
+const checked = [];
+phonePeService.checkOrderStatus = async (merchantOrderId) => {
+  checked.push(merchantOrderId);
+  if (states[merchantOrderId] instanceof Error) throw states[merchantOrderId];
+  return { merchantOrderId, state: states[merchantOrderId] || 'PENDING' };
+};
+
+const transaction = (id, data) => ({
+  id,
+  merchantOrderId: `M${id}`,
+  state: 'PENDING',
+  reconcileAttempts: 0,
+  nextCheckAt: null,
+  createdAt: minutesAgo(60),
+  ...data,
+});
+
+describe('PhonePe reconciliation sweep', () => {
+  beforeEach(() => {
+    tables.PhonePeTransaction.splice(0);
+    checked.splice(0);
+    states = {};
+  });
+
+  it('backs off transactions that stay pending or fail to check', async () => {
+    tables.PhonePeTransaction.push(transaction(1), transaction(2), transaction(3, { reconcileAttempts: 2 }));
+    states = { M1: 'COMPLETED', M2: new Error('timeout') };
+
+    await reconcilePendingPhonePePayments();
+
+    assert.deepEqual(checked, ['M1', 'M2', 'M3']);
+    const [settled, erred, stuck] = tables.PhonePeTransaction;
+    assert.equal(settled.nextCheckAt, null);
+    assert.equal(erred.reconcileAttempts, 1);
+    assert.equal(stuck.reconcileAttempts, 3);
+    // 15 minutes doubled per attempt
+    const waitMinutes = (row) => Math.round((row.nextCheckAt - Date.now()) / 60000);
+    assert.equal(waitMinutes(erred), 30);
+    assert.equal(waitMinutes(stuck), 120);
+  });
+
+  it('skips transactions waiting out their back-off, too new or too old to check', async () => {
+    tables.PhonePeTransaction.push(
+      transaction(1, { nextCheckAt: new Date(Date.now() + 60000) }),
+      transaction(2, { nextCheckAt: minutesAgo(1) }),
+      transaction(3, { createdAt: minutesAgo(5) }),
+      transaction(4, { createdAt: minutesAgo(73 * 60) }),
+      transaction(5, { state: 'COMPLETED' }),
+    );
+
+    await reconcilePendingPhonePePayments();
+
+    assert.deepEqual(checked, ['M2']);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  SNFOrder: [],
+  StockReservation: [],
+  DepotProductVariant: [],
+  Coupon: [],
+  CouponRedemption: [],
+};
+useFakeDb(tables);
+
+const { settleOrderPayment } = require('../src/services/phonePeService');
+
+const transaction = { id: 1, snfOrderId: 5, phonePeOrderId: 'OMO1' };
+
+const seed = () => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  tables.DepotProductVariant.push({
+    id: 9, depotId: 1, productId: 2, name: '1 L', closingQty: 10,
+  });
+  tables.StockReservation.push({
+    id: 21, snfOrderId: 5, snfOrderItemId: 11, depotProductVariantId: 9, quantity: 3, status: 'RESERVED',
+  });
+  tables.Coupon.push({ id: 4, usageCount: 1 });
+  tables.CouponRedemption.push({
+    id: 8, couponId: 4, snfOrderId: 5, status: 'APPLIED',
+  });
+  tables.SNFOrder.push({
+    id: 5,
+    orderNo: 'SNF-1',
+    depotId: 1,
+    paymentStatus: 'PENDING',
+    // Relations restoreOrderReservations includes, linked to the live reservation row
+    items: [{
+      id: 11, name: 'Milk', depotProductVariantId: 9, quantity: 3, stockReservation: tables.StockReservation[0],
+    }],
+  });
+};
+
+describe('PhonePe order settlement', () => {
+  beforeEach(seed);
+
+  it('marks a pending order paid', async () => {
+    await settleOrderPayment(transaction, { state: 'COMPLETED', paymentDetail: { transactionId: 'T1' } });
+
+    assert.equal(tables.SNFOrder[0].paymentStatus, 'PAID');
+    assert.equal(tables.SNFOrder[0].paymentRefNo, 'T1');
+    assert.equal(tables.StockReservation.length, 1);
+    assert.equal(tables.Coupon[0].usageCount, 1);
+  });
+
+  it('takes the stock and coupon back when a success follows a failure', async () => {
+    await settleOrderPayment(transaction, { state: 'FAILED' });
+    assert.equal(tables.SNFOrder[0].paymentStatus, 'FAILED');
+    assert.equal(tables.StockReservation[0].status, 'RELEASED');
+    assert.equal(tables.CouponRedemption[0].status, 'REVERSED');
+    assert.equal(tables.Coupon[0].usageCount, 0);
+
+    await settleOrderPayment(transaction, { state: 'COMPLETED', paymentDetail: { transactionId: 'T1' } });
+
+    assert.equal(tables.SNFOrder[0].paymentStatus, 'PAID');
+    // The released hold is replaced by a new reservation (status left to the schema default)
+    assert.deepEqual(tables.StockReservation.map((row) => [row.snfOrderItemId, row.quantity]), [[11, 3]]);
+    assert.notEqual(tables.StockReservation[0].status, 'RELEASED');
+    assert.equal(tables.CouponRedemption[0].status, 'APPLIED');
+    assert.equal(tables.Coupon[0].usageCount, 1);
+  });
+
+  it('ignores a failure reported after the order was paid', async () => {
+    await settleOrderPayment(transaction, { state: 'COMPLETED' });
+    await settleOrderPayment(transaction, { state: 'FAILED' });
+
+    assert.equal(tables.SNFOrder[0].paymentStatus, 'PAID');
+    assert.equal(tables.StockReservation[0].status, 'RESERVED');
+    assert.equal(tables.CouponRedemption[0].status, 'APPLIED');
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  DeliveryScheduleEntry: [],
+  SNFOrderItem: [],
+  DepotProductVariant: [],
+  OrderItem: [],
+  PurchaseDetail: [],
+  VendorOrder: [],
+  Agency: [],
+  Vendor: [],
+};
+useFakeDb(tables);
+
+const { buildPlan, generateDrafts } = require('../src/services/procurementPlanningService');
+
+const date = '2026-10-20';
+const recently = dayjs().subtract(10, 'day').toDate();
+const depot = { id: 1, name: 'Main' };
+
+const variant = (id, product, data) => ({
+  id,
+  depotId: 1,
+  productId: product.id,
+  depot,
+  product,
+  ...data,
+});
+
+const subscriptionEntry = (id, quantity, subscription) => ({
+  id,
+  deliveryDate: new Date(date),
+  status: 'PENDING',
+  quantity,
+  agentId: null,
+  depotProductVariantId: 1,
+  subscription: {
+    paymentStatus: 'PAID', depotProductVariantId: 1, depotProductVariant: { depotId: 1 }, ...subscription,
+  },
+});
+
+const seed = () => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  const milk = { id: 1, name: 'Cow milk', isDairyProduct: true };
+  const ghee = { id: 2, name: 'Ghee', isDairyProduct: false };
+  tables.DepotProductVariant.push(
+    variant(1, milk, {
+      name: '1 L', closingQty: 5, minimumQty: 0, purchasePrice: 40,
+    }),
+    variant(2, ghee, {
+      name: '500 g', closingQty: 1, minimumQty: 4, purchasePrice: 300,
+    }),
+    // Above its minimum: not needed
+    variant(3, { id: 3, name: 'Paneer', isDairyProduct: false }, {
+      name: '200 g', closingQty: 10, minimumQty: 2, purchasePrice: 80,
+    }),
+  );
+  tables.DeliveryScheduleEntry.push(
+    subscriptionEntry(1, 10, { agencyId: 11 }),
+    // No agency: the depot's own agency takes it
+    subscriptionEntry(2, 6, { agencyId: null }),
+    subscriptionEntry(3, 3, { agencyId: 11, paymentStatus: 'PENDING' }),
+  );
+  tables.SNFOrderItem.push({
+    id: 1,
+    depotProductVariantId: 1,
+    quantity: 2,
+    order: { deliveryDate: new Date(`${date}T08:00:00`), paymentStatus: 'PAID', depotId: 1 },
+  });
+  // Already on order for agency 11, from a vendor that is not a dairy supplier
+  tables.OrderItem.push({
+    id: 1,
+    productId: 1,
+    depotVariantId: 1,
+    agencyId: 11,
+    quantity: 4,
+    vendorOrder: {
+      vendorId: 8, deliveryDate: new Date(date), orderDate: recently, status: 'PENDING',
+    },
+  });
+  tables.PurchaseDetail.push({ id: 1, variantId: 2, purchase: { vendorId: 8, purchaseDate: recently } });
+  tables.Agency.push({ id: 10, name: 'Depot counter', depotId: 1 }, { id: 11, name: 'Sai Agency', depotId: 2 });
+  tables.Vendor.push(
+    {
+      id: 7, name: 'Gokul Dairy', isDairySupplier: true, contactPersonName: 'Anil',
+    },
+    {
+      id: 8, name: 'Wholesale Mart', isDairySupplier: false, contactPersonName: 'Meera',
+    },
+  );
+};
+
+const itemsOf = (draft) => draft.items.map((item) => [item.depotVariantId, item.agencyId, item.quantity]);
+
+describe('procurement planning', () => {
+  beforeEach(seed);
+
+  it('orders what demand and minimum stock need beyond stock and open orders', async () => {
+    const plan = await buildPlan(date);
+
+    const quantities = (line) => [line.variant.id, line.subscriptionQty, line.snfQty, line.suggestedQty];
+    assert.deepEqual(plan.lines.map(quantities), [[1, 16, 2, 9], [2, 0, 0, 3]]);
+    // Stock covers the depot's own agency first: 8 needed, 5 in stock
+    assert.deepEqual(plan.lines[0].allocations.map((allocation) => [allocation.agencyName, allocation.quantity]), [
+      ['Sai Agency', 6], ['Depot counter', 3],
+    ]);
+    // Milk goes to a dairy supplier; ghee to the vendor it was last bought from
+    assert.deepEqual(plan.vendors.map((draft) => [draft.vendor.id, itemsOf(draft), draft.totalAmount]), [
+      [7, [[1, 11, 6], [1, 10, 3]], 360],
+      [8, [[2, 10, 3]], 900],
+    ]);
+    assert.deepEqual(plan.unassigned, []);
+  });
+
+  it('leaves quantities for manual ordering when the depot has no agency', async () => {
+    tables.Agency.splice(0, 1);
+
+    const plan = await buildPlan(date);
+
+    assert.deepEqual(plan.unassigned.map((item) => [item.variant.id, item.quantity, item.note]), [
+      [1, 3, 'No agency is linked to the depot'],
+      [2, 3, 'No agency is linked to the depot'],
+    ]);
+    assert.deepEqual(plan.vendors.map((draft) => itemsOf(draft)), [[[1, 11, 6]]]);
+  });
+
+  it('replaces the day\'s unconfirmed drafts with one draft per vendor', async () => {
+    tables.VendorOrder.push(
+      {
+        id: 1, autoDrafted: true, status: 'DRAFT', deliveryDate: new Date(date), vendorId: 7,
+      },
+      {
+        id: 2, autoDrafted: true, status: 'PENDING', deliveryDate: new Date(date), vendorId: 8,
+      },
+    );
+
+    const { orders, replaced } = await generateDrafts(date);
+
+    assert.equal(replaced, 1);
+    assert.deepEqual(
+      orders.map((order) => [order.vendorId, order.status, order.totalAmount]),
+      [[7, 'DRAFT', 360], [8, 'DRAFT', 900]],
+    );
+    assert.deepEqual(tables.VendorOrder.map((order) => order.id), [2, 3, 4]);
+  });
+});
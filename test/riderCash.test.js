@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  Depot: [],
+  DeliveryPartner: [],
+  SNFOrder: [],
+  Member: [],
+  WalletTransaction: [],
+  WalletLedgerEntry: [],
+  RiderCashEntry: [],
+  RiderCashHandover: [],
+};
+const db = useFakeDb(tables);
+
+const {
+  recordCodCollection, reverseCodCollection, createHandover, reviewHandover,
+} = require('../src/services/riderCashService');
+
+const deliveryDate = new Date('2026-10-18T06:00:00');
+
+const assignment = (id, snfOrderId, cashCollected) => ({
+  id,
+  snfOrderId,
+  depotId: 1,
+  deliveryPartnerId: 4,
+  deliveryDate,
+  cashCollected,
+});
+
+const seed = (codShortfallBearer) => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  tables.Depot.push({ id: 1, codShortfallBearer });
+  tables.DeliveryPartner.push({
+    id: 4, firstName: 'Ravi', lastName: 'K', mobile: '9800000004', depotId: 1,
+  });
+  tables.Member.push({ id: 3, walletBalance: 0, strictCodLimit: false });
+  tables.SNFOrder.push(
+    {
+      id: 5, orderNo: 'SNF-5', memberId: 3, paymentStatus: 'PENDING', payableAmount: 250,
+    },
+    {
+      id: 6, orderNo: 'SNF-6', memberId: 3, paymentStatus: 'PENDING', payableAmount: 100,
+    },
+  );
+};
+
+const deliver = (assignmentRow) => {
+  const order = tables.SNFOrder.find((row) => row.id === assignmentRow.snfOrderId);
+  return db.$transaction((tx) => recordCodCollection(tx, assignmentRow, { ...order }));
+};
+
+describe('rider cash', () => {
+  describe('with shortfalls on the customer', () => {
+    beforeEach(() => seed('CUSTOMER'));
+
+    it('debits a short collection from the wallet and credits it back when the delivery is undone', async () => {
+      const entry = await deliver(assignment(11, 5, 200));
+
+      assert.equal(entry.expectedAmount, 250);
+      assert.equal(entry.shortfallAmount, 50);
+      assert.equal(entry.shortfallBearer, 'CUSTOMER');
+      assert.equal(tables.Member[0].walletBalance, -50);
+
+      await db.$transaction((tx) => reverseCodCollection(tx, assignment(11, 5, 200)));
+
+      assert.equal(tables.RiderCashEntry.length, 0);
+      assert.equal(tables.Member[0].walletBalance, 0);
+      assert.equal(tables.SNFOrder[0].paymentStatus, 'PENDING');
+    });
+
+    it('refuses to undo cash that is already handed over', async () => {
+      await deliver(assignment(11, 5, 250));
+      await createHandover({ deliveryPartnerId: 4, countedAmount: 250, handoverDate: '2026-10-18' });
+
+      await assert.rejects(db.$transaction((tx) => reverseCodCollection(tx, assignment(11, 5, 250))), { status: 409 });
+      assert.equal(tables.RiderCashEntry.length, 1);
+    });
+  });
+
+  describe('with shortfalls on the rider', () => {
+    beforeEach(() => seed('RIDER'));
+
+    it('counts a handover against the cash collected and needs notes to approve a variance', async () => {
+      await deliver(assignment(11, 5, 200));
+      await deliver(assignment(12, 6, 100));
+      assert.equal(tables.Member[0].walletBalance, 0);
+      assert.equal(tables.RiderCashEntry[0].shortfallBearer, 'RIDER');
+
+      const handover = await createHandover({ deliveryPartnerId: 4, countedAmount: 290, handoverDate: '2026-10-18' });
+
+      assert.equal(handover.expectedAmount, 300);
+      assert.equal(handover.varianceAmount, -10);
+      // The fake applies no schema defaults
+      tables.RiderCashHandover[0].status = 'PENDING';
+      assert.deepEqual(tables.RiderCashEntry.map((entry) => entry.handoverId), [handover.id, handover.id]);
+      await assert.rejects(reviewHandover(handover.id, { approve: true }), { status: 400 });
+
+      await reviewHandover(handover.id, { approve: false, reviewNotes: 'Recount' });
+
+      assert.equal(tables.RiderCashHandover[0].status, 'REJECTED');
+      assert.deepEqual(tables.RiderCashEntry.map((entry) => entry.handoverId), [null, null]);
+    });
+  });
+});
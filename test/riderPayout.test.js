@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  DeliveryPartner: [],
+  RiderPayRule: [],
+  RiderPayoutStatement: [],
+  RiderPayoutLine: [],
+  DeliveryAssignment: [],
+  RiderCashEntry: [],
+  RiderCashHandover: [],
+};
+useFakeDb(tables);
+
+const { generateStatement, approveStatement, markStatementPaid } = require('../src/services/riderPayoutService');
+
+// Monday of the week before last, so the week is over and can be approved
+const twoWeeksAgo = dayjs().startOf('day').subtract(14, 'day');
+const weekStart = twoWeeksAgo.subtract((twoWeeksAgo.day() + 6) % 7, 'day');
+const at = (dayOffset, time) => {
+  const [hour, minute] = time.split(':');
+  return weekStart.add(dayOffset, 'day').hour(Number(hour)).minute(Number(minute)).toDate();
+};
+
+const drop = (id, data) => ({
+  id,
+  deliveryPartnerId: 4,
+  status: 'DELIVERED',
+  snfOrderId: null,
+  deliveryDate: at(1, '00:00'),
+  deliveredAt: at(1, '08:00'),
+  legDistanceKm: null,
+  sequence: id,
+  payoutLine: null,
+  ...data,
+});
+
+const seed = () => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  tables.DeliveryPartner.push({ id: 4, depotId: 1 });
+  tables.RiderPayRule.push({
+    id: 1,
+    depotId: 1,
+    perSnfOrderDrop: 20,
+    perSubscriptionDrop: 10,
+    kmBands: [{ fromKm: 0, toKm: 2, amount: 5 }, { fromKm: 2, toKm: null, amount: 10 }],
+    onTimeCutoff: '09:00',
+    onTimeIncentives: [{ minPercent: 50, amount: 100 }, { minPercent: 90, amount: 250 }],
+  });
+  tables.DeliveryAssignment.push(
+    drop(1, { snfOrderId: 31, legDistanceKm: 1.5 }),
+    drop(2, { snfOrderId: 32, legDistanceKm: 3 }),
+    drop(3, { deliveredAt: at(1, '10:30') }),
+    // Not delivered, and outside the week
+    drop(4, { status: 'ASSIGNED', deliveredAt: null }),
+    drop(5, { deliveryDate: at(7, '00:00'), deliveredAt: at(7, '08:00') }),
+  );
+  tables.RiderCashEntry.push({
+    id: 1,
+    deliveryPartnerId: 4,
+    shortfallBearer: 'RIDER',
+    shortfallAmount: 40,
+    deliveryDate: at(2, '00:00'),
+    payoutStatementId: null,
+  });
+  tables.RiderCashHandover.push({
+    id: 1,
+    deliveryPartnerId: 4,
+    status: 'APPROVED',
+    varianceAmount: -10,
+    handoverDate: at(3, '00:00'),
+    payoutStatementId: null,
+  });
+};
+
+describe('rider payout statements', () => {
+  beforeEach(seed);
+
+  it('pays the week\'s drops by the depot rule less the rider\'s shortfalls', async () => {
+    const statement = await generateStatement(4, at(2, '12:00'));
+
+    assert.equal(statement.dropEarnings, 50);
+    assert.equal(statement.distanceEarnings, 15);
+    // Two of three on time clears the 50% tier only
+    assert.equal(statement.onTimePercent, 66.67);
+    assert.equal(statement.incentiveAmount, 100);
+    assert.equal(statement.shortfallDeduction, 50);
+    assert.equal(statement.netAmount, 115);
+    assert.deepEqual(tables.RiderPayoutLine.map((line) => line.deliveryAssignmentId), [1, 2, 3]);
+    assert.equal(tables.RiderCashEntry[0].payoutStatementId, statement.id);
+    assert.equal(tables.RiderCashHandover[0].payoutStatementId, statement.id);
+  });
+
+  it('is approved, paid and then closed to regeneration', async () => {
+    const { id } = await generateStatement(4, at(2, '12:00'));
+    // The fake applies no schema defaults
+    tables.RiderPayoutStatement[0].status = 'DRAFT';
+
+    await assert.rejects(markStatementPaid(id, { paymentReference: 'UTR1' }), { status: 409 });
+    await approveStatement(id, { actorId: 1 });
+    await markStatementPaid(id, { paymentReference: ' UTR1 ' });
+
+    assert.equal(tables.RiderPayoutStatement[0].status, 'PAID');
+    assert.equal(tables.RiderPayoutStatement[0].paymentReference, 'UTR1');
+    await assert.rejects(generateStatement(4, at(2, '12:00')), { status: 409 });
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  StockBatch: [],
+  StockLedger: [],
+};
+const db = useFakeDb(tables);
+
+const { issueStock, returnStock, transferStock } = require('../src/services/stockBatchService');
+
+const batch = (id, batchNo, expiry, received) => ({
+  id,
+  depotId: 1,
+  depotProductVariantId: 9,
+  productId: 2,
+  batchNo,
+  manufactureDate: null,
+  expiryDate: new Date(expiry),
+  receivedDate: new Date(received),
+  status: 'ACTIVE',
+  sourceBatchId: null,
+  closingQty: 0,
+});
+
+const receipt = (id, batchId, receivedQty) => ({
+  id,
+  productId: 2,
+  variantId: 9,
+  depotId: 1,
+  batchId,
+  transactionDate: new Date('2026-10-10'),
+  module: 'purchase',
+  foreignKey: 1,
+  receivedQty,
+  issuedQty: 0,
+});
+
+const row = (data) => ({
+  productId: 2,
+  variantId: 9,
+  depotId: 1,
+  transactionDate: new Date('2026-10-18T10:00:00'),
+  module: 'SUBSCRIPTION_DELIVERY',
+  foreignKey: 5,
+  receivedQty: 0,
+  issuedQty: 0,
+  ...data,
+});
+
+const portions = (rows, field) => rows.map((posted) => [posted.batchId, posted[field]]);
+
+describe('stock batches', () => {
+  beforeEach(() => {
+    Object.values(tables).forEach((rows) => rows.splice(0));
+    tables.StockBatch.push(
+      batch(1, 'B-1', '2026-10-25', '2026-10-10'),
+      batch(2, 'B-2', '2026-10-21', '2026-10-12'),
+      // Expired before the issue date
+      batch(3, 'B-3', '2026-10-15', '2026-10-05'),
+    );
+    tables.StockLedger.push(receipt(1, 1, 5), receipt(2, 2, 4), receipt(3, 3, 3), receipt(4, null, 2));
+  });
+
+  it('issues unbatched stock first, then batches by first expiry, skipping expired ones', async () => {
+    const issued = await db.$transaction((tx) => issueStock(tx, row({ issuedQty: 12 })));
+
+    // One more than the usable stock: it goes out unbatched
+    assert.deepEqual(portions(issued, 'issuedQty'), [[null, 3], [2, 4], [1, 5]]);
+  });
+
+  it('refuses more than a chosen batch holds', async () => {
+    await assert.rejects(
+      db.$transaction((tx) => issueStock(tx, row({ issuedQty: 4 }), { batchId: 3 })),
+      { status: 409 },
+    );
+  });
+
+  it('returns a reversal to the batches the issue drew from', async () => {
+    await db.$transaction((tx) => issueStock(tx, row({ issuedQty: 8 })));
+
+    const returned = await db.$transaction((tx) => returnStock(tx, row({ receivedQty: 7 })));
+
+    // The issue drew 2 unbatched, 4 from B-2 and 2 from B-1
+    assert.deepEqual(portions(returned, 'receivedQty'), [[2, 4], [1, 2], [null, 1]]);
+  });
+
+  it('transfers batches to the destination depot with their numbers and dates', async () => {
+    const source = row({ module: 'transfer', foreignKey: 3, issuedQty: 4 });
+    const destination = {
+      productId: 2,
+      variantId: 20,
+      depotId: 2,
+      transactionDate: source.transactionDate,
+      module: 'transfer',
+      foreignKey: 3,
+    };
+
+    await db.$transaction((tx) => transferStock(tx, source, destination));
+
+    const [arrived] = tables.StockBatch.filter((candidate) => candidate.depotProductVariantId === 20);
+    assert.equal(arrived.batchNo, 'B-2');
+    assert.equal(arrived.sourceBatchId, 2);
+    assert.deepEqual(arrived.expiryDate, new Date('2026-10-21'));
+    assert.equal(arrived.closingQty, 2);
+    assert.equal(tables.StockBatch[1].closingQty, 2);
+  });
+});
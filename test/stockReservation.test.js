@@ -0,0 +1,83 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  SNFOrder: [],
+  StockReservation: [],
+  StockLedger: [],
+  StockBatch: [],
+  DepotProductVariant: [],
+};
+const prisma = useFakeDb(tables);
+
+const { returnOrderStock } = require('../src/services/stockReservationService');
+
+const ledgerRow = (data) => ({
+  productId: 2,
+  variantId: 9,
+  depotId: 1,
+  transactionDate: new Date('2026-10-17'),
+  receivedQty: 0,
+  issuedQty: 0,
+  ...data,
+});
+
+const seed = () => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  tables.DepotProductVariant.push({
+    id: 9, depotId: 1, productId: 2, closingQty: 7,
+  });
+  tables.StockBatch.push({ id: 1, depotProductVariantId: 9, closingQty: 7 });
+  tables.StockLedger.push(
+    ledgerRow({
+      id: 1, receivedQty: 10, module: 'PURCHASE', foreignKey: 1, batchId: 1,
+    }),
+    ledgerRow({
+      id: 2, issuedQty: 3, module: 'SNF_ORDER', foreignKey: 5, batchId: 1,
+    }),
+  );
+  const reservation = {
+    id: 21,
+    snfOrderId: 5,
+    snfOrderItemId: 11,
+    depotProductVariantId: 9,
+    quantity: 3,
+    status: 'ISSUED',
+    issuedAt: new Date(),
+  };
+  tables.StockReservation.push(reservation);
+  tables.SNFOrder.push({
+    id: 5,
+    items: [{
+      id: 11, depotProductVariantId: 9, quantity: 3, stockReservation: { ...reservation },
+    }],
+  });
+};
+
+describe('SNF order stock', () => {
+  beforeEach(seed);
+
+  it('returns the stock of an undone delivery to its batch and reserves it again', async () => {
+    const returned = await prisma.$transaction((tx) => returnOrderStock(5, tx));
+
+    assert.equal(returned.length, 1);
+    const reversal = tables.StockLedger.find((row) => row.id === 3);
+    assert.equal(reversal.module, 'SNF_ORDER');
+    assert.equal(reversal.foreignKey, 5);
+    assert.equal(reversal.receivedQty, 3);
+    assert.equal(reversal.batchId, 1);
+    assert.equal(tables.DepotProductVariant[0].closingQty, 10);
+    assert.equal(tables.StockBatch[0].closingQty, 10);
+    assert.equal(tables.StockReservation[0].status, 'RESERVED');
+    assert.equal(tables.StockReservation[0].issuedAt, null);
+  });
+
+  it('does not return stock twice', async () => {
+    await prisma.$transaction((tx) => returnOrderStock(5, tx));
+    await prisma.$transaction((tx) => returnOrderStock(5, tx));
+
+    assert.equal(tables.StockLedger.length, 3);
+    assert.equal(tables.DepotProductVariant[0].closingQty, 10);
+  });
+});
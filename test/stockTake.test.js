@@ -0,0 +1,91 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  StockTake: [],
+  StockTakeLine: [],
+  StockLedger: [],
+  StockBatch: [],
+  DepotProductVariant: [],
+};
+useFakeDb(tables);
+
+const { recordCounts, submitStockTake, approveStockTake } = require('../src/services/stockTakeService');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+const ledger = (id, variantId, data) => ({
+  id,
+  productId: 2,
+  variantId,
+  depotId: 1,
+  batchId: null,
+  transactionDate: new Date('2026-10-18'),
+  receivedQty: 0,
+  issuedQty: 0,
+  ...data,
+});
+
+const line = (id, variantId, systemQty) => ({
+  id,
+  stockTakeId: 1,
+  depotProductVariantId: variantId,
+  productId: 2,
+  systemQty,
+  countedQty: null,
+  countedAt: null,
+  reason: null,
+});
+
+const seed = () => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  tables.DepotProductVariant.push({ id: 9, depotId: 1, closingQty: 8 }, { id: 10, depotId: 1, closingQty: 5 });
+  tables.StockLedger.push(
+    ledger(1, 9, { module: 'purchase', receivedQty: 10, createdAt: minutesAgo(2 * 24 * 60) }),
+    ledger(2, 10, { module: 'purchase', receivedQty: 5, createdAt: minutesAgo(2 * 24 * 60) }),
+    // Delivered while the count was open; the shelf already shows it
+    ledger(3, 9, { module: 'SUBSCRIPTION_DELIVERY', issuedQty: 2, createdAt: minutesAgo(30) }),
+  );
+  tables.StockTakeLine.push(line(1, 9, 10), line(2, 10, 5));
+  tables.StockTake.push({
+    id: 1,
+    depotId: 1,
+    status: 'OPEN',
+    countDate: new Date('2026-10-18'),
+    createdAt: minutesAgo(60),
+    // The live line rows, as the service includes them
+    lines: tables.StockTakeLine,
+  });
+};
+
+describe('stock take', () => {
+  beforeEach(seed);
+
+  it('posts only the counted difference from what the shelf should hold', async () => {
+    const counted = await recordCounts(1, [{ variantId: 9, countedQty: 7 }, { variantId: 10, countedQty: 6 }]);
+    assert.deepEqual(counted.lines.map((row) => [row.expectedQty, row.variance]), [[8, -1], [5, 1]]);
+    await submitStockTake(1);
+
+    await assert.rejects(approveStockTake(1), { status: 409 });
+    await assert.rejects(recordCounts(1, [{ variantId: 9, countedQty: 8 }]), { status: 409 });
+    await recordCounts(1, [{ variantId: 9, reason: 'DAMAGED' }, { variantId: 10, reason: 'UNRECORDED_RECEIPT' }]);
+
+    const approved = await approveStockTake(1, { actorId: 1 });
+
+    assert.equal(approved.status, 'APPROVED');
+    assert.deepEqual(
+      tables.StockLedger.slice(3).map((row) => [row.variantId, row.module, row.issuedQty, row.receivedQty, row.reason]),
+      [[9, 'adjustment', 1, 0, 'DAMAGED'], [10, 'adjustment', 0, 1, 'UNRECORDED_RECEIPT']],
+    );
+    assert.deepEqual(tables.DepotProductVariant.map((variant) => variant.closingQty), [7, 6]);
+  });
+
+  it('cannot be submitted with lines left uncounted', async () => {
+    await recordCounts(1, [{ variantId: 9, countedQty: 8 }]);
+
+    await assert.rejects(submitStockTake(1), { status: 409 });
+    await assert.rejects(recordCounts(1, [{ variantId: 11, countedQty: 1 }]), { status: 400 });
+    assert.equal(tables.StockTake[0].status, 'OPEN');
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  Subscription: [],
+  SubscriptionPause: [],
+  DeliveryScheduleEntry: [],
+  DeliveryAssignment: [],
+  DeliveryStatusHistory: [],
+  Member: [],
+  WalletTransaction: [],
+  WalletLedgerEntry: [],
+  CreditNote: [],
+};
+useFakeDb(tables);
+
+const { pauseSubscription } = require('../src/services/subscriptionPauseService');
+
+// UTC midnight `offset` days from today, as @db.Date columns are read back
+const day = (offset) => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate() + offset));
+};
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+const seed = (pauseCompensation) => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  tables.Member.push({ id: 3, walletBalance: 0 });
+  const subscription = {
+    id: 7,
+    memberId: 3,
+    paymentStatus: 'PAID',
+    rate: 30,
+    qty: 2,
+    amount: 300,
+    totalQty: 10,
+    couponDiscount: 0,
+    deliverySchedule: 'DAILY',
+    expiryDate: day(5),
+    depotProductVariant: { id: 9, depot: { id: 1, pauseCompensation } },
+    product: { name: 'Cow milk' },
+  };
+  tables.Subscription.push(subscription);
+  for (let offset = 1; offset <= 5; offset += 1) {
+    tables.DeliveryScheduleEntry.push({
+      id: offset,
+      subscriptionId: 7,
+      memberId: 3,
+      depotId: 1,
+      productId: 1,
+      deliveryDate: day(offset),
+      quantity: 2,
+      status: 'PENDING',
+      walletTransactionId: null,
+      pauseId: null,
+      subscription,
+      deliveryAssignment: null,
+    });
+  }
+};
+
+describe('subscription pause', () => {
+  describe('with wallet credit', () => {
+    beforeEach(() => seed('WALLET_CREDIT'));
+
+    it('skips the paused deliveries and credits them in one refund', async () => {
+      const result = await pauseSubscription({ subscriptionId: 7, fromDate: isoDay(day(2)), toDate: isoDay(day(3)) });
+
+      assert.equal(result.refundAmount, 120);
+      assert.equal(tables.Member[0].walletBalance, 120);
+      assert.equal(tables.WalletTransaction.length, 1);
+      const statuses = tables.DeliveryScheduleEntry.map((entry) => entry.status);
+      assert.deepEqual(statuses, ['PENDING', 'SKIP_BY_CUSTOMER', 'SKIP_BY_CUSTOMER', 'PENDING', 'PENDING']);
+      assert.equal(tables.DeliveryScheduleEntry[1].pauseId, result.pause.id);
+      assert.equal(tables.SubscriptionPause[0].skippedCount, 2);
+    });
+
+    it('refuses a pause that starts today or earlier', async () => {
+      await assert.rejects(
+        pauseSubscription({ subscriptionId: 7, fromDate: isoDay(day(0)), toDate: isoDay(day(2)) }),
+        { status: 400 },
+      );
+      assert.equal(tables.SubscriptionPause.length, 0);
+    });
+  });
+
+  it('moves the paused deliveries past the expiry when the depot extends instead', async () => {
+    seed('EXTEND_EXPIRY');
+
+    const result = await pauseSubscription({ subscriptionId: 7, fromDate: isoDay(day(2)), toDate: isoDay(day(3)) });
+
+    assert.equal(result.refundAmount, 0);
+    assert.equal(tables.WalletTransaction.length, 0);
+    const added = tables.DeliveryScheduleEntry.filter((entry) => entry.extensionForPauseId === result.pause.id);
+    assert.deepEqual(added.map((entry) => isoDay(entry.deliveryDate)), [isoDay(day(6)), isoDay(day(7))]);
+    assert.equal(isoDay(tables.Subscription[0].expiryDate), isoDay(day(7)));
+  });
+});
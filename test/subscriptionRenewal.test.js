@@ -0,0 +1,92 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+const tables = {
+  Subscription: [],
+  SubscriptionAutoRenewal: [],
+  ProductOrder: [],
+  DeliveryScheduleEntry: [],
+  Member: [],
+  WalletTransaction: [],
+  WalletLedgerEntry: [],
+  WhatsAppOutbox: [],
+};
+useFakeDb(tables);
+
+process.env.WHATSAPP_OUTBOX_SEND_IMMEDIATELY = 'false';
+const { autoRenewSubscription } = require('../src/services/subscriptionRenewalService');
+
+const seed = ({ walletBalance }) => {
+  Object.values(tables).forEach((rows) => rows.splice(0));
+  const member = { id: 3, walletBalance, user: { id: 5, mobile: '9800000000' } };
+  tables.Member.push({ id: 3, walletBalance });
+  tables.Subscription.push({
+    id: 7,
+    memberId: 3,
+    productId: 1,
+    depotProductVariantId: 9,
+    deliveryAddressId: 2,
+    agencyId: null,
+    period: 3,
+    deliverySchedule: 'DAILY',
+    qty: 2,
+    altQty: null,
+    expiryDate: new Date('2026-10-20T00:00:00Z'),
+    paymentStatus: 'PAID',
+    autoRenew: true,
+    // Relations the service includes
+    autoRenewal: null,
+    member,
+    product: { id: 1, name: 'Cow milk' },
+    depotProductVariant: {
+      id: 9, depotId: 1, price3Day: 30, isHidden: false, notInStock: false,
+    },
+  });
+};
+
+describe('subscription auto-renewal', () => {
+  it('renews from the wallet for the same schedule, starting after the expiry', async () => {
+    seed({ walletBalance: 500 });
+
+    const result = await autoRenewSubscription(7);
+
+    assert.equal(result.status, 'RENEWED');
+    const renewed = tables.Subscription[1];
+    assert.equal(renewed.startDate.toISOString().slice(0, 10), '2026-10-21');
+    assert.equal(renewed.totalQty, 6);
+    assert.equal(renewed.amount, 180);
+    assert.deepEqual(
+      tables.DeliveryScheduleEntry.map((entry) => [entry.deliveryDate.toISOString().slice(0, 10), entry.quantity]),
+      [['2026-10-21', 2], ['2026-10-22', 2], ['2026-10-23', 2]],
+    );
+    assert.equal(tables.Member[0].walletBalance, 320);
+    assert.equal(tables.SubscriptionAutoRenewal[0].status, 'SUCCESS');
+    assert.equal(tables.SubscriptionAutoRenewal[0].renewedSubscriptionId, renewed.id);
+  });
+
+  describe('without enough in the wallet', () => {
+    beforeEach(() => seed({ walletBalance: 100 }));
+
+    it('records the failure and tells the member', async () => {
+      const result = await autoRenewSubscription(7);
+
+      assert.equal(result.status, 'FAILED');
+      assert.equal(result.code, 'INSUFFICIENT_BALANCE');
+      assert.equal(tables.Subscription.length, 1);
+      assert.equal(tables.Member[0].walletBalance, 100);
+      const [failure] = tables.SubscriptionAutoRenewal;
+      assert.equal(failure.status, 'FAILED');
+      assert.equal(failure.amount, 180);
+      assert.equal(tables.WhatsAppOutbox.length, 1);
+    });
+
+    it('counts repeated attempts on the same row', async () => {
+      await autoRenewSubscription(7);
+      await autoRenewSubscription(7);
+
+      assert.equal(tables.SubscriptionAutoRenewal.length, 1);
+      assert.equal(tables.SubscriptionAutoRenewal[0].attempts, 1);
+    });
+  });
+});
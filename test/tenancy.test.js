@@ -0,0 +1,209 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { withTenancy, runWithUser, withoutTenancy } = require('../src/config/tenancy');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+
+const depotAdmin = { id: 10, role: 'DepotAdmin', depotId: 1 };
+const admin = { id: 1, role: 'ADMIN' };
+
+// Two rows per model: id 1 belongs to depot 1, id 2 to depot 2
+const seed = () => ({
+  Purchase: [
+    { id: 1, depotId: 1, purchaseNo: 'P-1' },
+    { id: 2, depotId: 2, purchaseNo: 'P-2' },
+  ],
+  VariantStock: [
+    { id: 1, depotId: 1, closingQty: 5 },
+    { id: 2, depotId: 2, closingQty: 7 },
+  ],
+  StockLedger: [
+    { id: 1, depotId: 1, receivedQty: 5 },
+    { id: 2, depotId: 2, receivedQty: 7 },
+  ],
+  StockBatch: [
+    { id: 1, depotId: 1, closingQty: 5 },
+    { id: 2, depotId: 2, closingQty: 7 },
+  ],
+  SNFOrder: [
+    { id: 1, depotId: 1, paymentStatus: 'PENDING' },
+    { id: 2, depotId: 2, paymentStatus: 'PENDING' },
+  ],
+  DeliveryScheduleEntry: [
+    { id: 1, depotId: 1, status: 'PENDING' },
+    { id: 2, depotId: 2, status: 'PENDING' },
+  ],
+  DeliveryAssignment: [
+    { id: 1, depotId: 1, status: 'ASSIGNED' },
+    { id: 2, depotId: 2, status: 'ASSIGNED' },
+  ],
+  DepotProductVariant: [
+    { id: 1, depotId: 1, closingQty: 5 },
+    { id: 2, depotId: 2, closingQty: 7 },
+  ],
+  Transfer: [
+    { id: 1, fromDepotId: 1, toDepotId: 3 },
+    { id: 2, fromDepotId: 2, toDepotId: 3 },
+  ],
+  // Detail rows carry no depot; their parent document is embedded
+  PurchaseDetail: [
+    { id: 1, purchaseId: 1, purchase: { id: 1, depotId: 1 } },
+    { id: 2, purchaseId: 2, purchase: { id: 2, depotId: 2 } },
+  ],
+  WastageDetail: [
+    { id: 1, wastageId: 1, wastage: { id: 1, depotId: 1 } },
+    { id: 2, wastageId: 2, wastage: { id: 2, depotId: 2 } },
+  ],
+  TransferDetail: [
+    // Received by depot 1
+    { id: 1, transferId: 3, transfer: { id: 3, fromDepotId: 2, toDepotId: 1 } },
+    { id: 2, transferId: 2, transfer: { id: 2, fromDepotId: 2, toDepotId: 3 } },
+  ],
+  PurchasePayment: [
+    // Settles a depot 1 purchase through its details
+    {
+      id: 1, purchaseId: null, Purchase: null, details: [{ purchaseId: 1, purchase: { id: 1, depotId: 1 } }],
+    },
+    {
+      id: 2, purchaseId: 2, Purchase: { id: 2, depotId: 2 }, details: [],
+    },
+  ],
+});
+
+// Delegate name -> what the depot admin changes when they try to edit a row
+const SCOPED = {
+  purchase: { purchaseNo: 'EDITED' },
+  variantStock: { closingQty: 0 },
+  stockLedger: { receivedQty: 0 },
+  stockBatch: { closingQty: 0 },
+  sNFOrder: { paymentStatus: 'PAID' },
+  deliveryScheduleEntry: { status: 'DELIVERED' },
+  deliveryAssignment: { status: 'DELIVERED' },
+  depotProductVariant: { closingQty: 0 },
+};
+
+// Scoped through their parent document, so creates are left to the parent's checks
+const SCOPED_THROUGH_PARENT = {
+  purchaseDetail: 'PurchaseDetail',
+  wastageDetail: 'WastageDetail',
+  transferDetail: 'TransferDetail',
+  purchasePayment: 'PurchasePayment',
+};
+
+const MODEL_OF = {
+  purchase: 'Purchase',
+  variantStock: 'VariantStock',
+  stockLedger: 'StockLedger',
+  stockBatch: 'StockBatch',
+  sNFOrder: 'SNFOrder',
+  deliveryScheduleEntry: 'DeliveryScheduleEntry',
+  deliveryAssignment: 'DeliveryAssignment',
+  depotProductVariant: 'DepotProductVariant',
+};
+
+const as = (user, fn) => new Promise((resolve, reject) => {
+  runWithUser(user, () => Promise.resolve().then(fn).then(resolve, reject));
+});
+
+describe('tenancy', () => {
+  // Fresh rows and client per test; tests reach them through ctx
+  const ctx = {};
+
+  beforeEach(() => {
+    ctx.tables = seed();
+    ctx.prisma = withTenancy(createFakePrisma(ctx.tables));
+  });
+
+  for (const [delegate, change] of Object.entries(SCOPED)) {
+    const model = MODEL_OF[delegate];
+
+    describe(`${model} for a DepotAdmin`, () => {
+      it('lists and counts only their own depot', async () => {
+        const rows = await as(depotAdmin, () => ctx.prisma[delegate].findMany({}));
+        assert.deepEqual(rows.map((row) => row.id), [1]);
+        assert.equal(await as(depotAdmin, () => ctx.prisma[delegate].count({ where: { id: 2 } })), 0);
+      });
+
+      it('cannot look up another depot\'s row by id', async () => {
+        assert.equal(await as(depotAdmin, () => ctx.prisma[delegate].findUnique({ where: { id: 2 } })), null);
+        assert.equal(await as(depotAdmin, () => ctx.prisma[delegate].findFirst({ where: { id: 2 } })), null);
+      });
+
+      it('gets a 404 updating or deleting another depot\'s row', async () => {
+        await assert.rejects(
+          as(depotAdmin, () => ctx.prisma[delegate].update({ where: { id: 2 }, data: change })),
+          { status: 404 },
+        );
+        await assert.rejects(as(depotAdmin, () => ctx.prisma[delegate].delete({ where: { id: 2 } })), { status: 404 });
+        assert.deepEqual(ctx.tables[model][1], seed()[model][1]);
+      });
+
+      it('leaves other depots alone in bulk writes', async () => {
+        const updated = await as(depotAdmin, () => ctx.prisma[delegate].updateMany({ where: {}, data: change }));
+        assert.equal(updated.count, 1);
+        const deleted = await as(depotAdmin, () => ctx.prisma[delegate].deleteMany({ where: {} }));
+        assert.equal(deleted.count, 1);
+        assert.deepEqual(ctx.tables[model], [seed()[model][1]]);
+      });
+
+      it('cannot create rows for, or move rows to, another depot', async () => {
+        await assert.rejects(
+          as(depotAdmin, () => ctx.prisma[delegate].create({ data: { depotId: 2 } })),
+          { status: 403 },
+        );
+        await assert.rejects(
+          as(depotAdmin, () => ctx.prisma[delegate].update({ where: { id: 1 }, data: { depotId: 2 } })),
+          { status: 403 },
+        );
+        assert.equal(ctx.tables[model].length, 2);
+        assert.equal(ctx.tables[model][0].depotId, 1);
+      });
+
+      it('creates rows in their own depot when none is given', async () => {
+        const row = await as(depotAdmin, () => ctx.prisma[delegate].create({ data: {} }));
+        assert.equal(row.depotId, 1);
+      });
+    });
+  }
+
+  for (const [delegate, model] of Object.entries(SCOPED_THROUGH_PARENT)) {
+    describe(`${model} for a DepotAdmin`, () => {
+      it('lists and looks up only rows of their own depot\'s documents', async () => {
+        const rows = await as(depotAdmin, () => ctx.prisma[delegate].findMany({}));
+        assert.deepEqual(rows.map((row) => row.id), [1]);
+        assert.equal(await as(depotAdmin, () => ctx.prisma[delegate].findUnique({ where: { id: 2 } })), null);
+      });
+
+      it('cannot change rows of another depot\'s documents', async () => {
+        await assert.rejects(
+          as(depotAdmin, () => ctx.prisma[delegate].update({ where: { id: 2 }, data: { quantity: 0 } })),
+          { status: 404 },
+        );
+        const deleted = await as(depotAdmin, () => ctx.prisma[delegate].deleteMany({ where: {} }));
+        assert.equal(deleted.count, 1);
+        assert.deepEqual(ctx.tables[model], [seed()[model][1]]);
+      });
+    });
+  }
+
+  it('shows a transfer to a DepotAdmin only when their depot is on one side', async () => {
+    const rows = await as(depotAdmin, () => ctx.prisma.transfer.findMany({}));
+    assert.deepEqual(rows.map((row) => row.id), [1]);
+    await assert.rejects(
+      as(depotAdmin, () => ctx.prisma.transfer.create({ data: { fromDepotId: 2, toDepotId: 3 } })),
+      { status: 403 },
+    );
+  });
+
+  it('shows a DepotAdmin without a depot nothing', async () => {
+    const rows = await as({ ...depotAdmin, depotId: null }, () => ctx.prisma.purchase.findMany({}));
+    assert.deepEqual(rows, []);
+  });
+
+  it('leaves admins and unscoped work unrestricted', async () => {
+    assert.equal((await as(admin, () => ctx.prisma.purchase.findMany({}))).length, 2);
+    assert.equal(
+      (await as(depotAdmin, () => withoutTenancy(() => ctx.prisma.purchase.findMany({})))).length,
+      2,
+    );
+  });
+});
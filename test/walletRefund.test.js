@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fakePrisma');
+
+useFakeDb({});
+const {
+  chargedUnitPrice, calculateRefundAmount, calculateSubscriptionRefund,
+} = require('../src/services/walletService');
+
+// 20 units at ₹30, with ₹60 of the order's coupon discount on this subscription
+const subscription = {
+  rate: 30, amount: 600, totalQty: 20, couponDiscount: 60, paymentStatus: 'PAID', walletamt: 540,
+};
+
+describe('subscription refunds', () => {
+  it('credits the unit price the member paid after the coupon', () => {
+    assert.equal(chargedUnitPrice(subscription), 27);
+    assert.equal(chargedUnitPrice({ ...subscription, couponDiscount: 0 }), 30);
+    // Without the order totals only the list rate is known
+    assert.equal(chargedUnitPrice({ rate: 30 }), 30);
+  });
+
+  it('refunds skipped and undelivered deliveries at that price', () => {
+    assert.equal(calculateRefundAmount({ subscription, quantity: 2 }), 54);
+    assert.equal(calculateRefundAmount({ subscription: { ...subscription, amount: 0 }, quantity: 2 }), 0);
+  });
+
+  it('refunds a cancelled subscription\'s remaining deliveries at that price', () => {
+    assert.equal(calculateSubscriptionRefund(subscription, [{ quantity: 2 }, { quantity: 3 }]), 135);
+    assert.equal(calculateSubscriptionRefund({ ...subscription, paymentStatus: 'PENDING' }, [{ quantity: 2 }]), 0);
+  });
+});
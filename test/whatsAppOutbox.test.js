@@ -0,0 +1,139 @@
+const {
+  describe, it, before, after, beforeEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createFakeClient } = require('./helpers/fakePrisma');
+
+// The services require config/db, which needs a generated Prisma client; swap in
+// an in-memory one whose rows the tests reach through ctx.
+const ctx = { tables: { WhatsAppOutbox: [] } };
+const dbPath = require.resolve('../src/config/db');
+require.cache[dbPath] = {
+  id: dbPath, filename: dbPath, loaded: true, exports: createFakeClient(ctx.tables),
+};
+
+process.env.WHATSAPP_OUTBOX_SEND_IMMEDIATELY = 'false';
+const { processWhatsAppOutbox } = require('../src/services/whatsAppOutboxService');
+const { sendOrderWhatsAppMessage } = require('../src/services/whatsAppService');
+
+const CONFIG_KEYS = ['WHATSAPP_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID', 'WHATSAPP_URL'];
+
+const outboxRow = (overrides = {}) => ({
+  id: 1,
+  templateName: 'general_receipt',
+  endpointType: 'messages',
+  recipient: '919800000000',
+  payload: { messaging_product: 'whatsapp', to: '919800000000', template: { name: 'general_receipt' } },
+  status: 'PENDING',
+  attempts: 0,
+  maxAttempts: 5,
+  nextAttemptAt: new Date(Date.now() - 1000),
+  lockedAt: null,
+  ...overrides,
+});
+
+describe('WhatsApp outbox worker', () => {
+  const stub = { requests: [], reply: { status: 200, body: {} } };
+  let server;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        stub.requests.push({ headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(stub.reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(stub.reply.body));
+      });
+    });
+    await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+  });
+
+  after(() => new Promise((resolve) => { server.close(resolve); }));
+
+  beforeEach(() => {
+    ctx.tables.WhatsAppOutbox.length = 0;
+    stub.requests = [];
+    stub.reply = { status: 200, body: {} };
+    process.env.WHATSAPP_TOKEN = 'test-token';
+    process.env.WHATSAPP_PHONE_NUMBER_ID = '123';
+    process.env.WHATSAPP_URL = `http://127.0.0.1:${server.address().port}/send`;
+  });
+
+  it('queues messages while WhatsApp is not configured and holds them for a later run', async () => {
+    CONFIG_KEYS.forEach((key) => delete process.env[key]);
+
+    const result = await sendOrderWhatsAppMessage({
+      orderNo: 'SNF-1', mobile: '9800000000', createdAt: new Date(), totalAmount: 120, paymentMode: 'UPI',
+    });
+    assert.equal(result.queued, true);
+    assert.equal(ctx.tables.WhatsAppOutbox[0].recipient, '919800000000');
+
+    ctx.tables.WhatsAppOutbox.splice(0, 1, outboxRow());
+    const summary = await processWhatsAppOutbox();
+    assert.equal(summary.retrying, 1);
+    const [row] = ctx.tables.WhatsAppOutbox;
+    assert.equal(row.status, 'PENDING');
+    assert.equal(row.lastError, 'WhatsApp configuration missing');
+    assert.ok(row.nextAttemptAt > new Date());
+    assert.equal(stub.requests.length, 0);
+  });
+
+  it('posts the payload with the token and records the provider message id', async () => {
+    ctx.tables.WhatsAppOutbox.push(outboxRow());
+    stub.reply = { status: 200, body: { messages: [{ id: 'wamid.1' }] } };
+
+    const summary = await processWhatsAppOutbox();
+    assert.equal(summary.sent, 1);
+    assert.equal(stub.requests.length, 1);
+    assert.equal(stub.requests[0].headers.authorization, 'Bearer test-token');
+    assert.deepEqual(stub.requests[0].body, outboxRow().payload);
+    const [row] = ctx.tables.WhatsAppOutbox;
+    assert.equal(row.status, 'SENT');
+    assert.equal(row.attempts, 1);
+    assert.equal(row.providerMessageId, 'wamid.1');
+    assert.equal(row.lockedAt, null);
+  });
+
+  it('retries server errors with backoff until attempts run out', async () => {
+    ctx.tables.WhatsAppOutbox.push(outboxRow({ maxAttempts: 2 }));
+    stub.reply = { status: 503, body: { error: 'unavailable' } };
+
+    assert.equal((await processWhatsAppOutbox()).retrying, 1);
+    const [row] = ctx.tables.WhatsAppOutbox;
+    assert.equal(row.status, 'PENDING');
+    assert.equal(row.attempts, 1);
+    assert.match(row.lastError, /^HTTP 503/);
+    assert.ok(row.nextAttemptAt > new Date());
+
+    // Not due yet: the run leaves it alone
+    assert.equal((await processWhatsAppOutbox()).attempted, 0);
+
+    row.nextAttemptAt = new Date(Date.now() - 1000);
+    assert.equal((await processWhatsAppOutbox()).failed, 1);
+    assert.equal(row.status, 'FAILED');
+    assert.equal(row.attempts, 2);
+  });
+
+  it('fails client errors without retrying', async () => {
+    ctx.tables.WhatsAppOutbox.push(outboxRow());
+    stub.reply = { status: 400, body: { error: { message: 'Invalid parameter' } } };
+
+    assert.equal((await processWhatsAppOutbox()).failed, 1);
+    assert.equal(ctx.tables.WhatsAppOutbox[0].status, 'FAILED');
+    assert.equal(ctx.tables.WhatsAppOutbox[0].attempts, 1);
+  });
+
+  it('picks up messages left SENDING by a worker that died', async () => {
+    ctx.tables.WhatsAppOutbox.push(
+      outboxRow({ id: 1, status: 'SENDING', lockedAt: new Date(Date.now() - 60 * 60 * 1000) }),
+      outboxRow({ id: 2, status: 'SENDING', lockedAt: new Date() }),
+    );
+
+    const summary = await processWhatsAppOutbox();
+    assert.equal(summary.released, 1);
+    assert.equal(summary.sent, 1);
+    assert.deepEqual(ctx.tables.WhatsAppOutbox.map((row) => row.status), ['SENT', 'SENDING']);
+  });
+});